@@ -4,6 +4,7 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { ErrorBoundary } from './components/common/ErrorBoundary';
 import { DataProvider } from './contexts/DataContext';
 import { FilterProvider } from './contexts/FilterContext';
+import { ViewProvider } from './contexts/ViewContext';
 import Layout from './components/common/Layout';
 import LoadingSpinner from './components/common/LoadingSpinner';
 import './App.css';
@@ -16,6 +17,9 @@ const ArrearsDashboard = lazy(() => import('./components/dashboards/ArrearsDashb
 const LiquidationsDashboard = lazy(() => import('./components/dashboards/LiquidationsDashboard'));
 const CallCenterDashboard = lazy(() => import('./components/dashboards/CallCenterDashboard'));
 const ComplaintsDashboard = lazy(() => import('./components/dashboards/ComplaintsDashboard'));
+const CustomerDashboard = lazy(() => import('./components/dashboards/CustomerDashboard'));
+const ReportPackComposer = lazy(() => import('./components/packs/ReportPackComposer'));
+const ComplaintsReturn = lazy(() => import('./components/regulatory/ComplaintsReturn'));
 const AdminPanel = lazy(() => import('./components/admin/AdminPanel'));
 
 // Route loading component
@@ -95,70 +99,93 @@ function App() {
     <ErrorBoundary fallback={AppErrorFallback}>
       <DataProvider>
         <FilterProvider>
-          <Router basename={process.env.NODE_ENV === 'production' ? '/financial-reports' : '/'}>
-            <div className="App">
-              <Routes>
-                {/* Main layout routes */}
-                <Route path="/" element={<Layout />}>
-                  {/* Overview Dashboard */}
-                  <Route index element={
-                    <RouteLoader>
-                      <OverviewDashboard />
-                    </RouteLoader>
-                  } />
+          <ViewProvider>
+            <Router basename={process.env.NODE_ENV === 'production' ? '/financial-reports' : '/'}>
+              <div className="App">
+                <Routes>
+                  {/* Main layout routes */}
+                  <Route path="/" element={<Layout />}>
+                    {/* Overview Dashboard */}
+                    <Route index element={
+                      <RouteLoader>
+                        <OverviewDashboard />
+                      </RouteLoader>
+                    } />
                   
-                  {/* Report Dashboards */}
-                  <Route path="lending-volume" element={
-                    <RouteLoader>
-                      <LendingDashboard />
-                    </RouteLoader>
-                  } />
+                    {/* Report Dashboards */}
+                    <Route path="lending-volume" element={
+                      <RouteLoader>
+                        <LendingDashboard />
+                      </RouteLoader>
+                    } />
                   
-                  <Route path="arrears" element={
-                    <RouteLoader>
-                      <ArrearsDashboard />
-                    </RouteLoader>
-                  } />
+                    <Route path="arrears" element={
+                      <RouteLoader>
+                        <ArrearsDashboard />
+                      </RouteLoader>
+                    } />
                   
-                  <Route path="liquidations" element={
-                    <RouteLoader>
-                      <LiquidationsDashboard />
-                    </RouteLoader>
-                  } />
+                    <Route path="liquidations" element={
+                      <RouteLoader>
+                        <LiquidationsDashboard />
+                      </RouteLoader>
+                    } />
                   
-                  <Route path="call-center" element={
-                    <RouteLoader>
-                      <CallCenterDashboard />
-                    </RouteLoader>
-                  } />
+                    <Route path="call-center" element={
+                      <RouteLoader>
+                        <CallCenterDashboard />
+                      </RouteLoader>
+                    } />
                   
-                  <Route path="complaints" element={
-                    <RouteLoader>
-                      <ComplaintsDashboard />
-                    </RouteLoader>
-                  } />
+                    <Route path="complaints" element={
+                      <RouteLoader>
+                        <ComplaintsDashboard />
+                      </RouteLoader>
+                    } />
                   
-                  {/* Admin Panel */}
-                  <Route path="admin" element={
-                    <ProtectedRoute requiresAdmin={true}>
+                    {/* Customer 360 */}
+                    <Route path="customers" element={
                       <RouteLoader>
-                        <AdminPanel />
+                        <CustomerDashboard />
                       </RouteLoader>
-                    </ProtectedRoute>
-                  } />
-                </Route>
+                    } />
+                  
+                    {/* Report Packs */}
+                    <Route path="report-packs" element={
+                      <RouteLoader>
+                        <ReportPackComposer />
+                      </RouteLoader>
+                    } />
+                  
+                    {/* Regulatory Returns */}
+                    <Route path="complaints-return" element={
+                      <RouteLoader>
+                        <ComplaintsReturn />
+                      </RouteLoader>
+                    } />
+                  
+                    {/* Admin Panel */}
+                    <Route path="admin" element={
+                      <ProtectedRoute requiresAdmin={true}>
+                        <RouteLoader>
+                          <AdminPanel />
+                        </RouteLoader>
+                      </ProtectedRoute>
+                    } />
+                  </Route>
                 
-                {/* 404 Not Found */}
-                <Route path="*" element={
-                  <div className="not-found">
-                    <h1>404 - Page Not Found</h1>
-                    <p>The page you're looking for doesn't exist.</p>
-                    <Navigate to="/" replace />
-                  </div>
-                } />
-              </Routes>
-            </div>
-          </Router>
+                  {/* 404 Not Found */}
+                  <Route path="*" element={
+                    <div className="not-found">
+                      <h1>404 - Page Not Found</h1>
+                      <p>The page you're looking for doesn't exist.</p>
+                      <Navigate to="/" replace />
+                    </div>
+                  } />
+                </Routes>
+              </div>
+            </Router>
+          </ViewProvider>
         </FilterProvider>
       </DataProvider>
     </ErrorBoundary>
@@ -2,7 +2,12 @@
 import React, { useState, useEffect } from 'react';
 import DataUploader from './DataUploader';
 import DataManager from './DataManager';
+import UploadHistory from './UploadHistory';
+import SchemaStatus from './SchemaStatus';
+import QuickFilterEditor from './QuickFilterEditor';
+import FiscalCalendarSettings from './FiscalCalendarSettings';
 import { REPORT_TYPES } from '../../utils/constants';
+import { getSchemaStatus } from '../../utils/indexedDBHelper';
 
 const AdminPanel = ({ 
   onDataChange,
@@ -16,6 +21,7 @@ const AdminPanel = ({
     dataSize: 0
   });
   const [notifications, setNotifications] = useState([]);
+  const [schemaStatus, setSchemaStatus] = useState(null);
 
   // Check user permissions
   const hasUploadPermission = ['admin', 'uploader'].includes(userRole);
@@ -30,6 +36,12 @@ const AdminPanel = ({
     }
   }, [hasUploadPermission, hasManagePermission]);
 
+  useEffect(() => {
+    getSchemaStatus()
+      .then(setSchemaStatus)
+      .catch(error => console.error('Error loading schema status:', error));
+  }, []);
+
   const handleUploadComplete = (uploadInfo) => {
     // Update stats
     setUploadStats(prev => ({
@@ -93,6 +105,34 @@ const AdminPanel = ({
       icon: '🗂️',
       component: DataManager,
       enabled: hasManagePermission
+    },
+    {
+      key: 'history',
+      label: 'Upload History',
+      icon: '🕘',
+      component: UploadHistory,
+      enabled: hasManagePermission
+    },
+    {
+      key: 'quick-filters',
+      label: 'Quick Filters',
+      icon: '⚡',
+      component: QuickFilterEditor,
+      enabled: hasManagePermission
+    },
+    {
+      key: 'fiscal-calendar',
+      label: 'Fiscal Calendar',
+      icon: '📅',
+      component: FiscalCalendarSettings,
+      enabled: hasManagePermission
+    },
+    {
+      key: 'schema',
+      label: 'Database',
+      icon: '🗄️',
+      component: SchemaStatus,
+      enabled: hasManagePermission
     }
   ].filter(tab => tab.enabled);
 
@@ -136,6 +176,18 @@ const AdminPanel = ({
                 <div className="stat-label">Total Uploads</div>
               </div>
             </div>
+
+            {schemaStatus && (
+              <div className="stat-card">
+                <div className="stat-icon">🗄️</div>
+                <div className="stat-content">
+                  <div className="stat-value">v{schemaStatus.version}</div>
+                  <div className="stat-label">
+                    {schemaStatus.upToDate ? 'Schema Up To Date' : 'Migrations Pending'}
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -161,7 +213,7 @@ const AdminPanel = ({
         {ActiveComponent && (
           <ActiveComponent
             onUploadComplete={activeTab === 'upload' ? handleUploadComplete : undefined}
-            onDataChange={activeTab === 'manage' ? handleDataChange : undefined}
+            onDataChange={activeTab !== 'upload' ? handleDataChange : undefined}
           />
         )}
       </div>
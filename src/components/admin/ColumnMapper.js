@@ -0,0 +1,474 @@
+// src/components/admin/ColumnMapper.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { REPORT_CONFIG } from '../../config/reportConfig';
+import { detectFileStructure, getFileStructureConfig } from '../../utils/csvProcessor';
+import {
+  suggestColumnMapping,
+  getMappingProfiles,
+  saveMappingProfile,
+  deleteMappingProfile,
+  getProfileMapping
+} from '../../utils/columnMapping';
+
+// Field -> header pairs from suggestColumnMapping
+const getSuggestedHeaders = (suggestions) => Object.entries(suggestions).reduce((acc, [field, suggestion]) => {
+  acc[field] = suggestion.header;
+  return acc;
+}, {});
+
+const ColumnMapper = ({
+  reportType,
+  headers = [],
+  sampleRow = null,
+  mapping = null,
+  activeProfile = null,
+  onApply,
+  onCancel,
+  disabled = false,
+  className = ""
+}) => {
+  const structures = REPORT_CONFIG[reportType]?.fileStructures;
+
+  const [mapperState, setMapperState] = useState(() => ({
+    fileStructure: structures
+      ? mapping?.fileStructure || detectFileStructure(reportType, headers) || Object.keys(structures)[0]
+      : null,
+    fieldHeaders: mapping?.fields || null,
+    profiles: [],
+    selectedProfileId: activeProfile?.id || '',
+    profileName: activeProfile?.name || '',
+    sourceSystem: activeProfile?.sourceSystem || '',
+    isSaving: false,
+    error: null
+  }));
+
+  const fields = useMemo(
+    () => getFileStructureConfig(reportType, mapperState.fileStructure).fields || {},
+    [reportType, mapperState.fileStructure]
+  );
+  const suggestions = useMemo(() => suggestColumnMapping(fields, headers), [fields, headers]);
+
+  // Until the user picks a column, each field shows its suggestion
+  const fieldHeaders = mapperState.fieldHeaders || getSuggestedHeaders(suggestions);
+
+  useEffect(() => {
+    let cancelled = false;
+    getMappingProfiles(reportType)
+      .then(profiles => {
+        if (!cancelled) setMapperState(prev => ({ ...prev, profiles }));
+      })
+      .catch(error => console.warn('Could not load column mapping profiles:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reportType]);
+
+  const missingRequired = Object.entries(fields)
+    .filter(([field, config]) => config.required && !fieldHeaders[field])
+    .map(([, config]) => config.label);
+
+  const headerCounts = Object.values(fieldHeaders).filter(Boolean).reduce((acc, header) => {
+    acc[header] = (acc[header] || 0) + 1;
+    return acc;
+  }, {});
+  const sharedHeaders = Object.keys(headerCounts).filter(header => headerCounts[header] > 1);
+
+  const currentMapping = {
+    fileStructure: mapperState.fileStructure,
+    fields: Object.fromEntries(Object.keys(fields)
+      .filter(field => fieldHeaders[field])
+      .map(field => [field, fieldHeaders[field]]))
+  };
+
+  const handleStructureChange = (fileStructure) => {
+    setMapperState(prev => ({ ...prev, fileStructure, fieldHeaders: null, error: null }));
+  };
+
+  const handleFieldChange = (field, header) => {
+    setMapperState(prev => ({
+      ...prev,
+      fieldHeaders: { ...fieldHeaders, [field]: header },
+      error: null
+    }));
+  };
+
+  // Load a saved profile's mapping, ignoring columns this file doesn't have
+  const handleProfileSelect = (profileId) => {
+    const profile = mapperState.profiles.find(p => p._id === profileId);
+    if (!profile) {
+      setMapperState(prev => ({ ...prev, selectedProfileId: '' }));
+      return;
+    }
+
+    const profileMapping = getProfileMapping(profile);
+    setMapperState(prev => ({
+      ...prev,
+      selectedProfileId: profileId,
+      profileName: profile.name,
+      sourceSystem: profile.sourceSystem,
+      fileStructure: structures ? profileMapping.fileStructure || prev.fileStructure : null,
+      fieldHeaders: Object.fromEntries(Object.entries(profileMapping.fields)
+        .filter(([, header]) => headers.includes(header))),
+      error: null
+    }));
+  };
+
+  const handleProfileDelete = async () => {
+    try {
+      await deleteMappingProfile(mapperState.selectedProfileId);
+      setMapperState(prev => ({
+        ...prev,
+        profiles: prev.profiles.filter(p => p._id !== prev.selectedProfileId),
+        selectedProfileId: ''
+      }));
+    } catch (error) {
+      setMapperState(prev => ({ ...prev, error: `Could not delete profile: ${error.message}` }));
+    }
+  };
+
+  const handleSaveAndApply = async () => {
+    setMapperState(prev => ({ ...prev, isSaving: true, error: null }));
+
+    try {
+      const profile = await saveMappingProfile({
+        name: mapperState.profileName,
+        sourceSystem: mapperState.sourceSystem,
+        reportType,
+        headers,
+        mapping: currentMapping
+      });
+      setMapperState(prev => ({ ...prev, isSaving: false, selectedProfileId: profile._id }));
+      onApply?.(currentMapping);
+    } catch (error) {
+      setMapperState(prev => ({ ...prev, isSaving: false, error: error.message }));
+    }
+  };
+
+  const renderMatchHint = (field) => {
+    const suggestion = suggestions[field];
+    if (!suggestion || suggestion.header !== fieldHeaders[field]) return null;
+    return (
+      <span className={`match-hint ${suggestion.source}`}>
+        {suggestion.source === 'alias' ? 'Known column' : `${Math.round(suggestion.score * 100)}% match`}
+      </span>
+    );
+  };
+
+  return (
+    <div className={`column-mapper ${className}`}>
+      <div className="mapper-header">
+        <h4>Map Columns</h4>
+        <p>Choose the column in your file that holds each field</p>
+      </div>
+
+      <div className="mapper-toolbar">
+        {structures && (
+          <label className="toolbar-field">
+            <span>File layout</span>
+            <select
+              value={mapperState.fileStructure}
+              onChange={(e) => handleStructureChange(e.target.value)}
+              disabled={disabled}
+            >
+              {Object.entries(structures).map(([key, structure]) => (
+                <option key={key} value={key}>{structure.name}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <label className="toolbar-field">
+          <span>Saved profile</span>
+          <select
+            value={mapperState.selectedProfileId}
+            onChange={(e) => handleProfileSelect(e.target.value)}
+            disabled={disabled || mapperState.profiles.length === 0}
+          >
+            <option value="">
+              {mapperState.profiles.length === 0 ? 'No saved profiles' : 'Choose a profile...'}
+            </option>
+            {mapperState.profiles.map(profile => (
+              <option key={profile._id} value={profile._id}>
+                {profile.name}{profile.sourceSystem ? ` (${profile.sourceSystem})` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {mapperState.selectedProfileId && (
+          <button onClick={handleProfileDelete} className="delete-profile-btn" disabled={disabled}>
+            Delete profile
+          </button>
+        )}
+      </div>
+
+      <table className="mapping-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Column in file</th>
+            <th>Sample value</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(fields).map(([field, config]) => (
+            <tr key={field}>
+              <td>
+                <span className="field-label">{config.label}</span>
+                {config.required && <span className="required-marker">*</span>}
+                <span className="field-type">{config.type}</span>
+              </td>
+              <td>
+                <select
+                  value={fieldHeaders[field] || ''}
+                  onChange={(e) => handleFieldChange(field, e.target.value)}
+                  className={sharedHeaders.includes(fieldHeaders[field]) ? 'shared' : ''}
+                  disabled={disabled}
+                >
+                  <option value="">— Not mapped —</option>
+                  {headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+                {renderMatchHint(field)}
+              </td>
+              <td className="sample-value">
+                {fieldHeaders[field] && sampleRow ? String(sampleRow[fieldHeaders[field]] ?? '') : ''}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {missingRequired.length > 0 && (
+        <div className="mapper-warning">
+          ⚠️ Map the required fields: {missingRequired.join(', ')}
+        </div>
+      )}
+      {sharedHeaders.length > 0 && (
+        <div className="mapper-warning">
+          ⚠️ Mapped to more than one field: {sharedHeaders.join(', ')}
+        </div>
+      )}
+      {mapperState.error && (
+        <div className="mapper-error">❌ {mapperState.error}</div>
+      )}
+
+      <div className="profile-save">
+        <input
+          type="text"
+          value={mapperState.profileName}
+          onChange={(e) => setMapperState(prev => ({ ...prev, profileName: e.target.value }))}
+          placeholder="Profile name, e.g. Monthly arrears extract"
+          maxLength={80}
+          disabled={disabled}
+        />
+        <input
+          type="text"
+          value={mapperState.sourceSystem}
+          onChange={(e) => setMapperState(prev => ({ ...prev, sourceSystem: e.target.value }))}
+          placeholder="Source system, e.g. LMS"
+          maxLength={80}
+          disabled={disabled}
+        />
+      </div>
+
+      <div className="mapper-actions">
+        {onCancel && (
+          <button onClick={onCancel} className="cancel-btn" disabled={disabled}>
+            Cancel
+          </button>
+        )}
+        <button
+          onClick={handleSaveAndApply}
+          className="save-profile-btn"
+          disabled={disabled || mapperState.isSaving || missingRequired.length > 0 || !mapperState.profileName.trim()}
+          title="Saved profiles are applied automatically to files with the same columns"
+        >
+          {mapperState.isSaving ? 'Saving...' : 'Save Profile & Apply'}
+        </button>
+        <button
+          onClick={() => onApply?.(currentMapping)}
+          className="apply-btn"
+          disabled={disabled || missingRequired.length > 0}
+        >
+          Apply Mapping
+        </button>
+      </div>
+
+      <style jsx>{`
+        .column-mapper {
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          padding: 16px;
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+        }
+
+        .mapper-header h4 {
+          margin: 0 0 4px 0;
+          font-size: 16px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .mapper-header p {
+          margin: 0;
+          font-size: 14px;
+          color: #718096;
+        }
+
+        .mapper-toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: flex-end;
+          gap: 12px;
+        }
+
+        .toolbar-field {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 13px;
+          color: #4a5568;
+        }
+
+        select,
+        .profile-save input {
+          padding: 6px 10px;
+          border: 1px solid #cbd5e0;
+          border-radius: 6px;
+          font-size: 14px;
+          background: #fff;
+        }
+
+        select.shared {
+          border-color: #d69e2e;
+        }
+
+        .mapping-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .mapping-table th {
+          background: #f8fafc;
+          border-bottom: 1px solid #e2e8f0;
+          padding: 8px 12px;
+          text-align: left;
+          font-size: 13px;
+          font-weight: 600;
+          color: #4a5568;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+        }
+
+        .mapping-table td {
+          border-bottom: 1px solid #f1f5f9;
+          padding: 8px 12px;
+          font-size: 14px;
+          color: #2d3748;
+        }
+
+        .field-label {
+          font-weight: 500;
+        }
+
+        .required-marker {
+          color: #e53e3e;
+          margin-left: 2px;
+        }
+
+        .field-type {
+          margin-left: 8px;
+          font-size: 12px;
+          color: #a0aec0;
+        }
+
+        .match-hint {
+          margin-left: 8px;
+          font-size: 12px;
+        }
+
+        .match-hint.alias {
+          color: #38a169;
+        }
+
+        .match-hint.fuzzy {
+          color: #d69e2e;
+        }
+
+        .sample-value {
+          color: #718096;
+          font-family: monospace;
+          max-width: 200px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .mapper-warning,
+        .mapper-error {
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .mapper-warning {
+          background: #fefcbf;
+          color: #975a16;
+        }
+
+        .mapper-error {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .profile-save {
+          display: grid;
+          grid-template-columns: 2fr 1fr;
+          gap: 8px;
+        }
+
+        .mapper-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        .mapper-actions button,
+        .delete-profile-btn {
+          padding: 8px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+          border: 1px solid #cbd5e0;
+          background: #fff;
+          color: #4a5568;
+        }
+
+        .mapper-actions .apply-btn {
+          background: #3182ce;
+          border-color: #3182ce;
+          color: #fff;
+        }
+
+        .mapper-actions button:disabled,
+        .delete-profile-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .delete-profile-btn {
+          color: #c53030;
+          border-color: #feb2b2;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ColumnMapper;
@@ -1,16 +1,19 @@
 // src/components/admin/DataUploader.js
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useEffect } from 'react';
 import FileValidator from './FileValidator';
-import { REPORT_TYPES } from '../../utils/constants';
-import { saveDataToIndexedDB } from '../../utils/indexedDBHelper';
-import { processCSVFile } from '../../utils/csvProcessor';
+import ColumnMapper from './ColumnMapper';
+import { REPORT_TYPES, UPLOAD_MODES, FILE_CONSTRAINTS } from '../../utils/constants';
+import dataManager from '../../utils/dataManager';
+import { isCancelledError } from '../../utils/csvProcessor';
+import { getDefaultUploadMode } from '../../utils/uploadPlanner';
+import { formatDateWindow } from '../../utils/dateUtils';
 
 const DataUploader = ({ 
   onUploadComplete,
   onUploadProgress,
   defaultReportType = null,
   allowedTypes = Object.values(REPORT_TYPES),
-  maxFileSize = 10 * 1024 * 1024, // 10MB
+  maxFileSize = FILE_CONSTRAINTS.MAX_SIZE,
   className = ""
 }) => {
   const [uploadState, setUploadState] = useState({
@@ -19,20 +22,29 @@ const DataUploader = ({
     isUploading: false,
     uploadProgress: 0,
     validationResult: null,
+    columnMapping: null,
+    sheetOptions: null,
+    showMapper: false,
+    uploadMode: null,
+    note: '',
+    preview: null,
+    isPreviewing: false,
     error: null,
     success: false
   });
 
   const fileInputRef = useRef(null);
   const dropZoneRef = useRef(null);
+  const uploadAbortRef = useRef(null);
 
   // Handle file selection
   const handleFileSelect = useCallback((file) => {
     // Validate file type
-    if (!file.name.toLowerCase().endsWith('.csv')) {
+    const extension = '.' + file.name.split('.').pop().toLowerCase();
+    if (!FILE_CONSTRAINTS.ALLOWED_TYPES.includes(extension)) {
       setUploadState(prev => ({
         ...prev,
-        error: 'Please select a CSV file',
+        error: 'Please select a CSV or Excel file',
         file: null
       }));
       return;
@@ -53,7 +65,10 @@ const DataUploader = ({
       file,
       error: null,
       success: false,
-      validationResult: null
+      validationResult: null,
+      columnMapping: null,
+      sheetOptions: null,
+      showMapper: false
     }));
   }, [maxFileSize]);
 
@@ -92,19 +107,110 @@ const DataUploader = ({
       ...prev,
       reportType,
       validationResult: null,
+      columnMapping: null,
+      sheetOptions: null,
+      showMapper: false,
+      uploadMode: null,
+      preview: null,
       error: null
     }));
   };
 
-  // Handle validation results
+  // Handle validation results. Files whose columns weren't recognised open
+  // the column mapper.
   const handleValidation = (validationResult) => {
+    const unmatchedColumns = validationResult.isValid === false &&
+      Boolean(validationResult.details?.headers) &&
+      validationResult.errors.some(e => e.type === 'MISSING_REQUIRED_FIELD' || e.type === 'VALIDATION_ERROR');
+
     setUploadState(prev => ({
       ...prev,
       validationResult,
+      showMapper: prev.showMapper || unmatchedColumns,
+      preview: null,
       error: validationResult.isValid === false ? 'File validation failed' : null
     }));
   };
 
+  // Re-read a workbook from another sheet or header row. Mappings are per
+  // header row, so the column mapping starts again.
+  const handleSheetOptionsChange = (changes) => {
+    const workbook = uploadState.validationResult?.details?.workbook;
+    setUploadState(prev => ({
+      ...prev,
+      sheetOptions: {
+        sheetName: workbook?.sheetName,
+        headerRow: workbook?.headerRow,
+        ...changes
+      },
+      columnMapping: null,
+      showMapper: false,
+      validationResult: null,
+      preview: null,
+      error: null
+    }));
+  };
+
+  // Re-validate the file with the chosen column mapping
+  const handleApplyMapping = (columnMapping) => {
+    setUploadState(prev => ({
+      ...prev,
+      columnMapping,
+      showMapper: false,
+      validationResult: null,
+      preview: null,
+      error: null
+    }));
+  };
+
+  // Sub-reports (e.g. call center report1-report4) each have their own store
+  const validationDetails = uploadState.validationResult?.details;
+  const uploadConfig = validationDetails?.reportConfig;
+  const storeName = validationDetails?.fileStructure?.store || uploadState.reportType;
+  const uploadMode = uploadState.uploadMode || getDefaultUploadMode(uploadConfig);
+
+  // Preview what the upload will insert, update and leave unchanged
+  useEffect(() => {
+    const rows = validationDetails?.csvData;
+    if (!uploadState.validationResult?.isValid || !Array.isArray(rows) || !storeName) return undefined;
+
+    let cancelled = false;
+    setUploadState(prev => ({ ...prev, isPreviewing: true }));
+
+    dataManager.previewUpload(rows, uploadState.reportType, { storeName, config: uploadConfig, mode: uploadMode })
+      .then(plan => {
+        if (!cancelled) {
+          setUploadState(prev => ({
+            ...prev,
+            isPreviewing: false,
+            preview: { mode: uploadMode, counts: plan.counts, range: plan.range, snapshot: plan.snapshot }
+          }));
+        }
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setUploadState(prev => ({
+            ...prev,
+            isPreviewing: false,
+            preview: { mode: uploadMode, error: error.message }
+          }));
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [uploadState.validationResult, uploadState.reportType, validationDetails, storeName, uploadMode, uploadConfig]);
+
+  const handleUploadModeChange = (mode) => {
+    setUploadState(prev => ({
+      ...prev,
+      uploadMode: mode,
+      preview: null,
+      error: null
+    }));
+  };
+
   // Handle upload - FIXED VERSION
   const handleUpload = async () => {
     if (!uploadState.file || !uploadState.reportType) {
@@ -123,6 +229,9 @@ const DataUploader = ({
       return;
     }
 
+    const abortController = new AbortController();
+    uploadAbortRef.current = abortController;
+
     setUploadState(prev => ({
       ...prev,
       isUploading: true,
@@ -131,78 +240,58 @@ const DataUploader = ({
     }));
 
     try {
-      // Simple CSV processing - use the data from validation
-      setUploadState(prev => ({ ...prev, uploadProgress: 25 }));
-      onUploadProgress?.(25);
-
-      // Get the CSV data from the validation result
-      let csvData = uploadState.validationResult.details?.csvData;
-      
-      // If that doesn't work, try to get full data from validation summary
-      if (!csvData || !Array.isArray(csvData) || csvData.length === 0) {
-        // Fallback: re-read the file directly
-        const reader = new FileReader();
-        const fileContent = await new Promise((resolve, reject) => {
-          reader.onload = (e) => resolve(e.target.result);
-          reader.onerror = (e) => reject(new Error('Failed to read file'));
-          reader.readAsText(uploadState.file);
-        });
-
-        // Simple CSV parsing
-        const lines = fileContent.split('\n').filter(line => line.trim());
-        if (lines.length === 0) {
-          throw new Error('No data found in CSV file');
-        }
-
-        const headers = lines[0].split(',').map(h => h.trim());
-        csvData = lines.slice(1).map((line, index) => {
-          const values = line.split(',').map(v => v.trim());
-          const row = {};
-          headers.forEach((header, i) => {
-            row[header] = values[i] || '';
-          });
-          row._rowIndex = index + 2; // For tracking
-          return row;
-        });
-      }
+      // Rows were parsed (off the main thread) during validation
+      setUploadState(prev => ({ ...prev, uploadProgress: 10 }));
+      onUploadProgress?.(10);
 
-      // Ensure all records have required IndexedDB fields
-      if (Array.isArray(csvData)) {
-        csvData = csvData.map((row, index) => ({
-          ...row,
-          _id: row._id || `${uploadState.reportType}_${Date.now()}_${index}`,
-          _processed_date: row._processed_date || new Date().toISOString(),
-          date: row.date || row.stage_date || row.funded_date || new Date().toISOString().split('T')[0]
-        }));
-      }
+      const csvData = validationDetails?.csvData;
+      const fileStructure = validationDetails?.fileStructure;
 
       if (!Array.isArray(csvData) || csvData.length === 0) {
-        throw new Error('Invalid CSV data format or empty file');
+        throw new Error('No validated rows to upload. Please select the file again.');
       }
 
-      setUploadState(prev => ({ ...prev, uploadProgress: 50 }));
-      onUploadProgress?.(50);
+      setUploadState(prev => ({ ...prev, uploadProgress: 20 }));
+      onUploadProgress?.(20);
 
-      // Save to IndexedDB - use the raw CSV data for now
-      await saveDataToIndexedDB(uploadState.reportType, csvData);
-      
-      setUploadState(prev => ({ ...prev, uploadProgress: 75 }));
-      onUploadProgress?.(75);
+      // Merge with what is already stored according to the upload mode and
+      // write the rows as one upload batch so it shows in Upload History
+      const { plan, batch } = await dataManager.saveUpload(csvData, uploadState.reportType, {
+        storeName,
+        config: uploadConfig,
+        fileStructure: fileStructure?.key || null,
+        fileName: uploadState.file.name,
+        fileSize: uploadState.file.size,
+        mode: uploadMode,
+        note: uploadState.note,
+        // Rows are saved in batches; the rest of the bar tracks them
+        onProgress: (written, total) => {
+          const uploadProgress = 20 + Math.round((written / total) * 80);
+          setUploadState(prev => ({ ...prev, uploadProgress }));
+          onUploadProgress?.(uploadProgress);
+        },
+        signal: abortController.signal
+      });
 
       // Complete
       setUploadState(prev => ({
         ...prev,
         uploadProgress: 100,
         isUploading: false,
+        preview: { mode: uploadMode, counts: plan.counts, range: plan.range, snapshot: plan.snapshot },
         success: true
       }));
 
       onUploadProgress?.(100);
       onUploadComplete?.({
         reportType: uploadState.reportType,
+        fileStructure: fileStructure?.key || null,
         fileName: uploadState.file.name,
+        uploadMode,
+        batchId: batch.batchId,
         recordCount: csvData.length,
-        uploadedAt: new Date().toISOString()
+        counts: plan.counts,
+        uploadedAt: batch.uploadedAt
       });
 
       // Force refresh of the data in dashboard
@@ -210,6 +299,9 @@ const DataUploader = ({
         window.dispatchEvent(new CustomEvent('data-uploaded', {
           detail: { 
             reportType: uploadState.reportType, 
+            fileStructure: fileStructure?.key || null,
+            uploadMode,
+            batchId: batch.batchId,
             recordCount: csvData.length 
           }
         }));
@@ -221,12 +313,21 @@ const DataUploader = ({
         ...prev,
         isUploading: false,
         uploadProgress: 0,
-        error: `Upload failed: ${error.message}`
+        error: isCancelledError(error)
+          ? 'Upload cancelled. No rows were saved.'
+          : `Upload failed: ${error.message}`
       }));
       onUploadProgress?.(0);
+    } finally {
+      uploadAbortRef.current = null;
     }
   };
 
+  // Stop an upload between batches; rows already saved are removed again
+  const handleCancelUpload = () => {
+    uploadAbortRef.current?.abort();
+  };
+
   // Clear file selection
   const handleClear = () => {
     setUploadState({
@@ -235,6 +336,13 @@ const DataUploader = ({
       isUploading: false,
       uploadProgress: 0,
       validationResult: null,
+      columnMapping: null,
+      sheetOptions: null,
+      showMapper: false,
+      uploadMode: uploadState.uploadMode,
+      note: '',
+      preview: null,
+      isPreviewing: false,
       error: null,
       success: false
     });
@@ -275,7 +383,7 @@ const DataUploader = ({
     <div className={`data-uploader ${className}`}>
       <div className="uploader-header">
         <h3>Upload Data File</h3>
-        <p>Select a CSV file and report type to upload data to the dashboard</p>
+        <p>Select a CSV or Excel file and report type to upload data to the dashboard</p>
       </div>
 
       {/* Report Type Selection */}
@@ -298,7 +406,7 @@ const DataUploader = ({
 
       {/* File Upload Section */}
       <div className="file-upload-section">
-        <label className="section-label">CSV File</label>
+        <label className="section-label">Data File</label>
         
         {/* Drop Zone */}
         <div
@@ -335,7 +443,7 @@ const DataUploader = ({
             <div className="drop-zone-content">
               <div className="upload-icon">📁</div>
               <div className="upload-text">
-                <strong>Click to browse</strong> or drag and drop your CSV file here
+                <strong>Click to browse</strong> or drag and drop your CSV or Excel file here
               </div>
               <div className="upload-hint">
                 Maximum file size: {Math.round(maxFileSize / 1024 / 1024)}MB
@@ -348,22 +456,158 @@ const DataUploader = ({
         <input
           ref={fileInputRef}
           type="file"
-          accept=".csv"
+          accept={FILE_CONSTRAINTS.ALLOWED_TYPES.join(',')}
           onChange={handleFileInputChange}
           style={{ display: 'none' }}
           disabled={uploadState.isUploading}
         />
       </div>
 
+      {/* Workbook Sheet */}
+      {validationDetails?.workbook && !uploadState.success && (
+        <div className="sheet-section">
+          <label className="section-label">
+            Sheet
+            <select
+              value={validationDetails.workbook.sheetName}
+              onChange={(e) => handleSheetOptionsChange({ sheetName: e.target.value, headerRow: null })}
+              className="sheet-select"
+              disabled={uploadState.isUploading}
+            >
+              {validationDetails.workbook.sheets.map(sheet => (
+                <option key={sheet.name} value={sheet.name}>
+                  {sheet.name} ({sheet.rowCount} rows)
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="section-label">
+            Header row
+            <input
+              type="number"
+              min={1}
+              value={validationDetails.workbook.headerRow}
+              onChange={(e) => {
+                const headerRow = parseInt(e.target.value, 10);
+                if (headerRow > 0) handleSheetOptionsChange({ headerRow });
+              }}
+              className="header-row-input"
+              disabled={uploadState.isUploading}
+            />
+          </label>
+        </div>
+      )}
+
       {/* File Validation */}
       {uploadState.file && uploadState.reportType && (
         <div className="validation-section">
           <FileValidator
             file={uploadState.file}
             reportType={uploadState.reportType}
+            columnMapping={uploadState.columnMapping}
+            sheetOptions={uploadState.sheetOptions}
             onValidation={handleValidation}
             autoValidate={true}
           />
+
+          {validationDetails?.headers && !uploadState.showMapper && !uploadState.success && (
+            <button
+              onClick={() => setUploadState(prev => ({ ...prev, showMapper: true }))}
+              className="mapping-toggle-btn"
+              disabled={uploadState.isUploading}
+            >
+              Edit column mapping
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Column Mapping */}
+      {uploadState.file && uploadState.showMapper && validationDetails?.headers && (
+        <ColumnMapper
+          key={`${uploadState.reportType}-${uploadState.file.name}`}
+          reportType={uploadState.reportType}
+          headers={validationDetails.headers}
+          sampleRow={validationDetails.sampleRow}
+          mapping={validationDetails.columnMapping}
+          activeProfile={validationDetails.mappingProfile}
+          onApply={handleApplyMapping}
+          onCancel={() => setUploadState(prev => ({ ...prev, showMapper: false }))}
+          disabled={uploadState.isUploading}
+        />
+      )}
+
+      {/* Upload Mode and Preview */}
+      {uploadState.validationResult?.isValid && !uploadState.success && (
+        <div className="upload-mode-section">
+          <label className="section-label">Upload Mode</label>
+          <div className="upload-mode-options">
+            {Object.entries(UPLOAD_MODES).map(([mode, config]) => {
+              const needsKey = mode !== 'append' && !uploadConfig?.naturalKey;
+              return (
+                <label
+                  key={mode}
+                  className={`upload-mode-option ${uploadMode === mode ? 'selected' : ''}`}
+                  title={needsKey ? 'This report has no key to match rows on' : config.description}
+                >
+                  <input
+                    type="radio"
+                    name="upload-mode"
+                    value={mode}
+                    checked={uploadMode === mode}
+                    onChange={() => handleUploadModeChange(mode)}
+                    disabled={needsKey || uploadState.isUploading}
+                  />
+                  <span className="upload-mode-label">{config.label}</span>
+                  <span className="upload-mode-description">{config.description}</span>
+                </label>
+              );
+            })}
+          </div>
+
+          <label htmlFor="upload-note" className="section-label upload-note-label">Note (optional)</label>
+          <input
+            id="upload-note"
+            type="text"
+            value={uploadState.note}
+            onChange={(e) => setUploadState(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="e.g. March extract, corrected arrears stages"
+            className="upload-note-input"
+            maxLength={200}
+            disabled={uploadState.isUploading}
+          />
+
+          <div className="upload-preview">
+            {uploadState.isPreviewing && <span>Comparing with stored data...</span>}
+            {!uploadState.isPreviewing && uploadState.preview?.error && (
+              <span className="preview-error">{uploadState.preview.error}</span>
+            )}
+            {!uploadState.isPreviewing && uploadState.preview?.counts && (
+              <>
+                <span className="preview-count inserted">➕ {uploadState.preview.counts.inserted} inserted</span>
+                <span className="preview-count updated">✏️ {uploadState.preview.counts.updated} updated</span>
+                <span className="preview-count unchanged">＝ {uploadState.preview.counts.unchanged} unchanged</span>
+                {uploadState.preview.snapshot && (
+                  <span className="preview-count">📅 into the {uploadState.preview.snapshot} snapshot</span>
+                )}
+                {uploadState.preview.mode === 'replace_range' && (
+                  <span className="preview-count removed">
+                    🗑️ {uploadState.preview.counts.removed} removed from {formatDateWindow(uploadState.preview.range)}
+                  </span>
+                )}
+                {uploadState.preview.mode === 'append' && uploadState.preview.counts.duplicates > 0 && (
+                  <span className="preview-warning">
+                    ⚠️ {uploadState.preview.counts.duplicates} rows are already stored and will be duplicated
+                  </span>
+                )}
+                {uploadState.preview.mode !== 'append' && uploadState.preview.counts.duplicates > 0 && (
+                  <span className="preview-warning">
+                    ⚠️ {uploadState.preview.counts.duplicates} repeated rows in the file; the last one is kept
+                  </span>
+                )}
+              </>
+            )}
+          </div>
         </div>
       )}
 
@@ -372,6 +616,9 @@ const DataUploader = ({
         <div className="progress-section">
           <div className="progress-label">
             Uploading... {uploadState.uploadProgress}%
+            <button onClick={handleCancelUpload} className="cancel-upload-btn">
+              Cancel
+            </button>
           </div>
           <div className="progress-bar">
             <div 
@@ -395,7 +642,15 @@ const DataUploader = ({
         <div className="success-message">
           <span className="success-icon">✅</span>
           <span className="success-text">
-            File uploaded successfully! Data is now available in the dashboard.
+            File uploaded successfully
+            {uploadState.validationResult?.details?.fileStructure &&
+              ` as ${uploadState.validationResult.details.fileStructure.name}`}
+            ! Data is now available in the dashboard.
+            {uploadState.preview?.counts && (
+              ` ${uploadState.preview.counts.inserted} inserted, ${uploadState.preview.counts.updated} updated, ` +
+              `${uploadState.preview.counts.unchanged} unchanged` +
+              (uploadState.preview.counts.removed > 0 ? `, ${uploadState.preview.counts.removed} removed.` : '.')
+            )}
           </span>
         </div>
       )}
@@ -583,6 +838,44 @@ const DataUploader = ({
           background: #c53030;
         }
 
+        .sheet-section {
+          display: flex;
+          gap: 16px;
+        }
+
+        .sheet-section .section-label {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .sheet-select,
+        .header-row-input {
+          padding: 8px 12px;
+          border: 1px solid #cbd5e0;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: normal;
+        }
+
+        .header-row-input {
+          width: 100px;
+        }
+
+        .mapping-toggle-btn {
+          margin-top: 8px;
+          padding: 0;
+          background: none;
+          border: none;
+          color: #3182ce;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .mapping-toggle-btn:hover {
+          text-decoration: underline;
+        }
+
         .progress-section {
           display: flex;
           flex-direction: column;
@@ -595,6 +888,17 @@ const DataUploader = ({
           color: #4a5568;
         }
 
+        .cancel-upload-btn {
+          margin-left: 12px;
+          padding: 2px 10px;
+          background: #fff;
+          border: 1px solid #cbd5e0;
+          border-radius: 4px;
+          font-size: 13px;
+          color: #4a5568;
+          cursor: pointer;
+        }
+
         .progress-bar {
           width: 100%;
           height: 8px;
@@ -610,6 +914,69 @@ const DataUploader = ({
           transition: width 0.3s ease;
         }
 
+        .upload-mode-options {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .upload-mode-option {
+          display: grid;
+          grid-template-columns: auto 1fr;
+          column-gap: 8px;
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          cursor: pointer;
+        }
+
+        .upload-mode-option.selected {
+          border-color: #3182ce;
+          background: #ebf8ff;
+        }
+
+        .upload-mode-label {
+          font-weight: 600;
+          font-size: 14px;
+          color: #2d3748;
+        }
+
+        .upload-mode-description {
+          grid-column: 2;
+          font-size: 13px;
+          color: #718096;
+        }
+
+        .upload-note-label {
+          margin-top: 16px;
+        }
+
+        .upload-note-input {
+          width: 100%;
+          padding: 10px 12px;
+          border: 1px solid #cbd5e0;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .upload-preview {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          margin-top: 12px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .preview-error {
+          color: #c53030;
+        }
+
+        .preview-warning {
+          flex-basis: 100%;
+          color: #b7791f;
+        }
+
         .error-message {
           background: #fed7d7;
           border: 1px solid #feb2b2;
@@ -1,18 +1,28 @@
 // src/components/admin/FileValidator.js - Clean version with juddering fix
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { REPORT_CONFIGS } from '../../config/reportConfig';
-import { COLUMN_MAPPINGS } from '../../utils/constants';
-import Papa from 'papaparse';
+import {
+  getFileStructureConfig,
+  isCancelledError,
+  readCSVHeaders,
+  validateCSVFile
+} from '../../utils/csvProcessor';
+import { findMappingProfile, getProfileMapping } from '../../utils/columnMapping';
+import { isWorkbookFile, parseWorkbookFile } from '../../utils/excelImporter';
+import { validateUploadRows } from '../../utils/uploadValidation';
 
 const FileValidator = ({ 
   file, 
   reportType, 
+  columnMapping = null,
+  sheetOptions = null,
   onValidation,
   autoValidate = true,
   className = ""
 }) => {
   const [validationState, setValidationState] = useState({
     isValidating: false,
+    progress: null,
     isValid: null,
     errors: [],
     warnings: [],
@@ -20,265 +30,12 @@ const FileValidator = ({
     details: null
   });
 
+  // Aborts the streamed parse of the file being validated
+  const abortControllerRef = useRef(null);
+
   // Prevent juddering - only validate once per file/reportType combination
   const [hasValidated, setHasValidated] = useState(false);
 
-  // Helper function to validate UK date formats (DD/MM/YYYY, DD-MM-YYYY, etc.)
-  const isValidUKDate = useCallback((dateString) => {
-    if (!dateString || typeof dateString !== 'string') return false;
-    
-    const cleaned = dateString.trim();
-    const ukDatePattern = /^(\d{1,2})[\/\-\.](\d{1,2})[\/\-\.](\d{4})$/;
-    const match = cleaned.match(ukDatePattern);
-    
-    if (!match) return false;
-    
-    const [, day, month, year] = match;
-    const dayNum = parseInt(day, 10);
-    const monthNum = parseInt(month, 10);
-    const yearNum = parseInt(year, 10);
-    
-    if (dayNum < 1 || dayNum > 31) return false;
-    if (monthNum < 1 || monthNum > 12) return false;
-    if (yearNum < 1900 || yearNum > 2100) return false;
-    
-    const dateObj = new Date(yearNum, monthNum - 1, dayNum);
-    return dateObj.getDate() === dayNum && 
-           dateObj.getMonth() === monthNum - 1 && 
-           dateObj.getFullYear() === yearNum;
-  }, []);
-
-  // Helper function to validate currency values
-  const isValidCurrency = useCallback((value) => {
-    if (!value || typeof value !== 'string') return false;
-    
-    const cleaned = value.trim()
-      .replace(/[£$€¥]/g, '')
-      .replace(/,/g, '')
-      .replace(/\s/g, '');
-    
-    return !isNaN(parseFloat(cleaned)) && isFinite(parseFloat(cleaned));
-  }, []);
-
-  // Read file content
-  const readFileContent = useCallback((file) => {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = (e) => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
-    });
-  }, []);
-
-  // Parse CSV with Papa Parse
-  const parseCSV = useCallback((content) => {
-    return new Promise((resolve, reject) => {
-      Papa.parse(content, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false,
-        delimitersToGuess: [',', '\t', ';', '|'],
-        transform: (value) => {
-          return typeof value === 'string' ? value.trim() : value;
-        },
-        complete: (results) => {
-          if (results.errors.length > 0) {
-            const criticalErrors = results.errors.filter(e => e.type === 'Delimiter');
-            if (criticalErrors.length > 0) {
-              reject(new Error(`CSV parsing error: ${criticalErrors[0].message}`));
-            } else {
-              resolve(results.data);
-            }
-          } else {
-            resolve(results.data);
-          }
-        },
-        error: (error) => {
-          reject(new Error(`CSV parsing failed: ${error.message}`));
-        }
-      });
-    });
-  }, []);
-
-  // Validate CSV structure and required columns
-  const validateCSVStructure = useCallback((csvData, reportConfig) => {
-    const errors = [];
-    const warnings = [];
-
-    if (!csvData || csvData.length === 0) {
-      errors.push({
-        type: 'NO_DATA',
-        message: 'No data found in CSV file',
-        severity: 'error'
-      });
-      return { errors, warnings };
-    }
-
-    const csvHeaders = Object.keys(csvData[0]);
-
-    // Check for required fields
-    const missingRequired = [];
-    Object.entries(reportConfig.fields).forEach(([fieldName, fieldConfig]) => {
-      if (fieldConfig.required) {
-        const possibleColumns = COLUMN_MAPPINGS[fieldName] || [fieldName];
-        
-        const foundColumn = possibleColumns.find(variation => 
-          csvHeaders.some(header => 
-            header.toLowerCase().trim() === variation.toLowerCase().trim()
-          )
-        );
-
-        if (!foundColumn) {
-          missingRequired.push({
-            field: fieldName,
-            label: fieldConfig.label,
-            possibleColumns: possibleColumns
-          });
-        }
-      }
-    });
-
-    if (missingRequired.length > 0) {
-      missingRequired.forEach(missing => {
-        errors.push({
-          type: 'MISSING_REQUIRED_FIELD',
-          message: `Required field '${missing.label}' not found. Expected one of: ${missing.possibleColumns.join(', ')}`,
-          severity: 'error'
-        });
-      });
-    }
-
-    return { errors, warnings };
-  }, []);
-
-  // Enhanced data type validation with UK format support
-  const validateDataTypes = useCallback((csvData, reportConfig) => {
-    const errors = [];
-    const warnings = [];
-
-    csvData.forEach((row, index) => {
-      Object.entries(reportConfig.fields).forEach(([fieldName, fieldConfig]) => {
-        const possibleColumns = COLUMN_MAPPINGS[fieldName] || [fieldName];
-        const csvHeaders = Object.keys(row);
-        const matchedVariation = possibleColumns.find(variation => 
-          csvHeaders.some(header => 
-            header.toLowerCase().trim() === variation.toLowerCase().trim()
-          )
-        );
-
-        if (!matchedVariation) return;
-
-        const csvHeaderName = csvHeaders.find(header => 
-          header.toLowerCase().trim() === matchedVariation.toLowerCase().trim()
-        );
-
-        const value = row[csvHeaderName];
-        
-        if (!fieldConfig.required && (value === null || value === undefined || value === '')) {
-          return;
-        }
-
-        if (value === null || value === undefined || value === '') {
-          return;
-        }
-
-        // Enhanced type checking with UK format support
-        switch (fieldConfig.type) {
-          case 'number':
-            const cleanedNumber = typeof value === 'string' ?
-              value.replace(/,/g, '').trim() : value;
-            if (isNaN(parseFloat(cleanedNumber))) {
-              errors.push({
-                type: 'TYPE_ERROR',
-                message: `Row ${index + 1}: '${csvHeaderName}' must be a number, got '${value}'`,
-                severity: 'error',
-                row: index + 1,
-                field: csvHeaderName,
-                value: value
-              });
-            }
-            break;
-
-          case 'currency':
-            // More flexible currency validation
-            const stringValue = typeof value === 'string' ? value : String(value);
-            const cleanedCurrency = stringValue.trim()
-              .replace(/[£$€¥�]/g, '') // Include � for encoding issues
-              .replace(/,/g, '')
-              .replace(/\s/g, '')
-              .replace(/[^\d.-]/g, ''); // Remove any non-numeric characters
-            
-            const currencyNumber = parseFloat(cleanedCurrency);
-            if (isNaN(currencyNumber) || !isFinite(currencyNumber)) {
-              errors.push({
-                type: 'TYPE_ERROR',
-                message: `Row ${index + 1}: '${csvHeaderName}' must be a valid currency amount, got '${value}'`,
-                severity: 'error',
-                row: index + 1,
-                field: csvHeaderName,
-                value: value
-              });
-            }
-            break;
-
-          case 'date':
-            if (!isValidUKDate(value) && isNaN(Date.parse(value))) {
-              errors.push({
-                type: 'TYPE_ERROR',
-                message: `Row ${index + 1}: '${csvHeaderName}' must be a valid date (DD/MM/YYYY or YYYY-MM-DD), got '${value}'`,
-                severity: 'error',
-                row: index + 1,
-                field: csvHeaderName,
-                value: value
-              });
-            }
-            break;
-
-          case 'percentage':
-            const percentValue = typeof value === 'string' ? 
-              parseFloat(value.replace('%', '').trim()) : parseFloat(value);
-            if (isNaN(percentValue) || percentValue < 0 || percentValue > 100) {
-              errors.push({
-                type: 'TYPE_ERROR',
-                message: `Row ${index + 1}: '${csvHeaderName}' must be a percentage (0-100), got '${value}'`,
-                severity: 'error',
-                row: index + 1,
-                field: csvHeaderName,
-                value: value
-              });
-            }
-            break;
-
-          default:
-            if (fieldConfig.required && (!value || value.toString().trim() === '')) {
-              errors.push({
-                type: 'TYPE_ERROR',
-                message: `Row ${index + 1}: '${csvHeaderName}' is required but empty`,
-                severity: 'error',
-                row: index + 1,
-                field: csvHeaderName,
-                value: value
-              });
-            }
-            break;
-        }
-      });
-    });
-
-    return { errors, warnings };
-  }, [isValidUKDate, isValidCurrency]);
-
-  // Basic business rules validation
-  const validateBusinessRules = useCallback((csvData, reportConfig) => {
-    const errors = [];
-    const warnings = [];
-    
-    // Add any business-specific validation here
-    // For now, just return empty arrays
-    
-    return { errors, warnings };
-  }, []);
-
   // Generate validation summary
   const generateValidationSummary = useCallback((data, errors, warnings) => {
     return {
@@ -297,47 +54,71 @@ const FileValidator = ({
   const validateFile = useCallback(async () => {
     if (!file || !reportType) return;
 
+    abortControllerRef.current?.abort();
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     setValidationState(prev => ({
       ...prev,
       isValidating: true,
+      progress: null,
       errors: [],
       warnings: [],
       isValid: null
     }));
 
+    // Kept outside the try so a failed validation can still offer column mapping
+    let fileHeaders = null;
+    let sampleRow = null;
+    let workbook = null;
+    let mapping = columnMapping;
+
     try {
-      const reportConfig = REPORT_CONFIGS[reportType];
-      if (!reportConfig) {
+      if (!REPORT_CONFIGS[reportType]) {
         throw new Error(`Unknown report type: ${reportType}`);
       }
 
-      if (!reportConfig.fields) {
-        throw new Error(`No fields configuration found for report type: ${reportType}`);
+      // An explicit mapping wins; otherwise reuse a profile saved for these headers
+      let mappingProfile = null;
+      const resolveMapping = async (headers) => {
+        if (mapping || headers.length === 0) return;
+        try {
+          mappingProfile = await findMappingProfile(reportType, headers);
+        } catch (error) {
+          console.warn('Could not load column mapping profiles:', error);
+        }
+        mapping = mappingProfile ? getProfileMapping(mappingProfile) : null;
+      };
+
+      // Workbooks are read from the chosen sheet and header row. CSV is
+      // parsed and validated in a worker so large files don't block the page.
+      let result;
+      if (isWorkbookFile(file)) {
+        const parsed = await parseWorkbookFile(file, { ...sheetOptions, reportType });
+        workbook = { sheets: parsed.sheets, sheetName: parsed.sheetName, headerRow: parsed.headerRow };
+        fileHeaders = parsed.rows.length > 0 ? Object.keys(parsed.rows[0]) : [];
+        sampleRow = parsed.rows[0] || null;
+        await resolveMapping(fileHeaders);
+        result = validateUploadRows(parsed.rows, { reportType, mapping });
+      } else {
+        fileHeaders = await readCSVHeaders(file);
+        await resolveMapping(fileHeaders);
+        result = await validateCSVFile(file, {
+          reportType,
+          mapping,
+          signal: abortController.signal,
+          onProgress: ({ rows, fraction }) => {
+            setValidationState(prev => ({ ...prev, progress: { rows, percent: Math.round(fraction * 100) } }));
+          }
+        });
+        sampleRow = result.sampleRow;
       }
 
-      // Read file content
-      const fileContent = await readFileContent(file);
-      
-      // Parse CSV
-      const csvData = await parseCSV(fileContent);
-
-      // Run validation steps
-      const structureValidation = validateCSVStructure(csvData, reportConfig);
-      const dataTypeValidation = validateDataTypes(csvData, reportConfig);
-      const businessRuleValidation = validateBusinessRules(csvData, reportConfig);
-
-      // Combine results
-      const allErrors = [
-        ...structureValidation.errors,
-        ...dataTypeValidation.errors,
-        ...businessRuleValidation.errors
-      ];
-
-      const allWarnings = [
-        ...structureValidation.warnings,
-        ...dataTypeValidation.warnings,
-        ...businessRuleValidation.warnings
-      ];
+      const csvData = result.rows;
+      const { fileStructure } = result;
+      const reportConfig = getFileStructureConfig(reportType, fileStructure?.key);
+      const allErrors = result.errors;
+      const allWarnings = result.warnings;
 
       const isValid = allErrors.length === 0;
 
@@ -350,13 +131,25 @@ const FileValidator = ({
         warnings: allWarnings,
         summary,
         details: {
-          csvData: csvData.slice(0, 5),
-          reportConfig
+          // Full parsed rows; the summary carries the sample
+          csvData,
+          reportConfig,
+          fileStructure,
+          headers: fileHeaders,
+          sampleRow,
+          workbook,
+          columnMapping: mapping,
+          mappingProfile: mappingProfile && {
+            id: mappingProfile._id,
+            name: mappingProfile.name,
+            sourceSystem: mappingProfile.sourceSystem
+          }
         }
       };
 
       setValidationState({
         isValidating: false,
+        progress: null,
         isValid,
         errors: allErrors,
         warnings: allWarnings,
@@ -370,34 +163,37 @@ const FileValidator = ({
       }
 
     } catch (error) {
+      // A newer validation or a cancel replaced this one
+      if (isCancelledError(error) && abortControllerRef.current !== abortController) return;
       console.error('Validation error:', error);
       
       const errorResult = {
         isValid: false,
         errors: [{
           type: 'VALIDATION_ERROR',
-          message: error.message,
+          message: isCancelledError(error) ? 'Validation cancelled' : error.message,
           severity: 'error'
         }],
         warnings: [],
         summary: null,
-        details: null
+        details: fileHeaders ? { headers: fileHeaders, sampleRow, workbook, columnMapping: mapping } : null
       };
 
       setValidationState({
         isValidating: false,
+        progress: null,
         isValid: false,
         errors: errorResult.errors,
         warnings: [],
         summary: null,
-        details: null
+        details: errorResult.details
       });
 
       if (onValidation) {
         onValidation(errorResult);
       }
     }
-  }, [file, reportType, readFileContent, parseCSV, validateCSVStructure, validateDataTypes, validateBusinessRules, generateValidationSummary, onValidation]);
+  }, [file, reportType, columnMapping, sheetOptions, generateValidationSummary, onValidation]);
 
   // Fixed auto-validation to prevent juddering - only validate once per file/reportType
   useEffect(() => {
@@ -407,10 +203,17 @@ const FileValidator = ({
     }
   }, [file, reportType, autoValidate, hasValidated, validateFile]);
 
-  // Reset validation flag when file or reportType changes
+  // Reset validation flag when file, reportType, column mapping or sheet changes
   useEffect(() => {
     setHasValidated(false);
-  }, [file, reportType]);
+  }, [file, reportType, columnMapping, sheetOptions]);
+
+  // Stop parsing when the file changes or the validator unmounts
+  useEffect(() => () => abortControllerRef.current?.abort(), [file]);
+
+  const cancelValidation = () => {
+    abortControllerRef.current?.abort();
+  };
 
   // Manual validation trigger
   const triggerValidation = () => {
@@ -424,7 +227,14 @@ const FileValidator = ({
       return (
         <div className="validation-status validating">
           <div className="validation-spinner"></div>
-          <span>Validating file...</span>
+          <span>
+            Validating file...
+            {validationState.progress &&
+              ` ${validationState.progress.rows.toLocaleString()} rows read (${validationState.progress.percent}%)`}
+          </span>
+          <button onClick={cancelValidation} className="cancel-validation-btn">
+            Cancel
+          </button>
         </div>
       );
     }
@@ -450,6 +260,15 @@ const FileValidator = ({
               <span>📄 {validationState.summary.fileName}</span>
               <span>📊 {validationState.summary.totalRows} rows</span>
               <span>💾 {validationState.summary.fileSize}</span>
+              {validationState.details?.workbook && (
+                <span>📑 {validationState.details.workbook.sheetName}</span>
+              )}
+              {validationState.details?.fileStructure && (
+                <span>🗂️ {validationState.details.fileStructure.name}</span>
+              )}
+              {validationState.details?.mappingProfile && (
+                <span>🔗 Mapped with {validationState.details.mappingProfile.name}</span>
+              )}
               {validationState.summary.errorCount > 0 && (
                 <span className="error-count">❌ {validationState.summary.errorCount} errors</span>
               )}
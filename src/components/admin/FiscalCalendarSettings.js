@@ -0,0 +1,307 @@
+// src/components/admin/FiscalCalendarSettings.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import {
+  DEFAULT_FISCAL_CALENDAR,
+  WEEK_PATTERNS,
+  describeFiscalCalendar,
+  formatFiscalYear,
+  getFiscalPeriods,
+  getFiscalYearOf
+} from '../../utils/fiscalCalendar';
+import { formatDate } from '../../utils/dateUtils';
+
+const MONTHS = Array.from({ length: 12 }, (_, index) => ({
+  value: index + 1,
+  label: new Date(2000, index, 1).toLocaleDateString('en-GB', { month: 'long' })
+}));
+
+const toPatternKey = (weekPattern) => (weekPattern ? weekPattern.join('-') : '');
+
+const FiscalCalendarSettings = ({ className = "" }) => {
+  const { fiscalCalendar, saveFiscalCalendar, resetFiscalCalendar } = useFilterContext();
+  const [draft, setDraft] = useState(fiscalCalendar);
+  const [settingsState, setSettingsState] = useState({
+    isSaving: false,
+    message: null
+  });
+
+  // Start over from the saved calendar when it changes
+  useEffect(() => {
+    setDraft(fiscalCalendar);
+  }, [fiscalCalendar]);
+
+  // Periods of the current fiscal year under the calendar being edited
+  const preview = useMemo(() => {
+    const fiscalYear = getFiscalYearOf(new Date(), draft);
+    return { fiscalYear, periods: getFiscalPeriods(fiscalYear, draft) };
+  }, [draft]);
+
+  const isCustomised = JSON.stringify(fiscalCalendar) !== JSON.stringify(DEFAULT_FISCAL_CALENDAR);
+  const isChanged = JSON.stringify(draft) !== JSON.stringify(fiscalCalendar);
+
+  const handlePatternChange = (key) => {
+    setDraft(prev => ({ ...prev, weekPattern: key ? key.split('-').map(Number) : null }));
+  };
+
+  const handleSave = async () => {
+    setSettingsState({ isSaving: true, message: null });
+    try {
+      await saveFiscalCalendar(draft);
+      setSettingsState({ isSaving: false, message: { type: 'success', text: 'Fiscal calendar saved' } });
+    } catch (error) {
+      setSettingsState({ isSaving: false, message: { type: 'error', text: error.message } });
+    }
+  };
+
+  const handleReset = async () => {
+    setSettingsState({ isSaving: true, message: null });
+    try {
+      await resetFiscalCalendar();
+      setSettingsState({ isSaving: false, message: { type: 'success', text: 'Restored the default fiscal calendar' } });
+    } catch (error) {
+      setSettingsState({ isSaving: false, message: { type: 'error', text: error.message } });
+    }
+  };
+
+  return (
+    <div className={`fiscal-calendar-settings ${className}`}>
+      {/* Header */}
+      <div className="settings-header">
+        <h3>Fiscal Calendar</h3>
+        <p>Used by the fiscal date presets, fiscal trend periods and the fiscal columns of exports</p>
+      </div>
+
+      {settingsState.message && (
+        <div className={`settings-message ${settingsState.message.type}`}>{settingsState.message.text}</div>
+      )}
+
+      <div className="settings-body">
+        <div className="settings-fields">
+          <label className="settings-field">
+            <span>Fiscal year starts in</span>
+            <select
+              value={draft.startMonth}
+              onChange={(e) => setDraft(prev => ({ ...prev, startMonth: Number(e.target.value) }))}
+            >
+              {MONTHS.map(month => (
+                <option key={month.value} value={month.value}>{month.label}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="settings-field">
+            <span>Periods</span>
+            <select
+              value={toPatternKey(draft.weekPattern)}
+              onChange={(e) => handlePatternChange(e.target.value)}
+            >
+              <option value="">Calendar months</option>
+              {WEEK_PATTERNS.map(pattern => (
+                <option key={toPatternKey(pattern)} value={toPatternKey(pattern)}>
+                  {toPatternKey(pattern)} weeks
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <p className="settings-summary">{describeFiscalCalendar(draft)}</p>
+
+        {/* Preview */}
+        <table className="period-preview">
+          <caption>{formatFiscalYear(preview.fiscalYear, draft)}</caption>
+          <thead>
+            <tr>
+              <th>Period</th>
+              <th>Quarter</th>
+              <th>From</th>
+              <th>To</th>
+            </tr>
+          </thead>
+          <tbody>
+            {preview.periods.map(period => (
+              <tr key={period.period}>
+                <td>P{period.period}</td>
+                <td>Q{period.quarter}</td>
+                <td>{formatDate(period.start)}</td>
+                <td>
+                  {formatDate(new Date(period.end.getFullYear(), period.end.getMonth(), period.end.getDate() - 1))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="settings-footer">
+        <button
+          type="button"
+          className="btn-reset"
+          onClick={handleReset}
+          disabled={settingsState.isSaving || !isCustomised}
+          title="Go back to the fiscal calendar in the app configuration"
+        >
+          Reset to default
+        </button>
+        <button
+          type="button"
+          className="btn-save"
+          onClick={handleSave}
+          disabled={settingsState.isSaving || !isChanged}
+        >
+          {settingsState.isSaving ? 'Saving...' : 'Save fiscal calendar'}
+        </button>
+      </div>
+
+      <style jsx>{`
+        .fiscal-calendar-settings {
+          background: #fff;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        .settings-header {
+          background: #f8fafc;
+          border-bottom: 1px solid #e2e8f0;
+          padding: 20px 24px;
+        }
+
+        .settings-header h3 {
+          margin: 0 0 4px 0;
+          font-size: 18px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .settings-header p {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .settings-message {
+          margin: 16px 24px 0;
+          padding: 12px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .settings-message.success {
+          background: #c6f6d5;
+          color: #2f855a;
+        }
+
+        .settings-message.error {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .settings-body {
+          padding: 20px 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .settings-fields {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 16px;
+        }
+
+        .settings-field {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 14px;
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .settings-field select {
+          padding: 8px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          font-size: 14px;
+          color: #2d3748;
+          background: #fff;
+          min-width: 200px;
+        }
+
+        .settings-summary {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .period-preview {
+          border-collapse: collapse;
+          font-size: 14px;
+          max-width: 480px;
+        }
+
+        .period-preview caption {
+          text-align: left;
+          font-weight: 600;
+          color: #2d3748;
+          padding-bottom: 8px;
+        }
+
+        .period-preview th,
+        .period-preview td {
+          border-bottom: 1px solid #e2e8f0;
+          padding: 6px 12px;
+          text-align: left;
+        }
+
+        .period-preview th {
+          color: #718096;
+          font-weight: 500;
+        }
+
+        .settings-footer {
+          border-top: 1px solid #e2e8f0;
+          padding: 16px 24px;
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+        }
+
+        .btn-save,
+        .btn-reset {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-save {
+          background: #3182ce;
+          color: white;
+          border: none;
+        }
+
+        .btn-save:hover:not(:disabled) {
+          background: #2c5aa0;
+        }
+
+        .btn-reset {
+          background: #fff;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        .btn-save:disabled,
+        .btn-reset:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default FiscalCalendarSettings;
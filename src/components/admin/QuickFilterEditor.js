@@ -0,0 +1,325 @@
+// src/components/admin/QuickFilterEditor.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { ConditionGroup } from '../filters/FilterBuilder';
+import { REPORT_CONFIG } from '../../config/reportConfig';
+import { getFilterFields, createGroup } from '../../utils/filterExpression';
+import { getDefaultQuickFilters, toConditionGroup } from '../../utils/quickFilters';
+
+const toDraft = (filters) => filters.map(filter => ({
+  ...filter,
+  condition: toConditionGroup(filter.condition)
+}));
+
+const QuickFilterEditor = ({ className = "" }) => {
+  const { getAvailableQuickFilters, saveQuickFilters, resetQuickFilters } = useFilterContext();
+  const [reportType, setReportType] = useState(Object.keys(REPORT_CONFIG)[0]);
+  const [editorState, setEditorState] = useState({
+    isSaving: false,
+    message: null
+  });
+
+  const savedFilters = getAvailableQuickFilters(reportType);
+  const [draft, setDraft] = useState(() => toDraft(savedFilters));
+  const fields = useMemo(() => getFilterFields(reportType), [reportType]);
+
+  // Start over from the saved list when the report or saved list changes
+  useEffect(() => {
+    setDraft(toDraft(savedFilters));
+  }, [savedFilters]);
+
+  const isCustomised = JSON.stringify(savedFilters) !== JSON.stringify(getDefaultQuickFilters(reportType));
+
+  const updateFilter = (index, changes) => {
+    setDraft(prev => prev.map((filter, i) => (i === index ? { ...filter, ...changes } : filter)));
+  };
+
+  const moveFilter = (index, offset) => {
+    setDraft(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const handleReportChange = (nextReport) => {
+    setReportType(nextReport);
+    setEditorState({ isSaving: false, message: null });
+  };
+
+  const handleSave = async () => {
+    setEditorState({ isSaving: true, message: null });
+    try {
+      await saveQuickFilters(reportType, draft);
+      setEditorState({ isSaving: false, message: { type: 'success', text: 'Quick filters saved' } });
+    } catch (error) {
+      setEditorState({ isSaving: false, message: { type: 'error', text: error.message } });
+    }
+  };
+
+  const handleReset = async () => {
+    setEditorState({ isSaving: true, message: null });
+    try {
+      await resetQuickFilters(reportType);
+      setEditorState({ isSaving: false, message: { type: 'success', text: 'Restored the default quick filters' } });
+    } catch (error) {
+      setEditorState({ isSaving: false, message: { type: 'error', text: error.message } });
+    }
+  };
+
+  return (
+    <div className={`quick-filter-editor ${className}`}>
+      {/* Header */}
+      <div className="editor-header">
+        <div className="header-info">
+          <h3>Quick Filters</h3>
+          <p>Chips shown above each dashboard, each a condition on the report's fields</p>
+        </div>
+        <select
+          value={reportType}
+          onChange={(e) => handleReportChange(e.target.value)}
+          className="report-select"
+          aria-label="Report"
+        >
+          {Object.entries(REPORT_CONFIG).map(([key, config]) => (
+            <option key={key} value={key}>{config.title}</option>
+          ))}
+        </select>
+      </div>
+
+      {editorState.message && (
+        <div className={`editor-message ${editorState.message.type}`}>{editorState.message.text}</div>
+      )}
+
+      <div className="editor-body">
+        {draft.length === 0 && (
+          <p className="editor-empty">This report has no quick filters.</p>
+        )}
+
+        {draft.map((filter, index) => (
+          <div key={filter.id || `new-${index}`} className="quick-filter-item">
+            <div className="item-header">
+              <input
+                type="text"
+                value={filter.label}
+                onChange={(e) => updateFilter(index, { label: e.target.value })}
+                placeholder="Chip label"
+                aria-label="Chip label"
+                className="label-input"
+              />
+              <div className="item-actions">
+                <button type="button" onClick={() => moveFilter(index, -1)} disabled={index === 0} title="Move up">
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  onClick={() => moveFilter(index, 1)}
+                  disabled={index === draft.length - 1}
+                  title="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDraft(prev => prev.filter((f, i) => i !== index))}
+                  title="Remove quick filter"
+                >
+                  🗑️
+                </button>
+              </div>
+            </div>
+            <ConditionGroup
+              group={filter.condition}
+              fields={fields}
+              onChange={(condition) => updateFilter(index, { condition })}
+            />
+          </div>
+        ))}
+
+        <button
+          type="button"
+          className="btn-add"
+          onClick={() => setDraft(prev => [...prev, { label: '', condition: createGroup() }])}
+        >
+          + Add quick filter
+        </button>
+      </div>
+
+      <div className="editor-footer">
+        <button
+          type="button"
+          className="btn-reset"
+          onClick={handleReset}
+          disabled={editorState.isSaving || !isCustomised}
+          title="Replace this report's quick filters with the built-in ones"
+        >
+          Reset to defaults
+        </button>
+        <button type="button" className="btn-save" onClick={handleSave} disabled={editorState.isSaving}>
+          {editorState.isSaving ? 'Saving...' : 'Save quick filters'}
+        </button>
+      </div>
+
+      <style jsx>{`
+        .quick-filter-editor {
+          background: #fff;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        .editor-header {
+          background: #f8fafc;
+          border-bottom: 1px solid #e2e8f0;
+          padding: 20px 24px;
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 16px;
+        }
+
+        .header-info h3 {
+          margin: 0 0 4px 0;
+          font-size: 18px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .header-info p {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .report-select,
+        .label-input {
+          padding: 8px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          font-size: 14px;
+          color: #2d3748;
+          background: #fff;
+        }
+
+        .editor-message {
+          margin: 16px 24px 0;
+          padding: 12px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .editor-message.success {
+          background: #c6f6d5;
+          color: #2f855a;
+        }
+
+        .editor-message.error {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .editor-body {
+          padding: 20px 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .editor-empty {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .quick-filter-item {
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          padding: 16px;
+        }
+
+        .item-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .label-input {
+          flex: 1;
+          max-width: 320px;
+          font-weight: 600;
+        }
+
+        .item-actions {
+          display: flex;
+          gap: 4px;
+        }
+
+        .item-actions button {
+          background: none;
+          border: 1px solid #e2e8f0;
+          border-radius: 4px;
+          padding: 4px 8px;
+          cursor: pointer;
+        }
+
+        .item-actions button:disabled {
+          opacity: 0.4;
+          cursor: default;
+        }
+
+        .btn-add {
+          align-self: flex-start;
+          background: none;
+          border: 1px dashed #a0aec0;
+          border-radius: 6px;
+          padding: 8px 16px;
+          color: #3182ce;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .editor-footer {
+          border-top: 1px solid #e2e8f0;
+          padding: 16px 24px;
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+        }
+
+        .btn-save,
+        .btn-reset {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-save {
+          background: #3182ce;
+          color: white;
+          border: none;
+        }
+
+        .btn-save:hover:not(:disabled) {
+          background: #2c5aa0;
+        }
+
+        .btn-reset {
+          background: #fff;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        .btn-save:disabled,
+        .btn-reset:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default QuickFilterEditor;
@@ -0,0 +1,289 @@
+// src/components/admin/SchemaStatus.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSchemaStatus } from '../../utils/indexedDBHelper';
+import { formatDate } from '../../utils/formatters';
+
+const formatAppliedAt = (value) => {
+  if (!value) return 'Before migration log';
+  const date = new Date(value);
+  return `${formatDate(date)} ${date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const SchemaStatus = ({ className = "" }) => {
+  const [schemaState, setSchemaState] = useState({
+    status: null,
+    isLoading: true,
+    error: null
+  });
+
+  const loadStatus = useCallback(async () => {
+    setSchemaState(prev => ({ ...prev, isLoading: true }));
+
+    try {
+      const status = await getSchemaStatus();
+      setSchemaState({ status, isLoading: false, error: null });
+    } catch (error) {
+      console.error('Error loading schema status:', error);
+      setSchemaState({
+        status: null,
+        isLoading: false,
+        error: `Could not read the database schema: ${error.message}`
+      });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  if (schemaState.isLoading) {
+    return (
+      <div className={`schema-status loading ${className}`}>
+        <div className="loading-content">
+          <div className="loading-spinner">⏳</div>
+          <div className="loading-text">Loading schema status...</div>
+        </div>
+      </div>
+    );
+  }
+
+  const { status } = schemaState;
+
+  return (
+    <div className={`schema-status ${className}`}>
+      {/* Header */}
+      <div className="schema-header">
+        <div className="header-info">
+          <h3>Database Schema</h3>
+          <p>Local database version, applied migrations and indexes</p>
+        </div>
+
+        {status && (
+          <div className={`version-badge ${status.upToDate ? 'current' : 'outdated'}`}>
+            Version {status.version} of {status.latestVersion}
+          </div>
+        )}
+      </div>
+
+      {schemaState.error && (
+        <div className="schema-error">❌ {schemaState.error}</div>
+      )}
+
+      {status && (
+        <>
+          <div className="schema-section">
+            <h4>Migrations</h4>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Version</th>
+                  <th>Description</th>
+                  <th>Status</th>
+                  <th>Applied</th>
+                </tr>
+              </thead>
+              <tbody>
+                {status.migrations.map(migration => (
+                  <tr key={migration.version}>
+                    <td className="version-col">{migration.version}</td>
+                    <td>{migration.description}</td>
+                    <td>
+                      <span className={`migration-status ${migration.status}`}>
+                        {migration.status === 'applied' ? 'Applied' : 'Pending'}
+                      </span>
+                    </td>
+                    <td className="applied-col">
+                      {migration.status === 'applied' ? formatAppliedAt(migration.appliedAt) : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="schema-section">
+            <h4>Stores</h4>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Store</th>
+                  <th>Indexes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {status.stores.map(store => (
+                  <tr key={store.name}>
+                    <td className="store-col">{store.name}</td>
+                    <td className="indexes-col">
+                      {store.indexes.length > 0 ? store.indexes.join(', ') : '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <style jsx>{`
+        .schema-status {
+          background: #fff;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        .schema-status.loading {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          min-height: 400px;
+        }
+
+        .loading-content {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .loading-spinner {
+          font-size: 24px;
+        }
+
+        .loading-text {
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .schema-header {
+          background: #f8fafc;
+          border-bottom: 1px solid #e2e8f0;
+          padding: 20px 24px;
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+        }
+
+        .header-info h3 {
+          margin: 0 0 4px 0;
+          font-size: 18px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .header-info p {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .version-badge {
+          padding: 6px 12px;
+          border-radius: 12px;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .version-badge.current {
+          background: #c6f6d5;
+          color: #2f855a;
+        }
+
+        .version-badge.outdated {
+          background: #feebc8;
+          color: #c05621;
+        }
+
+        .schema-error {
+          margin: 16px 24px 0;
+          padding: 12px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .schema-section {
+          padding: 20px 24px 0;
+        }
+
+        .schema-section:last-of-type {
+          padding-bottom: 24px;
+        }
+
+        .schema-section h4 {
+          margin: 0 0 12px 0;
+          font-size: 15px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .data-table {
+          width: 100%;
+          border-collapse: collapse;
+          border: 1px solid #e2e8f0;
+        }
+
+        .data-table th {
+          background: #f8fafc;
+          border-bottom: 1px solid #e2e8f0;
+          padding: 12px 16px;
+          text-align: left;
+          font-size: 13px;
+          font-weight: 600;
+          color: #4a5568;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+        }
+
+        .data-table td {
+          border-bottom: 1px solid #f1f5f9;
+          padding: 12px 16px;
+          font-size: 14px;
+          color: #2d3748;
+        }
+
+        .version-col {
+          width: 80px;
+          font-weight: 600;
+        }
+
+        .applied-col {
+          color: #718096;
+          white-space: nowrap;
+        }
+
+        .store-col {
+          font-family: monospace;
+          white-space: nowrap;
+        }
+
+        .indexes-col {
+          font-family: monospace;
+          font-size: 13px;
+          color: #4a5568;
+        }
+
+        .migration-status {
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 12px;
+          font-weight: 500;
+        }
+
+        .migration-status.applied {
+          background: #c6f6d5;
+          color: #2f855a;
+        }
+
+        .migration-status.pending {
+          background: #feebc8;
+          color: #c05621;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default SchemaStatus;
@@ -0,0 +1,733 @@
+// src/components/admin/UploadHistory.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { REPORT_CONFIG } from '../../config/reportConfig';
+import { REPORT_TYPES, UPLOAD_MODES } from '../../utils/constants';
+import { formatDate, formatNumber } from '../../utils/formatters';
+import {
+  getUploadBatches,
+  diffUploadBatches,
+  rollbackUploadBatch,
+  withUploadBatchRows
+} from '../../utils/uploadHistory';
+
+const MAX_DIFF_ROWS = 20;
+
+const getBatchReportName = (batch) => {
+  const config = REPORT_CONFIG[batch.reportType];
+  const structure = batch.fileStructure ? config?.fileStructures?.[batch.fileStructure] : null;
+  const name = config?.title || batch.reportType;
+  return structure ? `${name} – ${structure.name}` : name;
+};
+
+const formatUploadedAt = (value) => {
+  const date = new Date(value);
+  return `${formatDate(date)} ${date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+// Short label for a diffed row: its data values, first few columns only
+const describeRow = (row) => Object.keys(row)
+  .filter(field => !field.startsWith('_'))
+  .slice(0, 4)
+  .map(field => `${field}: ${row[field] ?? ''}`)
+  .join(', ');
+
+const UploadHistory = ({
+  onDataChange,
+  className = ""
+}) => {
+  const [historyState, setHistoryState] = useState({
+    batches: [],
+    isLoading: true,
+    reportFilter: 'all',
+    selectedBatches: [],
+    diff: null,
+    rollbackTarget: null,
+    isRollingBack: false,
+    error: null,
+    message: null
+  });
+
+  const loadBatches = useCallback(async () => {
+    setHistoryState(prev => ({ ...prev, isLoading: true }));
+
+    try {
+      const batches = await getUploadBatches();
+      setHistoryState(prev => ({
+        ...prev,
+        batches,
+        isLoading: false
+      }));
+    } catch (error) {
+      console.error('Error loading upload history:', error);
+      setHistoryState(prev => ({
+        ...prev,
+        batches: [],
+        isLoading: false,
+        error: `Could not load upload history: ${error.message}`
+      }));
+    }
+  }, []);
+
+  // Load history on mount and whenever an upload completes
+  useEffect(() => {
+    loadBatches();
+    window.addEventListener('data-uploaded', loadBatches);
+    return () => window.removeEventListener('data-uploaded', loadBatches);
+  }, [loadBatches]);
+
+  const visibleBatches = historyState.reportFilter === 'all'
+    ? historyState.batches
+    : historyState.batches.filter(batch => batch.reportType === historyState.reportFilter);
+
+  const selected = historyState.selectedBatches
+    .map(batchId => historyState.batches.find(batch => batch.batchId === batchId))
+    .filter(Boolean);
+
+  const handleReportFilterChange = (reportFilter) => {
+    setHistoryState(prev => ({
+      ...prev,
+      reportFilter,
+      selectedBatches: [],
+      diff: null
+    }));
+  };
+
+  // Keep at most two batches selected for comparison
+  const handleBatchSelect = (batchId, isSelected) => {
+    setHistoryState(prev => ({
+      ...prev,
+      diff: null,
+      error: null,
+      selectedBatches: isSelected
+        ? [...prev.selectedBatches, batchId].slice(-2)
+        : prev.selectedBatches.filter(id => id !== batchId)
+    }));
+  };
+
+  const handleCompare = async () => {
+    // Older upload on the left
+    const [newer, older] = selected;
+    try {
+      const [olderRows, newerRows] = await Promise.all([older, newer].map(withUploadBatchRows));
+      setHistoryState(prev => ({
+        ...prev,
+        error: null,
+        diff: { older, newer, result: diffUploadBatches(olderRows, newerRows) }
+      }));
+    } catch (error) {
+      setHistoryState(prev => ({ ...prev, diff: null, error: error.message }));
+    }
+  };
+
+  const handleRollbackClick = (batch) => {
+    setHistoryState(prev => ({
+      ...prev,
+      rollbackTarget: batch,
+      error: null,
+      message: null
+    }));
+  };
+
+  const handleRollbackCancel = () => {
+    setHistoryState(prev => ({ ...prev, rollbackTarget: null }));
+  };
+
+  const handleRollbackConfirm = async () => {
+    const batch = historyState.rollbackTarget;
+    setHistoryState(prev => ({ ...prev, isRollingBack: true }));
+
+    try {
+      const result = await rollbackUploadBatch(batch.batchId);
+      setHistoryState(prev => ({
+        ...prev,
+        rollbackTarget: null,
+        isRollingBack: false,
+        selectedBatches: [],
+        diff: null,
+        message: `Rolled back ${batch.fileName}: ${formatNumber(result.deleted)} rows removed, ${formatNumber(result.restored)} rows restored`
+      }));
+
+      await loadBatches();
+      onDataChange?.();
+
+      // Dashboards listen for uploads to refresh their data
+      window.dispatchEvent(new CustomEvent('data-uploaded', {
+        detail: {
+          reportType: batch.reportType,
+          fileStructure: batch.fileStructure,
+          rolledBackBatchId: batch.batchId
+        }
+      }));
+    } catch (error) {
+      setHistoryState(prev => ({
+        ...prev,
+        rollbackTarget: null,
+        isRollingBack: false,
+        error: `Rollback failed: ${error.message}`
+      }));
+    }
+  };
+
+  const renderDiffRows = (rows, emptyText) => (
+    rows.length === 0 ? (
+      <div className="diff-empty">{emptyText}</div>
+    ) : (
+      <ul className="diff-list">
+        {rows.slice(0, MAX_DIFF_ROWS).map((row, index) => (
+          <li key={row._id || index}>{describeRow(row)}</li>
+        ))}
+        {rows.length > MAX_DIFF_ROWS && <li>... and {rows.length - MAX_DIFF_ROWS} more</li>}
+      </ul>
+    )
+  );
+
+  const renderDiff = () => {
+    const { older, newer, result } = historyState.diff;
+
+    return (
+      <div className="batch-diff">
+        <div className="diff-header">
+          <h4>{older.fileName} → {newer.fileName}</h4>
+          <button
+            onClick={() => setHistoryState(prev => ({ ...prev, diff: null }))}
+            className="close-diff-btn"
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="diff-summary">
+          <span>➖ {formatNumber(result.onlyInA.length)} only in older</span>
+          <span>➕ {formatNumber(result.onlyInB.length)} only in newer</span>
+          <span>✏️ {formatNumber(result.changed.length)} changed</span>
+          <span>＝ {formatNumber(result.unchanged)} unchanged</span>
+        </div>
+
+        <div className="diff-section">
+          <h5>Changed rows</h5>
+          {result.changed.length === 0 ? (
+            <div className="diff-empty">No rows changed</div>
+          ) : (
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Key</th>
+                  <th>Field</th>
+                  <th>Older</th>
+                  <th>Newer</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.changed.slice(0, MAX_DIFF_ROWS).flatMap(change =>
+                  change.fields.map((field, index) => (
+                    <tr key={`${change.key}-${field}`}>
+                      <td>{index === 0 ? change.key : ''}</td>
+                      <td>{field}</td>
+                      <td>{String(change.before[field] ?? '—')}</td>
+                      <td>{String(change.after[field] ?? '—')}</td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="diff-columns">
+          <div className="diff-section">
+            <h5>Only in {older.fileName}</h5>
+            {renderDiffRows(result.onlyInA, 'None')}
+          </div>
+          <div className="diff-section">
+            <h5>Only in {newer.fileName}</h5>
+            {renderDiffRows(result.onlyInB, 'None')}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  if (historyState.isLoading) {
+    return (
+      <div className={`upload-history loading ${className}`}>
+        <div className="loading-content">
+          <div className="loading-spinner">⏳</div>
+          <div className="loading-text">Loading upload history...</div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`upload-history ${className}`}>
+      {/* Header */}
+      <div className="history-header">
+        <div className="header-info">
+          <h3>Upload History</h3>
+          <p>Every upload is kept as a batch that can be compared or rolled back</p>
+        </div>
+
+        <select
+          value={historyState.reportFilter}
+          onChange={(e) => handleReportFilterChange(e.target.value)}
+          className="report-filter-select"
+        >
+          <option value="all">All reports</option>
+          {Object.values(REPORT_TYPES).map(reportType => (
+            <option key={reportType} value={reportType}>
+              {REPORT_CONFIG[reportType]?.title || reportType}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Actions Bar */}
+      <div className="actions-bar">
+        <span className="selection-hint">
+          {selected.length === 2
+            ? '2 uploads selected'
+            : 'Select two uploads of the same report to compare them'}
+        </span>
+        <button
+          onClick={handleCompare}
+          disabled={selected.length !== 2}
+          className="compare-btn"
+        >
+          Compare
+        </button>
+      </div>
+
+      {historyState.error && (
+        <div className="history-error">❌ {historyState.error}</div>
+      )}
+      {historyState.message && (
+        <div className="history-message">✅ {historyState.message}</div>
+      )}
+
+      {historyState.diff && renderDiff()}
+
+      {/* Batches Table */}
+      <div className="batches-table">
+        {visibleBatches.length > 0 ? (
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th className="select-col"></th>
+                <th>Uploaded</th>
+                <th>Report</th>
+                <th>File</th>
+                <th>Note</th>
+                <th>Mode</th>
+                <th>Rows</th>
+                <th>Changes</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleBatches.map(batch => (
+                <tr key={batch.batchId} className={batch.status === 'rolled_back' ? 'rolled-back' : ''}>
+                  <td className="select-col">
+                    <input
+                      type="checkbox"
+                      checked={historyState.selectedBatches.includes(batch.batchId)}
+                      onChange={(e) => handleBatchSelect(batch.batchId, e.target.checked)}
+                    />
+                  </td>
+                  <td>{formatUploadedAt(batch.uploadedAt)}</td>
+                  <td>{getBatchReportName(batch)}</td>
+                  <td className="filename-col">{batch.fileName}</td>
+                  <td className="note-col">{batch.note || '—'}</td>
+                  <td>{UPLOAD_MODES[batch.mode]?.label || batch.mode}</td>
+                  <td>{formatNumber(batch.rowCount)}</td>
+                  <td className="changes-col">
+                    +{formatNumber(batch.counts?.inserted || 0)}
+                    {' '}~{formatNumber(batch.counts?.updated || 0)}
+                    {batch.counts?.removed > 0 && ` −${formatNumber(batch.counts.removed)}`}
+                  </td>
+                  <td>
+                    {batch.status === 'rolled_back'
+                      ? `Rolled back ${formatDate(batch.rolledBackAt)}`
+                      : 'Active'}
+                  </td>
+                  <td className="actions-col">
+                    {batch.status !== 'rolled_back' && (
+                      <button
+                        onClick={() => handleRollbackClick(batch)}
+                        className="rollback-btn"
+                        title="Remove or restore the rows this upload touched"
+                      >
+                        Roll back
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="empty-state">
+            <div className="empty-icon">🕘</div>
+            <div className="empty-text">No uploads recorded</div>
+            <div className="empty-hint">Uploads appear here once files are uploaded</div>
+          </div>
+        )}
+      </div>
+
+      {/* Rollback Confirmation Modal */}
+      {historyState.rollbackTarget && (
+        <div className="modal-overlay">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h4>Confirm Rollback</h4>
+            </div>
+            <div className="modal-body">
+              <p>
+                Roll back {historyState.rollbackTarget.fileName} ({getBatchReportName(historyState.rollbackTarget)})?
+              </p>
+              <p>
+                {formatNumber(historyState.rollbackTarget.counts?.inserted || 0)} inserted rows will be removed
+                and {formatNumber((historyState.rollbackTarget.counts?.updated || 0) + (historyState.rollbackTarget.counts?.removed || 0))} updated
+                or removed rows restored to their previous values.
+              </p>
+            </div>
+            <div className="modal-actions">
+              <button
+                onClick={handleRollbackCancel}
+                className="cancel-btn"
+                disabled={historyState.isRollingBack}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRollbackConfirm}
+                className="confirm-rollback-btn"
+                disabled={historyState.isRollingBack}
+              >
+                {historyState.isRollingBack ? 'Rolling back...' : 'Roll back'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <style jsx>{`
+        .upload-history {
+          background: #fff;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          overflow: hidden;
+        }
+
+        .upload-history.loading {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          min-height: 400px;
+        }
+
+        .loading-content {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .loading-spinner {
+          font-size: 24px;
+        }
+
+        .loading-text {
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .history-header {
+          background: #f8fafc;
+          border-bottom: 1px solid #e2e8f0;
+          padding: 20px 24px;
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+        }
+
+        .header-info h3 {
+          margin: 0 0 4px 0;
+          font-size: 18px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .header-info p {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .report-filter-select {
+          padding: 8px 12px;
+          border: 1px solid #cbd5e0;
+          border-radius: 6px;
+          font-size: 14px;
+          background: #fff;
+        }
+
+        .actions-bar {
+          border-bottom: 1px solid #e2e8f0;
+          padding: 16px 24px;
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .selection-hint {
+          font-size: 14px;
+          color: #718096;
+        }
+
+        .compare-btn,
+        .rollback-btn,
+        .cancel-btn,
+        .confirm-rollback-btn {
+          padding: 8px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+          border: 1px solid #cbd5e0;
+          background: #fff;
+          color: #4a5568;
+        }
+
+        .compare-btn {
+          background: #3182ce;
+          border-color: #3182ce;
+          color: #fff;
+        }
+
+        .compare-btn:disabled {
+          background: #a0aec0;
+          border-color: #a0aec0;
+          cursor: not-allowed;
+        }
+
+        .rollback-btn {
+          padding: 4px 10px;
+          font-size: 13px;
+          color: #c53030;
+          border-color: #feb2b2;
+        }
+
+        .rollback-btn:hover {
+          background: #fff5f5;
+        }
+
+        .confirm-rollback-btn {
+          background: #e53e3e;
+          border-color: #e53e3e;
+          color: #fff;
+        }
+
+        .history-error,
+        .history-message {
+          margin: 16px 24px 0;
+          padding: 12px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .history-error {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .history-message {
+          background: #c6f6d5;
+          color: #2f855a;
+        }
+
+        .batch-diff {
+          margin: 16px 24px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          padding: 16px;
+        }
+
+        .diff-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .diff-header h4 {
+          margin: 0;
+          font-size: 16px;
+          color: #2d3748;
+        }
+
+        .close-diff-btn {
+          background: none;
+          border: none;
+          font-size: 20px;
+          cursor: pointer;
+          color: #718096;
+        }
+
+        .diff-summary {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 16px;
+          margin: 12px 0;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .diff-section h5 {
+          margin: 12px 0 8px;
+          font-size: 14px;
+          color: #2d3748;
+        }
+
+        .diff-columns {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 16px;
+        }
+
+        .diff-list {
+          margin: 0;
+          padding-left: 20px;
+          font-size: 13px;
+          color: #4a5568;
+        }
+
+        .diff-empty {
+          font-size: 13px;
+          color: #a0aec0;
+        }
+
+        .data-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .data-table th {
+          background: #f8fafc;
+          border-bottom: 1px solid #e2e8f0;
+          padding: 12px 16px;
+          text-align: left;
+          font-size: 13px;
+          font-weight: 600;
+          color: #4a5568;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+        }
+
+        .data-table td {
+          border-bottom: 1px solid #f1f5f9;
+          padding: 12px 16px;
+          font-size: 14px;
+          color: #2d3748;
+        }
+
+        .data-table tr.rolled-back {
+          opacity: 0.5;
+        }
+
+        .select-col {
+          width: 40px;
+          text-align: center;
+        }
+
+        .note-col {
+          max-width: 200px;
+          color: #4a5568;
+        }
+
+        .changes-col {
+          white-space: nowrap;
+          font-family: monospace;
+        }
+
+        .empty-state {
+          padding: 60px 24px;
+          text-align: center;
+        }
+
+        .empty-icon {
+          font-size: 32px;
+          margin-bottom: 12px;
+        }
+
+        .empty-text {
+          font-size: 16px;
+          font-weight: 500;
+          color: #2d3748;
+        }
+
+        .empty-hint {
+          font-size: 14px;
+          color: #718096;
+        }
+
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal-content {
+          background: #fff;
+          border-radius: 8px;
+          max-width: 480px;
+          width: 90%;
+        }
+
+        .modal-header,
+        .modal-body,
+        .modal-actions {
+          padding: 16px 24px;
+        }
+
+        .modal-header h4 {
+          margin: 0;
+          font-size: 18px;
+        }
+
+        .modal-body p {
+          margin: 0 0 8px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          border-top: 1px solid #e2e8f0;
+        }
+
+        @media (max-width: 768px) {
+          .history-header {
+            flex-direction: column;
+            gap: 12px;
+          }
+
+          .diff-columns {
+            grid-template-columns: 1fr;
+          }
+
+          .batches-table {
+            overflow-x: auto;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default UploadHistory;
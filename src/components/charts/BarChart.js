@@ -11,6 +11,7 @@ import {
 } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
 import { CHART_CONFIG } from '../../config/chartConfig';
+import { chartCapturePlugin } from '../../utils/boardPack';
 import { formatCurrency, formatNumber, formatPercentage } from '../../utils/formatters';
 
 // Register Chart.js components
@@ -20,7 +21,8 @@ ChartJS.register(
   BarElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  chartCapturePlugin
 );
 
 const BarChart = ({
@@ -133,6 +135,12 @@ const BarChart = ({
         }
       }
     },
+    onHover: (event, elements) => {
+      // Clickable elements get a pointer cursor
+      if (onBarClick && event.native?.target) {
+        event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+      }
+    },
     onClick: (event, elements) => {
       if (elements.length > 0 && onBarClick) {
         const datasetIndex = elements[0].datasetIndex;
@@ -1,11 +1,12 @@
 // src/components/charts/KPICard.js
 import React from 'react';
-import { formatCurrency, formatPercentage, formatNumber } from '../../utils/formatters';
+import { formatCurrency, formatPercentage, formatNumber, formatTime } from '../../utils/formatters';
 
 const KPICard = ({
   title,
   value,
   previousValue,
+  comparisonLabel,
   format = 'number',
   icon,
   trend = 'neutral',
@@ -25,20 +26,26 @@ const KPICard = ({
         return formatCurrency(val);
       case 'percentage':
         return formatPercentage(val);
+      case 'time':
+        return formatTime(val);
       case 'number':
       default:
         return formatNumber(val);
     }
   };
 
+  const isNumeric = (val) => val !== null && val !== undefined && !isNaN(val);
+  const hasComparison = isNumeric(value) && isNumeric(previousValue);
+
   // Calculate change from previous value
   const calculateChange = () => {
-    if (!previousValue || !value || isNaN(previousValue) || isNaN(value)) {
-      return { change: 0, changePercent: 0, direction: 'neutral' };
+    if (!hasComparison) {
+      return { change: 0, changePercent: null, direction: 'neutral' };
     }
 
     const change = value - previousValue;
-    const changePercent = (change / previousValue) * 100;
+    // No percentage change from a zero baseline
+    const changePercent = previousValue !== 0 ? (change / Math.abs(previousValue)) * 100 : null;
     const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'neutral';
 
     return { change, changePercent, direction };
@@ -109,16 +116,21 @@ const KPICard = ({
           {formatValue(value)}
         </div>
 
-        {previousValue && (
-          <div className="kpi-change">
+        {hasComparison && (
+          <div
+            className="kpi-change"
+            title={`${comparisonLabel || 'vs previous'} (${formatValue(previousValue)})`}
+          >
             <span className={`kpi-trend kpi-trend-${direction}`}>
               {getTrendIcon()}
               <span className="kpi-change-value">
                 {formatValue(Math.abs(change))}
               </span>
-              <span className="kpi-change-percent">
-                ({Math.abs(changePercent).toFixed(1)}%)
-              </span>
+              {changePercent !== null && (
+                <span className="kpi-change-percent">
+                  ({Math.abs(changePercent).toFixed(1)}%)
+                </span>
+              )}
             </span>
           </div>
         )}
@@ -155,4 +167,21 @@ export const CountKPICard = (props) => (
   <KPICard {...props} format="number" />
 );
 
+// Row of KPI cards for REPORT_CONFIG kpi entries evaluated by the KPI engine
+export const KPIGrid = ({ kpis = [], previousValues = {}, comparisonLabel, className = '' }) => (
+  <div className={['kpi-grid', className].filter(Boolean).join(' ')}>
+    {kpis.map(kpi => (
+      <KPICard
+        key={kpi.key}
+        title={kpi.label}
+        value={kpi.value}
+        previousValue={previousValues[kpi.key]}
+        comparisonLabel={comparisonLabel}
+        format={kpi.format}
+        icon={kpi.icon}
+      />
+    ))}
+  </div>
+);
+
 export default KPICard; 
@@ -13,6 +13,7 @@ import {
 } from 'chart.js';
 import { Line } from 'react-chartjs-2';
 import { CHART_CONFIG } from '../../config/chartConfig';
+import { chartCapturePlugin } from '../../utils/boardPack';
 import { formatCurrency, formatNumber, formatPercentage } from '../../utils/formatters';
 
 // Register Chart.js components
@@ -24,7 +25,8 @@ ChartJS.register(
   Title,
   Tooltip,
   Legend,
-  Filler
+  Filler,
+  chartCapturePlugin
 );
 
 const LineChart = ({
@@ -135,6 +137,11 @@ const LineChart = ({
         backgroundColor: '#fff'
       }
     },
+    onHover: (event, elements) => {
+      if (onPointClick && event.native?.target) {
+        event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+      }
+    },
     onClick: (event, elements) => {
       if (elements.length > 0 && onPointClick) {
         const datasetIndex = elements[0].datasetIndex;
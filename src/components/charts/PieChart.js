@@ -8,10 +8,11 @@ import {
 } from 'chart.js';
 import { Doughnut, Pie } from 'react-chartjs-2';
 import { CHART_CONFIG } from '../../config/chartConfig';
+import { chartCapturePlugin } from '../../utils/boardPack';
 import { formatCurrency, formatNumber, formatPercentage } from '../../utils/formatters';
 
 // Register Chart.js components
-ChartJS.register(ArcElement, Tooltip, Legend);
+ChartJS.register(ArcElement, Tooltip, Legend, chartCapturePlugin);
 
 const PieChart = ({
   data,
@@ -110,6 +111,11 @@ const PieChart = ({
         }
       }
     },
+    onHover: (event, elements) => {
+      if (onSegmentClick && event.native?.target) {
+        event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+      }
+    },
     onClick: (event, elements) => {
       if (elements.length > 0 && onSegmentClick) {
         const index = elements[0].index;
@@ -0,0 +1,89 @@
+// src/components/charts/TransitionMatrix.js
+import React from 'react';
+import { DELINQUENCY_BUCKETS } from '../../utils/constants';
+import { EXITED_STATE } from '../../utils/rollRateAnalysis';
+import { formatNumber, formatPercentage } from '../../utils/formatters';
+
+const TO_STATES = [...DELINQUENCY_BUCKETS, EXITED_STATE];
+const FROM_STATES = DELINQUENCY_BUCKETS.filter(bucket => !bucket.terminal);
+
+// Heatmap table of account counts moving between delinquency states, shaded by
+// the share of the from-state row
+const TransitionMatrix = ({
+  matrix,
+  rates,
+  title = "Delinquency Transition Matrix",
+  subtitle,
+  className = ""
+}) => {
+  if (!matrix || !rates) return null;
+
+  const formatRate = (value) => (value === null || value === undefined ? '—' : formatPercentage(value));
+
+  const getCellStyle = (fromIndex, toKey, share) => {
+    if (!share) return undefined;
+    const toIndex = FROM_STATES.findIndex(state => state.key === toKey);
+    // Improving moves in green, worsening in red, staying put in grey
+    const colour = toIndex === -1 || toIndex === fromIndex
+      ? '108, 117, 125'
+      : toIndex < fromIndex ? '40, 167, 69' : '220, 53, 69';
+    return { backgroundColor: `rgba(${colour}, ${Math.min(0.15 + share / 100, 0.85)})` };
+  };
+
+  return (
+    <div className={`chart-container transition-matrix ${className}`}>
+      <div className="chart-header">
+        <div>
+          <h3 className="chart-title">{title}</h3>
+          {subtitle && <p className="chart-subtitle">{subtitle}</p>}
+        </div>
+      </div>
+
+      <div className="table-container">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>From \ To</th>
+              {TO_STATES.map(state => <th key={state.key}>{state.label}</th>)}
+              <th>Accounts</th>
+              <th>Cure Rate</th>
+              <th>Roll Forward</th>
+            </tr>
+          </thead>
+          <tbody>
+            {FROM_STATES.map((from, fromIndex) => {
+              const row = matrix[from.key];
+              const rowRates = rates.rows[from.key];
+
+              return (
+                <tr key={from.key}>
+                  <th scope="row">{from.label}</th>
+                  {TO_STATES.map(to => {
+                    const share = rowRates.total > 0 ? (row[to.key] / rowRates.total) * 100 : 0;
+                    return (
+                      <td
+                        key={to.key}
+                        style={getCellStyle(fromIndex, to.key, share)}
+                        title={`${from.label} → ${to.label}: ${formatNumber(row[to.key])} accounts`}
+                      >
+                        {formatNumber(row[to.key])}
+                        {rowRates.total > 0 && (
+                          <span className="transition-share"> ({formatPercentage(share)})</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                  <td>{formatNumber(rowRates.total)}</td>
+                  <td>{formatRate(rowRates.cureRate)}</td>
+                  <td>{formatRate(rowRates.forwardRollRate)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TransitionMatrix;
@@ -0,0 +1,179 @@
+// src/components/charts/VintageChart.js
+import React from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import { CHART_CONFIGS, CHART_PALETTE } from '../../config/chartConfig';
+import { chartCapturePlugin } from '../../utils/boardPack';
+import { formatPercentage } from '../../utils/formatters';
+import useViewSetting from '../../hooks/useViewSetting';
+
+// Register Chart.js components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+  chartCapturePlugin
+);
+
+const vintageConfig = CHART_CONFIGS.vintage_analysis;
+
+// Cumulative liquidation curves, one per funding cohort, plotted by months on
+// book. Forecast curves are dashed and toggle with their cohort from the legend.
+const VintageChart = ({
+  cohorts = [],
+  title = vintageConfig.title,
+  height = 400,
+  showForecast: initialShowForecast = true,
+  // Keep the cohort and forecast toggles in the dashboard's saved views
+  reportType,
+  viewKey
+}) => {
+  // Cohorts as an array so saved views can store them
+  const [hiddenCohortList, setHiddenCohortList] = useViewSetting(reportType, viewKey && `${viewKey}.hidden`, []);
+  const [showForecast, setShowForecast] = useViewSetting(
+    reportType,
+    viewKey && `${viewKey}.forecast`,
+    initialShowForecast
+  );
+  const hiddenCohorts = new Set(hiddenCohortList);
+
+  const toggleCohort = (cohort) => {
+    setHiddenCohortList(prev => (prev.includes(cohort)
+      ? prev.filter(hidden => hidden !== cohort)
+      : [...prev, cohort]));
+  };
+
+  const maxMonthsOnBook = cohorts.reduce((max, cohort) =>
+    Math.max(max, ...cohort.points.map(point => point.monthsOnBook)), 0);
+  const labels = Array.from({ length: maxMonthsOnBook + 1 }, (_, month) => month);
+
+  // Values indexed by months on book, with gaps where a cohort has no upload
+  const toSeries = (points, key) => labels.map(month => {
+    const point = points.find(p => p.monthsOnBook === month);
+    return point ? point[key] : null;
+  });
+
+  const datasets = cohorts.flatMap((cohort, index) => {
+    const color = CHART_PALETTE[index % CHART_PALETTE.length];
+    const hidden = hiddenCohorts.has(cohort.cohort);
+    const actual = {
+      label: cohort.label,
+      cohort: cohort.cohort,
+      data: toSeries(cohort.points, 'actual'),
+      borderColor: color,
+      backgroundColor: color,
+      spanGaps: true,
+      hidden
+    };
+    if (!showForecast) return [actual];
+
+    return [actual, {
+      label: `${cohort.label} forecast`,
+      cohort: cohort.cohort,
+      isForecast: true,
+      data: toSeries(cohort.points, 'forecast'),
+      borderColor: color,
+      backgroundColor: 'transparent',
+      borderDash: [6, 4],
+      pointStyle: 'triangle',
+      spanGaps: true,
+      hidden
+    }];
+  });
+
+  const chartOptions = {
+    ...vintageConfig.options,
+    interaction: {
+      mode: 'nearest',
+      intersect: false
+    },
+    plugins: {
+      ...vintageConfig.options.plugins,
+      title: {
+        display: !!title,
+        text: title
+      },
+      legend: {
+        ...vintageConfig.options.plugins.legend,
+        labels: {
+          ...vintageConfig.options.plugins.legend.labels,
+          // One legend entry per cohort; its forecast follows it
+          filter: (item, chartData) => !chartData.datasets[item.datasetIndex].isForecast
+        },
+        onClick: (event, item, legend) => {
+          toggleCohort(legend.chart.data.datasets[item.datasetIndex].cohort);
+        }
+      },
+      tooltip: {
+        ...vintageConfig.options.plugins.tooltip,
+        callbacks: {
+          title: (items) => `Month ${items[0]?.label ?? ''} on book`,
+          label: (context) => `${context.dataset.label}: ${formatPercentage(context.parsed.y)}`
+        }
+      }
+    }
+  };
+
+  if (cohorts.length === 0) {
+    return (
+      <div className="chart-container line-chart-container" style={{ height }}>
+        <div className="chart-no-data">
+          <div className="chart-no-data-icon">📊</div>
+          <div className="chart-no-data-message">
+            <h4>No Data Available</h4>
+            <p>Upload liquidations data with funded year and month to see vintage curves</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="chart-container vintage-chart-container">
+      <div className="chart-header">
+        <div className="chart-actions">
+          <button
+            type="button"
+            className="chart-action-btn"
+            onClick={() => setHiddenCohortList([])}
+          >
+            Show all
+          </button>
+          <button
+            type="button"
+            className="chart-action-btn"
+            onClick={() => setHiddenCohortList(cohorts.map(cohort => cohort.cohort))}
+          >
+            Hide all
+          </button>
+          <label className="chart-action-btn">
+            <input
+              type="checkbox"
+              checked={showForecast}
+              onChange={(e) => setShowForecast(e.target.checked)}
+            />
+            {' '}Forecast
+          </label>
+        </div>
+      </div>
+      <div className="chart-body" style={{ height }}>
+        <Line data={{ labels, datasets }} options={chartOptions} />
+      </div>
+    </div>
+  );
+};
+
+export default VintageChart;
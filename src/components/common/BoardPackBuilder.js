@@ -0,0 +1,339 @@
+// src/components/common/BoardPackBuilder.js
+import React, { useState } from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { REPORT_CONFIG } from '../../config/reportConfig';
+import { APP_CONFIG } from '../../config/appConfig';
+import { REPORT_ROUTES } from '../../utils/urlState';
+import {
+  PACK_SECTIONS,
+  PACK_FORMATS,
+  createBoardPack,
+  getAvailableSections,
+  getDashboardCapture
+} from '../../utils/boardPack';
+import { exportToPDF, exportToPPTX } from '../../utils/exportUtils';
+import { formatDateWindow, getDateWindow, formatDate } from '../../utils/dateUtils';
+
+const FORMATS = Object.keys(PACK_FORMATS).filter(format => APP_CONFIG.exports.supportedFormats.includes(format));
+
+// Pick dashboards and their sections for a PDF or PowerPoint board pack.
+// Dashboards offer what they showed when last open this session (see
+// utils/boardPack).
+const BoardPackBuilder = ({ onClose }) => {
+  const { globalFilters } = useFilterContext();
+  const [captures] = useState(() => Object.fromEntries(
+    Object.keys(REPORT_ROUTES).map(reportType => [reportType, getDashboardCapture(reportType)])
+  ));
+  const [selection, setSelection] = useState(() => Object.fromEntries(
+    Object.entries(captures).map(([reportType, capture]) => [reportType, getAvailableSections(capture)])
+  ));
+  const [title, setTitle] = useState(
+    `Board Pack - ${new Date().toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })}`
+  );
+  const [format, setFormat] = useState(FORMATS[0]);
+  const [buildState, setBuildState] = useState({ isBuilding: false, error: null });
+
+  // Sections the chosen format has room for
+  const formatSections = PACK_FORMATS[format].sections;
+  const getSections = (capture) => getAvailableSections(capture).filter(section => formatSections.includes(section));
+  const packSelection = Object.fromEntries(
+    Object.entries(selection).map(([reportType, sections]) => [
+      reportType,
+      sections.filter(section => formatSections.includes(section))
+    ])
+  );
+
+  const isEmpty = Object.values(packSelection).every(sections => sections.length === 0);
+
+  const toggleDashboard = (reportType) => {
+    setSelection(prev => ({
+      ...prev,
+      [reportType]: packSelection[reportType].length > 0 ? [] : getAvailableSections(captures[reportType])
+    }));
+  };
+
+  const toggleSection = (reportType, section) => {
+    setSelection(prev => ({
+      ...prev,
+      [reportType]: prev[reportType].includes(section)
+        ? prev[reportType].filter(key => key !== section)
+        : Object.keys(PACK_SECTIONS).filter(key => key === section || prev[reportType].includes(key))
+    }));
+  };
+
+  const handleGenerate = async () => {
+    setBuildState({ isBuilding: true, error: null });
+    try {
+      const pack = createBoardPack({
+        title: title.trim() || 'Board Pack',
+        subtitle: APP_CONFIG.description,
+        context: { period: formatDateWindow(getDateWindow(globalFilters.dateRange)) || 'All dates', filters: [] },
+        selection: packSelection
+      });
+      const filename = `board-pack_${formatDate(new Date(), 'YYYY-MM-DD')}`;
+      if (format === 'pptx') {
+        await exportToPPTX(pack, filename);
+      } else {
+        await exportToPDF(pack, filename);
+      }
+      setBuildState({ isBuilding: false, error: null });
+      onClose();
+    } catch (error) {
+      console.error('Failed to build board pack:', error);
+      setBuildState({ isBuilding: false, error: error.message });
+    }
+  };
+
+  const describeSection = (capture, section) => {
+    if (section === 'charts') return `${PACK_SECTIONS.charts.label} (${capture.charts.length})`;
+    if (section === 'tables') return `${PACK_SECTIONS.tables.label} (${capture.tables.length})`;
+    return PACK_SECTIONS[section].label;
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h4>Board Pack</h4>
+          <p>{PACK_FORMATS[format].description}</p>
+        </div>
+
+        <div className="modal-body">
+          {buildState.error && <div className="pack-message error">{buildState.error}</div>}
+
+          <label className="pack-field">
+            <span>Title</span>
+            <input type="text" value={title} onChange={(e) => setTitle(e.target.value)} />
+          </label>
+
+          {FORMATS.length > 1 && (
+            <label className="pack-field">
+              <span>Format</span>
+              <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                {FORMATS.map(key => (
+                  <option key={key} value={key}>{PACK_FORMATS[key].label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <ul className="pack-dashboards">
+            {Object.entries(captures).map(([reportType, capture]) => {
+              const available = getSections(capture);
+              return (
+                <li key={reportType} className="pack-dashboard">
+                  <label className="pack-dashboard-name">
+                    <input
+                      type="checkbox"
+                      checked={packSelection[reportType].length > 0}
+                      disabled={available.length === 0}
+                      onChange={() => toggleDashboard(reportType)}
+                    />
+                    {REPORT_CONFIG[reportType].icon} {REPORT_CONFIG[reportType].title}
+                  </label>
+
+                  {available.length === 0 ? (
+                    <span className="pack-hint">Open this dashboard to add it to the pack</span>
+                  ) : (
+                    <div className="pack-sections">
+                      {available.map(section => (
+                        <label key={section} className="pack-section">
+                          <input
+                            type="checkbox"
+                            checked={selection[reportType].includes(section)}
+                            onChange={() => toggleSection(reportType, section)}
+                          />
+                          {describeSection(capture, section)}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" className="cancel-btn" onClick={onClose}>
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="generate-btn"
+            onClick={handleGenerate}
+            disabled={isEmpty || buildState.isBuilding}
+          >
+            {buildState.isBuilding ? 'Building...' : `Download ${PACK_FORMATS[format].label}`}
+          </button>
+        </div>
+      </div>
+
+      <style jsx>{`
+        .modal-overlay {
+          position: fixed;
+          top: 0;
+          left: 0;
+          right: 0;
+          bottom: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal-content {
+          background: #fff;
+          border-radius: 8px;
+          max-width: 560px;
+          width: 90%;
+          max-height: 90vh;
+          overflow-y: auto;
+          margin: 20px;
+          text-align: left;
+        }
+
+        .modal-header {
+          border-bottom: 1px solid #e2e8f0;
+          padding: 20px 24px 16px;
+        }
+
+        .modal-header h4 {
+          margin: 0 0 4px 0;
+          font-size: 18px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .modal-header p {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .modal-body {
+          padding: 20px 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .pack-message.error {
+          padding: 12px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .pack-field {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 14px;
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .pack-field input,
+        .pack-field select {
+          padding: 8px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          font-size: 14px;
+          color: #2d3748;
+        }
+
+        .pack-dashboards {
+          list-style: none;
+          margin: 0;
+          padding: 0;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+        }
+
+        .pack-dashboard {
+          padding: 12px 16px;
+          border-bottom: 1px solid #e2e8f0;
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+
+        .pack-dashboard:last-child {
+          border-bottom: none;
+        }
+
+        .pack-dashboard-name {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 14px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .pack-sections {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 16px;
+          padding-left: 24px;
+        }
+
+        .pack-section {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 13px;
+          color: #4a5568;
+        }
+
+        .pack-hint {
+          padding-left: 24px;
+          font-size: 13px;
+          color: #718096;
+        }
+
+        .modal-actions {
+          border-top: 1px solid #e2e8f0;
+          padding: 16px 24px;
+          display: flex;
+          gap: 12px;
+          justify-content: flex-end;
+        }
+
+        .cancel-btn,
+        .generate-btn {
+          padding: 8px 16px;
+          border-radius: 4px;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .cancel-btn {
+          background: none;
+          border: 1px solid #cbd5e0;
+          color: #4a5568;
+        }
+
+        .generate-btn {
+          background: #3182ce;
+          color: white;
+          border: none;
+        }
+
+        .generate-btn:hover:not(:disabled) {
+          background: #2c5aa0;
+        }
+
+        .generate-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default BoardPackBuilder;
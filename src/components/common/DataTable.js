@@ -1,7 +1,24 @@
 // src/components/common/DataTable.js
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { formatCurrency, formatNumber, formatPercentage } from '../../utils/formatters';
 import { formatDate } from '../../utils/dateUtils';
+import useViewSetting from '../../hooks/useViewSetting';
+import { captureDashboardTable } from '../../utils/boardPack';
+
+const DEFAULT_SORT = { key: null, direction: 'asc' };
+const DEFAULT_COLUMN_LAYOUT = { order: [], hidden: [] };
+
+// columns in the layout's order, then any the layout doesn't know, with
+// hidden ones flagged
+const getLayoutColumns = (columns, layout) => {
+  const position = (column) => {
+    const index = layout.order.indexOf(column.key);
+    return index === -1 ? layout.order.length + columns.indexOf(column) : index;
+  };
+  return [...columns]
+    .sort((a, b) => position(a) - position(b))
+    .map(column => ({ ...column, hidden: layout.hidden.includes(column.key) }));
+};
 
 const DataTable = ({
   data = [],
@@ -16,12 +33,23 @@ const DataTable = ({
   onExport,
   isLoading = false,
   error = null,
-  emptyMessage = 'No data available'
+  emptyMessage = 'No data available',
+  // Keep sort and column layout in the dashboard's saved views
+  reportType,
+  viewKey
 }) => {
   const [currentPage, setCurrentPage] = useState(1);
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  const [sortConfig, setSortConfig] = useViewSetting(reportType, viewKey && `${viewKey}.sort`, DEFAULT_SORT);
+  const [columnLayout, setColumnLayout] = useViewSetting(
+    reportType,
+    viewKey && `${viewKey}.columns`,
+    DEFAULT_COLUMN_LAYOUT
+  );
   const [searchTerm, setSearchTerm] = useState('');
 
+  const layoutColumns = useMemo(() => getLayoutColumns(columns, columnLayout), [columns, columnLayout]);
+  const visibleColumns = layoutColumns.filter(column => !column.hidden);
+
   // Filter data based on search term
   const filteredData = useMemo(() => {
     if (!searchTerm) return data;
@@ -59,6 +87,16 @@ const DataTable = ({
     });
   }, [filteredData, sortConfig]);
 
+  // A report dashboard's tables go into the PDF board pack as shown here
+  useEffect(() => {
+    if (!reportType || !title) return;
+    captureDashboardTable(reportType, {
+      title,
+      columns: layoutColumns.filter(column => !column.hidden),
+      rows: sortedData
+    });
+  }, [reportType, title, layoutColumns, sortedData]);
+
   // Paginate data
   const paginatedData = useMemo(() => {
     const startIndex = (currentPage - 1) * pageSize;
@@ -80,6 +118,28 @@ const DataTable = ({
     }));
   };
 
+  // Show or hide a column, keeping at least one visible
+  const toggleColumn = (key) => {
+    setColumnLayout(layout => {
+      if (layout.hidden.includes(key)) {
+        return { ...layout, hidden: layout.hidden.filter(hiddenKey => hiddenKey !== key) };
+      }
+      if (visibleColumns.length <= 1) return layout;
+      return { ...layout, hidden: [...layout.hidden, key] };
+    });
+  };
+
+  // Move a column one place left (-1) or right (1)
+  const moveColumn = (key, offset) => {
+    const order = layoutColumns.map(column => column.key);
+    const from = order.indexOf(key);
+    const to = from + offset;
+    if (to < 0 || to >= order.length) return;
+
+    [order[from], order[to]] = [order[to], order[from]];
+    setColumnLayout(layout => ({ ...layout, order }));
+  };
+
   // Format cell value based on column type
   const formatCellValue = (value, column) => {
     if (value === null || value === undefined) return '-';
@@ -109,12 +169,12 @@ const DataTable = ({
   // Handle export
   const handleExport = () => {
     if (onExport) {
-      onExport(sortedData, columns);
+      onExport(sortedData, visibleColumns);
     } else {
       // Default CSV export
-      const headers = columns.map(col => col.header).join(',');
+      const headers = visibleColumns.map(col => col.header).join(',');
       const rows = sortedData.map(row =>
-        columns.map(col => {
+        visibleColumns.map(col => {
           const value = formatCellValue(row[col.key], col);
           return `"${value.replace(/"/g, '""')}"`;
         }).join(',')
@@ -180,6 +240,42 @@ const DataTable = ({
               <span className="search-icon">🔍</span>
             </div>
           )}
+
+          {viewKey && (
+            <details className="column-picker">
+              <summary className="export-button">☰ Columns</summary>
+              <ul className="column-picker-list">
+                {layoutColumns.map((column, index) => (
+                  <li key={column.key}>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={!column.hidden}
+                        onChange={() => toggleColumn(column.key)}
+                      />
+                      {column.header}
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => moveColumn(column.key, -1)}
+                      disabled={index === 0}
+                      aria-label={`Move ${column.header} left`}
+                    >
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveColumn(column.key, 1)}
+                      disabled={index === layoutColumns.length - 1}
+                      aria-label={`Move ${column.header} right`}
+                    >
+                      ↓
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
           
           {showExport && sortedData.length > 0 && (
             <button
@@ -198,7 +294,7 @@ const DataTable = ({
         <table className="data-table">
           <thead>
             <tr>
-              {columns.map((column) => (
+              {visibleColumns.map((column) => (
                 <th
                   key={column.key}
                   className={`table-header ${sortable ? 'sortable' : ''} ${
@@ -220,7 +316,7 @@ const DataTable = ({
           <tbody>
             {paginatedData.length === 0 ? (
               <tr>
-                <td colSpan={columns.length} className="empty-message">
+                <td colSpan={visibleColumns.length} className="empty-message">
                   {filteredData.length === 0 && searchTerm 
                     ? `No results found for "${searchTerm}"`
                     : emptyMessage
@@ -234,7 +330,7 @@ const DataTable = ({
                   className={`table-row ${onRowClick ? 'clickable' : ''}`}
                   onClick={() => onRowClick?.(row, index)}
                 >
-                  {columns.map((column) => (
+                  {visibleColumns.map((column) => (
                     <td
                       key={column.key}
                       className={`table-cell ${column.align || 'left'}`}
@@ -1,21 +1,78 @@
 // src/components/common/Header.js
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { APP_CONFIG } from '../../config/appConfig';
+import { REPORT_CONFIG } from '../../config/reportConfig';
+import exportService from '../../services/exportService';
+import { getDashboardCapture } from '../../utils/boardPack';
+import ViewSelector from '../filters/ViewSelector';
+import BoardPackBuilder from './BoardPackBuilder';
 
-const Header = ({ currentReport, showUploadButton = false, onUploadClick }) => {
+const Header = ({ currentReport, dashboard, showUploadButton = false, onUploadClick }) => {
   const currentDate = new Date().toLocaleDateString('en-GB', {
     year: 'numeric',
     month: 'long',
     day: 'numeric'
   });
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showBoardPack, setShowBoardPack] = useState(false);
+  // null, 'exporting' or 'failed'
+  const [excelStatus, setExcelStatus] = useState(null);
+
+  useEffect(() => {
+    if (!linkCopied) return undefined;
+    const timer = setTimeout(() => setLinkCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [linkCopied]);
+
+  useEffect(() => {
+    if (excelStatus !== 'failed') return undefined;
+    const timer = setTimeout(() => setExcelStatus(null), 3000);
+    return () => clearTimeout(timer);
+  }, [excelStatus]);
+
+  // The URL carries the dashboard's filters and drill path (see useDashboardUrlState)
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+    } catch (error) {
+      console.error('Failed to copy link:', error);
+      window.prompt('Copy this link:', window.location.href);
+    }
+  };
+
+  // The dashboard as shown: its records in the period, KPIs, charts and tables
+  const handleExportExcel = async () => {
+    const { summary, charts, tables } = getDashboardCapture(dashboard);
+    if (!summary) return;
+
+    setExcelStatus('exporting');
+    try {
+      const title = REPORT_CONFIG[dashboard]?.title || dashboard;
+      await exportService.exportToExcel(summary.records || [], {
+        filename: `${dashboard}_${new Date().toISOString().split('T')[0]}.xlsx`,
+        reportType: dashboard,
+        title,
+        context: summary.context,
+        kpis: summary.kpis,
+        charts,
+        tables,
+        referenceDate: summary.referenceDate
+      });
+      setExcelStatus(null);
+    } catch (error) {
+      console.error('Failed to export to Excel:', error);
+      setExcelStatus('failed');
+    }
+  };
 
   return (
     <header className="header">
       <div className="header-container">
         <div className="header-left">
           <div className="logo-section">
-            <h1 className="app-title">{APP_CONFIG.appName}</h1>
-            <span className="app-subtitle">{APP_CONFIG.appDescription}</span>
+            <h1 className="app-title">{APP_CONFIG.name}</h1>
+            <span className="app-subtitle">{APP_CONFIG.description}</span>
           </div>
         </div>
         
@@ -31,6 +88,30 @@ const Header = ({ currentReport, showUploadButton = false, onUploadClick }) => {
         <div className="header-right">
           <div className="header-info">
             <span className="current-date">{currentDate}</span>
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={handleCopyLink}
+              title="Copy a link to this view"
+            >
+              {linkCopied ? '✓ Copied' : '🔗 Copy link'}
+            </button>
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={() => setShowBoardPack(true)}
+              title="Download dashboards as a PDF board pack"
+            >
+              📄 Board pack
+            </button>
+            {dashboard && (
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={handleExportExcel}
+                disabled={excelStatus === 'exporting'}
+                title="Download this dashboard as an Excel workbook with live KPI formulas"
+              >
+                {excelStatus === 'exporting' ? 'Exporting...' : excelStatus === 'failed' ? '⚠ Export failed' : '📊 Excel'}
+              </button>
+            )}
             {showUploadButton && (
               <button 
                 className="upload-button"
@@ -43,6 +124,10 @@ const Header = ({ currentReport, showUploadButton = false, onUploadClick }) => {
           </div>
         </div>
       </div>
+
+      {dashboard && <ViewSelector dashboard={dashboard} />}
+
+      {showBoardPack && <BoardPackBuilder onClose={() => setShowBoardPack(false)} />}
     </header>
   );
 };
@@ -1,9 +1,13 @@
 // src/components/common/Layout.js - DEBUG VERSION
 import React from 'react';
 import { useLocation, Link, Outlet } from 'react-router-dom';
+import Header from './Header';
+import { REPORT_CONFIG } from '../../config/reportConfig';
+import useDashboardUrlState from '../../hooks/useDashboardUrlState';
 
 const Layout = () => {
   const location = useLocation();
+  const reportType = useDashboardUrlState();
 
   const navItems = [
     { path: '/', label: 'Overview', icon: '📊' },
@@ -12,6 +16,9 @@ const Layout = () => {
     { path: '/liquidations', label: 'Liquidations', icon: '🔄' },
     { path: '/call-center', label: 'Call Center', icon: '📞' },
     { path: '/complaints', label: 'Complaints', icon: '📋' },
+    { path: '/customers', label: 'Customer 360', icon: '👤' },
+    { path: '/report-packs', label: 'Report Packs', icon: '📑' },
+    { path: '/complaints-return', label: 'FCA Return', icon: '🏛️' },
     { path: '/admin', label: 'Data Management', icon: '⚙️' },
   ];
 
@@ -85,6 +92,7 @@ const Layout = () => {
         backgroundColor: 'var(--bg-secondary)',
         color: 'var(--text-primary)'
       }}>
+        <Header currentReport={reportType ? REPORT_CONFIG[reportType] : null} dashboard={reportType} />
         <div style={{
           backgroundColor: 'var(--bg-card)',
           borderRadius: '8px',
@@ -1,21 +1,66 @@
 // src/components/dashboards/ArrearsDashboard.js
 import React, { useState, useEffect } from 'react';
-import KPICard, { CurrencyKPICard, PercentageKPICard } from '../charts/KPICard';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { KPIGrid } from '../charts/KPICard';
 import LineChart from '../charts/LineChart';
 import BarChart from '../charts/BarChart';
 import PieChart from '../charts/PieChart';
 import TrendChart from '../charts/TrendChart';
+import TransitionMatrix from '../charts/TransitionMatrix';
 import DataTable from '../common/DataTable';
+import ComparisonSelector from '../filters/ComparisonSelector';
+import PeriodSelector from '../filters/PeriodSelector';
+import DrillBreadcrumb from '../filters/DrillBreadcrumb';
+import QuickFilterBar from '../filters/QuickFilterBar';
+import FilterPanel from '../filters/FilterPanel';
+import useDrillDown from '../../hooks/useDrillDown';
+import useViewSetting from '../../hooks/useViewSetting';
+import useBoardPackCapture from '../../hooks/useBoardPackCapture';
+import useReportSeries from '../../hooks/useReportSeries';
 import { REPORT_CONFIG } from '../../config/reportConfig';
+import { ARREARS_CONDITION } from '../../config/kpiConfig';
+import { calculateKPIComparison, describeKPIs } from '../../utils/kpiEngine';
+import { calculateRollRates } from '../../utils/rollRateAnalysis';
+import { formatPeriodLabel } from '../../utils/dataQuery';
+import { getLatestSnapshot, getLatestSnapshotCondition } from '../../utils/snapshots';
+import { getNumericValue, matchesCondition } from '../../utils/fieldUtils';
+import { getBucketLabel } from '../../utils/drillDown';
+import { TREND_PERIODS } from '../../utils/constants';
 
 const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedData, setProcessedData] = useState(null);
+  const [rollRatePeriod, setRollRatePeriod] = useViewSetting('arrears', 'roll-rate-period', 'latest');
+  const [trendPeriod, setTrendPeriod] = useViewSetting('arrears', 'trend-period', 'month');
+  const { globalFilters, comparison, fiscalCalendar } = useFilterContext();
+  const { drilledData, queryCondition, drillInto } = useDrillDown('arrears', data);
+
+  // Dashboard date range falls back to the global filter date range
+  const activeDateRange = dateRange || globalFilters.dateRange;
+
+  // KPI tiles and filter context for the PDF board pack
+  useBoardPackCapture('arrears', processedData, activeDateRange);
 
   const reportConfig = REPORT_CONFIG['arrears'];
 
-  // Process arrears data
+  // Arrears per trend period are aggregated in the arrears store over the
+  // latest snapshot, as successive snapshots repeat every account. Drill
+  // steps the query can't express leave them empty.
+  const snapshotCondition = getLatestSnapshotCondition('arrears', data);
+  const { series: periodSeries } = useReportSeries(queryCondition === undefined ? null : 'arrears', {
+    period: trendPeriod,
+    calendar: fiscalCalendar,
+    dateRange: activeDateRange,
+    where: { all: [queryCondition, snapshotCondition].filter(Boolean) },
+    aggregate: {
+      totalArrears: { op: 'sum', field: 'total_due', where: ARREARS_CONDITION },
+      accounts: { op: 'distinct', field: 'customer_id' },
+      arrearsAccounts: { op: 'distinct', field: 'customer_id', where: ARREARS_CONDITION }
+    }
+  });
+
+  // Process arrears data, narrowed by any chart drill-down
   useEffect(() => {
     if (!data || data.length === 0) {
       setProcessedData(null);
@@ -25,109 +70,57 @@ const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     try {
       setIsLoading(true);
 
-      // Calculate KPIs
-      const totalArrears = data.reduce((sum, record) => sum + (record.arrears_amount || 0), 0);
-      const totalAccounts = data.length;
-      const arrearsAccounts = data.filter(record => (record.arrears_amount || 0) > 0).length;
-      const arrearsRate = (arrearsAccounts / totalAccounts) * 100;
-      const avgArrearsAmount = totalArrears / arrearsAccounts;
-      
-      // Days in arrears analysis
-      const over30Days = data.filter(record => (record.days_in_arrears || 0) > 30).length;
-      const over60Days = data.filter(record => (record.days_in_arrears || 0) > 60).length;
-      const over90Days = data.filter(record => (record.days_in_arrears || 0) > 90).length;
-
-      // Previous period comparison (mock)
-      const previousArrearsRate = arrearsRate * 0.95; // Mock improvement
-      const previousTotalArrears = totalArrears * 1.1; // Mock reduction
-
-      // Time series data
-      const monthlyData = data.reduce((acc, record) => {
-        const month = new Date(record.date || record.reporting_date).toISOString().substr(0, 7);
-        if (!acc[month]) {
-          acc[month] = { 
-            totalArrears: 0, 
-            accounts: 0, 
-            arrearsAccounts: 0,
-            over30: 0,
-            over60: 0,
-            over90: 0
-          };
-        }
-        acc[month].totalArrears += record.arrears_amount || 0;
-        acc[month].accounts += 1;
-        if ((record.arrears_amount || 0) > 0) acc[month].arrearsAccounts += 1;
-        if ((record.days_in_arrears || 0) > 30) acc[month].over30 += 1;
-        if ((record.days_in_arrears || 0) > 60) acc[month].over60 += 1;
-        if ((record.days_in_arrears || 0) > 90) acc[month].over90 += 1;
-        return acc;
-      }, {});
-
-      const timeSeriesLabels = Object.keys(monthlyData).sort();
-      const arrearsAmountData = timeSeriesLabels.map(month => monthlyData[month].totalArrears);
-      const arrearsRateData = timeSeriesLabels.map(month => 
-        (monthlyData[month].arrearsAccounts / monthlyData[month].accounts) * 100
+      // Calculate KPIs from the shared KPI registry over the active date range,
+      // alongside the same KPIs for the comparison window
+      const { current: kpiValues, previous: previousKpis, comparisonLabel } = calculateKPIComparison(
+        'arrears', drilledData, { dateRange: activeDateRange, comparison }
       );
+      const kpis = describeKPIs('arrears', kpiValues);
+
+      // Breakdowns come from the latest snapshot, as the KPIs do, so an
+      // account uploaded every month is only counted once
+      const latestSnapshot = getLatestSnapshot(drilledData);
+      const arrearsRecords = latestSnapshot.filter(record => matchesCondition(record, ARREARS_CONDITION));
 
-      // Product analysis
-      const productData = data.reduce((acc, record) => {
-        const product = record.product || 'Unknown';
-        if (!acc[product]) {
-          acc[product] = { arrears: 0, accounts: 0, arrearsAccounts: 0 };
+      // Lead source analysis
+      const leadSourceData = latestSnapshot.reduce((acc, record) => {
+        const leadSource = getBucketLabel(record, 'tier_name');
+        if (!acc[leadSource]) {
+          acc[leadSource] = { accounts: 0, arrearsAccounts: 0 };
         }
-        acc[product].arrears += record.arrears_amount || 0;
-        acc[product].accounts += 1;
-        if ((record.arrears_amount || 0) > 0) acc[product].arrearsAccounts += 1;
+        acc[leadSource].accounts += 1;
+        if (matchesCondition(record, ARREARS_CONDITION)) acc[leadSource].arrearsAccounts += 1;
         return acc;
       }, {});
 
-      // Age bucket analysis
-      const ageBuckets = {
-        '1-30 days': data.filter(r => (r.days_in_arrears || 0) >= 1 && (r.days_in_arrears || 0) <= 30).length,
-        '31-60 days': data.filter(r => (r.days_in_arrears || 0) >= 31 && (r.days_in_arrears || 0) <= 60).length,
-        '61-90 days': data.filter(r => (r.days_in_arrears || 0) >= 61 && (r.days_in_arrears || 0) <= 90).length,
-        '90+ days': data.filter(r => (r.days_in_arrears || 0) > 90).length
-      };
+      // Accounts in arrears by stage (Arrears_30, Arrears_60, ...)
+      const stageData = arrearsRecords.reduce((acc, record) => {
+        const stage = getBucketLabel(record, 'stage');
+        acc[stage] = (acc[stage] || 0) + 1;
+        return acc;
+      }, {});
 
-      // Region analysis
-      const regionData = data.reduce((acc, record) => {
-        const region = record.region || 'Unknown';
-        if (!acc[region]) {
-          acc[region] = { arrears: 0, accounts: 0, rate: 0 };
-        }
-        acc[region].arrears += record.arrears_amount || 0;
-        acc[region].accounts += 1;
+      // Amount in arrears by payment status
+      const paymentStatusData = arrearsRecords.reduce((acc, record) => {
+        const status = getBucketLabel(record, 'payment_status');
+        acc[status] = (acc[status] || 0) + (getNumericValue(record, 'total_due') || 0);
         return acc;
       }, {});
 
-      // Calculate rates for regions
-      Object.keys(regionData).forEach(region => {
-        const arrearsCount = data.filter(r => 
-          (r.region || 'Unknown') === region && (r.arrears_amount || 0) > 0
-        ).length;
-        regionData[region].rate = (arrearsCount / regionData[region].accounts) * 100;
-      });
+      // Month-over-month delinquency transitions across successive uploads
+      const rollRates = calculateRollRates(drilledData);
 
       setProcessedData({
-        kpis: {
-          totalArrears,
-          arrearsRate,
-          avgArrearsAmount,
-          over30Days,
-          over60Days,
-          over90Days,
-          previousArrearsRate,
-          previousTotalArrears
-        },
-        timeSeries: {
-          labels: timeSeriesLabels,
-          arrearsAmount: arrearsAmountData,
-          arrearsRate: arrearsRateData
-        },
-        products: productData,
-        ageBuckets,
-        regions: regionData,
-        rawData: data
+        kpis,
+        kpiValues,
+        previousKpis,
+        comparisonLabel,
+        leadSources: leadSourceData,
+        stages: stageData,
+        paymentStatuses: paymentStatusData,
+        rollRates,
+        arrearsRecords,
+        rawData: drilledData
       });
 
     } catch (err) {
@@ -135,16 +128,16 @@ const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [data, dateRange, filters]);
+  }, [data, drilledData, activeDateRange, comparison, filters]);
 
   // Chart data preparation
+  const getPeriodLabels = () => periodSeries.map(row => formatPeriodLabel(row.period, trendPeriod, fiscalCalendar));
+
   const getArrearsAmountChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+    labels: getPeriodLabels(),
     datasets: [{
       label: 'Total Arrears Amount',
-      data: processedData?.timeSeries.arrearsAmount || [],
+      data: periodSeries.map(row => row.totalArrears),
       borderColor: '#dc3545',
       backgroundColor: '#dc354520',
       fill: true
@@ -152,58 +145,131 @@ const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   });
 
   const getArrearsRateChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+    labels: getPeriodLabels(),
     datasets: [{
       label: 'Arrears Rate (%)',
-      data: processedData?.timeSeries.arrearsRate || [],
+      data: periodSeries.map(row => (row.accounts > 0 ? (row.arrearsAccounts / row.accounts) * 100 : null)),
       borderColor: '#ffc107',
       backgroundColor: '#ffc10720',
       fill: true
     }]
   });
 
-  const getProductArrearsChartData = () => ({
-    labels: Object.keys(processedData?.products || {}),
+  const getLeadSourceArrearsChartData = () => ({
+    labels: Object.keys(processedData?.leadSources || {}),
     datasets: [{
-      label: 'Arrears Rate by Product (%)',
-      data: Object.values(processedData?.products || {}).map(p => 
-        (p.arrearsAccounts / p.accounts) * 100
+      label: 'Arrears Rate by Lead Source (%)',
+      data: Object.values(processedData?.leadSources || {}).map(source =>
+        (source.arrearsAccounts / source.accounts) * 100
       ),
       backgroundColor: '#dc3545'
     }]
   });
 
-  const getAgeBucketsChartData = () => ({
-    labels: Object.keys(processedData?.ageBuckets || {}),
+  const getStageChartData = () => ({
+    labels: Object.keys(processedData?.stages || {}),
     datasets: [{
       label: 'Accounts in Arrears',
-      data: Object.values(processedData?.ageBuckets || {}),
+      data: Object.values(processedData?.stages || {}),
       backgroundColor: [
         '#ffc107', '#fd7e14', '#dc3545', '#6f42c1'
       ]
     }]
   });
 
-  const getRegionChartData = () => ({
-    labels: Object.keys(processedData?.regions || {}),
+  const getPaymentStatusChartData = () => ({
+    labels: Object.keys(processedData?.paymentStatuses || {}),
     datasets: [{
-      label: 'Arrears Rate (%)',
-      data: Object.values(processedData?.regions || {}).map(r => r.rate),
+      label: 'Amount in Arrears',
+      data: Object.values(processedData?.paymentStatuses || {}),
       backgroundColor: '#17a2b8'
     }]
   });
 
+  const formatPeriod = (period) =>
+    new Date(period + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+
+  // The roll-rate option selected: 'pooled', 'latest' or a month pair index.
+  // A saved index past the last pair (after a rollback, or from a view saved
+  // over more months) falls back to the latest.
+  const getRollRateOption = (transitions) => {
+    if (rollRatePeriod === 'pooled') return 'pooled';
+    const index = Number(rollRatePeriod);
+    return Number.isInteger(index) && index >= 0 && index < transitions.length ? String(index) : 'latest';
+  };
+
+  // Transition matrix for the selected month pair, or pooled over all months
+  const getSelectedRollRates = () => {
+    const { transitions, pooled } = processedData.rollRates;
+    const option = getRollRateOption(transitions);
+    if (option === 'pooled') {
+      return {
+        ...pooled,
+        label: `${formatPeriod(transitions[0].from)} – ${formatPeriod(transitions[transitions.length - 1].to)}, all months`
+      };
+    }
+
+    const transition = transitions[option === 'latest' ? transitions.length - 1 : Number(option)];
+    return { ...transition, label: `${formatPeriod(transition.from)} → ${formatPeriod(transition.to)}` };
+  };
+
+  const getRollRateTrendChartData = () => {
+    const transitions = processedData?.rollRates.transitions || [];
+    return {
+      labels: transitions.map(transition => formatPeriod(transition.to)),
+      datasets: [
+        {
+          label: 'Cure Rate',
+          data: transitions.map(transition => transition.rates.overall.cureRate),
+          borderColor: '#28a745',
+          backgroundColor: '#28a74520'
+        },
+        {
+          label: 'Forward Roll Rate',
+          data: transitions.map(transition => transition.rates.overall.forwardRollRate),
+          borderColor: '#dc3545',
+          backgroundColor: '#dc354520'
+        },
+        {
+          label: 'Current → Delinquent',
+          data: transitions.map(transition => transition.rates.overall.currentToDelinquentRate),
+          borderColor: '#ffc107',
+          backgroundColor: '#ffc10720'
+        }
+      ]
+    };
+  };
+
+  // Chart clicks drill into a period, lead source, stage or payment status
+  const handlePeriodClick = ({ index }) => {
+    const { period } = periodSeries[index];
+    drillInto(reportConfig.dateField, period, {
+      period: trendPeriod,
+      label: `${TREND_PERIODS[trendPeriod].label}: ${formatPeriodLabel(period, trendPeriod, fiscalCalendar)}`
+    });
+  };
+
+  const handleLeadSourceClick = ({ label }) => {
+    drillInto('tier_name', label, { label: `Lead source: ${label}` });
+  };
+
+  const handleStageClick = ({ label }) => {
+    drillInto('stage', label, { label: `Stage: ${label}` });
+  };
+
+  const handlePaymentStatusClick = ({ label }) => {
+    drillInto('payment_status', label, { label: `Payment status: ${label}` });
+  };
+
   // Table columns
   const tableColumns = [
-    { key: 'account_id', header: 'Account ID', width: '120px' },
-    { key: 'customer_name', header: 'Customer', width: '150px' },
-    { key: 'product', header: 'Product', width: '100px' },
-    { key: 'outstanding_balance', header: 'Balance', type: 'currency', align: 'right', width: '120px' },
-    { key: 'arrears_amount', header: 'Arrears', type: 'currency', align: 'right', width: '120px' },
-    { key: 'days_in_arrears', header: 'Days', type: 'number', align: 'right', width: '80px' },
-    { key: 'region', header: 'Region', width: '100px' }
+    { key: 'customer_id', header: 'Customer ID', width: '120px' },
+    { key: 'tier_name', header: 'Lead Source', width: '120px' },
+    { key: 'stage', header: 'Stage', width: '110px' },
+    { key: 'payment_status', header: 'Payment Status', width: '110px' },
+    { key: 'issued_amount', header: 'Issued', type: 'currency', align: 'right', width: '120px' },
+    { key: 'total_due', header: 'Total Due', type: 'currency', align: 'right', width: '120px' },
+    { key: 'last_payment_date', header: 'Last Payment', type: 'date', width: '110px' }
   ];
 
   if (isLoading) {
@@ -239,41 +305,23 @@ const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     );
   }
 
+  const selectedRollRates = processedData.rollRates.transitions.length > 0 ? getSelectedRollRates() : null;
+
   return (
-    <div className="dashboard-container arrears-dashboard">
+    <div className="dashboard-container arrears-dashboard" data-report-type="arrears">
       
       {/* KPI Cards */}
       <div className="dashboard-section">
-        <div className="kpi-grid">
-          <CurrencyKPICard
-            title="Total Arrears"
-            value={processedData.kpis.totalArrears}
-            previousValue={processedData.kpis.previousTotalArrears}
-            icon="⚠️"
-            status="danger"
-          />
-          <PercentageKPICard
-            title="Arrears Rate"
-            value={processedData.kpis.arrearsRate}
-            previousValue={processedData.kpis.previousArrearsRate}
-            icon="📊"
-            target={5}
-            status={processedData.kpis.arrearsRate <= 5 ? "success" : "warning"}
-          />
-          <CurrencyKPICard
-            title="Avg Arrears Amount"
-            value={processedData.kpis.avgArrearsAmount}
-            icon="💰"
-            status="normal"
-          />
-          <KPICard
-            title="90+ Days Overdue"
-            value={processedData.kpis.over90Days}
-            format="number"
-            icon="🚨"
-            status="danger"
-          />
-        </div>
+        <ComparisonSelector comparisonLabel={processedData.comparisonLabel} />
+        <PeriodSelector value={trendPeriod} onChange={setTrendPeriod} />
+        <DrillBreadcrumb reportType="arrears" />
+        <QuickFilterBar reportType="arrears" data={data} />
+        <FilterPanel reportType="arrears" data={data} />
+        <KPIGrid
+          kpis={processedData.kpis}
+          previousValues={processedData.previousKpis}
+          comparisonLabel={processedData.comparisonLabel}
+        />
       </div>
 
       {/* Trend Charts */}
@@ -287,6 +335,7 @@ const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               height={300}
               showTrendLine={true}
               showConfidenceBands={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
           <div className="chart-container-wrapper">
@@ -296,6 +345,7 @@ const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               formatType="percentage"
               height={300}
               fill={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
         </div>
@@ -306,45 +356,96 @@ const ArrearsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
         <div className="charts-grid">
           <div className="chart-container-wrapper">
             <BarChart
-              data={getProductArrearsChartData()}
-              title="Arrears Rate by Product"
+              data={getLeadSourceArrearsChartData()}
+              title="Arrears Rate by Lead Source"
               formatType="percentage"
               height={300}
+              onBarClick={handleLeadSourceClick}
             />
           </div>
           <div className="chart-container-wrapper">
             <PieChart
-              data={getAgeBucketsChartData()}
-              title="Arrears Age Analysis"
+              data={getStageChartData()}
+              title="Arrears by Stage"
               formatType="number"
               height={300}
               variant="doughnut"
+              onSegmentClick={handleStageClick}
             />
           </div>
         </div>
       </div>
 
-      {/* Regional Analysis and Table */}
+      {/* Roll-Rate Analysis */}
+      <div className="dashboard-section">
+        <div className="chart-header">
+          <h3 className="chart-title">Roll-Rate Analysis</h3>
+          {selectedRollRates && (
+            <select
+              value={getRollRateOption(processedData.rollRates.transitions)}
+              onChange={(e) => setRollRatePeriod(e.target.value)}
+              className="form-select"
+              aria-label="Roll-rate period"
+            >
+              <option value="latest">Latest month</option>
+              {processedData.rollRates.transitions.map((transition, index) => (
+                <option key={transition.to} value={index}>
+                  {formatPeriod(transition.from)} → {formatPeriod(transition.to)}
+                </option>
+              ))}
+              <option value="pooled">All months</option>
+            </select>
+          )}
+        </div>
+
+        {!selectedRollRates ? (
+          <p className="chart-subtitle">
+            Roll rates need arrears uploads from at least two different months, matched by customer ID.
+          </p>
+        ) : (
+          <div className="charts-grid">
+            <div className="chart-container-wrapper">
+              <TransitionMatrix
+                matrix={selectedRollRates.matrix}
+                rates={selectedRollRates.rates}
+                subtitle={selectedRollRates.label}
+              />
+            </div>
+            <div className="chart-container-wrapper">
+              <LineChart
+                data={getRollRateTrendChartData()}
+                title="Cure and Roll Rate Trend"
+                formatType="percentage"
+                height={300}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Payment Status Analysis and Table */}
       <div className="dashboard-section">
         <div className="analysis-grid">
           <div className="chart-container-wrapper">
             <BarChart
-              data={getRegionChartData()}
-              title="Arrears Rate by Region"
-              formatType="percentage"
+              data={getPaymentStatusChartData()}
+              title="Arrears by Payment Status"
+              formatType="currency"
               height={300}
               orientation="horizontal"
+              onBarClick={handlePaymentStatusClick}
             />
           </div>
           <div className="table-container-wrapper">
             <DataTable
-              data={processedData.rawData
-                .filter(record => (record.arrears_amount || 0) > 0)
-                .sort((a, b) => (b.arrears_amount || 0) - (a.arrears_amount || 0))
+              data={[...processedData.arrearsRecords]
+                .sort((a, b) => (getNumericValue(b, 'total_due') || 0) - (getNumericValue(a, 'total_due') || 0))
                 .slice(0, 100)
               }
               columns={tableColumns}
               title="Top Arrears Accounts"
+              reportType="arrears"
+              viewKey="top-accounts"
               pageSize={10}
               showSearch={true}
               showExport={true}
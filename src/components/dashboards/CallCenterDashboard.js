@@ -1,23 +1,106 @@
 // src/components/dashboards/CallCenterDashboard.js
 import React, { useState, useEffect } from 'react';
-import KPICard, { PercentageKPICard } from '../charts/KPICard';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { KPIGrid } from '../charts/KPICard';
 import LineChart from '../charts/LineChart';
 import BarChart from '../charts/BarChart';
 import PieChart from '../charts/PieChart';
 import TrendChart from '../charts/TrendChart';
 import DataTable from '../common/DataTable';
+import ComparisonSelector from '../filters/ComparisonSelector';
+import PeriodSelector from '../filters/PeriodSelector';
+import DrillBreadcrumb from '../filters/DrillBreadcrumb';
+import QuickFilterBar from '../filters/QuickFilterBar';
+import FilterPanel from '../filters/FilterPanel';
 import { REPORT_CONFIG } from '../../config/reportConfig';
+import { calculateKPIComparison, describeKPIs } from '../../utils/kpiEngine';
+import { joinCallCenterReports, narrowCallDetails } from '../../utils/callCenterAnalysis';
+import { getFieldValue, getNumericValue, matchesCondition } from '../../utils/fieldUtils';
+import dataManager from '../../utils/dataManager';
+import { formatPeriodLabel } from '../../utils/dataQuery';
+import { TREND_PERIODS } from '../../utils/constants';
+import useReportSeries from '../../hooks/useReportSeries';
+import useViewSetting from '../../hooks/useViewSetting';
+import useBoardPackCapture from '../../hooks/useBoardPackCapture';
+import useDrillDown from '../../hooks/useDrillDown';
+import { matchesDrillFilter } from '../../utils/drillDown';
 
-const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
+const CallCenterDashboard = ({ data, sources, dateRange, filters, onFilterChange }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedData, setProcessedData] = useState(null);
+  const [storedSources, setStoredSources] = useState(null);
+  const [trendPeriod, setTrendPeriod] = useViewSetting('call-center', 'trend-period', 'month');
+  const { globalFilters, comparison, fiscalCalendar } = useFilterContext();
+  const { drillPath, filterCondition, queryCondition, drillInto } = useDrillDown('call-center');
+
+  // Call Details records the dashboard filters offer values and counts from
+  const callDetails = sources ? sources.report1 : data || storedSources?.report1;
+
+  // Dashboard date range falls back to the global filter date range
+  const activeDateRange = dateRange || globalFilters.dateRange;
+
+  // KPI tiles and filter context for the PDF board pack
+  useBoardPackCapture('call-center', processedData, activeDateRange);
 
   const reportConfig = REPORT_CONFIG['call-center'];
 
+  // Call volume per trend period is counted in the Call Details store, so the
+  // chart doesn't depend on every call being loaded. Drill steps the query
+  // can't express leave it empty.
+  const { series: periodVolume } = useReportSeries(queryCondition === undefined ? null : 'call-center', {
+    period: trendPeriod,
+    calendar: fiscalCalendar,
+    dateRange: activeDateRange,
+    where: queryCondition || undefined,
+    aggregate: {
+      calls: { op: 'count' },
+      answered: { op: 'count', field: 'answered_date_time' }
+    }
+  });
+
+  // Without sources passed in, read each sub-report from its own store and
+  // re-read whenever a call center file is uploaded
+  useEffect(() => {
+    if (sources) return undefined;
+
+    let cancelled = false;
+    const loadSources = () => {
+      dataManager.getCallCenterSources()
+        .then(result => {
+          if (!cancelled) setStoredSources(result);
+        })
+        .catch(err => {
+          if (!cancelled) setError(err);
+        });
+    };
+
+    const handleDataUploaded = (event) => {
+      if (event.detail?.reportType === 'call-center') loadSources();
+    };
+
+    loadSources();
+    window.addEventListener('data-uploaded', handleDataUploaded);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('data-uploaded', handleDataUploaded);
+    };
+  }, [sources]);
+
   // Process call center data
   useEffect(() => {
-    if (!data || data.length === 0) {
+    // A data prop is the Call Details report; the other sub-reports come from
+    // their stores unless passed in as sources
+    const activeSources = sources || { ...storedSources, ...(data ? { report1: data } : {}) };
+    const hasData = Object.values(activeSources).some(records => records && records.length > 0);
+    // Dashboard filters and drill-down narrow the call details and their
+    // statistics
+    const drilledSources = drillPath.length > 0 || filterCondition
+      ? narrowCallDetails(activeSources, record => matchesCondition(record, filterCondition)
+        && drillPath.every(filter => matchesDrillFilter(record, filter)))
+      : activeSources;
+
+    if (!hasData) {
       setProcessedData(null);
       return;
     }
@@ -25,121 +108,57 @@ const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     try {
       setIsLoading(true);
 
-      // Calculate KPIs
-      const totalCalls = data.length;
-      const answeredCalls = data.filter(record => record.status === 'answered').length;
-      const abandonedCalls = data.filter(record => record.status === 'abandoned').length;
-      const resolvedCalls = data.filter(record => record.resolution === 'resolved').length;
-      
-      const answerRate = (answeredCalls / totalCalls) * 100;
-      const abandonmentRate = (abandonedCalls / totalCalls) * 100;
-      const resolutionRate = (resolvedCalls / answeredCalls) * 100;
-      
-      const avgWaitTime = data.reduce((sum, record) => sum + (record.wait_time || 0), 0) / totalCalls;
-      const avgCallDuration = data.filter(r => r.status === 'answered')
-        .reduce((sum, record) => sum + (record.call_duration || 0), 0) / answeredCalls;
-
-      // Service level (calls answered within target)
-      const targetAnswerTime = 20; // 20 seconds
-      const callsWithinSLA = data.filter(record => 
-        record.status === 'answered' && (record.wait_time || 0) <= targetAnswerTime
-      ).length;
-      const serviceLevel = (callsWithinSLA / totalCalls) * 100;
-
-      // Previous period comparison (mock)
-      const previousAnswerRate = answerRate * 0.98;
-      const previousServiceLevel = serviceLevel * 0.95;
-
-      // Time series data by hour/day
-      const timeData = data.reduce((acc, record) => {
-        const time = new Date(record.call_time || record.date).toISOString().substr(0, 13); // Hour precision
-        if (!acc[time]) {
-          acc[time] = { 
-            total: 0, 
-            answered: 0, 
-            abandoned: 0,
-            resolved: 0,
-            totalWaitTime: 0,
-            totalDuration: 0
-          };
-        }
-        acc[time].total += 1;
-        if (record.status === 'answered') acc[time].answered += 1;
-        if (record.status === 'abandoned') acc[time].abandoned += 1;
-        if (record.resolution === 'resolved') acc[time].resolved += 1;
-        acc[time].totalWaitTime += record.wait_time || 0;
-        acc[time].totalDuration += record.call_duration || 0;
-        return acc;
-      }, {});
+      // Join calls to their statistics by call_id and FCR counts by date
+      const joined = joinCallCenterReports(drilledSources);
 
-      const timeLabels = Object.keys(timeData).sort();
-      const callVolumeData = timeLabels.map(time => timeData[time].total);
-      const answerRateData = timeLabels.map(time => 
-        timeData[time].total > 0 ? (timeData[time].answered / timeData[time].total) * 100 : 0
-      );
-      const avgWaitTimeData = timeLabels.map(time => 
-        timeData[time].total > 0 ? timeData[time].totalWaitTime / timeData[time].total : 0
+      // Calculate KPIs from the shared KPI registry over the active date range,
+      // alongside the same KPIs for the comparison window
+      const { current: kpiValues, previous: previousKpis, comparisonLabel } = calculateKPIComparison(
+        'call-center', joined.kpiRecords, { dateRange: activeDateRange, comparison }
       );
+      const kpis = describeKPIs('call-center', kpiValues);
 
-      // Call type analysis
-      const callTypes = data.reduce((acc, record) => {
-        const type = record.call_type || 'Unknown';
-        if (!acc[type]) {
-          acc[type] = { count: 0, resolved: 0, totalDuration: 0 };
-        }
-        acc[type].count += 1;
-        if (record.resolution === 'resolved') acc[type].resolved += 1;
-        acc[type].totalDuration += record.call_duration || 0;
+      // Peak hours analysis
+      const hourlyVolume = joined.calls.reduce((acc, call) => {
+        if (!call.date_time) return acc;
+        const hour = call.date_time.getHours();
+        acc[hour] = (acc[hour] || 0) + 1;
         return acc;
       }, {});
 
-      // Agent performance
-      const agentData = data.reduce((acc, record) => {
-        const agent = record.agent_id || 'Unknown';
-        if (!acc[agent]) {
-          acc[agent] = { 
-            calls: 0, 
-            resolved: 0, 
-            totalDuration: 0,
-            totalWaitTime: 0
-          };
-        }
-        acc[agent].calls += 1;
-        if (record.resolution === 'resolved') acc[agent].resolved += 1;
-        acc[agent].totalDuration += record.call_duration || 0;
-        acc[agent].totalWaitTime += record.wait_time || 0;
+      // Disposition breakdown from the call details
+      const dispositions = joined.calls.reduce((acc, call) => {
+        const disposition = getFieldValue(call, 'disposition') || 'Unknown';
+        acc[disposition] = (acc[disposition] || 0) + 1;
         return acc;
       }, {});
 
-      // Peak hours analysis
-      const hourlyVolume = data.reduce((acc, record) => {
-        const hour = new Date(record.call_time || record.date).getHours();
-        acc[hour] = (acc[hour] || 0) + 1;
-        return acc;
-      }, {});
+      const recentCalls = joined.calls
+        .filter(call => call.date_time)
+        .sort((a, b) => b.date_time - a.date_time)
+        .slice(0, 100)
+        .map(call => ({
+          call_id: call.call_id,
+          date_time: call.date_time,
+          agent_name: getFieldValue(call, 'agent_name'),
+          direction: call.direction,
+          disposition: getFieldValue(call, 'disposition'),
+          talk_time: getNumericValue(call, 'talk_time'),
+          duration: call.duration
+        }));
 
       setProcessedData({
-        kpis: {
-          totalCalls,
-          answerRate,
-          abandonmentRate,
-          resolutionRate,
-          avgWaitTime,
-          avgCallDuration,
-          serviceLevel,
-          previousAnswerRate,
-          previousServiceLevel
-        },
-        timeSeries: {
-          labels: timeLabels,
-          callVolume: callVolumeData,
-          answerRate: answerRateData,
-          avgWaitTime: avgWaitTimeData
-        },
-        callTypes,
-        agentData,
+        kpis,
+        kpiValues,
+        previousKpis,
+        comparisonLabel,
+        daily: joined.daily,
+        directionSplit: joined.directionSplit,
+        agents: joined.agents,
+        dispositions,
         hourlyVolume,
-        rawData: data
+        recentCalls,
+        rawData: joined.kpiRecords
       });
 
     } catch (err) {
@@ -147,79 +166,109 @@ const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [data, dateRange, filters]);
+  }, [data, sources, storedSources, drillPath, filterCondition, activeDateRange, comparison, filters]);
 
   // Chart data preparation
+  const getDailyLabels = () => processedData?.daily.map(day =>
+    new Date(`${day.date}T00:00:00`).toLocaleDateString('en-GB', {
+      month: 'short',
+      day: 'numeric'
+    })
+  ) || [];
+
   const getCallVolumeChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + ':00:00Z').toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit'
-      })
-    ) || [],
+    labels: getDailyLabels(),
     datasets: [{
       label: 'Call Volume',
-      data: processedData?.timeSeries.callVolume || [],
+      data: processedData?.daily.map(day => day.calls) || [],
       borderColor: '#007bff',
       backgroundColor: '#007bff20',
       fill: true
     }]
   });
 
+  const getPeriodVolumeChartData = () => ({
+    labels: periodVolume.map(row => formatPeriodLabel(row.period, trendPeriod, fiscalCalendar)),
+    datasets: [
+      {
+        label: 'Calls',
+        data: periodVolume.map(row => row.calls),
+        backgroundColor: '#007bff'
+      },
+      {
+        label: 'Answered',
+        data: periodVolume.map(row => row.answered),
+        backgroundColor: '#28a745'
+      }
+    ]
+  });
+
   const getAnswerRateChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + ':00:00Z').toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit'
-      })
-    ) || [],
+    labels: getDailyLabels(),
     datasets: [{
       label: 'Answer Rate (%)',
-      data: processedData?.timeSeries.answerRate || [],
+      data: processedData?.daily.map(day => day.answerRate) || [],
       borderColor: '#28a745',
       backgroundColor: '#28a74520',
       fill: true
     }]
   });
 
-  const getWaitTimeChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + ':00:00Z').toLocaleDateString('en-US', { 
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit'
-      })
-    ) || [],
+  const getFcrRateChartData = () => ({
+    labels: getDailyLabels(),
     datasets: [{
-      label: 'Avg Wait Time (seconds)',
-      data: processedData?.timeSeries.avgWaitTime || [],
-      borderColor: '#ffc107',
-      backgroundColor: '#ffc10720',
+      label: 'First Call Resolution (%)',
+      data: processedData?.daily.map(day => day.fcrRate) || [],
+      borderColor: '#6f42c1',
+      backgroundColor: '#6f42c120',
+      spanGaps: true,
       fill: true
     }]
   });
 
-  const getCallTypesChartData = () => ({
-    labels: Object.keys(processedData?.callTypes || {}),
+  const getDirectionChartData = () => ({
+    labels: Object.keys(processedData?.directionSplit || {}),
     datasets: [{
-      label: 'Call Count',
-      data: Object.values(processedData?.callTypes || {}).map(type => type.count),
+      label: 'Calls',
+      data: Object.values(processedData?.directionSplit || {}),
       backgroundColor: [
-        '#007bff', '#28a745', '#ffc107', '#dc3545', '#6f42c1', '#fd7e14'
+        '#007bff', '#28a745', '#6c757d'
       ]
     }]
   });
 
-  const getResolutionRateByTypeChartData = () => ({
-    labels: Object.keys(processedData?.callTypes || {}),
+  const getAgentCallsChartData = () => {
+    const agents = (processedData?.agents || []).slice(0, 15);
+    return {
+      labels: agents.map(agent => agent.agent),
+      datasets: [
+        {
+          label: 'Inbound',
+          data: agents.map(agent => agent.inbound_calls),
+          backgroundColor: '#007bff'
+        },
+        {
+          label: 'Outbound',
+          data: agents.map(agent => agent.outbound_calls),
+          backgroundColor: '#28a745'
+        },
+        {
+          label: 'Missed',
+          data: agents.map(agent => agent.missed_calls),
+          backgroundColor: '#dc3545'
+        }
+      ]
+    };
+  };
+
+  const getDispositionChartData = () => ({
+    labels: Object.keys(processedData?.dispositions || {}),
     datasets: [{
-      label: 'Resolution Rate (%)',
-      data: Object.values(processedData?.callTypes || {}).map(type => 
-        type.count > 0 ? (type.resolved / type.count) * 100 : 0
-      ),
-      backgroundColor: '#28a745'
+      label: 'Call Count',
+      data: Object.values(processedData?.dispositions || {}),
+      backgroundColor: [
+        '#007bff', '#28a745', '#ffc107', '#dc3545', '#6f42c1', '#fd7e14'
+      ]
     }]
   });
 
@@ -235,16 +284,35 @@ const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     };
   };
 
+  // Chart clicks drill into a day or a disposition
+  const handleDayClick = ({ index }) => {
+    const { date } = processedData.daily[index];
+    drillInto('date_time', date, { period: 'day', label: `Day: ${formatPeriodLabel(date, 'day')}` });
+  };
+
+  const handleDispositionClick = ({ label }) => {
+    drillInto('disposition', label, { label: `Disposition: ${label}` });
+  };
+
   // Table columns
   const tableColumns = [
     { key: 'call_id', header: 'Call ID', width: '120px' },
-    { key: 'customer_phone', header: 'Phone', width: '120px' },
-    { key: 'call_type', header: 'Type', width: '100px' },
-    { key: 'agent_id', header: 'Agent', width: '80px' },
-    { key: 'wait_time', header: 'Wait (s)', type: 'number', align: 'right', width: '80px' },
-    { key: 'call_duration', header: 'Duration (s)', type: 'number', align: 'right', width: '100px' },
-    { key: 'status', header: 'Status', width: '100px' },
-    { key: 'resolution', header: 'Resolution', width: '100px' }
+    { key: 'date_time', header: 'Date', type: 'date', width: '100px' },
+    { key: 'agent_name', header: 'Agent', width: '120px' },
+    { key: 'direction', header: 'Direction', width: '100px' },
+    { key: 'disposition', header: 'Disposition', width: '100px' },
+    { key: 'talk_time', header: 'Talk Time (s)', type: 'number', align: 'right', width: '100px' },
+    { key: 'duration', header: 'Duration (s)', type: 'number', align: 'right', width: '100px' }
+  ];
+
+  const agentColumns = [
+    { key: 'agent', header: 'Agent', width: '140px' },
+    { key: 'total_calls', header: 'Total Calls', type: 'number', align: 'right' },
+    { key: 'inbound_calls', header: 'Inbound', type: 'number', align: 'right' },
+    { key: 'outbound_calls', header: 'Outbound', type: 'number', align: 'right' },
+    { key: 'missed_calls', header: 'Missed', type: 'number', align: 'right' },
+    { key: 'total_call_duration', header: 'Total Duration (s)', type: 'number', align: 'right' },
+    { key: 'avg_call_duration', header: 'Avg Duration (s)', type: 'number', align: 'right' }
   ];
 
   if (isLoading) {
@@ -281,43 +349,20 @@ const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   }
 
   return (
-    <div className="dashboard-container call-center-dashboard">
+    <div className="dashboard-container call-center-dashboard" data-report-type="call-center">
       
       {/* KPI Cards */}
       <div className="dashboard-section">
-        <div className="kpi-grid">
-          <KPICard
-            title="Total Calls"
-            value={processedData.kpis.totalCalls}
-            format="number"
-            icon="📞"
-            status="normal"
-          />
-          <PercentageKPICard
-            title="Answer Rate"
-            value={processedData.kpis.answerRate}
-            previousValue={processedData.kpis.previousAnswerRate}
-            icon="✅"
-            target={90}
-            status={processedData.kpis.answerRate >= 90 ? "success" : "warning"}
-          />
-          <PercentageKPICard
-            title="Service Level"
-            value={processedData.kpis.serviceLevel}
-            previousValue={processedData.kpis.previousServiceLevel}
-            icon="⏱️"
-            target={80}
-            status={processedData.kpis.serviceLevel >= 80 ? "success" : "warning"}
-          />
-          <KPICard
-            title="Avg Wait Time"
-            value={processedData.kpis.avgWaitTime}
-            format="number"
-            subtitle="seconds"
-            icon="⏳"
-            status={processedData.kpis.avgWaitTime <= 30 ? "success" : "warning"}
-          />
-        </div>
+        <ComparisonSelector comparisonLabel={processedData.comparisonLabel} />
+        <PeriodSelector value={trendPeriod} onChange={setTrendPeriod} />
+        <DrillBreadcrumb reportType="call-center" />
+        <QuickFilterBar reportType="call-center" data={callDetails} />
+        <FilterPanel reportType="call-center" data={callDetails} />
+        <KPIGrid
+          kpis={processedData.kpis}
+          previousValues={processedData.previousKpis}
+          comparisonLabel={processedData.comparisonLabel}
+        />
       </div>
 
       {/* Performance Trends */}
@@ -330,6 +375,7 @@ const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               formatType="number"
               height={300}
               showTrendLine={true}
+              onPointClick={handleDayClick}
             />
           </div>
           <div className="chart-container-wrapper">
@@ -339,21 +385,37 @@ const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               formatType="percentage"
               height={300}
               fill={true}
+              onPointClick={handleDayClick}
             />
           </div>
         </div>
       </div>
 
+      {/* Call Volume by Period */}
+      {periodVolume.length > 0 && (
+        <div className="dashboard-section">
+          <div className="chart-container-wrapper full-width">
+            <BarChart
+              data={getPeriodVolumeChartData()}
+              title={`Call Volume by ${TREND_PERIODS[trendPeriod].label.toLowerCase()}`}
+              formatType="number"
+              height={300}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Service Metrics */}
       <div className="dashboard-section">
         <div className="charts-grid">
           <div className="chart-container-wrapper">
             <LineChart
-              data={getWaitTimeChartData()}
-              title="Average Wait Time"
-              formatType="number"
+              data={getFcrRateChartData()}
+              title="First Call Resolution Rate"
+              formatType="percentage"
               height={300}
               fill={true}
+              onPointClick={handleDayClick}
             />
           </div>
           <div className="chart-container-wrapper">
@@ -372,34 +434,59 @@ const CallCenterDashboard = ({ data, dateRange, filters, onFilterChange }) => {
         <div className="charts-grid">
           <div className="chart-container-wrapper">
             <PieChart
-              data={getCallTypesChartData()}
-              title="Call Type Distribution"
+              data={getDirectionChartData()}
+              title="Inbound vs Outbound"
               formatType="number"
               height={300}
               variant="doughnut"
             />
           </div>
           <div className="chart-container-wrapper">
-            <BarChart
-              data={getResolutionRateByTypeChartData()}
-              title="Resolution Rate by Call Type"
-              formatType="percentage"
+            <PieChart
+              data={getDispositionChartData()}
+              title="Call Dispositions"
+              formatType="number"
               height={300}
+              onSegmentClick={handleDispositionClick}
             />
           </div>
         </div>
       </div>
 
+      {/* Agent Totals */}
+      <div className="dashboard-section">
+        <div className="chart-container-wrapper full-width">
+          <BarChart
+            data={getAgentCallsChartData()}
+            title="Calls by Agent"
+            formatType="number"
+            height={300}
+            stacked={true}
+          />
+        </div>
+        <div className="table-container-wrapper full-width">
+          <DataTable
+            data={processedData.agents}
+            columns={agentColumns}
+            title="Agent Totals"
+            reportType="call-center"
+            viewKey="agent-totals"
+            pageSize={10}
+            showSearch={true}
+            showExport={true}
+          />
+        </div>
+      </div>
+
       {/* Call Details Table */}
       <div className="dashboard-section">
         <div className="table-container-wrapper full-width">
           <DataTable
-            data={processedData.rawData
-              .sort((a, b) => new Date(b.call_time || b.date) - new Date(a.call_time || a.date))
-              .slice(0, 100)
-            }
+            data={processedData.recentCalls}
             columns={tableColumns}
             title="Recent Calls"
+            reportType="call-center"
+            viewKey="recent-calls"
             pageSize={10}
             showSearch={true}
             showExport={true}
@@ -1,21 +1,63 @@
 // src/components/dashboards/ComplaintsDashboard.js
 import React, { useState, useEffect } from 'react';
-import KPICard, { PercentageKPICard } from '../charts/KPICard';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { KPIGrid } from '../charts/KPICard';
 import LineChart from '../charts/LineChart';
 import BarChart from '../charts/BarChart';
 import PieChart from '../charts/PieChart';
 import TrendChart from '../charts/TrendChart';
 import DataTable from '../common/DataTable';
+import ComparisonSelector from '../filters/ComparisonSelector';
+import PeriodSelector from '../filters/PeriodSelector';
+import DrillBreadcrumb from '../filters/DrillBreadcrumb';
+import QuickFilterBar from '../filters/QuickFilterBar';
+import FilterPanel from '../filters/FilterPanel';
+import useDrillDown from '../../hooks/useDrillDown';
+import useViewSetting from '../../hooks/useViewSetting';
+import useBoardPackCapture from '../../hooks/useBoardPackCapture';
+import useReportSeries from '../../hooks/useReportSeries';
 import { REPORT_CONFIG } from '../../config/reportConfig';
+import { calculateKPIComparison, describeKPIs } from '../../utils/kpiEngine';
+import { formatPeriodLabel } from '../../utils/dataQuery';
+import { getDateValue, getFieldValue, getNumericValue, isEmptyValue } from '../../utils/fieldUtils';
+import { getBucketLabel } from '../../utils/drillDown';
+import { TREND_PERIODS } from '../../utils/constants';
+
+// Each record counts as its complaint count, 1 when blank (as the KPIs do)
+const getComplaintCount = (record) => getNumericValue(record, 'count') ?? 1;
 
 const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedData, setProcessedData] = useState(null);
+  const [trendPeriod, setTrendPeriod] = useViewSetting('complaints', 'trend-period', 'month');
+  const { globalFilters, comparison, fiscalCalendar } = useFilterContext();
+  const { drilledData, queryCondition, drillInto } = useDrillDown('complaints', data);
+
+  // Dashboard date range falls back to the global filter date range
+  const activeDateRange = dateRange || globalFilters.dateRange;
+
+  // KPI tiles and filter context for the PDF board pack
+  useBoardPackCapture('complaints', processedData, activeDateRange);
 
   const reportConfig = REPORT_CONFIG['complaints'];
 
-  // Process complaints data
+  // Complaints received, resolved and their resolution time per trend period
+  // are aggregated in the complaints store. Drill steps the query can't
+  // express leave them empty.
+  const { series: periodSeries } = useReportSeries(queryCondition === undefined ? null : 'complaints', {
+    period: trendPeriod,
+    calendar: fiscalCalendar,
+    dateRange: activeDateRange,
+    where: queryCondition || undefined,
+    aggregate: {
+      total: { op: 'count' },
+      resolved: { op: 'count', field: 'resolved_date' },
+      avgResolution: { op: 'avg', field: 'days_to_resolve' }
+    }
+  });
+
+  // Process complaints data, narrowed by any chart drill-down
   useEffect(() => {
     if (!data || data.length === 0) {
       setProcessedData(null);
@@ -25,142 +67,53 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     try {
       setIsLoading(true);
 
-      // Calculate KPIs
-      const totalComplaints = data.length;
-      const resolvedComplaints = data.filter(record => record.status === 'resolved').length;
-      const pendingComplaints = data.filter(record => record.status === 'pending').length;
-      const escalatedComplaints = data.filter(record => record.escalated === true).length;
-      
-      const resolutionRate = (resolvedComplaints / totalComplaints) * 100;
-      const escalationRate = (escalatedComplaints / totalComplaints) * 100;
-      
-      // Calculate average resolution time
-      const resolvedWithTime = data.filter(record => 
-        record.status === 'resolved' && record.resolution_time
-      );
-      const avgResolutionTime = resolvedWithTime.length > 0 ? 
-        resolvedWithTime.reduce((sum, record) => sum + record.resolution_time, 0) / resolvedWithTime.length : 0;
-
-      // SLA compliance (target: resolve within 5 days)
-      const slaTarget = 5; // days
-      const withinSLA = resolvedWithTime.filter(record => record.resolution_time <= slaTarget).length;
-      const slaCompliance = resolvedWithTime.length > 0 ? (withinSLA / resolvedWithTime.length) * 100 : 0;
-
-      // Previous period comparison (mock)
-      const previousResolutionRate = resolutionRate * 0.93;
-      const previousSlaCompliance = slaCompliance * 0.88;
-
-      // Time series data
-      const monthlyData = data.reduce((acc, record) => {
-        const month = new Date(record.complaint_date || record.date).toISOString().substr(0, 7);
-        if (!acc[month]) {
-          acc[month] = { 
-            total: 0, 
-            resolved: 0, 
-            escalated: 0,
-            pending: 0,
-            totalResolutionTime: 0,
-            resolvedCount: 0
-          };
-        }
-        acc[month].total += 1;
-        if (record.status === 'resolved') {
-          acc[month].resolved += 1;
-          acc[month].resolvedCount += 1;
-          acc[month].totalResolutionTime += record.resolution_time || 0;
-        }
-        if (record.status === 'pending') acc[month].pending += 1;
-        if (record.escalated) acc[month].escalated += 1;
-        return acc;
-      }, {});
-
-      const timeLabels = Object.keys(monthlyData).sort();
-      const complaintsVolumeData = timeLabels.map(month => monthlyData[month].total);
-      const resolutionRateData = timeLabels.map(month => 
-        monthlyData[month].total > 0 ? (monthlyData[month].resolved / monthlyData[month].total) * 100 : 0
-      );
-      const avgResolutionTimeData = timeLabels.map(month => 
-        monthlyData[month].resolvedCount > 0 ? 
-          monthlyData[month].totalResolutionTime / monthlyData[month].resolvedCount : 0
+      // Calculate KPIs from the shared KPI registry over the active date range,
+      // alongside the same KPIs for the comparison window
+      const { current: kpiValues, previous: previousKpis, comparisonLabel } = calculateKPIComparison(
+        'complaints', drilledData, { dateRange: activeDateRange, comparison }
       );
+      const kpis = describeKPIs('complaints', kpiValues);
 
       // Complaint categories analysis
-      const categories = data.reduce((acc, record) => {
-        const category = record.category || 'Unknown';
+      const categories = drilledData.reduce((acc, record) => {
+        const category = getBucketLabel(record, 'category');
         if (!acc[category]) {
-          acc[category] = { count: 0, resolved: 0, escalated: 0, totalTime: 0 };
+          acc[category] = { count: 0, resolved: 0, resolutionDays: 0, timedResolutions: 0 };
+        }
+        const count = getComplaintCount(record);
+        const daysToResolve = getNumericValue(record, 'days_to_resolve');
+        acc[category].count += count;
+        if (!isEmptyValue(getFieldValue(record, 'resolved_date'))) acc[category].resolved += count;
+        if (daysToResolve !== null) {
+          acc[category].resolutionDays += daysToResolve;
+          acc[category].timedResolutions += 1;
         }
-        acc[category].count += 1;
-        if (record.status === 'resolved') acc[category].resolved += 1;
-        if (record.escalated) acc[category].escalated += 1;
-        acc[category].totalTime += record.resolution_time || 0;
         return acc;
       }, {});
 
-      // Priority analysis
-      const priorities = data.reduce((acc, record) => {
-        const priority = record.priority || 'Medium';
-        if (!acc[priority]) {
-          acc[priority] = { count: 0, resolved: 0, avgTime: 0 };
-        }
-        acc[priority].count += 1;
-        if (record.status === 'resolved') acc[priority].resolved += 1;
+      // Product analysis
+      const products = drilledData.reduce((acc, record) => {
+        const product = getBucketLabel(record, 'product');
+        acc[product] = (acc[product] || 0) + getComplaintCount(record);
         return acc;
       }, {});
 
-      // Source analysis
-      const sources = data.reduce((acc, record) => {
-        const source = record.source || 'Unknown';
-        if (!acc[source]) {
-          acc[source] = { count: 0, escalated: 0 };
-        }
-        acc[source].count += 1;
-        if (record.escalated) acc[source].escalated += 1;
+      // Decision distribution
+      const decisions = drilledData.reduce((acc, record) => {
+        const decision = getBucketLabel(record, 'decision');
+        acc[decision] = (acc[decision] || 0) + getComplaintCount(record);
         return acc;
       }, {});
 
-      // Status distribution
-      const statusData = {
-        'Resolved': resolvedComplaints,
-        'Pending': pendingComplaints,
-        'In Progress': data.filter(r => r.status === 'in-progress').length,
-        'Escalated': escalatedComplaints
-      };
-
-      // Satisfaction scores (if available)
-      const satisfactionData = data.filter(record => record.satisfaction_score)
-        .reduce((acc, record) => {
-          const score = record.satisfaction_score;
-          if (score >= 4) acc.satisfied += 1;
-          else if (score >= 3) acc.neutral += 1;
-          else acc.unsatisfied += 1;
-          acc.total += 1;
-          return acc;
-        }, { satisfied: 0, neutral: 0, unsatisfied: 0, total: 0 });
-
       setProcessedData({
-        kpis: {
-          totalComplaints,
-          resolutionRate,
-          escalationRate,
-          avgResolutionTime,
-          slaCompliance,
-          pendingComplaints,
-          previousResolutionRate,
-          previousSlaCompliance
-        },
-        timeSeries: {
-          labels: timeLabels,
-          volume: complaintsVolumeData,
-          resolutionRate: resolutionRateData,
-          avgResolutionTime: avgResolutionTimeData
-        },
+        kpis,
+        kpiValues,
+        previousKpis,
+        comparisonLabel,
         categories,
-        priorities,
-        sources,
-        statusData,
-        satisfactionData,
-        rawData: data
+        products,
+        decisions,
+        rawData: drilledData
       });
 
     } catch (err) {
@@ -168,16 +121,16 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [data, dateRange, filters]);
+  }, [data, drilledData, activeDateRange, comparison, filters]);
 
   // Chart data preparation
+  const getPeriodLabels = () => periodSeries.map(row => formatPeriodLabel(row.period, trendPeriod, fiscalCalendar));
+
   const getComplaintsVolumeChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+    labels: getPeriodLabels(),
     datasets: [{
       label: 'Total Complaints',
-      data: processedData?.timeSeries.volume || [],
+      data: periodSeries.map(row => row.total),
       borderColor: '#dc3545',
       backgroundColor: '#dc354520',
       fill: true
@@ -185,12 +138,10 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   });
 
   const getResolutionRateChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+    labels: getPeriodLabels(),
     datasets: [{
       label: 'Resolution Rate (%)',
-      data: processedData?.timeSeries.resolutionRate || [],
+      data: periodSeries.map(row => (row.total > 0 ? (row.resolved / row.total) * 100 : null)),
       borderColor: '#28a745',
       backgroundColor: '#28a74520',
       fill: true
@@ -198,12 +149,10 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   });
 
   const getResolutionTimeChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+    labels: getPeriodLabels(),
     datasets: [{
       label: 'Avg Resolution Time (days)',
-      data: processedData?.timeSeries.avgResolutionTime || [],
+      data: periodSeries.map(row => row.avgResolution),
       borderColor: '#ffc107',
       backgroundColor: '#ffc10720',
       fill: true
@@ -232,51 +181,67 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     }]
   });
 
-  const getPriorityChartData = () => ({
-    labels: Object.keys(processedData?.priorities || {}),
+  const getProductChartData = () => ({
+    labels: Object.keys(processedData?.products || {}),
     datasets: [{
-      label: 'Complaints by Priority',
-      data: Object.values(processedData?.priorities || {}).map(p => p.count),
-      backgroundColor: {
-        'High': '#dc3545',
-        'Medium': '#ffc107',
-        'Low': '#28a745'
-      }
+      label: 'Complaints by Product',
+      data: Object.values(processedData?.products || {}),
+      backgroundColor: '#007bff'
     }]
   });
 
-  const getSourcesChartData = () => ({
-    labels: Object.keys(processedData?.sources || {}),
+  const getResolutionTimeByCategoryChartData = () => ({
+    labels: Object.keys(processedData?.categories || {}),
     datasets: [{
-      label: 'Complaints by Source',
-      data: Object.values(processedData?.sources || {}).map(s => s.count),
-      backgroundColor: [
-        '#007bff', '#28a745', '#ffc107', '#dc3545', '#17a2b8'
-      ]
+      label: 'Avg Days to Resolve',
+      data: Object.values(processedData?.categories || {}).map(cat =>
+        cat.timedResolutions > 0 ? cat.resolutionDays / cat.timedResolutions : null
+      ),
+      backgroundColor: '#17a2b8'
     }]
   });
 
-  const getStatusChartData = () => ({
-    labels: Object.keys(processedData?.statusData || {}),
+  const getDecisionChartData = () => ({
+    labels: Object.keys(processedData?.decisions || {}),
     datasets: [{
-      label: 'Status Count',
-      data: Object.values(processedData?.statusData || {}),
+      label: 'Complaints',
+      data: Object.values(processedData?.decisions || {}),
       backgroundColor: [
-        '#28a745', '#ffc107', '#007bff', '#dc3545'
+        '#28a745', '#ffc107', '#007bff', '#dc3545', '#6f42c1'
       ]
     }]
   });
 
+  // Chart clicks drill into a period, decision, category or product
+  const handlePeriodClick = ({ index }) => {
+    const { period } = periodSeries[index];
+    drillInto(reportConfig.dateField, period, {
+      period: trendPeriod,
+      label: `${TREND_PERIODS[trendPeriod].label}: ${formatPeriodLabel(period, trendPeriod, fiscalCalendar)}`
+    });
+  };
+
+  const handleDecisionClick = ({ label }) => {
+    drillInto('decision', label, { label: `Decision: ${label}` });
+  };
+
+  const handleCategoryClick = ({ label }) => {
+    drillInto('category', label, { label: `Category: ${label}` });
+  };
+
+  const handleProductClick = ({ label }) => {
+    drillInto('product', label, { label: `Product: ${label}` });
+  };
+
   // Table columns
   const tableColumns = [
-    { key: 'complaint_id', header: 'ID', width: '100px' },
-    { key: 'customer_name', header: 'Customer', width: '150px' },
+    { key: 'customer_id', header: 'Customer ID', width: '120px' },
     { key: 'category', header: 'Category', width: '120px' },
-    { key: 'priority', header: 'Priority', width: '80px' },
-    { key: 'source', header: 'Source', width: '100px' },
-    { key: 'status', header: 'Status', width: '100px' },
-    { key: 'complaint_date', header: 'Date', type: 'date', width: '100px' },
-    { key: 'resolution_time', header: 'Days', type: 'number', align: 'right', width: '80px' }
+    { key: 'product', header: 'Product', width: '100px' },
+    { key: 'decision', header: 'Decision', width: '100px' },
+    { key: 'received_date', header: 'Received', type: 'date', width: '100px' },
+    { key: 'resolved_date', header: 'Resolved', type: 'date', width: '100px' },
+    { key: 'days_to_resolve', header: 'Days', type: 'number', align: 'right', width: '80px' }
   ];
 
   if (isLoading) {
@@ -313,43 +278,20 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   }
 
   return (
-    <div className="dashboard-container complaints-dashboard">
+    <div className="dashboard-container complaints-dashboard" data-report-type="complaints">
       
       {/* KPI Cards */}
       <div className="dashboard-section">
-        <div className="kpi-grid">
-          <KPICard
-            title="Total Complaints"
-            value={processedData.kpis.totalComplaints}
-            format="number"
-            icon="📝"
-            status="normal"
-          />
-          <PercentageKPICard
-            title="Resolution Rate"
-            value={processedData.kpis.resolutionRate}
-            previousValue={processedData.kpis.previousResolutionRate}
-            icon="✅"
-            target={95}
-            status={processedData.kpis.resolutionRate >= 95 ? "success" : "warning"}
-          />
-          <PercentageKPICard
-            title="SLA Compliance"
-            value={processedData.kpis.slaCompliance}
-            previousValue={processedData.kpis.previousSlaCompliance}
-            icon="⏱️"
-            target={85}
-            status={processedData.kpis.slaCompliance >= 85 ? "success" : "warning"}
-          />
-          <KPICard
-            title="Avg Resolution Time"
-            value={processedData.kpis.avgResolutionTime}
-            format="number"
-            subtitle="days"
-            icon="📊"
-            status={processedData.kpis.avgResolutionTime <= 3 ? "success" : "warning"}
-          />
-        </div>
+        <ComparisonSelector comparisonLabel={processedData.comparisonLabel} />
+        <PeriodSelector value={trendPeriod} onChange={setTrendPeriod} />
+        <DrillBreadcrumb reportType="complaints" />
+        <QuickFilterBar reportType="complaints" data={data} />
+        <FilterPanel reportType="complaints" data={data} />
+        <KPIGrid
+          kpis={processedData.kpis}
+          previousValues={processedData.previousKpis}
+          comparisonLabel={processedData.comparisonLabel}
+        />
       </div>
 
       {/* Main Trends */}
@@ -362,6 +304,7 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               formatType="number"
               height={300}
               showTrendLine={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
           <div className="chart-container-wrapper">
@@ -371,6 +314,7 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               formatType="percentage"
               height={300}
               fill={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
         </div>
@@ -386,15 +330,17 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               formatType="number"
               height={300}
               fill={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
           <div className="chart-container-wrapper">
             <PieChart
-              data={getStatusChartData()}
-              title="Status Distribution"
+              data={getDecisionChartData()}
+              title="Decision Distribution"
               formatType="number"
               height={300}
               variant="doughnut"
+              onSegmentClick={handleDecisionClick}
             />
           </div>
         </div>
@@ -409,6 +355,7 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               title="Complaints by Category"
               formatType="number"
               height={300}
+              onSegmentClick={handleCategoryClick}
             />
           </div>
           <div className="chart-container-wrapper">
@@ -417,29 +364,32 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               title="Resolution Rate by Category"
               formatType="percentage"
               height={300}
+              onBarClick={handleCategoryClick}
             />
           </div>
         </div>
       </div>
 
-      {/* Source and Priority Analysis */}
+      {/* Product and Resolution Time Analysis */}
       <div className="dashboard-section">
         <div className="charts-grid">
           <div className="chart-container-wrapper">
             <BarChart
-              data={getPriorityChartData()}
-              title="Complaints by Priority"
+              data={getProductChartData()}
+              title="Complaints by Product"
               formatType="number"
               height={300}
+              onBarClick={handleProductClick}
             />
           </div>
           <div className="chart-container-wrapper">
             <BarChart
-              data={getSourcesChartData()}
-              title="Complaints by Source"
+              data={getResolutionTimeByCategoryChartData()}
+              title="Average Resolution Time by Category"
               formatType="number"
               height={300}
               orientation="horizontal"
+              onBarClick={handleCategoryClick}
             />
           </div>
         </div>
@@ -449,12 +399,14 @@ const ComplaintsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
       <div className="dashboard-section">
         <div className="table-container-wrapper full-width">
           <DataTable
-            data={processedData.rawData
-              .sort((a, b) => new Date(b.complaint_date || b.date) - new Date(a.complaint_date || a.date))
+            data={[...processedData.rawData]
+              .sort((a, b) => (getDateValue(b, 'received_date') || 0) - (getDateValue(a, 'received_date') || 0))
               .slice(0, 100)
             }
             columns={tableColumns}
             title="Recent Complaints"
+            reportType="complaints"
+            viewKey="recent-complaints"
             pageSize={10}
             showSearch={true}
             showExport={true}
@@ -0,0 +1,337 @@
+// src/components/dashboards/CustomerDashboard.js
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { KPIGrid } from '../charts/KPICard';
+import DataTable from '../common/DataTable';
+import dataManager from '../../utils/dataManager';
+import { buildCustomerProfile } from '../../utils/customerAnalysis';
+import { formatCurrency, formatNumber, formatDate } from '../../utils/formatters';
+
+const REPORT_LABELS = {
+  'lending-volume': 'Lending',
+  arrears: 'Arrears',
+  complaints: 'Complaints'
+};
+
+const loanColumns = [
+  { key: 'fundedDate', header: 'Funded', type: 'date' },
+  { key: 'issuedAmount', header: 'Issued Amount', type: 'currency', align: 'right' },
+  { key: 'stage', header: 'Current Stage' },
+  { key: 'paymentStatus', header: 'Payment Status' },
+  { key: 'totalDue', header: 'Total Due', type: 'currency', align: 'right' },
+  { key: 'lastPaymentDate', header: 'Last Payment', type: 'date' },
+  { key: 'stageHistory', header: 'Stage History' }
+];
+
+const episodeColumns = [
+  { key: 'start', header: 'Entered Arrears', type: 'date' },
+  { key: 'end', header: 'Left Arrears', type: 'date' },
+  { key: 'worstBucketLabel', header: 'Worst Days Past Due' },
+  { key: 'maxTotalDue', header: 'Peak Total Due', type: 'currency', align: 'right' },
+  { key: 'snapshots', header: 'Reports', type: 'number', align: 'right' },
+  { key: 'outcome', header: 'Outcome' }
+];
+
+const complaintColumns = [
+  { key: 'receivedDate', header: 'Received', type: 'date' },
+  { key: 'category', header: 'Category' },
+  { key: 'decision', header: 'Decision' },
+  { key: 'resolvedDate', header: 'Resolved', type: 'date' },
+  { key: 'daysToResolve', header: 'Days to Resolve', type: 'number', align: 'right' },
+  { key: 'count', header: 'Count', type: 'number', align: 'right' }
+];
+
+const CustomerDashboard = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const customerId = searchParams.get('customer');
+
+  const [searchTerm, setSearchTerm] = useState(customerId || '');
+  const [searchState, setSearchState] = useState({ results: null, isSearching: false });
+  const [profile, setProfile] = useState(null);
+  const [segmentMetrics, setSegmentMetrics] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSegmentMetrics = useCallback(() => {
+    dataManager.getCustomerSegmentMetrics()
+      .then(setSegmentMetrics)
+      .catch(setError);
+  }, []);
+
+  const loadProfile = useCallback(async (id) => {
+    if (!id) {
+      setProfile(null);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const records = await dataManager.getCustomerRecords(id);
+      setProfile(buildCustomerProfile(id, records));
+      setError(null);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSegmentMetrics();
+  }, [loadSegmentMetrics]);
+
+  useEffect(() => {
+    loadProfile(customerId);
+  }, [customerId, loadProfile]);
+
+  // Linked reports changed: refresh the metrics and the open customer
+  useEffect(() => {
+    const handleDataUploaded = (event) => {
+      if (event.detail?.reportType && !REPORT_LABELS[event.detail.reportType]) return;
+      loadSegmentMetrics();
+      loadProfile(customerId);
+    };
+
+    window.addEventListener('data-uploaded', handleDataUploaded);
+    return () => window.removeEventListener('data-uploaded', handleDataUploaded);
+  }, [customerId, loadSegmentMetrics, loadProfile]);
+
+  const selectCustomer = (id) => {
+    setSearchTerm(id);
+    setSearchState({ results: null, isSearching: false });
+    setSearchParams({ customer: id });
+  };
+
+  const handleSearch = async (event) => {
+    event.preventDefault();
+    if (!searchTerm.trim()) return;
+
+    setSearchState({ results: null, isSearching: true });
+    try {
+      const results = await dataManager.searchCustomers(searchTerm);
+      // A single exact match opens straight away
+      if (results.length === 1 && results[0].customerId.toLowerCase() === searchTerm.trim().toLowerCase()) {
+        selectCustomer(results[0].customerId);
+        return;
+      }
+      setSearchState({ results, isSearching: false });
+    } catch (err) {
+      setError(err);
+      setSearchState({ results: null, isSearching: false });
+    }
+  };
+
+  const getSegmentKpis = () => {
+    const [arrears, current] = segmentMetrics.segments;
+    return [
+      { key: 'arrears_rate', label: 'Complaint Rate - In Arrears', value: arrears.complaintRate, format: 'percentage', icon: '⚠️' },
+      { key: 'current_rate', label: 'Complaint Rate - Current', value: current.complaintRate, format: 'percentage', icon: '✅' },
+      {
+        key: 'relative_rate',
+        label: 'Arrears vs Current (x)',
+        value: segmentMetrics.relativeRate !== null ? Number(segmentMetrics.relativeRate.toFixed(2)) : null,
+        format: 'number',
+        icon: '⚖️'
+      },
+      { key: 'arrears_customers', label: 'Customers In Arrears', value: arrears.customers, format: 'number', icon: '👥' },
+      { key: 'current_customers', label: 'Customers Current', value: current.customers, format: 'number', icon: '👥' }
+    ];
+  };
+
+  const getProfileKpis = () => [
+    { key: 'loans', label: 'Loans Funded', value: profile.summary.loanCount, format: 'number', icon: '🏦' },
+    { key: 'issued', label: 'Total Issued', value: profile.summary.totalIssued, format: 'currency', icon: '💰' },
+    { key: 'episodes', label: 'Arrears Episodes', value: profile.summary.episodeCount, format: 'number', icon: '⚠️' },
+    { key: 'complaints', label: 'Complaints', value: profile.summary.complaintCount, format: 'number', icon: '📋' }
+  ];
+
+  const getLoanRows = () => profile.loans.map(loan => ({
+    ...loan,
+    stageHistory: loan.stages.map(stage => stage.stage).join(' → ')
+  }));
+
+  const renderSegmentTable = () => (
+    <div className="table-container-wrapper full-width">
+      <DataTable
+        data={segmentMetrics.segments.map(segment => ({
+          ...segment,
+          complaintRate: segment.complaintRate ?? 0,
+          complaintsPer100: segment.complaintsPer100 ?? 0
+        }))}
+        columns={[
+          { key: 'label', header: 'Segment' },
+          { key: 'customers', header: 'Customers', type: 'number', align: 'right' },
+          { key: 'complainants', header: 'Customers Who Complained', type: 'number', align: 'right' },
+          { key: 'complaints', header: 'Complaints', type: 'number', align: 'right' },
+          { key: 'complaintRate', header: 'Complaint Rate', type: 'percentage', align: 'right' },
+          { key: 'complaintsPer100', header: 'Complaints per 100 Customers', type: 'number', align: 'right' }
+        ]}
+        title="Complaints by Arrears State"
+        showSearch={false}
+        showPagination={false}
+      />
+      {segmentMetrics.unmatchedComplainants > 0 && (
+        <p className="customer-note">
+          {formatNumber(segmentMetrics.unmatchedComplainants)} complaining customers have no lending or arrears records
+          and are left out of the rates.
+        </p>
+      )}
+    </div>
+  );
+
+  const renderProfile = () => {
+    if (isLoading) {
+      return (
+        <div className="dashboard-loading">
+          <div className="loading-spinner"></div>
+          <div className="loading-text">Loading customer...</div>
+        </div>
+      );
+    }
+
+    if (!profile) return null;
+
+    if (!profile.hasRecords) {
+      return (
+        <div className="dashboard-no-data">
+          <h3>No Records for {profile.customerId}</h3>
+          <p>This customer ID doesn't appear in lending, arrears or complaints data.</p>
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="dashboard-section">
+          <h2 className="customer-title">
+            Customer {profile.customerId}
+            {profile.summary.inArrears && <span className="customer-badge warning">In arrears</span>}
+          </h2>
+          <KPIGrid kpis={getProfileKpis()} />
+        </div>
+
+        <div className="dashboard-section">
+          <div className="table-container-wrapper full-width">
+            <DataTable
+              data={getLoanRows()}
+              columns={loanColumns}
+              title="Loans"
+              pageSize={5}
+              showSearch={false}
+              emptyMessage="No lending records"
+            />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="table-container-wrapper full-width">
+            <DataTable
+              data={profile.episodes}
+              columns={episodeColumns}
+              title="Arrears Episodes"
+              pageSize={5}
+              showSearch={false}
+              emptyMessage="No arrears episodes"
+            />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="table-container-wrapper full-width">
+            <DataTable
+              data={profile.complaints}
+              columns={complaintColumns}
+              title="Complaints"
+              pageSize={5}
+              showSearch={false}
+              emptyMessage="No complaints"
+            />
+          </div>
+        </div>
+
+        <div className="dashboard-section">
+          <div className="activity-feed">
+            <div className="activity-feed-header">
+              <h3 className="activity-feed-title">Timeline</h3>
+            </div>
+            <div className="activity-feed-body">
+              {profile.timeline.map((event, index) => (
+                <div key={`${event.type}-${index}`} className="activity-item">
+                  <div className={`activity-icon ${event.type === 'arrears' ? 'warning' : ''}`}>{event.icon}</div>
+                  <div className="activity-content">
+                    <div className="activity-title">
+                      {event.title}
+                      {event.amount !== undefined && event.amount !== null && ` · ${formatCurrency(event.amount)}`}
+                    </div>
+                    {event.description && <div className="activity-description">{event.description}</div>}
+                    <div className="activity-time">{formatDate(event.date, 'DD MMM YYYY')}</div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="dashboard-container customer-dashboard">
+
+      {/* Cross-report metrics */}
+      {segmentMetrics && (
+        <div className="dashboard-section">
+          <KPIGrid kpis={getSegmentKpis()} />
+          {renderSegmentTable()}
+        </div>
+      )}
+
+      {/* Customer search */}
+      <div className="dashboard-section">
+        <form className="customer-search" onSubmit={handleSearch}>
+          <input
+            type="search"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search by customer ID"
+            aria-label="Customer ID"
+          />
+          <button type="submit" className="btn btn-primary" disabled={searchState.isSearching}>
+            {searchState.isSearching ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+
+        {searchState.results && (
+          <ul className="customer-results">
+            {searchState.results.length === 0 && (
+              <li className="customer-results-empty">No customers match "{searchTerm}"</li>
+            )}
+            {searchState.results.map(result => (
+              <li key={result.customerId}>
+                <button type="button" onClick={() => selectCustomer(result.customerId)}>
+                  <span className="customer-results-id">{result.customerId}</span>
+                  <span className="customer-results-counts">
+                    {Object.entries(result.counts)
+                      .map(([reportType, count]) => `${REPORT_LABELS[reportType]} ${formatNumber(count)}`)
+                      .join(' · ')}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {error && (
+        <div className="dashboard-error">
+          <h3>Error Loading Customer Data</h3>
+          <p>{error.message}</p>
+        </div>
+      )}
+
+      {renderProfile()}
+    </div>
+  );
+};
+
+export default CustomerDashboard;
@@ -1,22 +1,62 @@
 // src/components/dashboards/LendingDashboard.js
 import React, { useState, useEffect } from 'react';
-import KPICard, { CurrencyKPICard, CountKPICard } from '../charts/KPICard';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { KPIGrid } from '../charts/KPICard';
 import LineChart from '../charts/LineChart';
 import BarChart from '../charts/BarChart';
 import PieChart from '../charts/PieChart';
 import TrendChart from '../charts/TrendChart';
 import DataTable from '../common/DataTable';
+import ComparisonSelector from '../filters/ComparisonSelector';
+import PeriodSelector from '../filters/PeriodSelector';
+import DrillBreadcrumb from '../filters/DrillBreadcrumb';
+import QuickFilterBar from '../filters/QuickFilterBar';
+import FilterPanel from '../filters/FilterPanel';
+import useDrillDown from '../../hooks/useDrillDown';
+import useViewSetting from '../../hooks/useViewSetting';
+import useBoardPackCapture from '../../hooks/useBoardPackCapture';
+import useReportSeries from '../../hooks/useReportSeries';
 import { REPORT_CONFIG } from '../../config/reportConfig';
+import { FUNDED_CONDITION } from '../../config/kpiConfig';
 import { formatCurrency, formatNumber } from '../../utils/formatters';
+import { calculateKPIComparison, describeKPIs } from '../../utils/kpiEngine';
+import { formatPeriodLabel } from '../../utils/dataQuery';
+import { getNumericValue } from '../../utils/fieldUtils';
+import { getBucketLabel } from '../../utils/drillDown';
+import { TREND_PERIODS } from '../../utils/constants';
 
 const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedData, setProcessedData] = useState(null);
+  const [trendPeriod, setTrendPeriod] = useViewSetting('lending-volume', 'trend-period', 'month');
+  const { globalFilters, comparison, fiscalCalendar } = useFilterContext();
+  const { drilledData, queryCondition, drillInto } = useDrillDown('lending-volume', data);
+
+  // Dashboard date range falls back to the global filter date range
+  const activeDateRange = dateRange || globalFilters.dateRange;
+
+  // KPI tiles and filter context for the PDF board pack
+  useBoardPackCapture('lending-volume', processedData, activeDateRange);
 
   const reportConfig = REPORT_CONFIG['lending-volume'];
 
-  // Process raw data for dashboard
+  // Issued amount, applications and funded applications per trend period are
+  // aggregated in the lending store, so the trends don't depend on every
+  // record being loaded. Drill steps the query can't express leave them empty.
+  const { series: periodSeries } = useReportSeries(queryCondition === undefined ? null : 'lending-volume', {
+    period: trendPeriod,
+    calendar: fiscalCalendar,
+    dateRange: activeDateRange,
+    where: queryCondition || undefined,
+    aggregate: {
+      volume: { op: 'sum', field: 'issued_amount' },
+      count: { op: 'count' },
+      funded: { op: 'count', where: FUNDED_CONDITION }
+    }
+  });
+
+  // Process raw data for dashboard, narrowed by any chart drill-down
   useEffect(() => {
     if (!data || data.length === 0) {
       setProcessedData(null);
@@ -26,75 +66,43 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     try {
       setIsLoading(true);
       
-      // Calculate KPIs
-      const totalVolume = data.reduce((sum, record) => sum + (record.amount || 0), 0);
-      const totalApplications = data.length;
-      const avgLoanSize = totalVolume / totalApplications;
-      const approvalRate = data.filter(record => record.status === 'approved').length / totalApplications * 100;
-
-      // Previous period comparison (mock for now)
-      const previousVolume = totalVolume * 0.85; // Mock 15% growth
-      const previousApplications = totalApplications * 0.92; // Mock 8% growth
-
-      // Group by month for time series
-      const monthlyData = data.reduce((acc, record) => {
-        const month = new Date(record.date).toISOString().substr(0, 7);
-        if (!acc[month]) {
-          acc[month] = { volume: 0, count: 0, approved: 0 };
-        }
-        acc[month].volume += record.amount || 0;
-        acc[month].count += 1;
-        if (record.status === 'approved') acc[month].approved += 1;
-        return acc;
-      }, {});
-
-      const timeSeriesLabels = Object.keys(monthlyData).sort();
-      const volumeData = timeSeriesLabels.map(month => monthlyData[month].volume);
-      const countData = timeSeriesLabels.map(month => monthlyData[month].count);
-      const approvalData = timeSeriesLabels.map(month => 
-        (monthlyData[month].approved / monthlyData[month].count) * 100
+      // Calculate KPIs from the shared KPI registry over the active date range,
+      // alongside the same KPIs for the comparison window
+      const { current: kpiValues, previous: previousKpis, comparisonLabel } = calculateKPIComparison(
+        'lending-volume', drilledData, { dateRange: activeDateRange, comparison }
       );
+      const kpis = describeKPIs('lending-volume', kpiValues);
 
-      // Group by product type
-      const productData = data.reduce((acc, record) => {
-        const product = record.product || 'Unknown';
-        if (!acc[product]) {
-          acc[product] = { volume: 0, count: 0 };
+      // Group by lead source
+      const leadSourceData = drilledData.reduce((acc, record) => {
+        const leadSource = getBucketLabel(record, 'tier_name');
+        if (!acc[leadSource]) {
+          acc[leadSource] = { volume: 0, count: 0 };
         }
-        acc[product].volume += record.amount || 0;
-        acc[product].count += 1;
+        acc[leadSource].volume += getNumericValue(record, 'issued_amount') || 0;
+        acc[leadSource].count += 1;
         return acc;
       }, {});
 
-      // Group by region
-      const regionData = data.reduce((acc, record) => {
-        const region = record.region || 'Unknown';
-        if (!acc[region]) {
-          acc[region] = { volume: 0, count: 0 };
+      // Group by application stage
+      const stageData = drilledData.reduce((acc, record) => {
+        const stage = getBucketLabel(record, 'stage');
+        if (!acc[stage]) {
+          acc[stage] = { volume: 0, count: 0 };
         }
-        acc[region].volume += record.amount || 0;
-        acc[region].count += 1;
+        acc[stage].volume += getNumericValue(record, 'issued_amount') || 0;
+        acc[stage].count += 1;
         return acc;
       }, {});
 
       setProcessedData({
-        kpis: {
-          totalVolume,
-          totalApplications,
-          avgLoanSize,
-          approvalRate,
-          previousVolume,
-          previousApplications
-        },
-        timeSeries: {
-          labels: timeSeriesLabels,
-          volume: volumeData,
-          count: countData,
-          approval: approvalData
-        },
-        products: productData,
-        regions: regionData,
-        rawData: data
+        kpis,
+        kpiValues,
+        previousKpis,
+        comparisonLabel,
+        leadSources: leadSourceData,
+        stages: stageData,
+        rawData: drilledData
       });
 
     } catch (err) {
@@ -102,16 +110,16 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [data, dateRange, filters]);
+  }, [data, drilledData, activeDateRange, comparison, filters]);
 
   // Prepare chart data
+  const getPeriodLabels = () => periodSeries.map(row => formatPeriodLabel(row.period, trendPeriod, fiscalCalendar));
+
   const getVolumeChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+    labels: getPeriodLabels(),
     datasets: [{
       label: 'Lending Volume',
-      data: processedData?.timeSeries.volume || [],
+      data: periodSeries.map(row => row.volume),
       borderColor: '#007bff',
       backgroundColor: '#007bff20',
       fill: true
@@ -119,61 +127,73 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   });
 
   const getApplicationsChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+    labels: getPeriodLabels(),
     datasets: [{
       label: 'Applications',
-      data: processedData?.timeSeries.count || [],
+      data: periodSeries.map(row => row.count),
       borderColor: '#28a745',
       backgroundColor: '#28a745'
     }]
   });
 
-  const getApprovalRateChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+  const getConversionRateChartData = () => ({
+    labels: getPeriodLabels(),
     datasets: [{
-      label: 'Approval Rate',
-      data: processedData?.timeSeries.approval || [],
+      label: 'Conversion Rate',
+      data: periodSeries.map(row => (row.count > 0 ? (row.funded / row.count) * 100 : null)),
       borderColor: '#ffc107',
       backgroundColor: '#ffc10720',
       fill: true
     }]
   });
 
-  const getProductChartData = () => ({
-    labels: Object.keys(processedData?.products || {}),
+  const getLeadSourceChartData = () => ({
+    labels: Object.keys(processedData?.leadSources || {}),
     datasets: [{
-      label: 'Volume by Product',
-      data: Object.values(processedData?.products || {}).map(p => p.volume),
+      label: 'Volume by Lead Source',
+      data: Object.values(processedData?.leadSources || {}).map(source => source.volume),
       backgroundColor: [
         '#007bff', '#28a745', '#ffc107', '#dc3545', '#6f42c1', '#fd7e14'
       ]
     }]
   });
 
-  const getRegionChartData = () => ({
-    labels: Object.keys(processedData?.regions || {}),
+  const getStageChartData = () => ({
+    labels: Object.keys(processedData?.stages || {}),
     datasets: [{
-      label: 'Applications by Region',
-      data: Object.values(processedData?.regions || {}).map(r => r.count),
+      label: 'Applications by Stage',
+      data: Object.values(processedData?.stages || {}).map(stage => stage.count),
       backgroundColor: [
         '#17a2b8', '#e83e8c', '#6c757d', '#343a40', '#007bff', '#28a745'
       ]
     }]
   });
 
+  // Chart clicks drill into a period, lead source or stage
+  const handlePeriodClick = ({ index }) => {
+    const { period } = periodSeries[index];
+    drillInto(reportConfig.dateField, period, {
+      period: trendPeriod,
+      label: `${TREND_PERIODS[trendPeriod].label}: ${formatPeriodLabel(period, trendPeriod, fiscalCalendar)}`
+    });
+  };
+
+  const handleLeadSourceClick = ({ label }) => {
+    drillInto('tier_name', label, { label: `Lead source: ${label}` });
+  };
+
+  const handleStageClick = ({ label }) => {
+    drillInto('stage', label, { label: `Stage: ${label}` });
+  };
+
   // Table columns configuration
   const tableColumns = [
-    { key: 'date', header: 'Date', type: 'date', width: '100px' },
-    { key: 'application_id', header: 'Application ID', width: '120px' },
-    { key: 'customer_name', header: 'Customer', width: '150px' },
-    { key: 'product', header: 'Product', width: '120px' },
-    { key: 'amount', header: 'Amount', type: 'currency', align: 'right', width: '120px' },
-    { key: 'status', header: 'Status', width: '100px' },
-    { key: 'region', header: 'Region', width: '100px' }
+    { key: 'stage_date', header: 'Stage Date', type: 'date', width: '100px' },
+    { key: 'customer_id', header: 'Customer ID', width: '120px' },
+    { key: 'tier_name', header: 'Lead Source', width: '120px' },
+    { key: 'stage', header: 'Stage', width: '100px' },
+    { key: 'issued_amount', header: 'Issued', type: 'currency', align: 'right', width: '120px' },
+    { key: 'payment_status', header: 'Payment Status', width: '110px' }
   ];
 
   if (isLoading) {
@@ -210,40 +230,20 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   }
 
   return (
-    <div className="dashboard-container lending-dashboard">
+    <div className="dashboard-container lending-dashboard" data-report-type="lending-volume">
       
       {/* KPI Cards Row */}
       <div className="dashboard-section">
-        <div className="kpi-grid">
-          <CurrencyKPICard
-            title="Total Lending Volume"
-            value={processedData.kpis.totalVolume}
-            previousValue={processedData.kpis.previousVolume}
-            icon="💰"
-            status="success"
-          />
-          <CountKPICard
-            title="Total Applications"
-            value={processedData.kpis.totalApplications}
-            previousValue={processedData.kpis.previousApplications}
-            icon="📄"
-            status="normal"
-          />
-          <CurrencyKPICard
-            title="Average Loan Size"
-            value={processedData.kpis.avgLoanSize}
-            icon="📊"
-            status="normal"
-          />
-          <KPICard
-            title="Approval Rate"
-            value={processedData.kpis.approvalRate}
-            format="percentage"
-            icon="✅"
-            target={85}
-            status={processedData.kpis.approvalRate >= 85 ? "success" : "warning"}
-          />
-        </div>
+        <ComparisonSelector comparisonLabel={processedData.comparisonLabel} />
+        <PeriodSelector value={trendPeriod} onChange={setTrendPeriod} />
+        <DrillBreadcrumb reportType="lending-volume" />
+        <QuickFilterBar reportType="lending-volume" data={data} />
+        <FilterPanel reportType="lending-volume" data={data} />
+        <KPIGrid
+          kpis={processedData.kpis}
+          previousValues={processedData.previousKpis}
+          comparisonLabel={processedData.comparisonLabel}
+        />
       </div>
 
       {/* Main Charts Row */}
@@ -256,14 +256,16 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               formatType="currency"
               height={300}
               showTrendLine={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
           <div className="chart-container-wrapper">
             <BarChart
               data={getApplicationsChartData()}
-              title="Monthly Applications"
+              title={`Applications by ${TREND_PERIODS[trendPeriod].label.toLowerCase()}`}
               formatType="number"
               height={300}
+              onBarClick={handlePeriodClick}
             />
           </div>
         </div>
@@ -274,23 +276,25 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
         <div className="charts-grid">
           <div className="chart-container-wrapper">
             <LineChart
-              data={getApprovalRateChartData()}
-              title="Approval Rate Trend"
+              data={getConversionRateChartData()}
+              title="Conversion Rate Trend"
               formatType="percentage"
               height={300}
               fill={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
           <div className="chart-container-wrapper">
             <PieChart
-              data={getProductChartData()}
-              title="Volume by Product Type"
+              data={getLeadSourceChartData()}
+              title="Volume by Lead Source"
               formatType="currency"
               height={300}
               variant="doughnut"
+              onSegmentClick={handleLeadSourceClick}
               centerText={{
-                value: processedData.kpis.totalVolume,
-                label: "Total Volume"
+                value: processedData.kpiValues.total_issued,
+                label: "Total Issued"
               }}
             />
           </div>
@@ -302,11 +306,12 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
         <div className="analysis-grid">
           <div className="chart-container-wrapper">
             <BarChart
-              data={getRegionChartData()}
-              title="Applications by Region"
+              data={getStageChartData()}
+              title="Applications by Stage"
               formatType="number"
               height={300}
               orientation="horizontal"
+              onBarClick={handleStageClick}
             />
           </div>
           <div className="table-container-wrapper">
@@ -314,6 +319,8 @@ const LendingDashboard = ({ data, dateRange, filters, onFilterChange }) => {
               data={processedData.rawData.slice(0, 100)} // Show recent 100 records
               columns={tableColumns}
               title="Recent Applications"
+              reportType="lending-volume"
+              viewKey="recent-applications"
               pageSize={10}
               showSearch={true}
               showExport={true}
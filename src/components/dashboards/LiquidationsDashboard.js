@@ -1,21 +1,65 @@
 // src/components/dashboards/LiquidationsDashboard.js
 import React, { useState, useEffect } from 'react';
-import KPICard, { CurrencyKPICard, PercentageKPICard } from '../charts/KPICard';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { KPIGrid } from '../charts/KPICard';
 import LineChart from '../charts/LineChart';
 import BarChart from '../charts/BarChart';
 import PieChart from '../charts/PieChart';
 import TrendChart from '../charts/TrendChart';
+import VintageChart from '../charts/VintageChart';
 import DataTable from '../common/DataTable';
+import ComparisonSelector from '../filters/ComparisonSelector';
+import PeriodSelector from '../filters/PeriodSelector';
+import DrillBreadcrumb from '../filters/DrillBreadcrumb';
+import QuickFilterBar from '../filters/QuickFilterBar';
+import FilterPanel from '../filters/FilterPanel';
+import useDrillDown from '../../hooks/useDrillDown';
+import useViewSetting from '../../hooks/useViewSetting';
+import useBoardPackCapture from '../../hooks/useBoardPackCapture';
+import useReportSeries from '../../hooks/useReportSeries';
 import { REPORT_CONFIG } from '../../config/reportConfig';
+import { calculateKPIComparison, describeKPIs } from '../../utils/kpiEngine';
+import { formatPeriodLabel } from '../../utils/dataQuery';
+import { TREND_PERIODS } from '../../utils/constants';
+import { buildVintageCohorts, getVintageTableRows } from '../../utils/vintageAnalysis';
+import { getNumericValue } from '../../utils/fieldUtils';
+import { getLatestSnapshot, getLatestSnapshotCondition } from '../../utils/snapshots';
+
+const sumField = (records, field) => records.reduce((sum, record) => sum + (getNumericValue(record, field) || 0), 0);
 
 const LiquidationsDashboard = ({ data, dateRange, filters, onFilterChange }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedData, setProcessedData] = useState(null);
+  const [trendPeriod, setTrendPeriod] = useViewSetting('liquidations', 'trend-period', 'month');
+  const { globalFilters, comparison, fiscalCalendar } = useFilterContext();
+  const { drilledData, queryCondition, drillInto } = useDrillDown('liquidations', data);
+
+  // Dashboard date range falls back to the global filter date range
+  const activeDateRange = dateRange || globalFilters.dateRange;
+
+  // KPI tiles and filter context for the PDF board pack
+  useBoardPackCapture('liquidations', processedData, activeDateRange);
 
   const reportConfig = REPORT_CONFIG['liquidations'];
 
-  // Process liquidations data
+  // Funded and collected per funding period are aggregated in the
+  // liquidations store over the latest snapshot, as the KPIs are, so a cohort
+  // uploaded every month is only counted once. Drill steps the query can't
+  // express leave them empty.
+  const snapshotCondition = getLatestSnapshotCondition('liquidations', data);
+  const { series: periodSeries } = useReportSeries(queryCondition === undefined ? null : 'liquidations', {
+    period: trendPeriod,
+    calendar: fiscalCalendar,
+    dateRange: activeDateRange,
+    where: { all: [queryCondition, snapshotCondition].filter(Boolean) },
+    aggregate: {
+      funded: { op: 'sum', field: 'funded' },
+      collected: { op: 'sum', field: 'all_together' }
+    }
+  });
+
+  // Process liquidations data, narrowed by any chart drill-down
   useEffect(() => {
     if (!data || data.length === 0) {
       setProcessedData(null);
@@ -25,126 +69,35 @@ const LiquidationsDashboard = ({ data, dateRange, filters, onFilterChange }) =>
     try {
       setIsLoading(true);
 
-      // Calculate KPIs
-      const totalRecovered = data.reduce((sum, record) => sum + (record.recovered_amount || 0), 0);
-      const totalWrittenOff = data.reduce((sum, record) => sum + (record.written_off_amount || 0), 0);
-      const totalLossAmount = data.reduce((sum, record) => sum + (record.loss_amount || 0), 0);
-      const totalCases = data.length;
-      const recoveryRate = totalRecovered / (totalRecovered + totalLossAmount) * 100;
-      const avgRecoveryTime = data.reduce((sum, record) => sum + (record.recovery_days || 0), 0) / totalCases;
-
-      // Recovery status analysis
-      const recoveredCases = data.filter(record => record.status === 'recovered').length;
-      const writeOffCases = data.filter(record => record.status === 'written-off').length;
-      const inProgressCases = data.filter(record => record.status === 'in-progress').length;
-
-      // Previous period comparison (mock)
-      const previousRecoveryRate = recoveryRate * 0.92; // Mock improvement
-      const previousRecovered = totalRecovered * 0.88;
-
-      // Time series data
-      const monthlyData = data.reduce((acc, record) => {
-        const month = new Date(record.liquidation_date || record.date).toISOString().substr(0, 7);
-        if (!acc[month]) {
-          acc[month] = { 
-            recovered: 0, 
-            writtenOff: 0, 
-            cases: 0,
-            inProgress: 0,
-            totalLoss: 0
-          };
-        }
-        acc[month].recovered += record.recovered_amount || 0;
-        acc[month].writtenOff += record.written_off_amount || 0;
-        acc[month].totalLoss += record.loss_amount || 0;
-        acc[month].cases += 1;
-        if (record.status === 'in-progress') acc[month].inProgress += 1;
-        return acc;
-      }, {});
-
-      const timeSeriesLabels = Object.keys(monthlyData).sort();
-      const recoveredData = timeSeriesLabels.map(month => monthlyData[month].recovered);
-      const writtenOffData = timeSeriesLabels.map(month => monthlyData[month].writtenOff);
-      const recoveryRateData = timeSeriesLabels.map(month => {
-        const total = monthlyData[month].recovered + monthlyData[month].totalLoss;
-        return total > 0 ? (monthlyData[month].recovered / total) * 100 : 0;
-      });
-
-      // Product analysis
-      const productData = data.reduce((acc, record) => {
-        const product = record.product || 'Unknown';
-        if (!acc[product]) {
-          acc[product] = { 
-            recovered: 0, 
-            writtenOff: 0, 
-            cases: 0, 
-            totalLoss: 0,
-            recoveryRate: 0 
-          };
-        }
-        acc[product].recovered += record.recovered_amount || 0;
-        acc[product].writtenOff += record.written_off_amount || 0;
-        acc[product].totalLoss += record.loss_amount || 0;
-        acc[product].cases += 1;
-        return acc;
-      }, {});
-
-      // Calculate recovery rates for products
-      Object.keys(productData).forEach(product => {
-        const total = productData[product].recovered + productData[product].totalLoss;
-        productData[product].recoveryRate = total > 0 ? 
-          (productData[product].recovered / total) * 100 : 0;
-      });
-
-      // Recovery method analysis
-      const recoveryMethods = data.reduce((acc, record) => {
-        const method = record.recovery_method || 'Unknown';
-        if (!acc[method]) {
-          acc[method] = { amount: 0, cases: 0 };
-        }
-        acc[method].amount += record.recovered_amount || 0;
-        acc[method].cases += 1;
-        return acc;
-      }, {});
-
-      // Status distribution
-      const statusData = {
-        'Recovered': recoveredCases,
-        'Written Off': writeOffCases,
-        'In Progress': inProgressCases,
-        'Legal Action': data.filter(r => r.status === 'legal-action').length
+      // Calculate KPIs from the shared KPI registry over the active date range,
+      // alongside the same KPIs for the comparison window
+      const { current: kpiValues, previous: previousKpis, comparisonLabel } = calculateKPIComparison(
+        'liquidations', drilledData, { dateRange: activeDateRange, comparison }
+      );
+      const kpis = describeKPIs('liquidations', kpiValues);
+
+      // Collections split between ordinary and DMP/IVA payments, from the
+      // latest snapshot as the KPIs are
+      const latestSnapshot = getLatestSnapshot(drilledData);
+      const collectionBreakdown = {
+        'Collected (not DMP/IVA)': sumField(latestSnapshot, 'collected'),
+        'DMP/IVA Collected': sumField(latestSnapshot, 'dmp_iva_collected')
       };
 
-      // Recovery time buckets
-      const recoveryTimeBuckets = {
-        '0-30 days': data.filter(r => (r.recovery_days || 0) <= 30).length,
-        '31-90 days': data.filter(r => (r.recovery_days || 0) > 30 && (r.recovery_days || 0) <= 90).length,
-        '91-180 days': data.filter(r => (r.recovery_days || 0) > 90 && (r.recovery_days || 0) <= 180).length,
-        '180+ days': data.filter(r => (r.recovery_days || 0) > 180).length
-      };
+      // Vintage cohorts by funded_year/funded_month
+      const vintageCohorts = buildVintageCohorts(drilledData);
 
       setProcessedData({
-        kpis: {
-          totalRecovered,
-          totalWrittenOff,
-          totalLossAmount,
-          recoveryRate,
-          avgRecoveryTime,
-          totalCases,
-          previousRecoveryRate,
-          previousRecovered
-        },
-        timeSeries: {
-          labels: timeSeriesLabels,
-          recovered: recoveredData,
-          writtenOff: writtenOffData,
-          recoveryRate: recoveryRateData
+        kpis,
+        kpiValues,
+        previousKpis,
+        comparisonLabel,
+        collectionBreakdown,
+        vintage: {
+          cohorts: vintageCohorts,
+          rows: getVintageTableRows(vintageCohorts)
         },
-        products: productData,
-        recoveryMethods,
-        statusData,
-        recoveryTimeBuckets,
-        rawData: data
+        rawData: drilledData
       });
 
     } catch (err) {
@@ -152,96 +105,94 @@ const LiquidationsDashboard = ({ data, dateRange, filters, onFilterChange }) =>
     } finally {
       setIsLoading(false);
     }
-  }, [data, dateRange, filters]);
+  }, [data, drilledData, activeDateRange, comparison, filters]);
 
   // Chart data preparation
-  const getRecoveryTrendChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+  const getPeriodLabels = () => periodSeries.map(row => formatPeriodLabel(row.period, trendPeriod, fiscalCalendar));
+
+  const getCohortTrendChartData = () => ({
+    labels: getPeriodLabels(),
     datasets: [
       {
-        label: 'Recovered Amount',
-        data: processedData?.timeSeries.recovered || [],
-        borderColor: '#28a745',
-        backgroundColor: '#28a74520',
+        label: 'Funded',
+        data: periodSeries.map(row => row.funded),
+        borderColor: '#007bff',
+        backgroundColor: '#007bff20',
         fill: true
       },
       {
-        label: 'Written Off',
-        data: processedData?.timeSeries.writtenOff || [],
-        borderColor: '#dc3545',
-        backgroundColor: '#dc354520',
+        label: 'Collected',
+        data: periodSeries.map(row => row.collected),
+        borderColor: '#28a745',
+        backgroundColor: '#28a74520',
         fill: true
       }
     ]
   });
 
-  const getRecoveryRateChartData = () => ({
-    labels: processedData?.timeSeries.labels.map(label => 
-      new Date(label + '-01').toLocaleDateString('en-US', { month: 'short', year: '2-digit' })
-    ) || [],
+  const getLiquidationRateChartData = () => ({
+    labels: getPeriodLabels(),
     datasets: [{
-      label: 'Recovery Rate (%)',
-      data: processedData?.timeSeries.recoveryRate || [],
-      borderColor: '#007bff',
-      backgroundColor: '#007bff20',
+      label: 'Liquidation Rate (%)',
+      data: periodSeries.map(row => (row.funded > 0 ? (row.collected / row.funded) * 100 : null)),
+      borderColor: '#7c3aed',
+      backgroundColor: '#7c3aed20',
       fill: true
     }]
   });
 
-  const getProductRecoveryChartData = () => ({
-    labels: Object.keys(processedData?.products || {}),
-    datasets: [{
-      label: 'Recovery Rate (%)',
-      data: Object.values(processedData?.products || {}).map(p => p.recoveryRate),
-      backgroundColor: '#28a745'
-    }]
-  });
-
-  const getRecoveryMethodsChartData = () => ({
-    labels: Object.keys(processedData?.recoveryMethods || {}),
-    datasets: [{
-      label: 'Recovery Amount',
-      data: Object.values(processedData?.recoveryMethods || {}).map(m => m.amount),
-      backgroundColor: [
-        '#007bff', '#28a745', '#ffc107', '#dc3545', '#6f42c1'
-      ]
-    }]
-  });
-
-  const getStatusChartData = () => ({
-    labels: Object.keys(processedData?.statusData || {}),
-    datasets: [{
-      label: 'Cases',
-      data: Object.values(processedData?.statusData || {}),
-      backgroundColor: [
-        '#28a745', '#dc3545', '#ffc107', '#17a2b8'
+  const getCohortPerformanceChartData = () => {
+    const rows = processedData?.vintage.rows || [];
+    return {
+      labels: rows.map(row => row.label),
+      datasets: [
+        {
+          label: 'Actual (%)',
+          data: rows.map(row => row.actual_liquidation_rate),
+          backgroundColor: '#28a745'
+        },
+        {
+          label: 'Forecast (%)',
+          data: rows.map(row => row.forecast_liquidation_rate),
+          backgroundColor: '#ffc107'
+        }
       ]
-    }]
-  });
+    };
+  };
 
-  const getRecoveryTimeChartData = () => ({
-    labels: Object.keys(processedData?.recoveryTimeBuckets || {}),
+  const getCollectionBreakdownChartData = () => ({
+    labels: Object.keys(processedData?.collectionBreakdown || {}),
     datasets: [{
-      label: 'Cases',
-      data: Object.values(processedData?.recoveryTimeBuckets || {}),
-      backgroundColor: [
-        '#28a745', '#ffc107', '#fd7e14', '#dc3545'
-      ]
+      label: 'Collected',
+      data: Object.values(processedData?.collectionBreakdown || {}),
+      backgroundColor: ['#28a745', '#17a2b8']
     }]
   });
 
-  // Table columns
+  // Chart clicks drill into a funding period or cohort
+  const handlePeriodClick = ({ index }) => {
+    const { period } = periodSeries[index];
+    drillInto(reportConfig.dateField, period, {
+      period: trendPeriod,
+      label: `${TREND_PERIODS[trendPeriod].label}: ${formatPeriodLabel(period, trendPeriod, fiscalCalendar)}`
+    });
+  };
+
+  const handleCohortClick = ({ index }) => {
+    const row = processedData.vintage.rows[index];
+    drillInto(reportConfig.dateField, row.cohort, { period: 'month', label: `Cohort: ${row.label}` });
+  };
+
+  // Vintage cohort table columns
   const tableColumns = [
-    { key: 'case_id', header: 'Case ID', width: '120px' },
-    { key: 'customer_name', header: 'Customer', width: '150px' },
-    { key: 'product', header: 'Product', width: '100px' },
-    { key: 'original_amount', header: 'Original', type: 'currency', align: 'right', width: '120px' },
-    { key: 'recovered_amount', header: 'Recovered', type: 'currency', align: 'right', width: '120px' },
-    { key: 'loss_amount', header: 'Loss', type: 'currency', align: 'right', width: '120px' },
-    { key: 'recovery_days', header: 'Days', type: 'number', align: 'right', width: '80px' },
-    { key: 'status', header: 'Status', width: '100px' }
+    { key: 'label', header: 'Cohort', width: '100px' },
+    { key: 'months_on_book', header: 'Months on Book', type: 'number', align: 'right', width: '100px' },
+    { key: 'funded', header: 'Funded', type: 'currency', align: 'right', width: '120px' },
+    { key: 'collected', header: 'Collected', type: 'currency', align: 'right', width: '120px' },
+    { key: 'actual_liquidation_rate', header: 'Actual', type: 'percentage', align: 'right', width: '90px' },
+    { key: 'forecast_liquidation_rate', header: 'Forecast', type: 'percentage', align: 'right', width: '90px' },
+    { key: 'variance', header: 'Actual vs Forecast', type: 'percentage', align: 'right', width: '110px' },
+    { key: 'total_due_not_scheduled', header: 'Not Scheduled', type: 'currency', align: 'right', width: '120px' }
   ];
 
   if (isLoading) {
@@ -278,41 +229,20 @@ const LiquidationsDashboard = ({ data, dateRange, filters, onFilterChange }) =>
   }
 
   return (
-    <div className="dashboard-container liquidations-dashboard">
+    <div className="dashboard-container liquidations-dashboard" data-report-type="liquidations">
       
       {/* KPI Cards */}
       <div className="dashboard-section">
-        <div className="kpi-grid">
-          <CurrencyKPICard
-            title="Total Recovered"
-            value={processedData.kpis.totalRecovered}
-            previousValue={processedData.kpis.previousRecovered}
-            icon="💰"
-            status="success"
-          />
-          <PercentageKPICard
-            title="Recovery Rate"
-            value={processedData.kpis.recoveryRate}
-            previousValue={processedData.kpis.previousRecoveryRate}
-            icon="📈"
-            target={75}
-            status={processedData.kpis.recoveryRate >= 75 ? "success" : "warning"}
-          />
-          <CurrencyKPICard
-            title="Total Loss"
-            value={processedData.kpis.totalLossAmount}
-            icon="📉"
-            status="danger"
-          />
-          <KPICard
-            title="Avg Recovery Time"
-            value={processedData.kpis.avgRecoveryTime}
-            format="number"
-            subtitle="days"
-            icon="⏱️"
-            status="normal"
-          />
-        </div>
+        <ComparisonSelector comparisonLabel={processedData.comparisonLabel} />
+        <PeriodSelector value={trendPeriod} onChange={setTrendPeriod} />
+        <DrillBreadcrumb reportType="liquidations" />
+        <QuickFilterBar reportType="liquidations" data={data} />
+        <FilterPanel reportType="liquidations" data={data} />
+        <KPIGrid
+          kpis={processedData.kpis}
+          previousValues={processedData.previousKpis}
+          comparisonLabel={processedData.comparisonLabel}
+        />
       </div>
 
       {/* Main Trend Charts */}
@@ -320,40 +250,55 @@ const LiquidationsDashboard = ({ data, dateRange, filters, onFilterChange }) =>
         <div className="charts-grid">
           <div className="chart-container-wrapper">
             <LineChart
-              data={getRecoveryTrendChartData()}
-              title="Recovery vs Write-off Trend"
+              data={getCohortTrendChartData()}
+              title="Funded vs Collected by Cohort"
               formatType="currency"
               height={300}
               showLegend={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
           <div className="chart-container-wrapper">
             <TrendChart
-              data={getRecoveryRateChartData()}
-              title="Recovery Rate Trend"
+              data={getLiquidationRateChartData()}
+              title="Liquidation Rate by Cohort"
               formatType="percentage"
               height={300}
               showTrendLine={true}
+              onPointClick={handlePeriodClick}
             />
           </div>
         </div>
       </div>
 
+      {/* Vintage Analysis */}
+      <div className="dashboard-section">
+        <div className="chart-container-wrapper full-width">
+          <VintageChart
+            cohorts={processedData.vintage.cohorts}
+            height={400}
+            reportType="liquidations"
+            viewKey="vintage-chart"
+          />
+        </div>
+      </div>
+
       {/* Analysis Charts */}
       <div className="dashboard-section">
         <div className="charts-grid">
           <div className="chart-container-wrapper">
             <BarChart
-              data={getProductRecoveryChartData()}
-              title="Recovery Rate by Product"
+              data={getCohortPerformanceChartData()}
+              title="Actual vs Forecast Liquidation Rate"
               formatType="percentage"
               height={300}
+              onBarClick={handleCohortClick}
             />
           </div>
           <div className="chart-container-wrapper">
             <PieChart
-              data={getRecoveryMethodsChartData()}
-              title="Recovery by Method"
+              data={getCollectionBreakdownChartData()}
+              title="Collections Breakdown"
               formatType="currency"
               height={300}
               variant="doughnut"
@@ -362,39 +307,15 @@ const LiquidationsDashboard = ({ data, dateRange, filters, onFilterChange }) =>
         </div>
       </div>
 
-      {/* Status and Time Analysis */}
-      <div className="dashboard-section">
-        <div className="charts-grid">
-          <div className="chart-container-wrapper">
-            <PieChart
-              data={getStatusChartData()}
-              title="Case Status Distribution"
-              formatType="number"
-              height={300}
-            />
-          </div>
-          <div className="chart-container-wrapper">
-            <BarChart
-              data={getRecoveryTimeChartData()}
-              title="Recovery Time Analysis"
-              formatType="number"
-              height={300}
-              orientation="horizontal"
-            />
-          </div>
-        </div>
-      </div>
-
       {/* Data Table */}
       <div className="dashboard-section">
         <div className="table-container-wrapper full-width">
           <DataTable
-            data={processedData.rawData
-              .sort((a, b) => (b.recovered_amount || 0) - (a.recovered_amount || 0))
-              .slice(0, 100)
-            }
+            data={[...processedData.vintage.rows].reverse()}
             columns={tableColumns}
-            title="Recent Liquidation Cases"
+            title="Vintage Cohorts"
+            reportType="liquidations"
+            viewKey="vintage-cohorts"
             pageSize={10}
             showSearch={true}
             showExport={true}
@@ -1,15 +1,42 @@
 // src/components/dashboards/OverviewDashboard.js
 import React, { useState, useEffect } from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
 import KPICard, { CurrencyKPICard, PercentageKPICard } from '../charts/KPICard';
 import LineChart from '../charts/LineChart';
 import BarChart from '../charts/BarChart';
 import PieChart from '../charts/PieChart';
 import { REPORT_CONFIG } from '../../config/reportConfig';
+import { ARREARS_CONDITION } from '../../config/kpiConfig';
+import { calculateKPIComparison } from '../../utils/kpiEngine';
+import { getPeriodKey } from '../../utils/dataQuery';
+import { toDateKey } from '../../utils/dbSchema';
+import { getNumericValue, getRecordDate, matchesCondition } from '../../utils/fieldUtils';
+import { getBucketLabel } from '../../utils/drillDown';
+import { getCurrentRecords } from '../../utils/snapshots';
+
+// Adds each record's value to the month its report's dateField falls in
+const addToMonthlySeries = (timeSeriesData, reportType, records, key, getValue) => {
+  const { dateField } = REPORT_CONFIG[reportType];
+  records.forEach(record => {
+    const month = getPeriodKey(toDateKey(getRecordDate(record, dateField)), 'month');
+    if (!month) return;
+    if (!timeSeriesData[month]) {
+      timeSeriesData[month] = {
+        lending: 0, arrears: 0, recovered: 0, calls: 0, complaints: 0
+      };
+    }
+    timeSeriesData[month][key] += getValue(record);
+  });
+};
 
 const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [processedData, setProcessedData] = useState(null);
+  const { globalFilters, comparison } = useFilterContext();
+
+  // Dashboard date range falls back to the global filter date range
+  const activeDateRange = dateRange || globalFilters.dateRange;
 
   // Process data from all report types
   useEffect(() => {
@@ -28,132 +55,74 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
       const callCenterData = allData['call-center'] || [];
       const complaintsData = allData['complaints'] || [];
 
-      // Calculate high-level KPIs
-      const totalLendingVolume = lendingData.reduce((sum, record) => sum + (record.amount || 0), 0);
+      // Calculate high-level KPIs from the shared KPI registry over the active
+      // date range, alongside the same KPIs for the comparison window
+      const comparisonOptions = { dateRange: activeDateRange, comparison };
+      const lending = calculateKPIComparison('lending-volume', lendingData, comparisonOptions);
+      const arrears = calculateKPIComparison('arrears', arrearsData, comparisonOptions);
+      const liquidations = calculateKPIComparison('liquidations', liquidationsData, comparisonOptions);
+      const callCenterKpis = calculateKPIComparison('call-center', callCenterData, comparisonOptions).current;
+      const complaintsKpis = calculateKPIComparison('complaints', complaintsData, comparisonOptions).current;
+
+      const totalLendingVolume = lending.current.total_issued;
       const totalApplications = lendingData.length;
-      const totalArrears = arrearsData.reduce((sum, record) => sum + (record.arrears_amount || 0), 0);
-      const arrearsRate = arrearsData.length > 0 ? 
-        (arrearsData.filter(r => (r.arrears_amount || 0) > 0).length / arrearsData.length) * 100 : 0;
-      
-      const totalRecovered = liquidationsData.reduce((sum, record) => sum + (record.recovered_amount || 0), 0);
-      const recoveryRate = liquidationsData.length > 0 ? 
-        (liquidationsData.filter(r => r.status === 'recovered').length / liquidationsData.length) * 100 : 0;
-      
-      const totalCalls = callCenterData.length;
-      const callAnswerRate = callCenterData.length > 0 ? 
-        (callCenterData.filter(r => r.status === 'answered').length / callCenterData.length) * 100 : 0;
-      
-      const totalComplaints = complaintsData.length;
-      const complaintResolutionRate = complaintsData.length > 0 ? 
-        (complaintsData.filter(r => r.status === 'resolved').length / complaintsData.length) * 100 : 0;
+      const totalArrears = arrears.current.total_arrears;
+      const arrearsRate = arrears.current.arrears_rate;
+      const totalRecovered = liquidations.current.total_collected;
+      const recoveryRate = liquidations.current.recovery_efficiency;
+      const totalCalls = callCenterKpis.total_calls;
+      const callAnswerRate = callCenterKpis.answer_rate;
+      const totalComplaints = complaintsKpis.total_complaints;
+      const complaintResolutionRate = complaintsKpis.resolution_rate;
 
-      // Previous period comparisons (mock for demo)
-      const previousLendingVolume = totalLendingVolume * 0.87;
-      const previousArrearsRate = arrearsRate * 1.05;
-      const previousRecoveryRate = recoveryRate * 0.96;
+      const previousLendingVolume = lending.previous.total_issued;
+      const previousArrearsRate = arrears.previous.arrears_rate;
+      const previousRecoveryRate = liquidations.previous.recovery_efficiency;
+
+      // Arrears and liquidations totals read the latest snapshot, as their
+      // KPIs do
+      const currentArrears = getCurrentRecords('arrears', arrearsData);
+      const currentLiquidations = getCurrentRecords('liquidations', liquidationsData);
+      const arrearsAccounts = currentArrears.filter(record => matchesCondition(record, ARREARS_CONDITION));
 
       // Time series data (combine monthly data from all sources)
       const timeSeriesData = {};
-      
-      // Process lending data by month
-      lendingData.forEach(record => {
-        const month = new Date(record.date).toISOString().substr(0, 7);
-        if (!timeSeriesData[month]) {
-          timeSeriesData[month] = {
-            lending: 0, arrears: 0, recovered: 0, calls: 0, complaints: 0
-          };
-        }
-        timeSeriesData[month].lending += record.amount || 0;
-      });
-
-      // Process other data types similarly
-      arrearsData.forEach(record => {
-        const month = new Date(record.date || record.reporting_date).toISOString().substr(0, 7);
-        if (!timeSeriesData[month]) {
-          timeSeriesData[month] = {
-            lending: 0, arrears: 0, recovered: 0, calls: 0, complaints: 0
-          };
-        }
-        timeSeriesData[month].arrears += record.arrears_amount || 0;
-      });
+      addToMonthlySeries(timeSeriesData, 'lending-volume', lendingData, 'lending',
+        record => getNumericValue(record, 'issued_amount') || 0);
+      addToMonthlySeries(timeSeriesData, 'arrears', arrearsAccounts, 'arrears',
+        record => getNumericValue(record, 'total_due') || 0);
+      addToMonthlySeries(timeSeriesData, 'liquidations', currentLiquidations, 'recovered',
+        record => getNumericValue(record, 'all_together') || 0);
+      addToMonthlySeries(timeSeriesData, 'call-center', callCenterData, 'calls', () => 1);
+      addToMonthlySeries(timeSeriesData, 'complaints', complaintsData, 'complaints',
+        record => getNumericValue(record, 'count') ?? 1);
 
-      liquidationsData.forEach(record => {
-        const month = new Date(record.liquidation_date || record.date).toISOString().substr(0, 7);
-        if (!timeSeriesData[month]) {
-          timeSeriesData[month] = {
-            lending: 0, arrears: 0, recovered: 0, calls: 0, complaints: 0
-          };
-        }
-        timeSeriesData[month].recovered += record.recovered_amount || 0;
-      });
+      const timeLabels = Object.keys(timeSeriesData).sort();
 
-      callCenterData.forEach(record => {
-        const month = new Date(record.call_time || record.date).toISOString().substr(0, 7);
-        if (!timeSeriesData[month]) {
-          timeSeriesData[month] = {
-            lending: 0, arrears: 0, recovered: 0, calls: 0, complaints: 0
-          };
+      // Lending volume and arrears rate by lead source
+      const leadSourceData = {};
+      const getLeadSourceTotals = (record) => {
+        const leadSource = getBucketLabel(record, 'tier_name');
+        if (!leadSourceData[leadSource]) {
+          leadSourceData[leadSource] = { applications: 0, lending: 0, accounts: 0, arrearsAccounts: 0, arrearsRate: 0 };
         }
-        timeSeriesData[month].calls += 1;
-      });
+        return leadSourceData[leadSource];
+      };
 
-      complaintsData.forEach(record => {
-        const month = new Date(record.complaint_date || record.date).toISOString().substr(0, 7);
-        if (!timeSeriesData[month]) {
-          timeSeriesData[month] = {
-            lending: 0, arrears: 0, recovered: 0, calls: 0, complaints: 0
-          };
-        }
-        timeSeriesData[month].complaints += 1;
+      lendingData.forEach(record => {
+        const totals = getLeadSourceTotals(record);
+        totals.applications += 1;
+        totals.lending += getNumericValue(record, 'issued_amount') || 0;
       });
 
-      const timeLabels = Object.keys(timeSeriesData).sort();
-
-      // Product performance across all areas
-      const productPerformance = {};
-      const products = [...new Set([
-        ...lendingData.map(r => r.product),
-        ...arrearsData.map(r => r.product),
-        ...liquidationsData.map(r => r.product)
-      ].filter(Boolean))];
-
-      products.forEach(product => {
-        const lendingVolume = lendingData
-          .filter(r => r.product === product)
-          .reduce((sum, r) => sum + (r.amount || 0), 0);
-        
-        const arrearsAmount = arrearsData
-          .filter(r => r.product === product)
-          .reduce((sum, r) => sum + (r.arrears_amount || 0), 0);
-        
-        const recoveredAmount = liquidationsData
-          .filter(r => r.product === product)
-          .reduce((sum, r) => sum + (r.recovered_amount || 0), 0);
-
-        productPerformance[product] = {
-          lending: lendingVolume,
-          arrears: arrearsAmount,
-          recovered: recoveredAmount
-        };
+      currentArrears.forEach(record => {
+        const totals = getLeadSourceTotals(record);
+        totals.accounts += 1;
+        if (matchesCondition(record, ARREARS_CONDITION)) totals.arrearsAccounts += 1;
       });
 
-      // Regional analysis
-      const regionalData = {};
-      const regions = [...new Set([
-        ...lendingData.map(r => r.region),
-        ...arrearsData.map(r => r.region),
-        ...liquidationsData.map(r => r.region)
-      ].filter(Boolean))];
-
-      regions.forEach(region => {
-        const applications = lendingData.filter(r => r.region === region).length;
-        const arrearsAccounts = arrearsData.filter(r => r.region === region && (r.arrears_amount || 0) > 0).length;
-        const totalAccounts = arrearsData.filter(r => r.region === region).length;
-        
-        regionalData[region] = {
-          applications,
-          arrearsRate: totalAccounts > 0 ? (arrearsAccounts / totalAccounts) * 100 : 0
-        };
+      Object.values(leadSourceData).forEach(totals => {
+        totals.arrearsRate = totals.accounts > 0 ? (totals.arrearsAccounts / totals.accounts) * 100 : 0;
       });
 
       // Data availability status
@@ -181,12 +150,12 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
           previousArrearsRate,
           previousRecoveryRate
         },
+        comparisonLabel: lending.comparisonLabel,
         timeSeries: {
           labels: timeLabels,
           data: timeSeriesData
         },
-        productPerformance,
-        regionalData,
+        leadSources: leadSourceData,
         dataStatus,
         dataCounts: {
           lending: lendingData.length,
@@ -202,7 +171,7 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
     } finally {
       setIsLoading(false);
     }
-  }, [allData, dateRange, filters]);
+  }, [allData, activeDateRange, comparison, filters]);
 
   // Chart data preparation
   const getBusinessVolumeChartData = () => {
@@ -263,21 +232,21 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
     };
   };
 
-  const getProductPerformanceChartData = () => ({
-    labels: Object.keys(processedData?.productPerformance || {}),
+  const getLeadSourceVolumeChartData = () => ({
+    labels: Object.keys(processedData?.leadSources || {}),
     datasets: [{
       label: 'Lending Volume',
-      data: Object.values(processedData?.productPerformance || {}).map(p => p.lending),
+      data: Object.values(processedData?.leadSources || {}).map(source => source.lending),
       backgroundColor: '#007bff'
     }]
   });
 
-  const getRegionalChartData = () => ({
-    labels: Object.keys(processedData?.regionalData || {}),
+  const getLeadSourceArrearsChartData = () => ({
+    labels: Object.keys(processedData?.leadSources || {}),
     datasets: [{
-      label: 'Applications',
-      data: Object.values(processedData?.regionalData || {}).map(r => r.applications),
-      backgroundColor: '#28a745'
+      label: 'Arrears Rate (%)',
+      data: Object.values(processedData?.leadSources || {}).map(source => source.arrearsRate),
+      backgroundColor: '#dc3545'
     }]
   });
 
@@ -348,6 +317,7 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
             title="Total Lending Volume"
             value={processedData.kpis.totalLendingVolume}
             previousValue={processedData.kpis.previousLendingVolume}
+            comparisonLabel={processedData.comparisonLabel}
             icon="💰"
             status="success"
             onClick={() => onNavigate?.('/lending-volume')}
@@ -356,6 +326,7 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
             title="Arrears Rate"
             value={processedData.kpis.arrearsRate}
             previousValue={processedData.kpis.previousArrearsRate}
+            comparisonLabel={processedData.comparisonLabel}
             icon="⚠️"
             target={5}
             status={processedData.kpis.arrearsRate <= 5 ? "success" : "danger"}
@@ -365,6 +336,7 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
 			title="Recovery Rate"
 			value={processedData.kpis.recoveryRate}
 			previousValue={processedData.kpis.previousRecoveryRate}
+			comparisonLabel={processedData.comparisonLabel}
 			icon="📈"
 			target={75}
 			status={processedData.kpis.recoveryRate >= 75 ? "success" : "warning"}
@@ -372,6 +344,50 @@ const OverviewDashboard = ({ allData, dateRange, filters, onNavigate }) => {
 		  />
 				</div>
 			</div>
+
+      {/* Monthly Trends */}
+      <div className="dashboard-section">
+        <div className="charts-grid">
+          <div className="chart-container-wrapper">
+            <LineChart
+              data={getBusinessVolumeChartData()}
+              title="Lending and Arrears by Month"
+              formatType="currency"
+              height={300}
+            />
+          </div>
+          <div className="chart-container-wrapper">
+            <BarChart
+              data={getOperationalVolumeChartData()}
+              title="Calls and Complaints by Month"
+              formatType="number"
+              height={300}
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Lead Source Performance */}
+      <div className="dashboard-section">
+        <div className="charts-grid">
+          <div className="chart-container-wrapper">
+            <BarChart
+              data={getLeadSourceVolumeChartData()}
+              title="Lending Volume by Lead Source"
+              formatType="currency"
+              height={300}
+            />
+          </div>
+          <div className="chart-container-wrapper">
+            <BarChart
+              data={getLeadSourceArrearsChartData()}
+              title="Arrears Rate by Lead Source"
+              formatType="percentage"
+              height={300}
+            />
+          </div>
+        </div>
+      </div>
 			</div>
 		);
 		};
@@ -0,0 +1,65 @@
+// src/components/filters/ComparisonSelector.js
+import React from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { COMPARISON_MODES } from '../../utils/constants';
+
+const ComparisonSelector = ({
+  comparisonLabel,
+  label = "Compare KPIs with",
+  className = ""
+}) => {
+  const { comparison, setComparison } = useFilterContext();
+  const baseline = comparison.baseline || { start: '', end: '' };
+
+  const handleModeChange = (mode) => {
+    setComparison(mode, mode === 'baseline' ? comparison.baseline : null);
+  };
+
+  const handleBaselineChange = (field, value) => {
+    setComparison('baseline', { ...baseline, [field]: value });
+  };
+
+  return (
+    <div className={`comparison-selector ${className}`}>
+      <label htmlFor="comparison-mode" className="filter-label">{label}</label>
+      <select
+        id="comparison-mode"
+        value={comparison.mode}
+        onChange={(e) => handleModeChange(e.target.value)}
+        className="comparison-mode-select"
+      >
+        {Object.entries(COMPARISON_MODES).map(([key, mode]) => (
+          <option key={key} value={key}>{mode.label}</option>
+        ))}
+      </select>
+
+      {comparison.mode === 'baseline' && (
+        <div className="comparison-baseline">
+          <input
+            type="date"
+            value={baseline.start || ''}
+            onChange={(e) => handleBaselineChange('start', e.target.value)}
+            max={baseline.end || undefined}
+            className="date-input"
+            aria-label="Baseline start date"
+          />
+          <span className="date-separator">to</span>
+          <input
+            type="date"
+            value={baseline.end || ''}
+            onChange={(e) => handleBaselineChange('end', e.target.value)}
+            min={baseline.start || undefined}
+            className="date-input"
+            aria-label="Baseline end date"
+          />
+        </div>
+      )}
+
+      <span className="comparison-window">
+        {comparisonLabel || (comparison.mode === 'none' ? '' : 'Select a date range to compare periods')}
+      </span>
+    </div>
+  );
+};
+
+export default ComparisonSelector;
@@ -62,12 +62,9 @@ const DateRangeFilter = ({
 
     const preset = presets.find(p => p.key === presetKey);
     if (preset) {
-      const startDate = formatDate(preset.startDate, 'YYYY-MM-DD');
-      const endDate = formatDate(preset.endDate, 'YYYY-MM-DD');
-      
-      setLocalStartDate(startDate);
-      setLocalEndDate(endDate);
-      updateParent(startDate, endDate);
+      setLocalStartDate(preset.start);
+      setLocalEndDate(preset.end);
+      updateParent(preset.start, preset.end);
     }
   };
 
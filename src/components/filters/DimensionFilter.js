@@ -0,0 +1,178 @@
+// src/components/filters/DimensionFilter.js
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { getDimensionFields, getDimensionOptions } from '../../utils/filterExpression';
+import { formatNumber } from '../../utils/formatters';
+
+const BLANK_LABEL = '(blank)';
+const NO_DIMENSIONS = {};
+
+const getOptionLabel = (value) => (value === null ? BLANK_LABEL : value);
+
+// Multi-select over the values of one category field. options are
+// { value, count } as from getDimensionOptions; only the topN most common are
+// listed until the list is expanded or searched.
+const DimensionFilter = ({
+  label,
+  options = [],
+  selected = [],
+  onChange,
+  topN = 10,
+  className = ""
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showAll, setShowAll] = useState(false);
+  const dropdownRef = useRef(null);
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (dropdownRef.current && !dropdownRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Selected values missing from the data, such as from a shared link, stay
+  // listed so they can be cleared
+  const allOptions = useMemo(() => {
+    const known = new Set(options.map(option => option.value));
+    const missing = selected.filter(value => !known.has(value)).map(value => ({ value, count: 0 }));
+    return [...options, ...missing];
+  }, [options, selected]);
+
+  const term = searchTerm.trim().toLowerCase();
+  const matchingOptions = term
+    ? allOptions.filter(option => getOptionLabel(option.value).toLowerCase().includes(term))
+    : allOptions;
+  const isTruncated = !term && !showAll && matchingOptions.length > topN;
+  const visibleOptions = isTruncated ? matchingOptions.slice(0, topN) : matchingOptions;
+
+  const allVisibleSelected = visibleOptions.length > 0 &&
+    visibleOptions.every(option => selected.includes(option.value));
+
+  const handleToggle = (value) => {
+    onChange(selected.includes(value)
+      ? selected.filter(v => v !== value)
+      : [...selected, value]);
+  };
+
+  // Select or deselect the options currently listed
+  const handleSelectAll = () => {
+    const visibleValues = visibleOptions.map(option => option.value);
+    onChange(allVisibleSelected
+      ? selected.filter(value => !visibleValues.includes(value))
+      : [...selected, ...visibleValues.filter(value => !selected.includes(value))]);
+  };
+
+  const getDisplayText = () => {
+    if (selected.length === 0) return 'All';
+    if (selected.length === 1) return getOptionLabel(selected[0]);
+    return `${selected.length} selected`;
+  };
+
+  return (
+    <div className={`dimension-filter ${className}`} ref={dropdownRef}>
+      <span className="filter-label">{label}</span>
+      <button
+        type="button"
+        className={`dimension-filter-toggle ${selected.length > 0 ? 'active' : ''}`}
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+      >
+        <span>{getDisplayText()}</span>
+        <span className="dropdown-arrow">{isOpen ? '▲' : '▼'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="dimension-filter-menu">
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder={`Search ${label.toLowerCase()}...`}
+            className="dimension-filter-search"
+            aria-label={`Search ${label}`}
+          />
+
+          <div className="dimension-filter-actions">
+            <button type="button" onClick={handleSelectAll} disabled={visibleOptions.length === 0}>
+              {allVisibleSelected ? 'Deselect all' : 'Select all'}
+            </button>
+            {selected.length > 0 && (
+              <button type="button" onClick={() => onChange([])}>Clear</button>
+            )}
+          </div>
+
+          <ul className="dimension-filter-options">
+            {visibleOptions.map(option => (
+              <li key={option.value ?? BLANK_LABEL}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(option.value)}
+                    onChange={() => handleToggle(option.value)}
+                  />
+                  <span className="dimension-filter-value">{getOptionLabel(option.value)}</span>
+                  <span className="dimension-filter-count">{formatNumber(option.count)}</span>
+                </label>
+              </li>
+            ))}
+            {visibleOptions.length === 0 && (
+              <li className="dimension-filter-empty">No values match "{searchTerm}"</li>
+            )}
+          </ul>
+
+          {!term && matchingOptions.length > topN && (
+            <button type="button" className="dimension-filter-more" onClick={() => setShowAll(!showAll)}>
+              {showAll ? `Show top ${topN}` : `Show all ${matchingOptions.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// A DimensionFilter for each category field of a report, with options and
+// counts from the records loaded on the dashboard. Selections are kept as the
+// report's `dimensions` filter and applied with its other filters (see
+// useDrillDown).
+export const DimensionFilters = ({ reportType, data, topN = 10, className = "" }) => {
+  const { reportFilters, setReportFilter } = useFilterContext();
+  const dimensions = reportFilters[reportType]?.dimensions || NO_DIMENSIONS;
+
+  const fields = useMemo(() => getDimensionFields(reportType)
+    .map(field => ({ ...field, options: getDimensionOptions(data || [], field.field) }))
+    .filter(field => field.options.some(option => option.value !== null) || dimensions[field.field]?.length > 0),
+  [reportType, data, dimensions]);
+
+  if (fields.length === 0) return null;
+
+  const handleChange = (field, values) => {
+    const next = { ...dimensions, [field]: values };
+    if (values.length === 0) delete next[field];
+    setReportFilter(reportType, 'dimensions', Object.keys(next).length > 0 ? next : null);
+  };
+
+  return (
+    <div className={`dimension-filters ${className}`}>
+      {fields.map(field => (
+        <DimensionFilter
+          key={field.field}
+          label={field.label}
+          options={field.options}
+          selected={dimensions[field.field] || []}
+          onChange={(values) => handleChange(field.field, values)}
+          topN={topN}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default DimensionFilter;
@@ -0,0 +1,49 @@
+// src/components/filters/DrillBreadcrumb.js
+import React from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+
+// Drill path for a report, from all data down to the last chart click.
+// Clicking a step returns to it; hidden until something is drilled into.
+const DrillBreadcrumb = ({
+  reportType,
+  rootLabel = "All data",
+  className = ""
+}) => {
+  const { getDrillPath, stepBackDrill } = useFilterContext();
+  const drillPath = getDrillPath(reportType);
+
+  if (drillPath.length === 0) return null;
+
+  return (
+    <nav className={`drill-breadcrumb ${className}`} aria-label="Drill-down path">
+      <ol>
+        <li>
+          <button type="button" onClick={() => stepBackDrill(reportType, 0)}>
+            {rootLabel}
+          </button>
+        </li>
+        {drillPath.map((filter, index) => (
+          <li key={`${filter.label}-${index}`}>
+            {index === drillPath.length - 1 ? (
+              <span aria-current="page">{filter.label}</span>
+            ) : (
+              <button type="button" onClick={() => stepBackDrill(reportType, index + 1)}>
+                {filter.label}
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+      <button
+        type="button"
+        className="drill-breadcrumb-clear"
+        onClick={() => stepBackDrill(reportType, 0)}
+        aria-label="Clear drill-down"
+      >
+        ✕
+      </button>
+    </nav>
+  );
+};
+
+export default DrillBreadcrumb;
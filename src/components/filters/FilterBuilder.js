@@ -0,0 +1,293 @@
+// src/components/filters/FilterBuilder.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import {
+  OPERATORS,
+  RELATIVE_UNITS,
+  MAX_GROUP_DEPTH,
+  getFilterFields,
+  getFieldKey,
+  getOperators,
+  getDefaultValue,
+  createRule,
+  createGroup,
+  isGroup,
+  getCombinator,
+  getChildren,
+  compileExpression,
+  countRules
+} from '../../utils/filterExpression';
+
+const toNumber = (value) => (value === '' ? null : Number(value));
+
+const toList = (text) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+// Comma separated values, kept as typed until the input loses focus
+const ListInput = ({ values, onChange }) => {
+  const joined = values.join(', ');
+  const [text, setText] = useState(joined);
+
+  useEffect(() => {
+    setText(joined);
+  }, [joined]);
+
+  return (
+    <input
+      type="text"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(toList(text))}
+      placeholder="Values, comma separated"
+      aria-label="Values"
+    />
+  );
+};
+
+// Input for a rule's value, shaped by its operator
+const RuleValue = ({ rule, onChange }) => {
+  const { value } = rule;
+
+  switch (OPERATORS[rule.op]?.input) {
+    case 'range':
+      return (
+        <span className="filter-rule-value">
+          <input
+            type="number"
+            value={value?.[0] ?? ''}
+            onChange={(e) => onChange([toNumber(e.target.value), value?.[1] ?? null])}
+            placeholder="Min"
+            aria-label="Minimum"
+          />
+          <span className="date-separator">and</span>
+          <input
+            type="number"
+            value={value?.[1] ?? ''}
+            onChange={(e) => onChange([value?.[0] ?? null, toNumber(e.target.value)])}
+            placeholder="Max"
+            aria-label="Maximum"
+          />
+        </span>
+      );
+
+    case 'number':
+      return (
+        <input
+          type="number"
+          value={value ?? ''}
+          onChange={(e) => onChange(toNumber(e.target.value))}
+          aria-label="Value"
+        />
+      );
+
+    case 'list':
+      return (
+        <ListInput
+          values={Array.isArray(value) ? value : []}
+          onChange={onChange}
+        />
+      );
+
+    case 'date':
+      return (
+        <input
+          type="date"
+          value={value || ''}
+          onChange={(e) => onChange(e.target.value)}
+          className="date-input"
+          aria-label="Date"
+        />
+      );
+
+    case 'relative':
+      return (
+        <span className="filter-rule-value">
+          <input
+            type="number"
+            min="1"
+            value={value?.amount ?? ''}
+            onChange={(e) => onChange({ ...value, amount: toNumber(e.target.value) })}
+            aria-label="Amount"
+          />
+          <select
+            value={value?.unit || 'days'}
+            onChange={(e) => onChange({ ...value, unit: e.target.value })}
+            aria-label="Unit"
+          >
+            {RELATIVE_UNITS.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+          </select>
+        </span>
+      );
+
+    case 'none':
+      return null;
+
+    default:
+      return (
+        <input
+          type="text"
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={rule.op === 'regex' ? 'e.g. ^ABC|XYZ$' : ''}
+          aria-label="Value"
+        />
+      );
+  }
+};
+
+const ConditionRule = ({ rule, fields, onChange, onRemove }) => {
+  const field = fields.find(f => f.key === getFieldKey(rule)) || fields[0];
+
+  return (
+    <div className="filter-rule">
+      <select
+        value={getFieldKey(rule)}
+        onChange={(e) => onChange(createRule(fields.find(f => f.key === e.target.value)))}
+        aria-label="Field"
+      >
+        {fields.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+      </select>
+      <select
+        value={rule.op}
+        onChange={(e) => onChange({ ...rule, op: e.target.value, value: getDefaultValue(e.target.value) })}
+        aria-label="Operator"
+      >
+        {getOperators(field?.type).map(op => <option key={op} value={op}>{OPERATORS[op].label}</option>)}
+      </select>
+      <RuleValue rule={rule} onChange={(value) => onChange({ ...rule, value })} />
+      <button type="button" className="filter-rule-remove" onClick={onRemove} aria-label="Remove condition">
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export const ConditionGroup = ({ group, fields, depth = 0, onChange, onRemove }) => {
+  const combinator = getCombinator(group);
+  const children = getChildren(group);
+
+  const setChildren = (next) => onChange({ [combinator]: next });
+  const replaceChild = (index, child) => setChildren(children.map((c, i) => (i === index ? child : c)));
+  const removeChild = (index) => setChildren(children.filter((c, i) => i !== index));
+
+  return (
+    <div className={`filter-builder-group ${depth % 2 === 1 ? 'nested' : ''}`}>
+      <div className="filter-builder-group-header">
+        <select
+          value={combinator}
+          onChange={(e) => onChange({ [e.target.value]: children })}
+          aria-label="Match"
+        >
+          <option value="all">All of (AND)</option>
+          <option value="any">Any of (OR)</option>
+        </select>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => setChildren([...children, createRule(fields[0])])}
+          disabled={fields.length === 0}
+        >
+          + Condition
+        </button>
+        {depth < MAX_GROUP_DEPTH - 1 && (
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => setChildren([...children, createGroup(combinator === 'all' ? 'any' : 'all')])}
+          >
+            + Group
+          </button>
+        )}
+        {onRemove && (
+          <button type="button" className="filter-rule-remove" onClick={onRemove} aria-label="Remove group">
+            ✕
+          </button>
+        )}
+      </div>
+
+      {children.length === 0 && <p className="filter-builder-empty">No conditions yet</p>}
+
+      {children.map((child, index) => (isGroup(child) ? (
+        <ConditionGroup
+          key={index}
+          group={child}
+          fields={fields}
+          depth={depth + 1}
+          onChange={(next) => replaceChild(index, next)}
+          onRemove={() => removeChild(index)}
+        />
+      ) : (
+        <ConditionRule
+          key={index}
+          rule={child}
+          fields={fields}
+          onChange={(next) => replaceChild(index, next)}
+          onRemove={() => removeChild(index)}
+        />
+      )))}
+    </div>
+  );
+};
+
+// Conditions on any field of the report, combined in nested AND/OR groups.
+// Applying stores the expression as the report's `advanced` filter, which
+// the dashboard evaluates with the rest of its filtering (see useDrillDown).
+const FilterBuilder = ({ reportType, className = "" }) => {
+  const { reportFilters, setReportFilter } = useFilterContext();
+  const applied = reportFilters[reportType]?.advanced || null;
+  const fields = useMemo(() => getFilterFields(reportType), [reportType]);
+
+  const [draft, setDraft] = useState(() => applied || createGroup());
+  const [isOpen, setIsOpen] = useState(Boolean(applied));
+
+  // Follow the applied expression when a view, link or back/forward changes it
+  useEffect(() => {
+    setDraft(applied || createGroup());
+  }, [applied]);
+
+  const appliedCount = countRules(applied);
+  const compiled = compileExpression(draft);
+  const isChanged = JSON.stringify(compiled) !== JSON.stringify(applied);
+
+  const handleApply = () => {
+    setReportFilter(reportType, 'advanced', compiled);
+  };
+
+  const handleClear = () => {
+    setDraft(createGroup());
+    setReportFilter(reportType, 'advanced', null);
+  };
+
+  return (
+    <details
+      className={`filter-builder ${className}`}
+      open={isOpen}
+      onToggle={(e) => setIsOpen(e.currentTarget.open)}
+    >
+      <summary>
+        Advanced filter
+        {appliedCount > 0 && <span className="filter-badge">{appliedCount} active</span>}
+      </summary>
+
+      <ConditionGroup group={draft} fields={fields} onChange={setDraft} />
+
+      <div className="filter-builder-actions">
+        <button type="button" className="btn btn-primary btn-sm" onClick={handleApply} disabled={!isChanged}>
+          Apply
+        </button>
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={handleClear}
+          disabled={!applied && countRules(draft) === 0}
+        >
+          Clear
+        </button>
+        {countRules(draft) > countRules(compiled) && (
+          <span className="filter-builder-note">Unfinished conditions are left out</span>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default FilterBuilder;
@@ -1,12 +1,19 @@
 // src/components/filters/FilterPanel.js
 import React, { useState, useEffect } from 'react';
 import DateRangeFilter from './DateRangeFilter';
-import ProductFilter from './ProductFilter';
-import RegionFilter from './RegionFilter';
+import { DimensionFilters } from './DimensionFilter';
+import FilterBuilder from './FilterBuilder';
+import { useFilterContext } from '../../contexts/FilterContext';
 import { FILTER_TYPES, DEFAULT_FILTERS } from '../../utils/constants';
+import { countRules } from '../../utils/filterExpression';
 
+// A report's filters: dimension filters over its category fields and the
+// advanced filter builder, both kept in FilterContext as the report's
+// filters, plus a local date range passed to onFiltersChange when given.
+// Dashboards take their date range from the global filters and leave it out.
 const FilterPanel = ({ 
   reportType, 
+  data,
   onFiltersChange, 
   initialFilters = DEFAULT_FILTERS,
   className = '',
@@ -14,10 +21,13 @@ const FilterPanel = ({
 }) => {
   const [filters, setFilters] = useState(initialFilters);
   const [isExpanded, setIsExpanded] = useState(true);
+  const { reportFilters, setReportFilter } = useFilterContext();
+  const { dimensions, advanced } = (reportType && reportFilters[reportType]) || {};
+  const hasDateRange = Boolean(onFiltersChange);
 
   // Update parent when filters change
   useEffect(() => {
-    onFiltersChange(filters);
+    if (onFiltersChange) onFiltersChange(filters);
   }, [filters, onFiltersChange]);
 
   const handleFilterChange = (filterType, value) => {
@@ -29,6 +39,10 @@ const FilterPanel = ({
 
   const handleClearFilters = () => {
     setFilters(DEFAULT_FILTERS);
+    if (reportType) {
+      setReportFilter(reportType, 'dimensions', null);
+      setReportFilter(reportType, 'advanced', null);
+    }
   };
 
   const handleApplyFilters = () => {
@@ -37,9 +51,9 @@ const FilterPanel = ({
 
   const getActiveFilterCount = () => {
     let count = 0;
-    if (filters.dateRange.startDate && filters.dateRange.endDate) count++;
-    if (filters.products && filters.products.length > 0) count++;
-    if (filters.regions && filters.regions.length > 0) count++;
+    if (hasDateRange && filters.dateRange.startDate && filters.dateRange.endDate) count++;
+    count += Object.keys(dimensions || {}).length;
+    count += countRules(advanced);
     return count;
   };
 
@@ -84,42 +98,42 @@ const FilterPanel = ({
         <div className="filter-content">
           <div className="filter-grid">
             {/* Date Range Filter */}
-            <div className="filter-group">
-              <DateRangeFilter
-                value={filters.dateRange}
-                onChange={(dateRange) => handleFilterChange('dateRange', dateRange)}
-                reportType={reportType}
-              />
-            </div>
-
-            {/* Product Filter */}
-            <div className="filter-group">
-              <ProductFilter
-                selectedProducts={filters.products}
-                onChange={(products) => handleFilterChange('products', products)}
-                reportType={reportType}
-              />
-            </div>
-
-            {/* Region Filter */}
-            <div className="filter-group">
-              <RegionFilter
-                selectedRegions={filters.regions}
-                onChange={(regions) => handleFilterChange('regions', regions)}
-                reportType={reportType}
-              />
-            </div>
+            {hasDateRange && (
+              <div className="filter-group">
+                <DateRangeFilter
+                  value={filters.dateRange}
+                  onChange={(dateRange) => handleFilterChange('dateRange', dateRange)}
+                  reportType={reportType}
+                />
+              </div>
+            )}
+
+            {/* Dimension Filters, with values from the loaded data */}
+            {reportType && (
+              <div className="filter-group filter-group-wide">
+                <DimensionFilters reportType={reportType} data={data} />
+              </div>
+            )}
+
+            {/* Advanced Filter, over every field of the report */}
+            {reportType && (
+              <div className="filter-group filter-group-wide">
+                <FilterBuilder reportType={reportType} />
+              </div>
+            )}
           </div>
 
-          {/* Apply Button */}
-          <div className="filter-footer">
-            <button 
-              onClick={handleApplyFilters}
-              className="btn-apply"
-            >
-              Apply Filters
-            </button>
-          </div>
+          {/* Apply Button, for the date range; the others apply themselves */}
+          {hasDateRange && (
+            <div className="filter-footer">
+              <button 
+                onClick={handleApplyFilters}
+                className="btn-apply"
+              >
+                Apply Filters
+              </button>
+            </div>
+          )}
         </div>
       )}
 
@@ -223,6 +237,10 @@ const FilterPanel = ({
           flex-direction: column;
         }
 
+        .filter-group-wide {
+          grid-column: 1 / -1;
+        }
+
         .filter-footer {
           border-top: 1px solid #e1e5e9;
           padding-top: 16px;
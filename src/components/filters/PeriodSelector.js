@@ -0,0 +1,38 @@
+// src/components/filters/PeriodSelector.js
+import React from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import { TREND_PERIODS } from '../../utils/constants';
+import { describeFiscalCalendar, isFiscalPeriod } from '../../utils/fiscalCalendar';
+
+// Period a dashboard's trend charts are grouped by. Fiscal periods note the
+// fiscal calendar they follow.
+const PeriodSelector = ({
+  value,
+  onChange,
+  label = "Group trends by",
+  className = ""
+}) => {
+  const { fiscalCalendar } = useFilterContext();
+
+  return (
+    <div className={`period-selector ${className}`}>
+      <label htmlFor="trend-period" className="filter-label">{label}</label>
+      <select
+        id="trend-period"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="period-select"
+      >
+        {Object.entries(TREND_PERIODS).map(([key, period]) => (
+          <option key={key} value={key}>{period.label}</option>
+        ))}
+      </select>
+
+      {isFiscalPeriod(value) && (
+        <span className="period-calendar">{describeFiscalCalendar(fiscalCalendar)}</span>
+      )}
+    </div>
+  );
+};
+
+export default PeriodSelector;
@@ -0,0 +1,64 @@
+// src/components/filters/QuickFilterBar.js
+import React, { useMemo } from 'react';
+import { useFilterContext } from '../../contexts/FilterContext';
+import useDrillDown from '../../hooks/useDrillDown';
+import { countQuickFilterMatches } from '../../utils/quickFilters';
+import { formatNumber } from '../../utils/formatters';
+
+// Quick filter chips of a report. Each shows how many of the rows on the
+// dashboard it matches, so an active chip counts the rows shown and an
+// inactive one the rows left if it were switched on too.
+const QuickFilterBar = ({ reportType, data, className = "" }) => {
+  const {
+    getActiveQuickFilters,
+    getAvailableQuickFilters,
+    applyQuickFilter,
+    removeQuickFilter
+  } = useFilterContext();
+  const { drilledData } = useDrillDown(reportType, data);
+
+  const quickFilters = getAvailableQuickFilters(reportType);
+  const activeIds = getActiveQuickFilters(reportType);
+
+  const counts = useMemo(() => (drilledData
+    ? Object.fromEntries(quickFilters.map(filter => [filter.id, countQuickFilterMatches(drilledData, filter)]))
+    : {}), [drilledData, quickFilters]);
+
+  if (quickFilters.length === 0) return null;
+
+  const activeFilters = quickFilters.filter(filter => activeIds.includes(filter.id));
+
+  return (
+    <div className={`quick-filter-bar ${className}`}>
+      <span className="filter-label">Quick filters</span>
+      {quickFilters.map(filter => {
+        const isActive = activeIds.includes(filter.id);
+        return (
+          <button
+            key={filter.id}
+            type="button"
+            className={`quick-filter-chip ${isActive ? 'active' : ''}`}
+            onClick={() => (isActive ? removeQuickFilter(reportType, filter.id) : applyQuickFilter(reportType, filter.id))}
+            aria-pressed={isActive}
+          >
+            {filter.label}
+            {counts[filter.id] !== undefined && (
+              <span className="quick-filter-count">{formatNumber(counts[filter.id])}</span>
+            )}
+          </button>
+        );
+      })}
+      {activeFilters.length > 0 && (
+        <button
+          type="button"
+          className="quick-filter-clear"
+          onClick={() => activeFilters.forEach(filter => removeQuickFilter(reportType, filter.id))}
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default QuickFilterBar;
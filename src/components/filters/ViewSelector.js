@@ -0,0 +1,288 @@
+// src/components/filters/ViewSelector.js
+import React, { useState, useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { useViewContext } from '../../contexts/ViewContext';
+import { getStateQuery } from '../../utils/urlState';
+
+// Saved views of a dashboard: apply, save and manage them. Opening the
+// dashboard applies its default view (see ViewContext.openDashboard).
+const ViewSelector = ({ dashboard, className = "" }) => {
+  const {
+    isLoaded,
+    getDashboardViews,
+    getActiveViewId,
+    applyView,
+    openDashboard,
+    saveView,
+    updateViewFromDashboard,
+    renameView,
+    duplicateView,
+    togglePinned,
+    setDefaultView,
+    deleteView,
+    exportViews,
+    importViews
+  } = useViewContext();
+  const location = useLocation();
+
+  const [selectorState, setSelectorState] = useState({
+    isManaging: false,
+    newName: '',
+    editingId: null,
+    editingName: '',
+    confirmDeleteId: null,
+    message: null
+  });
+  const fileInputRef = useRef(null);
+
+  const views = getDashboardViews(dashboard);
+  const activeViewId = getActiveViewId(dashboard);
+  const activeView = views.find(view => view._id === activeViewId) || null;
+
+  // Whether the dashboard was opened from a link carrying filters, read
+  // before the URL sync adds the current filters to a plain link
+  const arrivedWithFilters = useRef(Boolean(getStateQuery(location.search)));
+  const lastDashboard = useRef(dashboard);
+  if (lastDashboard.current !== dashboard) {
+    lastDashboard.current = dashboard;
+    arrivedWithFilters.current = Boolean(getStateQuery(location.search));
+  }
+
+  useEffect(() => {
+    openDashboard(dashboard, arrivedWithFilters.current);
+  }, [dashboard, isLoaded, openDashboard]);
+
+  const updateState = (changes) => setSelectorState(prev => ({ ...prev, ...changes }));
+
+  // Run a view action, showing its error or success message
+  const runAction = async (action, successMessage = null) => {
+    try {
+      await action();
+      updateState({ message: successMessage && { type: 'success', text: successMessage } });
+      return true;
+    } catch (error) {
+      updateState({ message: { type: 'error', text: error.message } });
+      return false;
+    }
+  };
+
+  const handleSelect = (viewId) => {
+    const view = views.find(v => v._id === viewId);
+    if (view) applyView(view);
+  };
+
+  const handleSaveNew = async (event) => {
+    event.preventDefault();
+    const saved = await runAction(() => saveView(dashboard, selectorState.newName), 'View saved');
+    if (saved) updateState({ newName: '' });
+  };
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    const renamed = await runAction(() => renameView(selectorState.editingId, selectorState.editingName));
+    if (renamed) updateState({ editingId: null, editingName: '' });
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await importViews(file);
+      updateState({ message: { type: 'success', text: `Imported ${imported.length} view${imported.length === 1 ? '' : 's'}` } });
+    } catch (error) {
+      updateState({ message: { type: 'error', text: error.message } });
+    }
+  };
+
+  const pinnedViews = views.filter(view => view.pinned);
+
+  return (
+    <div className={`view-selector ${className}`}>
+      <div className="view-selector-bar">
+        <label htmlFor={`view-select-${dashboard}`} className="filter-label">View</label>
+        <select
+          id={`view-select-${dashboard}`}
+          value={activeViewId || ''}
+          onChange={(e) => handleSelect(e.target.value)}
+          className="view-select"
+        >
+          <option value="">{views.length === 0 ? 'No saved views' : 'Choose a view...'}</option>
+          {views.map(view => (
+            <option key={view._id} value={view._id}>
+              {view.pinned ? '📌 ' : ''}{view.name}{view.isDefault ? ' (default)' : ''}
+            </option>
+          ))}
+        </select>
+
+        {pinnedViews.map(view => (
+          <button
+            key={view._id}
+            type="button"
+            className={`view-chip ${view._id === activeViewId ? 'active' : ''}`}
+            onClick={() => applyView(view)}
+          >
+            {view.name}
+          </button>
+        ))}
+
+        {activeView && (
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm"
+            onClick={() => runAction(() => updateViewFromDashboard(activeView), `Updated "${activeView.name}"`)}
+            title="Save the current filters and layout to this view"
+          >
+            Update view
+          </button>
+        )}
+        <button
+          type="button"
+          className="btn btn-secondary btn-sm"
+          onClick={() => updateState({ isManaging: !selectorState.isManaging, message: null })}
+          aria-expanded={selectorState.isManaging}
+        >
+          {selectorState.isManaging ? 'Close' : 'Manage views'}
+        </button>
+      </div>
+
+      {selectorState.isManaging && (
+        <div className="view-manager">
+          <form className="view-save-form" onSubmit={handleSaveNew}>
+            <input
+              type="text"
+              value={selectorState.newName}
+              onChange={(e) => updateState({ newName: e.target.value })}
+              placeholder="Name this view"
+              aria-label="New view name"
+            />
+            <button type="submit" className="btn btn-primary btn-sm" disabled={!selectorState.newName.trim()}>
+              Save current view
+            </button>
+          </form>
+
+          {views.length > 0 && (
+            <ul className="view-list">
+              {views.map(view => (
+                <li key={view._id} className={view._id === activeViewId ? 'active' : ''}>
+                  {selectorState.editingId === view._id ? (
+                    <form className="view-rename-form" onSubmit={handleRename}>
+                      <input
+                        type="text"
+                        value={selectorState.editingName}
+                        onChange={(e) => updateState({ editingName: e.target.value })}
+                        aria-label="View name"
+                        autoFocus
+                      />
+                      <button type="submit" className="btn btn-primary btn-sm">Rename</button>
+                      <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={() => updateState({ editingId: null, editingName: '' })}
+                      >
+                        Cancel
+                      </button>
+                    </form>
+                  ) : (
+                    <button type="button" className="view-name" onClick={() => applyView(view)}>
+                      {view.name}
+                      {view.isDefault && <span className="view-badge">Default</span>}
+                    </button>
+                  )}
+
+                  <div className="view-actions">
+                    <button
+                      type="button"
+                      onClick={() => runAction(() => togglePinned(view))}
+                      title={view.pinned ? 'Unpin' : 'Pin'}
+                      aria-pressed={view.pinned}
+                    >
+                      {view.pinned ? '📌' : '📍'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => runAction(() => setDefaultView(dashboard, view.isDefault ? null : view._id))}
+                      title={view.isDefault ? 'Stop opening this view by default' : 'Open this view by default'}
+                      aria-pressed={view.isDefault}
+                    >
+                      {view.isDefault ? '★' : '☆'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => updateState({ editingId: view._id, editingName: view.name })}
+                      title="Rename"
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => runAction(() => duplicateView(view._id))}
+                      title="Duplicate"
+                    >
+                      ⧉
+                    </button>
+                    {selectorState.confirmDeleteId === view._id ? (
+                      <>
+                        <button
+                          type="button"
+                          className="danger"
+                          onClick={() => runAction(() => deleteView(view._id))
+                            .then(() => updateState({ confirmDeleteId: null }))}
+                        >
+                          Delete
+                        </button>
+                        <button type="button" onClick={() => updateState({ confirmDeleteId: null })}>
+                          Keep
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => updateState({ confirmDeleteId: view._id })}
+                        title="Delete"
+                      >
+                        🗑️
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="view-transfer">
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => runAction(() => exportViews(dashboard))}
+              disabled={views.length === 0}
+            >
+              Export views
+            </button>
+            <button
+              type="button"
+              className="btn btn-secondary btn-sm"
+              onClick={() => fileInputRef.current?.click()}
+            >
+              Import views
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImport}
+              hidden
+            />
+          </div>
+        </div>
+      )}
+
+      {selectorState.message && (
+        <span className={`view-message ${selectorState.message.type}`}>{selectorState.message.text}</span>
+      )}
+    </div>
+  );
+};
+
+export default ViewSelector;
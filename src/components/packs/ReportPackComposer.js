@@ -0,0 +1,528 @@
+// src/components/packs/ReportPackComposer.js
+import React, { useState, useEffect, useMemo } from 'react';
+import { REPORT_CONFIG } from '../../config/reportConfig';
+import {
+  SECTION_KINDS,
+  createSection,
+  createTextSection,
+  deleteReportPack,
+  formatMonth,
+  generateReportPack,
+  getLastCompleteMonth,
+  getSectionCatalogue,
+  loadReportPacks,
+  saveReportPack
+} from '../../utils/reportPack';
+import { exportToPDF } from '../../utils/exportUtils';
+import exportService from '../../services/exportService';
+
+const createDraft = () => ({ _id: null, name: '', month: getLastCompleteMonth(), sections: [] });
+
+const toCatalogueKey = ({ kind, reportType, key }) => `${reportType}|${kind}|${key}`;
+
+const toFilename = (name, month) =>
+  `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report-pack'}_${month}`;
+
+// Compose monthly report packs from any report's KPI strip, charts and tables
+// plus commentary, save them, and run them for a month to PDF and Excel
+const ReportPackComposer = () => {
+  const catalogue = useMemo(() => getSectionCatalogue(), []);
+  const [packs, setPacks] = useState([]);
+  const [draft, setDraft] = useState(createDraft);
+  const [runMonth, setRunMonth] = useState(getLastCompleteMonth);
+  const [sectionToAdd, setSectionToAdd] = useState(() => toCatalogueKey(catalogue[0]));
+  const [composerState, setComposerState] = useState({ isBusy: false, message: null });
+
+  useEffect(() => {
+    loadReportPacks()
+      .then(setPacks)
+      .catch(error => setComposerState({ isBusy: false, message: { type: 'error', text: error.message } }));
+  }, []);
+
+  const selectPack = (pack) => {
+    setDraft(pack ? { ...pack, sections: pack.sections.map(section => ({ ...section })) } : createDraft());
+    setRunMonth(pack ? pack.month : getLastCompleteMonth());
+    setComposerState({ isBusy: false, message: null });
+  };
+
+  const updateSection = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      sections: prev.sections.map((section, i) => (i === index ? { ...section, ...changes } : section))
+    }));
+  };
+
+  const moveSection = (index, offset) => {
+    setDraft(prev => {
+      const sections = [...prev.sections];
+      [sections[index], sections[index + offset]] = [sections[index + offset], sections[index]];
+      return { ...prev, sections };
+    });
+  };
+
+  const removeSection = (index) => {
+    setDraft(prev => ({ ...prev, sections: prev.sections.filter((section, i) => i !== index) }));
+  };
+
+  const addSection = () => {
+    const entry = catalogue.find(item => toCatalogueKey(item) === sectionToAdd);
+    if (entry) setDraft(prev => ({ ...prev, sections: [...prev.sections, createSection(entry)] }));
+  };
+
+  const addCommentary = () => {
+    setDraft(prev => ({ ...prev, sections: [...prev.sections, createTextSection()] }));
+  };
+
+  const runTask = async (task) => {
+    setComposerState({ isBusy: true, message: null });
+    try {
+      const text = await task();
+      setComposerState({ isBusy: false, message: { type: 'success', text } });
+    } catch (error) {
+      console.error('Report pack failed:', error);
+      setComposerState({ isBusy: false, message: { type: 'error', text: error.message } });
+    }
+  };
+
+  const handleSave = () => runTask(async () => {
+    const saved = await saveReportPack(draft, packs);
+    setPacks(await loadReportPacks());
+    setDraft(saved);
+    return `Saved "${saved.name}"`;
+  });
+
+  const handleDelete = () => runTask(async () => {
+    await deleteReportPack(draft._id);
+    setPacks(await loadReportPacks());
+    selectPack(null);
+    return `Deleted "${draft.name}"`;
+  });
+
+  const handleRun = () => runTask(async () => {
+    if (draft.sections.length === 0) {
+      throw new Error('Add at least one section to the pack');
+    }
+    const report = await generateReportPack({ ...draft, name: draft.name.trim() || 'Report Pack' }, runMonth);
+    const filename = toFilename(draft.name, runMonth);
+    await exportToPDF(report, filename);
+    await exportService.exportReportWorkbook(report, { filename: `${filename}.xlsx` });
+    return `Exported ${formatMonth(runMonth)} to PDF and Excel`;
+  });
+
+  const describeSection = (section) => (section.kind === 'text'
+    ? SECTION_KINDS.text.label
+    : `${REPORT_CONFIG[section.reportType]?.title || section.reportType} · ${SECTION_KINDS[section.kind].label}`);
+
+  return (
+    <div className="report-pack-composer">
+      <div className="composer-header">
+        <div className="header-info">
+          <h2>Report Packs</h2>
+          <p>Monthly management packs, rebuilt from the stored data for any month</p>
+        </div>
+      </div>
+
+      {composerState.message && (
+        <div className={`composer-message ${composerState.message.type}`}>{composerState.message.text}</div>
+      )}
+
+      <div className="composer-layout">
+        <aside className="pack-list">
+          <button type="button" className={`pack-item ${!draft._id ? 'active' : ''}`} onClick={() => selectPack(null)}>
+            + New pack
+          </button>
+          {packs.map(pack => (
+            <button
+              key={pack._id}
+              type="button"
+              className={`pack-item ${draft._id === pack._id ? 'active' : ''}`}
+              onClick={() => selectPack(pack)}
+            >
+              <span className="pack-name">{pack.name}</span>
+              <span className="pack-meta">{formatMonth(pack.month)} · {pack.sections.length} sections</span>
+            </button>
+          ))}
+        </aside>
+
+        <div className="pack-editor">
+          <div className="pack-fields">
+            <label className="pack-field">
+              <span>Pack name</span>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Monthly management pack"
+              />
+            </label>
+            <label className="pack-field">
+              <span>Reporting period</span>
+              <input
+                type="month"
+                value={draft.month}
+                onChange={(e) => setDraft(prev => ({ ...prev, month: e.target.value }))}
+              />
+            </label>
+          </div>
+
+          <ol className="section-list">
+            {draft.sections.length === 0 && (
+              <li className="section-empty">Add KPI strips, charts, tables and commentary below.</li>
+            )}
+            {draft.sections.map((section, index) => (
+              <li key={section.id} className="section-item">
+                <div className="section-header">
+                  <div>
+                    <span className="section-kind">{describeSection(section)}</span>
+                    {section.kind !== 'text' && <span className="section-title">{section.title}</span>}
+                  </div>
+                  <div className="item-actions">
+                    <button type="button" onClick={() => moveSection(index, -1)} disabled={index === 0} title="Move up">
+                      ↑
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => moveSection(index, 1)}
+                      disabled={index === draft.sections.length - 1}
+                      title="Move down"
+                    >
+                      ↓
+                    </button>
+                    <button type="button" onClick={() => removeSection(index)} title="Remove section">
+                      🗑️
+                    </button>
+                  </div>
+                </div>
+
+                {section.kind === 'text' && (
+                  <div className="section-text">
+                    <input
+                      type="text"
+                      value={section.title}
+                      onChange={(e) => updateSection(index, { title: e.target.value })}
+                      placeholder="Heading"
+                      aria-label="Commentary heading"
+                    />
+                    <textarea
+                      rows={4}
+                      value={section.text}
+                      onChange={(e) => updateSection(index, { text: e.target.value })}
+                      placeholder="Commentary for this month. Leave a blank line between paragraphs."
+                      aria-label="Commentary"
+                    />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ol>
+
+          <div className="section-add">
+            <select value={sectionToAdd} onChange={(e) => setSectionToAdd(e.target.value)} aria-label="Section">
+              {Object.entries(REPORT_CONFIG).map(([reportType, config]) => (
+                <optgroup key={reportType} label={config.title}>
+                  {catalogue.filter(item => item.reportType === reportType).map(item => (
+                    <option key={toCatalogueKey(item)} value={toCatalogueKey(item)}>
+                      {SECTION_KINDS[item.kind].label}: {item.title}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+            <button type="button" className="btn-add" onClick={addSection}>+ Add section</button>
+            <button type="button" className="btn-add" onClick={addCommentary}>+ Add commentary</button>
+          </div>
+
+          <div className="composer-footer">
+            {draft._id && (
+              <button type="button" className="btn-delete" onClick={handleDelete} disabled={composerState.isBusy}>
+                Delete pack
+              </button>
+            )}
+            <button type="button" className="btn-save" onClick={handleSave} disabled={composerState.isBusy}>
+              Save pack
+            </button>
+          </div>
+
+          <div className="pack-run">
+            <label className="pack-field">
+              <span>Run for month</span>
+              <input type="month" value={runMonth} onChange={(e) => setRunMonth(e.target.value)} />
+            </label>
+            <button
+              type="button"
+              className="btn-run"
+              onClick={handleRun}
+              disabled={composerState.isBusy || draft.sections.length === 0 || !runMonth}
+            >
+              {composerState.isBusy ? 'Working...' : 'Export PDF and Excel'}
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <style jsx>{`
+        .report-pack-composer {
+          padding: 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .header-info h2 {
+          margin: 0 0 4px 0;
+          font-size: 22px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .header-info p {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .composer-message {
+          padding: 12px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .composer-message.success {
+          background: #c6f6d5;
+          color: #2f855a;
+        }
+
+        .composer-message.error {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .composer-layout {
+          display: grid;
+          grid-template-columns: 240px 1fr;
+          gap: 16px;
+          align-items: start;
+        }
+
+        .pack-list,
+        .pack-editor {
+          background: #fff;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .pack-list {
+          display: flex;
+          flex-direction: column;
+          overflow: hidden;
+        }
+
+        .pack-item {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          padding: 12px 16px;
+          background: none;
+          border: none;
+          border-bottom: 1px solid #e2e8f0;
+          text-align: left;
+          font-size: 14px;
+          color: #3182ce;
+          cursor: pointer;
+        }
+
+        .pack-item:last-child {
+          border-bottom: none;
+        }
+
+        .pack-item.active {
+          background: #f8fafc;
+          box-shadow: inset 3px 0 0 #3182ce;
+        }
+
+        .pack-name {
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .pack-meta {
+          font-size: 12px;
+          color: #718096;
+        }
+
+        .pack-editor {
+          padding: 20px 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .pack-fields,
+        .pack-run,
+        .section-add {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: flex-end;
+          gap: 12px;
+        }
+
+        .pack-field {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 14px;
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .pack-field input,
+        .section-add select,
+        .section-text input,
+        .section-text textarea {
+          padding: 8px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          font-size: 14px;
+          color: #2d3748;
+          background: #fff;
+          font-family: inherit;
+        }
+
+        .pack-fields .pack-field:first-child {
+          flex: 1;
+          min-width: 240px;
+        }
+
+        .section-list {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .section-empty {
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .section-item {
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          padding: 12px 16px;
+        }
+
+        .section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .section-kind {
+          display: block;
+          font-size: 12px;
+          color: #718096;
+        }
+
+        .section-title {
+          font-size: 14px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .section-text {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        .section-text input {
+          font-weight: 600;
+        }
+
+        .section-text textarea {
+          resize: vertical;
+        }
+
+        .item-actions {
+          display: flex;
+          gap: 4px;
+        }
+
+        .item-actions button {
+          background: none;
+          border: 1px solid #e2e8f0;
+          border-radius: 4px;
+          padding: 4px 8px;
+          cursor: pointer;
+        }
+
+        .item-actions button:disabled {
+          opacity: 0.4;
+          cursor: default;
+        }
+
+        .btn-add {
+          background: none;
+          border: 1px dashed #a0aec0;
+          border-radius: 6px;
+          padding: 8px 16px;
+          color: #3182ce;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .composer-footer {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+        }
+
+        .pack-run {
+          border-top: 1px solid #e2e8f0;
+          padding-top: 16px;
+        }
+
+        .btn-save,
+        .btn-delete,
+        .btn-run {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          cursor: pointer;
+        }
+
+        .btn-save,
+        .btn-run {
+          background: #3182ce;
+          color: white;
+          border: none;
+        }
+
+        .btn-save:hover:not(:disabled),
+        .btn-run:hover:not(:disabled) {
+          background: #2c5aa0;
+        }
+
+        .btn-delete {
+          background: #fff;
+          color: #c53030;
+          border: 1px solid #e2e8f0;
+        }
+
+        .btn-save:disabled,
+        .btn-delete:disabled,
+        .btn-run:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ReportPackComposer;
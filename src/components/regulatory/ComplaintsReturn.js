@@ -0,0 +1,244 @@
+// src/components/regulatory/ComplaintsReturn.js
+import React, { useState, useEffect, useMemo } from 'react';
+import DataTable from '../common/DataTable';
+import {
+  CAUSE_COLUMNS,
+  CHECK_COLUMNS,
+  CLOSED_COLUMNS,
+  COMPLAINT_COLUMNS,
+  OPENED_COLUMNS,
+  getLastCompleteHalfYear,
+  getReturnHalfYears,
+  loadComplaintsReturn,
+  toComplaintsReturnReport
+} from '../../utils/complaintsReturn';
+import { formatDateWindow } from '../../utils/dateUtils';
+import exportService from '../../services/exportService';
+
+// The FCA complaints return for a chosen half-year, laid out table by table
+// for review, with the classified complaints behind it, and exported to a
+// workbook
+const ComplaintsReturn = () => {
+  const halfYears = useMemo(() => getReturnHalfYears(), []);
+  const [periodKey, setPeriodKey] = useState(() => getLastCompleteHalfYear(halfYears).key);
+  const [complaintsReturn, setComplaintsReturn] = useState(null);
+  const [returnState, setReturnState] = useState({ isLoading: true, isExporting: false, message: null });
+
+  const period = halfYears.find(halfYear => halfYear.key === periodKey);
+
+  useEffect(() => {
+    let isCurrent = true;
+    setReturnState({ isLoading: true, isExporting: false, message: null });
+
+    loadComplaintsReturn(period)
+      .then(result => {
+        if (!isCurrent) return;
+        setComplaintsReturn(result);
+        setReturnState({ isLoading: false, isExporting: false, message: null });
+      })
+      .catch(error => {
+        if (!isCurrent) return;
+        console.error('Complaints return failed:', error);
+        setComplaintsReturn(null);
+        setReturnState({ isLoading: false, isExporting: false, message: { type: 'error', text: error.message } });
+      });
+
+    return () => { isCurrent = false; };
+  }, [period]);
+
+  const handleExport = async () => {
+    setReturnState(prev => ({ ...prev, isExporting: true, message: null }));
+    try {
+      await exportService.exportReportWorkbook(toComplaintsReturnReport(complaintsReturn), {
+        filename: `fca-complaints-return_${period.key}.xlsx`
+      });
+      setReturnState(prev => ({
+        ...prev,
+        isExporting: false,
+        message: { type: 'success', text: `Exported the ${period.label} return` }
+      }));
+    } catch (error) {
+      setReturnState(prev => ({ ...prev, isExporting: false, message: { type: 'error', text: error.message } }));
+    }
+  };
+
+  const tableProps = { showSearch: false, showPagination: false, showExport: false, isLoading: returnState.isLoading };
+
+  return (
+    <div className="complaints-return">
+      <div className="return-header">
+        <div className="header-info">
+          <h2>FCA Complaints Return</h2>
+          <p>DISP 1 Annex 1, built from the stored complaints for a half-year of the financial year</p>
+        </div>
+        <div className="return-controls">
+          <label className="return-field">
+            <span>Reporting period</span>
+            <select value={periodKey} onChange={(e) => setPeriodKey(e.target.value)}>
+              {halfYears.map(halfYear => (
+                <option key={halfYear.key} value={halfYear.key}>
+                  {halfYear.label}{halfYear.isComplete ? '' : ' - in progress'}
+                </option>
+              ))}
+            </select>
+          </label>
+          <button
+            type="button"
+            className="btn-export"
+            onClick={handleExport}
+            disabled={!complaintsReturn || returnState.isLoading || returnState.isExporting}
+          >
+            {returnState.isExporting ? 'Exporting...' : 'Export workbook'}
+          </button>
+        </div>
+      </div>
+
+      <div className="return-period">
+        {formatDateWindow(period)}
+        {!period.isComplete && ' · The period has not ended, so these figures will change'}
+      </div>
+
+      {returnState.message && (
+        <div className={`return-message ${returnState.message.type}`}>{returnState.message.text}</div>
+      )}
+
+      {complaintsReturn?.checks.length > 0 && (
+        <DataTable
+          title="Data checks"
+          data={complaintsReturn.checks}
+          columns={CHECK_COLUMNS}
+          {...tableProps}
+        />
+      )}
+
+      <DataTable
+        title="Complaints opened by product grouping and cause"
+        data={complaintsReturn?.opened || []}
+        columns={OPENED_COLUMNS}
+        {...tableProps}
+      />
+
+      <DataTable
+        title="Complaints closed, upheld and redress paid"
+        data={complaintsReturn?.closed || []}
+        columns={CLOSED_COLUMNS}
+        {...tableProps}
+      />
+
+      <DataTable
+        title="Upheld by cause"
+        data={complaintsReturn?.causes || []}
+        columns={CAUSE_COLUMNS}
+        {...tableProps}
+      />
+
+      <DataTable
+        title="Complaints in the return"
+        data={complaintsReturn?.complaints || []}
+        columns={COMPLAINT_COLUMNS}
+        pageSize={25}
+        showExport={false}
+        isLoading={returnState.isLoading}
+        emptyMessage="No complaints were opened, closed or open in this period"
+      />
+
+      <style jsx>{`
+        .complaints-return {
+          padding: 24px;
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .return-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-end;
+          flex-wrap: wrap;
+          gap: 16px;
+        }
+
+        .header-info h2 {
+          margin: 0 0 4px 0;
+          font-size: 22px;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .header-info p {
+          margin: 0;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .return-controls {
+          display: flex;
+          align-items: flex-end;
+          gap: 12px;
+        }
+
+        .return-field {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 14px;
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .return-field select {
+          padding: 8px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          font-size: 14px;
+          color: #2d3748;
+          background: #fff;
+          font-family: inherit;
+        }
+
+        .return-period {
+          font-size: 14px;
+          color: #718096;
+        }
+
+        .return-message {
+          padding: 12px 16px;
+          border-radius: 6px;
+          font-size: 14px;
+        }
+
+        .return-message.success {
+          background: #c6f6d5;
+          color: #2f855a;
+        }
+
+        .return-message.error {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .btn-export {
+          padding: 10px 20px;
+          border-radius: 6px;
+          font-size: 14px;
+          font-weight: 500;
+          background: #3182ce;
+          color: white;
+          border: none;
+          cursor: pointer;
+        }
+
+        .btn-export:hover:not(:disabled) {
+          background: #2c5aa0;
+        }
+
+        .btn-export:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ComplaintsReturn;
@@ -12,9 +12,16 @@ export const APP_CONFIG = {
   exports: {
     dateFormat: 'DD/MM/YYYY',
     defaultFilename: 'financial-report',
-    supportedFormats: ['pdf', 'csv', 'excel']
+    supportedFormats: ['pdf', 'csv', 'excel', 'pptx']
   },
   
+  // Fiscal calendar used for fiscal date presets and period grouping until an
+  // admin changes it (see utils/fiscalCalendar). UK financial year by default.
+  fiscalCalendar: {
+    startMonth: 4, // April
+    weekPattern: null // or [4, 4, 5] for 4-4-5 week periods
+  },
+
   // UI settings
   ui: {
     theme: 'light',
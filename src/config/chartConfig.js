@@ -188,6 +188,36 @@ export const CHART_CONFIGS = {
     }
   },
 
+  vintage_analysis: {
+    type: CHART_TYPES.LINE,
+    title: 'Vintage Liquidation Curves',
+    xAxis: 'months_on_book',
+    yAxis: 'actual_liquidation_rate',
+    seriesBy: 'cohort',
+    options: {
+      ...DEFAULT_CHART_OPTIONS,
+      scales: {
+        ...DEFAULT_CHART_OPTIONS.scales,
+        x: {
+          ...DEFAULT_CHART_OPTIONS.scales.x,
+          title: {
+            display: true,
+            text: 'Months on book'
+          }
+        },
+        y: {
+          ...DEFAULT_CHART_OPTIONS.scales.y,
+          ticks: {
+            callback: function(value) {
+              return value + '%';
+            }
+          },
+          min: 0
+        }
+      }
+    }
+  },
+
   type_breakdown: {
     type: CHART_TYPES.DOUGHNUT,
     title: 'Liquidations by Type',
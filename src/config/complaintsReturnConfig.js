@@ -0,0 +1,73 @@
+// src/config/complaintsReturnConfig.js
+
+// How complaints records map onto the FCA complaints return (DISP 1 Annex 1),
+// which reports each half-year of the firm's accounting year (see
+// utils/complaintsReturn).
+//
+// Product groupings and causes are matched in order with conditions as for
+// quick filters (see matchesCondition). The first match wins and the last
+// entry, with no condition, takes the rest. Causes are read from the
+// complaint category, as named in COMPLAINT_CATEGORIES or in the sample data.
+
+export const RETURN_PRODUCTS = [
+  {
+    key: 'debt_collecting',
+    label: 'Debt collecting',
+    condition: {
+      any: [
+        { field: 'product', op: 'contains', value: 'DMP' },
+        { field: 'product', op: 'contains', value: 'IVA' },
+        { field: 'product', op: 'contains', value: 'collect' }
+      ]
+    }
+  },
+  { key: 'unsecured_loans', label: 'Unsecured loans' }
+];
+
+export const RETURN_CAUSES = [
+  {
+    key: 'advising_selling',
+    label: 'Advising, selling and arranging',
+    condition: { field: 'category', op: 'in', value: ['Product Complaint', 'Product'] }
+  },
+  {
+    key: 'terms_charges',
+    label: 'Terms and disputed sums/charges',
+    condition: { field: 'category', op: 'in', value: ['Billing Dispute', 'Billing'] }
+  },
+  {
+    key: 'admin_service',
+    label: 'General admin/customer service',
+    condition: { field: 'category', op: 'in', value: ['Customer Service', 'Process Complaint', 'Service Quality', 'Staff Behavior'] }
+  },
+  {
+    key: 'arrears',
+    label: 'Arrears related',
+    condition: { field: 'category', op: 'in', value: ['Payment Issues'] }
+  },
+  { key: 'other', label: 'Other' }
+];
+
+// Decisions reported as upheld. Partially upheld complaints count as upheld.
+export const UPHELD_DECISIONS = ['Upheld', 'Partially Upheld'];
+
+// Closure bands. A complaint closed by the end of the third business day
+// after the day it was received is a three-day complaint (DISP 1.5); the
+// eight weeks run in calendar days.
+export const CLOSURE_BANDS = {
+  businessDays: 3,
+  weeks: 8
+};
+
+// England and Wales bank holidays, skipped with weekends when counting
+// business days. Add each year's dates as they are announced.
+export const BANK_HOLIDAYS = [
+  '2023-01-02', '2023-04-07', '2023-04-10', '2023-05-01', '2023-05-08', '2023-05-29', '2023-08-28', '2023-12-25', '2023-12-26',
+  '2024-01-01', '2024-03-29', '2024-04-01', '2024-05-06', '2024-05-27', '2024-08-26', '2024-12-25', '2024-12-26',
+  '2025-01-01', '2025-04-18', '2025-04-21', '2025-05-05', '2025-05-26', '2025-08-25', '2025-12-25', '2025-12-26',
+  '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+  '2027-01-01', '2027-03-26', '2027-03-29', '2027-05-03', '2027-05-31', '2027-08-30', '2027-12-27', '2027-12-28'
+];
+
+// Half-years offered for the return, most recent first
+export const RETURN_HALF_YEARS = 6;
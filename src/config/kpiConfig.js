@@ -0,0 +1,91 @@
+// src/config/kpiConfig.js
+import { REPORT_TYPES } from '../utils/constants';
+
+// Declarative KPI definitions, keyed by report type and REPORT_CONFIG kpi key.
+//
+// Each definition names an aggregation over a schema field:
+//   count, sum, avg, min, max, distinctCount, repeatCount, avgDaysSince
+// or a ratio of two nested definitions (numerator / denominator, scaled to %).
+// An optional `filter` restricts the records a definition is evaluated over;
+// see matchesCondition in utils/fieldUtils for the condition syntax.
+
+// Accounts in arrears and funded applications, shared with the dashboards'
+// trend series
+export const ARREARS_CONDITION = {
+  any: [
+    { field: 'stage', op: 'startsWith', value: 'Arrears' },
+    { field: 'payment_status', op: 'in', value: ['Late', 'Missed', 'Default', 'Arrears'] }
+  ]
+};
+
+export const FUNDED_CONDITION = {
+  any: [
+    { field: 'funded_date', op: 'exists' },
+    { field: 'stage', op: 'in', value: ['Funded', 'Active', 'Completed', 'Repaid'] }
+  ]
+};
+
+export const KPI_DEFINITIONS = {
+  [REPORT_TYPES.LENDING_VOLUME]: {
+    total_issued: { aggregation: 'sum', field: 'issued_amount' },
+    avg_loan_size: { aggregation: 'avg', field: 'issued_amount' },
+    funded_count: { aggregation: 'sum', field: 'funded_app_count', filter: FUNDED_CONDITION },
+    conversion_rate: {
+      aggregation: 'ratio',
+      numerator: { aggregation: 'count', filter: FUNDED_CONDITION },
+      denominator: { aggregation: 'count' }
+    }
+  },
+
+  [REPORT_TYPES.ARREARS]: {
+    total_arrears: { aggregation: 'sum', field: 'total_due', filter: ARREARS_CONDITION },
+    arrears_accounts: { aggregation: 'distinctCount', field: 'customer_id', filter: ARREARS_CONDITION },
+    avg_days_since_payment: { aggregation: 'avgDaysSince', field: 'last_payment_date' },
+    arrears_rate: {
+      aggregation: 'ratio',
+      numerator: { aggregation: 'distinctCount', field: 'customer_id', filter: ARREARS_CONDITION },
+      denominator: { aggregation: 'distinctCount', field: 'customer_id' }
+    }
+  },
+
+  [REPORT_TYPES.LIQUIDATIONS]: {
+    total_funded: { aggregation: 'sum', field: 'funded' },
+    total_collected: { aggregation: 'sum', field: 'all_together' },
+    avg_liquidation_rate: { aggregation: 'avg', field: 'actual_liquidation_rate' },
+    recovery_efficiency: {
+      aggregation: 'ratio',
+      numerator: { aggregation: 'sum', field: 'all_together' },
+      denominator: { aggregation: 'sum', field: 'funded' }
+    }
+  },
+
+  [REPORT_TYPES.CALL_CENTER]: {
+    total_calls: { aggregation: 'count', filter: { field: 'call_id', op: 'exists' } },
+    answer_rate: {
+      aggregation: 'ratio',
+      numerator: { aggregation: 'count', filter: { field: 'answered_date_time', op: 'exists' } },
+      denominator: { aggregation: 'count' },
+      // Only Call Details rows carry an answered time
+      filter: { field: 'disposition', op: 'exists' }
+    },
+    avg_talk_time: { aggregation: 'avg', field: 'talk_time' },
+    fcr_rate: {
+      aggregation: 'ratio',
+      numerator: { aggregation: 'sum', field: 'fcr' },
+      denominator: { aggregation: 'count', filter: { field: 'call_id', op: 'exists' } }
+    }
+  },
+
+  [REPORT_TYPES.COMPLAINTS]: {
+    total_complaints: { aggregation: 'sum', field: 'count', defaultValue: 1 },
+    avg_resolution_time: { aggregation: 'avg', field: 'days_to_resolve' },
+    resolution_rate: {
+      aggregation: 'ratio',
+      numerator: { aggregation: 'count', filter: { field: 'resolved_date', op: 'exists' } },
+      denominator: { aggregation: 'count' }
+    },
+    repeat_customers: { aggregation: 'repeatCount', field: 'customer_id' }
+  }
+};
+
+export default KPI_DEFINITIONS;
@@ -1,6 +1,6 @@
 // src/config/reportConfig.js - COMPLETE WORKING VERSION
 
-import { REPORT_TYPES } from '../utils/constants';
+import { REPORT_TYPES, DB_CONFIG } from '../utils/constants';
 
 export const REPORT_CONFIG = {
   [REPORT_TYPES.LENDING_VOLUME]: {
@@ -9,13 +9,18 @@ export const REPORT_CONFIG = {
     icon: '💰',
     color: '#2563eb',
     dataFile: 'lending-volume.json',
+    dateField: 'stage_date',
+    // Identifies the same row across uploads for upsert and replace modes
+    naturalKey: ['customer_id', 'stage_date'],
+    // `indexed` fields get an IndexedDB index alongside naturalKey and dateField.
+    // Changing which fields are indexed needs a new migration (utils/dbMigrations).
     fields: {
       customer_id: { label: 'Customer ID', type: 'string', required: true },
       funded_app_count: { label: 'Funded App Count', type: 'number', required: true },
       tier_name: { label: 'Lead Source', type: 'category', required: false },
-      stage: { label: 'Current Stage', type: 'category', required: true },
+      stage: { label: 'Current Stage', type: 'category', required: true, indexed: true },
       stage_date: { label: 'Stage Date', type: 'date', required: true },
-      payment_status: { label: 'Payment Status', type: 'category', required: false },
+      payment_status: { label: 'Payment Status', type: 'category', required: false, indexed: true },
       funded_date: { label: 'Funded Date', type: 'date', required: false },
       last_payment_date: { label: 'Last Payment Date', type: 'date', required: false },
       issued_amount: { label: 'Issued Amount', type: 'currency', required: true },
@@ -23,12 +28,18 @@ export const REPORT_CONFIG = {
       payment: { label: 'Payment Amount', type: 'currency', required: false }
     },
     kpis: [
-      { key: 'total_issued', label: 'Total Issued Amount', format: 'currency' },
-      { key: 'avg_loan_size', label: 'Average Loan Size', format: 'currency' },
-      { key: 'funded_count', label: 'Funded Applications', format: 'number' },
-      { key: 'conversion_rate', label: 'Funding Conversion Rate', format: 'percentage' }
+      { key: 'total_issued', label: 'Total Issued Amount', format: 'currency', icon: '💰' },
+      { key: 'avg_loan_size', label: 'Average Loan Size', format: 'currency', icon: '📊' },
+      { key: 'funded_count', label: 'Funded Applications', format: 'number', icon: '📄' },
+      { key: 'conversion_rate', label: 'Funding Conversion Rate', format: 'percentage', icon: '✅' }
     ],
-    charts: ['funding_trend', 'stage_breakdown', 'lead_source_performance', 'payment_status_distribution']
+    charts: ['funding_trend', 'stage_breakdown', 'lead_source_performance', 'payment_status_distribution'],
+    // Default quick filter chips; admins can replace them (see utils/quickFilters)
+    quickFilters: [
+      { id: 'funded', label: 'Funded', condition: { field: 'stage', op: 'in', value: ['Funded'] } },
+      { id: 'over-10k', label: 'Over £10k issued', condition: { field: 'issued_amount', op: 'gt', value: 10000 } },
+      { id: 'last-30-days', label: 'Last 30 days', condition: { field: 'stage_date', op: 'relative', value: { amount: 30, unit: 'days' } } }
+    ]
   },
 
   [REPORT_TYPES.ARREARS]: {
@@ -37,13 +48,18 @@ export const REPORT_CONFIG = {
     icon: '⚠️',
     color: '#dc2626',
     dataFile: 'arrears.json',
+    dateField: 'stage_date',
+    naturalKey: ['customer_id', 'stage_date'],
+    // Each month's upload is a snapshot of the book, kept for roll rates;
+    // totals read the latest (see utils/snapshots)
+    snapshots: true,
     fields: {
       customer_id: { label: 'Customer ID', type: 'string', required: true },
       funded_app_count: { label: 'Funded App Count', type: 'number', required: true },
       tier_name: { label: 'Lead Source', type: 'category', required: false },
-      stage: { label: 'Current Stage', type: 'category', required: true },
+      stage: { label: 'Current Stage', type: 'category', required: true, indexed: true },
       stage_date: { label: 'Stage Date', type: 'date', required: true },
-      payment_status: { label: 'Payment Status', type: 'category', required: true },
+      payment_status: { label: 'Payment Status', type: 'category', required: true, indexed: true },
       funded_date: { label: 'Funded Date', type: 'date', required: false },
       last_payment_date: { label: 'Last Payment Date', type: 'date', required: false },
       issued_amount: { label: 'Issued Amount', type: 'currency', required: true },
@@ -51,12 +67,19 @@ export const REPORT_CONFIG = {
       payment: { label: 'Payment Amount', type: 'currency', required: false }
     },
     kpis: [
-      { key: 'total_arrears', label: 'Total Arrears Amount', format: 'currency' },
-      { key: 'arrears_accounts', label: 'Accounts in Arrears', format: 'number' },
-      { key: 'avg_days_since_payment', label: 'Avg Days Since Last Payment', format: 'number' },
-      { key: 'arrears_rate', label: 'Arrears Rate', format: 'percentage' }
+      { key: 'total_arrears', label: 'Total Arrears Amount', format: 'currency', icon: '⚠️' },
+      { key: 'arrears_accounts', label: 'Accounts in Arrears', format: 'number', icon: '👥' },
+      { key: 'avg_days_since_payment', label: 'Avg Days Since Last Payment', format: 'number', icon: '⏳' },
+      { key: 'arrears_rate', label: 'Arrears Rate', format: 'percentage', icon: '📊' }
     ],
-    charts: ['arrears_trend', 'payment_status_breakdown', 'stage_analysis', 'aging_analysis']
+    charts: ['arrears_trend', 'payment_status_breakdown', 'stage_analysis', 'aging_analysis'],
+    quickFilters: [
+      { id: 'no-payment-30', label: 'No payment 30+ days', condition: { field: 'last_payment_date', compute: 'daysSince', op: 'gt', value: 30 } },
+      { id: 'no-payment-60', label: 'No payment 60+ days', condition: { field: 'last_payment_date', compute: 'daysSince', op: 'gt', value: 60 } },
+      { id: 'no-payment-90', label: 'No payment 90+ days', condition: { field: 'last_payment_date', compute: 'daysSince', op: 'gt', value: 90 } },
+      { id: 'never-paid', label: 'Never paid', condition: { field: 'last_payment_date', op: 'missing' } },
+      { id: 'missed-or-default', label: 'Missed or default', condition: { field: 'payment_status', op: 'in', value: ['Missed', 'Default'] } }
+    ]
   },
 
   [REPORT_TYPES.LIQUIDATIONS]: {
@@ -65,6 +88,11 @@ export const REPORT_CONFIG = {
     icon: '🔄',
     color: '#7c3aed',
     dataFile: 'liquidations.json',
+    dateField: { year: 'funded_year', month: 'funded_month' }, // vintage month
+    naturalKey: ['funded_year', 'funded_month'],
+    // Monthly snapshots of each cohort build its vintage curve; totals read
+    // the latest (see utils/snapshots)
+    snapshots: true,
     fields: {
       funded_year: { label: 'Funded Year', type: 'number', required: true },
       funded_month: { label: 'Funded Month', type: 'number', required: true },
@@ -78,12 +106,17 @@ export const REPORT_CONFIG = {
       total_due_not_scheduled: { label: 'Outstanding Not Scheduled', type: 'currency', required: false }
     },
     kpis: [
-      { key: 'total_funded', label: 'Total Funded', format: 'currency' },
-      { key: 'total_collected', label: 'Total Collected', format: 'currency' },
-      { key: 'avg_liquidation_rate', label: 'Average Liquidation Rate', format: 'percentage' },
-      { key: 'recovery_efficiency', label: 'Recovery Efficiency', format: 'percentage' }
+      { key: 'total_funded', label: 'Total Funded', format: 'currency', icon: '💷' },
+      { key: 'total_collected', label: 'Total Collected', format: 'currency', icon: '💰' },
+      { key: 'avg_liquidation_rate', label: 'Average Liquidation Rate', format: 'percentage', icon: '📈' },
+      { key: 'recovery_efficiency', label: 'Recovery Efficiency', format: 'percentage', icon: '🎯' }
     ],
-    charts: ['liquidation_trend', 'recovery_performance', 'vintage_analysis', 'collection_breakdown']
+    charts: ['liquidation_trend', 'recovery_performance', 'vintage_analysis', 'collection_breakdown'],
+    quickFilters: [
+      { id: 'below-50', label: 'Liquidation under 50%', condition: { field: 'actual_liquidation_rate', op: 'lt', value: 50 } },
+      { id: 'dmp-iva', label: 'DMP/IVA collections', condition: { field: 'dmp_iva_collected', op: 'gt', value: 0 } },
+      { id: 'unscheduled-balance', label: 'Unscheduled balance', condition: { field: 'total_due_not_scheduled', op: 'gt', value: 0 } }
+    ]
   },
 
   [REPORT_TYPES.CALL_CENTER]: {
@@ -92,14 +125,20 @@ export const REPORT_CONFIG = {
     icon: '📞',
     color: '#059669',
     dataFile: 'call-center.json',
-    // Multiple file structure for call center
+    dateField: 'date_time',
+    naturalKey: ['call_id'],
+    // Multiple file structure for call center. Each sub-report is detected from
+    // its headers on upload and kept in its own store.
     fileStructures: {
       report1: {
         name: 'Call Details',
+        store: DB_CONFIG.STORES.CALL_CENTER,
+        naturalKey: ['call_id'],
+        dateField: 'date_time',
         fields: {
           call_id: { label: 'Call ID', type: 'string', required: true },
           date_time: { label: 'Date/Time', type: 'datetime', required: true },
-          agent_name: { label: 'Agent Name', type: 'string', required: true },
+          agent_name: { label: 'Agent Name', type: 'category', required: true, indexed: true },
           answered_date_time: { label: 'Answered Date/Time', type: 'datetime', required: false },
           from_number: { label: 'From Number', type: 'string', required: false },
           disposition: { label: 'Disposition', type: 'category', required: true },
@@ -108,6 +147,8 @@ export const REPORT_CONFIG = {
       },
       report2: {
         name: 'Agent Performance',
+        store: DB_CONFIG.STORES.CALL_CENTER_AGENTS,
+        naturalKey: ['phone_numbers'],
         fields: {
           phone_numbers: { label: 'Phone Numbers', type: 'string', required: true },
           total_calls: { label: 'Total Calls', type: 'number', required: true },
@@ -121,6 +162,9 @@ export const REPORT_CONFIG = {
       },
       report3: {
         name: 'Call Statistics',
+        store: DB_CONFIG.STORES.CALL_CENTER_STATS,
+        naturalKey: ['call_id'],
+        dateField: 'date_time_earliest',
         fields: {
           call_id: { label: 'Call ID', type: 'string', required: true },
           date_time_earliest: { label: 'Date/Time (Earliest)', type: 'datetime', required: true },
@@ -132,6 +176,9 @@ export const REPORT_CONFIG = {
       },
       report4: {
         name: 'First Call Resolution',
+        store: DB_CONFIG.STORES.CALL_CENTER_FCR,
+        naturalKey: ['date'],
+        dateField: 'date',
         fields: {
           date: { label: 'Date', type: 'date', required: true },
           fcr: { label: 'First Call Resolution Count', type: 'number', required: true }
@@ -142,19 +189,25 @@ export const REPORT_CONFIG = {
     fields: {
       call_id: { label: 'Call ID', type: 'string', required: true },
       date_time: { label: 'Date/Time', type: 'datetime', required: true },
-      agent_name: { label: 'Agent Name', type: 'string', required: true },
+      agent_name: { label: 'Agent Name', type: 'category', required: true },
       answered_date_time: { label: 'Answered Date/Time', type: 'datetime', required: false },
       from_number: { label: 'From Number', type: 'string', required: false },
       disposition: { label: 'Disposition', type: 'category', required: true },
       talk_time: { label: 'Talk Time (seconds)', type: 'number', required: false }
     },
     kpis: [
-      { key: 'total_calls', label: 'Total Calls', format: 'number' },
-      { key: 'answer_rate', label: 'Answer Rate', format: 'percentage' },
-      { key: 'avg_talk_time', label: 'Average Talk Time', format: 'time' },
-      { key: 'fcr_rate', label: 'First Call Resolution Rate', format: 'percentage' }
+      { key: 'total_calls', label: 'Total Calls', format: 'number', icon: '📞' },
+      { key: 'answer_rate', label: 'Answer Rate', format: 'percentage', icon: '✅' },
+      { key: 'avg_talk_time', label: 'Average Talk Time', format: 'time', icon: '⏱️' },
+      { key: 'fcr_rate', label: 'First Call Resolution Rate', format: 'percentage', icon: '🎯' }
     ],
-    charts: ['call_volume_trend', 'agent_performance', 'disposition_breakdown', 'fcr_trend']
+    charts: ['call_volume_trend', 'agent_performance', 'disposition_breakdown', 'fcr_trend'],
+    quickFilters: [
+      { id: 'unanswered', label: 'Unanswered', condition: { field: 'answered_date_time', op: 'missing' } },
+      { id: 'abandoned', label: 'Abandoned or no answer', condition: { field: 'disposition', op: 'in', value: ['Abandoned', 'No Answer'] } },
+      { id: 'long-calls', label: 'Talk time over 10 min', condition: { field: 'talk_time', op: 'gt', value: 600 } },
+      { id: 'peak-hours', label: 'Peak hours (9:00–17:00)', condition: { field: 'date_time', compute: 'hourOf', op: 'between', value: [9, 16] } }
+    ]
   },
 
   [REPORT_TYPES.COMPLAINTS]: {
@@ -163,6 +216,8 @@ export const REPORT_CONFIG = {
     icon: '📋',
     color: '#ea580c',
     dataFile: 'complaints.json',
+    dateField: 'received_date',
+    naturalKey: ['customer_id', 'received_date', 'category'],
     fields: {
       customer_id: { label: 'Customer ID', type: 'string', required: true },
       count: { label: 'Complaint Count', type: 'number', required: true },
@@ -170,15 +225,27 @@ export const REPORT_CONFIG = {
       resolved_date: { label: 'Resolved Date', type: 'date', required: false },
       days_to_resolve: { label: 'Days to Resolve', type: 'number', required: false },
       category: { label: 'Category', type: 'category', required: true },
-      decision: { label: 'Resolution Decision', type: 'category', required: false }
+      decision: { label: 'Resolution Decision', type: 'category', required: false },
+      product: { label: 'Product', type: 'category', required: false },
+      redress_paid: { label: 'Redress Paid', type: 'currency', required: false }
     },
     kpis: [
-      { key: 'total_complaints', label: 'Total Complaints', format: 'number' },
-      { key: 'avg_resolution_time', label: 'Avg Resolution Time (days)', format: 'number' },
-      { key: 'resolution_rate', label: 'Resolution Rate', format: 'percentage' },
-      { key: 'repeat_customers', label: 'Repeat Complaint Customers', format: 'number' }
+      { key: 'total_complaints', label: 'Total Complaints', format: 'number', icon: '📋' },
+      { key: 'avg_resolution_time', label: 'Avg Resolution Time (days)', format: 'number', icon: '⏳' },
+      { key: 'resolution_rate', label: 'Resolution Rate', format: 'percentage', icon: '✅' },
+      { key: 'repeat_customers', label: 'Repeat Complaint Customers', format: 'number', icon: '🔁' }
     ],
-    charts: ['complaint_trend', 'category_breakdown', 'resolution_performance', 'repeat_analysis']
+    charts: ['complaint_trend', 'category_breakdown', 'resolution_performance', 'repeat_analysis'],
+    quickFilters: [
+      { id: 'unresolved', label: 'Unresolved', condition: { field: 'resolved_date', op: 'missing' } },
+      {
+        id: 'open-8-weeks',
+        label: 'Open over 8 weeks',
+        condition: { all: [{ field: 'resolved_date', op: 'missing' }, { field: 'received_date', compute: 'daysSince', op: 'gt', value: 56 }] }
+      },
+      { id: 'upheld', label: 'Upheld', condition: { field: 'decision', op: 'in', value: ['Upheld', 'Partially Upheld'] } },
+      { id: 'last-30-days', label: 'Last 30 days', condition: { field: 'received_date', op: 'relative', value: { amount: 30, unit: 'days' } } }
+    ]
   }
 };
 
@@ -0,0 +1,170 @@
+// src/config/reportPackConfig.js
+import { REPORT_TYPES } from '../utils/constants';
+
+// Charts and tables a report pack can include from each report, besides its
+// KPI strip. They are rebuilt from the report's store for the month a pack is
+// run for (see utils/reportPack).
+//
+// Charts aggregate a measure (an aggregate as for queryStore) either by month
+// over the twelve months to the pack month, or by a field within the pack
+// month keeping the `limit` largest groups:
+//   { title, type: 'line' | 'bar' | 'doughnut', groupBy: 'month' | field, measure, format, limit }
+//
+// Tables list the records of the pack month, or of the `months` to it:
+//   { title, fields, orderBy, limit, months }
+
+export const PACK_CHARTS = {
+  [REPORT_TYPES.LENDING_VOLUME]: {
+    issued_trend: {
+      title: 'Issued Amount by Month',
+      type: 'line',
+      groupBy: 'month',
+      measure: { op: 'sum', field: 'issued_amount' },
+      format: 'currency'
+    },
+    stage_breakdown: {
+      title: 'Applications by Stage',
+      type: 'doughnut',
+      groupBy: 'stage',
+      measure: { op: 'count' }
+    },
+    lead_source: {
+      title: 'Issued Amount by Lead Source',
+      type: 'bar',
+      groupBy: 'tier_name',
+      measure: { op: 'sum', field: 'issued_amount' },
+      format: 'currency',
+      limit: 10
+    }
+  },
+
+  [REPORT_TYPES.ARREARS]: {
+    arrears_trend: {
+      title: 'Total Due by Month',
+      type: 'line',
+      groupBy: 'month',
+      measure: { op: 'sum', field: 'total_due' },
+      format: 'currency'
+    },
+    payment_status: {
+      title: 'Customers by Payment Status',
+      type: 'doughnut',
+      groupBy: 'payment_status',
+      measure: { op: 'distinct', field: 'customer_id' }
+    },
+    stage_breakdown: {
+      title: 'Total Due by Stage',
+      type: 'bar',
+      groupBy: 'stage',
+      measure: { op: 'sum', field: 'total_due' },
+      format: 'currency',
+      limit: 10
+    }
+  },
+
+  [REPORT_TYPES.LIQUIDATIONS]: {
+    funded_trend: {
+      title: 'Funded by Vintage Month',
+      type: 'bar',
+      groupBy: 'month',
+      measure: { op: 'sum', field: 'funded' },
+      format: 'currency'
+    },
+    liquidation_trend: {
+      title: 'Average Liquidation Rate by Vintage Month',
+      type: 'line',
+      groupBy: 'month',
+      measure: { op: 'avg', field: 'actual_liquidation_rate' },
+      format: 'percentage'
+    }
+  },
+
+  [REPORT_TYPES.CALL_CENTER]: {
+    call_trend: {
+      title: 'Calls by Month',
+      type: 'line',
+      groupBy: 'month',
+      measure: { op: 'count' }
+    },
+    dispositions: {
+      title: 'Calls by Disposition',
+      type: 'doughnut',
+      groupBy: 'disposition',
+      measure: { op: 'count' }
+    },
+    agents: {
+      title: 'Calls by Agent',
+      type: 'bar',
+      groupBy: 'agent_name',
+      measure: { op: 'count' },
+      limit: 10
+    }
+  },
+
+  [REPORT_TYPES.COMPLAINTS]: {
+    complaint_trend: {
+      title: 'Complaints by Month',
+      type: 'line',
+      groupBy: 'month',
+      measure: { op: 'count' }
+    },
+    categories: {
+      title: 'Complaints by Category',
+      type: 'bar',
+      groupBy: 'category',
+      measure: { op: 'count' },
+      limit: 10
+    },
+    decisions: {
+      title: 'Complaints by Decision',
+      type: 'doughnut',
+      groupBy: 'decision',
+      measure: { op: 'count' }
+    }
+  }
+};
+
+export const PACK_TABLES = {
+  [REPORT_TYPES.LENDING_VOLUME]: {
+    applications: {
+      title: 'Applications',
+      fields: ['stage_date', 'customer_id', 'tier_name', 'stage', 'payment_status', 'issued_amount'],
+      orderBy: { field: 'stage_date', direction: 'desc' }
+    }
+  },
+
+  [REPORT_TYPES.ARREARS]: {
+    largest_balances: {
+      title: 'Largest Balances Due',
+      fields: ['customer_id', 'stage', 'payment_status', 'last_payment_date', 'total_due'],
+      orderBy: { field: 'total_due', direction: 'desc' },
+      limit: 50
+    }
+  },
+
+  [REPORT_TYPES.LIQUIDATIONS]: {
+    vintages: {
+      title: 'Vintage Cohorts',
+      fields: ['funded_year', 'funded_month', 'funded', 'all_together', 'actual_liquidation_rate', 'forecast_liquidation_rate'],
+      orderBy: { field: 'funded_year', direction: 'desc' },
+      months: 24
+    }
+  },
+
+  [REPORT_TYPES.CALL_CENTER]: {
+    calls: {
+      title: 'Calls',
+      fields: ['date_time', 'agent_name', 'disposition', 'talk_time'],
+      orderBy: { field: 'date_time', direction: 'desc' },
+      limit: 200
+    }
+  },
+
+  [REPORT_TYPES.COMPLAINTS]: {
+    complaints: {
+      title: 'Complaints Received',
+      fields: ['received_date', 'customer_id', 'category', 'decision', 'resolved_date', 'days_to_resolve'],
+      orderBy: { field: 'received_date', direction: 'desc' }
+    }
+  }
+};
@@ -3,13 +3,30 @@ import useFilters from '../hooks/useFilters';
 import useLocalStorage from '../hooks/useLocalStorage';
 import { useDataContext } from './DataContext';
 import { FILTER_PRESETS } from '../utils/constants';
+import { addToDrillPath } from '../utils/drillDown';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import {
+  getDefaultQuickFilters,
+  loadQuickFilters,
+  saveQuickFilters as saveStoredQuickFilters,
+  resetQuickFilters as resetStoredQuickFilters
+} from '../utils/quickFilters';
+import { getFiscalCalendar } from '../utils/fiscalCalendar';
+import {
+  loadFiscalCalendar,
+  saveFiscalCalendar as saveStoredFiscalCalendar,
+  resetFiscalCalendar as resetStoredFiscalCalendar
+} from '../utils/fiscalCalendarSettings';
+
+const EMPTY_DRILL_PATH = [];
+const NO_QUICK_FILTERS = [];
 
 // Initial filter state
 const initialFilterState = {
   globalFilters: {
     dateRange: { start: null, end: null, preset: 'all' },
     search: '',
-    quickFilters: []
+    quickFilters: {} // Ids of the quick filters switched on, per report
   },
   reportFilters: {
     'lending-volume': {},
@@ -22,17 +39,19 @@ const initialFilterState = {
     count: 0,
     summary: []
   },
-  savedFilterSets: new Map(),
+  drillPaths: {}, // Chart drill-down filters per report, outermost first
+  comparison: { mode: 'previous_period', baseline: null }, // KPI comparison window
   filterMode: 'individual', // 'individual' or 'global'
   autoApply: true,
   filterHistory: [],
-  quickFilterOptions: {
-    'lending-volume': ['high-volume', 'new-applications', 'approved-only'],
-    'arrears': ['overdue-30', 'overdue-60', 'overdue-90', 'high-risk'],
-    'liquidations': ['in-progress', 'completed', 'high-recovery'],
-    'call-center': ['high-wait-time', 'low-satisfaction', 'peak-hours'],
-    'complaints': ['unresolved', 'urgent', 'recent']
-  }
+  // Quick filter definitions per report (see utils/quickFilters); the ids of
+  // those switched on are globalFilters.quickFilters[reportType]
+  quickFilterOptions: Object.keys(REPORT_CONFIG).reduce((acc, reportType) => {
+    acc[reportType] = getDefaultQuickFilters(reportType);
+    return acc;
+  }, {}),
+  // Fiscal calendar for fiscal presets and periods (see utils/fiscalCalendar)
+  fiscalCalendar: getFiscalCalendar()
 };
 
 // Action types
@@ -43,13 +62,16 @@ const FILTER_ACTIONS = {
   CLEAR_REPORT_FILTERS: 'CLEAR_REPORT_FILTERS',
   CLEAR_ALL_FILTERS: 'CLEAR_ALL_FILTERS',
   SET_FILTER_MODE: 'SET_FILTER_MODE',
+  SET_COMPARISON: 'SET_COMPARISON',
+  PUSH_DRILL_FILTER: 'PUSH_DRILL_FILTER',
+  SET_DRILL_PATH: 'SET_DRILL_PATH',
+  RESTORE_DASHBOARD_STATE: 'RESTORE_DASHBOARD_STATE',
   SET_AUTO_APPLY: 'SET_AUTO_APPLY',
   UPDATE_ACTIVE_COUNT: 'UPDATE_ACTIVE_COUNT',
-  SAVE_FILTER_SET: 'SAVE_FILTER_SET',
-  LOAD_FILTER_SET: 'LOAD_FILTER_SET',
-  DELETE_FILTER_SET: 'DELETE_FILTER_SET',
   ADD_QUICK_FILTER: 'ADD_QUICK_FILTER',
   REMOVE_QUICK_FILTER: 'REMOVE_QUICK_FILTER',
+  SET_QUICK_FILTER_OPTIONS: 'SET_QUICK_FILTER_OPTIONS',
+  SET_FISCAL_CALENDAR: 'SET_FISCAL_CALENDAR',
   ADD_TO_HISTORY: 'ADD_TO_HISTORY',
   SYNC_HOOK_FILTERS: 'SYNC_HOOK_FILTERS'
 };
@@ -84,7 +106,7 @@ const filterReducer = (state, action) => {
         globalFilters: {
           dateRange: { start: null, end: null, preset: 'all' },
           search: '',
-          quickFilters: []
+          quickFilters: {}
         }
       };
 
@@ -103,12 +125,13 @@ const filterReducer = (state, action) => {
         globalFilters: {
           dateRange: { start: null, end: null, preset: 'all' },
           search: '',
-          quickFilters: []
+          quickFilters: {}
         },
         reportFilters: Object.keys(state.reportFilters).reduce((acc, key) => {
           acc[key] = {};
           return acc;
-        }, {})
+        }, {}),
+        drillPaths: {}
       };
 
     case FILTER_ACTIONS.SET_FILTER_MODE:
@@ -117,47 +140,69 @@ const filterReducer = (state, action) => {
         filterMode: action.mode
       };
 
-    case FILTER_ACTIONS.SET_AUTO_APPLY:
+    case FILTER_ACTIONS.SET_COMPARISON:
       return {
         ...state,
-        autoApply: action.autoApply
+        comparison: action.comparison
       };
 
-    case FILTER_ACTIONS.UPDATE_ACTIVE_COUNT:
+    case FILTER_ACTIONS.PUSH_DRILL_FILTER:
       return {
         ...state,
-        activeFilters: {
-          count: action.count,
-          summary: action.summary
+        drillPaths: {
+          ...state.drillPaths,
+          [action.reportType]: addToDrillPath(state.drillPaths[action.reportType], action.filter)
         }
       };
 
-    case FILTER_ACTIONS.SAVE_FILTER_SET:
+    case FILTER_ACTIONS.SET_DRILL_PATH:
       return {
         ...state,
-        savedFilterSets: new Map(state.savedFilterSets).set(action.name, {
-          globalFilters: { ...state.globalFilters },
-          reportFilters: { ...state.reportFilters },
-          savedAt: Date.now()
-        })
+        drillPaths: {
+          ...state.drillPaths,
+          [action.reportType]: action.path
+        }
       };
 
-    case FILTER_ACTIONS.LOAD_FILTER_SET:
-      const filterSet = state.savedFilterSets.get(action.name);
-      if (!filterSet) return state;
-      
+    // Parts the restored state leaves out go back to their defaults
+    case FILTER_ACTIONS.RESTORE_DASHBOARD_STATE:
       return {
         ...state,
-        globalFilters: { ...filterSet.globalFilters },
-        reportFilters: { ...filterSet.reportFilters }
+        // A dashboard state holds the quick filters of its own report only
+        globalFilters: {
+          ...initialFilterState.globalFilters,
+          ...action.globalFilters,
+          quickFilters: action.reportType ? {
+            ...state.globalFilters.quickFilters,
+            [action.reportType]: action.globalFilters?.quickFilters || NO_QUICK_FILTERS
+          } : state.globalFilters.quickFilters
+        },
+        filterMode: action.filterMode || initialFilterState.filterMode,
+        ...(action.reportType ? {
+          reportFilters: {
+            ...state.reportFilters,
+            [action.reportType]: action.reportFilters || {}
+          },
+          drillPaths: {
+            ...state.drillPaths,
+            [action.reportType]: action.drillPath || EMPTY_DRILL_PATH
+          }
+        } : {})
       };
 
-    case FILTER_ACTIONS.DELETE_FILTER_SET:
-      const newSavedSets = new Map(state.savedFilterSets);
-      newSavedSets.delete(action.name);
+    case FILTER_ACTIONS.SET_AUTO_APPLY:
       return {
         ...state,
-        savedFilterSets: newSavedSets
+        autoApply: action.autoApply
+      };
+
+    case FILTER_ACTIONS.UPDATE_ACTIVE_COUNT:
+      return {
+        ...state,
+        activeFilters: {
+          count: action.count,
+          summary: action.summary
+        }
       };
 
     case FILTER_ACTIONS.ADD_QUICK_FILTER:
@@ -165,7 +210,10 @@ const filterReducer = (state, action) => {
         ...state,
         globalFilters: {
           ...state.globalFilters,
-          quickFilters: [...state.globalFilters.quickFilters, action.filter]
+          quickFilters: {
+            ...state.globalFilters.quickFilters,
+            [action.reportType]: [...(state.globalFilters.quickFilters[action.reportType] || []), action.filter]
+          }
         }
       };
 
@@ -174,10 +222,28 @@ const filterReducer = (state, action) => {
         ...state,
         globalFilters: {
           ...state.globalFilters,
-          quickFilters: state.globalFilters.quickFilters.filter(f => f !== action.filter)
+          quickFilters: {
+            ...state.globalFilters.quickFilters,
+            [action.reportType]: (state.globalFilters.quickFilters[action.reportType] || []).filter(f => f !== action.filter)
+          }
         }
       };
 
+    case FILTER_ACTIONS.SET_QUICK_FILTER_OPTIONS:
+      return {
+        ...state,
+        quickFilterOptions: {
+          ...state.quickFilterOptions,
+          ...action.options
+        }
+      };
+
+    case FILTER_ACTIONS.SET_FISCAL_CALENDAR:
+      return {
+        ...state,
+        fiscalCalendar: action.calendar
+      };
+
     case FILTER_ACTIONS.ADD_TO_HISTORY:
       return {
         ...state,
@@ -215,10 +281,9 @@ export const FilterProvider = ({ children }) => {
   const { reports, activeReport, getCurrentReportData } = useDataContext();
   
   // Persistent storage for filter preferences
-  const { value: savedPreferences, setValue: setSavedPreferences } = useLocalStorage('filter-preferences', {
+  const { setValue: setSavedPreferences } = useLocalStorage('filter-preferences', {
     filterMode: 'individual',
-    autoApply: true,
-    savedSets: {}
+    autoApply: true
   });
 
   // Individual filter hooks for each report
@@ -272,113 +337,68 @@ export const FilterProvider = ({ children }) => {
     });
   }, []);
 
-  // Apply quick filter
-  const applyQuickFilter = useCallback((filterType, reportType = activeReport) => {
-    const quickFilterConfig = getQuickFilterConfig(filterType, reportType);
-    if (!quickFilterConfig) return;
-
-    // Apply the quick filter configuration
-    Object.entries(quickFilterConfig).forEach(([type, value]) => {
-      switch (type) {
-        case 'dateRange':
-          if (state.filterMode === 'global') {
-            setGlobalDateRange(value.start, value.end, value.preset);
-          } else {
-            filterHook.setDateRange(value.start, value.end, value.preset);
-          }
-          break;
-        case 'products':
-          filterHook.setProductFilters(value);
-          break;
-        case 'status':
-          filterHook.setStatusFilters(value);
-          break;
-        case 'amount':
-          filterHook.setAmountRange(value.min, value.max);
-          break;
-        default:
-          filterHook.addCustomFilter(type, value);
-          break;
-      }
-    });
+  // Ids of a report's quick filters that are switched on
+  const getActiveQuickFilters = useCallback((reportType) => (
+    state.globalFilters.quickFilters[reportType] || NO_QUICK_FILTERS
+  ), [state.globalFilters.quickFilters]);
 
-    // Add to quick filters list
+  // Switch on one of a report's quick filters by id
+  const applyQuickFilter = useCallback((reportType, filterId) => {
+    if (getActiveQuickFilters(reportType).includes(filterId)) return;
     dispatch({
       type: FILTER_ACTIONS.ADD_QUICK_FILTER,
-      filter: filterType
+      reportType,
+      filter: filterId
     });
-  }, [activeReport, state.filterMode, setGlobalDateRange, filterHook]);
+  }, [getActiveQuickFilters]);
 
   // Remove quick filter
-  const removeQuickFilter = useCallback((filterType) => {
+  const removeQuickFilter = useCallback((reportType, filterType) => {
     dispatch({
       type: FILTER_ACTIONS.REMOVE_QUICK_FILTER,
+      reportType,
       filter: filterType
     });
   }, []);
 
-  // Get quick filter configuration
-  const getQuickFilterConfig = useCallback((filterType, reportType) => {
-    const configs = {
-      'high-volume': {
-        amount: { min: 100000, max: null }
-      },
-      'new-applications': {
-        dateRange: { 
-          start: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), 
-          end: new Date(), 
-          preset: 'last-7-days' 
-        }
-      },
-      'approved-only': {
-        status: ['approved', 'funded']
-      },
-      'overdue-30': {
-        days_overdue: { min: 30, max: null }
-      },
-      'overdue-60': {
-        days_overdue: { min: 60, max: null }
-      },
-      'overdue-90': {
-        days_overdue: { min: 90, max: null }
-      },
-      'high-risk': {
-        risk_category: ['high', 'critical']
-      },
-      'in-progress': {
-        status: ['in-progress', 'pending']
-      },
-      'completed': {
-        status: ['completed', 'closed']
-      },
-      'high-recovery': {
-        recovery_rate: { min: 0.7, max: null }
-      },
-      'high-wait-time': {
-        avg_wait_time: { min: 300, max: null } // 5 minutes
-      },
-      'low-satisfaction': {
-        satisfaction_score: { min: null, max: 3 }
-      },
-      'peak-hours': {
-        hour: { min: 9, max: 17 }
-      },
-      'unresolved': {
-        status: ['open', 'pending', 'investigating']
-      },
-      'urgent': {
-        priority: ['urgent', 'high']
-      },
-      'recent': {
-        dateRange: { 
-          start: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), 
-          end: new Date(), 
-          preset: 'last-30-days' 
-        }
-      }
-    };
+  // Quick filter definitions, with any admin edits, once loaded
+  useEffect(() => {
+    loadQuickFilters()
+      .then(options => dispatch({ type: FILTER_ACTIONS.SET_QUICK_FILTER_OPTIONS, options }))
+      .catch(error => console.error('Failed to load quick filters:', error));
+  }, []);
+
+  // Replace a report's quick filters; errors are rethrown for the editor
+  const saveQuickFilters = useCallback(async (reportType, filters) => {
+    const saved = await saveStoredQuickFilters(reportType, filters);
+    dispatch({ type: FILTER_ACTIONS.SET_QUICK_FILTER_OPTIONS, options: { [reportType]: saved } });
+    return saved;
+  }, []);
+
+  const resetQuickFilters = useCallback(async (reportType) => {
+    const defaults = await resetStoredQuickFilters(reportType);
+    dispatch({ type: FILTER_ACTIONS.SET_QUICK_FILTER_OPTIONS, options: { [reportType]: defaults } });
+    return defaults;
+  }, []);
+
+  // Fiscal calendar chosen by an admin, once loaded
+  useEffect(() => {
+    loadFiscalCalendar()
+      .then(calendar => dispatch({ type: FILTER_ACTIONS.SET_FISCAL_CALENDAR, calendar }))
+      .catch(error => console.error('Failed to load fiscal calendar:', error));
+  }, []);
+
+  // Change the fiscal calendar; errors are rethrown for the settings form
+  const saveFiscalCalendar = useCallback(async (calendar) => {
+    const saved = await saveStoredFiscalCalendar(calendar);
+    dispatch({ type: FILTER_ACTIONS.SET_FISCAL_CALENDAR, calendar: saved });
+    return saved;
+  }, []);
 
-    return configs[filterType];
+  const resetFiscalCalendar = useCallback(async () => {
+    const calendar = await resetStoredFiscalCalendar();
+    dispatch({ type: FILTER_ACTIONS.SET_FISCAL_CALENDAR, calendar });
+    return calendar;
   }, []);
 
   // Clear all filters
@@ -409,54 +429,50 @@ export const FilterProvider = ({ children }) => {
     setSavedPreferences(prev => ({ ...prev, filterMode: mode }));
   }, [setSavedPreferences]);
 
-  // Set auto apply
-  const setAutoApply = useCallback((autoApply) => {
-    dispatch({ type: FILTER_ACTIONS.SET_AUTO_APPLY, autoApply });
-    setSavedPreferences(prev => ({ ...prev, autoApply }));
-  }, [setSavedPreferences]);
+  // Set the window KPIs are compared against ('previous_period', 'previous_year',
+  // 'baseline' with a { start, end } range, or 'none')
+  const setComparison = useCallback((mode, baseline = null) => {
+    dispatch({ type: FILTER_ACTIONS.SET_COMPARISON, comparison: { mode, baseline } });
+  }, []);
 
-  // Save filter set
-  const saveFilterSet = useCallback((name) => {
-    dispatch({ type: FILTER_ACTIONS.SAVE_FILTER_SET, name });
-    
-    // Also save to localStorage
-    const currentSets = savedPreferences.savedSets || {};
-    setSavedPreferences(prev => ({
-      ...prev,
-      savedSets: {
-        ...currentSets,
-        [name]: {
-          globalFilters: { ...state.globalFilters },
-          reportFilters: { ...state.reportFilters },
-          savedAt: Date.now()
-        }
-      }
-    }));
-  }, [state.globalFilters, state.reportFilters, savedPreferences.savedSets, setSavedPreferences]);
+  // Drill-down path for a report; stable while unchanged so it can be a memo dependency
+  const getDrillPath = useCallback((reportType) => (
+    state.drillPaths[reportType] || EMPTY_DRILL_PATH
+  ), [state.drillPaths]);
 
-  // Load filter set
-  const loadFilterSet = useCallback((name) => {
-    dispatch({ type: FILTER_ACTIONS.LOAD_FILTER_SET, name });
-    
-    // Add to history
+  // Narrow a report by a clicked chart element (see utils/drillDown)
+  const pushDrillFilter = useCallback((reportType, filter) => {
+    dispatch({ type: FILTER_ACTIONS.PUSH_DRILL_FILTER, reportType, filter });
+  }, []);
+
+  // Step back up the drill path, keeping its first depth filters
+  const stepBackDrill = useCallback((reportType, depth = 0) => {
     dispatch({
-      type: FILTER_ACTIONS.ADD_TO_HISTORY,
-      reportType: activeReport
+      type: FILTER_ACTIONS.SET_DRILL_PATH,
+      reportType,
+      path: (state.drillPaths[reportType] || EMPTY_DRILL_PATH).slice(0, depth)
     });
-  }, [activeReport]);
+  }, [state.drillPaths]);
 
-  // Delete filter set
-  const deleteFilterSet = useCallback((name) => {
-    dispatch({ type: FILTER_ACTIONS.DELETE_FILTER_SET, name });
-    
-    // Remove from localStorage
-    const currentSets = { ...savedPreferences.savedSets };
-    delete currentSets[name];
-    setSavedPreferences(prev => ({
-      ...prev,
-      savedSets: currentSets
-    }));
-  }, [savedPreferences.savedSets, setSavedPreferences]);
+  // Filters behind one dashboard, as shared in its URL (see utils/urlState).
+  // Without a reportType only the global filters and mode apply.
+  const getDashboardState = useCallback((reportType) => ({
+    globalFilters: { ...state.globalFilters, quickFilters: getActiveQuickFilters(reportType) },
+    reportFilters: (reportType && state.reportFilters[reportType]) || {},
+    filterMode: state.filterMode,
+    drillPath: (reportType && state.drillPaths[reportType]) || EMPTY_DRILL_PATH
+  }), [state.globalFilters, state.reportFilters, state.filterMode, state.drillPaths, getActiveQuickFilters]);
+
+  // Replace a dashboard's filters with a decoded dashboard state
+  const restoreDashboardState = useCallback((reportType, dashboardState) => {
+    dispatch({ type: FILTER_ACTIONS.RESTORE_DASHBOARD_STATE, reportType, ...dashboardState });
+  }, []);
+
+  // Set auto apply
+  const setAutoApply = useCallback((autoApply) => {
+    dispatch({ type: FILTER_ACTIONS.SET_AUTO_APPLY, autoApply });
+    setSavedPreferences(prev => ({ ...prev, autoApply }));
+  }, [setSavedPreferences]);
 
   // Get combined filters for current report
   const getCombinedFilters = useCallback(() => {
@@ -492,8 +508,9 @@ export const FilterProvider = ({ children }) => {
       if (state.globalFilters.search) {
         summary.push(`Search: "${state.globalFilters.search}"`);
       }
-      if (state.globalFilters.quickFilters.length > 0) {
-        summary.push(`Quick: ${state.globalFilters.quickFilters.length} filters`);
+      const quickFilterCount = getActiveQuickFilters(activeReport).length;
+      if (quickFilterCount > 0) {
+        summary.push(`Quick: ${quickFilterCount} filters`);
       }
     }
     
@@ -502,7 +519,7 @@ export const FilterProvider = ({ children }) => {
     summary.push(...hookSummary);
     
     return summary;
-  }, [state.globalFilters, state.filterMode, filterHook]);
+  }, [state.globalFilters, state.filterMode, filterHook, getActiveQuickFilters, activeReport]);
 
   // Calculate active filter count
   const calculateActiveFilterCount = useCallback(() => {
@@ -512,16 +529,16 @@ export const FilterProvider = ({ children }) => {
     if (state.filterMode === 'global') {
       if (state.globalFilters.dateRange.preset !== 'all') count++;
       if (state.globalFilters.search.trim()) count++;
-      count += state.globalFilters.quickFilters.length;
+      count += getActiveQuickFilters(activeReport).length;
     }
     
     // Add filter hook count
     count += filterHook.activeFilterCount;
     
     return count;
-  }, [state.globalFilters, state.filterMode, filterHook.activeFilterCount]);
+  }, [state.globalFilters, state.filterMode, filterHook.activeFilterCount, getActiveQuickFilters, activeReport]);
 
-  // Get available quick filters for current report
+  // Quick filter definitions of a report, { id, label, condition }
   const getAvailableQuickFilters = useCallback((reportType = activeReport) => {
     return state.quickFilterOptions[reportType] || [];
   }, [state.quickFilterOptions, activeReport]);
@@ -533,6 +550,8 @@ export const FilterProvider = ({ children }) => {
       reportFilters: { ...state.reportFilters },
       filterMode: state.filterMode,
       autoApply: state.autoApply,
+      comparison: state.comparison,
+      drillPaths: { ...state.drillPaths },
       activeReport,
       timestamp: Date.now()
     };
@@ -571,13 +590,23 @@ export const FilterProvider = ({ children }) => {
       if (typeof filterState.autoApply === 'boolean') {
         setAutoApply(filterState.autoApply);
       }
+
+      if (filterState.comparison) {
+        setComparison(filterState.comparison.mode, filterState.comparison.baseline);
+      }
+
+      if (filterState.drillPaths) {
+        Object.entries(filterState.drillPaths).forEach(([reportType, path]) => {
+          dispatch({ type: FILTER_ACTIONS.SET_DRILL_PATH, reportType, path });
+        });
+      }
       
       return true;
     } catch (error) {
       console.error('Failed to import filter state:', error);
       return false;
     }
-  }, [setFilterMode, setAutoApply]);
+  }, [setFilterMode, setAutoApply, setComparison]);
 
 // Update active filter count when state changes
 //  useEffect(() => {
@@ -599,13 +628,6 @@ export const FilterProvider = ({ children }) => {
 //    if (typeof savedPreferences.autoApply === 'boolean') {
 //      dispatch({ type: FILTER_ACTIONS.SET_AUTO_APPLY, autoApply: savedPreferences.autoApply });
 //    }
-    
-//    // Load saved filter sets
-//    if (savedPreferences.savedSets) {
-//      Object.entries(savedPreferences.savedSets).forEach(([name, filterSet]) => {
-//        dispatch({ type: FILTER_ACTIONS.SAVE_FILTER_SET, name });
-//      });
-//    }
 //  }, [savedPreferences]);
 
   // Context value
@@ -617,7 +639,8 @@ export const FilterProvider = ({ children }) => {
     filterMode: state.filterMode,
     autoApply: state.autoApply,
     filterHistory: state.filterHistory,
-    savedFilterSets: Array.from(state.savedFilterSets.keys()),
+    comparison: state.comparison,
+    fiscalCalendar: state.fiscalCalendar,
 
     // Global filter actions
     setGlobalDateRange,
@@ -629,19 +652,31 @@ export const FilterProvider = ({ children }) => {
     clearReportFilters,
 
     // Quick filters
+    getActiveQuickFilters,
     applyQuickFilter,
     removeQuickFilter,
     getAvailableQuickFilters,
+    saveQuickFilters,
+    resetQuickFilters,
+
+    // Fiscal calendar
+    saveFiscalCalendar,
+    resetFiscalCalendar,
 
     // Filter management
     clearAllFilters,
     setFilterMode,
     setAutoApply,
+    setComparison,
+
+    // Chart drill-down
+    getDrillPath,
+    pushDrillFilter,
+    stepBackDrill,
 
-    // Saved filter sets
-    saveFilterSet,
-    loadFilterSet,
-    deleteFilterSet,
+    // Shareable dashboard state
+    getDashboardState,
+    restoreDashboardState,
 
     // Data access
     getCombinedFilters,
@@ -660,8 +695,7 @@ export const FilterProvider = ({ children }) => {
       filterRatio: filterHook.filterRatio,
       setDateRange: filterHook.setDateRange,
       setDatePreset: filterHook.setDatePreset,
-      setProductFilters: filterHook.setProductFilters,
-      setRegionFilters: filterHook.setRegionFilters,
+      setDimensionFilter: filterHook.setDimensionFilter,
       setStatusFilters: filterHook.setStatusFilters,
       setAmountRange: filterHook.setAmountRange,
       setSearch: filterHook.setSearch,
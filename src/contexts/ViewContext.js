@@ -0,0 +1,263 @@
+import React, { createContext, useContext, useReducer, useCallback, useEffect, useRef } from 'react';
+import { useFilterContext } from './FilterContext';
+import {
+  getViews,
+  createView,
+  updateView,
+  renameView as renameStoredView,
+  duplicateView as duplicateStoredView,
+  setViewPinned,
+  setDefaultView as setStoredDefaultView,
+  deleteView as deleteStoredView,
+  serializeViews,
+  importViews as importStoredViews
+} from '../utils/viewStore';
+import { exportToJSON } from '../utils/exportUtils';
+import { sanitizeDashboardState } from '../utils/urlState';
+
+// Dashboard layout settings and the saved views that capture them. Tables and
+// charts keep settings such as sort, visible columns and chart toggles here
+// under a key per dashboard (see useViewSetting), so a view can save and
+// restore them alongside the dashboard's filters.
+
+const initialViewState = {
+  settings: {}, // { [dashboard]: { [key]: value } }
+  views: [],
+  activeViews: {}, // { [dashboard]: id of the view last applied }
+  isLoaded: false,
+  error: null
+};
+
+const VIEW_ACTIONS = {
+  SET_SETTING: 'SET_SETTING',
+  SET_VIEWS: 'SET_VIEWS',
+  SET_ERROR: 'SET_ERROR',
+  APPLY_VIEW: 'APPLY_VIEW',
+  SET_ACTIVE_VIEW: 'SET_ACTIVE_VIEW'
+};
+
+const viewReducer = (state, action) => {
+  switch (action.type) {
+    case VIEW_ACTIONS.SET_SETTING: {
+      const dashboardSettings = state.settings[action.dashboard] || {};
+      const previous = dashboardSettings[action.key];
+      const value = typeof action.value === 'function'
+        ? action.value(previous === undefined ? action.fallback : previous)
+        : action.value;
+
+      return {
+        ...state,
+        settings: {
+          ...state.settings,
+          [action.dashboard]: { ...dashboardSettings, [action.key]: value }
+        }
+      };
+    }
+
+    case VIEW_ACTIONS.SET_VIEWS:
+      return {
+        ...state,
+        views: action.views,
+        isLoaded: true,
+        error: null
+      };
+
+    case VIEW_ACTIONS.SET_ERROR:
+      return {
+        ...state,
+        error: action.error
+      };
+
+    case VIEW_ACTIONS.APPLY_VIEW:
+      return {
+        ...state,
+        settings: {
+          ...state.settings,
+          [action.view.dashboard]: { ...(action.view.layout || {}) }
+        },
+        activeViews: {
+          ...state.activeViews,
+          [action.view.dashboard]: action.view._id
+        }
+      };
+
+    case VIEW_ACTIONS.SET_ACTIVE_VIEW:
+      return {
+        ...state,
+        activeViews: {
+          ...state.activeViews,
+          [action.dashboard]: action.viewId
+        }
+      };
+
+    default:
+      return state;
+  }
+};
+
+const ViewContext = createContext();
+
+export const useViewContext = () => {
+  const context = useContext(ViewContext);
+  if (!context) {
+    throw new Error('useViewContext must be used within a ViewProvider');
+  }
+  return context;
+};
+
+export const ViewProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(viewReducer, initialViewState);
+  const { getDashboardState, restoreDashboardState } = useFilterContext();
+  // Dashboards opened this session
+  const openedDashboards = useRef(new Set());
+
+  const loadViews = useCallback(async () => {
+    try {
+      dispatch({ type: VIEW_ACTIONS.SET_VIEWS, views: await getViews() });
+    } catch (error) {
+      console.error('Failed to load views:', error);
+      dispatch({ type: VIEW_ACTIONS.SET_ERROR, error });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadViews();
+  }, [loadViews]);
+
+  // Run a view store change, then reload the list. Errors are rethrown for
+  // the caller to show.
+  const changeViews = useCallback(async (change) => {
+    try {
+      const result = await change();
+      await loadViews();
+      return result;
+    } catch (error) {
+      dispatch({ type: VIEW_ACTIONS.SET_ERROR, error });
+      throw error;
+    }
+  }, [loadViews]);
+
+  // Layout settings
+  const getViewSetting = useCallback((dashboard, key, fallback) => {
+    const value = state.settings[dashboard]?.[key];
+    return value === undefined ? fallback : value;
+  }, [state.settings]);
+
+  // value may be an updater function, given the current value or fallback
+  const setViewSetting = useCallback((dashboard, key, value, fallback) => {
+    dispatch({ type: VIEW_ACTIONS.SET_SETTING, dashboard, key, value, fallback });
+  }, []);
+
+  // Views
+  const getDashboardViews = useCallback((dashboard) =>
+    state.views.filter(view => view.dashboard === dashboard), [state.views]);
+
+  const getDefaultView = useCallback((dashboard) =>
+    state.views.find(view => view.dashboard === dashboard && view.isDefault) || null, [state.views]);
+
+  const applyView = useCallback((view) => {
+    restoreDashboardState(view.dashboard, sanitizeDashboardState(view.filters));
+    dispatch({ type: VIEW_ACTIONS.APPLY_VIEW, view });
+  }, [restoreDashboardState]);
+
+  // A dashboard is being shown: the first time this session, apply its
+  // default view unless it was opened from a link with its own filters.
+  // Waits until views have loaded.
+  const openDashboard = useCallback((dashboard, hasLinkFilters = false) => {
+    if (!state.isLoaded || openedDashboards.current.has(dashboard)) return;
+    openedDashboards.current.add(dashboard);
+
+    const defaultView = getDefaultView(dashboard);
+    if (defaultView && !hasLinkFilters) applyView(defaultView);
+  }, [state.isLoaded, getDefaultView, applyView]);
+
+  const captureView = useCallback((dashboard) => ({
+    filters: getDashboardState(dashboard),
+    layout: state.settings[dashboard] || {}
+  }), [getDashboardState, state.settings]);
+
+  // Save the dashboard's current filters and layout as a new view
+  const saveView = useCallback((dashboard, name) => changeViews(async () => {
+    const view = await createView({ name, dashboard, ...captureView(dashboard) });
+    dispatch({ type: VIEW_ACTIONS.SET_ACTIVE_VIEW, dashboard, viewId: view._id });
+    return view;
+  }), [changeViews, captureView]);
+
+  // Overwrite a view with the dashboard's current filters and layout
+  const updateViewFromDashboard = useCallback((view) =>
+    changeViews(() => updateView(view._id, captureView(view.dashboard))), [changeViews, captureView]);
+
+  const renameView = useCallback((viewId, name) =>
+    changeViews(() => renameStoredView(viewId, name)), [changeViews]);
+
+  const duplicateView = useCallback((viewId) =>
+    changeViews(() => duplicateStoredView(viewId)), [changeViews]);
+
+  const togglePinned = useCallback((view) =>
+    changeViews(() => setViewPinned(view._id, !view.pinned)), [changeViews]);
+
+  // viewId null clears the dashboard's default
+  const setDefaultView = useCallback((dashboard, viewId) =>
+    changeViews(() => setStoredDefaultView(dashboard, viewId)), [changeViews]);
+
+  const deleteView = useCallback((viewId) => changeViews(async () => {
+    await deleteStoredView(viewId);
+    Object.entries(state.activeViews)
+      .filter(([, activeId]) => activeId === viewId)
+      .forEach(([dashboard]) => dispatch({ type: VIEW_ACTIONS.SET_ACTIVE_VIEW, dashboard, viewId: null }));
+  }), [changeViews, state.activeViews]);
+
+  // Download views as JSON: one dashboard's, or all of them
+  const exportViews = useCallback((dashboard = null) => {
+    const views = dashboard ? getDashboardViews(dashboard) : state.views;
+    return exportToJSON(serializeViews(views), `views_${dashboard || 'all'}_${new Date().toISOString().split('T')[0]}`);
+  }, [getDashboardViews, state.views]);
+
+  // Import views from an exported JSON file. Resolves to the views added.
+  const importViews = useCallback((file) => changeViews(async () => {
+    let document;
+    try {
+      document = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('View file is not valid JSON');
+    }
+    return importStoredViews(document);
+  }), [changeViews]);
+
+  const contextValue = {
+    // State
+    views: state.views,
+    isLoaded: state.isLoaded,
+    error: state.error,
+
+    // Layout settings
+    getViewSetting,
+    setViewSetting,
+
+    // Views
+    getDashboardViews,
+    getDefaultView,
+    getActiveViewId: (dashboard) => state.activeViews[dashboard] || null,
+    applyView,
+    openDashboard,
+    saveView,
+    updateViewFromDashboard,
+    renameView,
+    duplicateView,
+    togglePinned,
+    setDefaultView,
+    deleteView,
+
+    // Import / export
+    exportViews,
+    importViews
+  };
+
+  return (
+    <ViewContext.Provider value={contextValue}>
+      {children}
+    </ViewContext.Provider>
+  );
+};
+
+export default ViewContext;
@@ -0,0 +1,59 @@
+import { useEffect } from 'react';
+import { useFilterContext } from '../contexts/FilterContext';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { captureDashboardSummary } from '../utils/boardPack';
+import { countRules } from '../utils/filterExpression';
+import { filterRecordsByWindow } from '../utils/kpiEngine';
+import { getCurrentRecords } from '../utils/snapshots';
+import { formatDateWindow, getDateWindow } from '../utils/dateUtils';
+
+// Keep a report dashboard's KPI tiles for the PDF board pack, with the date
+// range and filters they were calculated under for the pack's page footers.
+// The records in the period and the date KPIs were counted to are kept too,
+// for the Excel export's KPI formulas.
+// processedData is the dashboard's { kpis, previousKpis, comparisonLabel, rawData }.
+const useBoardPackCapture = (reportType, processedData, dateRange) => {
+  const { globalFilters, reportFilters, getDrillPath, getActiveQuickFilters, getAvailableQuickFilters } = useFilterContext();
+  const drillPath = getDrillPath(reportType);
+  const { dimensions, advanced } = reportFilters[reportType] || {};
+  const quickFilters = getAvailableQuickFilters(reportType);
+  const activeQuickFilters = getActiveQuickFilters(reportType);
+
+  useEffect(() => {
+    if (!processedData) {
+      captureDashboardSummary(reportType, null);
+      return;
+    }
+
+    const fields = REPORT_CONFIG[reportType]?.fields || {};
+    const filters = [
+      ...quickFilters
+        .filter(filter => activeQuickFilters.includes(filter.id))
+        .map(filter => filter.label),
+      ...Object.entries(dimensions || {})
+        .filter(([, values]) => Array.isArray(values) && values.length > 0)
+        .map(([field, values]) => `${fields[field]?.label || field}: ${values.map(value => value ?? 'Blank').join(', ')}`),
+      ...(countRules(advanced) > 0 ? [`${countRules(advanced)} advanced filter rules`] : []),
+      ...(globalFilters.search ? [`Search: "${globalFilters.search}"`] : []),
+      ...drillPath.map(filter => filter.label)
+    ];
+
+    // As calculateKPIComparison evaluates the current period
+    const window = getDateWindow(dateRange);
+    const now = new Date();
+
+    captureDashboardSummary(reportType, {
+      kpis: processedData.kpis,
+      previousValues: processedData.previousKpis,
+      comparisonLabel: processedData.comparisonLabel,
+      records: getCurrentRecords(reportType, filterRecordsByWindow(reportType, processedData.rawData || [], window)),
+      referenceDate: window && window.end < now ? window.end : now,
+      context: {
+        period: formatDateWindow(window) || 'All dates',
+        filters
+      }
+    });
+  }, [reportType, processedData, dateRange, globalFilters, quickFilters, activeQuickFilters, dimensions, advanced, drillPath]);
+};
+
+export default useBoardPackCapture;
@@ -0,0 +1,65 @@
+// src/hooks/useDashboardUrlState.js
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigate, useNavigationType } from 'react-router-dom';
+import { useFilterContext } from '../contexts/FilterContext';
+import {
+  getRouteReport,
+  encodeDashboardState,
+  decodeDashboardState,
+  getStateQuery,
+  withStateQuery
+} from '../utils/urlState';
+
+// Keeps the current route's query string and FilterContext in step. Opening
+// a link, reloading or going back/forward restores the filters in the URL;
+// changing a filter adds a history entry; following a plain nav link carries
+// the current filters over into the new route's URL. Returns the report the
+// route shows, if any.
+const useDashboardUrlState = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const navigationType = useNavigationType();
+  const { getDashboardState, restoreDashboardState } = useFilterContext();
+
+  const reportType = getRouteReport(location.pathname);
+  const encoded = encodeDashboardState(getDashboardState(reportType));
+  const stateQuery = getStateQuery(location.search);
+
+  const lastLocationKey = useRef(null);
+  // Set while a restore is waiting to re-render, so the canonical form of
+  // the restored URL replaces it instead of adding an entry
+  const restoring = useRef(false);
+
+  useEffect(() => {
+    const setStateQuery = (query, replace) => {
+      navigate({ search: withStateQuery(location.search, query) }, { replace });
+    };
+
+    if (lastLocationKey.current !== location.key) {
+      lastLocationKey.current = location.key;
+      if (stateQuery === encoded) return;
+
+      if (navigationType === 'PUSH' && !stateQuery) {
+        setStateQuery(encoded, true);
+        return;
+      }
+
+      const restored = decodeDashboardState(stateQuery);
+      restoring.current = encodeDashboardState(restored) !== encoded;
+      restoreDashboardState(reportType, restored);
+      return;
+    }
+
+    // Filters changed on this page
+    if (restoring.current) {
+      restoring.current = false;
+      if (stateQuery !== encoded) setStateQuery(encoded, true);
+      return;
+    }
+    if (stateQuery !== encoded) setStateQuery(encoded, false);
+  }, [location.key, location.search, stateQuery, encoded, navigationType, reportType, navigate, restoreDashboardState]);
+
+  return reportType;
+};
+
+export default useDashboardUrlState;
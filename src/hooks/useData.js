@@ -1,6 +1,6 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { loadData, saveData, clearData } from '../utils/indexedDBHelper';
-import { processCSVFile, validateRowData } from '../utils/csvProcessor';
+import dataManager from '../utils/dataManager';
 import { REPORT_TYPES, DATA_SOURCES } from '../utils/constants';
 
 const useData = (reportType = null) => {
@@ -83,31 +83,33 @@ const useData = (reportType = null) => {
     }
   }, [reportType, cache]);
 
-  // Upload new data
+  // Upload new data through dataManager, so it is merged on the report's
+  // natural key and recorded as an upload batch like any other upload
   const uploadData = useCallback(async (file, type) => {
     setLoading(true);
     setError(null);
 
     try {
-      const result = await processCSVFile(file, type);
-	  const validatedData = result.success ? result.data : [];
+      const result = await dataManager.uploadData(file, type);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
-      // Save to IndexedDB
-      await saveData(type, validatedData);
+      const storedData = await loadData(type) || [];
 
       // Update cache
       setCache(prev => new Map(prev).set(type, {
-        data: validatedData,
+        data: storedData,
         timestamp: Date.now()
       }));
 
       if (type === reportType) {
-        setData(validatedData);
+        setData(storedData);
         setLastUpdated(Date.now());
       }
 
       setLoading(false);
-      return { success: true, recordCount: validatedData.length };
+      return { success: true, recordCount: result.data.length, counts: result.counts, batchId: result.batchId };
 
     } catch (err) {
       setError(`Upload failed: ${err.message}`);
@@ -0,0 +1,62 @@
+// src/hooks/useDrillDown.js
+import { useMemo, useCallback } from 'react';
+import { useFilterContext } from '../contexts/FilterContext';
+import { applyDrillFilters, createDrillFilter, toDrillCondition } from '../utils/drillDown';
+import { matchesCondition } from '../utils/fieldUtils';
+import { toDimensionCondition } from '../utils/filterExpression';
+import { getQuickFilterCondition } from '../utils/quickFilters';
+
+// A dashboard's records narrowed by its quick, dimension and advanced filters
+// and its drill path in FilterContext, and a drillInto(field, value, options) for
+// chart click handlers. Every chart and table built from drilledData
+// re-filters when a chart element is clicked or a filter is applied.
+// queryCondition is the same narrowing for period series queried in IndexedDB
+// (see useReportSeries). It leaves out drilled periods, which a series shows
+// on its own axis, and is undefined when a drill step can't be queried.
+const useDrillDown = (reportType, data) => {
+  const {
+    getDrillPath,
+    pushDrillFilter,
+    reportFilters,
+    getActiveQuickFilters,
+    getAvailableQuickFilters
+  } = useFilterContext();
+  const drillPath = getDrillPath(reportType);
+  const { dimensions, advanced } = reportFilters[reportType] || {};
+  const quickFilters = getAvailableQuickFilters(reportType);
+  const activeQuickFilters = getActiveQuickFilters(reportType);
+
+  // Quick filter chips switched on (see QuickFilterBar), dimension selections
+  // (see DimensionFilters) and the filter builder expression (see
+  // FilterBuilder) as one matchesCondition condition
+  const filterCondition = useMemo(() => {
+    const conditions = [
+      getQuickFilterCondition(quickFilters, activeQuickFilters),
+      toDimensionCondition(dimensions),
+      advanced
+    ].filter(Boolean);
+    return conditions.length > 0 ? { all: conditions } : null;
+  }, [quickFilters, activeQuickFilters, dimensions, advanced]);
+
+  const queryCondition = useMemo(() => {
+    const drillCondition = toDrillCondition(drillPath.filter(filter => !filter.period));
+    if (!drillCondition) return undefined;
+    const conditions = [filterCondition, ...drillCondition].filter(Boolean);
+    return conditions.length > 0 ? { all: conditions } : null;
+  }, [filterCondition, drillPath]);
+
+  const drilledData = useMemo(() => {
+    const filtered = filterCondition && data
+      ? data.filter(record => matchesCondition(record, filterCondition))
+      : data;
+    return applyDrillFilters(filtered, drillPath);
+  }, [data, filterCondition, drillPath]);
+
+  const drillInto = useCallback((field, value, options) => {
+    pushDrillFilter(reportType, createDrillFilter(field, value, options));
+  }, [reportType, pushDrillFilter]);
+
+  return { drillPath, filterCondition, queryCondition, drilledData, drillInto };
+};
+
+export default useDrillDown;
@@ -1,5 +1,6 @@
 import { useState, useCallback } from 'react';
 import ExcelJS from 'exceljs';
+import { buildExcelWorkbook } from '../utils/excelWorkbook';
 
 export const useExport = () => {
   const [exporting, setExporting] = useState(false);
@@ -104,7 +105,8 @@ export const useExport = () => {
     }
   }, [formatDataForExport]);
 
-  // Export to Excel (XLSX) using ExcelJS
+  // Export to an audit workbook: Summary sheet, records as an Excel Table and,
+  // given a reportType and options.kpis, KPIs as formulas over them
   const exportExcel = useCallback(async (
     data, 
     filename = 'export.xlsx', 
@@ -119,9 +121,13 @@ export const useExport = () => {
       const {
         includeCalculated = true,
         sheetName = 'Export Data',
-        includeCharts = false,
-        styling = true,
-        multiSheet = false
+        multiSheet = false,
+        title = 'Export',
+        context = null,
+        kpis = [],
+        charts = [],
+        tables = [],
+        referenceDate
       } = options;
 
       setProgress(10);
@@ -135,129 +141,26 @@ export const useExport = () => {
         return await exportMultiSheetExcel(formattedData, filename, options);
       }
 
-      // Create workbook and worksheet
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet(sheetName);
-      setProgress(40);
-
-      // Get headers from first row
-      if (formattedData.length === 0) {
+      if (formattedData.length === 0 && kpis.length === 0) {
         throw new Error('No data to export');
       }
 
-      const headers = Object.keys(formattedData[0]);
-      
-      // Add header row
-      worksheet.addRow(headers);
-      setProgress(50);
-
-      // Style header row
-      if (styling) {
-        const headerRow = worksheet.getRow(1);
-        headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
-        headerRow.fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FF4472C4' }
-        };
-        
-        // Set column widths
-        headers.forEach((header, index) => {
-          const column = worksheet.getColumn(index + 1);
-          column.width = Math.max(header.length + 2, 12);
-        });
-      }
-
-      setProgress(60);
-
-      // Add data rows
-      formattedData.forEach((row, index) => {
-        const rowData = headers.map(header => {
-          const value = row[header];
-          
-          // Handle different data types
-          if (value === null || value === undefined) {
-            return '';
-          }
-          
-          if (value instanceof Date) {
-            return value;
-          }
-          
-          if (typeof value === 'object') {
-            return JSON.stringify(value);
-          }
-          
-          return value;
-        });
-        
-        worksheet.addRow(rowData);
-        
-        // Update progress for large datasets
-        if (index % 100 === 0) {
-          setProgress(60 + (index / formattedData.length) * 20);
-        }
+      // The workbook reads dates itself, so it is given the records unformatted
+      const generatedAt = new Date();
+      const blob = await buildExcelWorkbook({
+        title,
+        reportType,
+        records: data,
+        kpis,
+        charts,
+        tables,
+        context,
+        sheetName,
+        generatedAt,
+        referenceDate: referenceDate || generatedAt
       });
-
-      setProgress(80);
-
-      // Apply additional styling
-      if (styling) {
-        // Auto-fit columns
-        worksheet.columns.forEach(column => {
-          let maxLength = 0;
-          column.eachCell({ includeEmpty: false }, cell => {
-            const cellLength = cell.value ? cell.value.toString().length : 0;
-            if (cellLength > maxLength) {
-              maxLength = cellLength;
-            }
-          });
-          column.width = Math.min(Math.max(maxLength + 2, 12), 50);
-        });
-
-        // Add borders
-        worksheet.eachRow((row, rowNumber) => {
-          row.eachCell((cell) => {
-            cell.border = {
-              top: { style: 'thin' },
-              left: { style: 'thin' },
-              bottom: { style: 'thin' },
-              right: { style: 'thin' }
-            };
-          });
-        });
-
-        // Format number cells
-        worksheet.eachRow((row, rowNumber) => {
-          if (rowNumber > 1) { // Skip header row
-            row.eachCell((cell, colNumber) => {
-              if (typeof cell.value === 'number') {
-                const header = worksheet.getRow(1).getCell(colNumber).value;
-                if (header && typeof header === 'string') {
-                  if (header.toLowerCase().includes('price') || 
-                      header.toLowerCase().includes('cost') ||
-                      header.toLowerCase().includes('amount')) {
-                    cell.numFmt = '"$"#,##0.00';
-                  } else if (header.toLowerCase().includes('percent')) {
-                    cell.numFmt = '0.00%';
-                  } else {
-                    cell.numFmt = '#,##0.00';
-                  }
-                }
-              }
-            });
-          }
-        });
-      }
-
       setProgress(90);
 
-      // Generate Excel buffer and download
-      const buffer = await workbook.xlsx.writeBuffer();
-      const blob = new Blob([buffer], { 
-        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
-      });
-      
       const link = document.createElement('a');
       const url = URL.createObjectURL(blob);
       
@@ -275,7 +178,7 @@ export const useExport = () => {
       return { 
         success: true, 
         recordCount: formattedData.length,
-        sheets: 1
+        sheets: 2 + (reportType && kpis.length > 0 ? 1 : 0) + charts.length + tables.length
       };
 
     } catch (err) {
@@ -1,6 +1,8 @@
 import { useState, useCallback, useEffect, useMemo } from 'react';
-import { isWithinDateRange, formatDateForFilter } from '../utils/dateUtils';
-import { FILTER_PRESETS, PRODUCT_TYPES, REGIONS } from '../utils/constants';
+import { isWithinDateRange, formatDateForFilter, getDateRangeFromPreset } from '../utils/dateUtils';
+import { FILTER_PRESETS } from '../utils/constants';
+import { matchesCondition } from '../utils/fieldUtils';
+import { getDimensionFields, getDimensionOptions, toDimensionCondition } from '../utils/filterExpression';
 
 const useFilters = (data = [], reportType = null) => {
   const [filters, setFilters] = useState({
@@ -9,8 +11,7 @@ const useFilters = (data = [], reportType = null) => {
       end: null,
       preset: 'all'
     },
-    products: [],
-    regions: [],
+    dimensions: {},
     status: [],
     amount: {
       min: null,
@@ -20,7 +21,6 @@ const useFilters = (data = [], reportType = null) => {
     customFilters: new Map()
   });
 
-  const [savedFilters, setSavedFilters] = useState(new Map());
   const [activeFilterCount, setActiveFilterCount] = useState(0);
 
   // Apply date range filter
@@ -37,21 +37,11 @@ const useFilters = (data = [], reportType = null) => {
     );
   }, [filters.dateRange]);
 
-  // Apply product filter
-  const applyProductFilter = useCallback((item) => {
-    if (filters.products.length === 0) return true;
-    
-    const itemProduct = item.product || item.product_type || item.loan_type;
-    return filters.products.includes(itemProduct);
-  }, [filters.products]);
-
-  // Apply region filter
-  const applyRegionFilter = useCallback((item) => {
-    if (filters.regions.length === 0) return true;
-    
-    const itemRegion = item.region || item.state || item.location;
-    return filters.regions.includes(itemRegion);
-  }, [filters.regions]);
+  // Apply dimension filters: selected values of the report's category fields
+  const dimensionCondition = useMemo(() => toDimensionCondition(filters.dimensions), [filters.dimensions]);
+  const applyDimensionFilter = useCallback((item) => (
+    matchesCondition(item, dimensionCondition)
+  ), [dimensionCondition]);
 
   // Apply status filter
   const applyStatusFilter = useCallback((item) => {
@@ -112,8 +102,7 @@ const useFilters = (data = [], reportType = null) => {
     return data.filter(item => {
       return (
         applyDateFilter(item) &&
-        applyProductFilter(item) &&
-        applyRegionFilter(item) &&
+        applyDimensionFilter(item) &&
         applyStatusFilter(item) &&
         applyAmountFilter(item) &&
         applySearchFilter(item) &&
@@ -123,8 +112,7 @@ const useFilters = (data = [], reportType = null) => {
   }, [
     data,
     applyDateFilter,
-    applyProductFilter,
-    applyRegionFilter,
+    applyDimensionFilter,
     applyStatusFilter,
     applyAmountFilter,
     applySearchFilter,
@@ -141,27 +129,24 @@ const useFilters = (data = [], reportType = null) => {
 
   // Set date preset
   const setDatePreset = useCallback((preset) => {
-    const presetConfig = FILTER_PRESETS[preset];
-    if (!presetConfig) return;
+    if (!FILTER_PRESETS[preset]) return;
 
-    const { start, end } = presetConfig.getDateRange();
+    const { start, end } = getDateRangeFromPreset(preset);
     setDateRange(start, end, preset);
   }, [setDateRange]);
 
-  // Update product filters
-  const setProductFilters = useCallback((products) => {
-    setFilters(prev => ({
-      ...prev,
-      products: Array.isArray(products) ? products : [products]
-    }));
-  }, []);
-
-  // Update region filters
-  const setRegionFilters = useCallback((regions) => {
-    setFilters(prev => ({
-      ...prev,
-      regions: Array.isArray(regions) ? regions : [regions]
-    }));
+  // Update the selected values of a category field; none clears it
+  const setDimensionFilter = useCallback((field, values) => {
+    setFilters(prev => {
+      const dimensions = { ...prev.dimensions };
+      const list = Array.isArray(values) ? values : [values];
+      if (list.length > 0) {
+        dimensions[field] = list;
+      } else {
+        delete dimensions[field];
+      }
+      return { ...prev, dimensions };
+    });
   }, []);
 
   // Update status filters
@@ -216,8 +201,7 @@ const useFilters = (data = [], reportType = null) => {
         end: null,
         preset: 'all'
       },
-      products: [],
-      regions: [],
+      dimensions: {},
       status: [],
       amount: {
         min: null,
@@ -237,11 +221,8 @@ const useFilters = (data = [], reportType = null) => {
         case 'date':
           newFilters.dateRange = { start: null, end: null, preset: 'all' };
           break;
-        case 'products':
-          newFilters.products = [];
-          break;
-        case 'regions':
-          newFilters.regions = [];
+        case 'dimensions':
+          newFilters.dimensions = {};
           break;
         case 'status':
           newFilters.status = [];
@@ -263,60 +244,21 @@ const useFilters = (data = [], reportType = null) => {
     });
   }, []);
 
-  // Save current filter state
-  const saveFilterState = useCallback((name) => {
-    if (!name) return false;
-    
-    setSavedFilters(prev => new Map(prev).set(name, {
-      ...filters,
-      customFilters: new Map(filters.customFilters), // Deep copy Map
-      savedAt: Date.now()
-    }));
-    
-    return true;
-  }, [filters]);
-
-  // Load saved filter state
-  const loadFilterState = useCallback((name) => {
-    const savedFilter = savedFilters.get(name);
-    if (!savedFilter) return false;
-    
-    setFilters({
-      ...savedFilter,
-      customFilters: new Map(savedFilter.customFilters) // Deep copy Map
-    });
-    
-    return true;
-  }, [savedFilters]);
-
-  // Delete saved filter
-  const deleteSavedFilter = useCallback((name) => {
-    setSavedFilters(prev => {
-      const newSaved = new Map(prev);
-      newSaved.delete(name);
-      return newSaved;
-    });
-  }, []);
-
   // Get available filter options from data
   const getFilterOptions = useCallback(() => {
     if (!data || data.length === 0) {
       return {
-        products: PRODUCT_TYPES,
-        regions: REGIONS,
+        dimensions: {},
         status: [],
         dateRange: { min: null, max: null },
         amountRange: { min: 0, max: 0 }
       };
     }
 
-    const products = [...new Set(data.map(item => 
-      item.product || item.product_type || item.loan_type
-    ).filter(Boolean))];
-
-    const regions = [...new Set(data.map(item => 
-      item.region || item.state || item.location
-    ).filter(Boolean))];
+    // Values of each category field with their record counts
+    const dimensions = Object.fromEntries(getDimensionFields(reportType).map(({ field }) => (
+      [field, getDimensionOptions(data, field)]
+    )));
 
     const status = [...new Set(data.map(item => 
       item.status || item.state || item.condition
@@ -333,8 +275,7 @@ const useFilters = (data = [], reportType = null) => {
       .sort((a, b) => a - b);
 
     return {
-      products,
-      regions,
+      dimensions,
       status,
       dateRange: dates.length > 0 ? {
         min: dates[0],
@@ -345,7 +286,7 @@ const useFilters = (data = [], reportType = null) => {
         max: amounts[amounts.length - 1]
       } : { min: 0, max: 0 }
     };
-  }, [data]);
+  }, [data, reportType]);
 
   // Get filter summary
   const getFilterSummary = useCallback(() => {
@@ -355,13 +296,9 @@ const useFilters = (data = [], reportType = null) => {
       summary.push(`Date: ${filters.dateRange.preset}`);
     }
     
-    if (filters.products.length > 0) {
-      summary.push(`Products: ${filters.products.length} selected`);
-    }
-    
-    if (filters.regions.length > 0) {
-      summary.push(`Regions: ${filters.regions.length} selected`);
-    }
+    Object.entries(filters.dimensions).forEach(([field, values]) => {
+      summary.push(`${field}: ${values.length} selected`);
+    });
     
     if (filters.status.length > 0) {
       summary.push(`Status: ${filters.status.length} selected`);
@@ -387,8 +324,7 @@ const useFilters = (data = [], reportType = null) => {
     let count = 0;
     
     if (filters.dateRange.preset !== 'all') count++;
-    if (filters.products.length > 0) count++;
-    if (filters.regions.length > 0) count++;
+    count += Object.keys(filters.dimensions).length;
     if (filters.status.length > 0) count++;
     if (filters.amount.min !== null || filters.amount.max !== null) count++;
     if (filters.search.trim()) count++;
@@ -408,8 +344,7 @@ const useFilters = (data = [], reportType = null) => {
     setDatePreset,
     
     // Category filters
-    setProductFilters,
-    setRegionFilters,
+    setDimensionFilter,
     setStatusFilters,
     
     // Range filters
@@ -426,12 +361,6 @@ const useFilters = (data = [], reportType = null) => {
     clearFilters,
     clearFilterType,
     
-    // Saved filters
-    saveFilterState,
-    loadFilterState,
-    deleteSavedFilter,
-    savedFilters: Array.from(savedFilters.keys()),
-    
     // Utilities
     getFilterOptions,
     getFilterSummary,
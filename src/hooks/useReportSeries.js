@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react';
+import dataManager from '../utils/dataManager';
+import { toDateKeyRange } from '../utils/dataQuery';
+
+// Pre-aggregated chart series for a report, computed in IndexedDB rather
+// than from the report's records in memory. Reloads after uploads to the
+// report. options are those of querySeries; storeName reads a call center
+// sub-report store.
+const NO_SERIES = [];
+
+const useReportSeries = (reportType, options = {}, storeName = undefined) => {
+  const [loaded, setLoaded] = useState({ key: null, series: NO_SERIES });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Options are usually an inline object, so compare them by value. The date
+  // range becomes day keys first, as Dates would serialise in UTC.
+  const optionsKey = JSON.stringify({ ...options, dateRange: toDateKeyRange(options.dateRange) });
+
+  useEffect(() => {
+    if (!reportType) return undefined;
+
+    let cancelled = false;
+    const loadSeries = () => {
+      setLoading(true);
+      dataManager.getReportSeries(reportType, JSON.parse(optionsKey), storeName)
+        .then(result => {
+          if (cancelled) return;
+          setLoaded({ key: optionsKey, series: result });
+          setError(null);
+        })
+        .catch(err => {
+          if (!cancelled) setError(err);
+        })
+        .finally(() => {
+          if (!cancelled) setLoading(false);
+        });
+    };
+
+    const handleDataUploaded = (event) => {
+      if (!event.detail?.reportType || event.detail.reportType === reportType) loadSeries();
+    };
+
+    loadSeries();
+    window.addEventListener('data-uploaded', handleDataUploaded);
+    return () => {
+      cancelled = true;
+      window.removeEventListener('data-uploaded', handleDataUploaded);
+    };
+  }, [reportType, optionsKey, storeName]);
+
+  // A series loaded for other options isn't returned while the new one loads,
+  // as its rows may be for different periods
+  return { series: loaded.key === optionsKey ? loaded.series : NO_SERIES, loading, error };
+};
+
+export default useReportSeries;
@@ -0,0 +1,23 @@
+import { useState, useCallback } from 'react';
+import { useViewContext } from '../contexts/ViewContext';
+
+// useState for a table or chart setting that saved views capture. Settings
+// are kept in ViewContext under dashboard and key; without both the setting
+// is local state, as for tables outside a report dashboard.
+const useViewSetting = (dashboard, key, defaultValue) => {
+  const { getViewSetting, setViewSetting } = useViewContext();
+  const [localValue, setLocalValue] = useState(defaultValue);
+  const isShared = Boolean(dashboard && key);
+
+  const setValue = useCallback((value) => {
+    if (isShared) {
+      setViewSetting(dashboard, key, value, defaultValue);
+    } else {
+      setLocalValue(value);
+    }
+  }, [isShared, dashboard, key, defaultValue, setViewSetting]);
+
+  return [isShared ? getViewSetting(dashboard, key, defaultValue) : localValue, setValue];
+};
+
+export default useViewSetting;
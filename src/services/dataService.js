@@ -3,6 +3,9 @@ import { openDB } from 'idb';
 import { csvProcessor } from '../utils/csvProcessor';
 import { indexedDBHelper } from '../utils/indexedDBHelper';
 import { REPORT_TYPES, API_ENDPOINTS } from '../utils/constants';
+import { queryStore } from '../utils/dataQuery';
+import { matchesCondition } from '../utils/fieldUtils';
+import { toDimensionCondition } from '../utils/filterExpression';
 
 class DataService {
   constructor() {
@@ -83,11 +86,14 @@ class DataService {
     }
 
     try {
-      let data = await indexedDBHelper.getData(reportType);
+      // The date range is read through the record date index; the other
+      // filters apply to what it returns
+      const { dateRange, ...otherFilters } = options.filters || {};
+      let data = await queryStore(reportType, { dateRange });
       
       // Apply filters if provided
-      if (options.filters) {
-        data = this.applyFilters(data, options.filters);
+      if (Object.keys(otherFilters).length > 0) {
+        data = this.applyFilters(data, otherFilters);
       }
 
       // Apply sorting if provided
@@ -239,6 +245,8 @@ class DataService {
 
   // Apply filters to data
   applyFilters(data, filters) {
+    const dimensionCondition = toDimensionCondition(filters.dimensions);
+
     return data.filter(record => {
       // Date range filter
       if (filters.dateRange) {
@@ -251,18 +259,9 @@ class DataService {
         }
       }
 
-      // Product filter
-      if (filters.products && filters.products.length > 0) {
-        if (!filters.products.includes(record.product_type || record.product)) {
-          return false;
-        }
-      }
-
-      // Region filter
-      if (filters.regions && filters.regions.length > 0) {
-        if (!filters.regions.includes(record.region || record.location)) {
-          return false;
-        }
+      // Dimension filter: selected values of category fields
+      if (!matchesCondition(record, dimensionCondition)) {
+        return false;
       }
 
       // Status filter
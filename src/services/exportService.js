@@ -1,4 +1,6 @@
 import ExcelJS from 'exceljs';
+import { withFiscalPeriods } from '../utils/exportUtils';
+import { buildExcelWorkbook, getExcelNumberFormat, getUniqueSheetName } from '../utils/excelWorkbook';
 
 class ExportService {
   constructor() {
@@ -78,16 +80,23 @@ class ExportService {
     URL.revokeObjectURL(url);
   }
 
-  // Export data to Excel format using ExcelJS
+  // Export records to an audit workbook (see utils/excelWorkbook): a Summary
+  // sheet, the records as the Data table, and for a report its KPIs as
+  // formulas over that table plus any charts and tables passed in.
   async exportToExcel(data, options = {}) {
     try {
       const {
         filename = 'export.xlsx',
         sheetName = 'Data',
-        includeHeaders = true,
         reportType = null,
         multiSheet = false,
-        styling = true
+        title = 'Export',
+        context = null,
+        kpis = [],
+        charts = [],
+        tables = [],
+        referenceDate,
+        generatedAt = new Date()
       } = options;
 
       this.validateData(data, 'excel');
@@ -97,59 +106,27 @@ class ExportService {
         return await this.exportMultiSheetExcel(data, options);
       }
 
-      // Validate single sheet data
-      if (!Array.isArray(data) || data.length === 0) {
+      // A dashboard can be exported with no records in its period
+      if (!Array.isArray(data) || (data.length === 0 && kpis.length === 0 && charts.length === 0)) {
         throw new Error('No data available for export');
       }
 
-      // Create workbook and worksheet
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet(sheetName);
-
-      // Get headers from first row
-      const headers = Object.keys(data[0]);
-      
-      if (includeHeaders) {
-        // Add header row
-        worksheet.addRow(headers);
-        
-        if (styling) {
-          // Style header row
-          const headerRow = worksheet.getRow(1);
-          headerRow.font = { bold: true };
-          headerRow.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFE0E0E0' }
-          };
-          
-          // Set column widths
-          headers.forEach((header, index) => {
-            const column = worksheet.getColumn(index + 1);
-            column.width = Math.max(header.length + 2, 12);
-          });
-        }
-      }
-
-      // Add data rows
-      data.forEach(row => {
-        const rowData = headers.map(header => 
-          this.formatCellValue(row[header], header, reportType)
-        );
-        worksheet.addRow(rowData);
+      // A report's rows get fiscal year, quarter and period columns
+      const records = reportType ? withFiscalPeriods(data, reportType) : data;
+
+      const blob = await buildExcelWorkbook({
+        title,
+        reportType,
+        records,
+        kpis,
+        charts,
+        tables,
+        context,
+        sheetName,
+        generatedAt,
+        referenceDate: referenceDate || generatedAt
       });
 
-      // Apply additional styling if enabled
-      if (styling) {
-        this.applyExcelStyling(worksheet, reportType);
-      }
-
-      // Generate Excel buffer
-      const buffer = await workbook.xlsx.writeBuffer();
-      const blob = new Blob([buffer], { 
-        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
-      });
-      
       await this.downloadBlob(blob, filename);
 
       return {
@@ -157,7 +134,7 @@ class ExportService {
         filename,
         recordCount: data.length,
         format: 'Excel',
-        sheets: 1
+        sheets: 2 + (reportType && kpis.length > 0 ? 1 : 0) + charts.length + tables.length
       };
     } catch (error) {
       console.error('Excel export error:', error);
@@ -238,6 +215,137 @@ class ExportService {
     }
   }
 
+  // Export a report as built for buildPdfReport (see utils/pdfReport) to a
+  // workbook: a Summary sheet listing the sections, a sheet per KPI strip,
+  // chart and table, and the commentary on a sheet of its own. Chart sheets
+  // hold the chart's data beside its image.
+  async exportReportWorkbook(report, options = {}) {
+    try {
+      const { filename = 'report.xlsx', generatedAt = new Date() } = options;
+      const chapters = report?.chapters || [];
+      if (chapters.every(chapter => chapter.blocks.length === 0)) {
+        throw new Error('The report has no sections to export');
+      }
+
+      const workbook = new ExcelJS.Workbook();
+      const summary = workbook.addWorksheet('Summary');
+      const sections = [];
+      const commentary = [];
+
+      summary.addRow([report.title]).font = { bold: true, size: 14 };
+      if (report.subtitle) summary.addRow([report.subtitle]);
+      summary.addRow(['Period', report.context?.period || 'All dates']);
+      summary.addRow(['Generated', generatedAt]).getCell(2).numFmt = 'dd/mm/yyyy hh:mm';
+      summary.addRow([]);
+
+      chapters.forEach(chapter => {
+        chapter.blocks.forEach(block => {
+          if (block.type === 'text') {
+            commentary.push([chapter.title, block.title, block.text]);
+            sections.push([chapter.title, block.title, 'Commentary']);
+            return;
+          }
+
+          const worksheet = workbook.addWorksheet(
+            getUniqueSheetName(workbook, block.type === 'kpis' ? `${chapter.title} KPIs` : block.title)
+          );
+          if (block.type === 'kpis') this.addKPISheet(worksheet, block);
+          if (block.type === 'chart') this.addChartSheet(workbook, worksheet, block);
+          if (block.type === 'table') this.addTableSheet(worksheet, block);
+          sections.push([chapter.title, block.title, worksheet.name]);
+        });
+      });
+
+      if (commentary.length > 0) {
+        const worksheet = workbook.addWorksheet(getUniqueSheetName(workbook, 'Commentary'));
+        this.addHeaderRow(worksheet, ['Report', 'Section', 'Commentary']);
+        commentary.forEach(row => {
+          worksheet.addRow(row).getCell(3).alignment = { wrapText: true, vertical: 'top' };
+        });
+        worksheet.columns = [{ width: 28 }, { width: 28 }, { width: 90 }];
+      }
+
+      this.addHeaderRow(summary, ['Report', 'Section', 'Sheet']);
+      sections.forEach(row => summary.addRow(row));
+      summary.columns = [{ width: 28 }, { width: 40 }, { width: 32 }];
+
+      const buffer = await workbook.xlsx.writeBuffer();
+      const blob = new Blob([buffer], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      });
+
+      await this.downloadBlob(blob, filename);
+
+      return {
+        success: true,
+        filename,
+        format: 'Excel',
+        sheets: workbook.worksheets.length
+      };
+    } catch (error) {
+      console.error('Report workbook export error:', error);
+      throw new Error(`Report workbook export failed: ${error.message}`);
+    }
+  }
+
+  // Bold, shaded header row
+  addHeaderRow(worksheet, headers) {
+    const headerRow = worksheet.addRow(headers);
+    headerRow.font = { bold: true };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFE0E0E0' }
+    };
+    return headerRow;
+  }
+
+  addKPISheet(worksheet, { kpis = [], previousValues = {}, comparisonLabel }) {
+    this.addHeaderRow(worksheet, ['KPI', 'Value', comparisonLabel || 'Previous', 'Change']);
+    kpis.forEach(kpi => {
+      const previous = previousValues[kpi.key] ?? null;
+      const hasChange = kpi.value !== null && previous !== null;
+      const row = worksheet.addRow([kpi.label, kpi.value, previous, hasChange ? kpi.value - previous : null]);
+      const numFmt = getExcelNumberFormat(kpi.format);
+      if (numFmt) [2, 3, 4].forEach(col => { row.getCell(col).numFmt = numFmt; });
+    });
+    worksheet.columns = [{ width: 32 }, { width: 16 }, { width: 24 }, { width: 16 }];
+  }
+
+  addChartSheet(workbook, worksheet, { title, labels = [], values = [], format, image, width, height }) {
+    this.addHeaderRow(worksheet, ['Label', title]);
+    const numFmt = getExcelNumberFormat(format);
+    labels.forEach((label, index) => {
+      const row = worksheet.addRow([label, values[index] ?? null]);
+      if (numFmt) row.getCell(2).numFmt = numFmt;
+    });
+    worksheet.columns = [{ width: 28 }, { width: 18 }];
+
+    if (image) {
+      const imageId = workbook.addImage({ base64: image, extension: 'png' });
+      const scale = width ? Math.min(1, 720 / width) : 1;
+      worksheet.addImage(imageId, {
+        tl: { col: 3, row: 1 },
+        ext: { width: (width || 720) * scale, height: (height || 360) * scale }
+      });
+    }
+  }
+
+  addTableSheet(worksheet, { columns = [], rows = [] }) {
+    this.addHeaderRow(worksheet, columns.map(column => column.header));
+    rows.forEach(row => {
+      worksheet.addRow(columns.map(column => this.formatCellValue(row[column.key], column.key)));
+    });
+
+    columns.forEach((column, index) => {
+      const sheetColumn = worksheet.getColumn(index + 1);
+      const numFmt = getExcelNumberFormat(column.type);
+      if (numFmt) sheetColumn.numFmt = numFmt;
+      sheetColumn.width = Math.max(String(column.header).length + 2, 12);
+    });
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  }
+
   // Apply Excel styling
   applyExcelStyling(worksheet, reportType = null) {
     try {
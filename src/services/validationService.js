@@ -184,10 +184,13 @@ class ValidationService {
           resolved_date: 'date',
           days_to_resolve: 'integer',
           category: 'string',
-          decision: 'string'
+          decision: 'string',
+          product: 'string',
+          redress_paid: 'number'
         },
         constraints: {
           count: { min: 1, max: 100 },
+          redress_paid: { min: 0 },
           days_to_resolve: { min: 0, max: 365 },
           category: { enum: COMPLAINT_CATEGORIES },
           decision: { enum: COMPLAINT_DECISIONS }
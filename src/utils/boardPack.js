@@ -0,0 +1,159 @@
+// src/utils/boardPack.js
+import { Chart } from 'chart.js';
+import { REPORT_CONFIG } from '../config/reportConfig';
+
+// What each report dashboard last showed, for board packs and Excel exports: its KPI
+// tiles and filter context (see useBoardPackCapture), its tables (see
+// DataTable) and images of its charts. Charts are read from their live
+// canvases while the dashboard is open and kept as images when it closes, so
+// a pack can include every dashboard viewed this session.
+
+// Sections a pack can include from each dashboard
+export const PACK_SECTIONS = {
+  kpis: { label: 'KPI tiles' },
+  charts: { label: 'Charts' },
+  tables: { label: 'Tables' }
+};
+
+// Formats a pack can be built in, keyed as APP_CONFIG.exports.supportedFormats,
+// with the sections each has room for
+export const PACK_FORMATS = {
+  pdf: {
+    label: 'PDF',
+    description: 'A4 PDF with a cover, contents and a chapter per dashboard',
+    sections: ['kpis', 'charts', 'tables']
+  },
+  pptx: {
+    label: 'PowerPoint',
+    description: 'Slides with the period and filters, a KPI summary per dashboard and a slide per chart',
+    sections: ['kpis', 'charts']
+  }
+};
+
+const captures = new Map();
+
+const getCapture = (reportType) => {
+  if (!captures.has(reportType)) {
+    captures.set(reportType, { summary: null, tables: new Map(), charts: new Map() });
+  }
+  return captures.get(reportType);
+};
+
+// Dashboards mark their root element with data-report-type
+const getChartReportType = (chart) =>
+  chart.canvas?.closest('[data-report-type]')?.dataset.reportType || null;
+
+const getChartTitle = (chart) => {
+  const title = chart.options.plugins?.title?.text;
+  return (Array.isArray(title) ? title.join(' ') : title) || chart.data.datasets?.[0]?.label || 'Chart';
+};
+
+// titleShown: the image already has the title drawn in it
+// The chart's image, plus its type and data for the Excel export to redraw it
+const toChartImage = (chart) => ({
+  title: getChartTitle(chart),
+  titleShown: Boolean(chart.options.plugins?.title?.display),
+  image: chart.toBase64Image('image/png', 1),
+  width: chart.width,
+  height: chart.height,
+  chartType: chart.config.type,
+  horizontal: chart.options.indexAxis === 'y',
+  labels: (chart.data.labels || []).map(label => (Array.isArray(label) ? label.join(' ') : label)),
+  series: chart.data.datasets.map(dataset => ({
+    name: dataset.label,
+    values: dataset.data.map(point => (point && typeof point === 'object' ? point.y : point))
+  }))
+});
+
+// Chart.js plugin registered by the chart components. A dashboard's kept
+// images are dropped once its charts are live again, and retaken as they close.
+export const chartCapturePlugin = {
+  id: 'boardPackCapture',
+  afterInit(chart) {
+    const reportType = getChartReportType(chart);
+    if (reportType) getCapture(reportType).charts.clear();
+  },
+  beforeDestroy(chart) {
+    const reportType = getChartReportType(chart);
+    if (!reportType || !chart.width || !chart.height) return;
+    const image = toChartImage(chart);
+    getCapture(reportType).charts.set(image.title, image);
+  }
+};
+
+// { kpis, previousValues, comparisonLabel, records, referenceDate, context },
+// or null to clear it
+export const captureDashboardSummary = (reportType, summary) => {
+  getCapture(reportType).summary = summary;
+};
+
+// { title, columns, rows }, with DataTable columns ({ key, header, type, align })
+export const captureDashboardTable = (reportType, table) => {
+  getCapture(reportType).tables.set(table.title, table);
+};
+
+// Charts of a dashboard in page order: live ones when it is open, otherwise
+// the images kept when it closed
+export const getDashboardCharts = (reportType) => {
+  const live = Object.values(Chart.instances)
+    .filter(chart => getChartReportType(chart) === reportType && chart.width && chart.height)
+    .sort((a, b) => (a.canvas.compareDocumentPosition(b.canvas) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+  return live.length > 0
+    ? live.map(toChartImage)
+    : Array.from(captures.get(reportType)?.charts.values() || []);
+};
+
+// Everything captured for a dashboard: { summary, tables, charts }
+export const getDashboardCapture = (reportType) => {
+  const capture = captures.get(reportType);
+  return {
+    summary: capture?.summary || null,
+    tables: Array.from(capture?.tables.values() || []),
+    charts: getDashboardCharts(reportType)
+  };
+};
+
+// Sections of a dashboard's capture that hold something, as PACK_SECTIONS keys
+export const getAvailableSections = ({ summary, charts, tables }) => [
+  ...(summary ? ['kpis'] : []),
+  ...(charts.length > 0 ? ['charts'] : []),
+  ...(tables.length > 0 ? ['tables'] : [])
+];
+
+// A board pack for buildPdfReport or buildPptxDeck. selection maps report types, in pack order,
+// to the sections to include; context is the period and filters of the cover
+// and contents pages.
+export const createBoardPack = ({ title, subtitle, context, selection }) => ({
+  title,
+  subtitle,
+  context,
+  chapters: Object.entries(selection)
+    .filter(([, sections]) => sections.length > 0)
+    .map(([reportType, sections]) => {
+      const { summary, charts, tables } = getDashboardCapture(reportType);
+      const blocks = [];
+
+      if (sections.includes('kpis') && summary) {
+        blocks.push({
+          type: 'kpis',
+          title: 'Key Performance Indicators',
+          kpis: summary.kpis,
+          previousValues: summary.previousValues || {},
+          comparisonLabel: summary.comparisonLabel
+        });
+      }
+      if (sections.includes('charts')) {
+        blocks.push(...charts.map(chart => ({ type: 'chart', ...chart })));
+      }
+      if (sections.includes('tables')) {
+        blocks.push(...tables.map(table => ({ type: 'table', ...table })));
+      }
+
+      return {
+        title: REPORT_CONFIG[reportType]?.title || reportType,
+        context: summary?.context || context,
+        blocks
+      };
+    })
+});
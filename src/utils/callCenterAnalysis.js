@@ -0,0 +1,185 @@
+// src/utils/callCenterAnalysis.js
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { REPORT_TYPES } from './constants';
+import { getFieldValue, getNumericValue, getDateValue, isEmptyValue } from './fieldUtils';
+
+// Call center data arrives as four sub-reports, each in its own store:
+//   report1 Call Details       - one row per call (agent, disposition, talk time)
+//   report2 Agent Performance  - period totals per agent line
+//   report3 Call Statistics    - one row per call (direction, duration)
+//   report4 First Call Resolution - daily FCR counts
+// Calls are joined to their statistics on call_id, and FCR counts to the
+// calls made that day.
+
+const CALL_CENTER_CONFIG = REPORT_CONFIG[REPORT_TYPES.CALL_CENTER];
+
+export const CALL_CENTER_SUB_REPORTS = Object.entries(CALL_CENTER_CONFIG.fileStructures)
+  .map(([key, structure]) => ({ key, name: structure.name, store: structure.store }));
+
+const CALL_DATE_FIELD = CALL_CENTER_CONFIG.fileStructures.report1.dateField;
+const STATS_DATE_FIELD = CALL_CENTER_CONFIG.fileStructures.report3.dateField;
+const FCR_DATE_FIELD = CALL_CENTER_CONFIG.fileStructures.report4.dateField;
+
+const getDayKey = (date) => [
+  date.getFullYear(),
+  (date.getMonth() + 1).toString().padStart(2, '0'),
+  date.getDate().toString().padStart(2, '0')
+].join('-');
+
+const getCallId = (record) => {
+  const callId = getFieldValue(record, 'call_id');
+  return isEmptyValue(callId) ? null : String(callId).trim();
+};
+
+// 'Inbound' / 'Outbound', or 'Unknown' when a call has no statistics row
+const getDirection = (stats) => {
+  const direction = String(getFieldValue(stats, 'initial_direction') || '').trim().toLowerCase();
+  if (direction.startsWith('in')) return 'Inbound';
+  if (direction.startsWith('out')) return 'Outbound';
+  return 'Unknown';
+};
+
+// Latest upload of each key wins, so re-uploading a report replaces it
+const latestBy = (records, getKey) => records.reduce((acc, record) => {
+  const key = getKey(record);
+  if (key === null) return acc;
+
+  const existing = acc.get(key);
+  const uploadedAt = getDateValue(record, '_processed_date');
+  const existingAt = existing ? getDateValue(existing, '_processed_date') : null;
+  if (!existing || (uploadedAt && (!existingAt || uploadedAt >= existingAt))) {
+    acc.set(key, record);
+  }
+  return acc;
+}, new Map());
+
+// Call details joined to call statistics. Statistics rows without a matching
+// call detail still count as calls, so either report alone is usable.
+const joinCalls = (details, stats) => {
+  const statsById = latestBy(stats, getCallId);
+  const calls = Array.from(latestBy(details, getCallId).values()).map(record => {
+    const callStats = statsById.get(getCallId(record));
+    statsById.delete(getCallId(record));
+
+    return {
+      ...record,
+      call_id: getCallId(record),
+      date_time: getDateValue(record, CALL_DATE_FIELD),
+      hasDetails: true,
+      direction: getDirection(callStats),
+      duration: callStats ? getNumericValue(callStats, 'duration') : null
+    };
+  });
+
+  statsById.forEach((record, callId) => {
+    calls.push({
+      ...record,
+      call_id: callId,
+      date_time: getDateValue(record, STATS_DATE_FIELD),
+      hasDetails: false,
+      direction: getDirection(record),
+      duration: getNumericValue(record, 'duration')
+    });
+  });
+
+  return calls;
+};
+
+// Agent totals from the Agent Performance report, one row per agent line
+const buildAgentTotals = (agents) => Array.from(
+  latestBy(agents, record => {
+    const agent = getFieldValue(record, 'phone_numbers');
+    return isEmptyValue(agent) ? null : String(agent).trim();
+  }).entries()
+).map(([agent, record]) => {
+  const totalCalls = getNumericValue(record, 'total_calls') || 0;
+  const totalDuration = getNumericValue(record, 'total_call_duration') || 0;
+
+  return {
+    agent,
+    total_calls: totalCalls,
+    inbound_calls: getNumericValue(record, 'inbound_calls') || 0,
+    outbound_calls: getNumericValue(record, 'outbound_calls') || 0,
+    missed_calls: getNumericValue(record, 'missed_calls') || 0,
+    total_call_duration: totalDuration,
+    avg_call_duration: totalCalls > 0 ? totalDuration / totalCalls : null
+  };
+}).sort((a, b) => b.total_calls - a.total_calls);
+
+// Daily call volumes from the joined calls with that day's FCR count
+const buildDailySeries = (calls, fcrByDay) => {
+  const days = new Map();
+  const getDay = (key) => {
+    if (!days.has(key)) {
+      days.set(key, { date: key, calls: 0, detailed: 0, answered: 0, inbound: 0, outbound: 0, fcr: null });
+    }
+    return days.get(key);
+  };
+
+  calls.forEach(call => {
+    if (!call.date_time) return;
+    const day = getDay(getDayKey(call.date_time));
+    day.calls += 1;
+    if (call.hasDetails) day.detailed += 1;
+    if (!isEmptyValue(getFieldValue(call, 'answered_date_time'))) day.answered += 1;
+    if (call.direction === 'Inbound') day.inbound += 1;
+    if (call.direction === 'Outbound') day.outbound += 1;
+  });
+
+  fcrByDay.forEach((fcr, key) => {
+    getDay(key).fcr = fcr;
+  });
+
+  return Array.from(days.values())
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => ({
+      ...day,
+      answerRate: day.detailed > 0 ? (day.answered / day.detailed) * 100 : null,
+      fcrRate: day.fcr !== null && day.calls > 0 ? (day.fcr / day.calls) * 100 : null
+    }));
+};
+
+// Sources narrowed to the call details matching predicate and the statistics
+// rows of those calls. Agent Performance and FCR are summaries and stay whole.
+export const narrowCallDetails = (sources = {}, predicate) => {
+  const details = (sources.report1 || []).filter(predicate);
+  const callIds = new Set(details.map(getCallId));
+  return {
+    ...sources,
+    report1: details,
+    report3: (sources.report3 || []).filter(record => callIds.has(getCallId(record)))
+  };
+};
+
+// Join the four call center sub-reports, keyed by file structure
+// ({ report1, report2, report3, report4 }). kpiRecords holds the joined calls
+// plus one dated record per FCR count, for the shared KPI registry.
+export const joinCallCenterReports = (sources = {}) => {
+  const calls = joinCalls(sources.report1 || [], sources.report3 || []);
+
+  const fcrByDay = new Map();
+  latestBy(sources.report4 || [], record => {
+    const date = getDateValue(record, FCR_DATE_FIELD);
+    return date ? getDayKey(date) : null;
+  }).forEach((record, key) => {
+    fcrByDay.set(key, getNumericValue(record, 'fcr') || 0);
+  });
+
+  const fcrRecords = Array.from(fcrByDay.entries()).map(([key, fcr]) => {
+    const [year, month, day] = key.split('-').map(Number);
+    return { date_time: new Date(year, month - 1, day), fcr };
+  });
+
+  const directionSplit = calls.reduce((acc, call) => {
+    acc[call.direction] = (acc[call.direction] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    calls,
+    agents: buildAgentTotals(sources.report2 || []),
+    daily: buildDailySeries(calls, fcrByDay),
+    directionSplit,
+    kpiRecords: [...calls, ...fcrRecords]
+  };
+};
@@ -1 +1,114 @@
- 
+// src/utils/chartHelpers.js
+import {
+  Chart,
+  LineController,
+  BarController,
+  DoughnutController,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  ArcElement,
+  Title,
+  Legend,
+  Filler
+} from 'chart.js';
+import { CHART_COLORS, CHART_PALETTE } from '../config/chartConfig';
+import { formatCurrency, formatNumber, formatPercentage } from './formatters';
+
+Chart.register(
+  LineController,
+  BarController,
+  DoughnutController,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  ArcElement,
+  Title,
+  Legend,
+  Filler
+);
+
+// Size charts are drawn at off screen, in CSS pixels
+const IMAGE_SIZE = { width: 900, height: 450 };
+
+export const formatChartValue = (value, format = 'number') => {
+  switch (format) {
+    case 'currency':
+      return formatCurrency(value);
+    case 'percentage':
+      return formatPercentage(value);
+    default:
+      return formatNumber(value);
+  }
+};
+
+// Paint the canvas white first, so images don't come out transparent
+const whiteBackground = {
+  id: 'whiteBackground',
+  beforeDraw(chart) {
+    const { ctx, width, height } = chart;
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+};
+
+// Draw a chart on a canvas that is never shown and return it as a PNG:
+// { title, titleShown, image, width, height }. type is 'line', 'bar' or
+// 'doughnut'; values are one series over labels.
+export const renderChartImage = ({ type, title, labels, values, seriesLabel = title, format = 'number' }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = IMAGE_SIZE.width;
+  canvas.height = IMAGE_SIZE.height;
+
+  const isDoughnut = type === 'doughnut';
+  const chart = new Chart(canvas.getContext('2d'), {
+    type,
+    data: {
+      labels,
+      datasets: [{
+        label: seriesLabel,
+        data: values,
+        borderColor: isDoughnut ? '#ffffff' : CHART_COLORS.primary,
+        backgroundColor: isDoughnut || type === 'bar'
+          ? labels.map((_, index) => CHART_PALETTE[index % CHART_PALETTE.length])
+          : `${CHART_COLORS.primary}20`,
+        fill: type === 'line',
+        tension: 0.3
+      }]
+    },
+    options: {
+      // Drawn at once at twice the canvas size, for print
+      responsive: false,
+      animation: false,
+      devicePixelRatio: 2,
+      plugins: {
+        title: { display: true, text: title, font: { size: 18, weight: 'bold' }, color: CHART_COLORS.dark },
+        legend: { display: isDoughnut, position: 'right' }
+      },
+      scales: isDoughnut ? {} : {
+        y: {
+          beginAtZero: true,
+          ticks: { callback: (value) => formatChartValue(value, format) }
+        }
+      }
+    },
+    plugins: [whiteBackground]
+  });
+
+  const image = {
+    title,
+    titleShown: true,
+    image: chart.toBase64Image('image/png', 1),
+    width: IMAGE_SIZE.width,
+    height: IMAGE_SIZE.height
+  };
+  chart.destroy();
+  return image;
+};
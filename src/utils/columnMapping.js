@@ -0,0 +1,210 @@
+// src/utils/columnMapping.js
+import { COLUMN_MAPPINGS, DB_CONFIG } from './constants';
+import { getData, saveData, deleteData } from './indexedDBHelper';
+
+// Maps a file's headers onto REPORT_CONFIG fields when they don't match the
+// COLUMN_MAPPINGS aliases. A mapping is { fileStructure, fields: { field: header } };
+// applying it renames each mapped column to its field name. Mappings can be
+// saved as named profiles per source system and are found again by the
+// file's header signature.
+
+export const MAPPING_PROFILE_TYPE = 'column-mapping-profile';
+
+// Fuzzy matches scoring below this are not suggested
+const MIN_SUGGESTION_SCORE = 0.6;
+
+const normaliseHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const getBigrams = (value) => {
+  const bigrams = [];
+  for (let i = 0; i < value.length - 1; i++) {
+    bigrams.push(value.slice(i, i + 2));
+  }
+  return bigrams;
+};
+
+// Sørensen–Dice similarity of two normalised strings, 0 to 1
+const getSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const bigramsA = getBigrams(a);
+  const bigramsB = getBigrams(b);
+  if (bigramsA.length === 0 || bigramsB.length === 0) return 0;
+
+  const remaining = [...bigramsB];
+  const shared = bigramsA.filter(bigram => {
+    const index = remaining.indexOf(bigram);
+    if (index === -1) return false;
+    remaining.splice(index, 1);
+    return true;
+  }).length;
+
+  return (2 * shared) / (bigramsA.length + bigramsB.length);
+};
+
+// Alias header for a field, matched the same way the validator does
+const findAliasHeader = (field, headers) => {
+  const variants = (COLUMN_MAPPINGS[field] || [field]).map(variant => variant.toLowerCase().trim());
+  return headers.find(header => variants.includes(String(header).toLowerCase().trim())) || null;
+};
+
+// Abbreviations such as CustID for CustomerID: the header's characters appear
+// in order in the candidate, starting with the same letter
+const getAbbreviationScore = (header, candidate) => {
+  if (header.length < 3 || header.length >= candidate.length || header[0] !== candidate[0]) return 0;
+
+  let position = 0;
+  for (const char of candidate) {
+    if (char === header[position]) position += 1;
+    if (position === header.length) break;
+  }
+  const ratio = header.length / candidate.length;
+  return position === header.length && ratio >= 0.4 ? 0.6 + 0.3 * ratio : 0;
+};
+
+// How closely a header resembles a field's name, label or aliases
+export const scoreHeaderMatch = (field, fieldConfig = {}, header) => {
+  const normalised = normaliseHeader(header);
+  const candidates = [field, fieldConfig.label, ...(COLUMN_MAPPINGS[field] || [])]
+    .filter(Boolean)
+    .map(normaliseHeader);
+
+  return Math.max(0, ...candidates.map(candidate =>
+    Math.max(getSimilarity(normalised, candidate), getAbbreviationScore(normalised, candidate))
+  ));
+};
+
+// Order-independent signature of a header row, used to recognise files from
+// the same source system
+export const getHeaderSignature = (headers = []) => Array.from(
+  new Set(headers.map(header => String(header).toLowerCase().trim()).filter(Boolean))
+).sort().join('|');
+
+// Suggested header for each field: the alias match where there is one, then
+// the best remaining fuzzy match. Each header is suggested for one field at most.
+// Returns { field: { header, score, source } } with source 'alias' or 'fuzzy'.
+export const suggestColumnMapping = (fields = {}, headers = []) => {
+  const suggestions = {};
+  const used = new Set();
+
+  Object.keys(fields).forEach(field => {
+    const header = findAliasHeader(field, headers);
+    if (header && !used.has(header)) {
+      suggestions[field] = { header, score: 1, source: 'alias' };
+      used.add(header);
+    }
+  });
+
+  const candidates = [];
+  Object.entries(fields).forEach(([field, fieldConfig]) => {
+    if (suggestions[field]) return;
+    headers.forEach(header => {
+      if (used.has(header)) return;
+      const score = scoreHeaderMatch(field, fieldConfig, header);
+      if (score >= MIN_SUGGESTION_SCORE) candidates.push({ field, header, score });
+    });
+  });
+
+  // Best matches claim their header first
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ field, header, score }) => {
+      if (suggestions[field] || used.has(header)) return;
+      suggestions[field] = { header, score, source: 'fuzzy' };
+      used.add(header);
+    });
+
+  return suggestions;
+};
+
+// Rename each mapped column to its field name. Other columns that are aliases
+// of a mapped field are dropped so the chosen column is the only match.
+export const applyColumnMapping = (rows = [], mapping) => {
+  const fieldHeaders = Object.entries(mapping?.fields || {}).filter(([, header]) => header);
+  if (fieldHeaders.length === 0) return rows;
+
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const mappedHeaders = new Set(fieldHeaders.map(([, header]) => header));
+  const dropped = new Set();
+  fieldHeaders.forEach(([field]) => {
+    const variants = (COLUMN_MAPPINGS[field] || []).map(variant => variant.toLowerCase().trim());
+    headers
+      .filter(header => !mappedHeaders.has(header) && variants.includes(header.toLowerCase().trim()))
+      .forEach(header => dropped.add(header));
+  });
+
+  return rows.map(row => {
+    const mapped = {};
+    Object.entries(row).forEach(([header, value]) => {
+      if (!mappedHeaders.has(header) && !dropped.has(header)) mapped[header] = value;
+    });
+    fieldHeaders.forEach(([field, header]) => {
+      mapped[field] = row[header];
+    });
+    return mapped;
+  });
+};
+
+// Saved mapping profiles, most recently updated first
+export const getMappingProfiles = async (reportType = null) => {
+  const profiles = await getData(DB_CONFIG.STORES.METADATA, { type: MAPPING_PROFILE_TYPE });
+  return profiles
+    .filter(record => !reportType || record.reportType === reportType)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Profile saved for a report's files with exactly these headers, if any
+export const findMappingProfile = async (reportType, headers) => {
+  const signature = getHeaderSignature(headers);
+  const profiles = await getMappingProfiles(reportType);
+  return profiles.find(profile => profile.signature === signature) || null;
+};
+
+// Save a mapping as a named profile. A profile for the same source system
+// and header signature is replaced.
+export const saveMappingProfile = async ({
+  name,
+  sourceSystem = '',
+  reportType,
+  headers,
+  mapping
+}) => {
+  if (!name?.trim()) {
+    throw new Error('Profile name is required');
+  }
+
+  const signature = getHeaderSignature(headers);
+  const profiles = await getMappingProfiles(reportType);
+  const existing = profiles.find(profile =>
+    profile.signature === signature &&
+    profile.sourceSystem.toLowerCase() === sourceSystem.trim().toLowerCase()
+  );
+  const now = new Date().toISOString();
+
+  const profile = {
+    _id: existing?._id || `mapping_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    type: MAPPING_PROFILE_TYPE,
+    name: name.trim(),
+    sourceSystem: sourceSystem.trim(),
+    reportType,
+    signature,
+    headers,
+    fileStructure: mapping.fileStructure || null,
+    fields: mapping.fields,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  await saveData(DB_CONFIG.STORES.METADATA, [profile]);
+  return profile;
+};
+
+export const deleteMappingProfile = (profileId) =>
+  deleteData(DB_CONFIG.STORES.METADATA, { _id: profileId });
+
+// The mapping a saved profile applies
+export const getProfileMapping = (profile) => ({
+  fileStructure: profile.fileStructure || null,
+  fields: profile.fields || {}
+});
@@ -0,0 +1,342 @@
+// src/utils/complaintsReturn.js
+import { REPORT_TYPES } from './constants';
+import {
+  BANK_HOLIDAYS,
+  CLOSURE_BANDS,
+  RETURN_CAUSES,
+  RETURN_HALF_YEARS,
+  RETURN_PRODUCTS,
+  UPHELD_DECISIONS
+} from '../config/complaintsReturnConfig';
+import dataManager from './dataManager';
+import { getDayValue, getFieldValue, getNumericValue, isEmptyValue, matchesCondition } from './fieldUtils';
+import { formatFiscalYear, getFiscalCalendar } from './fiscalCalendar';
+import { formatDateWindow } from './dateUtils';
+
+// The FCA complaints return (DISP 1 Annex 1) for a half-year: complaints
+// opened by product grouping and cause, complaints closed by how long they
+// took, the share upheld and the redress paid. Each record counts as its
+// complaint count (1 when blank). Complaints opened or closed in the period,
+// or still open at its end, are listed with how they were classified so the
+// figures can be reviewed before the return is submitted.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const BAND_LABELS = {
+  within_3_days: `Within ${CLOSURE_BANDS.businessDays} business days`,
+  within_8_weeks: `After ${CLOSURE_BANDS.businessDays} business days, within ${CLOSURE_BANDS.weeks} weeks`,
+  after_8_weeks: `After ${CLOSURE_BANDS.weeks} weeks`
+};
+
+const BANDS = Object.keys(BAND_LABELS);
+
+// Half-years
+
+const addMonths = (date, months) => new Date(date.getFullYear(), date.getMonth() + months, 1);
+
+const formatMonthYear = (date) => date.toLocaleDateString('en-GB', { month: 'short', year: 'numeric' });
+
+// Half-years of the fiscal year, by calendar month from its start month, most
+// recent first: { key: 'FY2025-H1', label, start, end, isComplete } with
+// [start, end) dates
+export const getReturnHalfYears = (today = new Date(), calendar = getFiscalCalendar(), count = RETURN_HALF_YEARS) => {
+  let start = new Date(today.getFullYear() + 1, calendar.startMonth - 1, 1);
+  while (start > today) start = addMonths(start, -6);
+
+  return Array.from({ length: count }, (_, index) => {
+    const halfStart = addMonths(start, -6 * index);
+    const end = addMonths(halfStart, 6);
+    const fiscalYear = halfStart.getMonth() >= calendar.startMonth - 1 ? halfStart.getFullYear() : halfStart.getFullYear() - 1;
+    const half = halfStart.getMonth() === calendar.startMonth - 1 ? 1 : 2;
+    const lastMonth = addMonths(end, -1);
+
+    return {
+      key: `FY${fiscalYear}-H${half}`,
+      label: `H${half} ${formatFiscalYear(fiscalYear, calendar)} (${formatMonthYear(halfStart)} – ${formatMonthYear(lastMonth)})`,
+      start: halfStart,
+      end,
+      isComplete: end <= today
+    };
+  });
+};
+
+// The half-year usually reported: the last one that has ended
+export const getLastCompleteHalfYear = (halfYears) =>
+  halfYears.find(halfYear => halfYear.isComplete) || halfYears[0];
+
+// Closure
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const HOLIDAYS = new Set(BANK_HOLIDAYS);
+
+const isBusinessDay = (date) => date.getDay() !== 0 && date.getDay() !== 6 && !HOLIDAYS.has(toDayKey(date));
+
+// Business days after the day received, up to and including the day resolved
+const countBusinessDays = (received, resolved) => {
+  let days = 0;
+  for (let date = new Date(received.getFullYear(), received.getMonth(), received.getDate() + 1);
+    date <= resolved;
+    date.setDate(date.getDate() + 1)) {
+    if (isBusinessDay(date)) days++;
+  }
+  return days;
+};
+
+const getClosureBand = (received, resolved) => {
+  if (countBusinessDays(received, resolved) <= CLOSURE_BANDS.businessDays) return 'within_3_days';
+  const days = Math.round((resolved - received) / MS_PER_DAY);
+  return days <= CLOSURE_BANDS.weeks * 7 ? 'within_8_weeks' : 'after_8_weeks';
+};
+
+// Classification
+
+const findMatch = (entries, record) =>
+  entries.find(entry => !entry.condition || matchesCondition(record, entry.condition)) || entries[entries.length - 1];
+
+const isWithin = (date, { start, end }) => Boolean(date) && date >= start && date < end;
+
+// A complaint as the return sees it, with the reasons it may need a second look
+const classifyComplaint = (record, period) => {
+  const received = getDayValue(record, 'received_date');
+  const resolved = getDayValue(record, 'resolved_date');
+  const decision = getFieldValue(record, 'decision');
+  const count = getNumericValue(record, 'count') ?? 1;
+  const redress = getNumericValue(record, 'redress_paid');
+
+  const isOpened = isWithin(received, period);
+  const isClosed = Boolean(received) && isWithin(resolved, period) && resolved >= received;
+  const isOutstanding = Boolean(received) && received < period.end && !(resolved && resolved < period.end);
+  const isUpheld = isClosed && matchesCondition(record, { field: 'decision', op: 'in', value: UPHELD_DECISIONS });
+
+  const issues = [];
+  if (!received) issues.push('missing_received');
+  if (received && resolved && resolved < received) issues.push('resolved_before_received');
+  if (isEmptyValue(getFieldValue(record, 'product'))) issues.push('missing_product');
+  if (isClosed && (isEmptyValue(decision) || matchesCondition(record, { field: 'decision', op: 'eq', value: 'Pending' }))) {
+    issues.push('closed_without_decision');
+  }
+  if (isUpheld && redress === null) issues.push('upheld_without_redress');
+
+  return {
+    record,
+    count,
+    received,
+    resolved,
+    decision: decision || '',
+    product: findMatch(RETURN_PRODUCTS, record),
+    cause: findMatch(RETURN_CAUSES, record),
+    isOpened,
+    isClosed,
+    isOutstanding,
+    isUpheld,
+    band: isClosed ? getClosureBand(received, resolved) : null,
+    redress: isClosed ? redress || 0 : 0,
+    issues
+  };
+};
+
+// Data checks shown beside the return, with how each affects the figures
+export const RETURN_CHECKS = {
+  missing_received: { label: 'No received date', effect: 'Left out of the return' },
+  resolved_before_received: { label: 'Resolved before received', effect: 'Not counted as closed' },
+  missing_product: {
+    label: 'No product recorded',
+    effect: `Reported under ${RETURN_PRODUCTS[RETURN_PRODUCTS.length - 1].label}`
+  },
+  closed_without_decision: { label: 'Closed with no decision', effect: 'Counted as not upheld' },
+  upheld_without_redress: { label: 'Upheld with no redress recorded', effect: 'Counted as £0 redress' }
+};
+
+// Aggregation
+
+const percentage = (part, whole) => (whole > 0 ? (part / whole) * 100 : null);
+
+const sumCounts = (complaints, test = () => true) =>
+  complaints.reduce((total, complaint) => total + (test(complaint) ? complaint.count : 0), 0);
+
+const summariseClosed = (complaints) => {
+  const closed = complaints.filter(complaint => complaint.isClosed);
+  const summary = {
+    opened: sumCounts(complaints, complaint => complaint.isOpened),
+    closed: sumCounts(closed),
+    upheld: sumCounts(closed, complaint => complaint.isUpheld),
+    outstanding: sumCounts(complaints, complaint => complaint.isOutstanding),
+    redress_paid: closed.reduce((total, complaint) => total + complaint.redress, 0)
+  };
+  summary.upheld_pct = percentage(summary.upheld, summary.closed);
+
+  BANDS.forEach(band => {
+    const inBand = closed.filter(complaint => complaint.band === band);
+    summary[band] = sumCounts(inBand);
+    summary[`${band}_upheld_pct`] = percentage(sumCounts(inBand, complaint => complaint.isUpheld), summary[band]);
+  });
+  return summary;
+};
+
+// { period, opened, closed, causes, complaints, checks } for a half-year
+export const buildComplaintsReturn = (records, period) => {
+  const classified = records.map(record => classifyComplaint(record, period));
+  const reported = classified.filter(complaint => complaint.received);
+  const complaints = classified.filter(complaint =>
+    complaint.isOpened || complaint.isClosed || complaint.isOutstanding || !complaint.received);
+
+  const byProduct = RETURN_PRODUCTS.map(product => ({
+    product,
+    complaints: reported.filter(complaint => complaint.product === product)
+  }));
+
+  const opened = [
+    ...byProduct.map(({ product, complaints: productComplaints }) => ({
+      product: product.label,
+      ...Object.fromEntries(RETURN_CAUSES.map(cause => [
+        cause.key,
+        sumCounts(productComplaints, complaint => complaint.isOpened && complaint.cause === cause)
+      ])),
+      total: sumCounts(productComplaints, complaint => complaint.isOpened)
+    })),
+    {
+      product: 'Total',
+      ...Object.fromEntries(RETURN_CAUSES.map(cause => [
+        cause.key,
+        sumCounts(reported, complaint => complaint.isOpened && complaint.cause === cause)
+      ])),
+      total: sumCounts(reported, complaint => complaint.isOpened)
+    }
+  ];
+
+  const closed = [
+    ...byProduct.map(({ product, complaints: productComplaints }) => ({
+      product: product.label,
+      ...summariseClosed(productComplaints)
+    })),
+    { product: 'Total', ...summariseClosed(reported) }
+  ];
+
+  const causes = [
+    ...RETURN_CAUSES.map(cause => ({
+      cause: cause.label,
+      ...summariseClosed(reported.filter(complaint => complaint.cause === cause))
+    })),
+    { cause: 'Total', ...summariseClosed(reported) }
+  ];
+
+  const checks = Object.entries(RETURN_CHECKS)
+    .map(([key, check]) => ({
+      ...check,
+      records: complaints.filter(complaint => complaint.issues.includes(key)).length
+    }))
+    .filter(check => check.records > 0);
+
+  return {
+    period,
+    opened,
+    closed,
+    causes,
+    checks,
+    complaints: complaints.map(complaint => ({
+      customer_id: getFieldValue(complaint.record, 'customer_id') ?? '',
+      received_date: complaint.received ? toDayKey(complaint.received) : null,
+      resolved_date: complaint.resolved ? toDayKey(complaint.resolved) : null,
+      category: getFieldValue(complaint.record, 'category') ?? '',
+      decision: complaint.decision,
+      product: complaint.product.label,
+      cause: complaint.cause.label,
+      count: complaint.count,
+      in_return: [
+        complaint.isOpened && 'Opened',
+        complaint.isClosed && 'Closed',
+        complaint.isOutstanding && 'Open at period end'
+      ].filter(Boolean).join(', '),
+      band: complaint.band ? BAND_LABELS[complaint.band] : '',
+      upheld: complaint.isClosed ? (complaint.isUpheld ? 'Yes' : 'No') : '',
+      redress_paid: complaint.isClosed ? complaint.redress : null,
+      checks: complaint.issues.map(issue => RETURN_CHECKS[issue].label).join('; ')
+    }))
+  };
+};
+
+export const loadComplaintsReturn = async (period) =>
+  buildComplaintsReturn(await dataManager.getReportData(REPORT_TYPES.COMPLAINTS), period);
+
+// Table columns, as DataTable and the workbook export take them
+
+export const OPENED_COLUMNS = [
+  { key: 'product', header: 'Product grouping', type: 'text' },
+  ...RETURN_CAUSES.map(cause => ({ key: cause.key, header: cause.label, type: 'number' })),
+  { key: 'total', header: 'Total opened', type: 'number' }
+];
+
+const BAND_COLUMNS = BANDS.map(band => ({ key: band, header: BAND_LABELS[band], type: 'number' }));
+
+const BAND_UPHELD_COLUMNS = BANDS.map(band => ({
+  key: `${band}_upheld_pct`,
+  header: `Upheld % (${BAND_LABELS[band].toLowerCase()})`,
+  type: 'percentage'
+}));
+
+export const CLOSED_COLUMNS = [
+  { key: 'product', header: 'Product grouping', type: 'text' },
+  { key: 'opened', header: 'Opened', type: 'number' },
+  { key: 'closed', header: 'Closed', type: 'number' },
+  ...BAND_COLUMNS,
+  ...BAND_UPHELD_COLUMNS,
+  { key: 'upheld_pct', header: 'Upheld %', type: 'percentage' },
+  { key: 'redress_paid', header: 'Redress paid', type: 'currency' },
+  { key: 'outstanding', header: 'Open at period end', type: 'number' }
+];
+
+export const CAUSE_COLUMNS = [
+  { key: 'cause', header: 'Cause', type: 'text' },
+  { key: 'opened', header: 'Opened', type: 'number' },
+  { key: 'closed', header: 'Closed', type: 'number' },
+  { key: 'upheld', header: 'Upheld', type: 'number' },
+  { key: 'upheld_pct', header: 'Upheld %', type: 'percentage' },
+  { key: 'redress_paid', header: 'Redress paid', type: 'currency' }
+];
+
+export const COMPLAINT_COLUMNS = [
+  { key: 'customer_id', header: 'Customer ID', type: 'text' },
+  { key: 'received_date', header: 'Received', type: 'date' },
+  { key: 'resolved_date', header: 'Resolved', type: 'date' },
+  { key: 'category', header: 'Category', type: 'text' },
+  { key: 'decision', header: 'Decision', type: 'text' },
+  { key: 'product', header: 'Product grouping', type: 'text' },
+  { key: 'cause', header: 'Cause', type: 'text' },
+  { key: 'count', header: 'Complaints', type: 'number' },
+  { key: 'in_return', header: 'In return as', type: 'text' },
+  { key: 'band', header: 'Closed within', type: 'text' },
+  { key: 'upheld', header: 'Upheld', type: 'text' },
+  { key: 'redress_paid', header: 'Redress paid', type: 'currency' },
+  { key: 'checks', header: 'Checks', type: 'text' }
+];
+
+export const CHECK_COLUMNS = [
+  { key: 'label', header: 'Check', type: 'text' },
+  { key: 'records', header: 'Records', type: 'number' },
+  { key: 'effect', header: 'Effect on the return', type: 'text' }
+];
+
+// The return as a report for exportReportWorkbook: a sheet per table
+export const toComplaintsReturnReport = (complaintsReturn) => {
+  const { period } = complaintsReturn;
+  const context = { period: `${period.label}: ${formatDateWindow(period)}`, filters: [] };
+  const blocks = [
+    { type: 'table', title: 'Complaints opened', columns: OPENED_COLUMNS, rows: complaintsReturn.opened },
+    { type: 'table', title: 'Complaints closed', columns: CLOSED_COLUMNS, rows: complaintsReturn.closed },
+    { type: 'table', title: 'Upheld by cause', columns: CAUSE_COLUMNS, rows: complaintsReturn.causes },
+    { type: 'table', title: 'Complaints', columns: COMPLAINT_COLUMNS, rows: complaintsReturn.complaints }
+  ];
+  if (complaintsReturn.checks.length > 0) {
+    blocks.push({ type: 'table', title: 'Data checks', columns: CHECK_COLUMNS, rows: complaintsReturn.checks });
+  }
+
+  return {
+    title: `FCA Complaints Return - ${period.label}`,
+    subtitle: 'DISP 1 Annex 1',
+    context,
+    chapters: [{ title: 'Complaints return', context, blocks }]
+  };
+};
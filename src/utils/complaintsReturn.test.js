@@ -0,0 +1,113 @@
+import { BANK_HOLIDAYS } from '../config/complaintsReturnConfig';
+import { buildComplaintsReturn, getLastCompleteHalfYear, getReturnHalfYears } from './complaintsReturn';
+
+jest.mock('./dataManager', () => ({}));
+
+const april = { startMonth: 4, weekPattern: null };
+
+const halfYear = (start, end) => ({ key: 'test', label: 'Test', start, end });
+
+// FY2025 H2 under an April year: October 2025 to March 2026
+const period = halfYear(new Date(2025, 9, 1), new Date(2026, 3, 1));
+
+const bandOf = (received, resolved, within = period) =>
+  buildComplaintsReturn([{ received_date: received, resolved_date: resolved, decision: 'Not Upheld' }], within)
+    .complaints[0].band;
+
+describe('half-years', () => {
+  test('run from the fiscal year start month, most recent first', () => {
+    const halfYears = getReturnHalfYears(new Date(2026, 9, 19), april, 3);
+    expect(halfYears.map(({ key, start, end, isComplete }) => ({ key, start, end, isComplete }))).toEqual([
+      { key: 'FY2026-H2', start: new Date(2026, 9, 1), end: new Date(2027, 3, 1), isComplete: false },
+      { key: 'FY2026-H1', start: new Date(2026, 3, 1), end: new Date(2026, 9, 1), isComplete: true },
+      { key: 'FY2025-H2', start: new Date(2025, 9, 1), end: new Date(2026, 3, 1), isComplete: true }
+    ]);
+    expect(halfYears[0].label).toBe('H2 FY26/27 (Oct 2026 – Mar 2027)');
+    expect(getLastCompleteHalfYear(halfYears).key).toBe('FY2026-H1');
+  });
+
+  test('a January year reports calendar halves', () => {
+    const [current] = getReturnHalfYears(new Date(2026, 0, 1), { startMonth: 1, weekPattern: null }, 1);
+    expect(current).toEqual(expect.objectContaining({ key: 'FY2026-H1', start: new Date(2026, 0, 1), end: new Date(2026, 6, 1) }));
+  });
+});
+
+describe('closure bands', () => {
+  test('three business days count from the day after receipt', () => {
+    // Thursday to the following Tuesday: Friday, Monday, Tuesday
+    expect(bandOf('2025-12-11', '2025-12-16')).toBe('Within 3 business days');
+    expect(bandOf('2025-12-11', '2025-12-17')).toBe('After 3 business days, within 8 weeks');
+  });
+
+  test('bank holidays are not business days', () => {
+    // 25 and 26 December fall between; 29 December is the third business day
+    expect(bandOf('2025-12-22', '2025-12-29')).toBe('Within 3 business days');
+    expect(bandOf('2025-12-22', '2025-12-30')).toBe('After 3 business days, within 8 weeks');
+
+    // The last year listed: the Christmas substitute days of 2027
+    const christmas2027 = halfYear(new Date(2027, 9, 1), new Date(2028, 3, 1));
+    expect(bandOf('2027-12-23', '2027-12-30', christmas2027)).toBe('Within 3 business days');
+  });
+
+  test('eight weeks run in calendar days', () => {
+    expect(bandOf('2025-10-01', '2025-11-26')).toBe('After 3 business days, within 8 weeks');
+    expect(bandOf('2025-10-01', '2025-11-27')).toBe('After 8 weeks');
+  });
+});
+
+test('bank holidays are listed for each year through next year', () => {
+  // The list is kept by hand and runs to the end of 2027; this fails once
+  // a return could need a year that has not been added
+  const listedYears = new Set(BANK_HOLIDAYS.map(day => Number(day.slice(0, 4))));
+  const lastYear = Math.max(...listedYears);
+  for (let year = 2023; year <= lastYear; year++) {
+    expect([year, listedYears.has(year)]).toEqual([year, true]);
+  }
+  expect(lastYear).toBeGreaterThan(new Date().getFullYear());
+});
+
+describe('the return', () => {
+  const records = [
+    { customer_id: 'A', received_date: '2025-10-06', resolved_date: '2025-10-07', category: 'Billing Dispute', product: 'Loan', decision: 'Upheld', redress_paid: 50 },
+    { customer_id: 'B', received_date: '2025-11-03', category: 'Payment Issues', product: 'DMP', count: 2 },
+    { customer_id: 'C', received_date: '2025-09-15', resolved_date: '2025-10-20', category: 'Customer Service', decision: 'Partially Upheld' },
+    { customer_id: 'D', received_date: '2025-06-02', resolved_date: '2025-07-01', category: 'Billing', product: 'Loan', decision: 'Not Upheld' },
+    { customer_id: 'E', resolved_date: '2025-10-10', product: 'Loan' }
+  ];
+
+  test('counts complaints opened by product and cause', () => {
+    const { opened } = buildComplaintsReturn(records, period);
+    expect(opened.map(({ product, total }) => [product, total])).toEqual([
+      ['Debt collecting', 2],
+      ['Unsecured loans', 1],
+      ['Total', 3]
+    ]);
+    expect(opened[2]).toEqual(expect.objectContaining({ terms_charges: 1, arrears: 2, admin_service: 0 }));
+  });
+
+  test('summarises closures, upheld share, redress and what is still open', () => {
+    const total = buildComplaintsReturn(records, period).closed.find(row => row.product === 'Total');
+    expect(total).toEqual(expect.objectContaining({
+      opened: 3,
+      closed: 2,
+      upheld: 2,
+      upheld_pct: 100,
+      redress_paid: 50,
+      outstanding: 2,
+      within_3_days: 1,
+      within_8_weeks: 1,
+      after_8_weeks: 0
+    }));
+  });
+
+  test('lists the records that need a second look', () => {
+    const { checks, complaints } = buildComplaintsReturn(records, period);
+    expect(checks.map(({ label, records: count }) => [label, count])).toEqual([
+      ['No received date', 1],
+      ['No product recorded', 1],
+      ['Upheld with no redress recorded', 1]
+    ]);
+    expect(complaints.map(complaint => complaint.customer_id)).toEqual(['A', 'B', 'C', 'E']);
+    expect(complaints[2].in_return).toBe('Closed');
+  });
+});
@@ -12,15 +12,24 @@ export const STORAGE_KEYS = {
 // IndexedDB configuration
 export const DB_CONFIG = {
   NAME: 'FinancialReportsDB',
-  VERSION: 1,
+  // Latest entry in MIGRATIONS (utils/dbMigrations.js)
+  VERSION: 5,
   STORES: {
     LENDING: 'lending-volume',
     ARREARS: 'arrears',
     LIQUIDATIONS: 'liquidations',
     CALL_CENTER: 'call-center',
+    CALL_CENTER_AGENTS: 'call-center-agents',
+    CALL_CENTER_STATS: 'call-center-stats',
+    CALL_CENTER_FCR: 'call-center-fcr',
     COMPLAINTS: 'complaints',
-    METADATA: 'metadata'
-  }
+    METADATA: 'metadata',
+    VIEWS: 'views',
+    // Rows each upload batch wrote, replaced and removed (see utils/uploadHistory)
+    UPLOAD_BATCHES: 'upload-batches'
+  },
+  // Records written per transaction for large uploads
+  WRITE_BATCH_SIZE: 2000
 };
 
 // Date formats
@@ -99,7 +108,7 @@ export const COLUMN_MAPPINGS = {
   date_time: ['Date/Time', 'DateTime', 'date_time'],
   agent_name: ['Agent Name', 'AgentName', 'agent_name'],
   answered_date_time: ['Answered Date/Time', 'AnsweredDateTime', 'answered_date_time'],
-  from_number: ['From', 'from', 'From Number'],
+  from_number: ['From', 'from', 'From Number', 'from_number'],
   disposition: ['Disposition', 'disposition'],
   talk_time: ['Talk Time', 'TalkTime', 'talk_time'],
 
@@ -130,7 +139,9 @@ export const COLUMN_MAPPINGS = {
   resolved_date: ['ResolvedDate', 'Resolved Date', 'resolved_date'],
   days_to_resolve: ['DaysToResolve', 'Days To Resolve', 'days_to_resolve'],
   category: ['Category', 'category', 'Complaint Category'],
-  decision: ['Decision', 'decision', 'Resolution Decision']
+  decision: ['Decision', 'decision', 'Resolution Decision'],
+  product: ['Product', 'product', 'Product Type'],
+  redress_paid: ['RedressPaid', 'Redress Paid', 'redress_paid', 'Redress']
 };
 
 // Data validation rules - FIXED THE SYNTAX ERROR
@@ -169,6 +180,16 @@ export const PAYMENT_STATUSES = [
   'Written Off'
 ];
 
+// Delinquency states for arrears roll-rate analysis, in order of severity
+export const DELINQUENCY_BUCKETS = [
+  { key: 'current', label: 'Current', minDays: 0, maxDays: 0 },
+  { key: '1_30', label: '1–30', minDays: 1, maxDays: 30 },
+  { key: '31_60', label: '31–60', minDays: 31, maxDays: 60 },
+  { key: '61_90', label: '61–90', minDays: 61, maxDays: 90 },
+  { key: '90_plus', label: '90+', minDays: 91, maxDays: null },
+  { key: 'closed', label: 'Repaid/Charged-off', terminal: true }
+];
+
 // Lead sources/Tier names
 export const LEAD_SOURCES = [
   'Direct',
@@ -256,12 +277,87 @@ export const DATE_PRESETS = {
     label: 'Year to date',
     type: 'ytd'
   },
+  // Fiscal presets follow the active fiscal calendar (see utils/fiscalCalendar)
+  this_fiscal_year: {
+    label: 'This FY',
+    type: 'fiscal'
+  },
+  last_fiscal_year: {
+    label: 'Last FY',
+    type: 'fiscal'
+  },
+  fiscal_year_to_date: {
+    label: 'FY to date',
+    type: 'fiscal'
+  },
+  this_fiscal_quarter: {
+    label: 'This fiscal quarter',
+    type: 'fiscal'
+  },
+  last_fiscal_quarter: {
+    label: 'Last fiscal quarter',
+    type: 'fiscal'
+  },
   custom: {
     label: 'Custom range',
     type: 'custom'
   }
 };
 
+// KPI comparison windows
+export const COMPARISON_MODES = {
+  previous_period: {
+    label: 'Previous period'
+  },
+  previous_year: {
+    label: 'Same period last year'
+  },
+  baseline: {
+    label: 'Custom baseline'
+  },
+  none: {
+    label: 'No comparison'
+  }
+};
+
+// Periods trend charts can be grouped by
+export const TREND_PERIODS = {
+  month: {
+    label: 'Month'
+  },
+  quarter: {
+    label: 'Quarter'
+  },
+  year: {
+    label: 'Year'
+  },
+  fiscal_period: {
+    label: 'Fiscal period'
+  },
+  fiscal_quarter: {
+    label: 'Fiscal quarter'
+  },
+  fiscal_year: {
+    label: 'Fiscal year'
+  }
+};
+
+// How an upload is merged with rows already stored for the report
+export const UPLOAD_MODES = {
+  append: {
+    label: 'Append',
+    description: 'Add every row as new, keeping what is already stored'
+  },
+  upsert: {
+    label: 'Update existing',
+    description: 'Update rows that match on the report key and add the rest'
+  },
+  replace_range: {
+    label: 'Replace date range',
+    description: "Replace stored rows dated within the file's date range"
+  }
+};
+
 // Error messages
 export const ERROR_MESSAGES = {
   FILE_TOO_LARGE: 'File size exceeds maximum limit of 50MB',
@@ -287,24 +383,6 @@ export const SUCCESS_MESSAGES = {
 // Missing exports that useFilters.js needs
 export const FILTER_PRESETS = DATE_PRESETS; // Alias for compatibility
 
-// Product types (keeping for backward compatibility)
-export const PRODUCT_TYPES = [
-  'Personal Loan',
-  'Mortgage', 
-  'Credit Card',
-  'Business Loan',
-  'Auto Loan'
-];
-
-// Regions (keeping for backward compatibility)
-export const REGIONS = [
-  'North',
-  'South',
-  'East', 
-  'West',
-  'Central'
-];
-
 // Export default object with all constants
 export default {
   COLUMN_MAPPINGS,
@@ -312,6 +390,7 @@ export default {
   VALIDATION_RULES,
   LOAN_STAGES,
   PAYMENT_STATUSES,
+  DELINQUENCY_BUCKETS,
   LEAD_SOURCES,
   CALL_DISPOSITIONS,
   CALL_DIRECTIONS,
@@ -324,9 +403,10 @@ export default {
   FORMATS,
   DEFAULT_FILTERS,
   DATE_PRESETS,
+  COMPARISON_MODES,
+  TREND_PERIODS,
+  UPLOAD_MODES,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
-  FILTER_PRESETS,
-  PRODUCT_TYPES,
-  REGIONS
+  FILTER_PRESETS
 };
\ No newline at end of file
@@ -2,15 +2,88 @@
 import Papa from 'papaparse';
 import { COLUMN_MAPPINGS, VALIDATION_RULES, ERROR_MESSAGES } from './constants';
 import { REPORT_CONFIG } from '../config/reportConfig';
+import { isWorkbookFile, parseWorkbookFile } from './excelImporter';
+
+// Bytes Papa Parse reads per streamed chunk
+const STREAM_CHUNK_SIZE = 1024 * 1024;
+
+// Bytes read to find the header row
+const HEADER_CHUNK_SIZE = 64 * 1024;
+
+const PAPA_STREAM_CONFIG = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: false, // Keep as strings for proper validation
+  delimitersToGuess: [',', '\t', ';', '|'],
+  transformHeader: (header) => header.trim(),
+  transform: (value) => (typeof value === 'string' ? value.trim() : value)
+};
+
+const createCancelledError = () => new DOMException('Upload cancelled', 'AbortError');
+
+export const isCancelledError = (error) => error?.name === 'AbortError';
+
+// Whether a CSV header row contains a column for the standard field
+const hasFieldColumn = (headers, field) => {
+  const variants = (COLUMN_MAPPINGS[field] || [field]).map(variant => variant.toLowerCase().trim());
+  return headers.some(header => variants.includes(String(header).toLowerCase().trim()));
+};
+
+// Work out which of a report's file structures (e.g. the four call center
+// sub-reports) a set of headers belongs to. Every required field must be
+// present; ties go to the structure matching the most columns. Returns the
+// structure key, or null when the report has no structures or none match.
+export const detectFileStructure = (reportType, headers = []) => {
+  const structures = REPORT_CONFIG[reportType]?.fileStructures;
+  if (!structures) return null;
+
+  let best = null;
+  Object.entries(structures).forEach(([key, structure]) => {
+    const fields = Object.entries(structure.fields);
+    const hasRequired = fields
+      .filter(([, config]) => config.required)
+      .every(([field]) => hasFieldColumn(headers, field));
+    if (!hasRequired) return;
+
+    const matched = fields.filter(([field]) => hasFieldColumn(headers, field)).length;
+    if (!best || matched > best.matched) {
+      best = { key, matched };
+    }
+  });
+
+  return best ? best.key : null;
+};
+
+// Field configuration for a report, narrowed to one of its file structures
+export const getFileStructureConfig = (reportType, structureKey = null) => {
+  const config = REPORT_CONFIG[reportType];
+  const structure = structureKey ? config?.fileStructures?.[structureKey] : null;
+  return structure ? { ...config, ...structure, fileStructure: structureKey } : config;
+};
 
 export class CSVProcessor {
-  constructor(reportType) {
+  constructor(reportType, structureKey = null) {
     this.reportType = reportType;
-    this.config = REPORT_CONFIG[reportType];
+    this.structureKey = structureKey;
+    this.config = getFileStructureConfig(reportType, structureKey);
     this.errors = [];
     this.warnings = [];
   }
 
+  // Narrow a multi-structure report to the structure matching the headers
+  useDetectedStructure(headers) {
+    if (this.structureKey || !REPORT_CONFIG[this.reportType]?.fileStructures) return;
+
+    const structureKey = detectFileStructure(this.reportType, headers);
+    if (!structureKey) {
+      const names = Object.values(REPORT_CONFIG[this.reportType].fileStructures).map(s => s.name);
+      throw new Error(`Could not recognise file layout. Expected one of: ${names.join(', ')}`);
+    }
+
+    this.structureKey = structureKey;
+    this.config = getFileStructureConfig(this.reportType, structureKey);
+  }
+
   // Helper function to validate and parse UK dates (DD/MM/YYYY)
   static isValidUKDate(dateString) {
     if (!dateString || typeof dateString !== 'string') return false;
@@ -93,6 +166,7 @@ export class CSVProcessor {
     try {
       this.validateFile(file);
       const rawData = await this.parseFile(file);
+      if (rawData.length > 0) this.useDetectedStructure(Object.keys(rawData[0]));
       const mappedData = this.mapColumns(rawData);
       const validatedData = this.validateData(mappedData);
       const processedData = this.processData(validatedData);
@@ -100,6 +174,8 @@ export class CSVProcessor {
       return {
         success: true,
         data: processedData,
+        fileStructure: this.structureKey,
+        store: this.config.store || this.reportType,
         errors: this.errors,
         warnings: this.warnings,
         stats: this.generateStats(processedData)
@@ -132,8 +208,14 @@ export class CSVProcessor {
     }
   }
 
-  // Parse CSV file with proper settings
-  parseFile(file) {
+  // Parse CSV file with proper settings. Workbooks are read from the chosen
+  // sheet (the first with data by default) into the same string rows.
+  async parseFile(file, sheetOptions = {}) {
+    if (isWorkbookFile(file)) {
+      const workbook = await parseWorkbookFile(file, { ...sheetOptions, reportType: this.reportType });
+      return workbook.rows;
+    }
+
     return new Promise((resolve, reject) => {
       Papa.parse(file, {
         header: true,
@@ -164,8 +246,82 @@ export class CSVProcessor {
     });
   }
 
-  // Map column names to standard format
-  mapColumns(data) {
+  // Stream a CSV file in chunks so large files never sit in memory as one
+  // string. With processRows each chunk also goes through mapColumns,
+  // validateData and processData. onProgress gets { rows, fraction } where
+  // fraction is the share of the file read.
+  streamFile(file, { processRows = false, onProgress, signal, chunkSize = STREAM_CHUNK_SIZE } = {}) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+      let rowCount = 0;
+      let failure = null;
+
+      Papa.parse(file, {
+        ...PAPA_STREAM_CONFIG,
+        chunkSize,
+        chunk: (results, parser) => {
+          try {
+            if (signal?.aborted) throw createCancelledError();
+
+            const delimiterError = results.errors.find(e => e.type === 'Delimiter');
+            if (delimiterError) throw new Error(`CSV parsing error: ${delimiterError.message}`);
+            if (results.data.length === 0) return;
+
+            let chunkRows = results.data;
+            if (processRows) {
+              if (rowCount === 0) this.useDetectedStructure(Object.keys(chunkRows[0]));
+              chunkRows = this.processData(this.validateData(this.mapColumns(chunkRows, rowCount)));
+            }
+
+            chunkRows.forEach(row => rows.push(row));
+            rowCount += results.data.length;
+            onProgress?.({ rows: rowCount, fraction: file.size > 0 ? results.meta.cursor / file.size : 1 });
+          } catch (error) {
+            failure = error;
+            parser.abort();
+          }
+        },
+        complete: () => {
+          if (failure) reject(failure);
+          else if (rowCount === 0) reject(new Error(ERROR_MESSAGES.NO_DATA_FOUND));
+          else resolve(rows);
+        },
+        error: (error) => {
+          reject(new Error(`Failed to parse CSV: ${error.message}`));
+        }
+      });
+    });
+  }
+
+  // processFile for CSV files, streamed chunk by chunk
+  async processFileStreaming(file, { onProgress, signal } = {}) {
+    try {
+      this.validateFile(file);
+      const processedData = await this.streamFile(file, { processRows: true, onProgress, signal });
+
+      return {
+        success: true,
+        data: processedData,
+        fileStructure: this.structureKey,
+        store: this.config.store || this.reportType,
+        errors: this.errors,
+        warnings: this.warnings,
+        stats: this.generateStats(processedData)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        cancelled: isCancelledError(error),
+        error: error.message,
+        errors: this.errors,
+        warnings: this.warnings
+      };
+    }
+  }
+
+  // Map column names to standard format. rowOffset is the number of rows in
+  // earlier chunks, so _rowIndex matches the line in the file.
+  mapColumns(data, rowOffset = 0) {
     if (!data || data.length === 0) {
       throw new Error(ERROR_MESSAGES.NO_DATA_FOUND);
     }
@@ -198,7 +354,7 @@ export class CSVProcessor {
 
     // Transform data with mapped headers
     return data.map((row, index) => {
-      const mappedRow = { _rowIndex: index + 2 }; // +2 for header and 0-based index
+      const mappedRow = { _rowIndex: rowOffset + index + 2 }; // +2 for header and 0-based index
       
       Object.keys(row).forEach(originalHeader => {
         const standardField = mappedHeaders[originalHeader] || originalHeader;
@@ -387,6 +543,7 @@ export class CSVProcessor {
 
       // Check for basic structure
       const headers = Object.keys(rawData[0]);
+      processor.useDetectedStructure(headers);
       const requiredFields = Object.entries(processor.config.fields)
         .filter(([, config]) => config.required)
         .map(([field]) => field);
@@ -407,7 +564,7 @@ export class CSVProcessor {
         };
       }
 
-      return { isValid: true, rowCount: rawData.length };
+      return { isValid: true, rowCount: rawData.length, fileStructure: processor.structureKey };
       
     } catch (error) {
       return { isValid: false, error: error.message };
@@ -415,14 +572,96 @@ export class CSVProcessor {
   }
 }
 
-// Enhanced utility functions for data processing
-export const processCSVFile = async (file, reportType, progressCallback) => {
+// Run a streamed parse in the CSV parser worker, or on this thread where
+// workers aren't available. mode 'parse' returns the raw rows, 'process' the
+// processFile result and 'validate' the validateUploadRows result for the
+// mapping. Aborting the signal terminates the worker.
+const runCSVParser = async (file, { reportType, mode, mapping = null, onProgress, signal }) => {
+  if (signal?.aborted) throw createCancelledError();
+
+  if (typeof Worker === 'undefined') {
+    const processor = new CSVProcessor(reportType);
+    if (mode === 'validate') {
+      const { validateUploadRows } = await import('./uploadValidation');
+      return validateUploadRows(await processor.streamFile(file, { onProgress, signal }), { reportType, mapping });
+    }
+    return mode === 'process'
+      ? processor.processFileStreaming(file, { onProgress, signal })
+      : processor.streamFile(file, { onProgress, signal });
+  }
+
+  const { createCSVParserWorker } = await import('../workers/createCSVParserWorker');
+  const worker = createCSVParserWorker();
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      signal?.removeEventListener('abort', handleAbort);
+      worker.terminate();
+    };
+    const handleAbort = () => {
+      finish();
+      reject(createCancelledError());
+    };
+    signal?.addEventListener('abort', handleAbort);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data.progress);
+      } else if (data.type === 'complete') {
+        finish();
+        resolve(data.result);
+      } else if (data.type === 'error') {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      finish();
+      reject(new Error(`CSV parser failed: ${event.message}`));
+    };
+
+    worker.postMessage({ file, reportType, mode, mapping });
+  });
+};
+
+// Raw rows of a CSV file, parsed off the main thread
+export const parseCSVFile = (file, { reportType = null, onProgress, signal } = {}) =>
+  runCSVParser(file, { reportType, mode: 'parse', onProgress, signal });
+
+// Parse a CSV file, map its columns and validate every row off the main
+// thread (see utils/uploadValidation)
+export const validateCSVFile = (file, { reportType, mapping = null, onProgress, signal } = {}) =>
+  runCSVParser(file, { reportType, mode: 'validate', mapping, onProgress, signal });
+
+// Column headers of a CSV file, read from its first line only
+export const readCSVHeaders = (file) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    ...PAPA_STREAM_CONFIG,
+    chunkSize: HEADER_CHUNK_SIZE,
+    preview: 1,
+    complete: (results) => resolve(results.meta.fields || []),
+    error: (error) => reject(new Error(`Failed to parse CSV: ${error.message}`))
+  });
+});
+
+// Enhanced utility functions for data processing. CSV files are streamed
+// through a worker with row-level progress; workbooks are read whole.
+export const processCSVFile = async (file, reportType, progressCallback, { signal } = {}) => {
   const processor = new CSVProcessor(reportType);
   
   if (progressCallback) progressCallback(10, 'Starting file processing...');
   
   try {
-    const result = await processor.processFile(file);
+    const result = isWorkbookFile(file)
+      ? await processor.processFile(file)
+      : await runCSVParser(file, {
+        reportType,
+        mode: 'process',
+        signal,
+        onProgress: ({ rows, fraction }) => {
+          progressCallback?.(10 + Math.round(fraction * 85), `Processed ${rows.toLocaleString()} rows`);
+        }
+      });
     
     if (progressCallback) {
       if (result.success) {
@@ -440,6 +679,7 @@ export const processCSVFile = async (file, reportType, progressCallback) => {
     
     return {
       success: false,
+      cancelled: isCancelledError(error),
       error: error.message,
       errors: [error.message],
       warnings: []
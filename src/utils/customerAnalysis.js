@@ -0,0 +1,312 @@
+// src/utils/customerAnalysis.js
+import { DELINQUENCY_BUCKETS } from './constants';
+import { getFieldValue, getNumericValue, getDateValue, isEmptyValue } from './fieldUtils';
+import { getDelinquencyBucket } from './rollRateAnalysis';
+
+// Lending volume, arrears and complaints records all carry customer_id. A
+// customer's profile links them: loans with their stage history, arrears
+// episodes across successive arrears uploads, complaints, and one timeline.
+// IDs are matched trimmed and case-insensitively.
+
+const DELINQUENT_BUCKETS = DELINQUENCY_BUCKETS
+  .filter(bucket => !bucket.terminal && bucket.key !== 'current')
+  .map(bucket => bucket.key);
+
+const severity = (bucketKey) => DELINQUENCY_BUCKETS.findIndex(bucket => bucket.key === bucketKey);
+
+const getBucketLabel = (bucketKey) =>
+  DELINQUENCY_BUCKETS.find(bucket => bucket.key === bucketKey)?.label || bucketKey;
+
+export const getCustomerKey = (value) =>
+  (isEmptyValue(value) ? null : String(value).trim().toLowerCase());
+
+const byDate = (a, b) => a.date - b.date;
+
+const dayKey = (date) => date.toDateString();
+
+// Loans are told apart by funding date; rows for an application that hasn't
+// funded yet share one loan. Each row is a stage the loan reached.
+export const buildCustomerLoans = (records = []) => {
+  const loans = new Map();
+
+  records.forEach(record => {
+    const fundedDate = getDateValue(record, 'funded_date');
+    const key = fundedDate ? dayKey(fundedDate) : 'unfunded';
+    if (!loans.has(key)) {
+      loans.set(key, { fundedDate, rows: [] });
+    }
+    loans.get(key).rows.push({
+      date: getDateValue(record, 'stage_date'),
+      stage: getFieldValue(record, 'stage') || 'Unknown',
+      paymentStatus: getFieldValue(record, 'payment_status') || null,
+      issuedAmount: getNumericValue(record, 'issued_amount'),
+      totalDue: getNumericValue(record, 'total_due'),
+      lastPaymentDate: getDateValue(record, 'last_payment_date'),
+      payment: getNumericValue(record, 'payment')
+    });
+  });
+
+  return Array.from(loans.values())
+    .map(({ fundedDate, rows }) => {
+      const stages = rows.filter(row => row.date).sort(byDate);
+      const latest = stages[stages.length - 1] || rows[rows.length - 1];
+      const issuedAmounts = rows.map(row => row.issuedAmount).filter(amount => amount !== null);
+
+      return {
+        fundedDate,
+        issuedAmount: issuedAmounts.length > 0 ? Math.max(...issuedAmounts) : null,
+        stage: latest.stage,
+        paymentStatus: rows.map(row => row.paymentStatus).filter(Boolean).pop() || null,
+        totalDue: latest.totalDue,
+        lastPaymentDate: latest.lastPaymentDate,
+        lastPayment: latest.payment,
+        stages
+      };
+    })
+    // Unfunded applications first, then newest loan first
+    .sort((a, b) => {
+      if (!a.fundedDate || !b.fundedDate) return (a.fundedDate ? 1 : 0) - (b.fundedDate ? 1 : 0);
+      return b.fundedDate - a.fundedDate;
+    });
+};
+
+// Date an arrears record describes: the upload it came from, else its stage date
+const getSnapshotDate = (record) =>
+  getDateValue(record, '_processed_date') || getDateValue(record, 'stage_date');
+
+// The customer's worst delinquency state per arrears snapshot, oldest first
+const buildArrearsSnapshots = (records = []) => {
+  const snapshots = new Map();
+
+  records.forEach(record => {
+    const date = getSnapshotDate(record);
+    if (!date) return;
+
+    const bucket = getDelinquencyBucket(record, date);
+    const totalDue = getNumericValue(record, 'total_due');
+    const existing = snapshots.get(dayKey(date));
+    if (!existing) {
+      snapshots.set(dayKey(date), { date, bucket, totalDue, stage: getFieldValue(record, 'stage') });
+      return;
+    }
+    if (severity(bucket) > severity(existing.bucket)) {
+      existing.bucket = bucket;
+      existing.stage = getFieldValue(record, 'stage');
+    }
+    if (totalDue !== null) existing.totalDue = Math.max(existing.totalDue ?? 0, totalDue);
+  });
+
+  return Array.from(snapshots.values()).sort(byDate);
+};
+
+// Episodes of delinquency: runs of arrears snapshots in a delinquent state,
+// ending at the first snapshot back to current or closed. Newest first.
+export const buildArrearsEpisodes = (records = []) => {
+  const episodes = [];
+  let open = null;
+
+  buildArrearsSnapshots(records).forEach(snapshot => {
+    if (DELINQUENT_BUCKETS.includes(snapshot.bucket)) {
+      if (!open) {
+        open = { start: snapshot.date, end: null, worstBucket: snapshot.bucket, maxTotalDue: null, snapshots: 0 };
+        episodes.push(open);
+      }
+      open.snapshots += 1;
+      open.lastSeen = snapshot.date;
+      open.latestStage = snapshot.stage;
+      if (severity(snapshot.bucket) > severity(open.worstBucket)) open.worstBucket = snapshot.bucket;
+      if (snapshot.totalDue !== null) open.maxTotalDue = Math.max(open.maxTotalDue ?? 0, snapshot.totalDue);
+      return;
+    }
+
+    if (open) {
+      open.end = snapshot.date;
+      open.outcome = snapshot.bucket === 'closed' ? 'Closed' : 'Cured';
+      open = null;
+    }
+  });
+
+  return episodes
+    .map(episode => ({
+      ...episode,
+      ongoing: episode.end === null,
+      outcome: episode.outcome || 'Ongoing',
+      worstBucketLabel: getBucketLabel(episode.worstBucket)
+    }))
+    .reverse();
+};
+
+export const buildCustomerComplaints = (records = []) => records
+  .map(record => {
+    const receivedDate = getDateValue(record, 'received_date');
+    const resolvedDate = getDateValue(record, 'resolved_date');
+    const reportedDays = getNumericValue(record, 'days_to_resolve');
+
+    return {
+      receivedDate,
+      resolvedDate,
+      category: getFieldValue(record, 'category') || 'Uncategorised',
+      decision: getFieldValue(record, 'decision') || null,
+      count: getNumericValue(record, 'count') ?? 1,
+      daysToResolve: reportedDays ?? (receivedDate && resolvedDate
+        ? Math.round((resolvedDate - receivedDate) / (1000 * 60 * 60 * 24))
+        : null)
+    };
+  })
+  .sort((a, b) => (b.receivedDate || 0) - (a.receivedDate || 0));
+
+// Every dated event across the customer's reports, newest first
+export const buildCustomerTimeline = ({ loans = [], episodes = [], complaints = [] }) => {
+  const events = [];
+
+  loans.forEach(loan => {
+    loan.stages.forEach(stage => events.push({
+      date: stage.date,
+      type: 'lending',
+      icon: '💰',
+      title: `Stage: ${stage.stage}`,
+      description: stage.paymentStatus ? `Payment status ${stage.paymentStatus}` : null
+    }));
+    if (loan.fundedDate) {
+      events.push({
+        date: loan.fundedDate,
+        type: 'lending',
+        icon: '🏦',
+        title: 'Loan funded',
+        amount: loan.issuedAmount
+      });
+    }
+    if (loan.lastPaymentDate) {
+      events.push({
+        date: loan.lastPaymentDate,
+        type: 'lending',
+        icon: '💳',
+        title: 'Last payment',
+        amount: loan.lastPayment
+      });
+    }
+  });
+
+  episodes.forEach(episode => {
+    events.push({
+      date: episode.start,
+      type: 'arrears',
+      icon: '⚠️',
+      title: 'Entered arrears',
+      description: `Worst state ${episode.worstBucketLabel} days`
+    });
+    if (episode.end) {
+      events.push({
+        date: episode.end,
+        type: 'arrears',
+        icon: episode.outcome === 'Cured' ? '✅' : '🔒',
+        title: episode.outcome === 'Cured' ? 'Arrears cured' : 'Account closed'
+      });
+    }
+  });
+
+  complaints.forEach(complaint => {
+    if (complaint.receivedDate) {
+      events.push({
+        date: complaint.receivedDate,
+        type: 'complaint',
+        icon: '📋',
+        title: `Complaint received: ${complaint.category}`
+      });
+    }
+    if (complaint.resolvedDate) {
+      events.push({
+        date: complaint.resolvedDate,
+        type: 'complaint',
+        icon: '📝',
+        title: `Complaint resolved: ${complaint.category}`,
+        description: complaint.decision ? `Decision ${complaint.decision}` : null
+      });
+    }
+  });
+
+  return events.filter(event => event.date).sort((a, b) => b.date - a.date);
+};
+
+// One customer's linked records as loans, arrears episodes, complaints and a
+// timeline, with headline figures
+export const buildCustomerProfile = (customerId, { lending = [], arrears = [], complaints = [] } = {}) => {
+  const loans = buildCustomerLoans(lending);
+  const episodes = buildArrearsEpisodes(arrears);
+  const customerComplaints = buildCustomerComplaints(complaints);
+
+  return {
+    customerId,
+    loans,
+    episodes,
+    complaints: customerComplaints,
+    timeline: buildCustomerTimeline({ loans, episodes, complaints: customerComplaints }),
+    summary: {
+      loanCount: loans.filter(loan => loan.fundedDate).length,
+      totalIssued: loans.reduce((sum, loan) => sum + (loan.issuedAmount || 0), 0),
+      episodeCount: episodes.length,
+      inArrears: episodes.some(episode => episode.ongoing),
+      complaintCount: customerComplaints.reduce((sum, complaint) => sum + complaint.count, 0)
+    },
+    hasRecords: lending.length + arrears.length + complaints.length > 0
+  };
+};
+
+const percentOf = (count, total) => (total > 0 ? (count / total) * 100 : null);
+
+// Complaint rates for customers currently in arrears against customers who
+// are not. A customer's arrears state is their worst at their latest arrears
+// snapshot; lending customers with no arrears records count as current.
+// complaintCounts maps customer key to complaint count.
+export const calculateComplaintRatesBySegment = ({
+  lendingCustomers = [],
+  arrearsRecords = [],
+  complaintCounts = new Map()
+} = {}) => {
+  const latest = new Map();
+  arrearsRecords.forEach(record => {
+    const key = getCustomerKey(getFieldValue(record, 'customer_id'));
+    const date = getSnapshotDate(record);
+    if (!key || !date) return;
+
+    const bucket = getDelinquencyBucket(record, date);
+    const existing = latest.get(key);
+    if (!existing || date > existing.date ||
+      (date.getTime() === existing.date.getTime() && severity(bucket) > severity(existing.bucket))) {
+      latest.set(key, { date, bucket });
+    }
+  });
+
+  const population = new Set([...lendingCustomers.map(getCustomerKey).filter(Boolean), ...latest.keys()]);
+  const inArrears = new Set(Array.from(latest.entries())
+    .filter(([, { bucket }]) => DELINQUENT_BUCKETS.includes(bucket))
+    .map(([key]) => key));
+
+  const describeSegment = (key, label, customers) => {
+    const complainants = customers.filter(customer => complaintCounts.get(customer) > 0);
+    const complaints = complainants.reduce((sum, customer) => sum + complaintCounts.get(customer), 0);
+    return {
+      key,
+      label,
+      customers: customers.length,
+      complainants: complainants.length,
+      complaints,
+      complaintRate: percentOf(complainants.length, customers.length),
+      complaintsPer100: percentOf(complaints, customers.length)
+    };
+  };
+
+  const all = Array.from(population);
+  const arrearsSegment = describeSegment('in_arrears', 'In arrears', all.filter(key => inArrears.has(key)));
+  const currentSegment = describeSegment('current', 'Current', all.filter(key => !inArrears.has(key)));
+
+  return {
+    segments: [arrearsSegment, currentSegment],
+    // How many times more likely a customer in arrears is to have complained
+    relativeRate: arrearsSegment.complaintRate !== null && currentSegment.complaintRate
+      ? arrearsSegment.complaintRate / currentSegment.complaintRate
+      : null,
+    // Complainants not found in lending or arrears
+    unmatchedComplainants: Array.from(complaintCounts.keys()).filter(key => !population.has(key)).length
+  };
+};
@@ -1,5 +1,5 @@
 // src/utils/dataManager.js
-import { processCSV } from './csvProcessor';
+import { processCSVFile, getFileStructureConfig, isCancelledError } from './csvProcessor';
 import { 
   initDB, 
   saveData, 
@@ -10,7 +10,16 @@ import {
   exportAllData 
 } from './indexedDBHelper';
 import { DB_CONFIG, SUCCESS_MESSAGES, ERROR_MESSAGES } from './constants';
-import { REPORT_CONFIG } from '../config/reportConfig';
+import { calculateReportKPIs } from './kpiEngine';
+import { CALL_CENTER_SUB_REPORTS } from './callCenterAnalysis';
+import { planUpload, getDefaultUploadMode } from './uploadPlanner';
+import { commitUploadBatch } from './uploadHistory';
+import { getSnapshotPeriod } from './snapshots';
+import { countIndexValues, queryStore, querySeries } from './dataQuery';
+import { getCustomerKey, calculateComplaintRatesBySegment } from './customerAnalysis';
+
+// Reports linked by customer_id
+const CUSTOMER_REPORTS = ['lending-volume', 'arrears', 'complaints'];
 
 class DataManager {
   constructor() {
@@ -29,36 +38,47 @@ class DataManager {
     }
   }
 
-  // Upload and process CSV data
-  async uploadData(file, reportType) {
+  // Upload and process CSV data, merging with stored rows according to the
+  // upload mode (append, upsert or replace_range - see UPLOAD_MODES).
+  // onProgress(percent, message) covers processing (to 80%) then saving;
+  // aborting signal cancels either step.
+  async uploadData(file, reportType, { mode, note, onProgress, signal } = {}) {
     await this.init();
     
     try {
       // Process the CSV file
-      const processingResult = await processCSV(file, reportType);
+      const processingResult = await processCSVFile(file, reportType, (percent, message) => {
+        onProgress?.(Math.round(percent * 0.8), message);
+      }, { signal });
       
       if (!processingResult.success) {
         return {
           success: false,
+          cancelled: processingResult.cancelled,
           error: processingResult.error,
           errors: processingResult.errors,
           warnings: processingResult.warnings
         };
       }
 
-      // Get the store name for this report type
-      const storeName = this.getStoreName(reportType);
-      
-      // Save processed data to IndexedDB
-      const saveResult = await updateData(storeName, processingResult.data);
-      
-      // Update metadata
-      await this.updateMetadata(reportType, {
-        lastUpdate: new Date().toISOString(),
-        recordCount: processingResult.data.length,
+      // Get the store name for this report type, or the detected sub-report
+      const storeName = processingResult.store && processingResult.store !== reportType
+        ? processingResult.store
+        : this.getStoreName(reportType);
+
+      const { plan, batch, uploadMode } = await this.saveUpload(processingResult.data, reportType, {
+        storeName,
+        config: getFileStructureConfig(reportType, processingResult.fileStructure),
+        fileStructure: processingResult.fileStructure || null,
         fileName: file.name,
         fileSize: file.size,
-        stats: processingResult.stats
+        mode,
+        note,
+        stats: processingResult.stats,
+        onProgress: (written, total) => {
+          onProgress?.(80 + Math.round((written / total) * 20), `Saved ${written.toLocaleString()} of ${total.toLocaleString()} rows`);
+        },
+        signal
       });
 
       return {
@@ -66,7 +86,9 @@ class DataManager {
         message: SUCCESS_MESSAGES.DATA_UPLOADED,
         data: processingResult.data,
         stats: processingResult.stats,
-        saveResult,
+        uploadMode,
+        counts: plan.counts,
+        batchId: batch.batchId,
         errors: processingResult.errors,
         warnings: processingResult.warnings
       };
@@ -74,11 +96,82 @@ class DataManager {
     } catch (error) {
       return {
         success: false,
+        cancelled: isCancelledError(error),
         error: error.message
       };
     }
   }
 
+  // Work out what saving parsed rows would insert, update and remove (see
+  // planUpload). Snapshot reports merge with this month's snapshot only.
+  async previewUpload(rows, reportType, {
+    storeName = this.getStoreName(reportType),
+    config = getFileStructureConfig(reportType),
+    mode,
+    processedAt = new Date()
+  } = {}) {
+    await this.init();
+
+    const existing = await getData(storeName);
+    return planUpload(existing, rows, {
+      mode: mode || getDefaultUploadMode(config),
+      config,
+      snapshot: getSnapshotPeriod(processedAt)
+    });
+  }
+
+  // Save parsed rows as one upload batch, merged with the stored rows as
+  // previewUpload plans, and record the upload in the report's metadata. Every
+  // upload is saved through here. onProgress(written, total) follows the
+  // rows written; aborting signal removes them again.
+  async saveUpload(rows, reportType, {
+    storeName = this.getStoreName(reportType),
+    config = getFileStructureConfig(reportType),
+    fileStructure = null,
+    fileName,
+    fileSize,
+    mode,
+    note,
+    stats,
+    onProgress,
+    signal
+  } = {}) {
+    const uploadMode = mode || getDefaultUploadMode(config);
+    const processedAt = new Date();
+    const processedDate = processedAt.toISOString();
+    const plan = await this.previewUpload(rows, reportType, { storeName, config, mode: uploadMode, processedAt });
+
+    const batch = await commitUploadBatch({
+      plan,
+      storeName,
+      reportType,
+      fileStructure,
+      fileName,
+      note,
+      rowCount: rows.length,
+      prepareRecord: (row, index) => ({
+        ...row,
+        _id: `${storeName}_${Date.now()}_${index}`,
+        _processed_date: processedDate
+      }),
+      onProgress,
+      signal
+    });
+
+    await this.updateMetadata(reportType, {
+      lastUpdate: processedDate,
+      recordCount: rows.length,
+      uploadMode,
+      counts: plan.counts,
+      lastBatchId: batch.batchId,
+      fileName,
+      fileSize,
+      stats
+    });
+
+    return { plan, batch, uploadMode };
+  }
+
   // Get data for a specific report with optional filters
   async getReportData(reportType, filters = {}) {
     await this.init();
@@ -109,6 +202,146 @@ class DataManager {
     }
   }
 
+  // Get every call center sub-report from its own store, keyed by file
+  // structure (report1-report4), ready for joinCallCenterReports
+  async getCallCenterSources(filters = {}) {
+    await this.init();
+    
+    try {
+      const results = await Promise.all(
+        CALL_CENTER_SUB_REPORTS.map(({ store }) => getData(store, filters))
+      );
+      
+      return CALL_CENTER_SUB_REPORTS.reduce((acc, { key }, index) => {
+        acc[key] = results[index] || [];
+        return acc;
+      }, {});
+      
+    } catch (error) {
+      throw new Error(`Failed to get call center data: ${error.message}`);
+    }
+  }
+
+  // Select, filter, group and aggregate a report's records in IndexedDB
+  // (see queryStore). storeName reads a call center sub-report instead.
+  async queryReport(reportType, query = {}, storeName = this.getStoreName(reportType)) {
+    await this.init();
+    
+    try {
+      return await queryStore(storeName, query);
+    } catch (error) {
+      throw new Error(`Failed to query report data: ${error.message}`);
+    }
+  }
+
+  // Pre-aggregated series for charts, one row per period (see querySeries)
+  async getReportSeries(reportType, options = {}, storeName = this.getStoreName(reportType)) {
+    await this.init();
+    
+    try {
+      return await querySeries(storeName, options);
+    } catch (error) {
+      throw new Error(`Failed to get report series: ${error.message}`);
+    }
+  }
+
+  // Customers whose ID contains term in lending, arrears or complaints, with
+  // their record count in each report. Exact matches come first.
+  async searchCustomers(term, limit = 20) {
+    await this.init();
+    if (!term?.trim()) return [];
+    
+    try {
+      const customers = new Map();
+      for (const reportType of CUSTOMER_REPORTS) {
+        // Counted from the customer_id index keys rather than the records
+        const needle = term.trim().toLowerCase();
+        const rows = await countIndexValues(this.getStoreName(reportType), 'customer_id',
+          customerId => String(customerId).toLowerCase().includes(needle));
+
+        rows.forEach(({ value: customerId, count: records }) => {
+          const key = getCustomerKey(customerId);
+          if (!customers.has(key)) {
+            customers.set(key, { customerId, counts: {}, total: 0 });
+          }
+          const customer = customers.get(key);
+          customer.counts[reportType] = (customer.counts[reportType] || 0) + records;
+          customer.total += records;
+        });
+      }
+
+      const exactKey = getCustomerKey(term);
+      return Array.from(customers.entries())
+        .sort(([keyA, a], [keyB, b]) =>
+          (keyB === exactKey) - (keyA === exactKey) || b.total - a.total || keyA.localeCompare(keyB))
+        .slice(0, limit)
+        .map(([, customer]) => customer);
+        
+    } catch (error) {
+      throw new Error(`Failed to search customers: ${error.message}`);
+    }
+  }
+
+  // One customer's lending, arrears and complaints records, keyed by report
+  async getCustomerRecords(customerId) {
+    await this.init();
+    
+    try {
+      const where = { field: 'customer_id', op: 'eq', value: String(customerId).trim() };
+      const results = await Promise.all(
+        CUSTOMER_REPORTS.map(reportType => queryStore(this.getStoreName(reportType), { where }))
+      );
+      
+      return CUSTOMER_REPORTS.reduce((acc, reportType, index) => {
+        acc[reportType] = results[index];
+        return acc;
+      }, {});
+      
+    } catch (error) {
+      throw new Error(`Failed to get customer records: ${error.message}`);
+    }
+  }
+
+  // Complaint rates for customers in arrears against current customers. Only
+  // the fields the comparison needs are read from each store.
+  async getCustomerSegmentMetrics() {
+    await this.init();
+    
+    try {
+      const [lendingCustomers, arrearsRecords, complaintRows] = await Promise.all([
+        queryStore(DB_CONFIG.STORES.LENDING, { groupBy: 'customer_id' }),
+        queryStore(DB_CONFIG.STORES.ARREARS, {
+          select: [
+            'customer_id', 'stage', 'stage_date', 'payment_status',
+            'days_overdue', 'last_payment_date', '_processed_date'
+          ]
+        }),
+        queryStore(DB_CONFIG.STORES.COMPLAINTS, {
+          groupBy: 'customer_id',
+          aggregate: { records: { op: 'count' }, complaints: { op: 'sum', field: 'count' } }
+        })
+      ]);
+
+      const complaintCounts = new Map();
+      complaintRows.forEach(({ customer_id: customerId, records, complaints }) => {
+        const key = getCustomerKey(customerId);
+        if (!key || customerId === 'Unknown') return;
+        complaintCounts.set(key, (complaintCounts.get(key) || 0) + (complaints || records));
+      });
+      
+      return calculateComplaintRatesBySegment({
+        lendingCustomers: lendingCustomers
+          .map(row => row.customer_id)
+          .filter(customerId => customerId !== 'Unknown'),
+        arrearsRecords,
+        complaintCounts
+      });
+      
+    } catch (error) {
+      throw new Error(`Failed to get customer metrics: ${error.message}`);
+    }
+  }
+
   // Get aggregated data for KPIs
   async getKPIData(reportType, dateRange = null) {
     await this.init();
@@ -137,58 +370,9 @@ class DataManager {
     }
   }
 
-  // Calculate KPIs based on report type
+  // Calculate KPIs based on report type, using the shared KPI registry
   calculateKPIs(reportType, data) {
-    const config = REPORT_CONFIG[reportType];
-    const kpis = {};
-
-    switch (reportType) {
-      case 'lending-volume':
-        kpis.total_volume = data.reduce((sum, record) => sum + (record.amount || 0), 0);
-        kpis.loan_count = data.length;
-        kpis.avg_loan_size = kpis.loan_count > 0 ? kpis.total_volume / kpis.loan_count : 0;
-        kpis.growth_rate = this.calculateGrowthRate(data, 'amount');
-        break;
-
-      case 'arrears':
-        kpis.total_arrears = data.reduce((sum, record) => sum + (record.arrears_amount || 0), 0);
-        kpis.account_count = new Set(data.map(r => r.account_id)).size;
-        kpis.avg_days_overdue = data.length > 0 ? 
-          data.reduce((sum, record) => sum + (record.days_overdue || 0), 0) / data.length : 0;
-        kpis.arrears_rate = this.calculateArrearsRate(data);
-        break;
-
-      case 'liquidations':
-        kpis.total_liquidations = data.reduce((sum, record) => sum + (record.liquidation_amount || 0), 0);
-        kpis.liquidation_count = data.length;
-        kpis.avg_recovery_rate = data.length > 0 ?
-          data.reduce((sum, record) => sum + (record.recovery_rate || 0), 0) / data.length : 0;
-        kpis.avg_time_to_liquidation = data.length > 0 ?
-          data.reduce((sum, record) => sum + (record.time_to_liquidation || 0), 0) / data.length : 0;
-        break;
-
-      case 'call-center':
-        kpis.call_volume = data.reduce((sum, record) => sum + (record.calls_received || 0), 0);
-        kpis.service_level = this.calculateServiceLevel(data);
-        kpis.avg_wait_time = data.length > 0 ?
-          data.reduce((sum, record) => sum + (record.avg_wait_time || 0), 0) / data.length : 0;
-        kpis.first_call_resolution = data.length > 0 ?
-          data.reduce((sum, record) => sum + (record.first_call_resolution || 0), 0) / data.length : 0;
-        break;
-
-      case 'complaints':
-        kpis.total_complaints = data.length;
-        kpis.avg_resolution_time = data.length > 0 ?
-          data.reduce((sum, record) => sum + (record.resolution_time || 0), 0) / data.length : 0;
-        kpis.resolution_rate = this.calculateResolutionRate(data);
-        kpis.complaints_per_1000 = this.calculateComplaintsPerThousand(data);
-        break;
-
-      default:
-        break;
-    }
-
-    return kpis;
+    return calculateReportKPIs(reportType, data);
   }
 
   // Prepare data for charts
@@ -288,49 +472,6 @@ class DataManager {
     };
   }
 
-  // Helper calculation functions
-  calculateGrowthRate(data, field) {
-    // Calculate month-over-month growth rate
-    if (data.length < 2) return 0;
-    
-    const sortedData = data.sort((a, b) => new Date(a.date) - new Date(b.date));
-    const currentMonth = sortedData[sortedData.length - 1][field] || 0;
-    const previousMonth = sortedData[sortedData.length - 2][field] || 0;
-    
-    return previousMonth > 0 ? ((currentMonth - previousMonth) / previousMonth) * 100 : 0;
-  }
-
-  calculateArrearsRate(data) {
-    // This would need total loan portfolio data to calculate properly
-    // For now, return a placeholder calculation
-    return data.length > 0 ? (data.length / 1000) * 100 : 0;
-  }
-
-  calculateServiceLevel(data) {
-    if (data.length === 0) return 0;
-    
-    const totalReceived = data.reduce((sum, record) => sum + (record.calls_received || 0), 0);
-    const totalAnswered = data.reduce((sum, record) => sum + (record.calls_answered || 0), 0);
-    
-    return totalReceived > 0 ? (totalAnswered / totalReceived) * 100 : 0;
-  }
-
-  calculateResolutionRate(data) {
-    if (data.length === 0) return 0;
-    
-    const resolvedCount = data.filter(record => 
-      record.status && record.status.toLowerCase().includes('resolved')
-    ).length;
-    
-    return (resolvedCount / data.length) * 100;
-  }
-
-  calculateComplaintsPerThousand(data) {
-    // This would need customer base data to calculate properly
-    // For now, return a placeholder calculation
-    return data.length > 0 ? (data.length / 10000) * 1000 : 0;
-  }
-
   // Utility functions
   getStoreName(reportType) {
     const storeMapping = {
@@ -381,10 +522,14 @@ class DataManager {
       
       return {
         database: dbStats,
-        metadata: metadata.reduce((acc, record) => {
-          acc[record.reportType] = record;
-          return acc;
-        }, {})
+        metadata: metadata
+          // Upload batches, mapping profiles, quick filters and the fiscal
+          // calendar share the store with report metadata
+          .filter(record => !record.type)
+          .reduce((acc, record) => {
+            acc[record.reportType] = record;
+            return acc;
+          }, {})
       };
     } catch (error) {
       throw new Error(`Failed to get dashboard stats: ${error.message}`);
@@ -0,0 +1,435 @@
+// src/utils/dataQuery.js
+import { iterateRecords } from './indexedDBHelper';
+import {
+  INDEX_KEYS_FIELD,
+  RECORD_DATE_INDEX,
+  NUMERIC_TYPES,
+  getIndexedFields,
+  hasRecordDateIndex,
+  toDateKey,
+  withoutIndexKeys
+} from './dbSchema';
+import { getFieldValue, getNumericValue, isEmptyValue, matchesCondition } from './fieldUtils';
+import { getDateWindow } from './dateUtils';
+import {
+  FISCAL_PERIODS,
+  formatFiscalPeriodLabel,
+  getFiscalCalendar,
+  getFiscalPeriodBounds,
+  getFiscalPeriodKey,
+  isFiscalPeriod
+} from './fiscalCalendar';
+
+// Queries over the IndexedDB stores. Records are read with a cursor over an
+// identifier index for an equality condition (a customer_id), the record date
+// index for a date range, or a numeric index for a range condition, then
+// filtered and either returned or folded into grouped aggregates as the
+// cursor moves, so only the result is held in memory.
+//
+// queryStore(storeName, {
+//   dateRange: { start, end } or { preset },
+//   where: condition, as for matchesCondition,
+//   select: ['field', ...],
+//   groupBy: 'field' | { period: 'month', field?, as?, calendar? } | [...],
+//   aggregate: { name: { op: 'count' | 'sum' | 'avg' | 'min' | 'max' | 'distinct', field, where? } },
+//   orderBy: { field, direction: 'asc' | 'desc' },
+//   limit
+// })
+
+export const PERIODS = ['day', 'week', 'month', 'quarter', 'year', ...FISCAL_PERIODS];
+
+const DEFAULT_AGGREGATE = { count: { op: 'count' } };
+
+// Guards gap filling against a runaway range, such as a day series over decades
+const MAX_SERIES_PERIODS = 5000;
+
+const RANGE_OPS = ['eq', 'gt', 'gte', 'lt', 'lte', 'between'];
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+// Conditions that must all hold, from a top-level array or { all } group
+const getConjuncts = (where) => {
+  if (!where) return [];
+  if (Array.isArray(where)) return where.flatMap(getConjuncts);
+  if (where.all) return where.all.flatMap(getConjuncts);
+  return where.field ? [where] : [];
+};
+
+// A filter date range as inclusive { start, end } YYYY-MM-DD keys, either of
+// which may be null. Presets resolve to their dates. Null when no range is set.
+export const toDateKeyRange = (dateRange) => {
+  if (!dateRange) return null;
+  if (dateRange.start || dateRange.end) {
+    const keys = { start: toDateKey(dateRange.start), end: toDateKey(dateRange.end) };
+    return keys.start || keys.end ? keys : null;
+  }
+
+  const window = getDateWindow(dateRange);
+  if (!window) return null;
+  const lastDay = new Date(window.end);
+  lastDay.setDate(lastDay.getDate() - 1);
+  return { start: toDateKey(window.start), end: toDateKey(lastDay) };
+};
+
+// Key range for a numeric condition, or undefined when it can't be one
+const toKeyRange = ({ op, value }) => {
+  if (op === 'between') {
+    const [min, max] = Array.isArray(value) ? value : [];
+    const hasMin = isNumber(min);
+    const hasMax = isNumber(max);
+    if (hasMin && hasMax) return min <= max ? IDBKeyRange.bound(min, max) : null;
+    if (hasMin) return IDBKeyRange.lowerBound(min);
+    if (hasMax) return IDBKeyRange.upperBound(max);
+    return undefined;
+  }
+
+  if (!isNumber(value)) return undefined;
+  switch (op) {
+    case 'eq': return IDBKeyRange.only(value);
+    case 'gt': return IDBKeyRange.lowerBound(value, true);
+    case 'gte': return IDBKeyRange.lowerBound(value);
+    case 'lt': return IDBKeyRange.upperBound(value, true);
+    case 'lte': return IDBKeyRange.upperBound(value);
+    default: return undefined;
+  }
+};
+
+// Key for an equality condition on an identifier (string) index, or
+// undefined. Identifiers are looked up as stored, trimmed.
+const toIdentifierKey = ({ op, value }) => {
+  if (op !== 'eq' || !(typeof value === 'string' || isNumber(value))) return undefined;
+  const key = String(value).trim();
+  return key === '' ? undefined : key;
+};
+
+// Index and key range to read a query from. `where` is still checked against
+// every record read, as is dateRange when another index is read, so the index
+// only narrows what the cursor visits. A null range means nothing can match.
+export const planQuery = (storeName, { dateRange, where } = {}) => {
+  const indexedFields = getIndexedFields(storeName);
+  const conjuncts = getConjuncts(where).filter(condition => !condition.compute);
+
+  // One identifier is far fewer records than any date range
+  for (const condition of conjuncts) {
+    if (indexedFields[condition.field] !== 'string') continue;
+    const key = toIdentifierKey(condition);
+    if (key !== undefined) return { index: condition.field, range: IDBKeyRange.only(key) };
+  }
+
+  const dateKeys = toDateKeyRange(dateRange);
+  if (dateKeys && hasRecordDateIndex(storeName)) {
+    const { start, end } = dateKeys;
+    if (start && end) {
+      return { index: RECORD_DATE_INDEX, range: start <= end ? IDBKeyRange.bound(start, end) : null };
+    }
+    return {
+      index: RECORD_DATE_INDEX,
+      range: start ? IDBKeyRange.lowerBound(start) : IDBKeyRange.upperBound(end)
+    };
+  }
+
+  for (const condition of conjuncts) {
+    if (!NUMERIC_TYPES.includes(indexedFields[condition.field]) || !RANGE_OPS.includes(condition.op)) {
+      continue;
+    }
+    const range = toKeyRange(condition);
+    if (range !== undefined) return { index: condition.field, range };
+  }
+
+  return { index: null, range: undefined };
+};
+
+// Whether a record's date falls in inclusive { start, end } date keys, for
+// plans that don't read the record date index. Records without a date, or in
+// a store with none, are outside any range, as they are absent from the index.
+const isInDateKeyRange = (record, dateKeys) => {
+  if (!dateKeys) return true;
+  const dateKey = record[INDEX_KEYS_FIELD]?.[RECORD_DATE_INDEX];
+  if (!dateKey) return false;
+  return (!dateKeys.start || dateKey >= dateKeys.start) && (!dateKeys.end || dateKey <= dateKeys.end);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Period a YYYY-MM-DD date key falls in: 2024-03-14 (day), 2024-03-11
+// (week, by its Monday), 2024-03, 2024-Q1 or 2024, or a fiscal period of the
+// calendar given, by default the active one: FY2023-P12, FY2023-Q4 or FY2023
+export const getPeriodKey = (dateKey, period = 'month', calendar = getFiscalCalendar()) => {
+  if (!dateKey) return null;
+  if (isFiscalPeriod(period)) return getFiscalPeriodKey(dateKey, period, calendar);
+  const [year, month, day] = dateKey.split('-').map(Number);
+
+  switch (period) {
+    case 'day':
+      return dateKey;
+    case 'week': {
+      const date = new Date(year, month - 1, day);
+      date.setDate(day - ((date.getDay() + 6) % 7));
+      return toDateKey(date);
+    }
+    case 'quarter':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case 'year':
+      return String(year);
+    default:
+      return `${year}-${pad(month)}`;
+  }
+};
+
+// First day of a period key
+const getPeriodStart = (periodKey, period, calendar) => {
+  if (isFiscalPeriod(period)) return getFiscalPeriodBounds(periodKey, calendar).start;
+  if (period === 'quarter') {
+    const [year, quarter] = periodKey.split('-Q').map(Number);
+    return new Date(year, (quarter - 1) * 3, 1);
+  }
+  const [year, month = 1, day = 1] = periodKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addPeriod = (date, period, calendar) => {
+  if (isFiscalPeriod(period)) {
+    return getFiscalPeriodBounds(getFiscalPeriodKey(date, period, calendar), calendar).end;
+  }
+  const next = new Date(date);
+  if (period === 'day') next.setDate(next.getDate() + 1);
+  else if (period === 'week') next.setDate(next.getDate() + 7);
+  else if (period === 'quarter') next.setMonth(next.getMonth() + 3);
+  else if (period === 'year') next.setFullYear(next.getFullYear() + 1);
+  else next.setMonth(next.getMonth() + 1);
+  return next;
+};
+
+// Every period key from the one holding start to the one holding end
+const listPeriodKeys = (startKey, endKey, period, calendar) => {
+  const keys = [];
+  let date = getPeriodStart(startKey, period, calendar);
+  let key = startKey;
+  while (key <= endKey && keys.length < MAX_SERIES_PERIODS) {
+    keys.push(key);
+    date = addPeriod(date, period, calendar);
+    key = getPeriodKey(toDateKey(date), period, calendar);
+  }
+  return keys;
+};
+
+// Axis label for a period key
+export const formatPeriodLabel = (periodKey, period = 'month', calendar = getFiscalCalendar()) => {
+  if (isFiscalPeriod(period)) return formatFiscalPeriodLabel(periodKey, calendar);
+  if (period === 'quarter') return periodKey.replace(/^(\d{4})-(Q\d)$/, '$2 $1');
+  if (period === 'year') return periodKey;
+  const date = getPeriodStart(periodKey, period);
+  return period === 'month'
+    ? date.toLocaleDateString('en-GB', { month: 'short', year: '2-digit' })
+    : date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+};
+
+// groupBy as a list of { name, field, period, calendar }
+const normaliseGroupBy = (groupBy) => {
+  if (!groupBy) return [];
+  return (Array.isArray(groupBy) ? groupBy : [groupBy]).map(spec => {
+    if (typeof spec === 'string') return { name: spec, field: spec, period: null, calendar: null };
+    if (spec.period && !PERIODS.includes(spec.period)) {
+      throw new Error(`Unknown period: ${spec.period}`);
+    }
+    return {
+      name: spec.as || (spec.period ? 'period' : spec.field),
+      field: spec.field || null,
+      period: spec.period || null,
+      calendar: spec.calendar || getFiscalCalendar()
+    };
+  });
+};
+
+// A record's value for one group. Periods default to the record's date.
+const getGroupValue = (record, { field, period, calendar }) => {
+  if (period) {
+    const dateKey = field
+      ? toDateKey(getFieldValue(record, field))
+      : record[INDEX_KEYS_FIELD]?.[RECORD_DATE_INDEX];
+    return getPeriodKey(dateKey, period, calendar);
+  }
+  const value = getFieldValue(record, field);
+  return isEmptyValue(value) ? 'Unknown' : String(value).trim();
+};
+
+const createAccumulators = (aggregate) => Object.fromEntries(
+  Object.keys(aggregate).map(name => [name, { count: 0, sum: 0, min: null, max: null, values: new Set() }])
+);
+
+// An aggregate's own where counts only the records it matches, such as the
+// arrears accounts among all accounts in a period
+const accumulate = (accumulators, aggregate, record) => {
+  Object.entries(aggregate).forEach(([name, { op, field, where }]) => {
+    if (where && !matchesCondition(record, where)) return;
+    const state = accumulators[name];
+
+    if (op === 'count') {
+      if (!field || !isEmptyValue(getFieldValue(record, field))) state.count += 1;
+      return;
+    }
+    if (op === 'distinct') {
+      const value = getFieldValue(record, field);
+      if (!isEmptyValue(value)) state.values.add(String(value).trim());
+      return;
+    }
+
+    const value = getNumericValue(record, field);
+    if (value === null) return;
+    state.count += 1;
+    state.sum += value;
+    state.min = state.min === null ? value : Math.min(state.min, value);
+    state.max = state.max === null ? value : Math.max(state.max, value);
+  });
+};
+
+const finaliseAccumulators = (accumulators, aggregate) => Object.fromEntries(
+  Object.entries(aggregate).map(([name, { op }]) => {
+    const state = accumulators[name];
+    switch (op) {
+      case 'count': return [name, state.count];
+      case 'sum': return [name, state.sum];
+      case 'avg': return [name, state.count > 0 ? state.sum / state.count : null];
+      case 'min': return [name, state.min];
+      case 'max': return [name, state.max];
+      case 'distinct': return [name, state.values.size];
+      default: throw new Error(`Unknown aggregate: ${op}`);
+    }
+  })
+);
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (isEmptyValue(a)) return 1;
+  if (isEmptyValue(b)) return -1;
+  if (isNumber(a) && isNumber(b)) return a - b;
+  if (a instanceof Date && b instanceof Date) return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const sortRows = (rows, { field, direction = 'asc' }, readValue) => {
+  const sign = direction === 'desc' ? -1 : 1;
+  return rows.sort((a, b) => sign * compareValues(readValue(a, field), readValue(b, field)));
+};
+
+const projectRecord = (record, select) => {
+  if (!select) return withoutIndexKeys(record);
+  return Object.fromEntries(select.map(field => [field, getFieldValue(record, field)]));
+};
+
+// Run a query against a store. Without groupBy or aggregate it returns the
+// matching records; otherwise one row per group holding the group values
+// and the aggregates, ordered by group.
+export const queryStore = async (storeName, query = {}) => {
+  const { where, select, groupBy, orderBy, limit } = query;
+  const { index, range } = planQuery(storeName, query);
+  if (range === null) return [];
+  const dateKeys = index === RECORD_DATE_INDEX ? null : toDateKeyRange(query.dateRange);
+  const matches = (record) => isInDateKeyRange(record, dateKeys) && matchesCondition(record, where);
+
+  const groups = normaliseGroupBy(groupBy);
+  const isAggregate = groups.length > 0 || Boolean(query.aggregate);
+
+  if (!isAggregate) {
+    const records = [];
+    // Without an order, stop reading as soon as the limit is reached
+    const stopAt = !orderBy && limit ? limit : Infinity;
+    await iterateRecords(storeName, { index, range }, record => {
+      if (!matches(record)) return true;
+      records.push(projectRecord(record, select));
+      return records.length < stopAt;
+    });
+
+    const ordered = orderBy ? sortRows(records, orderBy, getFieldValue) : records;
+    return limit ? ordered.slice(0, limit) : ordered;
+  }
+
+  const aggregate = query.aggregate || DEFAULT_AGGREGATE;
+  const buckets = new Map();
+
+  await iterateRecords(storeName, { index, range }, record => {
+    if (!matches(record)) return true;
+
+    const values = groups.map(group => getGroupValue(record, group));
+    // Records without a date can't be placed in a period
+    if (groups.some((group, i) => group.period && values[i] === null)) return true;
+
+    const key = JSON.stringify(values);
+    if (!buckets.has(key)) {
+      buckets.set(key, { values, accumulators: createAccumulators(aggregate) });
+    }
+    accumulate(buckets.get(key).accumulators, aggregate, record);
+    return true;
+  });
+
+  let rows = Array.from(buckets.values()).map(({ values, accumulators }) => ({
+    ...Object.fromEntries(groups.map((group, i) => [group.name, values[i]])),
+    ...finaliseAccumulators(accumulators, aggregate)
+  }));
+
+  // An aggregate over no groups still has its one row when nothing matched
+  if (groups.length === 0 && rows.length === 0) {
+    rows = [finaliseAccumulators(createAccumulators(aggregate), aggregate)];
+  }
+
+  rows = orderBy
+    ? sortRows(rows, orderBy, (row, field) => row[field])
+    : rows.sort((a, b) => {
+      for (const { name } of groups) {
+        const order = compareValues(a[name], b[name]);
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+
+  return limit ? rows.slice(0, limit) : rows;
+};
+
+// Values of an indexed field with their record counts, read from the index
+// keys without loading any record. match picks the values to count.
+export const countIndexValues = async (storeName, field, match = () => true) => {
+  const counts = new Map();
+  await iterateRecords(storeName, { index: field, keysOnly: true }, key => {
+    if (match(key)) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return Array.from(counts, ([value, count]) => ({ value, count }));
+};
+
+// Pre-aggregated time series for charts: one row per period from the first
+// to the last (or across dateRange when given), with empty periods filled in.
+// dateField picks a date other than the report's own; split adds a field to
+// group by within each period, giving one row per period and value. Fiscal
+// periods use calendar, or the active fiscal calendar.
+export const querySeries = async (storeName, {
+  period = 'month',
+  dateField = null,
+  dateRange = null,
+  where = null,
+  aggregate = DEFAULT_AGGREGATE,
+  split = null,
+  calendar = getFiscalCalendar()
+} = {}) => {
+  const periodGroup = { period, field: dateField, as: 'period', calendar };
+  const rows = await queryStore(storeName, {
+    dateRange,
+    where,
+    aggregate,
+    groupBy: split ? [periodGroup, split] : [periodGroup]
+  });
+
+  const dateKeys = toDateKeyRange(dateRange);
+  const rangeStart = getPeriodKey(dateKeys?.start, period, calendar);
+  const rangeEnd = getPeriodKey(dateKeys?.end, period, calendar);
+  const firstKey = rangeStart || rows[0]?.period;
+  const lastKey = rangeEnd || rows[rows.length - 1]?.period;
+  if (!firstKey || !lastKey) return [];
+
+  const empty = finaliseAccumulators(createAccumulators(aggregate), aggregate);
+  const splitValues = split ? Array.from(new Set(rows.map(row => row[split]))) : [null];
+  const rowsByKey = new Map(rows.map(row => [`${row.period}|${split ? row[split] : ''}`, row]));
+
+  return listPeriodKeys(firstKey, lastKey, period, calendar).flatMap(key => splitValues.map(value => (
+    rowsByKey.get(`${key}|${split ? value : ''}`) ||
+    { period: key, ...(split ? { [split]: value } : {}), ...empty }
+  )));
+};
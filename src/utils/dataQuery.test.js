@@ -0,0 +1,170 @@
+import {
+  countIndexValues,
+  formatPeriodLabel,
+  getPeriodKey,
+  planQuery,
+  querySeries,
+  queryStore,
+  toDateKeyRange
+} from './dataQuery';
+import { withIndexKeys } from './dbSchema';
+import { iterateRecords } from './indexedDBHelper';
+
+jest.mock('./indexedDBHelper', () => ({ iterateRecords: jest.fn() }));
+
+// jsdom has no IndexedDB; key ranges only need to show the bounds planned
+beforeAll(() => {
+  global.IDBKeyRange = {
+    only: value => ({ only: value }),
+    bound: (lower, upper) => ({ lower, upper }),
+    lowerBound: (lower, open = false) => ({ lower, lowerOpen: open }),
+    upperBound: (upper, open = false) => ({ upper, upperOpen: open })
+  };
+});
+
+afterAll(() => {
+  delete global.IDBKeyRange;
+});
+
+describe('planQuery', () => {
+  test('reads an identifier equality through its index', () => {
+    expect(planQuery('arrears', { where: { field: 'customer_id', op: 'eq', value: ' C1 ' } }))
+      .toEqual({ index: 'customer_id', range: { only: 'C1' } });
+  });
+
+  test('reads an identifier through its index with a date range too, inside an all group', () => {
+    const plan = planQuery('complaints', {
+      dateRange: { start: '2025-01-01', end: '2025-03-31' },
+      where: { all: [{ field: 'category', op: 'eq', value: 'Billing' }, { field: 'customer_id', op: 'eq', value: 42 }] }
+    });
+    expect(plan).toEqual({ index: 'customer_id', range: { only: '42' } });
+  });
+
+  test('reads a date range through the record date index', () => {
+    expect(planQuery('lending-volume', { dateRange: { start: '2025-01-01', end: '2025-03-31' } }))
+      .toEqual({ index: 'record_date', range: { lower: '2025-01-01', upper: '2025-03-31' } });
+    expect(planQuery('lending-volume', { dateRange: { start: '2025-04-01', end: '2025-03-31' } }).range).toBeNull();
+  });
+
+  test('reads a numeric range condition through its index', () => {
+    expect(planQuery('liquidations', { where: { field: 'funded_year', op: 'gte', value: 2024 } }))
+      .toEqual({ index: 'funded_year', range: { lower: 2024, lowerOpen: false } });
+  });
+
+  test('scans the store when no index helps', () => {
+    expect(planQuery('arrears', { where: { field: 'customer_id', op: 'contains', value: 'C1' } }))
+      .toEqual({ index: null, range: undefined });
+    expect(planQuery('arrears', {
+      where: { field: 'customer_id', compute: 'length', op: 'eq', value: '3' }
+    }).index).toBeNull();
+  });
+});
+
+test('toDateKeyRange turns dates and presets into inclusive day keys', () => {
+  expect(toDateKeyRange({ start: new Date(2025, 0, 5), end: null })).toEqual({ start: '2025-01-05', end: null });
+  expect(toDateKeyRange({ preset: 'all' })).toBeNull();
+  expect(toDateKeyRange(null)).toBeNull();
+});
+
+describe('periods', () => {
+  const calendar = { startMonth: 4, weekPattern: null };
+
+  test('getPeriodKey names the period a day falls in', () => {
+    expect(getPeriodKey('2025-03-14', 'day')).toBe('2025-03-14');
+    expect(getPeriodKey('2025-03-14', 'week')).toBe('2025-03-10');
+    expect(getPeriodKey('2025-03-14', 'month')).toBe('2025-03');
+    expect(getPeriodKey('2025-03-14', 'quarter')).toBe('2025-Q1');
+    expect(getPeriodKey('2025-03-14', 'year')).toBe('2025');
+    expect(getPeriodKey(null, 'month')).toBeNull();
+  });
+
+  test('getPeriodKey follows the fiscal calendar given', () => {
+    expect(getPeriodKey('2025-03-14', 'fiscal_year', calendar)).toBe('FY2024');
+    expect(getPeriodKey('2025-04-01', 'fiscal_quarter', calendar)).toBe('FY2025-Q1');
+    expect(formatPeriodLabel('FY2025-Q1', 'fiscal_quarter', calendar)).toBe('Q1 FY25/26');
+  });
+
+  test('formatPeriodLabel labels calendar periods', () => {
+    expect(formatPeriodLabel('2025-03', 'month')).toBe('Mar 25');
+    expect(formatPeriodLabel('2025-Q1', 'quarter')).toBe('Q1 2025');
+    expect(formatPeriodLabel('2025-03-10', 'week')).toBe('10 Mar');
+  });
+});
+
+describe('queries', () => {
+  const records = [
+    { customer_id: 'A', stage_date: '2025-01-10', stage: 'Arrears_30', total_due: 100 },
+    { customer_id: 'A', stage_date: '2025-01-20', stage: 'Active', total_due: 50 },
+    { customer_id: 'B', stage_date: '2025-03-02', stage: 'Arrears_60', total_due: 200 },
+    { customer_id: 'C', stage_date: '', stage: 'Active', total_due: 10 }
+  ].map(record => withIndexKeys('arrears', record));
+
+  beforeEach(() => {
+    iterateRecords.mockReset();
+    iterateRecords.mockImplementation(async (storeName, { keysOnly }, onRecord) => {
+      for (const record of records) {
+        if (onRecord(keysOnly ? record._index.customer_id : record) === false) break;
+      }
+    });
+  });
+
+  test('queryStore returns matching records without their index keys', async () => {
+    const rows = await queryStore('arrears', {
+      where: { field: 'stage', op: 'startsWith', value: 'Arrears' },
+      orderBy: { field: 'total_due', direction: 'desc' }
+    });
+    expect(rows.map(row => row.total_due)).toEqual([200, 100]);
+    expect(rows[0]._index).toBeUndefined();
+  });
+
+  test('queryStore keeps to the date range when it reads another index', async () => {
+    const rows = await queryStore('arrears', {
+      dateRange: { start: '2025-01-15', end: '2025-03-31' },
+      where: { field: 'customer_id', op: 'eq', value: 'A' }
+    });
+    expect(iterateRecords).toHaveBeenCalledWith('arrears', { index: 'customer_id', range: { only: 'A' } }, expect.any(Function));
+    expect(rows.map(row => row.total_due)).toEqual([50]);
+  });
+
+  test('queryStore finds nothing in a date range for a store without dates', async () => {
+    const agents = [{ phone_numbers: '0161 000', total_calls: 12 }].map(record => withIndexKeys('call-center-agents', record));
+    iterateRecords.mockImplementation(async (storeName, options, onRecord) => agents.forEach(onRecord));
+
+    expect(await queryStore('call-center-agents', { where: { field: 'phone_numbers', op: 'eq', value: '0161 000' } }))
+      .toHaveLength(1);
+    expect(await queryStore('call-center-agents', {
+      dateRange: { start: '2025-01-01', end: '2025-03-31' },
+      where: { field: 'phone_numbers', op: 'eq', value: '0161 000' }
+    })).toEqual([]);
+  });
+
+  test('queryStore groups by period, with per-aggregate conditions', async () => {
+    const arrears = { field: 'stage', op: 'startsWith', value: 'Arrears' };
+    const rows = await queryStore('arrears', {
+      groupBy: { period: 'month' },
+      aggregate: {
+        accounts: { op: 'distinct', field: 'customer_id' },
+        arrearsDue: { op: 'sum', field: 'total_due', where: arrears }
+      }
+    });
+    expect(rows).toEqual([
+      { period: '2025-01', accounts: 1, arrearsDue: 100 },
+      { period: '2025-03', accounts: 1, arrearsDue: 200 }
+    ]);
+  });
+
+  test('querySeries fills the periods between with empty rows', async () => {
+    const series = await querySeries('arrears', { period: 'month', aggregate: { due: { op: 'sum', field: 'total_due' } } });
+    expect(series).toEqual([
+      { period: '2025-01', due: 150 },
+      { period: '2025-02', due: 0 },
+      { period: '2025-03', due: 200 }
+    ]);
+  });
+
+  test('countIndexValues counts index keys without reading records', async () => {
+    const counts = await countIndexValues('arrears', 'customer_id', id => id !== 'C');
+    expect(iterateRecords).toHaveBeenCalledWith('arrears', { index: 'customer_id', keysOnly: true }, expect.any(Function));
+    expect(counts).toEqual([{ value: 'A', count: 2 }, { value: 'B', count: 1 }]);
+  });
+});
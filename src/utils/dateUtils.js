@@ -1,5 +1,28 @@
 // src/utils/dateUtils.js
 import { DATE_PRESETS } from './constants';
+import {
+  getFiscalCalendar,
+  getFiscalPeriodBounds,
+  getFiscalPeriodKey,
+  getFiscalYearOf
+} from './fiscalCalendar';
+
+// First and last day of a fiscal preset in the active fiscal calendar
+const getFiscalPresetDays = (preset, today) => {
+  const calendar = getFiscalCalendar();
+  const unit = preset.endsWith('_quarter') ? 'fiscal_quarter' : 'fiscal_year';
+  let bounds = getFiscalPeriodBounds(getFiscalPeriodKey(today, unit, calendar), calendar);
+
+  if (preset.startsWith('last_')) {
+    const dayBefore = new Date(bounds.start.getFullYear(), bounds.start.getMonth(), bounds.start.getDate() - 1);
+    bounds = getFiscalPeriodBounds(getFiscalPeriodKey(dayBefore, unit, calendar), calendar);
+  }
+
+  const lastDay = preset === 'fiscal_year_to_date'
+    ? today
+    : new Date(bounds.end.getFullYear(), bounds.end.getMonth(), bounds.end.getDate() - 1);
+  return { start: bounds.start, end: lastDay };
+};
 
 // Get date range based on preset
 export const getDateRangeFromPreset = (preset) => {
@@ -7,6 +30,16 @@ export const getDateRangeFromPreset = (preset) => {
   const endDate = new Date(today);
   let startDate = new Date(today);
 
+  // Fiscal days are formatted as local dates, as their midnights can fall on
+  // the previous day in UTC
+  if (DATE_PRESETS[preset]?.type === 'fiscal') {
+    const days = getFiscalPresetDays(preset, today);
+    return {
+      start: formatDate(days.start, 'YYYY-MM-DD'),
+      end: formatDate(days.end, 'YYYY-MM-DD')
+    };
+  }
+
   switch (preset) {
     case 'last_7_days':
       startDate.setDate(today.getDate() - 7);
@@ -43,6 +76,19 @@ export const getDateRangeFromPreset = (preset) => {
   };
 };
 
+// Presets offered by date range pickers, with the YYYY-MM-DD days each
+// covers today
+export const getDateRangePresets = () => Object.entries(DATE_PRESETS)
+  .filter(([, preset]) => preset.type !== 'custom')
+  .map(([key, preset]) => ({ key, label: preset.label, ...getDateRangeFromPreset(key) }));
+
+// Whether a start and end date are both valid, in order
+export const isValidDateRange = (startDate, endDate) => {
+  const start = typeof startDate === 'string' ? parseDate(startDate) : startDate;
+  const end = typeof endDate === 'string' ? parseDate(endDate) : endDate;
+  return isValidDate(start) && isValidDate(end) && start <= end;
+};
+
 // Format date for HTML input (YYYY-MM-DD)
 export const formatDateForInput = (date) => {
   if (!date) return '';
@@ -145,8 +191,9 @@ export const getChartDateRange = (data, groupBy = 'day') => {
   return dateRange;
 };
 
-// Group data by date periods
-export const groupDataByDatePeriod = (data, period = 'day') => {
+// Group data by date periods. Fiscal periods (fiscal_period, fiscal_quarter,
+// fiscal_year) are keyed as by getFiscalPeriodKey in the given calendar.
+export const groupDataByDatePeriod = (data, period = 'day', calendar = getFiscalCalendar()) => {
   const grouped = {};
 
   data.forEach(item => {
@@ -174,6 +221,11 @@ export const groupDataByDatePeriod = (data, period = 'day') => {
       case 'year':
         key = date.getFullYear().toString();
         break;
+      case 'fiscal_period':
+      case 'fiscal_quarter':
+      case 'fiscal_year':
+        key = getFiscalPeriodKey(date, period, calendar);
+        break;
       default:
         key = date.toISOString().split('T')[0];
     }
@@ -226,14 +278,9 @@ export const getWeekNumber = (date) => {
   return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
 };
 
-// Get fiscal year (assuming April to March)
-export const getFiscalYear = (date, fiscalYearStart = 4) => {
-  const d = new Date(date);
-  const year = d.getFullYear();
-  const month = d.getMonth() + 1;
-  
-  return month >= fiscalYearStart ? year : year - 1;
-};
+// Get fiscal year, named by the calendar year it starts in (April to March
+// unless the fiscal calendar has been changed)
+export const getFiscalYear = (date, calendar = getFiscalCalendar()) => getFiscalYearOf(new Date(date), calendar);
 
 // Generate date labels for charts
 export const generateDateLabels = (startDate, endDate, period = 'day') => {
@@ -358,6 +405,76 @@ export const isWithinDateRange = (date, start, end) => {
   return d >= startDate && d <= endDate;
 };
 
+// Resolve a filter date range ({ start, end, preset }) to a [start, end) window
+// of whole days. Returns null when no range is active.
+export const getDateWindow = (dateRange) => {
+  if (!dateRange) return null;
+
+  let { start, end } = dateRange;
+  if ((!start || !end) && dateRange.preset && !['all', 'custom'].includes(dateRange.preset)) {
+    ({ start, end } = getDateRangeFromPreset(dateRange.preset));
+  }
+
+  const startDate = start instanceof Date ? start : parseDate(start);
+  const endDate = end instanceof Date ? end : parseDate(end);
+  if (!isValidDate(startDate) || !isValidDate(endDate)) return null;
+
+  return {
+    start: new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate()),
+    end: new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1)
+  };
+};
+
+// Get the window a KPI is compared against:
+// - previous_period: same length immediately before (a whole month, quarter or
+//   year steps back to the previous calendar period, and a whole fiscal
+//   quarter or year to the previous fiscal one)
+// - previous_year: the same dates one year earlier
+// - baseline: an explicit date range chosen by the user
+export const getComparisonWindow = (window, mode = 'previous_period', baseline = null) => {
+  if (mode === 'baseline') return getDateWindow(baseline);
+  if (!window) return null;
+
+  switch (mode) {
+    case 'previous_period': {
+      const period = ['month', 'quarter', 'year'].find(candidate => {
+        const bounds = getPeriodBounds(window.start, candidate);
+        return bounds.start.getTime() === window.start.getTime() &&
+          bounds.end.getTime() === window.end.getTime();
+      });
+      const dayBefore = new Date(window.start.getFullYear(), window.start.getMonth(), window.start.getDate() - 1);
+      if (period) return getPeriodBounds(dayBefore, period);
+
+      const fiscalPeriod = ['fiscal_quarter', 'fiscal_year'].find(candidate => {
+        const bounds = getFiscalPeriodBounds(getFiscalPeriodKey(window.start, candidate));
+        return bounds.start.getTime() === window.start.getTime() &&
+          bounds.end.getTime() === window.end.getTime();
+      });
+      if (fiscalPeriod) return getFiscalPeriodBounds(getFiscalPeriodKey(dayBefore, fiscalPeriod));
+
+      const days = Math.round((window.end - window.start) / (1000 * 60 * 60 * 24));
+      return {
+        start: new Date(window.start.getFullYear(), window.start.getMonth(), window.start.getDate() - days),
+        end: new Date(window.start)
+      };
+    }
+    case 'previous_year':
+      return {
+        start: new Date(window.start.getFullYear() - 1, window.start.getMonth(), window.start.getDate()),
+        end: new Date(window.end.getFullYear() - 1, window.end.getMonth(), window.end.getDate())
+      };
+    default:
+      return null;
+  }
+};
+
+// Format a [start, end) window with its inclusive last day, e.g. "01/04/2025 - 30/04/2025"
+export const formatDateWindow = (window) => {
+  if (!window) return '';
+  const lastDay = new Date(window.end.getFullYear(), window.end.getMonth(), window.end.getDate() - 1);
+  return `${formatDate(window.start)} - ${formatDate(lastDay)}`;
+};
+
 // Export all utilities
 export default {
   getDateRangeFromPreset,
@@ -371,7 +488,12 @@ export default {
   getQuarter,
   getWeekNumber,
   getFiscalYear,
+  getDateRangePresets,
+  isValidDateRange,
   generateDateLabels,
   getDateDifference,
-  getPeriodBounds
+  getPeriodBounds,
+  getDateWindow,
+  getComparisonWindow,
+  formatDateWindow
 };
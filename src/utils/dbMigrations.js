@@ -0,0 +1,211 @@
+// src/utils/dbMigrations.js
+import { DB_CONFIG } from './constants';
+import { getIndexKeys } from './dbSchema';
+
+// Ordered, numbered schema migrations. Opening the database at a newer
+// version runs every migration above the stored version inside the upgrade
+// transaction, oldest first. Migrations are never edited once released:
+// change the schema by appending a migration and bumping DB_CONFIG.VERSION.
+
+export const SCHEMA_RECORD_ID = 'schema';
+
+const { STORES } = DB_CONFIG;
+
+// Indexes created on raw columns before indexes were derived from REPORT_CONFIG.
+// Most named fields no report has.
+const LEGACY_INDEXES = [
+  'date', 'account_id', 'days_overdue', 'recovery_rate', 'call_id',
+  'complaint_id', 'complaint_type', 'status'
+];
+
+// Report store indexes as REPORT_CONFIG declared them at version 3: the
+// indexed fields with their types, and the dateField the record_date index
+// reads. Frozen here so the migration builds the same schema whatever the
+// config says later.
+const V3_STORE_INDEXES = {
+  [STORES.LENDING]: {
+    fields: { customer_id: 'string', stage_date: 'date', stage: 'category', payment_status: 'category' },
+    dateField: 'stage_date'
+  },
+  [STORES.ARREARS]: {
+    fields: { customer_id: 'string', stage_date: 'date', stage: 'category', payment_status: 'category' },
+    dateField: 'stage_date'
+  },
+  [STORES.LIQUIDATIONS]: {
+    fields: { funded_year: 'number', funded_month: 'number' },
+    dateField: { year: 'funded_year', month: 'funded_month' }
+  },
+  [STORES.CALL_CENTER]: {
+    fields: { call_id: 'string', date_time: 'datetime', agent_name: 'category' },
+    dateField: 'date_time'
+  },
+  [STORES.CALL_CENTER_AGENTS]: {
+    fields: { phone_numbers: 'string' },
+    dateField: null
+  },
+  [STORES.CALL_CENTER_STATS]: {
+    fields: { call_id: 'string', date_time_earliest: 'datetime' },
+    dateField: 'date_time_earliest'
+  },
+  [STORES.CALL_CENTER_FCR]: {
+    fields: { date: 'date' },
+    dateField: 'date'
+  },
+  [STORES.COMPLAINTS]: {
+    fields: { customer_id: 'string', received_date: 'date', category: 'category' },
+    dateField: 'received_date'
+  }
+};
+
+const createStore = (db, storeName) => {
+  if (db.objectStoreNames.contains(storeName)) return;
+  db.createObjectStore(storeName, { keyPath: '_id', autoIncrement: false });
+};
+
+const createIndex = (store, name, keyPath, options = { unique: false }) => {
+  if (store.indexNames.contains(name)) return;
+  store.createIndex(name, keyPath, options);
+};
+
+const deleteIndex = (store, name) => {
+  if (store.indexNames.contains(name)) store.deleteIndex(name);
+};
+
+// Rewrite every record of a store. transform returns the new record, or null
+// to delete it.
+const transformRecords = (store, transform) => {
+  const request = store.openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+
+    const updated = transform(cursor.value);
+    if (updated === null) {
+      cursor.delete();
+    } else if (updated !== cursor.value) {
+      cursor.update(updated);
+    }
+    cursor.continue();
+  };
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create report and metadata stores',
+    upgrade: ({ db, transaction }) => {
+      [STORES.LENDING, STORES.ARREARS, STORES.LIQUIDATIONS, STORES.CALL_CENTER, STORES.COMPLAINTS, STORES.METADATA]
+        .forEach(storeName => {
+          createStore(db, storeName);
+          const store = transaction.objectStore(storeName);
+          createIndex(store, 'date', 'date');
+          createIndex(store, 'processed_date', '_processed_date');
+        });
+
+      createIndex(transaction.objectStore(STORES.ARREARS), 'account_id', 'account_id');
+      createIndex(transaction.objectStore(STORES.ARREARS), 'days_overdue', 'days_overdue');
+      createIndex(transaction.objectStore(STORES.LIQUIDATIONS), 'account_id', 'account_id');
+      createIndex(transaction.objectStore(STORES.LIQUIDATIONS), 'recovery_rate', 'recovery_rate');
+      ['complaint_id', 'complaint_type', 'status'].forEach(field => {
+        createIndex(transaction.objectStore(STORES.COMPLAINTS), field, field);
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add stores for the call center sub-reports',
+    upgrade: ({ db, transaction }) => {
+      [STORES.CALL_CENTER_AGENTS, STORES.CALL_CENTER_STATS, STORES.CALL_CENTER_FCR].forEach(storeName => {
+        createStore(db, storeName);
+        const store = transaction.objectStore(storeName);
+        createIndex(store, 'date', 'date');
+        createIndex(store, 'processed_date', '_processed_date');
+      });
+
+      [STORES.CALL_CENTER, STORES.CALL_CENTER_STATS].forEach(storeName => {
+        createIndex(transaction.objectStore(storeName), 'call_id', 'call_id');
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Replace column indexes with indexes derived from the report config',
+    upgrade: ({ transaction }) => {
+      Object.entries(V3_STORE_INDEXES).forEach(([storeName, { fields, dateField }]) => {
+        const store = transaction.objectStore(storeName);
+        LEGACY_INDEXES.forEach(name => deleteIndex(store, name));
+
+        Object.keys(fields).forEach(field => createIndex(store, field, `_index.${field}`));
+        if (dateField) createIndex(store, 'record_date', '_index.record_date');
+        createIndex(store, 'batch_id', '_batch_id');
+
+        transformRecords(store, record => ({ ...record, _index: getIndexKeys(record, fields, dateField) }));
+      });
+
+      const metadata = transaction.objectStore(STORES.METADATA);
+      LEGACY_INDEXES.forEach(name => deleteIndex(metadata, name));
+      createIndex(metadata, 'type', 'type');
+    }
+  },
+  {
+    version: 4,
+    description: 'Add a store for saved dashboard views',
+    upgrade: ({ db, transaction }) => {
+      createStore(db, STORES.VIEWS);
+      createIndex(transaction.objectStore(STORES.VIEWS), 'dashboard', 'dashboard');
+    }
+  },
+  {
+    version: 5,
+    description: 'Move upload batch rows out of the metadata store',
+    upgrade: ({ db, transaction }) => {
+      createStore(db, 'upload-batches');
+      const batches = transaction.objectStore('upload-batches');
+
+      transformRecords(transaction.objectStore(STORES.METADATA), record => {
+        if (record.type !== 'upload-batch' || !Array.isArray(record.rows)) return record;
+
+        const { rows, before, removed, ...batch } = record;
+        batches.put({ _id: record._id, rows, before: before || [], removed: removed || [] });
+        return batch;
+      });
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Run the migrations between oldVersion and newVersion, then log them in the
+// schema record. Throws if a migration fails, which aborts the upgrade.
+export const runMigrations = ({ db, transaction, oldVersion, newVersion }) => {
+  const pending = MIGRATIONS.filter(migration =>
+    migration.version > oldVersion && migration.version <= newVersion
+  );
+
+  pending.forEach(migration => {
+    try {
+      migration.upgrade({ db, transaction, oldVersion });
+    } catch (error) {
+      throw new Error(`Migration ${migration.version} (${migration.description}) failed: ${error.message}`);
+    }
+  });
+
+  const metadata = transaction.objectStore(STORES.METADATA);
+  const request = metadata.get(SCHEMA_RECORD_ID);
+  request.onsuccess = () => {
+    const appliedAt = new Date().toISOString();
+    const existing = request.result;
+    metadata.put({
+      _id: SCHEMA_RECORD_ID,
+      type: 'schema',
+      version: newVersion,
+      migrations: [
+        ...(existing?.migrations || []),
+        ...pending.map(({ version, description }) => ({ version, description, appliedAt }))
+      ],
+      updatedAt: appliedAt
+    });
+  };
+
+  return pending;
+};
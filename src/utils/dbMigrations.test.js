@@ -0,0 +1,139 @@
+import { DB_CONFIG } from './constants';
+import { getReportStores, getStoreIndexes } from './dbSchema';
+import { LATEST_SCHEMA_VERSION, MIGRATIONS, SCHEMA_RECORD_ID, runMigrations } from './dbMigrations';
+
+const { STORES } = DB_CONFIG;
+
+// In-memory stand-in for the database and upgrade transaction a migration is
+// given. Requests succeed on a later tick, as IndexedDB's do.
+const createUpgrade = () => {
+  const stores = new Map();
+
+  const request = (getResult) => {
+    const req = {};
+    Promise.resolve().then(() => {
+      req.result = getResult();
+      req.onsuccess?.();
+    });
+    return req;
+  };
+
+  const createStore = () => {
+    const records = new Map();
+    const indexes = new Map();
+    return {
+      records,
+      indexes,
+      indexNames: { contains: name => indexes.has(name) },
+      createIndex: (name, keyPath) => indexes.set(name, keyPath),
+      deleteIndex: name => indexes.delete(name),
+      get: id => request(() => records.get(id)),
+      put: record => request(() => records.set(record._id, record)),
+      openCursor: () => {
+        const ids = Array.from(records.keys());
+        let position = 0;
+        const req = {};
+        const step = () => Promise.resolve().then(() => {
+          const id = ids[position];
+          req.result = id === undefined ? null : {
+            value: records.get(id),
+            update: record => records.set(id, record),
+            delete: () => records.delete(id),
+            continue: () => { position += 1; step(); }
+          };
+          req.onsuccess?.();
+        });
+        step();
+        return req;
+      }
+    };
+  };
+
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore: name => stores.set(name, createStore())
+  };
+  const transaction = { objectStore: name => stores.get(name) };
+  return { db, transaction, stores };
+};
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const upgrade = async (target, oldVersion, newVersion) => {
+  const pending = runMigrations({ ...target, oldVersion, newVersion });
+  await settle();
+  return pending;
+};
+
+test('migrations are numbered in order up to the configured version', () => {
+  expect(MIGRATIONS.map(migration => migration.version)).toEqual(MIGRATIONS.map((_, index) => index + 1));
+  expect(LATEST_SCHEMA_VERSION).toBe(DB_CONFIG.VERSION);
+});
+
+test('a new database gets every store and the indexes the report config declares', async () => {
+  const target = createUpgrade();
+  const pending = await upgrade(target, 0, LATEST_SCHEMA_VERSION);
+
+  expect(pending).toHaveLength(MIGRATIONS.length);
+  expect(target.stores.has(STORES.VIEWS)).toBe(true);
+  expect(target.stores.has(STORES.UPLOAD_BATCHES)).toBe(true);
+
+  getReportStores().forEach(storeName => {
+    const { indexes } = target.stores.get(storeName);
+    getStoreIndexes(storeName).forEach(({ name, keyPath }) => {
+      expect([storeName, name, indexes.get(name)]).toEqual([storeName, name, keyPath]);
+    });
+    expect(indexes.get('batch_id')).toBe('_batch_id');
+    // The legacy raw date column index is gone (the FCR store indexes its date field)
+    expect(indexes.get('date')).not.toBe('date');
+  });
+  expect(target.stores.get(STORES.METADATA).indexes.get('type')).toBe('type');
+});
+
+test('the schema record logs each migration applied', async () => {
+  const target = createUpgrade();
+  await upgrade(target, 0, 4);
+  await upgrade(target, 4, 5);
+
+  const schema = target.stores.get(STORES.METADATA).records.get(SCHEMA_RECORD_ID);
+  expect(schema.version).toBe(5);
+  expect(schema.migrations.map(migration => migration.version)).toEqual([1, 2, 3, 4, 5]);
+});
+
+test('version 3 writes index keys onto stored records', async () => {
+  const target = createUpgrade();
+  await upgrade(target, 0, 2);
+  target.stores.get(STORES.ARREARS).records.set('a1', {
+    _id: 'a1', customer_id: ' C1 ', stage_date: '05/03/2025', stage: 'Arrears_30'
+  });
+  await upgrade(target, 2, 3);
+
+  expect(target.stores.get(STORES.ARREARS).records.get('a1')._index).toEqual({
+    customer_id: 'C1',
+    stage_date: '2025-03-05',
+    stage: 'Arrears_30',
+    record_date: '2025-03-05'
+  });
+});
+
+test('version 5 moves upload batch rows out of the metadata store', async () => {
+  const target = createUpgrade();
+  await upgrade(target, 0, 4);
+  const metadata = target.stores.get(STORES.METADATA);
+  metadata.records.set('b1', { _id: 'b1', type: 'upload-batch', fileName: 'march.csv', rows: [{ _id: 'r1' }], before: [{ _id: 'r0' }] });
+  metadata.records.set('p1', { _id: 'p1', type: 'mapping-profile', rows: ['kept'] });
+  await upgrade(target, 4, 5);
+
+  expect(metadata.records.get('b1')).toEqual({ _id: 'b1', type: 'upload-batch', fileName: 'march.csv' });
+  expect(metadata.records.get('p1').rows).toEqual(['kept']);
+  expect(target.stores.get(STORES.UPLOAD_BATCHES).records.get('b1')).toEqual({
+    _id: 'b1', rows: [{ _id: 'r1' }], before: [{ _id: 'r0' }], removed: []
+  });
+});
+
+test('a failing migration names itself', () => {
+  const target = createUpgrade();
+  target.db.createObjectStore = () => { throw new Error('quota exceeded'); };
+  expect(() => runMigrations({ ...target, oldVersion: 0, newVersion: 1 }))
+    .toThrow('Migration 1 (Create report and metadata stores) failed: quota exceeded');
+});
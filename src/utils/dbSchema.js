@@ -0,0 +1,147 @@
+// src/utils/dbSchema.js
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { parseDate } from './dateUtils';
+import { getFieldValue, getNumericValue, getDateValue, getRecordDate, isEmptyValue } from './fieldUtils';
+
+// IndexedDB indexes for each report store, derived from REPORT_CONFIG: the
+// natural key fields, the date field(s) and any field marked `indexed`.
+// Stored rows keep whichever headers they were uploaded with, so every put
+// adds an `_index` object holding each indexed field's normalised value, and
+// the indexes are built on `_index.<field>` rather than the raw columns.
+
+export const INDEX_KEYS_FIELD = '_index';
+
+// Every report store also gets an index on the record's period date, so date
+// range queries work the same whatever shape the report's dateField has
+export const RECORD_DATE_INDEX = 'record_date';
+
+export const NUMERIC_TYPES = ['number', 'currency', 'percentage'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const formatDateTimeKey = (date) =>
+  `${formatDateKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+
+// Date or date string as the YYYY-MM-DD key the date indexes hold
+export const toDateKey = (value) => {
+  if (isEmptyValue(value)) return null;
+  // ISO dates are kept as written; new Date() would read them as UTC midnight
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value.trim())) {
+    return value.trim().slice(0, 10);
+  }
+  const date = value instanceof Date ? value : parseDate(String(value).trim());
+  return date && !isNaN(date.getTime()) ? formatDateKey(date) : null;
+};
+
+let storeSchemas = null;
+
+// Store, fields, naturalKey and dateField of every report and file structure
+const getStoreSchemas = () => {
+  if (!storeSchemas) {
+    storeSchemas = Object.entries(REPORT_CONFIG).flatMap(([reportType, config]) => {
+      const structures = Object.values(config.fileStructures || {});
+      if (structures.length === 0) {
+        return [{ store: reportType, ...config }];
+      }
+      return structures.map(structure => ({ ...structure, store: structure.store || reportType }));
+    });
+  }
+  return storeSchemas;
+};
+
+const getDateFieldNames = (dateField) => {
+  if (!dateField) return [];
+  return typeof dateField === 'string' ? [dateField] : [dateField.year, dateField.month];
+};
+
+// Stores holding report rows, as opposed to metadata
+export const getReportStores = () => Array.from(new Set(getStoreSchemas().map(schema => schema.store)));
+
+const getStoreSchema = (storeName) =>
+  getStoreSchemas().find(schema => schema.store === storeName) || null;
+
+// { field: type } for the indexed fields of a store
+export const getIndexedFields = (storeName) => {
+  const schema = getStoreSchema(storeName);
+  if (!schema) return {};
+
+  const names = new Set([
+    ...(schema.naturalKey || []),
+    ...getDateFieldNames(schema.dateField),
+    ...Object.keys(schema.fields || {}).filter(field => schema.fields[field].indexed)
+  ]);
+
+  const indexed = {};
+  names.forEach(field => {
+    indexed[field] = schema.fields?.[field]?.type || 'string';
+  });
+  return indexed;
+};
+
+export const hasRecordDateIndex = (storeName) => Boolean(getStoreSchema(storeName)?.dateField);
+
+// Index definitions { name, keyPath } for a store
+export const getStoreIndexes = (storeName) => {
+  const schema = getStoreSchema(storeName);
+  if (!schema) return [];
+
+  const indexes = Object.keys(getIndexedFields(storeName)).map(field => ({
+    name: field,
+    keyPath: `${INDEX_KEYS_FIELD}.${field}`
+  }));
+
+  if (hasRecordDateIndex(storeName)) {
+    indexes.push({ name: RECORD_DATE_INDEX, keyPath: `${INDEX_KEYS_FIELD}.${RECORD_DATE_INDEX}` });
+  }
+  return indexes;
+};
+
+const getIndexValue = (record, field, type) => {
+  if (type === 'date') return toDateKey(getFieldValue(record, field));
+  if (type === 'datetime') {
+    const date = getDateValue(record, field);
+    return date ? formatDateTimeKey(date) : null;
+  }
+  if (NUMERIC_TYPES.includes(type)) return getNumericValue(record, field);
+
+  const value = getFieldValue(record, field);
+  return isEmptyValue(value) ? null : String(value).trim();
+};
+
+// Index keys of a record for { field: type } indexed fields and a dateField.
+// Fields without a usable value are left out, so the record is simply
+// absent from that index.
+export const getIndexKeys = (record, indexedFields, dateField) => {
+  const keys = {};
+  Object.entries(indexedFields).forEach(([field, type]) => {
+    const value = getIndexValue(record, field, type);
+    if (value !== null && value !== '') keys[field] = value;
+  });
+
+  if (typeof dateField === 'string') {
+    const dateKey = toDateKey(getFieldValue(record, dateField));
+    if (dateKey) keys[RECORD_DATE_INDEX] = dateKey;
+  } else if (dateField) {
+    const recordDate = getRecordDate(record, dateField);
+    if (recordDate) keys[RECORD_DATE_INDEX] = formatDateKey(recordDate);
+  }
+  return keys;
+};
+
+// The record with its `_index` keys filled in
+export const withIndexKeys = (storeName, record) => {
+  const schema = getStoreSchema(storeName);
+  if (!schema || !record) return record;
+
+  return { ...record, [INDEX_KEYS_FIELD]: getIndexKeys(record, getIndexedFields(storeName), schema.dateField) };
+};
+
+// The record as callers see it, without the index keys
+export const withoutIndexKeys = (record) => {
+  if (!record || !(INDEX_KEYS_FIELD in record)) return record;
+  const { [INDEX_KEYS_FIELD]: indexKeys, ...rest } = record;
+  return rest;
+};
@@ -0,0 +1,101 @@
+// src/utils/drillDown.js
+import { getFieldValue, getRecordDate, isEmptyValue, matchesCondition } from './fieldUtils';
+import { toDateKey } from './dbSchema';
+import { PERIODS, getPeriodKey } from './dataQuery';
+import { isCompleteRule } from './filterExpression';
+
+// Drill-down filters come from clicking a bar, slice or point. Each one is
+// { field, op, value, period, missingAs, label }: field may list fallbacks
+// read in order or be a { year, month } pair as a REPORT_CONFIG dateField,
+// period matches a date field against a period key
+// ('2024-03'), and missingAs is the bucket a chart puts records without the
+// field in, so drilling into that bucket finds them.
+
+export const UNKNOWN_VALUE = 'Unknown';
+
+const readValue = (record, field) => {
+  if (field && typeof field === 'object' && !Array.isArray(field)) {
+    return getRecordDate(record, field) || undefined;
+  }
+  const fields = Array.isArray(field) ? field : [field];
+  for (const name of fields) {
+    const value = getFieldValue(record, name);
+    if (!isEmptyValue(value)) return value;
+  }
+  return undefined;
+};
+
+// The chart bucket a record falls in for a field: its value, or
+// UNKNOWN_VALUE when blank, which a drill filter's default missingAs matches
+export const getBucketLabel = (record, field) => {
+  const value = getFieldValue(record, field);
+  return (isEmptyValue(value) ? '' : String(value).trim()) || UNKNOWN_VALUE;
+};
+
+const isFieldName = (name) => typeof name === 'string' && name !== '';
+
+const isDrillField = (field) => {
+  if (Array.isArray(field)) return field.length > 0 && field.every(isFieldName);
+  if (field && typeof field === 'object') return isFieldName(field.year) && isFieldName(field.month);
+  return isFieldName(field);
+};
+
+// Whether a step read back from a link or saved view is one
+// matchesDrillFilter can apply: a field, fallback list or { year, month }
+// pair, and a period key or a value its operator takes
+export const isDrillStep = (step) => {
+  if (!step || typeof step !== 'object' || !isDrillField(step.field)) return false;
+  if (step.period) return PERIODS.includes(step.period) && isFieldName(step.value);
+  return isCompleteRule({ field: 'value', op: step.op, value: step.value });
+};
+
+export const createDrillFilter = (field, value, {
+  op = 'eq',
+  period = null,
+  missingAs = UNKNOWN_VALUE,
+  label
+} = {}) => ({
+  field,
+  op,
+  value,
+  period,
+  missingAs,
+  label: label || `${Array.isArray(field) ? field[0] : field}: ${value}`
+});
+
+export const matchesDrillFilter = (record, filter) => {
+  const value = readValue(record, filter.field);
+
+  if (filter.period) {
+    return !isEmptyValue(value) && getPeriodKey(toDateKey(value), filter.period) === filter.value;
+  }
+  if (filter.op === 'eq' && isEmptyValue(value)) {
+    return filter.value === filter.missingAs;
+  }
+  return matchesCondition({ value }, { field: 'value', op: filter.op, value: filter.value });
+};
+
+export const applyDrillFilters = (records, drillPath = []) => {
+  if (!records || drillPath.length === 0) return records;
+  return records.filter(record => drillPath.every(filter => matchesDrillFilter(record, filter)));
+};
+
+// The drill path as a matchesCondition condition, for queries run in
+// IndexedDB. Null when a step needs fallback fields or a period.
+export const toDrillCondition = (drillPath = []) => {
+  if (drillPath.some(filter => filter.period || Array.isArray(filter.field))) return null;
+  return drillPath.map(({ field, op, value, missingAs }) => {
+    const condition = { field, op, value };
+    return op === 'eq' && value === missingAs
+      ? { any: [condition, { field, op: 'missing' }] }
+      : condition;
+  });
+};
+
+// Drilling into a field already on the path replaces that step and the steps
+// below it, so re-clicking a chart moves sideways rather than deeper
+export const addToDrillPath = (drillPath = [], filter) => {
+  const sameField = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const existing = drillPath.findIndex(step => sameField(step.field, filter.field) && step.period === filter.period);
+  return [...(existing === -1 ? drillPath : drillPath.slice(0, existing)), filter];
+};
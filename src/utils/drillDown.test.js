@@ -0,0 +1,64 @@
+import {
+  UNKNOWN_VALUE,
+  addToDrillPath,
+  applyDrillFilters,
+  createDrillFilter,
+  getBucketLabel,
+  toDrillCondition
+} from './drillDown';
+import { matchesCondition } from './fieldUtils';
+
+// Rows as the sample data holds them, under the source file's headers
+const sampleRows = [
+  { CustomerID: 'CUST100000', StageDate: '2024-01-01', IssuedAmount: 30767, TierName: 'Premium', Stage: 'Arrears_60', PaymentStatus: 'Late' },
+  { CustomerID: 'CUST100001', StageDate: '2024-01-04', IssuedAmount: 29210, TierName: 'Basic', Stage: 'Arrears_60', PaymentStatus: 'Late' },
+  { CustomerID: 'CUST100002', StageDate: '2024-02-07', IssuedAmount: 16751, TierName: 'Basic', Stage: 'Arrears_30', PaymentStatus: 'Late' },
+  { CustomerID: 'CUST100003', StageDate: '2024-02-10', IssuedAmount: 12000, TierName: '', Stage: 'Active', PaymentStatus: 'Paid' }
+];
+
+// The same rows as an upload saves them, under the schema's field names
+const uploadedRows = sampleRows.map(row => ({
+  customer_id: row.CustomerID,
+  stage_date: row.StageDate,
+  issued_amount: row.IssuedAmount,
+  tier_name: row.TierName,
+  stage: row.Stage,
+  payment_status: row.PaymentStatus
+}));
+
+const customersOf = (rows) => rows.map(row => row.CustomerID || row.customer_id);
+
+describe('drilling into the dashboard charts', () => {
+  test('chart buckets are the schema field values, with blanks as Unknown', () => {
+    expect(sampleRows.map(row => getBucketLabel(row, 'tier_name'))).toEqual(['Premium', 'Basic', 'Basic', UNKNOWN_VALUE]);
+    expect(uploadedRows.map(row => getBucketLabel(row, 'stage'))).toEqual(['Arrears_60', 'Arrears_60', 'Arrears_30', 'Active']);
+  });
+
+  test('a clicked bucket finds its records, under source headers or schema fields', () => {
+    const leadSource = [createDrillFilter('tier_name', 'Basic')];
+    expect(customersOf(applyDrillFilters(sampleRows, leadSource))).toEqual(['CUST100001', 'CUST100002']);
+    expect(customersOf(applyDrillFilters(uploadedRows, leadSource))).toEqual(['CUST100001', 'CUST100002']);
+
+    const unknown = [createDrillFilter('tier_name', UNKNOWN_VALUE)];
+    expect(customersOf(applyDrillFilters(sampleRows, unknown))).toEqual(['CUST100003']);
+  });
+
+  test('steps narrow each other, and a period drill matches the report date', () => {
+    let drillPath = addToDrillPath([], createDrillFilter('stage_date', '2024-01', { period: 'month' }));
+    drillPath = addToDrillPath(drillPath, createDrillFilter('stage', 'Arrears_30'));
+    drillPath = addToDrillPath(drillPath, createDrillFilter('stage', 'Arrears_60'));
+
+    expect(drillPath.map(step => step.value)).toEqual(['2024-01', 'Arrears_60']);
+    expect(customersOf(applyDrillFilters(sampleRows, drillPath))).toEqual(['CUST100000', 'CUST100001']);
+  });
+
+  test('the drill condition run in IndexedDB picks the same uploaded records', () => {
+    const drillPath = [createDrillFilter('payment_status', 'Late'), createDrillFilter('tier_name', UNKNOWN_VALUE)];
+    const condition = toDrillCondition(drillPath);
+    expect(uploadedRows.filter(row => matchesCondition(row, condition))).toEqual(applyDrillFilters(uploadedRows, drillPath));
+
+    const byStage = toDrillCondition([createDrillFilter('stage', 'Arrears_60')]);
+    expect(customersOf(uploadedRows.filter(row => matchesCondition(row, byStage)))).toEqual(['CUST100000', 'CUST100001']);
+    expect(toDrillCondition([createDrillFilter('stage_date', '2024-01', { period: 'month' })])).toBeNull();
+  });
+});
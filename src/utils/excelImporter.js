@@ -0,0 +1,222 @@
+// src/utils/excelImporter.js
+import ExcelJS from 'exceljs';
+import { COLUMN_MAPPINGS } from './constants';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { isXlsBuffer, readXlsWorkbook } from './xlsReader';
+
+// Reads .xlsx and .xls workbooks into the same { header: 'value' } string
+// rows Papa Parse gives for CSV, so workbooks go through the same validation,
+// column mapping and upload pipeline. Cells are converted the way they display:
+// dates as DD/MM/YYYY, currency as plain numbers, percentages as 0-100.
+
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls'];
+
+// Rows scanned for the header row, to skip report titles and notes above it
+const HEADER_SCAN_ROWS = 20;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Days between the Excel epochs (1900 and 1904 date systems) and 1970-01-01
+const EXCEL_EPOCH_OFFSET = 25569;
+const EXCEL_1904_OFFSET = 1462;
+
+export const isWorkbookFile = (file) => {
+  const extension = '.' + String(file?.name || '').split('.').pop().toLowerCase();
+  return WORKBOOK_EXTENSIONS.includes(extension);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ExcelJS returns dates as UTC instants holding the cell's wall-clock time
+const formatCellDate = (date) => {
+  const day = `${pad(date.getUTCDate())}/${pad(date.getUTCMonth() + 1)}/${date.getUTCFullYear()}`;
+  if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0) {
+    return day;
+  }
+  // Local ISO without a zone, which parseDate and Date.parse both read as local time
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+};
+
+export const excelSerialToDate = (serial, date1904 = false) => new Date(
+  (serial - EXCEL_EPOCH_OFFSET + (date1904 ? EXCEL_1904_OFFSET : 0)) * MS_PER_DAY
+);
+
+// Format tokens outside quoted text and [..] sections (colours, currencies, [h])
+const getFormatTokens = (numFmt = '') => numFmt.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '');
+
+const isDateFormat = (numFmt) => /[dy]/i.test(getFormatTokens(numFmt)) && !/[£$€¥]/.test(numFmt);
+
+// Durations and times of day such as [h]:mm:ss, stored as a fraction of a day
+const isTimeFormat = (numFmt) => !isDateFormat(numFmt) && /[hs]/i.test(numFmt.replace(/"[^"]*"/g, ''));
+
+const formatDuration = (days) => {
+  const totalSeconds = Math.round(days * 24 * 60 * 60);
+  return [Math.floor(totalSeconds / 3600), Math.floor(totalSeconds / 60) % 60, totalSeconds % 60]
+    .map(pad)
+    .join(':');
+};
+
+const isPercentFormat = (numFmt) => getFormatTokens(numFmt).includes('%');
+
+// Round away floating point noise such as 0.1 + 0.2 from stored doubles
+const formatNumber = (value) => String(Number(value.toPrecision(12)));
+
+// A cell's value as the string a CSV export of the sheet would hold
+const getCellText = (cell, date1904) => {
+  const source = cell.isMerged ? cell.master : cell;
+  let value = source.value;
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    if ('result' in value) value = value.result; // formula
+    else if (value.richText) value = value.richText.map(part => part.text).join('');
+    else if ('text' in value) value = value.text; // hyperlink
+    else if (value.error) value = null;
+  }
+
+  if (value === null || value === undefined) return '';
+  const numFmt = source.numFmt || '';
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return '';
+    // ExcelJS reads time formats as dates on 30/12/1899
+    return isTimeFormat(numFmt)
+      ? formatDuration((value.getTime() - excelSerialToDate(0).getTime()) / MS_PER_DAY)
+      : formatCellDate(value);
+  }
+
+  if (typeof value === 'number') {
+    if (isDateFormat(numFmt)) return formatCellDate(excelSerialToDate(value, date1904));
+    if (isTimeFormat(numFmt)) return formatDuration(value);
+    // Stored as a fraction (0.45 for 45%); reports use 0-100
+    if (isPercentFormat(numFmt)) return formatNumber(value * 100);
+    return formatNumber(value);
+  }
+
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  return String(value).trim();
+};
+
+// Header aliases for every field of a report, including its file structures
+const getReportAliases = (reportType) => {
+  const config = REPORT_CONFIG[reportType];
+  const fieldSets = [config?.fields, ...Object.values(config?.fileStructures || {}).map(s => s.fields)];
+  const fields = fieldSets.filter(Boolean).flatMap(set => Object.keys(set));
+
+  return new Set(fields.flatMap(field =>
+    [field, ...(COLUMN_MAPPINGS[field] || [])].map(alias => alias.toLowerCase().trim())
+  ));
+};
+
+// Header row: the first row with the most text cells, favouring rows with
+// known column names. Merged title cells count once.
+export const detectHeaderRow = (worksheet, reportType = null) => {
+  const aliases = reportType ? getReportAliases(reportType) : new Set();
+  const lastRow = Math.min(worksheet.rowCount, HEADER_SCAN_ROWS);
+  let best = { row: 1, score: 0 };
+
+  for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+    let textCells = 0;
+    let knownCells = 0;
+
+    worksheet.getRow(rowNumber).eachCell(cell => {
+      if (cell.isMerged && cell.master !== cell) return;
+      if (typeof cell.value !== 'string' && !cell.value?.richText) return;
+
+      const text = getCellText(cell).toLowerCase();
+      if (!text) return;
+      textCells += 1;
+      if (aliases.has(text)) knownCells += 1;
+    });
+
+    const score = textCells >= 2 ? textCells + knownCells * 2 : 0;
+    if (score > best.score) best = { row: rowNumber, score };
+  }
+
+  return best.row;
+};
+
+// Unique, non-blank header names; blank headers become "Column N"
+const buildHeaders = (row, columnCount, date1904) => {
+  const seen = {};
+  return Array.from({ length: columnCount }, (_, index) => {
+    const base = getCellText(row.getCell(index + 1), date1904) || `Column ${index + 1}`;
+    seen[base] = (seen[base] || 0) + 1;
+    return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+  });
+};
+
+// Rows below the header row, skipping blank rows. Cells covered by a merge
+// take the merged value, so a label merged down a block fills every row.
+export const worksheetToRows = (worksheet, { headerRow = 1, date1904 = false } = {}) => {
+  const columnCount = worksheet.columnCount;
+  const headers = buildHeaders(worksheet.getRow(headerRow), columnCount, date1904);
+  const rows = [];
+
+  for (let rowNumber = headerRow + 1; rowNumber <= worksheet.rowCount; rowNumber++) {
+    const row = worksheet.getRow(rowNumber);
+    const record = {};
+    let hasValue = false;
+
+    headers.forEach((header, index) => {
+      const text = getCellText(row.getCell(index + 1), date1904);
+      record[header] = text;
+      if (text !== '') hasValue = true;
+    });
+
+    if (hasValue) rows.push(record);
+  }
+
+  return { headers, rows };
+};
+
+// ExcelJS reads .xlsx; Excel 97-2003 files, whatever their extension, go
+// through xlsReader into the same workbook model
+export const readWorkbook = async (file) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    const buffer = await file.arrayBuffer();
+    if (isXlsBuffer(buffer)) {
+      return readXlsWorkbook(buffer);
+    }
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error(`Failed to read workbook: ${error.message}`);
+  }
+  return workbook;
+};
+
+// Visible worksheets with data, for the sheet picker
+export const getWorksheetSummaries = (workbook, reportType = null) => workbook.worksheets
+  .filter(worksheet => worksheet.state !== 'hidden' && worksheet.state !== 'veryHidden')
+  .filter(worksheet => worksheet.actualRowCount > 0)
+  .map(worksheet => ({
+    name: worksheet.name,
+    rowCount: worksheet.actualRowCount,
+    headerRow: detectHeaderRow(worksheet, reportType)
+  }));
+
+// Parse one sheet of a workbook file. Without a sheetName the first sheet with
+// data is used; without a headerRow it is detected.
+// Returns { rows, headers, sheetName, headerRow, sheets }.
+export const parseWorkbookFile = async (file, { sheetName = null, headerRow = null, reportType = null } = {}) => {
+  const workbook = await readWorkbook(file);
+  const sheets = getWorksheetSummaries(workbook, reportType);
+  if (sheets.length === 0) {
+    throw new Error('No data found in workbook');
+  }
+
+  const sheet = sheets.find(summary => summary.name === sheetName) || sheets[0];
+  const worksheet = workbook.getWorksheet(sheet.name);
+  const resolvedHeaderRow = headerRow || sheet.headerRow;
+  const { headers, rows } = worksheetToRows(worksheet, {
+    headerRow: resolvedHeaderRow,
+    date1904: Boolean(workbook.properties?.date1904)
+  });
+
+  return {
+    rows,
+    headers,
+    sheetName: sheet.name,
+    headerRow: resolvedHeaderRow,
+    sheets
+  };
+};
@@ -0,0 +1,85 @@
+import { TextDecoder, TextEncoder } from 'util';
+import ExcelJS from 'exceljs';
+import {
+  detectHeaderRow,
+  excelSerialToDate,
+  isWorkbookFile,
+  parseWorkbookFile,
+  worksheetToRows
+} from './excelImporter';
+
+// jsdom has no TextEncoder, which ExcelJS uses to read and write workbooks
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+// A lending sheet with a merged title and a note above its header row
+const buildLendingSheet = (workbook) => {
+  const sheet = workbook.addWorksheet('Lending');
+  sheet.getCell('A1').value = 'Lending report';
+  sheet.mergeCells('A1:D1');
+  sheet.getCell('A2').value = 'Generated nightly';
+  sheet.addRow([]);
+  sheet.addRow(['Customer ID', 'Stage Date', 'Issued Amount', 'Rate']);
+  sheet.addRow(['C1', new Date(Date.UTC(2025, 2, 1)), 1234.5, 0.455]);
+  sheet.addRow([]);
+  sheet.addRow(['C2', 45731, 0.1 + 0.2, { formula: 'D5*2', result: 0.91 }]);
+  sheet.getCell('B7').numFmt = 'dd/mm/yyyy';
+  sheet.getColumn(4).numFmt = '0.0%';
+  return sheet;
+};
+
+test('isWorkbookFile accepts .xlsx and .xls', () => {
+  expect(isWorkbookFile({ name: 'book.XLSX' })).toBe(true);
+  expect(isWorkbookFile({ name: 'legacy.xls' })).toBe(true);
+  expect(isWorkbookFile({ name: 'data.csv' })).toBe(false);
+  expect(isWorkbookFile(null)).toBe(false);
+});
+
+test('excelSerialToDate reads both Excel date systems', () => {
+  expect(excelSerialToDate(45731).toISOString()).toBe('2025-03-15T00:00:00.000Z');
+  expect(excelSerialToDate(44269, true).toISOString()).toBe('2025-03-15T00:00:00.000Z');
+});
+
+describe('worksheets', () => {
+  test('detectHeaderRow skips titles and notes above the header row', () => {
+    const sheet = buildLendingSheet(new ExcelJS.Workbook());
+    expect(detectHeaderRow(sheet, 'lending-volume')).toBe(4);
+  });
+
+  test('worksheetToRows converts cells the way they display, skipping blank rows', () => {
+    const sheet = buildLendingSheet(new ExcelJS.Workbook());
+    const { headers, rows } = worksheetToRows(sheet, { headerRow: 4 });
+
+    expect(headers).toEqual(['Customer ID', 'Stage Date', 'Issued Amount', 'Rate']);
+    expect(rows).toEqual([
+      { 'Customer ID': 'C1', 'Stage Date': '01/03/2025', 'Issued Amount': '1234.5', Rate: '45.5' },
+      { 'Customer ID': 'C2', 'Stage Date': '15/03/2025', 'Issued Amount': '0.3', Rate: '91' }
+    ]);
+  });
+
+  test('blank and repeated headers get unique names', () => {
+    const sheet = new ExcelJS.Workbook().addWorksheet('Sheet1');
+    sheet.addRow(['Name', '', 'Name']);
+    sheet.addRow(['a', 'b', 'c']);
+    expect(worksheetToRows(sheet).headers).toEqual(['Name', 'Column 2', 'Name (2)']);
+  });
+});
+
+test('parseWorkbookFile reads the first visible sheet with data', async () => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.addWorksheet('Empty');
+  workbook.addWorksheet('Hidden', { state: 'hidden' }).addRow(['x', 'y']);
+  buildLendingSheet(workbook);
+  const buffer = await workbook.xlsx.writeBuffer();
+
+  const result = await parseWorkbookFile({ arrayBuffer: async () => buffer }, { reportType: 'lending-volume' });
+  expect(result.sheetName).toBe('Lending');
+  expect(result.headerRow).toBe(4);
+  expect(result.sheets.map(sheet => sheet.name)).toEqual(['Lending']);
+  expect(result.rows).toHaveLength(2);
+});
+
+test('parseWorkbookFile reports a file that is not a workbook', async () => {
+  const file = { arrayBuffer: async () => new TextEncoder().encode('not a workbook').buffer };
+  await expect(parseWorkbookFile(file)).rejects.toThrow('Failed to read workbook');
+});
@@ -0,0 +1,736 @@
+// src/utils/excelWorkbook.js
+import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { getKPIDefinition } from './kpiEngine';
+import { getDateValue, getNumericValue } from './fieldUtils';
+
+// Excel exports finance can audit: a Summary sheet of what was exported, KPI
+// cells as live formulas over the Data sheet, records and tables as Excel
+// Tables with autofilter, and each chart as a native Excel chart over a table
+// of its data.
+//
+// ExcelJS can't write charts, so they are added to the saved workbook as
+// DrawingML parts (see addNativeCharts).
+
+const DATA_TABLE = 'Data';
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const TABLE_STYLE = { theme: 'TableStyleMedium2', showRowStripes: true };
+
+const HEADER_FILL = {
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb: 'FFE0E0E0' }
+};
+
+// Chart size in columns and rows
+const CHART_ANCHOR = { columns: 10, rows: 20 };
+
+// Excel number format for a KPI format or field/column type. Percentages are
+// kept as written (25 for 25%).
+export const getExcelNumberFormat = (type) => {
+  switch (type) {
+    case 'currency':
+      return '"£"#,##0.00';
+    case 'percentage':
+      return '0.00"%"';
+    case 'date':
+      return 'dd/mm/yyyy';
+    case 'datetime':
+      return 'dd/mm/yyyy hh:mm';
+    case 'number':
+    case 'time':
+      return '#,##0';
+    default:
+      return null;
+  }
+};
+
+const sanitizeSheetName = (name) => String(name).replace(/[\\/[\]:*?]/g, '_').substring(0, 31);
+
+// A sanitized sheet name no other sheet in the workbook has
+export const getUniqueSheetName = (workbook, name) => {
+  const base = sanitizeSheetName(name || 'Sheet');
+  let sheetName = base;
+  let suffix = 2;
+  while (workbook.getWorksheet(sheetName)) {
+    const tag = ` (${suffix})`;
+    sheetName = `${base.substring(0, 31 - tag.length)}${tag}`;
+    suffix += 1;
+  }
+  return sheetName;
+};
+
+// Headers made unique, as Excel Tables need
+const toUniqueHeaders = (headers) => {
+  const seen = new Map();
+  return headers.map(header => {
+    const name = String(header ?? '').trim() || 'Column';
+    const count = (seen.get(name.toLowerCase()) || 0) + 1;
+    seen.set(name.toLowerCase(), count);
+    return count > 1 ? `${name} ${count}` : name;
+  });
+};
+
+// ExcelJS stores dates as UTC, so local dates and times are passed as UTC to
+// show in Excel as they do in the app
+const toExcelDate = (date) => new Date(Date.UTC(
+  date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds()
+));
+
+const toCellValue = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : toExcelDate(value);
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+const addHeaderRow = (worksheet, headers) => {
+  const row = worksheet.addRow(headers);
+  row.font = { bold: true };
+  row.fill = HEADER_FILL;
+  return row;
+};
+
+const addTable = (worksheet, name, headers, rows, styles = []) => {
+  worksheet.addTable({
+    name,
+    ref: 'A1',
+    headerRow: true,
+    style: TABLE_STYLE,
+    columns: headers.map((header, index) => ({
+      name: header,
+      filterButton: true,
+      ...(styles[index] ? { style: styles[index] } : {})
+    })),
+    rows
+  });
+  headers.forEach((header, index) => {
+    worksheet.getColumn(index + 1).width = Math.min(Math.max(header.length + 4, 12), 40);
+  });
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+};
+
+// Data sheet
+
+const NUMERIC_TYPES = ['currency', 'number', 'percentage'];
+
+// Report fields in config order, then any other keys the records carry
+const getDataColumns = (records, reportType) => {
+  const fields = REPORT_CONFIG[reportType]?.fields || {};
+  const keys = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => {
+    if (!key.startsWith('_') && !key.startsWith('$')) keys.add(key);
+  }));
+  return [
+    ...Object.keys(fields).filter(key => keys.has(key)),
+    ...Array.from(keys).filter(key => !fields[key])
+  ];
+};
+
+const addDataSheet = (workbook, sheetName, records, reportType) => {
+  const worksheet = workbook.addWorksheet(getUniqueSheetName(workbook, sheetName));
+  const fields = REPORT_CONFIG[reportType]?.fields || {};
+  const columns = getDataColumns(records, reportType);
+
+  if (records.length === 0 || columns.length === 0) {
+    worksheet.addRow(['No records in the period']);
+    return { worksheet, columns: [] };
+  }
+
+  // Dates and amounts are written as Excel dates and numbers, as the app
+  // reads them, so formulas work on them
+  const readValue = (record, key) => {
+    const type = fields[key]?.type;
+    if (['date', 'datetime'].includes(type)) return getDateValue(record, key);
+    if (NUMERIC_TYPES.includes(type)) return getNumericValue(record, key) ?? record[key];
+    return record[key];
+  };
+  const rows = records.map(record => columns.map(key => toCellValue(readValue(record, key))));
+
+  // Plain numbers keep their decimals
+  addTable(worksheet, DATA_TABLE, columns, rows, columns.map((key, index) => {
+    const type = fields[key]?.type || (rows.some(row => row[index] instanceof Date) ? 'date' : null);
+    const numFmt = type === 'number' ? null : getExcelNumberFormat(type);
+    return numFmt ? { numFmt } : null;
+  }));
+  return { worksheet, columns };
+};
+
+// KPI formulas
+//
+// A KPI definition (see config/kpiConfig) becomes COUNTIFS, SUMIFS or
+// AVERAGEIFS over the Data table when its filter is a list of criteria, and
+// otherwise tests each row in SUMPRODUCT. Distinct and repeat counts need
+// each row's count of matching rows with its value, so their OR and NOT
+// filters are expanded into sums and differences of COUNTIFS. Definitions
+// neither can express are written as the app's value.
+
+// Terms a filter may expand into before its formula is too long to audit
+const MAX_CRITERIA_TERMS = 16;
+
+// Structured reference to a Data column; ' escapes the characters they reserve
+const columnRef = (field) => `${DATA_TABLE}[${String(field).replace(/['#[\]]/g, "'$&")}]`;
+
+const toExcelString = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+// Criteria and SEARCH read * ? and ~ as wildcards
+const escapeWildcards = (value) => String(value).replace(/[*?~]/g, '~$&');
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+const toExcelLiteral = (value) => (isNumber(value) ? String(value) : toExcelString(value));
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const COMPARISONS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Criteria terms: a condition as a signed sum of criteria lists, so a
+// record's signs over the terms whose criteria it meets add up to 1 if it
+// matches, 0 if not. AND multiplies terms out, NOT subtracts from the
+// unfiltered term and OR is NOT of the AND of NOTs.
+
+const UNFILTERED = [{ sign: 1, criteria: [] }];
+
+// Merge terms with the same criteria, dropping those that cancel out
+const mergeTerms = (terms) => {
+  const merged = new Map();
+  terms.forEach(({ sign, criteria }) => {
+    const key = criteria.map(pair => pair.join('|')).sort().join('||');
+    const term = merged.get(key);
+    if (term) term.sign += sign;
+    else merged.set(key, { sign, criteria });
+  });
+  return Array.from(merged.values()).filter(term => term.sign !== 0);
+};
+
+const multiplyTerms = (left, right) => mergeTerms(left.flatMap(a => right.map(b => ({
+  sign: a.sign * b.sign,
+  criteria: [...a.criteria, ...b.criteria]
+}))));
+
+const negateTerms = (terms) => mergeTerms([
+  ...UNFILTERED,
+  ...terms.map(term => ({ ...term, sign: -term.sign }))
+]);
+
+// [range, criterion] pairs for a single condition, or null
+const toLeafCriteria = ({ field, op, value }) => {
+  const range = columnRef(field);
+  switch (op) {
+    case 'exists':
+      return [[range, '"<>"']];
+    case 'missing':
+      return [[range, '""']];
+    case 'eq':
+      return [[range, toExcelString(`=${escapeWildcards(value)}`)]];
+    case 'ne':
+      return [[range, toExcelString(`<>${escapeWildcards(value)}`)]];
+    case 'startsWith':
+      return [[range, toExcelString(`${escapeWildcards(value)}*`)]];
+    case 'contains':
+      return [[range, toExcelString(`*${escapeWildcards(value)}*`)]];
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return isNumber(value) ? [[range, toExcelString(`${COMPARISONS[op]}${value}`)]] : null;
+    case 'between': {
+      const [min, max] = Array.isArray(value) ? value : [];
+      const criteria = [
+        ...(isNumber(min) ? [[range, toExcelString(`>=${min}`)]] : []),
+        ...(isNumber(max) ? [[range, toExcelString(`<=${max}`)]] : [])
+      ];
+      return criteria.length > 0 ? criteria : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Criteria terms for a condition, or null when it can't be written as criteria
+const toCriteriaTerms = (condition, columns) => {
+  if (!condition) return UNFILTERED;
+
+  let terms;
+  const parts = Array.isArray(condition) ? condition : condition.all || condition.any;
+  if (parts) {
+    const partTerms = parts.map(part => toCriteriaTerms(part, columns));
+    if (partTerms.includes(null)) return null;
+    terms = condition.any
+      ? negateTerms(partTerms.map(negateTerms).reduce(multiplyTerms, UNFILTERED))
+      : partTerms.reduce(multiplyTerms, UNFILTERED);
+  } else if (condition.not) {
+    const inner = toCriteriaTerms(condition.not, columns);
+    terms = inner && negateTerms(inner);
+  } else if (condition.compute || !columns.includes(condition.field)) {
+    return null;
+  } else if (['in', 'notIn'].includes(condition.op)) {
+    // The values are exclusive, so their terms just add up
+    const values = [...new Set(toList(condition.value))];
+    const inTerms = mergeTerms(values.map(value => ({
+      sign: 1,
+      criteria: toLeafCriteria({ field: condition.field, op: 'eq', value })
+    })));
+    terms = condition.op === 'in' ? inTerms : negateTerms(inTerms);
+  } else {
+    const criteria = toLeafCriteria(condition);
+    terms = criteria && [{ sign: 1, criteria }];
+  }
+
+  return terms && terms.length <= MAX_CRITERIA_TERMS ? terms : null;
+};
+
+// Signed sum of a function over terms: write(args) gives one term's call,
+// args being its ",range,criterion" pairs
+const sumTerms = (terms, write) => {
+  if (terms.length === 0) return '0';
+  return terms.map(({ sign, criteria }, index) => {
+    const call = write(criteria.map(([range, criterion]) => `,${range},${criterion}`).join(''));
+    const weight = Math.abs(sign) === 1 ? call : `${Math.abs(sign)}*${call}`;
+    if (sign < 0) return `-${weight}`;
+    return index === 0 ? weight : `+${weight}`;
+  }).join('');
+};
+
+// A per-row array, true or 1 where a Data row meets the condition, for
+// SUMPRODUCT; null when the condition can't be tested in Excel
+const toRowTest = (condition, columns) => {
+  const parts = Array.isArray(condition) ? condition : condition.all || condition.any;
+  if (parts) {
+    const tests = parts.map(part => toRowTest(part, columns));
+    if (tests.includes(null)) return null;
+    if (tests.length === 0) return '1';
+    return condition.any ? `((${tests.join('+')})>0)` : `(${tests.join('*')})`;
+  }
+  if (condition.not) {
+    const test = toRowTest(condition.not, columns);
+    return test && `(1-${test})`;
+  }
+
+  const { field, op, value } = condition;
+  if (condition.compute || !columns.includes(field)) return null;
+
+  const range = columnRef(field);
+  const isNumeric = `ISNUMBER(${range})`;
+  const inList = () => `ISNUMBER(MATCH(${range},{${toList(value).map(toExcelLiteral).join(',')}},0))`;
+
+  switch (op) {
+    case 'exists':
+      return `(${range}<>"")`;
+    case 'missing':
+      return `(${range}="")`;
+    case 'eq':
+      return `(${range}=${toExcelLiteral(value)})`;
+    case 'ne':
+      return `(${range}<>${toExcelLiteral(value)})`;
+    case 'in':
+      return `(${inList()})`;
+    case 'notIn':
+      return `(1-${inList()})`;
+    case 'startsWith':
+      return `(LEFT(${range},${String(value).length})=${toExcelString(value)})`;
+    case 'contains':
+      return `ISNUMBER(SEARCH(${toExcelString(escapeWildcards(value))},${range}))`;
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+      return isNumber(value) ? `(${isNumeric}*(${range}${COMPARISONS[op]}${value}))` : null;
+    case 'between': {
+      const [min, max] = Array.isArray(value) ? value : [];
+      const bounds = [
+        ...(isNumber(min) ? [`(${range}>=${min})`] : []),
+        ...(isNumber(max) ? [`(${range}<=${max})`] : [])
+      ];
+      return bounds.length > 0 ? `(${[isNumeric, ...bounds].join('*')})` : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// Formula for a KPI definition over the Data table, or null. conditions are
+// the filters of enclosing ratios; referenceCell holds the date avgDaysSince
+// counts to.
+const toKPIFormula = (definition, columns, referenceCell, conditions = []) => {
+  if (!definition) return null;
+  const allConditions = definition.filter ? [...conditions, definition.filter] : conditions;
+
+  if (definition.aggregation === 'ratio') {
+    const numerator = toKPIFormula(definition.numerator, columns, referenceCell, allConditions);
+    const denominator = toKPIFormula(definition.denominator, columns, referenceCell, allConditions);
+    if (!numerator || !denominator) return null;
+    return `IFERROR((${numerator})/(${denominator})*${definition.scale ?? 100},"")`;
+  }
+
+  const { field, defaultValue } = definition;
+  if (field && !columns.includes(field)) return null;
+
+  const condition = allConditions.length > 0 ? { all: allConditions } : null;
+  const terms = toCriteriaTerms(condition, columns);
+  const test = condition ? toRowTest(condition, columns) : '1';
+  const range = columnRef(field);
+  const hasDefault = defaultValue !== undefined && defaultValue !== null;
+
+  // A filter that is just criteria, as ",range,criterion" arguments
+  const isCriteriaList = terms?.length === 1 && terms[0].sign === 1;
+  const args = isCriteriaList
+    ? terms[0].criteria.map(([criteriaRange, criterion]) => `,${criteriaRange},${criterion}`).join('')
+    : null;
+  const isUnfiltered = args === '';
+  if (args === null && !test) return null;
+
+  switch (definition.aggregation) {
+    case 'count':
+      if (isUnfiltered) return `ROWS(${DATA_TABLE})`;
+      return args ? `COUNTIFS(${args.slice(1)})` : `SUMPRODUCT(--${test})`;
+
+    // Blanks count as the default value where a definition declares one
+    case 'sum': {
+      if (isUnfiltered) return hasDefault ? `SUM(${range})+${defaultValue}*COUNTBLANK(${range})` : `SUM(${range})`;
+      if (args) {
+        const total = `SUMIFS(${range}${args})`;
+        return hasDefault ? `${total}+${defaultValue}*COUNTIFS(${range},""${args})` : total;
+      }
+      const total = `SUMPRODUCT(--${test},${range})`;
+      return hasDefault ? `${total}+${defaultValue}*SUMPRODUCT(${test}*(${range}=""))` : total;
+    }
+
+    case 'avg':
+      if (hasDefault) return null;
+      if (isUnfiltered) return `IFERROR(AVERAGE(${range}),"")`;
+      if (args) return `IFERROR(AVERAGEIFS(${range}${args}),"")`;
+      return `IFERROR(SUMPRODUCT(${test}*ISNUMBER(${range}),${range})/SUMPRODUCT(${test}*ISNUMBER(${range})),"")`;
+
+    // Each matching row weighs 1/the matching rows with its value, so every
+    // value adds up to one; unmatched rows are divided by 1 to avoid #DIV/0!
+    case 'distinctCount':
+    case 'repeatCount': {
+      if (!terms || !test) return null;
+      const counts = sumTerms(terms, args => (args ? `COUNTIFS(${range},${range}&""${args})` : `COUNTIF(${range},${range}&"")`));
+      const repeats = definition.aggregation === 'repeatCount' ? `*((${counts})>1)` : '';
+      return isUnfiltered
+        ? `SUMPRODUCT((${range}<>"")${repeats}/(${counts}))`
+        : `SUMPRODUCT(${test}*(${range}<>"")${repeats}/((${counts})+1-${test}))`;
+    }
+
+    case 'avgDaysSince': {
+      if (!test) return null;
+      const rows = condition ? `${test}*ISNUMBER(${range})` : `--ISNUMBER(${range})`;
+      return `IFERROR(SUMPRODUCT(${rows}*INT(${referenceCell}-${range}))/SUMPRODUCT(${rows}),"")`;
+    }
+
+    default:
+      return null;
+  }
+};
+
+const addKPISheet = (workbook, reportType, kpis, columns, referenceDate) => {
+  const worksheet = workbook.addWorksheet(getUniqueSheetName(workbook, 'KPIs'));
+  const sheetRef = `'${worksheet.name.replace(/'/g, "''")}'`;
+
+  worksheet.addRow(['Reference date', toExcelDate(referenceDate)]).getCell(2).numFmt = 'dd/mm/yyyy hh:mm';
+  worksheet.getCell('A1').font = { bold: true };
+  worksheet.addRow([]);
+  addHeaderRow(worksheet, ['KPI', 'Excel value', 'App value', 'Basis']);
+
+  let formulaCount = 0;
+  kpis.forEach(kpi => {
+    const formula = toKPIFormula(getKPIDefinition(reportType, kpi.key), columns, `${sheetRef}!$B$1`);
+    const appValue = kpi.value ?? null;
+    const row = worksheet.addRow([
+      kpi.label,
+      formula ? { formula, result: appValue ?? undefined } : appValue,
+      appValue,
+      formula ? 'Formula over the Data sheet' : 'Value from the app (no equivalent Excel formula)'
+    ]);
+    const numFmt = getExcelNumberFormat(kpi.format);
+    if (numFmt) [2, 3].forEach(col => { row.getCell(col).numFmt = numFmt; });
+    if (formula) formulaCount += 1;
+  });
+
+  worksheet.columns = [{ width: 32 }, { width: 18 }, { width: 18 }, { width: 48 }];
+  return { worksheet, formulaCount };
+};
+
+// Chart and table sheets
+
+// Chart.js chart types as the native chart drawn for them
+const toNativeChartType = (chartType) => (['bar', 'pie', 'doughnut'].includes(chartType) ? chartType : 'line');
+
+const addChartSheet = (workbook, chart, index) => {
+  const worksheet = workbook.addWorksheet(getUniqueSheetName(workbook, `Chart - ${chart.title}`));
+  const series = (chart.series || []).filter(item => Array.isArray(item.values));
+  const labels = chart.labels || [];
+  const headers = toUniqueHeaders(['Label', ...series.map(item => item.name || chart.title)]);
+
+  const rows = labels.map((label, row) => [
+    Array.isArray(label) ? label.join(' ') : String(label ?? ''),
+    ...series.map(item => (isNumber(item.values[row]) ? item.values[row] : null))
+  ]);
+  addTable(worksheet, `ChartData_${index}`, headers, rows.length > 0 ? rows : [[null, ...series.map(() => null)]]);
+
+  const sheetRef = `'${worksheet.name.replace(/'/g, "''")}'`;
+  const lastRow = Math.max(rows.length, 1) + 1;
+  return {
+    worksheet,
+    nativeChart: {
+      sheetId: worksheet.id,
+      title: chart.title,
+      chartType: toNativeChartType(chart.chartType),
+      horizontal: Boolean(chart.horizontal),
+      categoriesRef: `${sheetRef}!$A$2:$A$${lastRow}`,
+      series: series.map((item, column) => {
+        const letter = worksheet.getColumn(column + 2).letter;
+        return { nameRef: `${sheetRef}!$${letter}$1`, valuesRef: `${sheetRef}!$${letter}$2:$${letter}$${lastRow}` };
+      }),
+      anchorColumn: series.length + 2
+    },
+    rowCount: rows.length
+  };
+};
+
+// A DataTable table ({ title, columns, rows }) as an Excel Table
+const addTableSheet = (workbook, table, index) => {
+  const worksheet = workbook.addWorksheet(getUniqueSheetName(workbook, table.title));
+  const columns = table.columns || [];
+  const headers = toUniqueHeaders(columns.map(column => column.header || column.key));
+  const rows = (table.rows || []).map(row => columns.map(column => {
+    const value = row[column.key];
+    if (column.type === 'date' && typeof value === 'string') {
+      const date = getDateValue({ value }, 'value');
+      return date ? toExcelDate(date) : value;
+    }
+    return toCellValue(value);
+  }));
+
+  addTable(worksheet, `Table_${index}`, headers, rows.length > 0 ? rows : [columns.map(() => null)], columns.map(column => {
+    const numFmt = getExcelNumberFormat(column.type);
+    return numFmt ? { numFmt } : null;
+  }));
+  return { worksheet, rowCount: rows.length };
+};
+
+const addSummarySheet = (worksheet, { title, reportType, context, generatedAt, contents }) => {
+  worksheet.addRow([title]).font = { bold: true, size: 14 };
+  worksheet.addRow(['Report', REPORT_CONFIG[reportType]?.title || reportType || 'Export']);
+  worksheet.addRow(['Period', context?.period || 'All dates']);
+
+  const filters = context?.filters?.length > 0 ? context.filters : ['None'];
+  filters.forEach((filter, index) => worksheet.addRow([index === 0 ? 'Filters' : '', filter]));
+
+  worksheet.addRow(['Exported', toExcelDate(generatedAt)]).getCell(2).numFmt = 'dd/mm/yyyy hh:mm';
+  worksheet.addRow([]);
+
+  addHeaderRow(worksheet, ['Sheet', 'Contents', 'Rows']);
+  contents.forEach(({ sheet, description, rows }) => {
+    worksheet.addRow([sheet, description, rows]);
+  });
+
+  worksheet.columns = [{ width: 28 }, { width: 60 }, { width: 12 }];
+};
+
+// Native charts
+
+const RELATIONSHIP_TYPES = {
+  drawing: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+  chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart'
+};
+
+const CONTENT_TYPES = {
+  drawing: 'application/vnd.openxmlformats-officedocument.drawing+xml',
+  chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const AXIS_IDS = { category: 500000001, value: 500000002 };
+
+const buildChartSeriesXml = ({ chartType, categoriesRef, series }) => series.map((item, index) => [
+  `<c:ser><c:idx val="${index}"/><c:order val="${index}"/>`,
+  `<c:tx><c:strRef><c:f>${escapeXml(item.nameRef)}</c:f></c:strRef></c:tx>`,
+  chartType === 'line' ? '<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>' : '',
+  chartType === 'bar' ? '<c:invertIfNegative val="0"/>' : '',
+  `<c:cat><c:strRef><c:f>${escapeXml(categoriesRef)}</c:f></c:strRef></c:cat>`,
+  `<c:val><c:numRef><c:f>${escapeXml(item.valuesRef)}</c:f></c:numRef></c:val>`,
+  chartType === 'line' ? '<c:smooth val="0"/>' : '',
+  '</c:ser>'
+].join('')).join('');
+
+const buildAxesXml = (horizontal) => [
+  `<c:catAx><c:axId val="${AXIS_IDS.category}"/><c:scaling><c:orientation val="minMax"/></c:scaling>`,
+  `<c:delete val="0"/><c:axPos val="${horizontal ? 'l' : 'b'}"/><c:numFmt formatCode="General" sourceLinked="1"/>`,
+  `<c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>`,
+  `<c:crossAx val="${AXIS_IDS.value}"/><c:crosses val="autoZero"/><c:auto val="1"/>`,
+  '<c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>',
+  `<c:valAx><c:axId val="${AXIS_IDS.value}"/><c:scaling><c:orientation val="minMax"/></c:scaling>`,
+  `<c:delete val="0"/><c:axPos val="${horizontal ? 'b' : 'l'}"/><c:majorGridlines/>`,
+  '<c:numFmt formatCode="General" sourceLinked="1"/><c:majorTickMark val="out"/><c:minorTickMark val="none"/>',
+  `<c:tickLblPos val="nextTo"/><c:crossAx val="${AXIS_IDS.category}"/><c:crosses val="autoZero"/>`,
+  '<c:crossBetween val="between"/></c:valAx>'
+].join('');
+
+const buildPlotXml = (chart) => {
+  const series = buildChartSeriesXml(chart);
+  const axisIds = `<c:axId val="${AXIS_IDS.category}"/><c:axId val="${AXIS_IDS.value}"/>`;
+
+  switch (chart.chartType) {
+    case 'bar':
+      return `<c:barChart><c:barDir val="${chart.horizontal ? 'bar' : 'col'}"/><c:grouping val="clustered"/>` +
+        `<c:varyColors val="0"/>${series}<c:gapWidth val="150"/>${axisIds}</c:barChart>${buildAxesXml(chart.horizontal)}`;
+    case 'pie':
+      return `<c:pieChart><c:varyColors val="1"/>${series}<c:firstSliceAng val="0"/></c:pieChart>`;
+    case 'doughnut':
+      return `<c:doughnutChart><c:varyColors val="1"/>${series}<c:firstSliceAng val="0"/>` +
+        '<c:holeSize val="50"/></c:doughnutChart>';
+    default:
+      return `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}` +
+        `<c:marker val="1"/>${axisIds}</c:lineChart>${buildAxesXml(false)}`;
+  }
+};
+
+const buildChartXml = (chart) => XML_HEADER + [
+  '<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart"',
+  ' xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+  '<c:roundedCorners val="0"/><c:chart>',
+  `<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(chart.title)}</a:t></a:r></a:p></c:rich></c:tx>`,
+  '<c:overlay val="0"/></c:title><c:autoTitleDeleted val="0"/>',
+  `<c:plotArea><c:layout/>${buildPlotXml(chart)}</c:plotArea>`,
+  '<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>',
+  '<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart></c:chartSpace>'
+].join('');
+
+const buildDrawingXml = (chart, chartNumber) => XML_HEADER + [
+  '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing"',
+  ' xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><xdr:twoCellAnchor>',
+  `<xdr:from><xdr:col>${chart.anchorColumn}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>1</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>`,
+  `<xdr:to><xdr:col>${chart.anchorColumn + CHART_ANCHOR.columns}</xdr:col><xdr:colOff>0</xdr:colOff>`,
+  `<xdr:row>${1 + CHART_ANCHOR.rows}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>`,
+  '<xdr:graphicFrame macro=""><xdr:nvGraphicFramePr>',
+  `<xdr:cNvPr id="${chartNumber + 1}" name="Chart ${chartNumber}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>`,
+  '<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>',
+  '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart">',
+  '<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart"',
+  ' xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:id="rId1"/>',
+  '</a:graphicData></a:graphic></xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor></xdr:wsDr>'
+].join('');
+
+const EMPTY_RELATIONSHIPS = XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+
+const addRelationship = (xml, id, type, target) =>
+  xml.replace('</Relationships>', `<Relationship Id="${id}" Type="${type}" Target="${target}"/></Relationships>`);
+
+const countParts = (zip, pattern) => Object.keys(zip.files).filter(name => pattern.test(name)).length;
+
+// Add each chart to its sheet as a drawing of a native chart, returning the
+// workbook's bytes
+const addNativeCharts = async (buffer, charts) => {
+  if (charts.length === 0) return buffer;
+
+  const zip = await JSZip.loadAsync(buffer);
+  const drawingCount = countParts(zip, /^xl\/drawings\/drawing\d+\.xml$/);
+  const chartCount = countParts(zip, /^xl\/charts\/chart\d+\.xml$/);
+  const overrides = [];
+
+  for (const [index, chart] of charts.entries()) {
+    const drawingNumber = drawingCount + index + 1;
+    const chartNumber = chartCount + index + 1;
+
+    zip.file(`xl/charts/chart${chartNumber}.xml`, buildChartXml(chart));
+    zip.file(`xl/drawings/drawing${drawingNumber}.xml`, buildDrawingXml(chart, chartNumber));
+    zip.file(
+      `xl/drawings/_rels/drawing${drawingNumber}.xml.rels`,
+      addRelationship(EMPTY_RELATIONSHIPS, 'rId1', RELATIONSHIP_TYPES.chart, `../charts/chart${chartNumber}.xml`)
+    );
+    overrides.push(
+      `<Override PartName="/xl/charts/chart${chartNumber}.xml" ContentType="${CONTENT_TYPES.chart}"/>`,
+      `<Override PartName="/xl/drawings/drawing${drawingNumber}.xml" ContentType="${CONTENT_TYPES.drawing}"/>`
+    );
+
+    const relsPath = `xl/worksheets/_rels/sheet${chart.sheetId}.xml.rels`;
+    const rels = zip.file(relsPath) ? await zip.file(relsPath).async('string') : EMPTY_RELATIONSHIPS;
+    const usedIds = Array.from(rels.matchAll(/Id="rId(\d+)"/g), match => Number(match[1]));
+    const relId = `rId${Math.max(0, ...usedIds) + 1}`;
+    zip.file(relsPath, addRelationship(rels, relId, RELATIONSHIP_TYPES.drawing, `../drawings/drawing${drawingNumber}.xml`));
+
+    // <drawing> comes before <legacyDrawing>, <tableParts> and <extLst>
+    const sheetPath = `xl/worksheets/sheet${chart.sheetId}.xml`;
+    const sheetXml = await zip.file(sheetPath).async('string');
+    zip.file(sheetPath, sheetXml.replace(/<legacyDrawing|<tableParts|<extLst|<\/worksheet>/, `<drawing r:id="${relId}"/>$&`));
+  }
+
+  const contentTypes = await zip.file('[Content_Types].xml').async('string');
+  zip.file('[Content_Types].xml', contentTypes.replace('</Types>', `${overrides.join('')}</Types>`));
+
+  return zip.generateAsync({ type: 'uint8array' });
+};
+
+// Build an audit workbook and return it as a Blob.
+//   records: the rows for the Data sheet, those the KPIs were calculated over
+//   reportType: the report whose KPI definitions become formulas
+//   kpis: describeKPIs entries ({ key, label, format, value }) with the app's values
+//   charts: [{ title, chartType, horizontal, labels, series: [{ name, values }] }]
+//   tables: [{ title, columns, rows }], columns as DataTable's
+//   context: { period, filters } the export was made under
+export const buildExcelWorkbook = async ({
+  title = 'Export',
+  reportType = null,
+  records = [],
+  kpis = [],
+  charts = [],
+  tables = [],
+  context = null,
+  sheetName = 'Data',
+  generatedAt = new Date(),
+  referenceDate = generatedAt
+} = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = generatedAt;
+  const summary = workbook.addWorksheet('Summary');
+  const contents = [];
+  const nativeCharts = [];
+
+  const data = addDataSheet(workbook, sheetName, records, reportType);
+  contents.push({
+    sheet: data.worksheet.name,
+    description: 'Records in the period, after filters',
+    rows: data.columns.length > 0 ? { formula: `ROWS(${DATA_TABLE})`, result: records.length } : 0
+  });
+
+  if (reportType && kpis.length > 0) {
+    const { worksheet, formulaCount } = addKPISheet(workbook, reportType, kpis, data.columns, referenceDate);
+    contents.push({
+      sheet: worksheet.name,
+      description: `${kpis.length} KPIs, ${formulaCount} as formulas over ${data.worksheet.name}`,
+      rows: kpis.length
+    });
+  }
+
+  charts.forEach((chart, index) => {
+    const { worksheet, nativeChart, rowCount } = addChartSheet(workbook, chart, index + 1);
+    if (nativeChart.series.length > 0) nativeCharts.push(nativeChart);
+    contents.push({ sheet: worksheet.name, description: `Chart: ${chart.title}`, rows: rowCount });
+  });
+
+  tables.forEach((table, index) => {
+    const { worksheet, rowCount } = addTableSheet(workbook, table, index + 1);
+    contents.push({ sheet: worksheet.name, description: `Table: ${table.title}`, rows: rowCount });
+  });
+
+  addSummarySheet(summary, { title, reportType, context, generatedAt, contents });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  const bytes = await addNativeCharts(buffer, nativeCharts);
+  return new Blob([bytes], { type: XLSX_MIME_TYPE });
+};
@@ -1,6 +1,37 @@
 // src/utils/exportUtils.js
 import { formatTableCell } from './formatters';
 import { REPORT_CONFIG } from '../config/reportConfig';
+import { getRecordDate } from './fieldUtils';
+import { formatFiscalPeriodLabel, getFiscalCalendar, getFiscalPeriodKey } from './fiscalCalendar';
+import { describeKPIs } from './kpiEngine';
+import { formatDateWindow, getDateWindow } from './dateUtils';
+import { buildPdfReport } from './pdfReport';
+import { buildPptxDeck } from './pptxDeck';
+import { getDashboardCharts } from './boardPack';
+
+// Columns added to exports of reports with a date field, so exported rows can
+// be grouped by the fiscal calendar
+const FISCAL_COLUMNS = [
+  { key: 'fiscal_year', label: 'Fiscal Year', period: 'fiscal_year' },
+  { key: 'fiscal_quarter', label: 'Fiscal Quarter', period: 'fiscal_quarter' },
+  { key: 'fiscal_period', label: 'Fiscal Period', period: 'fiscal_period' }
+];
+
+// Records with the fiscal year, quarter and period of the report's date, as
+// FY24/25, Q1 FY24/25 and P1 FY24/25. Unchanged for reports without a date.
+export const withFiscalPeriods = (data, reportType, calendar = getFiscalCalendar()) => {
+  const dateField = REPORT_CONFIG[reportType]?.dateField;
+  if (!dateField) return data;
+
+  return data.map(row => {
+    const date = getRecordDate(row, dateField);
+    const fiscal = FISCAL_COLUMNS.map(({ key, period }) => [
+      key,
+      date ? formatFiscalPeriodLabel(getFiscalPeriodKey(date, period, calendar), calendar) : ''
+    ]);
+    return { ...row, ...Object.fromEntries(fiscal) };
+  });
+};
 
 // Export data as CSV
 export const exportToCSV = (data, filename = 'export', reportType = null) => {
@@ -13,12 +44,17 @@ export const exportToCSV = (data, filename = 'export', reportType = null) => {
   
   // Determine columns to export
   let columns;
+  let rowsToExport = data;
   if (config) {
     columns = Object.entries(config.fields).map(([key, field]) => ({
       key,
       label: field.label,
       type: field.type
     }));
+    if (config.dateField) {
+      columns.push(...FISCAL_COLUMNS.map(({ key, label }) => ({ key, label, type: 'string' })));
+      rowsToExport = withFiscalPeriods(data, reportType);
+    }
   } else {
     // Use all available columns from data
     const allKeys = new Set();
@@ -41,7 +77,7 @@ export const exportToCSV = (data, filename = 'export', reportType = null) => {
   const headers = columns.map(col => `"${col.label}"`).join(',');
   
   // Create CSV rows
-  const rows = data.map(row => {
+  const rows = rowsToExport.map(row => {
     return columns.map(col => {
       const value = row[col.key];
       let formattedValue;
@@ -117,133 +153,70 @@ export const exportChartAsImage = (chartElement, filename = 'chart', format = 'p
   });
 };
 
-// Create PDF report (basic implementation)
-export const exportToPDF = async (reportData, filename = 'report') => {
-  // This would require a PDF library like jsPDF
-  // For now, we'll create a simple HTML-to-print solution
-  
-  const printWindow = window.open('', '_blank');
-  
-  const htmlContent = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <title>${reportData.title || 'Financial Report'}</title>
-      <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #f2f2f2; }
-        .header { margin-bottom: 30px; }
-        .kpi-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px; margin: 20px 0; }
-        .kpi-card { border: 1px solid #ddd; padding: 15px; text-align: center; }
-        .kpi-value { font-size: 24px; font-weight: bold; }
-        .kpi-label { color: #666; margin-top: 5px; }
-        @media print {
-          .no-print { display: none; }
-        }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h1>${reportData.title || 'Financial Report'}</h1>
-        <p>Generated on: ${new Date().toLocaleDateString()}</p>
-        ${reportData.dateRange ? `<p>Period: ${reportData.dateRange.start} to ${reportData.dateRange.end}</p>` : ''}
-      </div>
-      
-      ${reportData.kpis ? generateKPISection(reportData.kpis) : ''}
-      ${reportData.data ? generateTableSection(reportData.data, reportData.reportType) : ''}
-      
-      <div class="no-print" style="margin-top: 30px;">
-        <button onclick="window.print()">Print Report</button>
-        <button onclick="window.close()">Close</button>
-      </div>
-    </body>
-    </html>
-  `;
+// One report as a PDF chapter: its KPI tiles, the charts last shown on its
+// dashboard and its records
+const toReportChapter = ({ title, data, reportType, kpis }, context) => {
+  const config = reportType ? REPORT_CONFIG[reportType] : null;
+  const toLabel = (key) => key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
 
-  printWindow.document.write(htmlContent);
-  printWindow.document.close();
-  
-  return {
-    success: true,
-    message: 'PDF report opened in new window for printing'
-  };
-};
+  const columns = config
+    ? Object.entries(config.fields).map(([key, field]) => ({ key, header: field.label, type: field.type }))
+    : Object.keys(data?.[0] || {}).filter(key => !key.startsWith('_')).map(key => ({ key, header: toLabel(key) }));
 
-// Generate KPI section for PDF
-const generateKPISection = (kpis) => {
-  const kpiCards = Object.entries(kpis).map(([key, value]) => `
-    <div class="kpi-card">
-      <div class="kpi-value">${formatTableCell(value, 'number')}</div>
-      <div class="kpi-label">${key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</div>
-    </div>
-  `).join('');
+  const blocks = [];
+  if (kpis) {
+    blocks.push({
+      type: 'kpis',
+      title: 'Key Performance Indicators',
+      kpis: config
+        ? describeKPIs(reportType, kpis)
+        : Object.entries(kpis).map(([key, value]) => ({ key, label: toLabel(key), value, format: 'number' })),
+      previousValues: {}
+    });
+  }
+  if (reportType) {
+    blocks.push(...getDashboardCharts(reportType).map(chart => ({ type: 'chart', ...chart })));
+  }
+  if (data && data.length > 0) {
+    blocks.push({ type: 'table', title: 'Records', columns, rows: data });
+  }
 
-  return `
-    <div class="kpi-section">
-      <h2>Key Performance Indicators</h2>
-      <div class="kpi-grid">
-        ${kpiCards}
-      </div>
-    </div>
-  `;
+  return { title: title || 'Financial Report', context, blocks };
 };
 
-// Generate table section for PDF
-const generateTableSection = (data, reportType) => {
-  if (!data || data.length === 0) return '';
+// reportData is either a report of chapters, as board packs and report packs
+// build, or a single report's { title, data, reportType, dateRange, kpis }
+const toChapteredReport = (reportData) => {
+  if (reportData.chapters) return reportData;
 
-  const config = reportType ? REPORT_CONFIG[reportType] : null;
-  let columns;
+  const context = { period: formatDateWindow(getDateWindow(reportData.dateRange)) || 'All dates', filters: [] };
+  return {
+    title: reportData.title || 'Financial Report',
+    context,
+    chapters: [toReportChapter(reportData, context)]
+  };
+};
 
-  if (config) {
-    columns = Object.entries(config.fields).map(([key, field]) => ({
-      key,
-      label: field.label,
-      type: field.type
-    }));
-  } else {
-    const allKeys = new Set();
-    data.slice(0, 5).forEach(row => {
-      Object.keys(row).forEach(key => {
-        if (!key.startsWith('_')) {
-          allKeys.add(key);
-        }
-      });
-    });
-    
-    columns = Array.from(allKeys).map(key => ({
-      key,
-      label: key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-      type: 'string'
-    }));
-  }
+// Save a multi-page A4 PDF (see utils/pdfReport)
+export const exportToPDF = async (reportData, filename = 'report') => {
+  const doc = buildPdfReport(toChapteredReport(reportData));
+  downloadBlob(doc.output('blob'), `${filename}.pdf`);
 
-  const headers = columns.map(col => `<th>${col.label}</th>`).join('');
-  const rows = data.slice(0, 50).map(row => {
-    const cells = columns.map(col => {
-      const value = row[col.key];
-      const formattedValue = config ? formatTableCell(value, col.type) : (value?.toString() || '');
-      return `<td>${formattedValue}</td>`;
-    }).join('');
-    return `<tr>${cells}</tr>`;
-  }).join('');
+  return {
+    success: true,
+    pageCount: doc.getNumberOfPages()
+  };
+};
+
+// Save a PowerPoint deck of the report's KPIs and charts (see utils/pptxDeck)
+export const exportToPPTX = async (reportData, filename = 'report') => {
+  const { blob, slideCount } = await buildPptxDeck(toChapteredReport(reportData));
+  downloadBlob(blob, `${filename}.pptx`);
 
-  return `
-    <div class="table-section">
-      <h2>Data Sample (First 50 records)</h2>
-      <table>
-        <thead>
-          <tr>${headers}</tr>
-        </thead>
-        <tbody>
-          ${rows}
-        </tbody>
-      </table>
-      ${data.length > 50 ? `<p><em>Showing 50 of ${data.length} total records</em></p>` : ''}
-    </div>
-  `;
+  return {
+    success: true,
+    slideCount
+  };
 };
 
 // Download blob helper function
@@ -279,6 +252,7 @@ export const exportFilteredData = async (reportType, filters = {}, format = 'csv
       case 'json':
         return exportToJSON(data, finalFilename);
       case 'pdf':
+      case 'pptx':
         const reportData = {
           title: `${reportType.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())} Report`,
           data,
@@ -286,7 +260,9 @@ export const exportFilteredData = async (reportType, filters = {}, format = 'csv
           dateRange: filters.dateRange,
           kpis: await dataManager.default.getKPIData(reportType, filters.dateRange)
         };
-        return exportToPDF(reportData, finalFilename);
+        return format.toLowerCase() === 'pptx'
+          ? exportToPPTX(reportData, finalFilename)
+          : exportToPDF(reportData, finalFilename);
       default:
         throw new Error(`Unsupported export format: ${format}`);
     }
@@ -321,6 +297,7 @@ export const exportAllReports = async (format = 'json', includeMetadata = true)
 
 // Export utilities object
 export default {
+  withFiscalPeriods,
   exportToCSV,
   exportToJSON,
   exportToPDF,
@@ -0,0 +1,211 @@
+// src/utils/fieldUtils.js
+import { COLUMN_MAPPINGS } from './constants';
+import { parseDate } from './dateUtils';
+
+// Records can be stored with schema field names (customer_id) or with the raw
+// CSV headers they were uploaded with (CustomerID), so resolve through the aliases
+export const getFieldValue = (record, field) => {
+  if (!record || !field) return undefined;
+  if (record[field] !== undefined) return record[field];
+
+  const aliases = COLUMN_MAPPINGS[field] || [];
+  const alias = aliases.find(name => record[name] !== undefined);
+  return alias ? record[alias] : undefined;
+};
+
+export const isEmptyValue = (value) => value === null || value === undefined || value === '';
+
+// Read a field as a number, stripping currency symbols, thousands separators and %
+export const getNumericValue = (record, field) => {
+  const value = getFieldValue(record, field);
+  if (isEmptyValue(value)) return null;
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+
+  const parsed = parseFloat(String(value).replace(/[£$€¥,%\s]/g, ''));
+  return isNaN(parsed) ? null : parsed;
+};
+
+// Read a field as a Date, accepting Date objects, ISO and UK formatted strings
+export const getDateValue = (record, field) => {
+  const value = getFieldValue(record, field);
+  if (isEmptyValue(value)) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  return parseDate(String(value).trim());
+};
+
+// Date a record falls on for period windows. dateField is a field name, or
+// { year, month } field names for reports bucketed by month (liquidation vintages)
+export const getRecordDate = (record, dateField) => {
+  if (!dateField) return null;
+  if (typeof dateField === 'string') return getDateValue(record, dateField);
+
+  const year = getNumericValue(record, dateField.year);
+  const month = getNumericValue(record, dateField.month);
+  if (year === null || month === null) return null;
+  return new Date(year, month - 1, 1);
+};
+
+const normalise = (value) => (typeof value === 'string' ? value.trim().toLowerCase() : value);
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// A date value as YYYY-MM-DD for day comparisons. ISO strings are read as
+// written, since new Date() would take them as UTC midnight.
+const toDayKey = (value) => {
+  if (isEmptyValue(value)) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value.trim())) return value.trim().slice(0, 10);
+  const date = value instanceof Date ? value : parseDate(String(value).trim());
+  return date && !isNaN(date.getTime()) ? formatDayKey(date) : null;
+};
+
+// First day of a relative window { amount, unit } ending today, such as the
+// last 30 days or the last 3 months
+const getRelativeStartKey = ({ amount, unit = 'days' } = {}, today = new Date()) => {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const count = Number(amount) || 0;
+  switch (unit) {
+    case 'weeks':
+      start.setDate(start.getDate() - count * 7);
+      break;
+    case 'months':
+      start.setMonth(start.getMonth() - count);
+      break;
+    case 'years':
+      start.setFullYear(start.getFullYear() - count);
+      break;
+    default:
+      start.setDate(start.getDate() - count);
+  }
+  return formatDayKey(start);
+};
+
+const dayKeyToDate = (dayKey) => {
+  const [year, month, day] = dayKey.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Read a date field as local midnight of the day it holds, for counting days
+// between dates regardless of how they were uploaded
+export const getDayValue = (record, field) => {
+  const day = toDayKey(getFieldValue(record, field));
+  return day ? dayKeyToDate(day) : null;
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Numbers derived from a date field, for conditions such as "days since
+// last_payment_date > 30". Day counts run to today by calendar day.
+const COMPUTED_VALUES = {
+  daysSince: (value, today) => {
+    const day = toDayKey(value);
+    if (!day) return null;
+    return Math.round((dayKeyToDate(formatDayKey(today)) - dayKeyToDate(day)) / MS_PER_DAY);
+  },
+  hourOf: (value) => {
+    if (isEmptyValue(value)) return null;
+    const date = value instanceof Date ? value : parseDate(String(value).trim());
+    return date && !isNaN(date.getTime()) ? date.getHours() : null;
+  }
+};
+
+export const COMPUTED_VALUE_TYPES = Object.keys(COMPUTED_VALUES);
+
+export const getComputedValue = (record, field, compute, today = new Date()) => {
+  const computeValue = COMPUTED_VALUES[compute];
+  if (!computeValue) {
+    throw new Error(`Unknown computed value: ${compute}`);
+  }
+  return computeValue(getFieldValue(record, field), today);
+};
+
+// Case-insensitive pattern match; an invalid pattern matches nothing
+const matchesPattern = (value, pattern) => {
+  try {
+    return new RegExp(pattern, 'i').test(String(value));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Evaluate a declarative condition against a record.
+// A condition is { field, op, value }, an array (all must match),
+// or a group of the form { all: [...] }, { any: [...] } or { not: condition }.
+// Date operators compare by day: before and after take a date, relative
+// takes { amount, unit } counted back from today.
+// A condition with compute (daysSince, hourOf) tests that number derived
+// from the field rather than the field itself.
+export const matchesCondition = (record, condition) => {
+  if (!condition) return true;
+
+  if (Array.isArray(condition)) {
+    return condition.every(c => matchesCondition(record, c));
+  }
+  if (condition.all) {
+    return condition.all.every(c => matchesCondition(record, c));
+  }
+  if (condition.any) {
+    return condition.any.some(c => matchesCondition(record, c));
+  }
+  if (condition.not) {
+    return !matchesCondition(record, condition.not);
+  }
+
+  const value = condition.compute
+    ? getComputedValue(record, condition.field, condition.compute)
+    : getFieldValue(record, condition.field);
+
+  switch (condition.op) {
+    case 'exists':
+      return !isEmptyValue(value);
+    case 'missing':
+      return isEmptyValue(value);
+    case 'eq':
+      return normalise(value) === normalise(condition.value);
+    case 'ne':
+      return normalise(value) !== normalise(condition.value);
+    case 'in':
+      return toList(condition.value).map(normalise).includes(normalise(value));
+    case 'notIn':
+      return !toList(condition.value).map(normalise).includes(normalise(value));
+    case 'startsWith':
+      return !isEmptyValue(value) &&
+        String(value).toLowerCase().startsWith(String(condition.value).toLowerCase());
+    case 'contains':
+      return !isEmptyValue(value) &&
+        String(value).toLowerCase().includes(String(condition.value).toLowerCase());
+    case 'regex':
+      return !isEmptyValue(value) && matchesPattern(value, condition.value);
+    case 'before':
+    case 'after':
+    case 'relative': {
+      const day = toDayKey(value);
+      if (!day) return false;
+      if (condition.op === 'before') return day < toDayKey(condition.value);
+      if (condition.op === 'after') return day > toDayKey(condition.value);
+      return day >= getRelativeStartKey(condition.value) && day <= formatDayKey(new Date());
+    }
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte':
+    case 'between': {
+      const number = condition.compute ? value : getNumericValue(record, condition.field);
+      if (number === null) return false;
+      if (condition.op === 'gt') return number > condition.value;
+      if (condition.op === 'gte') return number >= condition.value;
+      if (condition.op === 'lt') return number < condition.value;
+      if (condition.op === 'lte') return number <= condition.value;
+      const [min, max] = condition.value;
+      return (min === null || min === undefined || number >= min) &&
+        (max === null || max === undefined || number <= max);
+    }
+    default:
+      throw new Error(`Unknown condition operator: ${condition.op}`);
+  }
+};
+
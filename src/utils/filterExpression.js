@@ -0,0 +1,180 @@
+// src/utils/filterExpression.js
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { getFieldValue, isEmptyValue } from './fieldUtils';
+
+// Filter builder expressions are matchesCondition conditions: a group
+// { all: [...] } or { any: [...] } holding rules { field, op, value } and
+// nested groups. The builder edits them as they are; compileExpression drops
+// unfinished rules and empty groups before the expression is applied.
+
+export const MAX_GROUP_DEPTH = 3;
+
+export const OPERATORS = {
+  between: { label: 'between', input: 'range' },
+  gte: { label: 'at least', input: 'number' },
+  lte: { label: 'at most', input: 'number' },
+  gt: { label: 'more than', input: 'number' },
+  lt: { label: 'less than', input: 'number' },
+  in: { label: 'is any of', input: 'list' },
+  notIn: { label: 'is none of', input: 'list' },
+  before: { label: 'before', input: 'date' },
+  after: { label: 'after', input: 'date' },
+  relative: { label: 'in the last', input: 'relative' },
+  contains: { label: 'contains', input: 'text' },
+  startsWith: { label: 'starts with', input: 'text' },
+  eq: { label: 'is', input: 'text' },
+  regex: { label: 'matches pattern', input: 'text' },
+  exists: { label: 'is set', input: 'none' },
+  missing: { label: 'is empty', input: 'none' }
+};
+
+const NUMERIC_OPERATORS = ['between', 'gte', 'lte', 'gt', 'lt', 'exists', 'missing'];
+const DATE_OPERATORS = ['before', 'after', 'relative', 'exists', 'missing'];
+
+// Operators offered for each REPORT_CONFIG field type, the first the default
+export const TYPE_OPERATORS = {
+  currency: NUMERIC_OPERATORS,
+  number: NUMERIC_OPERATORS,
+  percentage: NUMERIC_OPERATORS,
+  category: ['in', 'notIn', 'exists', 'missing'],
+  date: DATE_OPERATORS,
+  datetime: DATE_OPERATORS,
+  string: ['contains', 'startsWith', 'eq', 'regex', 'exists', 'missing']
+};
+
+export const RELATIVE_UNITS = ['days', 'weeks', 'months', 'years'];
+
+// Numbers the builder can derive from date fields (see getComputedValue)
+export const COMPUTED_FIELDS = {
+  daysSince: { label: 'Days since', types: ['date', 'datetime'] },
+  hourOf: { label: 'Hour of', types: ['datetime'] }
+};
+
+// Key of a field or rule, unique across plain and computed fields
+export const getFieldKey = ({ field, compute }) => (compute ? `${compute}:${field}` : field);
+
+// Fields of a report the builder can filter on, followed by the numbers
+// computed from its date fields. Computed fields carry compute and filter as
+// numbers.
+export const getFilterFields = (reportType) => {
+  const fields = Object.entries(REPORT_CONFIG[reportType]?.fields || {}).map(([field, config]) => ({
+    key: field,
+    field,
+    label: config.label || field,
+    type: TYPE_OPERATORS[config.type] ? config.type : 'string'
+  }));
+
+  const computed = Object.entries(COMPUTED_FIELDS).flatMap(([compute, { label, types }]) => fields
+    .filter(field => types.includes(field.type))
+    .map(field => ({
+      key: getFieldKey({ field: field.field, compute }),
+      field: field.field,
+      compute,
+      label: `${label} ${field.label.toLowerCase()}`,
+      type: 'number'
+    })));
+
+  return [...fields, ...computed];
+};
+
+export const getOperators = (type) => TYPE_OPERATORS[type] || TYPE_OPERATORS.string;
+
+export const getDefaultValue = (op) => {
+  switch (OPERATORS[op]?.input) {
+    case 'range': return [null, null];
+    case 'list': return [];
+    case 'relative': return { amount: 30, unit: 'days' };
+    case 'none': return undefined;
+    default: return '';
+  }
+};
+
+export const createRule = ({ field, compute, type }) => {
+  const op = getOperators(type)[0];
+  return compute
+    ? { field, compute, op, value: getDefaultValue(op) }
+    : { field, op, value: getDefaultValue(op) };
+};
+
+export const createGroup = (combinator = 'all') => ({ [combinator]: [] });
+
+export const isGroup = (node) => Boolean(node && (node.all || node.any));
+
+export const getCombinator = (group) => (group.any ? 'any' : 'all');
+
+export const getChildren = (group) => {
+  const children = group[getCombinator(group)];
+  return Array.isArray(children) ? children : [];
+};
+
+const isValidPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Whether a rule has everything its operator needs
+export const isCompleteRule = (rule) => {
+  if (!rule?.field || !OPERATORS[rule.op]) return false;
+  if (rule.compute && !COMPUTED_FIELDS[rule.compute]) return false;
+  const { value } = rule;
+
+  switch (OPERATORS[rule.op].input) {
+    case 'none': return true;
+    case 'range': return Array.isArray(value) && value.some(bound => !isEmptyValue(bound));
+    case 'list': return Array.isArray(value) && value.length > 0;
+    case 'relative': return Number(value?.amount) > 0;
+    case 'number': return typeof value === 'number' && isFinite(value);
+    default:
+      return !isEmptyValue(value) && (rule.op !== 'regex' || isValidPattern(value));
+  }
+};
+
+// The expression without unfinished rules or empty groups; null if nothing
+// is left
+export const compileExpression = (expression) => {
+  if (!expression) return null;
+  if (!isGroup(expression)) return isCompleteRule(expression) ? expression : null;
+
+  const children = getChildren(expression).map(compileExpression).filter(Boolean);
+  return children.length > 0 ? { [getCombinator(expression)]: children } : null;
+};
+
+export const countRules = (expression) => {
+  if (!expression) return 0;
+  if (!isGroup(expression)) return 1;
+  return getChildren(expression).reduce((count, child) => count + countRules(child), 0);
+};
+
+// Dimension filters: multi-selects over a report's category fields, stored
+// as { [field]: [values] } and applied as `in` rules of the same expression
+
+export const getDimensionFields = (reportType) =>
+  getFilterFields(reportType).filter(field => field.type === 'category' && !field.compute);
+
+// Distinct values of a field with their record counts, most common first.
+// Blank values are counted under null.
+export const getDimensionOptions = (records = [], field) => {
+  const counts = new Map();
+  records.forEach(record => {
+    const raw = getFieldValue(record, field);
+    const value = isEmptyValue(raw) ? null : String(raw).trim();
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  return Array.from(counts, ([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+// Selected dimension values as a condition; null when nothing is selected
+export const toDimensionCondition = (dimensions = {}) => {
+  const rules = Object.entries(dimensions || {})
+    .filter(([, values]) => Array.isArray(values) && values.length > 0)
+    .map(([field, values]) => (values.includes(null)
+      ? { any: [{ field, op: 'in', value: values.filter(v => v !== null) }, { field, op: 'missing' }] }
+      : { field, op: 'in', value: values }));
+  return rules.length > 0 ? { all: rules } : null;
+};
@@ -0,0 +1,119 @@
+import {
+  compileExpression,
+  countRules,
+  createRule,
+  getDimensionFields,
+  getDimensionOptions,
+  getFilterFields,
+  isCompleteRule,
+  toDimensionCondition
+} from './filterExpression';
+import { matchesCondition } from './fieldUtils';
+
+describe('isCompleteRule', () => {
+  test('needs a field and a known operator', () => {
+    expect(isCompleteRule({ op: 'exists' })).toBe(false);
+    expect(isCompleteRule({ field: 'stage', op: 'like', value: 'x' })).toBe(false);
+    expect(isCompleteRule({ field: 'stage', op: 'exists' })).toBe(true);
+  });
+
+  test('needs the value its operator takes', () => {
+    expect(isCompleteRule({ field: 'total_due', op: 'between', value: [null, null] })).toBe(false);
+    expect(isCompleteRule({ field: 'total_due', op: 'between', value: [100, null] })).toBe(true);
+    expect(isCompleteRule({ field: 'stage', op: 'in', value: [] })).toBe(false);
+    expect(isCompleteRule({ field: 'stage_date', op: 'relative', value: { amount: 0, unit: 'days' } })).toBe(false);
+    expect(isCompleteRule({ field: 'total_due', op: 'gt', value: '100' })).toBe(false);
+    expect(isCompleteRule({ field: 'total_due', op: 'gt', value: 100 })).toBe(true);
+    expect(isCompleteRule({ field: 'stage', op: 'contains', value: '' })).toBe(false);
+  });
+
+  test('rejects invalid patterns and unknown computed fields', () => {
+    expect(isCompleteRule({ field: 'customer_id', op: 'regex', value: '[' })).toBe(false);
+    expect(isCompleteRule({ field: 'customer_id', op: 'regex', value: '^C\\d+' })).toBe(true);
+    expect(isCompleteRule({ field: 'stage_date', compute: 'daysSince', op: 'gt', value: 30 })).toBe(true);
+    expect(isCompleteRule({ field: 'stage_date', compute: 'eval', op: 'gt', value: 30 })).toBe(false);
+  });
+});
+
+describe('compileExpression', () => {
+  test('drops unfinished rules and empty groups', () => {
+    const expression = {
+      all: [
+        { field: 'stage', op: 'in', value: ['Active'] },
+        { field: 'total_due', op: 'gt', value: '' },
+        { any: [] },
+        { any: [{ field: 'payment_status', op: 'missing' }, { all: [{ field: 'stage', op: 'contains', value: '' }] }] }
+      ]
+    };
+    expect(compileExpression(expression)).toEqual({
+      all: [
+        { field: 'stage', op: 'in', value: ['Active'] },
+        { any: [{ field: 'payment_status', op: 'missing' }] }
+      ]
+    });
+    expect(countRules(expression)).toBe(4);
+  });
+
+  test('is null when nothing is left, or for malformed groups', () => {
+    expect(compileExpression({ all: [{ field: 'stage', op: 'in', value: [] }] })).toBeNull();
+    expect(compileExpression({ all: 'stage' })).toBeNull();
+    expect(compileExpression(null)).toBeNull();
+  });
+
+  test('compiles to a condition matchesCondition applies', () => {
+    const condition = compileExpression({
+      any: [
+        { field: 'stage', op: 'startsWith', value: 'Arrears' },
+        { all: [{ field: 'total_due', op: 'gte', value: 500 }, { field: 'payment_status', op: 'in', value: ['Missed'] }] }
+      ]
+    });
+    expect(matchesCondition({ stage: 'Arrears_30', total_due: 10 }, condition)).toBe(true);
+    expect(matchesCondition({ stage: 'Active', total_due: 600, payment_status: 'Missed' }, condition)).toBe(true);
+    expect(matchesCondition({ stage: 'Active', total_due: 600, payment_status: 'Paid' }, condition)).toBe(false);
+  });
+});
+
+describe('report fields', () => {
+  test('lists each field with its type, then numbers computed from dates', () => {
+    const fields = getFilterFields('arrears');
+    expect(fields.find(field => field.key === 'total_due')).toEqual(
+      { key: 'total_due', field: 'total_due', label: 'Total Due', type: 'currency' }
+    );
+    expect(fields.find(field => field.key === 'daysSince:last_payment_date')).toEqual(expect.objectContaining({
+      field: 'last_payment_date', compute: 'daysSince', type: 'number'
+    }));
+  });
+
+  test('new rules start with the first operator for the type', () => {
+    expect(createRule({ field: 'total_due', type: 'currency' })).toEqual({ field: 'total_due', op: 'between', value: [null, null] });
+    expect(createRule({ field: 'stage', type: 'category' })).toEqual({ field: 'stage', op: 'in', value: [] });
+    expect(createRule({ field: 'stage_date', compute: 'daysSince', type: 'number' }))
+      .toEqual({ field: 'stage_date', compute: 'daysSince', op: 'between', value: [null, null] });
+  });
+});
+
+describe('dimension filters', () => {
+  test('are the category fields of a report', () => {
+    expect(getDimensionFields('arrears').map(field => field.field)).toEqual(['tier_name', 'stage', 'payment_status']);
+  });
+
+  test('offer each value with its count, most common first, blanks as null', () => {
+    const records = [{ stage: 'Active' }, { stage: ' Arrears_30 ' }, { stage: 'Active' }, { stage: '' }];
+    expect(getDimensionOptions(records, 'stage')).toEqual([
+      { value: 'Active', count: 2 },
+      { value: 'Arrears_30', count: 1 },
+      { value: null, count: 1 }
+    ]);
+  });
+
+  test('become in rules, with null matching blank values', () => {
+    expect(toDimensionCondition({ stage: ['Active'], tier_name: [] })).toEqual({
+      all: [{ field: 'stage', op: 'in', value: ['Active'] }]
+    });
+
+    const condition = toDimensionCondition({ stage: ['Active', null] });
+    expect(matchesCondition({ stage: '' }, condition)).toBe(true);
+    expect(matchesCondition({ stage: 'Arrears_30' }, condition)).toBe(false);
+    expect(toDimensionCondition({})).toBeNull();
+  });
+});
@@ -0,0 +1,163 @@
+// src/utils/fiscalCalendar.js
+import { APP_CONFIG } from '../config/appConfig';
+
+// Fiscal calendar: { startMonth, weekPattern }. startMonth is 1-12. Without a
+// weekPattern the fiscal year is twelve calendar-month periods from the 1st
+// of startMonth. With one, such as [4, 4, 5], each quarter is three periods
+// of that many whole weeks, Monday to Sunday, and the year starts on the
+// Monday nearest the 1st of startMonth; a 53-week year puts the extra week in
+// its last period.
+//
+// A fiscal year is named by the calendar year it starts in, so FY2024 is
+// April 2024 - March 2025 and is labelled FY24/25.
+
+export const FISCAL_PERIODS = ['fiscal_period', 'fiscal_quarter', 'fiscal_year'];
+
+export const WEEK_PATTERNS = [[4, 4, 5], [4, 5, 4], [5, 4, 4]];
+
+const PERIODS_PER_YEAR = 12;
+
+export const normaliseFiscalCalendar = (calendar = {}) => {
+  const startMonth = Number(calendar.startMonth);
+  const weekPattern = Array.isArray(calendar.weekPattern) ? calendar.weekPattern.map(Number) : null;
+
+  if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+    throw new Error('Fiscal year start month must be from 1 to 12');
+  }
+  if (weekPattern && !WEEK_PATTERNS.some(pattern => pattern.join() === weekPattern.join())) {
+    throw new Error(`Unsupported week pattern: ${weekPattern.join('-')}`);
+  }
+  return { startMonth, weekPattern };
+};
+
+export const DEFAULT_FISCAL_CALENDAR = normaliseFiscalCalendar(APP_CONFIG.fiscalCalendar);
+
+// The calendar used wherever none is passed; set from the saved settings on
+// start-up (see fiscalCalendarSettings)
+let activeCalendar = DEFAULT_FISCAL_CALENDAR;
+
+export const getFiscalCalendar = () => activeCalendar;
+
+export const setFiscalCalendar = (calendar) => {
+  activeCalendar = normaliseFiscalCalendar(calendar);
+  return activeCalendar;
+};
+
+export const isFiscalPeriod = (period) => FISCAL_PERIODS.includes(period);
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const toDate = (value) => {
+  if (value instanceof Date) return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// First day of a fiscal year
+export const getFiscalYearStart = (fiscalYear, calendar = activeCalendar) => {
+  const first = new Date(fiscalYear, calendar.startMonth - 1, 1);
+  if (!calendar.weekPattern) return first;
+
+  // Nearest Monday, up to three days either side of the 1st
+  const sinceMonday = (first.getDay() + 6) % 7;
+  return addDays(first, sinceMonday <= 3 ? -sinceMonday : 7 - sinceMonday);
+};
+
+// Fiscal year a date (a Date or YYYY-MM-DD) falls in
+export const getFiscalYearOf = (value, calendar = activeCalendar) => {
+  const date = toDate(value);
+  let fiscalYear = date.getFullYear();
+  while (date < getFiscalYearStart(fiscalYear, calendar)) fiscalYear -= 1;
+  while (date >= getFiscalYearStart(fiscalYear + 1, calendar)) fiscalYear += 1;
+  return fiscalYear;
+};
+
+// The twelve periods of a fiscal year as [start, end) dates
+export const getFiscalPeriods = (fiscalYear, calendar = activeCalendar) => {
+  const yearStart = getFiscalYearStart(fiscalYear, calendar);
+  const yearEnd = getFiscalYearStart(fiscalYear + 1, calendar);
+  const periods = [];
+
+  let start = yearStart;
+  for (let index = 0; index < PERIODS_PER_YEAR; index++) {
+    const isLast = index === PERIODS_PER_YEAR - 1;
+    let end;
+    if (isLast) {
+      end = yearEnd;
+    } else if (calendar.weekPattern) {
+      end = addDays(start, calendar.weekPattern[index % 3] * 7);
+    } else {
+      end = new Date(yearStart.getFullYear(), yearStart.getMonth() + index + 1, 1);
+    }
+    periods.push({ period: index + 1, quarter: Math.floor(index / 3) + 1, start, end });
+    start = end;
+  }
+  return periods;
+};
+
+// { fiscalYear, period, quarter } of a date
+export const getFiscalPeriodOf = (value, calendar = activeCalendar) => {
+  const date = toDate(value);
+  const fiscalYear = getFiscalYearOf(date, calendar);
+  const match = getFiscalPeriods(fiscalYear, calendar).find(period => date < period.end);
+  return { fiscalYear, period: match.period, quarter: match.quarter };
+};
+
+// Fiscal period key of a date: FY2024 (fiscal_year), FY2024-Q1
+// (fiscal_quarter) or FY2024-P01 (fiscal_period), which sort in date order
+export const getFiscalPeriodKey = (value, period = 'fiscal_period', calendar = activeCalendar) => {
+  if (!value) return null;
+  const { fiscalYear, period: number, quarter } = getFiscalPeriodOf(value, calendar);
+  switch (period) {
+    case 'fiscal_year':
+      return `FY${fiscalYear}`;
+    case 'fiscal_quarter':
+      return `FY${fiscalYear}-Q${quarter}`;
+    default:
+      return `FY${fiscalYear}-P${pad(number)}`;
+  }
+};
+
+const parseFiscalPeriodKey = (periodKey) => {
+  const match = /^FY(\d{4})(?:-([QP])(\d{1,2}))?$/.exec(periodKey || '');
+  if (!match) throw new Error(`Not a fiscal period: ${periodKey}`);
+  return { fiscalYear: Number(match[1]), unit: match[2] || null, number: Number(match[3]) || null };
+};
+
+// [start, end) dates of a fiscal period key
+export const getFiscalPeriodBounds = (periodKey, calendar = activeCalendar) => {
+  const { fiscalYear, unit, number } = parseFiscalPeriodKey(periodKey);
+  const periods = getFiscalPeriods(fiscalYear, calendar);
+
+  if (unit === 'P') {
+    const { start, end } = periods[number - 1];
+    return { start, end };
+  }
+  if (unit === 'Q') {
+    return { start: periods[(number - 1) * 3].start, end: periods[number * 3 - 1].end };
+  }
+  return { start: periods[0].start, end: periods[PERIODS_PER_YEAR - 1].end };
+};
+
+// FY24/25, or FY2024 when the fiscal year is the calendar year
+export const formatFiscalYear = (fiscalYear, calendar = activeCalendar) => {
+  if (calendar.startMonth === 1) return `FY${fiscalYear}`;
+  return `FY${String(fiscalYear).slice(-2)}/${String(fiscalYear + 1).slice(-2)}`;
+};
+
+// Axis label for a fiscal period key: FY24/25, Q1 FY24/25 or P3 FY24/25
+export const formatFiscalPeriodLabel = (periodKey, calendar = activeCalendar) => {
+  const { fiscalYear, unit, number } = parseFiscalPeriodKey(periodKey);
+  const year = formatFiscalYear(fiscalYear, calendar);
+  return unit ? `${unit}${number} ${year}` : year;
+};
+
+// Short description of a calendar for settings and exports
+export const describeFiscalCalendar = (calendar = activeCalendar) => {
+  const month = new Date(2000, calendar.startMonth - 1, 1).toLocaleDateString('en-GB', { month: 'long' });
+  return calendar.weekPattern
+    ? `${calendar.weekPattern.join('-')} weeks from the Monday nearest 1 ${month}`
+    : `Calendar months from 1 ${month}`;
+};
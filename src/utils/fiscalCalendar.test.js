@@ -0,0 +1,93 @@
+import {
+  DEFAULT_FISCAL_CALENDAR,
+  describeFiscalCalendar,
+  formatFiscalPeriodLabel,
+  getFiscalCalendar,
+  getFiscalPeriodBounds,
+  getFiscalPeriodKey,
+  getFiscalPeriods,
+  getFiscalYearOf,
+  getFiscalYearStart,
+  normaliseFiscalCalendar,
+  setFiscalCalendar
+} from './fiscalCalendar';
+
+const april = { startMonth: 4, weekPattern: null };
+const weeks445 = { startMonth: 4, weekPattern: [4, 4, 5] };
+
+describe('calendar months', () => {
+  test('a fiscal year is named by the calendar year it starts in', () => {
+    expect(getFiscalYearOf('2025-03-31', april)).toBe(2024);
+    expect(getFiscalYearOf('2025-04-01', april)).toBe(2025);
+    expect(getFiscalYearOf(new Date(2025, 11, 31), { startMonth: 1, weekPattern: null })).toBe(2025);
+  });
+
+  test('periods are the calendar months from the start month', () => {
+    const periods = getFiscalPeriods(2024, april);
+    expect(periods).toHaveLength(12);
+    expect(periods[0]).toEqual({ period: 1, quarter: 1, start: new Date(2024, 3, 1), end: new Date(2024, 4, 1) });
+    expect(periods[11].end).toEqual(new Date(2025, 3, 1));
+  });
+
+  test('keys sort in date order and bound their periods', () => {
+    expect(getFiscalPeriodKey('2025-02-14', 'fiscal_period', april)).toBe('FY2024-P11');
+    expect(getFiscalPeriodKey('2025-02-14', 'fiscal_quarter', april)).toBe('FY2024-Q4');
+    expect(getFiscalPeriodKey('2025-02-14', 'fiscal_year', april)).toBe('FY2024');
+    expect(getFiscalPeriodKey(null, 'fiscal_year', april)).toBeNull();
+
+    expect(getFiscalPeriodBounds('FY2024-Q4', april)).toEqual({ start: new Date(2025, 0, 1), end: new Date(2025, 3, 1) });
+    expect(getFiscalPeriodBounds('FY2024', april)).toEqual({ start: new Date(2024, 3, 1), end: new Date(2025, 3, 1) });
+    expect(() => getFiscalPeriodBounds('2024-Q1', april)).toThrow('Not a fiscal period');
+  });
+
+  test('labels span two calendar years unless the year starts in January', () => {
+    expect(formatFiscalPeriodLabel('FY2024-P03', april)).toBe('P3 FY24/25');
+    expect(formatFiscalPeriodLabel('FY2024', { startMonth: 1, weekPattern: null })).toBe('FY2024');
+  });
+});
+
+describe('4-4-5 weeks', () => {
+  test('the year starts on the Monday nearest the 1st of the start month', () => {
+    // 1 April 2024 is a Monday; 1 April 2025 a Tuesday; 1 April 2023 a Saturday
+    expect(getFiscalYearStart(2024, weeks445)).toEqual(new Date(2024, 3, 1));
+    expect(getFiscalYearStart(2025, weeks445)).toEqual(new Date(2025, 2, 31));
+    expect(getFiscalYearStart(2023, weeks445)).toEqual(new Date(2023, 3, 3));
+  });
+
+  test('periods run 4, 4 then 5 weeks, the last period taking any 53rd week', () => {
+    const days = (period) => Math.round((period.end - period.start) / (24 * 60 * 60 * 1000));
+    const periods = getFiscalPeriods(2024, weeks445);
+    expect(periods.slice(0, 3).map(days)).toEqual([28, 28, 35]);
+    expect(periods[11].end).toEqual(new Date(2025, 2, 31));
+
+    // FY2021 runs from 29 March 2021 to 3 April 2022, 53 weeks
+    const longYear = getFiscalPeriods(2021, weeks445);
+    expect(days(longYear[11])).toBe(42);
+  });
+
+  test('dates near the year boundary fall in the right year', () => {
+    expect(getFiscalPeriodKey('2025-03-30', 'fiscal_period', weeks445)).toBe('FY2024-P12');
+    expect(getFiscalPeriodKey('2025-03-31', 'fiscal_period', weeks445)).toBe('FY2025-P01');
+  });
+});
+
+describe('configuration', () => {
+  afterEach(() => setFiscalCalendar(DEFAULT_FISCAL_CALENDAR));
+
+  test('rejects an invalid start month or week pattern', () => {
+    expect(() => normaliseFiscalCalendar({ startMonth: 13 })).toThrow('start month');
+    expect(() => normaliseFiscalCalendar({ startMonth: 4, weekPattern: [4, 4, 4] })).toThrow('Unsupported week pattern: 4-4-4');
+    expect(normaliseFiscalCalendar({ startMonth: '7' })).toEqual({ startMonth: 7, weekPattern: null });
+  });
+
+  test('the active calendar is used wherever none is passed', () => {
+    setFiscalCalendar({ startMonth: 7 });
+    expect(getFiscalCalendar()).toEqual({ startMonth: 7, weekPattern: null });
+    expect(getFiscalPeriodKey('2025-06-30', 'fiscal_year')).toBe('FY2024');
+  });
+
+  test('describes a calendar for settings and exports', () => {
+    expect(describeFiscalCalendar(april)).toBe('Calendar months from 1 April');
+    expect(describeFiscalCalendar(weeks445)).toBe('4-4-5 weeks from the Monday nearest 1 April');
+  });
+});
@@ -0,0 +1,35 @@
+// src/utils/fiscalCalendarSettings.js
+import { DB_CONFIG } from './constants';
+import { getData, saveData, deleteData } from './indexedDBHelper';
+import { DEFAULT_FISCAL_CALENDAR, normaliseFiscalCalendar, setFiscalCalendar } from './fiscalCalendar';
+
+// The fiscal calendar an admin has chosen is kept in the metadata store and
+// made the active calendar when loaded or saved; without one the default from
+// APP_CONFIG applies.
+
+export const FISCAL_CALENDAR_TYPE = 'fiscal-calendar';
+
+const RECORD_ID = 'fiscal_calendar';
+
+// Resolves to the active calendar
+export const loadFiscalCalendar = async () => {
+  const [record] = await getData(DB_CONFIG.STORES.METADATA, { type: FISCAL_CALENDAR_TYPE });
+  return setFiscalCalendar(record?.calendar || DEFAULT_FISCAL_CALENDAR);
+};
+
+export const saveFiscalCalendar = async (calendar) => {
+  const normalised = normaliseFiscalCalendar(calendar);
+
+  await saveData(DB_CONFIG.STORES.METADATA, [{
+    _id: RECORD_ID,
+    type: FISCAL_CALENDAR_TYPE,
+    calendar: normalised,
+    updatedAt: new Date().toISOString()
+  }]);
+  return setFiscalCalendar(normalised);
+};
+
+export const resetFiscalCalendar = async () => {
+  await deleteData(DB_CONFIG.STORES.METADATA, { _id: RECORD_ID });
+  return setFiscalCalendar(DEFAULT_FISCAL_CALENDAR);
+};
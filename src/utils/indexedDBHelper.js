@@ -1,5 +1,7 @@
 // src/utils/indexedDBHelper.js
 import { DB_CONFIG, ERROR_MESSAGES } from './constants';
+import { runMigrations, MIGRATIONS, LATEST_SCHEMA_VERSION, SCHEMA_RECORD_ID } from './dbMigrations';
+import { RECORD_DATE_INDEX, toDateKey, withIndexKeys, withoutIndexKeys } from './dbSchema';
 
 class IndexedDBHelper {
   constructor() {
@@ -22,42 +24,28 @@ class IndexedDBHelper {
 
       request.onsuccess = () => {
         this.db = request.result;
+        // Let a newer version opened in another tab upgrade the database
+        this.db.onversionchange = () => this.close();
         resolve(this.db);
       };
 
+      request.onblocked = () => {
+        console.warn('Database upgrade is waiting for other tabs of the app to close');
+      };
+
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create object stores for each report type
-        Object.values(this.stores).forEach(storeName => {
-          if (!db.objectStoreNames.contains(storeName)) {
-            const store = db.createObjectStore(storeName, { 
-              keyPath: '_id',
-              autoIncrement: false 
-            });
-            
-            // Create indexes for common queries
-            store.createIndex('date', 'date', { unique: false });
-            store.createIndex('processed_date', '_processed_date', { unique: false });
-            
-            // Store-specific indexes
-            if (storeName === this.stores.ARREARS) {
-              store.createIndex('account_id', 'account_id', { unique: false });
-              store.createIndex('days_overdue', 'days_overdue', { unique: false });
-            }
-            
-            if (storeName === this.stores.LIQUIDATIONS) {
-              store.createIndex('account_id', 'account_id', { unique: false });
-              store.createIndex('recovery_rate', 'recovery_rate', { unique: false });
-            }
-            
-            if (storeName === this.stores.COMPLAINTS) {
-              store.createIndex('complaint_id', 'complaint_id', { unique: false });
-              store.createIndex('complaint_type', 'complaint_type', { unique: false });
-              store.createIndex('status', 'status', { unique: false });
-            }
-          }
-        });
+        const transaction = event.target.transaction;
+        try {
+          runMigrations({
+            db: event.target.result,
+            transaction,
+            oldVersion: event.oldVersion,
+            newVersion: event.newVersion
+          });
+        } catch (error) {
+          transaction.abort();
+          reject(error);
+        }
       };
     });
   }
@@ -80,7 +68,7 @@ class IndexedDBHelper {
 
       // Add each record
       data.forEach(record => {
-        store.put(record);
+        store.put(withIndexKeys(storeName, record));
       });
     });
   }
@@ -88,14 +76,26 @@ class IndexedDBHelper {
   // Get all data from a store
   async getData(storeName, filters = {}) {
     await this.init();
+
+    // Date ranges are read from the record date index rather than filtered here
+    const { dateRange, ...otherFilters } = filters;
+    if (dateRange?.start && dateRange?.end && this.hasIndex(storeName, RECORD_DATE_INDEX)) {
+      const data = await this.getDataByDateRange(storeName, dateRange.start, dateRange.end);
+      return Object.keys(otherFilters).length > 0 ? this.applyFilters(data, otherFilters) : data;
+    }
     
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([storeName], 'readonly');
       const store = transaction.objectStore(storeName);
-      const request = store.getAll();
+      // An equality filter on an indexed field (metadata type, view dashboard)
+      // reads just the matching records
+      const indexField = this.findFilterIndex(store, filters);
+      const request = indexField
+        ? store.index(indexField).getAll(IDBKeyRange.only(filters[indexField]))
+        : store.getAll();
       
       request.onsuccess = () => {
-        let data = request.result;
+        let data = request.result.map(withoutIndexKeys);
         
         // Apply filters
         if (Object.keys(filters).length > 0) {
@@ -111,20 +111,43 @@ class IndexedDBHelper {
     });
   }
 
-  // Get data by date range
+  // A single record by its _id, or null
+  async getRecord(storeName, id) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).get(id);
+
+      request.onsuccess = () => {
+        resolve(request.result ? withoutIndexKeys(request.result) : null);
+      };
+
+      request.onerror = () => {
+        reject(new Error(`Failed to get record: ${request.error}`));
+      };
+    });
+  }
+
+  // Get data by date range, using the store's record date index. Bounds are
+  // Dates or date strings and inclusive by day.
   async getDataByDateRange(storeName, startDate, endDate) {
     await this.init();
+
+    const start = toDateKey(startDate);
+    const end = toDateKey(endDate);
+    // Stores without a date field have nothing to filter on
+    if (!start || !end || !this.hasIndex(storeName, RECORD_DATE_INDEX)) {
+      return this.getData(storeName);
+    }
+    if (start > end) return [];
     
     return new Promise((resolve, reject) => {
       const transaction = this.db.transaction([storeName], 'readonly');
-      const store = transaction.objectStore(storeName);
-      const index = store.index('date');
-      
-      const range = IDBKeyRange.bound(startDate, endDate);
-      const request = index.getAll(range);
+      const index = transaction.objectStore(storeName).index(RECORD_DATE_INDEX);
+      const request = index.getAll(IDBKeyRange.bound(start, end));
       
       request.onsuccess = () => {
-        resolve(request.result);
+        resolve(request.result.map(withoutIndexKeys));
       };
       
       request.onerror = () => {
@@ -133,6 +156,63 @@ class IndexedDBHelper {
     });
   }
 
+  // Walk a store's records with a cursor, optionally over an index range, so
+  // callers can filter and aggregate without loading the store into memory.
+  // Records keep their index keys; with keysOnly onRecord gets each index key
+  // instead of the record. onRecord returns false to stop early.
+  async iterate(storeName, { index = null, range = null, direction = 'next', keysOnly = false } = {}, onRecord) {
+    await this.init();
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readonly');
+      const store = transaction.objectStore(storeName);
+      const source = index ? store.index(index) : store;
+      const request = keysOnly ? source.openKeyCursor(range, direction) : source.openCursor(range, direction);
+      let scanned = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ scanned });
+          return;
+        }
+
+        scanned += 1;
+        try {
+          if (onRecord(keysOnly ? cursor.key : cursor.value) === false) {
+            resolve({ scanned });
+            return;
+          }
+        } catch (error) {
+          transaction.abort();
+          reject(error);
+          return;
+        }
+        cursor.continue();
+      };
+
+      request.onerror = () => {
+        reject(new Error(`Failed to read ${storeName}: ${request.error}`));
+      };
+    });
+  }
+
+  // A filter field with an index on that same field, whose value can be
+  // looked up as a key
+  findFilterIndex(store, filters) {
+    return Object.keys(filters).find(field => {
+      const value = filters[field];
+      return (typeof value === 'string' || typeof value === 'number') &&
+        value !== 'all' &&
+        store.indexNames.contains(field) &&
+        store.index(field).keyPath === field;
+    }) || null;
+  }
+
+  hasIndex(storeName, indexName) {
+    return this.db.transaction([storeName], 'readonly').objectStore(storeName).indexNames.contains(indexName);
+  }
+
   // Update existing data (merge with existing records)
   async updateData(storeName, newData) {
     await this.init();
@@ -171,11 +251,65 @@ class IndexedDBHelper {
 
       // Process all records
       [...updates, ...inserts].forEach(record => {
-        store.put(record);
+        store.put(withIndexKeys(storeName, record));
+      });
+    });
+  }
+
+  // Put and delete records by _id in a single transaction, so a merged upload
+  // is either written in full or not at all
+  async applyChanges(storeName, { puts = [], deletes = [] } = {}) {
+    await this.init();
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([storeName], 'readwrite');
+      const store = transaction.objectStore(storeName);
+      
+      transaction.oncomplete = () => {
+        resolve({ success: true, saved: puts.length, deleted: deletes.length });
+      };
+      
+      transaction.onerror = () => {
+        reject(new Error(`Failed to apply changes: ${transaction.error}`));
+      };
+
+      deletes.forEach(id => {
+        store.delete(id);
+      });
+      puts.forEach(record => {
+        store.put(withIndexKeys(storeName, record));
       });
     });
   }
 
+  // applyChanges split into transactions of batchSize records, deletes first,
+  // so large uploads don't hold one huge transaction. onProgress gets
+  // (written, total) after each batch; an aborted signal stops before the next.
+  // Batches already written stay written.
+  async applyChangesInBatches(storeName, { puts = [], deletes = [] } = {}, {
+    batchSize = DB_CONFIG.WRITE_BATCH_SIZE,
+    onProgress,
+    signal
+  } = {}) {
+    const total = puts.length + deletes.length;
+
+    for (let start = 0; start < total; start += batchSize) {
+      if (signal?.aborted) {
+        throw new DOMException('Upload cancelled', 'AbortError');
+      }
+
+      const end = Math.min(start + batchSize, total);
+      await this.applyChanges(storeName, {
+        deletes: deletes.slice(start, end),
+        puts: puts.slice(Math.max(0, start - deletes.length), Math.max(0, end - deletes.length))
+      });
+
+      onProgress?.(end, total);
+    }
+
+    return { success: true, saved: puts.length, deleted: deletes.length };
+  }
+
   // Delete data by criteria
   async deleteData(storeName, criteria = {}) {
     await this.init();
@@ -338,6 +472,42 @@ class IndexedDBHelper {
     } : null;
   }
 
+  // Schema version, migration log and indexes per store, for the admin panel
+  async getSchemaStatus() {
+    await this.init();
+
+    const schemaRecord = await new Promise((resolve, reject) => {
+      const request = this.db
+        .transaction([this.stores.METADATA], 'readonly')
+        .objectStore(this.stores.METADATA)
+        .get(SCHEMA_RECORD_ID);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(new Error(`Failed to read schema status: ${request.error}`));
+    });
+
+    const applied = new Map((schemaRecord?.migrations || []).map(entry => [entry.version, entry]));
+    const storeNames = Array.from(this.db.objectStoreNames);
+    const transaction = this.db.transaction(storeNames, 'readonly');
+
+    return {
+      version: this.db.version,
+      latestVersion: LATEST_SCHEMA_VERSION,
+      upToDate: this.db.version >= LATEST_SCHEMA_VERSION,
+      // Databases created before migrations were logged have no appliedAt
+      // for their early versions
+      migrations: MIGRATIONS.map(({ version, description }) => ({
+        version,
+        description,
+        status: version <= this.db.version ? 'applied' : 'pending',
+        appliedAt: applied.get(version)?.appliedAt || null
+      })),
+      stores: storeNames.map(name => ({
+        name,
+        indexes: Array.from(transaction.objectStore(name).indexNames)
+      }))
+    };
+  }
+
   // Close database connection
   close() {
     if (this.db) {
@@ -354,13 +524,19 @@ const dbHelper = new IndexedDBHelper();
 export const initDB = () => dbHelper.init();
 export const saveData = (storeName, data) => dbHelper.saveData(storeName, data);
 export const getData = (storeName, filters) => dbHelper.getData(storeName, filters);
+export const getRecord = (storeName, id) => dbHelper.getRecord(storeName, id);
 export const getDataByDateRange = (storeName, start, end) => dbHelper.getDataByDateRange(storeName, start, end);
+export const iterateRecords = (storeName, options, onRecord) => dbHelper.iterate(storeName, options, onRecord);
 export const updateData = (storeName, data) => dbHelper.updateData(storeName, data);
 export const deleteData = (storeName, criteria) => dbHelper.deleteData(storeName, criteria);
+export const applyChanges = (storeName, changes) => dbHelper.applyChanges(storeName, changes);
+export const applyChangesInBatches = (storeName, changes, options) =>
+  dbHelper.applyChangesInBatches(storeName, changes, options);
 export const clearStore = (storeName) => dbHelper.clearStore(storeName);
 export const getDBStats = () => dbHelper.getStats();
 export const exportAllData = () => dbHelper.exportAllData();
 export const importData = (data) => dbHelper.importData(data);
+export const getSchemaStatus = () => dbHelper.getSchemaStatus();
 export const closeDB = () => dbHelper.close();
 
 export default dbHelper;
@@ -0,0 +1,159 @@
+// src/utils/kpiEngine.js
+import { KPI_DEFINITIONS } from '../config/kpiConfig';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { COMPARISON_MODES } from './constants';
+import { getDateWindow, getComparisonWindow, formatDateWindow } from './dateUtils';
+import {
+  getFieldValue,
+  getNumericValue,
+  getDateValue,
+  getRecordDate,
+  isEmptyValue,
+  matchesCondition
+} from './fieldUtils';
+import { getCurrentRecords } from './snapshots';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Numeric values of a field, skipping blanks unless a default is declared
+const collectNumbers = (records, definition) => records
+  .map(record => {
+    const value = getNumericValue(record, definition.field);
+    return value === null ? definition.defaultValue ?? null : value;
+  })
+  .filter(value => value !== null);
+
+const AGGREGATIONS = {
+  count: (records) => records.length,
+
+  sum: (records, definition) =>
+    collectNumbers(records, definition).reduce((sum, value) => sum + value, 0),
+
+  avg: (records, definition) => {
+    const values = collectNumbers(records, definition);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  },
+
+  min: (records, definition) => {
+    const values = collectNumbers(records, definition);
+    return values.length > 0 ? Math.min(...values) : null;
+  },
+
+  max: (records, definition) => {
+    const values = collectNumbers(records, definition);
+    return values.length > 0 ? Math.max(...values) : null;
+  },
+
+  distinctCount: (records, definition) => new Set(
+    records
+      .map(record => getFieldValue(record, definition.field))
+      .filter(value => !isEmptyValue(value))
+  ).size,
+
+  // Number of distinct values that appear on more than one record
+  repeatCount: (records, definition) => {
+    const counts = records.reduce((acc, record) => {
+      const value = getFieldValue(record, definition.field);
+      if (!isEmptyValue(value)) acc.set(value, (acc.get(value) || 0) + 1);
+      return acc;
+    }, new Map());
+    return Array.from(counts.values()).filter(count => count > 1).length;
+  },
+
+  // Average whole days between a date field and the reference date
+  avgDaysSince: (records, definition, options) => {
+    const reference = options.referenceDate ? new Date(options.referenceDate) : new Date();
+    const days = records
+      .map(record => getDateValue(record, definition.field))
+      .filter(Boolean)
+      .map(date => Math.floor((reference - date) / MS_PER_DAY));
+    return days.length > 0 ? days.reduce((sum, value) => sum + value, 0) / days.length : null;
+  }
+};
+
+// Evaluate a single KPI definition over a set of records
+export const evaluateKPI = (definition, data = [], options = {}) => {
+  if (!definition) return null;
+
+  const records = definition.filter
+    ? data.filter(record => matchesCondition(record, definition.filter))
+    : data;
+
+  if (definition.aggregation === 'ratio') {
+    const numerator = evaluateKPI(definition.numerator, records, options);
+    const denominator = evaluateKPI(definition.denominator, records, options);
+    if (!denominator || numerator === null) return null;
+    return (numerator / denominator) * (definition.scale ?? 100);
+  }
+
+  const aggregate = AGGREGATIONS[definition.aggregation];
+  if (!aggregate) {
+    throw new Error(`Unknown KPI aggregation: ${definition.aggregation}`);
+  }
+
+  return aggregate(records, definition, options);
+};
+
+export const getKPIDefinition = (reportType, key) => KPI_DEFINITIONS[reportType]?.[key] || null;
+
+// Evaluate every KPI declared for a report, returning { [kpiKey]: value }.
+// Snapshot reports are evaluated over their latest snapshot.
+export const calculateReportKPIs = (reportType, data = [], options = {}) => {
+  const definitions = KPI_DEFINITIONS[reportType] || {};
+  const records = getCurrentRecords(reportType, data || []);
+
+  return Object.entries(definitions).reduce((acc, [key, definition]) => {
+    acc[key] = evaluateKPI(definition, records, options);
+    return acc;
+  }, {});
+};
+
+// Pair REPORT_CONFIG kpi entries (label, format, icon) with evaluated values
+export const describeKPIs = (reportType, values = {}) =>
+  (REPORT_CONFIG[reportType]?.kpis || []).map(kpi => ({
+    ...kpi,
+    value: values[kpi.key] ?? null
+  }));
+
+// Records whose report date falls inside a [start, end) window
+export const filterRecordsByWindow = (reportType, data = [], window) => {
+  if (!window) return data || [];
+
+  const dateField = REPORT_CONFIG[reportType]?.dateField;
+  return (data || []).filter(record => {
+    const date = getRecordDate(record, dateField);
+    return date !== null && date >= window.start && date < window.end;
+  });
+};
+
+// Evaluate a report's KPIs over the active date range and over its comparison
+// window. `previous` is empty when there is nothing to compare against.
+export const calculateKPIComparison = (reportType, data = [], { dateRange, comparison = {} } = {}) => {
+  const mode = comparison.mode || 'previous_period';
+  const currentWindow = getDateWindow(dateRange);
+  const previousWindow = getComparisonWindow(currentWindow, mode, comparison.baseline);
+
+  const now = new Date();
+  const current = calculateReportKPIs(
+    reportType,
+    filterRecordsByWindow(reportType, data, currentWindow),
+    { referenceDate: currentWindow && currentWindow.end < now ? currentWindow.end : now }
+  );
+  const previous = previousWindow
+    ? calculateReportKPIs(
+      reportType,
+      filterRecordsByWindow(reportType, data, previousWindow),
+      { referenceDate: previousWindow.end }
+    )
+    : {};
+
+  return {
+    current,
+    previous,
+    currentWindow,
+    previousWindow,
+    comparisonLabel: previousWindow
+      ? `vs ${COMPARISON_MODES[mode]?.label || mode}: ${formatDateWindow(previousWindow)}`
+      : ''
+  };
+};
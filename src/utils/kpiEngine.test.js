@@ -0,0 +1,135 @@
+import {
+  calculateKPIComparison,
+  calculateReportKPIs,
+  describeKPIs,
+  evaluateKPI,
+  filterRecordsByWindow
+} from './kpiEngine';
+
+describe('evaluateKPI', () => {
+  const records = [
+    { amount: 100, customer_id: 'A', stage: 'Funded' },
+    { amount: '£1,250.50', customer_id: 'A', stage: 'Declined' },
+    { amount: '', customer_id: 'B', stage: 'Funded' }
+  ];
+
+  test('sums, averages and counts, skipping blank values', () => {
+    expect(evaluateKPI({ aggregation: 'sum', field: 'amount' }, records)).toBeCloseTo(1350.5);
+    expect(evaluateKPI({ aggregation: 'avg', field: 'amount' }, records)).toBeCloseTo(675.25);
+    expect(evaluateKPI({ aggregation: 'count' }, records)).toBe(3);
+    expect(evaluateKPI({ aggregation: 'distinctCount', field: 'customer_id' }, records)).toBe(2);
+    expect(evaluateKPI({ aggregation: 'repeatCount', field: 'customer_id' }, records)).toBe(1);
+  });
+
+  test('counts blank values as the declared default', () => {
+    expect(evaluateKPI({ aggregation: 'sum', field: 'amount', defaultValue: 1 }, records)).toBeCloseTo(1351.5);
+  });
+
+  test('narrows records with a filter condition', () => {
+    const definition = { aggregation: 'count', filter: { field: 'stage', op: 'eq', value: 'Funded' } };
+    expect(evaluateKPI(definition, records)).toBe(2);
+  });
+
+  test('scales ratios to a percentage and is null without a denominator', () => {
+    const definition = {
+      aggregation: 'ratio',
+      numerator: { aggregation: 'count', filter: { field: 'stage', op: 'eq', value: 'Funded' } },
+      denominator: { aggregation: 'count' }
+    };
+    expect(evaluateKPI(definition, records)).toBeCloseTo(66.67, 2);
+    expect(evaluateKPI(definition, [])).toBeNull();
+  });
+
+  test('averages whole days since a date field', () => {
+    const definition = { aggregation: 'avgDaysSince', field: 'paid' };
+    const paid = [{ paid: new Date(2025, 0, 1) }, { paid: new Date(2025, 0, 11) }, { paid: null }];
+    expect(evaluateKPI(definition, paid, { referenceDate: new Date(2025, 0, 21) })).toBe(15);
+  });
+
+  test('rejects an unknown aggregation', () => {
+    expect(() => evaluateKPI({ aggregation: 'median', field: 'amount' }, records)).toThrow('Unknown KPI aggregation');
+  });
+});
+
+describe('calculateReportKPIs', () => {
+  test('evaluates the lending KPIs from the registry', () => {
+    const kpis = calculateReportKPIs('lending-volume', [
+      { issued_amount: 1000, funded_app_count: 1, stage: 'Funded' },
+      { issued_amount: 3000, funded_app_count: 1, funded_date: new Date(2025, 2, 3) },
+      { issued_amount: 2000, funded_app_count: 1, stage: 'Declined' }
+    ]);
+    expect(kpis).toEqual({
+      total_issued: 6000,
+      avg_loan_size: 2000,
+      funded_count: 2,
+      conversion_rate: expect.closeTo(66.67, 2)
+    });
+  });
+
+  test('reads arrears, a snapshot report, from its latest snapshot only', () => {
+    const march = new Date(2025, 2, 31).toISOString();
+    const april = new Date(2025, 3, 30).toISOString();
+    const kpis = calculateReportKPIs('arrears', [
+      { customer_id: 'A', total_due: 500, stage: 'Arrears 1', _processed_date: march },
+      { customer_id: 'B', total_due: 200, stage: 'Active', _processed_date: march },
+      { customer_id: 'A', total_due: 700, stage: 'Arrears 2', _processed_date: april },
+      { customer_id: 'B', total_due: 300, payment_status: 'Missed', _processed_date: april },
+      { customer_id: 'C', total_due: 100, stage: 'Active', _processed_date: april }
+    ]);
+    expect(kpis.total_arrears).toBe(1000);
+    expect(kpis.arrears_accounts).toBe(2);
+    expect(kpis.arrears_rate).toBeCloseTo(66.67, 2);
+  });
+
+  test('counts complaints without a count as one each', () => {
+    const kpis = calculateReportKPIs('complaints', [
+      { customer_id: 'A', count: 2, resolved_date: new Date(2025, 0, 5), days_to_resolve: 4 },
+      { customer_id: 'A', days_to_resolve: 8 },
+      { customer_id: 'B' }
+    ]);
+    expect(kpis.total_complaints).toBe(4);
+    expect(kpis.avg_resolution_time).toBe(6);
+    expect(kpis.resolution_rate).toBeCloseTo(33.33, 2);
+    expect(kpis.repeat_customers).toBe(1);
+  });
+});
+
+test('describeKPIs pairs report KPI labels with values', () => {
+  const described = describeKPIs('lending-volume', { total_issued: 10 });
+  expect(described[0]).toEqual(expect.objectContaining({ key: 'total_issued', value: 10 }));
+  expect(described.every(kpi => kpi.label)).toBe(true);
+  expect(described.filter(kpi => kpi.value === null).length).toBe(described.length - 1);
+});
+
+describe('comparison windows', () => {
+  const records = [
+    { stage_date: new Date(2025, 1, 10), issued_amount: 100 },
+    { stage_date: new Date(2025, 2, 1), issued_amount: 200 },
+    { stage_date: new Date(2025, 2, 31), issued_amount: 300 },
+    { stage_date: new Date(2025, 3, 1), issued_amount: 400 }
+  ];
+
+  test('filterRecordsByWindow keeps records from the start up to the end', () => {
+    const window = { start: new Date(2025, 2, 1), end: new Date(2025, 3, 1) };
+    expect(filterRecordsByWindow('lending-volume', records, window).map(r => r.issued_amount)).toEqual([200, 300]);
+    expect(filterRecordsByWindow('lending-volume', records, null)).toHaveLength(4);
+  });
+
+  test('a whole month compares against the month before', () => {
+    const { current, previous, comparisonLabel } = calculateKPIComparison('lending-volume', records, {
+      dateRange: { start: new Date(2025, 2, 1), end: new Date(2025, 2, 31) }
+    });
+    expect(current.total_issued).toBe(500);
+    expect(previous.total_issued).toBe(100);
+    expect(comparisonLabel).toMatch(/^vs Previous period: /);
+  });
+
+  test('no comparison window leaves previous empty', () => {
+    const { previous, comparisonLabel } = calculateKPIComparison('lending-volume', records, {
+      dateRange: { start: new Date(2025, 2, 1), end: new Date(2025, 2, 31) },
+      comparison: { mode: 'none' }
+    });
+    expect(previous).toEqual({});
+    expect(comparisonLabel).toBe('');
+  });
+});
@@ -0,0 +1,419 @@
+// src/utils/pdfReport.js
+import { jsPDF } from 'jspdf';
+import { APP_CONFIG } from '../config/appConfig';
+import { formatCurrency, formatNumber, formatPercentage, formatTime } from './formatters';
+import { formatDate } from './dateUtils';
+
+// Multi-page A4 PDF reports drawn with jsPDF: a cover page, a contents page,
+// then a chapter per dashboard of KPI tiles, chart images, tables and
+// commentary. Every
+// page footer carries the period and filters of what is on it, and its page
+// number.
+//
+// report: { title, subtitle, context, chapters: [{ title, context, blocks }] }
+//   context: { period, filters: [] } for the cover and contents, and per chapter
+//   blocks:
+//     { type: 'kpis', title, kpis, previousValues, comparisonLabel }
+//     { type: 'chart', title, titleShown, image, width, height }
+//     { type: 'table', title, columns, rows }, columns as DataTable's
+//       { key, header, type, align }
+//     { type: 'text', title, text }, paragraphs split on blank lines
+
+// Page geometry in mm
+const PAGE = { width: 210, height: 297, margin: 15 };
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const CONTENT_BOTTOM = PAGE.height - 24;
+const CHART_MAX_HEIGHT = 110;
+const KPI_TILE = { height: 24, gap: 6, columns: 2 };
+const TABLE_ROW_HEIGHT = 6;
+const TEXT_LINE_HEIGHT = 5;
+const CONTENTS_LINE_HEIGHT = 7;
+
+// Rows a table prints before noting how many more there are
+const PDF_TABLE_ROW_LIMIT = 500;
+
+const COLORS = {
+  text: [45, 55, 72],
+  muted: [113, 128, 150],
+  border: [226, 232, 240],
+  fill: [248, 250, 252],
+  header: [237, 242, 247],
+  accent: [49, 130, 206]
+};
+
+// The standard PDF fonts only cover Latin-1, so icons and other symbols are dropped
+const toPdfText = (value) => String(value ?? '').replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '').trim();
+
+// Shared with the PowerPoint deck (utils/pptxDeck), as are describeChange and
+// describeReportContext
+export const formatKPIValue = (value, format) => {
+  if (value === null || value === undefined || isNaN(value)) return 'N/A';
+
+  switch (format) {
+    case 'currency':
+      return formatCurrency(value);
+    case 'percentage':
+      return formatPercentage(value);
+    case 'time':
+      return formatTime(value);
+    case 'number':
+    default:
+      return formatNumber(value);
+  }
+};
+
+const formatCell = (value, column) => {
+  if (value === null || value === undefined) return '-';
+
+  switch (column.type) {
+    case 'currency':
+      return formatCurrency(value);
+    case 'percentage':
+      return formatPercentage(value);
+    case 'number':
+      return formatNumber(value);
+    case 'date':
+      return formatDate(value);
+    case 'boolean':
+      return value ? 'Yes' : 'No';
+    default:
+      return toPdfText(value);
+  }
+};
+
+const isNumericColumn = (column) =>
+  column.align === 'right' || ['currency', 'percentage', 'number'].includes(column.type);
+
+export const describeReportContext = (context = {}) => {
+  const filters = (context.filters || []).map(toPdfText).filter(Boolean);
+  return [
+    `Period: ${toPdfText(context.period) || 'All dates'}`,
+    filters.length > 0 ? `Filters: ${filters.join('; ')}` : 'No filters'
+  ].join(' | ');
+};
+
+const setFont = (doc, size, style = 'normal', color = COLORS.text) => {
+  doc.setFont('helvetica', style);
+  doc.setFontSize(size);
+  doc.setTextColor(...color);
+};
+
+// Shorten text to a width, ending in an ellipsis
+const fitText = (doc, text, width) => {
+  if (doc.getTextWidth(text) <= width) return text;
+  let fitted = text;
+  while (fitted.length > 0 && doc.getTextWidth(`${fitted}...`) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+};
+
+const getPageNumber = (doc) => doc.internal.getCurrentPageInfo().pageNumber;
+
+// Pages are written top to bottom by a writer: { doc, y, context, footers }.
+// footers holds the context of each page by page number.
+const addPage = (writer) => {
+  writer.doc.addPage();
+  writer.y = PAGE.margin;
+  writer.footers[getPageNumber(writer.doc)] = writer.context;
+};
+
+// Start a new page unless height fits on this one
+const ensureSpace = (writer, height) => {
+  if (writer.y + height > CONTENT_BOTTOM) addPage(writer);
+};
+
+const drawHeading = (writer, text, level = 1) => {
+  const { doc } = writer;
+  const size = level === 0 ? 18 : 12;
+  // Keep a heading with the start of what follows it
+  ensureSpace(writer, level === 0 ? 40 : 30);
+
+  setFont(doc, size, 'bold');
+  doc.text(fitText(doc, toPdfText(text), CONTENT_WIDTH), PAGE.margin, writer.y + size * 0.35);
+  writer.y += size * 0.35 + (level === 0 ? 8 : 5);
+
+  if (level === 0) {
+    doc.setDrawColor(...COLORS.accent);
+    doc.setLineWidth(0.6);
+    doc.line(PAGE.margin, writer.y - 5, PAGE.margin + CONTENT_WIDTH, writer.y - 5);
+  }
+};
+
+export const describeChange = (value, previousValue, format, comparisonLabel) => {
+  if ([value, previousValue].some(v => v === null || v === undefined || isNaN(v))) return '';
+
+  const change = value - previousValue;
+  const sign = change > 0 ? '+' : change < 0 ? '-' : '';
+  // No percentage change from a zero baseline
+  const percent = previousValue !== 0 ? ` (${sign}${Math.abs((change / Math.abs(previousValue)) * 100).toFixed(1)}%)` : '';
+  return `${sign}${formatKPIValue(Math.abs(change), format)}${percent} ${toPdfText(comparisonLabel) || 'vs previous'}`;
+};
+
+const drawKPITiles = (writer, { kpis = [], previousValues = {}, comparisonLabel }) => {
+  const { doc } = writer;
+  const tileWidth = (CONTENT_WIDTH - KPI_TILE.gap * (KPI_TILE.columns - 1)) / KPI_TILE.columns;
+
+  for (let index = 0; index < kpis.length; index += KPI_TILE.columns) {
+    ensureSpace(writer, KPI_TILE.height);
+
+    kpis.slice(index, index + KPI_TILE.columns).forEach((kpi, column) => {
+      const x = PAGE.margin + column * (tileWidth + KPI_TILE.gap);
+      const textWidth = tileWidth - 8;
+
+      doc.setDrawColor(...COLORS.border);
+      doc.setFillColor(...COLORS.fill);
+      doc.setLineWidth(0.3);
+      doc.roundedRect(x, writer.y, tileWidth, KPI_TILE.height, 2, 2, 'FD');
+
+      setFont(doc, 8, 'normal', COLORS.muted);
+      doc.text(fitText(doc, toPdfText(kpi.label), textWidth), x + 4, writer.y + 6);
+
+      setFont(doc, 15, 'bold');
+      doc.text(fitText(doc, formatKPIValue(kpi.value, kpi.format), textWidth), x + 4, writer.y + 14);
+
+      setFont(doc, 7.5, 'normal', COLORS.muted);
+      const change = describeChange(kpi.value, previousValues[kpi.key], kpi.format, comparisonLabel);
+      if (change) doc.text(fitText(doc, change, textWidth), x + 4, writer.y + 20);
+    });
+
+    writer.y += KPI_TILE.height + KPI_TILE.gap;
+  }
+  writer.y += 2;
+};
+
+const drawChart = (writer, chart) => {
+  const { doc } = writer;
+  let width = CONTENT_WIDTH;
+  let height = chart.width ? (width * chart.height) / chart.width : CHART_MAX_HEIGHT;
+  if (height > CHART_MAX_HEIGHT) {
+    width = (width * CHART_MAX_HEIGHT) / height;
+    height = CHART_MAX_HEIGHT;
+  }
+
+  const titleHeight = chart.titleShown ? 0 : 7;
+  ensureSpace(writer, titleHeight + height);
+  const page = getPageNumber(doc);
+
+  if (!chart.titleShown) {
+    setFont(doc, 10, 'bold');
+    doc.text(fitText(doc, toPdfText(chart.title), CONTENT_WIDTH), PAGE.margin, writer.y + 4);
+    writer.y += titleHeight;
+  }
+
+  doc.addImage(chart.image, 'PNG', PAGE.margin + (CONTENT_WIDTH - width) / 2, writer.y, width, height);
+  writer.y += height + 8;
+  return page;
+};
+
+// Column widths from the longest of each column's header and first rows,
+// scaled to the page
+const getColumnWidths = (doc, columns, rows) => {
+  const sample = rows.slice(0, 50);
+  const natural = columns.map(column => {
+    setFont(doc, 7.5, 'bold');
+    let width = doc.getTextWidth(toPdfText(column.header));
+    setFont(doc, 7.5);
+    sample.forEach(row => {
+      width = Math.max(width, doc.getTextWidth(formatCell(row[column.key], column)));
+    });
+    return Math.min(width, 60) + 4;
+  });
+  const total = natural.reduce((sum, width) => sum + width, 0);
+  return natural.map(width => (width * CONTENT_WIDTH) / total);
+};
+
+// Table rows over as many pages as they need, repeating the header row on each
+const drawTable = (writer, { title, columns = [], rows = [] }) => {
+  const { doc } = writer;
+  if (columns.length === 0) return;
+
+  const printed = rows.slice(0, PDF_TABLE_ROW_LIMIT);
+  const widths = getColumnWidths(doc, columns, printed);
+
+  const drawCells = (values, style) => {
+    setFont(doc, 7.5, style);
+    let x = PAGE.margin;
+    columns.forEach((column, index) => {
+      const text = fitText(doc, values[index], widths[index] - 3);
+      if (isNumericColumn(column)) {
+        doc.text(text, x + widths[index] - 1.5, writer.y + 4, { align: 'right' });
+      } else {
+        doc.text(text, x + 1.5, writer.y + 4);
+      }
+      x += widths[index];
+    });
+    writer.y += TABLE_ROW_HEIGHT;
+  };
+
+  const drawHeaderRow = () => {
+    doc.setFillColor(...COLORS.header);
+    doc.rect(PAGE.margin, writer.y, CONTENT_WIDTH, TABLE_ROW_HEIGHT, 'F');
+    drawCells(columns.map(column => toPdfText(column.header)), 'bold');
+  };
+
+  ensureSpace(writer, TABLE_ROW_HEIGHT * 3);
+  drawHeaderRow();
+
+  printed.forEach((row, index) => {
+    if (writer.y + TABLE_ROW_HEIGHT > CONTENT_BOTTOM) {
+      addPage(writer);
+      setFont(doc, 9, 'bold', COLORS.muted);
+      doc.text(fitText(doc, `${toPdfText(title)} (continued)`, CONTENT_WIDTH), PAGE.margin, writer.y + 4);
+      writer.y += 7;
+      drawHeaderRow();
+    }
+    if (index % 2 === 1) {
+      doc.setFillColor(...COLORS.fill);
+      doc.rect(PAGE.margin, writer.y, CONTENT_WIDTH, TABLE_ROW_HEIGHT, 'F');
+    }
+    drawCells(columns.map(column => formatCell(row[column.key], column)), 'normal');
+  });
+
+  doc.setDrawColor(...COLORS.border);
+  doc.setLineWidth(0.3);
+  doc.line(PAGE.margin, writer.y, PAGE.margin + CONTENT_WIDTH, writer.y);
+
+  if (rows.length > printed.length) {
+    setFont(doc, 8, 'italic', COLORS.muted);
+    doc.text(`Showing ${printed.length} of ${rows.length} rows`, PAGE.margin, writer.y + 5);
+    writer.y += 6;
+  }
+  writer.y += 8;
+};
+
+// Wrapped paragraphs, breaking onto new pages between lines
+const drawText = (writer, { text = '' }) => {
+  const { doc } = writer;
+  const paragraphs = String(text).split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+  setFont(doc, 10);
+  paragraphs.forEach(paragraph => {
+    const lines = paragraph.split('\n').flatMap(line => doc.splitTextToSize(toPdfText(line), CONTENT_WIDTH));
+    lines.forEach(line => {
+      ensureSpace(writer, TEXT_LINE_HEIGHT);
+      doc.text(line, PAGE.margin, writer.y + 3.5);
+      writer.y += TEXT_LINE_HEIGHT;
+    });
+    writer.y += 3;
+  });
+  writer.y += 5;
+};
+
+// Draw a block, returning the page it starts on
+const drawBlock = (writer, block) => {
+  if (block.type === 'chart') return drawChart(writer, block);
+
+  drawHeading(writer, block.title);
+  const page = getPageNumber(writer.doc);
+  if (block.type === 'kpis') drawKPITiles(writer, block);
+  if (block.type === 'table') drawTable(writer, block);
+  if (block.type === 'text') drawText(writer, block);
+  return page;
+};
+
+const drawCoverPage = (doc, report, generatedAt) => {
+  doc.setFillColor(...COLORS.accent);
+  doc.rect(0, 0, PAGE.width, 8, 'F');
+
+  setFont(doc, 11, 'normal', COLORS.muted);
+  doc.text(toPdfText(APP_CONFIG.name), PAGE.margin, 50);
+
+  setFont(doc, 26, 'bold');
+  const titleLines = doc.splitTextToSize(toPdfText(report.title), CONTENT_WIDTH);
+  doc.text(titleLines, PAGE.margin, 66);
+  let y = 66 + titleLines.length * 11;
+
+  if (report.subtitle) {
+    setFont(doc, 13, 'normal', COLORS.muted);
+    doc.text(doc.splitTextToSize(toPdfText(report.subtitle), CONTENT_WIDTH), PAGE.margin, y);
+    y += 12;
+  }
+
+  setFont(doc, 11);
+  doc.text(`Period: ${toPdfText(report.context?.period) || 'All dates'}`, PAGE.margin, y + 8);
+  doc.text(
+    `Prepared ${formatDate(generatedAt)} at ${generatedAt.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`,
+    PAGE.margin,
+    y + 15
+  );
+
+  setFont(doc, 11, 'bold');
+  doc.text('Includes', PAGE.margin, y + 32);
+  setFont(doc, 11);
+  report.chapters.forEach((chapter, index) => {
+    doc.text(`${index + 1}. ${toPdfText(chapter.title)}`, PAGE.margin + 4, y + 40 + index * 7);
+  });
+};
+
+const CONTENTS_TOP = PAGE.margin + 16;
+const CONTENTS_LINES_PER_PAGE = Math.floor((CONTENT_BOTTOM - CONTENTS_TOP) / CONTENTS_LINE_HEIGHT);
+
+// Contents entries ({ title, level, page }) over the pages reserved for them,
+// each linked to its page
+const drawContents = (doc, entries, firstPage) => {
+  entries.forEach((entry, index) => {
+    const line = index % CONTENTS_LINES_PER_PAGE;
+    if (line === 0) {
+      doc.setPage(firstPage + Math.floor(index / CONTENTS_LINES_PER_PAGE));
+      setFont(doc, 18, 'bold');
+      doc.text(index === 0 ? 'Contents' : 'Contents (continued)', PAGE.margin, PAGE.margin + 6);
+    }
+
+    const y = CONTENTS_TOP + line * CONTENTS_LINE_HEIGHT;
+    const indent = entry.level === 0 ? 0 : 6;
+    setFont(doc, entry.level === 0 ? 11 : 10, entry.level === 0 ? 'bold' : 'normal');
+    doc.text(fitText(doc, toPdfText(entry.title), CONTENT_WIDTH - indent - 15), PAGE.margin + indent, y);
+    doc.text(String(entry.page), PAGE.margin + CONTENT_WIDTH, y, { align: 'right' });
+    doc.link(PAGE.margin, y - 4, CONTENT_WIDTH, CONTENTS_LINE_HEIGHT - 1, { pageNumber: entry.page });
+  });
+};
+
+const drawFooters = (doc, title, footers) => {
+  const pageCount = doc.getNumberOfPages();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    const y = PAGE.height - 16;
+
+    doc.setDrawColor(...COLORS.border);
+    doc.setLineWidth(0.3);
+    doc.line(PAGE.margin, y, PAGE.margin + CONTENT_WIDTH, y);
+
+    setFont(doc, 7.5, 'normal', COLORS.muted);
+    doc.text(fitText(doc, describeReportContext(footers[page]), CONTENT_WIDTH), PAGE.margin, y + 4.5);
+    doc.text(fitText(doc, toPdfText(title), CONTENT_WIDTH - 30), PAGE.margin, y + 9);
+    doc.text(`Page ${page} of ${pageCount}`, PAGE.margin + CONTENT_WIDTH, y + 9, { align: 'right' });
+  }
+};
+
+// Build the PDF, ready for save() or output('blob')
+export const buildPdfReport = (report, generatedAt = new Date()) => {
+  const doc = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+  const chapters = report.chapters || [];
+  const writer = { doc, y: PAGE.margin, context: report.context, footers: { 1: report.context } };
+
+  doc.setProperties({ title: toPdfText(report.title), creator: APP_CONFIG.name });
+  drawCoverPage(doc, { ...report, chapters }, generatedAt);
+
+  // Contents pages come next; their entries are written once pages are known
+  const entryCount = chapters.reduce((count, chapter) => count + 1 + chapter.blocks.length, 0);
+  const contentsPages = Math.max(1, Math.ceil(entryCount / CONTENTS_LINES_PER_PAGE));
+  for (let page = 0; page < contentsPages; page++) addPage(writer);
+
+  const entries = [];
+  chapters.forEach(chapter => {
+    writer.context = chapter.context || report.context;
+    addPage(writer);
+    entries.push({ title: chapter.title, level: 0, page: getPageNumber(doc) });
+    drawHeading(writer, chapter.title, 0);
+
+    chapter.blocks.forEach(block => {
+      entries.push({ title: block.title, level: 1, page: drawBlock(writer, block) });
+    });
+  });
+
+  drawContents(doc, entries, 2);
+  drawFooters(doc, report.title, writer.footers);
+  return doc;
+};
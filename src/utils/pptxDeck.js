@@ -0,0 +1,397 @@
+// src/utils/pptxDeck.js
+import JSZip from 'jszip';
+import { APP_CONFIG } from '../config/appConfig';
+import { formatDate } from './dateUtils';
+import { formatKPIValue, describeChange, describeReportContext } from './pdfReport';
+
+// 16:9 PowerPoint decks written as PresentationML in the browser: a title
+// slide with the period and filters, then for each chapter a KPI summary
+// slide and a slide per chart, the chart's data in the slide notes. Takes the
+// same report as buildPdfReport (see utils/pdfReport); table and commentary
+// blocks have no slide.
+
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+// Geometry in EMUs (914400 to the inch)
+const EMU_PER_INCH = 914400;
+const SLIDE = { width: 12192000, height: 6858000 };
+const NOTES = { width: 6858000, height: 9144000 };
+const MARGIN = EMU_PER_INCH / 2;
+const CONTENT_WIDTH = SLIDE.width - MARGIN * 2;
+const HEADER_HEIGHT = 1143000;
+const FOOTER_TOP = SLIDE.height - 457200;
+const KPI_TILE = { height: 1600200, gap: 228600, columns: 4 };
+
+// Hex colours as the dashboards use them
+const COLORS = {
+  text: '2D3748',
+  muted: '718096',
+  border: 'E2E8F0',
+  fill: 'F8FAFC',
+  accent: '3182CE'
+};
+
+const NAMESPACES = [
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+  'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"'
+].join(' ');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument';
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const buildRelationships = (relationships) => XML_HEADER +
+  '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  relationships.map(({ id, type, target }) => `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`).join('') +
+  '</Relationships>';
+
+// Shapes
+
+const GROUP_PROPERTIES = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+  '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+const toXfrm = ({ x, y, cx, cy }) =>
+  `<a:xfrm><a:off x="${Math.round(x)}" y="${Math.round(y)}"/><a:ext cx="${Math.round(cx)}" cy="${Math.round(cy)}"/></a:xfrm>`;
+
+const solidFill = (color) => `<a:solidFill><a:srgbClr val="${color}"/></a:solidFill>`;
+
+// paragraphs: [{ text, size (pt), bold, color, align }]. A text body needs at
+// least one paragraph, so none is written as an empty one.
+const buildParagraphs = (paragraphs) => {
+  if (paragraphs.length === 0) return '<a:p><a:endParaRPr lang="en-GB"/></a:p>';
+  return paragraphs.map(({ text, size = 14, bold = false, color = COLORS.text, align = 'l' }) =>
+    `<a:p><a:pPr algn="${align}"/><a:r><a:rPr lang="en-GB" sz="${Math.round(size * 100)}" b="${bold ? 1 : 0}" dirty="0">` +
+    `${solidFill(color)}</a:rPr><a:t>${escapeXml(text)}</a:t></a:r></a:p>`
+  ).join('');
+};
+
+const textBox = (id, box, paragraphs, { fill, line, anchor = 't' } = {}) =>
+  `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="Text ${id}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+  `<p:spPr>${toXfrm(box)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>` +
+  `${fill ? solidFill(fill) : '<a:noFill/>'}` +
+  `${line ? `<a:ln w="12700">${solidFill(line)}</a:ln>` : ''}</p:spPr>` +
+  `<p:txBody><a:bodyPr wrap="square" lIns="91440" tIns="45720" rIns="91440" bIns="45720" anchor="${anchor}"><a:noAutofit/></a:bodyPr>` +
+  `<a:lstStyle/>${buildParagraphs(paragraphs)}</p:txBody></p:sp>`;
+
+const rectangle = (id, box, color) =>
+  `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="Shape ${id}"/><p:cNvSpPr/><p:nvPr/></p:nvSpPr>` +
+  `<p:spPr>${toXfrm(box)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>${solidFill(color)}<a:ln><a:noFill/></a:ln></p:spPr></p:sp>`;
+
+const picture = (id, box, relId, description) =>
+  `<p:pic><p:nvPicPr><p:cNvPr id="${id}" name="Picture ${id}" descr="${escapeXml(description)}"/>` +
+  '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>' +
+  `<p:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+  `<p:spPr>${toXfrm(box)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>`;
+
+const buildSlideXml = (shapes) => XML_HEADER +
+  `<p:sld ${NAMESPACES}><p:cSld><p:spTree>${GROUP_PROPERTIES}${shapes.join('')}</p:spTree></p:cSld>` +
+  '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>';
+
+// Slides
+
+// Title, chapter name above it, and the chapter's period and filters below
+const slideFrame = (chapter, title) => [
+  rectangle(2, { x: 0, y: 0, cx: SLIDE.width, cy: 73152 }, COLORS.accent),
+  textBox(3, { x: MARGIN, y: 228600, cx: CONTENT_WIDTH, cy: 320040 }, [
+    { text: chapter.title, size: 12, color: COLORS.muted }
+  ]),
+  textBox(4, { x: MARGIN, y: 502920, cx: CONTENT_WIDTH, cy: 548640 }, [
+    { text: title, size: 26, bold: true }
+  ]),
+  textBox(5, { x: MARGIN, y: FOOTER_TOP, cx: CONTENT_WIDTH, cy: 320040 }, [
+    { text: describeReportContext(chapter.context), size: 9, color: COLORS.muted }
+  ])
+];
+
+const buildTitleSlide = (report, generatedAt) => {
+  const chapters = report.chapters || [];
+  const filterLines = chapters
+    .filter(chapter => chapter.context?.filters?.length > 0)
+    .map(chapter => `${chapter.title}: ${chapter.context.filters.join('; ')}`);
+
+  return {
+    shapes: [
+      rectangle(2, { x: 0, y: 0, cx: SLIDE.width, cy: 137160 }, COLORS.accent),
+      textBox(3, { x: MARGIN, y: 1371600, cx: CONTENT_WIDTH, cy: 365760 }, [
+        { text: APP_CONFIG.name, size: 14, color: COLORS.muted }
+      ]),
+      textBox(4, { x: MARGIN, y: 1737360, cx: CONTENT_WIDTH, cy: 1005840 }, [
+        { text: report.title, size: 40, bold: true },
+        ...(report.subtitle ? [{ text: report.subtitle, size: 20, color: COLORS.muted }] : [])
+      ]),
+      textBox(5, { x: MARGIN, y: 3108960, cx: CONTENT_WIDTH, cy: 3017520 }, [
+        { text: `Period: ${report.context?.period || 'All dates'}`, size: 16 },
+        { text: filterLines.length > 0 ? 'Filters:' : 'Filters: None', size: 16 },
+        ...filterLines.map(text => ({ text, size: 14, color: COLORS.muted })),
+        {
+          text: `Prepared ${formatDate(generatedAt)} at ${generatedAt.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' })}`,
+          size: 12,
+          color: COLORS.muted
+        },
+        { text: `Includes: ${chapters.map(chapter => chapter.title).join(', ') || 'nothing selected'}`, size: 12, color: COLORS.muted }
+      ])
+    ],
+    notes: []
+  };
+};
+
+const buildKPISlide = (chapter, { title, kpis = [], previousValues = {}, comparisonLabel }) => {
+  const columns = Math.min(KPI_TILE.columns, Math.max(kpis.length, 1));
+  const tileWidth = (CONTENT_WIDTH - KPI_TILE.gap * (columns - 1)) / columns;
+
+  const tiles = kpis.map((kpi, index) => {
+    const change = describeChange(kpi.value, previousValues[kpi.key], kpi.format, comparisonLabel);
+    return textBox(10 + index, {
+      x: MARGIN + (index % columns) * (tileWidth + KPI_TILE.gap),
+      y: HEADER_HEIGHT + 228600 + Math.floor(index / columns) * (KPI_TILE.height + KPI_TILE.gap),
+      cx: tileWidth,
+      cy: KPI_TILE.height
+    }, [
+      { text: kpi.label, size: 13, color: COLORS.muted },
+      { text: formatKPIValue(kpi.value, kpi.format), size: 28, bold: true },
+      ...(change ? [{ text: change, size: 10, color: COLORS.muted }] : [])
+    ], { fill: COLORS.fill, line: COLORS.border, anchor: 'ctr' });
+  });
+
+  return {
+    shapes: [...slideFrame(chapter, title), ...tiles],
+    notes: kpis.map(kpi => {
+      const change = describeChange(kpi.value, previousValues[kpi.key], kpi.format, comparisonLabel);
+      return `${kpi.label}: ${formatKPIValue(kpi.value, kpi.format)}${change ? ` (${change})` : ''}`;
+    })
+  };
+};
+
+// The chart's data as tab-separated rows: a header of series names, then a
+// row per label
+const toChartDataRows = (chart) => {
+  const series = chart.series || (chart.values ? [{ name: chart.title, values: chart.values }] : []);
+  const labels = chart.labels || [];
+  if (series.length === 0 || labels.length === 0) return ['No chart data'];
+
+  return [
+    ['Label', ...series.map(item => item.name || chart.title)].join('\t'),
+    ...labels.map((label, index) => [
+      label,
+      ...series.map(item => formatKPIValue(item.values?.[index], chart.format))
+    ].join('\t'))
+  ];
+};
+
+const buildChartSlide = (chapter, chart, imageRelId) => {
+  const area = { top: HEADER_HEIGHT + 91440, height: FOOTER_TOP - HEADER_HEIGHT - 182880 };
+  const scale = Math.min(CONTENT_WIDTH / (chart.width || 900), area.height / (chart.height || 450));
+  const cx = (chart.width || 900) * scale;
+  const cy = (chart.height || 450) * scale;
+
+  return {
+    shapes: [
+      ...slideFrame(chapter, chart.title),
+      ...(chart.image ? [picture(10, {
+        x: MARGIN + (CONTENT_WIDTH - cx) / 2,
+        y: area.top + (area.height - cy) / 2,
+        cx,
+        cy
+      }, imageRelId, chart.title)] : [])
+    ],
+    notes: [`Data for ${chart.title}`, ...toChartDataRows(chart)]
+  };
+};
+
+const buildNotesXml = (lines) => XML_HEADER +
+  `<p:notes ${NAMESPACES}><p:cSld><p:spTree>${GROUP_PROPERTIES}` +
+  '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+  '<p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp>' +
+  '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+  '<p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr/>' +
+  `<p:txBody><a:bodyPr/><a:lstStyle/>${buildParagraphs(lines.map(text => ({ text, size: 12 })))}</p:txBody></p:sp>` +
+  '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>';
+
+// Package parts every deck has: theme, masters, layout and properties
+
+const COLOR_MAP = 'bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" ' +
+  'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"';
+
+const THEME_COLORS = {
+  dk1: '000000', lt1: 'FFFFFF', dk2: COLORS.text, lt2: COLORS.fill,
+  accent1: COLORS.accent, accent2: '38A169', accent3: 'DD6B20', accent4: 'E53E3E', accent5: '805AD5', accent6: '319795',
+  hlink: COLORS.accent, folHlink: '805AD5'
+};
+
+const repeat = (xml, count = 3) => Array(count).fill(xml).join('');
+
+const THEME_XML = XML_HEADER +
+  '<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Financial Reports"><a:themeElements>' +
+  `<a:clrScheme name="Financial Reports">${Object.entries(THEME_COLORS)
+    .map(([name, color]) => `<a:${name}><a:srgbClr val="${color}"/></a:${name}>`).join('')}</a:clrScheme>` +
+  '<a:fontScheme name="Financial Reports">' +
+  '<a:majorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:majorFont>' +
+  '<a:minorFont><a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/></a:minorFont></a:fontScheme>' +
+  '<a:fmtScheme name="Financial Reports">' +
+  `<a:fillStyleLst>${repeat('<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>')}</a:fillStyleLst>` +
+  `<a:lnStyleLst>${repeat('<a:ln w="9525"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>')}</a:lnStyleLst>` +
+  `<a:effectStyleLst>${repeat('<a:effectStyle><a:effectLst/></a:effectStyle>')}</a:effectStyleLst>` +
+  `<a:bgFillStyleLst>${repeat('<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>')}</a:bgFillStyleLst>` +
+  '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+
+const BACKGROUND = '<p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>';
+
+const SLIDE_MASTER_XML = XML_HEADER +
+  `<p:sldMaster ${NAMESPACES}><p:cSld>${BACKGROUND}<p:spTree>${GROUP_PROPERTIES}</p:spTree></p:cSld>` +
+  `<p:clrMap ${COLOR_MAP}/><p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst></p:sldMaster>`;
+
+const SLIDE_LAYOUT_XML = XML_HEADER +
+  `<p:sldLayout ${NAMESPACES} type="blank" preserve="1"><p:cSld name="Blank"><p:spTree>${GROUP_PROPERTIES}</p:spTree></p:cSld>` +
+  '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>';
+
+// Where notes pages place the slide image and the notes text
+const NOTES_MASTER_XML = XML_HEADER +
+  `<p:notesMaster ${NAMESPACES}><p:cSld>${BACKGROUND}<p:spTree>${GROUP_PROPERTIES}` +
+  '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr>' +
+  `<p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr>${toXfrm({ x: 685800, y: 685800, cx: 5486400, cy: 3086100 })}` +
+  '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/><a:ln w="12700"><a:solidFill><a:srgbClr val="000000"/></a:solidFill></a:ln></p:spPr></p:sp>' +
+  '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr>' +
+  `<p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr>${toXfrm({ x: 685800, y: 4000500, cx: 5486400, cy: 4457700 })}` +
+  '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>' +
+  '<p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:endParaRPr lang="en-GB"/></a:p></p:txBody></p:sp>' +
+  `</p:spTree></p:cSld><p:clrMap ${COLOR_MAP}/></p:notesMaster>`;
+
+const buildPresentationXml = (slideCount) => XML_HEADER +
+  `<p:presentation ${NAMESPACES} saveSubsetFonts="1">` +
+  '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+  '<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>' +
+  `<p:sldIdLst>${Array.from({ length: slideCount }, (_, index) =>
+    `<p:sldId id="${256 + index}" r:id="rId${10 + index}"/>`).join('')}</p:sldIdLst>` +
+  `<p:sldSz cx="${SLIDE.width}" cy="${SLIDE.height}"/><p:notesSz cx="${NOTES.width}" cy="${NOTES.height}"/>` +
+  '</p:presentation>';
+
+const buildCoreXml = (title, generatedAt) => XML_HEADER +
+  '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+  'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+  `<dc:title>${escapeXml(title)}</dc:title><dc:creator>${escapeXml(APP_CONFIG.name)}</dc:creator>` +
+  `<dcterms:created xsi:type="dcterms:W3CDTF">${generatedAt.toISOString().replace(/\.\d{3}Z$/, 'Z')}</dcterms:created>` +
+  '</cp:coreProperties>';
+
+const buildContentTypesXml = (slideCount) => XML_HEADER +
+  '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/><Default Extension="png" ContentType="image/png"/>' +
+  [
+    ['/ppt/presentation.xml', 'presentationml.presentation.main+xml'],
+    ['/ppt/presProps.xml', 'presentationml.presProps+xml'],
+    ['/ppt/viewProps.xml', 'presentationml.viewProps+xml'],
+    ['/ppt/tableStyles.xml', 'presentationml.tableStyles+xml'],
+    ['/ppt/slideMasters/slideMaster1.xml', 'presentationml.slideMaster+xml'],
+    ['/ppt/slideLayouts/slideLayout1.xml', 'presentationml.slideLayout+xml'],
+    ['/ppt/notesMasters/notesMaster1.xml', 'presentationml.notesMaster+xml'],
+    ['/ppt/theme/theme1.xml', 'theme+xml'],
+    ['/ppt/theme/theme2.xml', 'theme+xml'],
+    ...Array.from({ length: slideCount }, (_, index) => [
+      [`/ppt/slides/slide${index + 1}.xml`, 'presentationml.slide+xml'],
+      [`/ppt/notesSlides/notesSlide${index + 1}.xml`, 'presentationml.notesSlide+xml']
+    ]).flat()
+  ].map(([part, type]) => `<Override PartName="${part}" ContentType="${CONTENT_TYPE}.${type}"/>`).join('') +
+  '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+  '</Types>';
+
+// Build the deck, resolving to { blob, slideCount }. report is as for buildPdfReport:
+// { title, subtitle, context, chapters: [{ title, context, blocks }] }, chart
+// blocks carrying the labels and series (or values) their notes list.
+export const buildPptxDeck = async (report, generatedAt = new Date()) => {
+  const zip = new JSZip();
+  const slides = [buildTitleSlide(report, generatedAt)];
+  const images = [];
+
+  (report.chapters || []).forEach(chapter => {
+    // Chapters without their own context footer the report's
+    const section = { title: chapter.title, context: chapter.context || report.context };
+    chapter.blocks.forEach(block => {
+      if (block.type === 'kpis') slides.push(buildKPISlide(section, block));
+      if (block.type === 'chart') {
+        if (block.image) images.push({ slide: slides.length, data: block.image });
+        slides.push(buildChartSlide(section, block, 'rId2'));
+      }
+    });
+  });
+
+  slides.forEach((slide, index) => {
+    const number = index + 1;
+    const image = images.find(item => item.slide === index);
+    zip.file(`ppt/slides/slide${number}.xml`, buildSlideXml(slide.shapes));
+    zip.file(`ppt/slides/_rels/slide${number}.xml.rels`, buildRelationships([
+      { id: 'rId1', type: `${RELATIONSHIP_TYPE}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' },
+      ...(image ? [{ id: 'rId2', type: `${RELATIONSHIP_TYPE}/image`, target: `../media/image${number}.png` }] : []),
+      { id: 'rId3', type: `${RELATIONSHIP_TYPE}/notesSlide`, target: `../notesSlides/notesSlide${number}.xml` }
+    ]));
+    if (image) {
+      zip.file(`ppt/media/image${number}.png`, image.data.replace(/^data:image\/\w+;base64,/, ''), { base64: true });
+    }
+
+    zip.file(`ppt/notesSlides/notesSlide${number}.xml`, buildNotesXml(slide.notes));
+    zip.file(`ppt/notesSlides/_rels/notesSlide${number}.xml.rels`, buildRelationships([
+      { id: 'rId1', type: `${RELATIONSHIP_TYPE}/notesMaster`, target: '../notesMasters/notesMaster1.xml' },
+      { id: 'rId2', type: `${RELATIONSHIP_TYPE}/slide`, target: `../slides/slide${number}.xml` }
+    ]));
+  });
+
+  zip.file('[Content_Types].xml', buildContentTypesXml(slides.length));
+  zip.file('_rels/.rels', buildRelationships([
+    { id: 'rId1', type: `${RELATIONSHIP_TYPE}/officeDocument`, target: 'ppt/presentation.xml' },
+    {
+      id: 'rId2',
+      type: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+      target: 'docProps/core.xml'
+    }
+  ]));
+  zip.file('docProps/core.xml', buildCoreXml(report.title, generatedAt));
+
+  zip.file('ppt/presentation.xml', buildPresentationXml(slides.length));
+  zip.file('ppt/_rels/presentation.xml.rels', buildRelationships([
+    { id: 'rId1', type: `${RELATIONSHIP_TYPE}/slideMaster`, target: 'slideMasters/slideMaster1.xml' },
+    { id: 'rId2', type: `${RELATIONSHIP_TYPE}/notesMaster`, target: 'notesMasters/notesMaster1.xml' },
+    { id: 'rId3', type: `${RELATIONSHIP_TYPE}/theme`, target: 'theme/theme1.xml' },
+    { id: 'rId4', type: `${RELATIONSHIP_TYPE}/presProps`, target: 'presProps.xml' },
+    { id: 'rId5', type: `${RELATIONSHIP_TYPE}/viewProps`, target: 'viewProps.xml' },
+    { id: 'rId6', type: `${RELATIONSHIP_TYPE}/tableStyles`, target: 'tableStyles.xml' },
+    ...slides.map((_, index) => ({
+      id: `rId${10 + index}`,
+      type: `${RELATIONSHIP_TYPE}/slide`,
+      target: `slides/slide${index + 1}.xml`
+    }))
+  ]));
+  zip.file('ppt/presProps.xml', `${XML_HEADER}<p:presentationPr ${NAMESPACES}/>`);
+  zip.file('ppt/viewProps.xml', `${XML_HEADER}<p:viewPr ${NAMESPACES}><p:gridSpacing cx="76200" cy="76200"/></p:viewPr>`);
+  zip.file(
+    'ppt/tableStyles.xml',
+    `${XML_HEADER}<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`
+  );
+
+  zip.file('ppt/theme/theme1.xml', THEME_XML);
+  zip.file('ppt/theme/theme2.xml', THEME_XML);
+  zip.file('ppt/slideMasters/slideMaster1.xml', SLIDE_MASTER_XML);
+  zip.file('ppt/slideMasters/_rels/slideMaster1.xml.rels', buildRelationships([
+    { id: 'rId1', type: `${RELATIONSHIP_TYPE}/slideLayout`, target: '../slideLayouts/slideLayout1.xml' },
+    { id: 'rId2', type: `${RELATIONSHIP_TYPE}/theme`, target: '../theme/theme1.xml' }
+  ]));
+  zip.file('ppt/slideLayouts/slideLayout1.xml', SLIDE_LAYOUT_XML);
+  zip.file('ppt/slideLayouts/_rels/slideLayout1.xml.rels', buildRelationships([
+    { id: 'rId1', type: `${RELATIONSHIP_TYPE}/slideMaster`, target: '../slideMasters/slideMaster1.xml' }
+  ]));
+  zip.file('ppt/notesMasters/notesMaster1.xml', NOTES_MASTER_XML);
+  zip.file('ppt/notesMasters/_rels/notesMaster1.xml.rels', buildRelationships([
+    { id: 'rId1', type: `${RELATIONSHIP_TYPE}/theme`, target: '../theme/theme2.xml' }
+  ]));
+
+  const bytes = await zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+  return { blob: new Blob([bytes], { type: PPTX_MIME_TYPE }), slideCount: slides.length };
+};
@@ -0,0 +1,108 @@
+// src/utils/quickFilters.js
+import { DB_CONFIG } from './constants';
+import { getData, saveData, deleteData } from './indexedDBHelper';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { compileExpression, isGroup } from './filterExpression';
+import { matchesCondition } from './fieldUtils';
+
+// Quick filters are chips that toggle a named condition on a dashboard:
+// { id, label, condition }, the condition as for matchesCondition. Each
+// report's defaults are in REPORT_CONFIG; once an admin edits a report's
+// list, the whole list is kept in the metadata store and used instead.
+
+export const QUICK_FILTERS_TYPE = 'quick-filters';
+
+const getRecordId = (reportType) => `quick_filters_${reportType}`;
+
+export const getDefaultQuickFilters = (reportType) => REPORT_CONFIG[reportType]?.quickFilters || [];
+
+// Quick filters of every report, by report type, with admin edits applied
+export const loadQuickFilters = async () => {
+  const metadata = await getData(DB_CONFIG.STORES.METADATA, { type: QUICK_FILTERS_TYPE });
+  const saved = Object.fromEntries(metadata.map(record => [record.reportType, record.filters]));
+
+  return Object.keys(REPORT_CONFIG).reduce((acc, reportType) => {
+    acc[reportType] = saved[reportType] || getDefaultQuickFilters(reportType);
+    return acc;
+  }, {});
+};
+
+// A condition as the group the filter builder edits
+export const toConditionGroup = (condition) => {
+  if (!condition) return { all: [] };
+  if (isGroup(condition)) return condition;
+  return { all: Array.isArray(condition) ? condition : [condition] };
+};
+
+const toQuickFilterId = (label, taken) => {
+  const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'filter';
+  let id = base;
+  let suffix = 2;
+  while (taken.has(id)) {
+    id = `${base}-${suffix}`;
+    suffix += 1;
+  }
+  return id;
+};
+
+// Check and tidy a report's quick filters: each needs a unique label and at
+// least one complete condition. New filters get an id from their label.
+export const validateQuickFilters = (filters) => {
+  const labels = new Set();
+  const ids = new Set(filters.map(filter => filter.id).filter(Boolean));
+
+  return filters.map((filter, index) => {
+    const label = filter.label?.trim();
+    if (!label) {
+      throw new Error(`Quick filter ${index + 1} needs a label`);
+    }
+    if (labels.has(label.toLowerCase())) {
+      throw new Error(`There is more than one quick filter labelled "${label}"`);
+    }
+    labels.add(label.toLowerCase());
+
+    const condition = compileExpression(toConditionGroup(filter.condition));
+    if (!condition) {
+      throw new Error(`Quick filter "${label}" needs at least one complete condition`);
+    }
+
+    let { id } = filter;
+    if (!id) {
+      id = toQuickFilterId(label, ids);
+      ids.add(id);
+    }
+    return { id, label, condition };
+  });
+};
+
+// Replace a report's quick filters. Resolves to the filters saved.
+export const saveQuickFilters = async (reportType, filters) => {
+  const validated = validateQuickFilters(filters);
+
+  await saveData(DB_CONFIG.STORES.METADATA, [{
+    _id: getRecordId(reportType),
+    type: QUICK_FILTERS_TYPE,
+    reportType,
+    filters: validated,
+    updatedAt: new Date().toISOString()
+  }]);
+  return validated;
+};
+
+// Go back to the report's defaults from REPORT_CONFIG
+export const resetQuickFilters = async (reportType) => {
+  await deleteData(DB_CONFIG.STORES.METADATA, { _id: getRecordId(reportType) });
+  return getDefaultQuickFilters(reportType);
+};
+
+// Condition of the active quick filters, all of which must match; null when
+// none is active
+export const getQuickFilterCondition = (quickFilters = [], activeIds = []) => {
+  const conditions = quickFilters
+    .filter(filter => activeIds.includes(filter.id))
+    .map(filter => filter.condition);
+  return conditions.length > 0 ? { all: conditions } : null;
+};
+
+export const countQuickFilterMatches = (records = [], filter) =>
+  records.reduce((count, record) => count + (matchesCondition(record, filter.condition) ? 1 : 0), 0);
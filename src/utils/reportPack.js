@@ -0,0 +1,263 @@
+// src/utils/reportPack.js
+import { DB_CONFIG, REPORT_TYPES } from './constants';
+import { getData, saveData, deleteData } from './indexedDBHelper';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { PACK_CHARTS, PACK_TABLES } from '../config/reportPackConfig';
+import dataManager from './dataManager';
+import { joinCallCenterReports } from './callCenterAnalysis';
+import { calculateKPIComparison, describeKPIs } from './kpiEngine';
+import { formatPeriodLabel } from './dataQuery';
+import { formatDateWindow } from './dateUtils';
+import { renderChartImage } from './chartHelpers';
+
+// Report packs are saved monthly management packs: an ordered list of
+// sections, each a report's KPI strip, a chart or table from
+// config/reportPackConfig, or free-text commentary, plus the month the pack
+// reports on. Running a pack rebuilds every section from IndexedDB for the
+// chosen month, as a report for buildPdfReport and exportReportWorkbook.
+//
+// { _id, type, name, month: 'YYYY-MM', sections: [{ id, kind, reportType, key, title, text }], updatedAt }
+
+export const REPORT_PACK_TYPE = 'report-pack';
+
+export const SECTION_KINDS = {
+  kpis: { label: 'KPI strip' },
+  chart: { label: 'Chart' },
+  table: { label: 'Table' },
+  text: { label: 'Commentary' }
+};
+
+const KPI_SECTION_TITLE = 'Key Performance Indicators';
+
+// Months charted up to the pack month
+const TREND_MONTHS = 12;
+
+const createId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+// Month keys ('YYYY-MM')
+
+const toMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+export const isMonthKey = (month) => /^\d{4}-(0[1-9]|1[0-2])$/.test(month || '');
+
+// The last month that has ended, the usual month to run a pack for
+export const getLastCompleteMonth = (today = new Date()) =>
+  toMonthKey(new Date(today.getFullYear(), today.getMonth() - 1, 1));
+
+// [start, end) window of a month, or of the `months` ending with it
+export const getMonthWindow = (month, months = 1) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    start: new Date(year, monthNumber - months, 1),
+    end: new Date(year, monthNumber, 1)
+  };
+};
+
+// e.g. "September 2026"
+export const formatMonth = (month) => {
+  if (!isMonthKey(month)) return '';
+  return getMonthWindow(month).start.toLocaleDateString('en-GB', { month: 'long', year: 'numeric' });
+};
+
+// Inclusive date range of a window, as the filters and queryStore take it
+const toDateRange = (window) => ({
+  start: window.start,
+  end: new Date(window.end.getFullYear(), window.end.getMonth(), window.end.getDate() - 1)
+});
+
+// Sections
+
+// Every section a pack can include, in report order
+export const getSectionCatalogue = () => Object.values(REPORT_TYPES)
+  .filter(reportType => REPORT_CONFIG[reportType])
+  .flatMap(reportType => [
+    { kind: 'kpis', reportType, key: 'kpis', title: KPI_SECTION_TITLE },
+    ...Object.entries(PACK_CHARTS[reportType] || {}).map(([key, chart]) => ({
+      kind: 'chart', reportType, key, title: chart.title
+    })),
+    ...Object.entries(PACK_TABLES[reportType] || {}).map(([key, table]) => ({
+      kind: 'table', reportType, key, title: table.title
+    }))
+  ]);
+
+export const createSection = (section) => ({ id: createId('section'), ...section });
+
+export const createTextSection = () => createSection({ kind: 'text', title: 'Commentary', text: '' });
+
+// Persistence
+
+export const loadReportPacks = async () => {
+  const packs = await getData(DB_CONFIG.STORES.METADATA, { type: REPORT_PACK_TYPE });
+  return packs.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Check a pack: it needs a unique name, a month and at least one section, and
+// its commentary needs text. Resolves to the pack saved.
+export const saveReportPack = async (pack, existing = []) => {
+  const name = pack.name?.trim();
+  if (!name) {
+    throw new Error('The pack needs a name');
+  }
+  if (existing.some(other => other._id !== pack._id && other.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`There is already a pack named "${name}"`);
+  }
+  if (!isMonthKey(pack.month)) {
+    throw new Error('Choose the month the pack reports on');
+  }
+  if (!pack.sections?.length) {
+    throw new Error('Add at least one section to the pack');
+  }
+  const blank = pack.sections.findIndex(section => section.kind === 'text' && !section.text?.trim());
+  if (blank !== -1) {
+    throw new Error(`Commentary in section ${blank + 1} is empty`);
+  }
+
+  const saved = {
+    _id: pack._id || createId('pack'),
+    type: REPORT_PACK_TYPE,
+    name,
+    month: pack.month,
+    sections: pack.sections,
+    updatedAt: new Date().toISOString()
+  };
+  await saveData(DB_CONFIG.STORES.METADATA, [saved]);
+  return saved;
+};
+
+export const deleteReportPack = async (packId) => {
+  await deleteData(DB_CONFIG.STORES.METADATA, { _id: packId });
+};
+
+// Generating a pack
+
+// Records the report's KPIs are evaluated over
+const loadKPIRecords = async (reportType) => {
+  if (reportType === REPORT_TYPES.CALL_CENTER) {
+    return joinCallCenterReports(await dataManager.getCallCenterSources()).kpiRecords;
+  }
+  return dataManager.getReportData(reportType);
+};
+
+const buildKPIBlock = (reportType, records, dateRange) => {
+  const { current, previous, comparisonLabel } = calculateKPIComparison(reportType, records, {
+    dateRange,
+    comparison: { mode: 'previous_period' }
+  });
+  return {
+    type: 'kpis',
+    title: KPI_SECTION_TITLE,
+    kpis: describeKPIs(reportType, current),
+    previousValues: previous,
+    comparisonLabel
+  };
+};
+
+// Chart blocks keep their labels and values for the workbook
+const buildChartBlock = async (reportType, chart, window) => {
+  const aggregate = { value: chart.measure };
+  let labels;
+  let values;
+
+  if (chart.groupBy === 'month') {
+    const rows = await dataManager.getReportSeries(reportType, {
+      period: 'month',
+      dateRange: toDateRange(getMonthWindow(toMonthKey(window.start), TREND_MONTHS)),
+      aggregate
+    });
+    labels = rows.map(row => formatPeriodLabel(row.period, 'month'));
+    values = rows.map(row => row.value ?? 0);
+  } else {
+    const rows = await dataManager.queryReport(reportType, {
+      dateRange: toDateRange(window),
+      groupBy: chart.groupBy,
+      aggregate,
+      orderBy: { field: 'value', direction: 'desc' },
+      limit: chart.limit
+    });
+    labels = rows.map(row => String(row[chart.groupBy] ?? 'Unknown'));
+    values = rows.map(row => row.value ?? 0);
+  }
+
+  return {
+    type: 'chart',
+    ...renderChartImage({ type: chart.type, title: chart.title, labels, values, format: chart.format }),
+    labels,
+    values,
+    format: chart.format
+  };
+};
+
+// Field types as DataTable column types
+const COLUMN_TYPES = { datetime: 'date', category: 'text', string: 'text' };
+
+const buildTableBlock = async (reportType, table, window) => {
+  const fields = REPORT_CONFIG[reportType]?.fields || {};
+  const rows = await dataManager.queryReport(reportType, {
+    dateRange: toDateRange(table.months ? getMonthWindow(toMonthKey(window.start), table.months) : window),
+    select: table.fields,
+    orderBy: table.orderBy,
+    limit: table.limit
+  });
+
+  return {
+    type: 'table',
+    title: table.title,
+    columns: table.fields.map(key => {
+      const type = fields[key]?.type || 'text';
+      return { key, header: fields[key]?.label || key, type: COLUMN_TYPES[type] || type };
+    }),
+    rows
+  };
+};
+
+// Run a pack for a month: every section rebuilt from IndexedDB, in pack
+// order. Consecutive sections of a report share a chapter, which commentary
+// joins; commentary before any report section gets a chapter of its own.
+export const generateReportPack = async (pack, month = pack.month) => {
+  if (!isMonthKey(month)) {
+    throw new Error('Choose the month to run the pack for');
+  }
+
+  const window = getMonthWindow(month);
+  const context = { period: `${formatMonth(month)} (${formatDateWindow(window)})`, filters: [] };
+  const kpiRecords = new Map();
+  const chapters = [];
+
+  for (const section of pack.sections) {
+    let chapter = chapters[chapters.length - 1];
+
+    if (section.kind === 'text') {
+      if (!chapter) {
+        chapter = { title: 'Commentary', context, blocks: [] };
+        chapters.push(chapter);
+      }
+      chapter.blocks.push({ type: 'text', title: section.title?.trim() || 'Commentary', text: section.text || '' });
+      continue;
+    }
+
+    const { reportType } = section;
+    if (!REPORT_CONFIG[reportType]) continue;
+    if (!chapter || chapter.reportType !== reportType) {
+      chapter = { reportType, title: REPORT_CONFIG[reportType].title, context, blocks: [] };
+      chapters.push(chapter);
+    }
+
+    if (section.kind === 'kpis') {
+      if (!kpiRecords.has(reportType)) kpiRecords.set(reportType, await loadKPIRecords(reportType));
+      chapter.blocks.push(buildKPIBlock(reportType, kpiRecords.get(reportType), toDateRange(window)));
+    }
+    if (section.kind === 'chart' && PACK_CHARTS[reportType]?.[section.key]) {
+      chapter.blocks.push(await buildChartBlock(reportType, PACK_CHARTS[reportType][section.key], window));
+    }
+    if (section.kind === 'table' && PACK_TABLES[reportType]?.[section.key]) {
+      chapter.blocks.push(await buildTableBlock(reportType, PACK_TABLES[reportType][section.key], window));
+    }
+  }
+
+  return {
+    title: `${pack.name} - ${formatMonth(month)}`,
+    subtitle: 'Monthly management pack',
+    context,
+    chapters
+  };
+};
@@ -0,0 +1,180 @@
+// src/utils/rollRateAnalysis.js
+import { DELINQUENCY_BUCKETS } from './constants';
+import { getFieldValue, getNumericValue, getDateValue, isEmptyValue } from './fieldUtils';
+import { getSnapshotPeriod } from './snapshots';
+
+// Roll rates compare successive arrears uploads. Each upload is a snapshot of
+// the book, dated by the month its records were processed; when a month has
+// several uploads the latest one wins. Accounts are matched across snapshots
+// by customer_id.
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const PAYMENT_CYCLE_DAYS = 30;
+
+const CLOSED_STATES = ['repaid', 'completed', 'settled', 'written off', 'charged off', 'charged-off'];
+const CURRENT_STATUSES = ['current', 'paid', 'up to date'];
+const ARREARS_STATUSES = ['late', 'missed', 'arrears'];
+
+// Accounts in a snapshot that are missing from the next one
+export const EXITED_STATE = { key: 'exited', label: 'Left Report' };
+
+const ROLLING_BUCKETS = DELINQUENCY_BUCKETS.filter(bucket => !bucket.terminal);
+
+const severity = (bucketKey) => (bucketKey === 'closed' ? -1 : ROLLING_BUCKETS.findIndex(b => b.key === bucketKey));
+
+const normalise = (value) => String(value ?? '').trim().toLowerCase();
+
+const bucketForDays = (days) => ROLLING_BUCKETS.find(bucket =>
+  bucket.maxDays === null || Math.ceil(days) <= bucket.maxDays
+).key;
+
+// Days past due from an explicit days overdue column, or the bucket encoded in
+// the stage name (Arrears_30, Arrears_60, ...)
+const getReportedDaysPastDue = (record) => {
+  const explicit = getNumericValue(record, 'days_overdue');
+  if (explicit !== null) return Math.max(0, explicit);
+
+  const match = String(getFieldValue(record, 'stage') || '').match(/arrears[_\s-]*(\d+)/i);
+  return match ? Number(match[1]) : null;
+};
+
+// Classify a record into a delinquency state as at its snapshot date
+export const getDelinquencyBucket = (record, asOf = new Date()) => {
+  const stage = normalise(getFieldValue(record, 'stage'));
+  const status = normalise(getFieldValue(record, 'payment_status'));
+
+  if (CLOSED_STATES.includes(stage) || CLOSED_STATES.includes(status)) return 'closed';
+  if (stage === 'default' || status === 'default') return '90_plus';
+
+  const reportedDays = getReportedDaysPastDue(record);
+  if (reportedDays !== null) return bucketForDays(reportedDays);
+
+  if (CURRENT_STATUSES.includes(status)) return 'current';
+
+  // Fall back to time since the last payment beyond one payment cycle
+  const lastPayment = getDateValue(record, 'last_payment_date');
+  if (lastPayment) {
+    const daysSince = Math.floor((asOf - lastPayment) / MS_PER_DAY);
+    return bucketForDays(Math.max(0, daysSince - PAYMENT_CYCLE_DAYS));
+  }
+
+  if (stage.startsWith('arrears') || ARREARS_STATUSES.includes(status)) return '1_30';
+  return 'current';
+};
+
+// Group records into monthly snapshots of { customer_id: delinquency state }.
+// A customer with several loans takes their most severe state.
+export const buildSnapshots = (data = []) => {
+  const periods = new Map();
+
+  (data || []).forEach(record => {
+    const customerId = getFieldValue(record, 'customer_id');
+    const uploadedAt = getDateValue(record, '_processed_date');
+    if (isEmptyValue(customerId) || !uploadedAt) return;
+
+    const period = getSnapshotPeriod(uploadedAt);
+    if (!periods.has(period)) {
+      periods.set(period, { period, accounts: new Map() });
+    }
+
+    const accounts = periods.get(period).accounts;
+    const bucket = getDelinquencyBucket(record, uploadedAt);
+    const existing = accounts.get(customerId);
+
+    if (!existing || uploadedAt > existing.uploadedAt ||
+      (uploadedAt.getTime() === existing.uploadedAt.getTime() && severity(bucket) > severity(existing.bucket))) {
+      accounts.set(customerId, { bucket, uploadedAt });
+    }
+  });
+
+  return Array.from(periods.values())
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(({ period, accounts }) => ({
+      period,
+      accounts: new Map(Array.from(accounts.entries()).map(([id, entry]) => [id, entry.bucket]))
+    }));
+};
+
+// Empty from-state x to-state count matrix. Closed accounts cannot roll, so
+// they only appear as a destination.
+const createMatrix = () => ROLLING_BUCKETS.reduce((acc, from) => {
+  acc[from.key] = [...DELINQUENCY_BUCKETS, EXITED_STATE].reduce((row, to) => {
+    row[to.key] = 0;
+    return row;
+  }, {});
+  return acc;
+}, {});
+
+const percentOf = (count, total) => (total > 0 ? (count / total) * 100 : null);
+
+// Cure, stay, forward-roll and closure percentages for each from-state
+export const calculateTransitionRates = (matrix) => {
+  const rows = ROLLING_BUCKETS.reduce((acc, from, fromIndex) => {
+    const row = matrix[from.key];
+    const total = Object.values(row).reduce((sum, count) => sum + count, 0);
+    const rolledForward = ROLLING_BUCKETS
+      .slice(fromIndex + 1)
+      .reduce((sum, to) => sum + row[to.key], 0);
+
+    acc[from.key] = {
+      total,
+      cured: fromIndex > 0 ? row.current : 0,
+      rolledForward,
+      cureRate: fromIndex > 0 ? percentOf(row.current, total) : null,
+      stayRate: percentOf(row[from.key], total),
+      forwardRollRate: percentOf(rolledForward, total),
+      closedRate: percentOf(row.closed, total),
+      exitRate: percentOf(row[EXITED_STATE.key], total)
+    };
+    return acc;
+  }, {});
+
+  // Across all delinquent accounts (every state except Current)
+  const delinquent = ROLLING_BUCKETS.slice(1).map(bucket => rows[bucket.key]);
+  const delinquentTotal = delinquent.reduce((sum, row) => sum + row.total, 0);
+
+  return {
+    rows,
+    overall: {
+      delinquentAccounts: delinquentTotal,
+      cureRate: percentOf(delinquent.reduce((sum, row) => sum + row.cured, 0), delinquentTotal),
+      forwardRollRate: percentOf(delinquent.reduce((sum, row) => sum + row.rolledForward, 0), delinquentTotal),
+      currentToDelinquentRate: rows.current.forwardRollRate
+    }
+  };
+};
+
+// Month-over-month transition matrices between successive snapshots, plus
+// the pooled matrix over every transition
+export const calculateRollRates = (data = []) => {
+  const snapshots = buildSnapshots(data);
+  const pooled = createMatrix();
+
+  const transitions = snapshots.slice(1).map((snapshot, index) => {
+    const previous = snapshots[index];
+    const matrix = createMatrix();
+
+    previous.accounts.forEach((fromBucket, customerId) => {
+      if (!matrix[fromBucket]) return;
+      const toBucket = snapshot.accounts.get(customerId) || EXITED_STATE.key;
+      matrix[fromBucket][toBucket] += 1;
+      pooled[fromBucket][toBucket] += 1;
+    });
+
+    return {
+      from: previous.period,
+      to: snapshot.period,
+      matrix,
+      rates: calculateTransitionRates(matrix)
+    };
+  });
+
+  return {
+    periods: snapshots.map(snapshot => snapshot.period),
+    transitions,
+    pooled: {
+      matrix: pooled,
+      rates: calculateTransitionRates(pooled)
+    }
+  };
+};
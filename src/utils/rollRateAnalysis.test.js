@@ -0,0 +1,108 @@
+import {
+  EXITED_STATE,
+  buildSnapshots,
+  calculateRollRates,
+  calculateTransitionRates,
+  getDelinquencyBucket
+} from './rollRateAnalysis';
+
+const processed = (year, month, day = 28) => new Date(year, month - 1, day, 9).toISOString();
+
+describe('getDelinquencyBucket', () => {
+  test('reads closed and defaulted accounts from stage or payment status', () => {
+    expect(getDelinquencyBucket({ stage: 'Repaid' })).toBe('closed');
+    expect(getDelinquencyBucket({ payment_status: 'Written Off' })).toBe('closed');
+    expect(getDelinquencyBucket({ stage: 'Default' })).toBe('90_plus');
+  });
+
+  test('buckets days overdue, or the days in an Arrears_N stage', () => {
+    expect(getDelinquencyBucket({ days_overdue: 0 })).toBe('current');
+    expect(getDelinquencyBucket({ days_overdue: 30 })).toBe('1_30');
+    expect(getDelinquencyBucket({ days_overdue: 31 })).toBe('31_60');
+    expect(getDelinquencyBucket({ stage: 'Arrears_60' })).toBe('31_60');
+    expect(getDelinquencyBucket({ stage: 'Arrears 90' })).toBe('61_90');
+    expect(getDelinquencyBucket({ days_overdue: 120 })).toBe('90_plus');
+  });
+
+  test('falls back to time since the last payment beyond a payment cycle', () => {
+    const asOf = new Date(2025, 5, 30);
+    expect(getDelinquencyBucket({ payment_status: 'Current' }, asOf)).toBe('current');
+    expect(getDelinquencyBucket({ last_payment_date: new Date(2025, 5, 10) }, asOf)).toBe('current');
+    expect(getDelinquencyBucket({ last_payment_date: new Date(2025, 3, 1) }, asOf)).toBe('31_60');
+    expect(getDelinquencyBucket({ payment_status: 'Missed' }, asOf)).toBe('1_30');
+  });
+});
+
+describe('buildSnapshots', () => {
+  test('groups uploads by processed month, latest upload winning', () => {
+    const snapshots = buildSnapshots([
+      { customer_id: 'A', days_overdue: 0, _processed_date: processed(2025, 4, 2) },
+      { customer_id: 'A', days_overdue: 45, _processed_date: processed(2025, 4, 20) },
+      { customer_id: 'B', days_overdue: 10, _processed_date: processed(2025, 3) },
+      { customer_id: 'C', days_overdue: 10 }
+    ]);
+    expect(snapshots.map(snapshot => snapshot.period)).toEqual(['2025-03', '2025-04']);
+    expect(Array.from(snapshots[1].accounts)).toEqual([['A', '31_60']]);
+  });
+
+  test('a customer with several loans in one upload takes the most severe state', () => {
+    const at = processed(2025, 4);
+    const [snapshot] = buildSnapshots([
+      { customer_id: 'A', days_overdue: 70, _processed_date: at },
+      { customer_id: 'A', days_overdue: 5, _processed_date: at }
+    ]);
+    expect(snapshot.accounts.get('A')).toBe('61_90');
+  });
+});
+
+describe('calculateRollRates', () => {
+  const data = [
+    { customer_id: 'A', days_overdue: 0, _processed_date: processed(2025, 3) },
+    { customer_id: 'B', days_overdue: 10, _processed_date: processed(2025, 3) },
+    { customer_id: 'C', days_overdue: 10, _processed_date: processed(2025, 3) },
+    { customer_id: 'D', days_overdue: 40, _processed_date: processed(2025, 3) },
+    { customer_id: 'A', days_overdue: 20, _processed_date: processed(2025, 4) },
+    { customer_id: 'B', days_overdue: 0, _processed_date: processed(2025, 4) },
+    { customer_id: 'C', days_overdue: 40, _processed_date: processed(2025, 4) },
+    { customer_id: 'E', days_overdue: 0, _processed_date: processed(2025, 4) }
+  ];
+
+  test('counts each account from its state to its state in the next snapshot', () => {
+    const { periods, transitions } = calculateRollRates(data);
+    expect(periods).toEqual(['2025-03', '2025-04']);
+    expect(transitions).toHaveLength(1);
+
+    const { from, to, matrix } = transitions[0];
+    expect([from, to]).toEqual(['2025-03', '2025-04']);
+    expect(matrix.current['1_30']).toBe(1);
+    expect(matrix['1_30'].current).toBe(1);
+    expect(matrix['1_30']['31_60']).toBe(1);
+    expect(matrix['31_60'][EXITED_STATE.key]).toBe(1);
+    expect(matrix.closed).toBeUndefined();
+  });
+
+  test('rates cures, forward rolls and exits among delinquent accounts', () => {
+    const { rates } = calculateRollRates(data).transitions[0];
+    expect(rates.rows['1_30']).toEqual(expect.objectContaining({ total: 2, cureRate: 50, forwardRollRate: 50 }));
+    expect(rates.rows['31_60'].exitRate).toBe(100);
+    expect(rates.rows.current.cureRate).toBeNull();
+    expect(rates.overall).toEqual({
+      delinquentAccounts: 3,
+      cureRate: expect.closeTo(33.33, 2),
+      forwardRollRate: expect.closeTo(33.33, 2),
+      currentToDelinquentRate: 100
+    });
+  });
+
+  test('pools every transition and has none for a single snapshot', () => {
+    expect(calculateRollRates(data).pooled.matrix['1_30'].current).toBe(1);
+    const single = calculateRollRates(data.slice(0, 4));
+    expect(single.transitions).toEqual([]);
+    expect(single.pooled.rates.overall.cureRate).toBeNull();
+  });
+});
+
+test('calculateTransitionRates leaves rates empty for states with no accounts', () => {
+  const { rows } = calculateTransitionRates(calculateRollRates([]).pooled.matrix);
+  expect(rows['61_90']).toEqual(expect.objectContaining({ total: 0, stayRate: null, forwardRollRate: null }));
+});
@@ -0,0 +1,50 @@
+// src/utils/snapshots.js
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { getDateValue } from './fieldUtils';
+
+// Reports flagged snapshots in REPORT_CONFIG (arrears, liquidations) store
+// each month's upload as a snapshot of the whole book, dated by the month its
+// records were processed. Uploads in the same month replace that month's
+// snapshot; a new month adds one, so history builds up for roll rates and
+// vintage curves. Totals read only the latest snapshot, since adding up
+// successive snapshots would count every account once per month.
+
+// YYYY-MM period a snapshot date falls in
+export const getSnapshotPeriod = (date) =>
+  `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+
+// Snapshot period a stored record belongs to, or null before it is processed
+export const getRecordSnapshot = (record) => {
+  const processedAt = getDateValue(record, '_processed_date');
+  return processedAt ? getSnapshotPeriod(processedAt) : null;
+};
+
+export const isSnapshotReport = (reportType) => Boolean(REPORT_CONFIG[reportType]?.snapshots);
+
+// Records of the most recent snapshot. Records with no processed date are
+// only kept when none has one.
+export const getLatestSnapshot = (records = []) => {
+  let latest = null;
+  const periods = records.map(record => {
+    const period = getRecordSnapshot(record);
+    if (period && (!latest || period > latest)) latest = period;
+    return period;
+  });
+  return latest ? records.filter((record, index) => periods[index] === latest) : records;
+};
+
+// The latest snapshot of records as a condition on _processed_date, for
+// queries run in IndexedDB (see utils/dataQuery); null for reports without
+// snapshots or records without a processed date
+export const getLatestSnapshotCondition = (reportType, records = []) => {
+  if (!isSnapshotReport(reportType)) return null;
+  const processedDates = Array.from(new Set(getLatestSnapshot(records)
+    .map(record => record._processed_date)
+    .filter(Boolean)));
+  return processedDates.length > 0 ? { field: '_processed_date', op: 'in', value: processedDates } : null;
+};
+
+// Records a report's totals are read from: the latest snapshot for snapshot
+// reports, otherwise every record
+export const getCurrentRecords = (reportType, records = []) =>
+  (isSnapshotReport(reportType) ? getLatestSnapshot(records) : records);
@@ -0,0 +1,182 @@
+// src/utils/uploadHistory.js
+import { DB_CONFIG } from './constants';
+import { getData, getRecord, saveData, applyChangesInBatches } from './indexedDBHelper';
+import { getFileStructureConfig } from './csvProcessor';
+import { getNaturalKey, getUploadChanges } from './uploadPlanner';
+
+// Every upload is written as a batch: its rows carry _batch_id and a batch
+// record in the metadata store describes it. What it wrote, the stored rows
+// it replaced and the rows it removed are kept under the same id in the
+// upload batches store, so it can be compared or rolled back without the
+// metadata store holding every uploaded row.
+
+export const UPLOAD_BATCH_TYPE = 'upload-batch';
+
+export const createBatchId = () =>
+  `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+// Put back the rows a batch replaced or removed and delete the rows it inserted
+const getUndoChanges = ({ rows, before, removed }) => {
+  const replacedIds = new Set(before.map(record => record._id));
+  return {
+    puts: [...before, ...removed],
+    deletes: rows.map(record => record._id).filter(id => !replacedIds.has(id))
+  };
+};
+
+// Write a planned upload (see planUpload) in batched transactions and record
+// it as a batch. If writing fails or is cancelled part way, the rows already
+// written are undone before the error is rethrown.
+export const commitUploadBatch = async ({
+  plan,
+  storeName,
+  reportType,
+  fileStructure = null,
+  fileName,
+  note = '',
+  rowCount,
+  prepareRecord,
+  onProgress,
+  signal
+}) => {
+  const batchId = createBatchId();
+  const changes = getUploadChanges(plan, (row, index) => ({
+    ...prepareRecord(row, index),
+    _batch_id: batchId
+  }));
+
+  const before = plan.updated.map(({ existing }) => existing);
+
+  try {
+    await applyChangesInBatches(storeName, changes, { onProgress, signal });
+  } catch (error) {
+    await applyChangesInBatches(storeName, getUndoChanges({ rows: changes.puts, before, removed: plan.removed }));
+    throw error;
+  }
+
+  const batchRows = { _id: batchId, rows: changes.puts, before, removed: plan.removed };
+  const batch = {
+    _id: batchId,
+    type: UPLOAD_BATCH_TYPE,
+    batchId,
+    reportType,
+    store: storeName,
+    fileStructure,
+    fileName,
+    note: note.trim(),
+    mode: plan.mode,
+    rowCount: rowCount ?? changes.puts.length,
+    counts: plan.counts,
+    uploadedAt: new Date().toISOString(),
+    status: 'active'
+  };
+
+  await saveData(DB_CONFIG.STORES.UPLOAD_BATCHES, [batchRows]);
+  await saveData(DB_CONFIG.STORES.METADATA, [batch]);
+  return batch;
+};
+
+// Upload batches, newest first, optionally for one report. The rows are not
+// included; see withUploadBatchRows.
+export const getUploadBatches = async (reportType = null) => {
+  const batches = await getData(DB_CONFIG.STORES.METADATA, { type: UPLOAD_BATCH_TYPE });
+  return batches
+    .filter(record => !reportType || record.reportType === reportType)
+    .sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+};
+
+// A batch with the rows it wrote, replaced and removed
+export const withUploadBatchRows = async (batch) => {
+  const stored = await getRecord(DB_CONFIG.STORES.UPLOAD_BATCHES, batch.batchId);
+  if (!stored) {
+    throw new Error(`Rows of upload ${batch.fileName} not found`);
+  }
+  return { ...batch, rows: stored.rows, before: stored.before, removed: stored.removed };
+};
+
+const getTouchedIds = (batch) => new Set([
+  ...batch.rows.map(record => record._id),
+  ...batch.before.map(record => record._id),
+  ...batch.removed.map(record => record._id)
+]);
+
+const getDataFields = (record) => Object.keys(record).filter(field => !field.startsWith('_'));
+
+// Compare the rows two batches of the same report wrote, matched on the
+// report's natural key. Both batches need their rows (see withUploadBatchRows).
+export const diffUploadBatches = (batchA, batchB) => {
+  if (batchA.store !== batchB.store) {
+    throw new Error('Only uploads of the same report can be compared');
+  }
+
+  const config = getFileStructureConfig(batchA.reportType, batchA.fileStructure);
+  const byKey = (rows) => rows.reduce((acc, row) => {
+    acc.set(getNaturalKey(row, config) ?? row._id, row);
+    return acc;
+  }, new Map());
+
+  const rowsA = byKey(batchA.rows);
+  const rowsB = byKey(batchB.rows);
+  const diff = { onlyInA: [], onlyInB: [], changed: [], unchanged: 0 };
+
+  rowsA.forEach((rowA, key) => {
+    const rowB = rowsB.get(key);
+    if (!rowB) {
+      diff.onlyInA.push(rowA);
+      return;
+    }
+
+    const fields = Array.from(new Set([...getDataFields(rowA), ...getDataFields(rowB)]))
+      .filter(field => String(rowA[field] ?? '') !== String(rowB[field] ?? ''));
+    if (fields.length > 0) {
+      diff.changed.push({ key, before: rowA, after: rowB, fields });
+    } else {
+      diff.unchanged += 1;
+    }
+  });
+
+  rowsB.forEach((rowB, key) => {
+    if (!rowsA.has(key)) diff.onlyInB.push(rowB);
+  });
+
+  return diff;
+};
+
+// Undo a batch: delete the rows it inserted and put back the rows it updated
+// or removed. Later uploads that touched the same rows must be rolled back first.
+export const rollbackUploadBatch = async (batchId) => {
+  const batches = await getUploadBatches();
+  const found = batches.find(record => record.batchId === batchId);
+
+  if (!found) {
+    throw new Error(`Upload batch not found: ${batchId}`);
+  }
+  if (found.status === 'rolled_back') {
+    throw new Error('This upload has already been rolled back');
+  }
+
+  const batch = await withUploadBatchRows(found);
+  const touched = getTouchedIds(batch);
+  const later = await Promise.all(batches
+    .filter(other =>
+      other.store === batch.store &&
+      other.status === 'active' &&
+      other.uploadedAt > batch.uploadedAt
+    )
+    .map(withUploadBatchRows));
+  const blocking = later.filter(other => Array.from(getTouchedIds(other)).some(id => touched.has(id)));
+  if (blocking.length > 0) {
+    throw new Error(`Roll back later uploads first: ${blocking.map(other => other.fileName).join(', ')}`);
+  }
+
+  const changes = getUndoChanges(batch);
+
+  await applyChangesInBatches(batch.store, changes);
+  await saveData(DB_CONFIG.STORES.METADATA, [{
+    ...found,
+    status: 'rolled_back',
+    rolledBackAt: new Date().toISOString()
+  }]);
+
+  return { restored: changes.puts.length, deleted: changes.deletes.length };
+};
@@ -0,0 +1,176 @@
+// src/utils/uploadPlanner.js
+import { getFieldValue, getNumericValue, getDateValue, getRecordDate, isEmptyValue } from './fieldUtils';
+import { getRecordSnapshot } from './snapshots';
+
+// Works out what an upload will do to the rows already stored for a report
+// before anything is written, so the uploader can preview it. Rows are matched
+// on the report's natural key (REPORT_CONFIG naturalKey), read through the
+// column aliases so files with different header spellings still match.
+
+const toDayKey = (date) => [
+  date.getFullYear(),
+  (date.getMonth() + 1).toString().padStart(2, '0'),
+  date.getDate().toString().padStart(2, '0')
+].join('-');
+
+// One key part, normalised by field type so 01/03/2024 and 2024-03-01 match
+const getKeyPart = (record, field, fieldConfig = {}) => {
+  switch (fieldConfig.type) {
+    case 'date': {
+      const date = getDateValue(record, field);
+      return date ? toDayKey(date) : null;
+    }
+    case 'datetime': {
+      const date = getDateValue(record, field);
+      return date ? date.toISOString() : null;
+    }
+    case 'number':
+    case 'currency':
+    case 'percentage': {
+      const value = getNumericValue(record, field);
+      return value === null ? null : String(value);
+    }
+    default: {
+      const value = getFieldValue(record, field);
+      return isEmptyValue(value) ? null : String(value).trim();
+    }
+  }
+};
+
+// Reports with a natural key update matching rows unless they say otherwise
+export const getDefaultUploadMode = (config) =>
+  config?.defaultUploadMode || (config?.naturalKey ? 'upsert' : 'append');
+
+// Natural key of a record, or null when any key field is blank
+export const getNaturalKey = (record, config) => {
+  const keyFields = config?.naturalKey || [];
+  if (keyFields.length === 0) return null;
+
+  const parts = keyFields.map(field => getKeyPart(record, field, config.fields?.[field]));
+  return parts.some(part => part === null) ? null : parts.join('|');
+};
+
+// Whole-day window [start, end) covering every dated row in the upload
+export const getUploadDateRange = (records, config) => {
+  const dates = records
+    .map(record => getRecordDate(record, config?.dateField))
+    .filter(Boolean);
+  if (dates.length === 0) return null;
+
+  const min = new Date(Math.min(...dates));
+  const max = new Date(Math.max(...dates));
+  return {
+    start: new Date(min.getFullYear(), min.getMonth(), min.getDate()),
+    end: new Date(max.getFullYear(), max.getMonth(), max.getDate() + 1)
+  };
+};
+
+// An incoming row is unchanged when every column it carries matches the stored row
+const isSameRow = (row, existing) => Object.keys(row)
+  .filter(field => !field.startsWith('_'))
+  .every(field => String(row[field] ?? '') === String(existing[field] ?? ''));
+
+const withCounts = (plan) => ({
+  ...plan,
+  counts: {
+    inserted: plan.inserted.length,
+    updated: plan.updated.length,
+    unchanged: plan.unchanged.length,
+    removed: plan.removed.length,
+    duplicates: plan.duplicates
+  }
+});
+
+// Plan an upload of incoming rows against the stored rows of a report.
+//   append        - every row is inserted; duplicates counts rows whose key is already stored
+//   upsert        - rows matching a stored key update it (or are unchanged), the rest are inserted
+//   replace_range - as upsert, and stored rows dated within the file's date range
+//                   that the file no longer contains are removed
+// Within the file, a later row with the same key replaces an earlier one.
+// For snapshot reports (REPORT_CONFIG snapshots) snapshot names the period the
+// upload is stored under, and only rows of that snapshot are matched or removed.
+export const planUpload = (existing = [], incoming = [], { mode = 'append', config, snapshot = null } = {}) => {
+  if (config?.snapshots && snapshot) {
+    existing = existing.filter(record => getRecordSnapshot(record) === snapshot);
+  }
+
+  const plan = {
+    mode,
+    snapshot: config?.snapshots ? snapshot : null,
+    range: null,
+    inserted: [],
+    updated: [],
+    unchanged: [],
+    removed: [],
+    duplicates: 0
+  };
+
+  const storedByKey = new Map();
+  existing.forEach(record => {
+    const key = getNaturalKey(record, config);
+    if (key !== null) storedByKey.set(key, record);
+  });
+
+  if (mode === 'append') {
+    plan.inserted = [...incoming];
+    plan.duplicates = incoming.filter(row => storedByKey.has(getNaturalKey(row, config))).length;
+    return withCounts(plan);
+  }
+
+  if (mode === 'replace_range') {
+    plan.range = getUploadDateRange(incoming, config);
+    if (!plan.range) {
+      throw new Error('No dates found in the file to work out the range to replace');
+    }
+  }
+
+  // Last row for each key in the file wins; rows without a key are always new
+  const incomingByKey = new Map();
+  const unkeyed = [];
+  incoming.forEach(row => {
+    const key = getNaturalKey(row, config);
+    if (key === null) {
+      unkeyed.push(row);
+    } else {
+      if (incomingByKey.has(key)) plan.duplicates += 1;
+      incomingByKey.set(key, row);
+    }
+  });
+
+  const matchedIds = new Set();
+  incomingByKey.forEach((row, key) => {
+    const stored = storedByKey.get(key);
+    if (!stored) {
+      plan.inserted.push(row);
+    } else {
+      matchedIds.add(stored._id);
+      plan[isSameRow(row, stored) ? 'unchanged' : 'updated'].push({ row, existing: stored });
+    }
+  });
+  plan.inserted.push(...unkeyed);
+
+  if (plan.range) {
+    plan.removed = existing.filter(record => {
+      if (matchedIds.has(record._id)) return false;
+      const date = getRecordDate(record, config.dateField);
+      return date && date >= plan.range.start && date < plan.range.end;
+    });
+  }
+
+  return withCounts(plan);
+};
+
+// Store writes for a plan. prepareRecord stamps an incoming row for storage;
+// updated rows keep the _id of the row they replace.
+export const getUploadChanges = (plan, prepareRecord) => {
+  const inserts = plan.inserted.map((row, index) => prepareRecord(row, index));
+  const updates = plan.updated.map(({ row, existing }, index) => ({
+    ...prepareRecord(row, plan.inserted.length + index),
+    _id: existing._id
+  }));
+
+  return {
+    puts: [...inserts, ...updates],
+    deletes: plan.removed.map(record => record._id)
+  };
+};
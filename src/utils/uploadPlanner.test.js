@@ -0,0 +1,118 @@
+import { REPORT_CONFIG } from '../config/reportConfig';
+import {
+  getDefaultUploadMode,
+  getNaturalKey,
+  getUploadChanges,
+  getUploadDateRange,
+  planUpload
+} from './uploadPlanner';
+
+const config = {
+  dateField: 'stage_date',
+  naturalKey: ['customer_id', 'stage_date'],
+  fields: {
+    customer_id: { type: 'string' },
+    stage_date: { type: 'date' },
+    total_due: { type: 'currency' }
+  }
+};
+
+const stored = [
+  { _id: 's1', customer_id: 'A', stage_date: '2025-03-01', total_due: '100' },
+  { _id: 's2', customer_id: 'B', stage_date: '2025-03-02', total_due: '200' },
+  { _id: 's3', customer_id: 'C', stage_date: '2025-03-03', total_due: '300' },
+  { _id: 's4', customer_id: 'D', stage_date: '2025-04-10', total_due: '400' }
+];
+
+describe('natural keys', () => {
+  test('match across date formats and padding', () => {
+    expect(getNaturalKey({ customer_id: ' A ', stage_date: '01/03/2025' }, config))
+      .toBe(getNaturalKey({ customer_id: 'A', stage_date: '2025-03-01' }, config));
+  });
+
+  test('are null when a key field is blank or the report has none', () => {
+    expect(getNaturalKey({ customer_id: 'A' }, config)).toBeNull();
+    expect(getNaturalKey({ customer_id: 'A' }, { fields: {} })).toBeNull();
+  });
+
+  test('decide the default upload mode', () => {
+    expect(getDefaultUploadMode(config)).toBe('upsert');
+    expect(getDefaultUploadMode({})).toBe('append');
+    expect(getDefaultUploadMode({ ...config, defaultUploadMode: 'replace_range' })).toBe('replace_range');
+  });
+});
+
+test('getUploadDateRange covers every dated row in whole days', () => {
+  expect(getUploadDateRange([{ stage_date: '2025-03-02' }, { stage_date: '2025-03-05' }, {}], config)).toEqual({
+    start: new Date(2025, 2, 2),
+    end: new Date(2025, 2, 6)
+  });
+  expect(getUploadDateRange([{}], config)).toBeNull();
+});
+
+describe('planUpload', () => {
+  test('append inserts every row and counts keys already stored', () => {
+    const plan = planUpload(stored, [
+      { customer_id: 'A', stage_date: '01/03/2025', total_due: '150' },
+      { customer_id: 'E', stage_date: '2025-03-04', total_due: '50' }
+    ], { mode: 'append', config });
+    expect(plan.counts).toEqual({ inserted: 2, updated: 0, unchanged: 0, removed: 0, duplicates: 1 });
+  });
+
+  test('upsert updates changed rows, skips unchanged ones and keeps the last duplicate', () => {
+    const plan = planUpload(stored, [
+      { customer_id: 'A', stage_date: '2025-03-01', total_due: '100' },
+      { customer_id: 'B', stage_date: '2025-03-02', total_due: '210' },
+      { customer_id: 'B', stage_date: '2025-03-02', total_due: '220' },
+      { customer_id: 'E', stage_date: '2025-03-04', total_due: '50' },
+      { customer_id: 'F', total_due: '60' }
+    ], { mode: 'upsert', config });
+
+    expect(plan.counts).toEqual({ inserted: 2, updated: 1, unchanged: 1, removed: 0, duplicates: 1 });
+    expect(plan.updated[0]).toEqual({ row: expect.objectContaining({ total_due: '220' }), existing: stored[1] });
+  });
+
+  test('replace_range removes stored rows in the file\'s dates that it no longer has', () => {
+    const plan = planUpload(stored, [
+      { customer_id: 'A', stage_date: '2025-03-01', total_due: '100' },
+      { customer_id: 'E', stage_date: '2025-03-02', total_due: '50' }
+    ], { mode: 'replace_range', config });
+
+    expect(plan.range).toEqual({ start: new Date(2025, 2, 1), end: new Date(2025, 2, 3) });
+    expect(plan.removed.map(record => record._id)).toEqual(['s2']);
+  });
+
+  test('replace_range needs dates in the file', () => {
+    expect(() => planUpload(stored, [{ customer_id: 'A' }], { mode: 'replace_range', config }))
+      .toThrow('No dates found');
+  });
+
+  test('snapshot reports only match rows of the snapshot being uploaded', () => {
+    const arrears = REPORT_CONFIG.arrears;
+    const march = new Date(2025, 2, 31, 12).toISOString();
+    const april = new Date(2025, 3, 30, 12).toISOString();
+    const existing = [
+      { _id: 'm1', customer_id: 'A', stage_date: '2025-03-01', total_due: '100', _processed_date: march },
+      { _id: 'a1', customer_id: 'A', stage_date: '2025-03-01', total_due: '100', _processed_date: april }
+    ];
+    const row = { customer_id: 'A', stage_date: '2025-03-01', total_due: '120' };
+
+    const nextMonth = planUpload(existing, [row], { mode: 'upsert', config: arrears, snapshot: '2025-05' });
+    expect(nextMonth.snapshot).toBe('2025-05');
+    expect(nextMonth.counts.inserted).toBe(1);
+
+    const sameMonth = planUpload(existing, [row], { mode: 'upsert', config: arrears, snapshot: '2025-04' });
+    expect(sameMonth.updated.map(({ existing: record }) => record._id)).toEqual(['a1']);
+  });
+});
+
+test('getUploadChanges stamps inserts and keeps the ids of updated rows', () => {
+  const plan = planUpload(stored, [
+    { customer_id: 'A', stage_date: '2025-03-01', total_due: '999' },
+    { customer_id: 'E', stage_date: '2025-03-04', total_due: '50' }
+  ], { mode: 'upsert', config });
+  const changes = getUploadChanges(plan, (row, index) => ({ ...row, _id: `new_${index}` }));
+
+  expect(changes.puts.map(record => record._id)).toEqual(['new_0', 's1']);
+  expect(changes.deletes).toEqual([]);
+});
@@ -0,0 +1,184 @@
+// src/utils/uploadValidation.js
+import { COLUMN_MAPPINGS } from './constants';
+import { applyColumnMapping } from './columnMapping';
+import { detectFileStructure, getFileStructureConfig } from './csvProcessor';
+import { REPORT_CONFIG } from '../config/reportConfig';
+
+// Checks an uploaded file's rows against its report before upload: required
+// columns, then the type of every value. Pure so the CSV parser worker can
+// run it next to the parse (see workers/csvParser.worker), and FileValidator
+// on the main thread for workbooks.
+
+// DD/MM/YYYY, DD-MM-YYYY or DD.MM.YYYY naming a real day
+export const isValidUKDate = (dateString) => {
+  if (!dateString || typeof dateString !== 'string') return false;
+
+  const match = dateString.trim().match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{4})$/);
+  if (!match) return false;
+
+  const [, day, month, year] = match.map(Number);
+  if (day < 1 || day > 31) return false;
+  if (month < 1 || month > 12) return false;
+  if (year < 1900 || year > 2100) return false;
+
+  const date = new Date(year, month - 1, day);
+  return date.getDate() === day && date.getMonth() === month - 1 && date.getFullYear() === year;
+};
+
+// The file column a field was read from, if any
+const findFieldHeader = (headers, fieldName) => {
+  const variants = (COLUMN_MAPPINGS[fieldName] || [fieldName]).map(variant => variant.toLowerCase().trim());
+  return headers.find(header => variants.includes(header.toLowerCase().trim())) || null;
+};
+
+// Required columns that are present
+export const validateStructure = (rows, reportConfig) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!rows || rows.length === 0) {
+    errors.push({
+      type: 'NO_DATA',
+      message: 'No data found in CSV file',
+      severity: 'error'
+    });
+    return { errors, warnings };
+  }
+
+  const headers = Object.keys(rows[0]);
+  Object.entries(reportConfig.fields).forEach(([fieldName, fieldConfig]) => {
+    if (!fieldConfig.required || findFieldHeader(headers, fieldName)) return;
+
+    const possibleColumns = COLUMN_MAPPINGS[fieldName] || [fieldName];
+    errors.push({
+      type: 'MISSING_REQUIRED_FIELD',
+      message: `Required field '${fieldConfig.label}' not found. Expected one of: ${possibleColumns.join(', ')}`,
+      severity: 'error'
+    });
+  });
+
+  return { errors, warnings };
+};
+
+const typeError = (index, header, value, expected) => ({
+  type: 'TYPE_ERROR',
+  message: `Row ${index + 1}: '${header}' ${expected}, got '${value}'`,
+  severity: 'error',
+  row: index + 1,
+  field: header,
+  value
+});
+
+// Values that can't be read as their field's type, UK dates and currency
+// formats included
+export const validateDataTypes = (rows, reportConfig) => {
+  const errors = [];
+  const warnings = [];
+  if (!rows || rows.length === 0) return { errors, warnings };
+
+  const headers = Object.keys(rows[0]);
+  const columns = Object.entries(reportConfig.fields)
+    .map(([fieldName, fieldConfig]) => ({ fieldConfig, header: findFieldHeader(headers, fieldName) }))
+    .filter(column => column.header);
+
+  rows.forEach((row, index) => {
+    columns.forEach(({ fieldConfig, header }) => {
+      const value = row[header];
+      if (value === null || value === undefined || value === '') return;
+
+      switch (fieldConfig.type) {
+        case 'number': {
+          const cleaned = typeof value === 'string' ? value.replace(/,/g, '').trim() : value;
+          if (isNaN(parseFloat(cleaned))) {
+            errors.push(typeError(index, header, value, 'must be a number'));
+          }
+          break;
+        }
+
+        case 'currency': {
+          const cleaned = String(value).trim()
+            .replace(/[£$€¥�]/g, '') // � where the file's encoding mangled the symbol
+            .replace(/,/g, '')
+            .replace(/\s/g, '')
+            .replace(/[^\d.-]/g, '');
+          const amount = parseFloat(cleaned);
+          if (isNaN(amount) || !isFinite(amount)) {
+            errors.push(typeError(index, header, value, 'must be a valid currency amount'));
+          }
+          break;
+        }
+
+        case 'date':
+          if (!isValidUKDate(value) && isNaN(Date.parse(value))) {
+            errors.push(typeError(index, header, value, 'must be a valid date (DD/MM/YYYY or YYYY-MM-DD)'));
+          }
+          break;
+
+        case 'percentage': {
+          const percent = typeof value === 'string' ? parseFloat(value.replace('%', '').trim()) : parseFloat(value);
+          if (isNaN(percent) || percent < 0 || percent > 100) {
+            errors.push(typeError(index, header, value, 'must be a percentage (0-100)'));
+          }
+          break;
+        }
+
+        default:
+          if (fieldConfig.required && value.toString().trim() === '') {
+            errors.push({
+              type: 'TYPE_ERROR',
+              message: `Row ${index + 1}: '${header}' is required but empty`,
+              severity: 'error',
+              row: index + 1,
+              field: header,
+              value
+            });
+          }
+          break;
+      }
+    });
+  });
+
+  return { errors, warnings };
+};
+
+// Map and check a file's parsed rows: { rows, headers, sampleRow,
+// fileStructure, errors, warnings }. headers and sampleRow are as read, rows
+// as mapped. Throws when a report with several file layouts matches none.
+export const validateUploadRows = (rawRows, { reportType, mapping = null }) => {
+  const config = REPORT_CONFIG[reportType];
+  if (!config) {
+    throw new Error(`Unknown report type: ${reportType}`);
+  }
+
+  const rows = applyColumnMapping(rawRows, mapping);
+
+  // Reports with several file layouts validate against the mapped or detected one
+  let fileStructure = null;
+  if (config.fileStructures) {
+    const structureKey = mapping?.fileStructure ||
+      detectFileStructure(reportType, rows.length > 0 ? Object.keys(rows[0]) : []);
+    if (!structureKey) {
+      const names = Object.values(config.fileStructures).map(structure => structure.name);
+      throw new Error(`Could not recognise file layout. Expected one of: ${names.join(', ')}`);
+    }
+    const structure = config.fileStructures[structureKey];
+    fileStructure = { key: structureKey, name: structure.name, store: structure.store };
+  }
+
+  const reportConfig = getFileStructureConfig(reportType, fileStructure?.key);
+  if (!reportConfig.fields) {
+    throw new Error(`No fields configuration found for report type: ${reportType}`);
+  }
+
+  const structure = validateStructure(rows, reportConfig);
+  const dataTypes = validateDataTypes(rows, reportConfig);
+
+  return {
+    rows,
+    headers: rawRows.length > 0 ? Object.keys(rawRows[0]) : [],
+    sampleRow: rawRows[0] || null,
+    fileStructure,
+    errors: [...structure.errors, ...dataTypes.errors],
+    warnings: [...structure.warnings, ...dataTypes.warnings]
+  };
+};
@@ -0,0 +1,185 @@
+// src/utils/urlState.js
+import { toDateKey } from './dbSchema';
+import { compileExpression } from './filterExpression';
+import { isDrillStep } from './drillDown';
+
+// Dashboard filter state in the route query string, so a link reopens the
+// same view. The route path is the dashboard; the query holds
+//   range            a date preset, or from / to as YYYY-MM-DD
+//   q                the global search
+//   quick            the dashboard's active quick filters, comma separated
+//   mode             the filter mode when not 'individual'
+//   filters, drill   the dashboard's report filters and drill path, as JSON
+// Parameters are written in this order so equal states give equal strings.
+
+const DEFAULT_DATE_RANGE = { start: null, end: null, preset: 'all' };
+
+const FILTER_MODES = ['individual', 'global'];
+
+const STATE_PARAMS = ['range', 'from', 'to', 'q', 'quick', 'mode', 'filters', 'drill'];
+
+// Route path of each report dashboard
+export const REPORT_ROUTES = {
+  'lending-volume': '/lending-volume',
+  'arrears': '/arrears',
+  'liquidations': '/liquidations',
+  'call-center': '/call-center',
+  'complaints': '/complaints'
+};
+
+export const getRouteReport = (pathname = '') => {
+  const path = pathname.replace(/\/+$/, '');
+  return Object.keys(REPORT_ROUTES).find(reportType => REPORT_ROUTES[reportType] === path) || null;
+};
+
+const isEmptyFilter = (value) =>
+  value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn('Ignoring malformed dashboard link parameter:', value);
+    return fallback;
+  }
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Links can be edited by hand, so filters are checked before they reach
+// matchesCondition, which throws on an operator or computed value it doesn't
+// know. An advanced expression keeps only its complete rules, dimensions only
+// lists of values, and the drill path only steps it can match.
+const sanitizeReportFilters = (reportFilters) => {
+  if (!isPlainObject(reportFilters)) return {};
+
+  const { advanced, dimensions, ...rest } = reportFilters;
+  const sanitized = { ...rest };
+
+  const expression = compileExpression(isPlainObject(advanced) ? advanced : null);
+  if (expression) sanitized.advanced = expression;
+
+  if (isPlainObject(dimensions)) {
+    const validDimensions = Object.fromEntries(Object.entries(dimensions).filter(([, values]) =>
+      Array.isArray(values) && values.every(value => value === null || ['string', 'number'].includes(typeof value))
+    ));
+    if (Object.keys(validDimensions).length > 0) sanitized.dimensions = validDimensions;
+  }
+
+  return sanitized;
+};
+
+const sanitizeDrillPath = (drillPath) => (Array.isArray(drillPath)
+  ? drillPath.filter(isDrillStep)
+  : []);
+
+// A preset, or custom from / to dates as YYYY-MM-DD
+const sanitizeDateRange = (dateRange) => {
+  if (!isPlainObject(dateRange)) return DEFAULT_DATE_RANGE;
+  const { preset } = dateRange;
+  if (typeof preset === 'string' && preset && !['all', 'custom'].includes(preset)) {
+    return { start: null, end: null, preset };
+  }
+
+  const start = toDateKey(dateRange.start);
+  const end = toDateKey(dateRange.end);
+  return start || end ? { start, end, preset: 'custom' } : DEFAULT_DATE_RANGE;
+};
+
+const sanitizeGlobalFilters = (globalFilters) => {
+  const { dateRange, search, quickFilters } = isPlainObject(globalFilters) ? globalFilters : {};
+  return {
+    dateRange: sanitizeDateRange(dateRange),
+    search: typeof search === 'string' ? search : '',
+    quickFilters: Array.isArray(quickFilters) ? quickFilters.filter(id => typeof id === 'string' && id) : []
+  };
+};
+
+// A whole dashboard state, as a link or saved view holds it, with every part
+// present and checked, ready for FilterContext's restoreDashboardState
+export const sanitizeDashboardState = (dashboardState) => {
+  const { globalFilters, reportFilters, filterMode, drillPath } = isPlainObject(dashboardState) ? dashboardState : {};
+  return {
+    globalFilters: sanitizeGlobalFilters(globalFilters),
+    reportFilters: sanitizeReportFilters(reportFilters),
+    filterMode: FILTER_MODES.includes(filterMode) ? filterMode : 'individual',
+    drillPath: sanitizeDrillPath(drillPath)
+  };
+};
+
+// Query string (without '?') for a dashboard's state; empty when everything
+// is at its default
+export const encodeDashboardState = ({
+  globalFilters = {},
+  reportFilters = {},
+  filterMode = 'individual',
+  drillPath = []
+} = {}) => {
+  const params = new URLSearchParams();
+  const { start, end, preset } = globalFilters.dateRange || DEFAULT_DATE_RANGE;
+
+  if (preset && !['all', 'custom'].includes(preset)) {
+    params.set('range', preset);
+  } else if (start || end) {
+    if (start) params.set('from', toDateKey(start));
+    if (end) params.set('to', toDateKey(end));
+  }
+  if (globalFilters.search?.trim()) params.set('q', globalFilters.search.trim());
+  if (globalFilters.quickFilters?.length > 0) params.set('quick', globalFilters.quickFilters.join(','));
+  if (filterMode && filterMode !== 'individual') params.set('mode', filterMode);
+
+  const activeReportFilters = Object.fromEntries(
+    Object.entries(reportFilters).filter(([, value]) => !isEmptyFilter(value))
+  );
+  if (Object.keys(activeReportFilters).length > 0) params.set('filters', JSON.stringify(activeReportFilters));
+  if (drillPath.length > 0) params.set('drill', JSON.stringify(drillPath));
+
+  return params.toString();
+};
+
+// Full dashboard state from a query string: anything missing is its default,
+// so restoring a link clears filters the link doesn't set
+export const decodeDashboardState = (search = '') => {
+  const params = new URLSearchParams(search);
+  const from = params.get('from');
+  const to = params.get('to');
+
+  let dateRange = DEFAULT_DATE_RANGE;
+  if (params.get('range')) {
+    dateRange = { start: null, end: null, preset: params.get('range') };
+  } else if (from || to) {
+    dateRange = { start: from, end: to, preset: 'custom' };
+  }
+
+  return sanitizeDashboardState({
+    globalFilters: {
+      dateRange,
+      search: params.get('q') || '',
+      quickFilters: params.get('quick') ? params.get('quick').split(',') : []
+    },
+    reportFilters: parseJson(params.get('filters'), {}),
+    filterMode: params.get('mode'),
+    drillPath: parseJson(params.get('drill'), [])
+  });
+};
+
+// The dashboard-state parameters of a query string, leaving out any a page
+// keeps for itself (such as ?customer=)
+export const getStateQuery = (search = '') => {
+  const state = new URLSearchParams();
+  new URLSearchParams(search).forEach((value, key) => {
+    if (STATE_PARAMS.includes(key)) state.append(key, value);
+  });
+  return state.toString();
+};
+
+// search with its dashboard-state parameters replaced by stateQuery
+export const withStateQuery = (search = '', stateQuery = '') => {
+  const params = new URLSearchParams(search);
+  STATE_PARAMS.forEach(key => params.delete(key));
+  new URLSearchParams(stateQuery).forEach((value, key) => params.append(key, value));
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
@@ -0,0 +1,74 @@
+import {
+  decodeDashboardState,
+  encodeDashboardState,
+  getRouteReport,
+  sanitizeDashboardState,
+  withStateQuery
+} from './urlState';
+import { createDrillFilter } from './drillDown';
+
+const cohortField = { year: 'funded_year', month: 'funded_month' };
+
+describe('dashboard links', () => {
+  test('round-trip filters and a drill path, including { year, month } cohort steps', () => {
+    const state = {
+      globalFilters: { dateRange: { start: '2025-01-01', end: '2025-03-31', preset: 'custom' }, search: 'C1', quickFilters: ['arrears-only'] },
+      reportFilters: { dimensions: { stage: ['Active', null] } },
+      filterMode: 'global',
+      drillPath: [
+        createDrillFilter(cohortField, '2024-03', { period: 'month', label: 'Cohort: Mar 24' }),
+        createDrillFilter(['tier_name', 'lead_source'], 'Premium'),
+        createDrillFilter('funded_year', 2024)
+      ]
+    };
+
+    expect(decodeDashboardState(encodeDashboardState(state))).toEqual(state);
+  });
+
+  test('a default state encodes to nothing and decodes to the defaults', () => {
+    expect(encodeDashboardState()).toBe('');
+    expect(decodeDashboardState('')).toEqual({
+      globalFilters: { dateRange: { start: null, end: null, preset: 'all' }, search: '', quickFilters: [] },
+      reportFilters: {},
+      filterMode: 'individual',
+      drillPath: []
+    });
+  });
+
+  test('drop drill steps and filters edited into something that cannot be applied', () => {
+    const drill = JSON.stringify([
+      { field: { year: 'funded_year' }, op: 'eq', value: '2024-03', period: 'month' },
+      { field: cohortField, op: 'eq', value: { year: 2024 }, period: 'month' },
+      { field: cohortField, op: 'eq', value: '2024-03', period: 'fortnight' },
+      { field: 'stage', op: 'like', value: 'Active' },
+      { field: 'stage', op: 'eq', value: 'Active' }
+    ]);
+    const filters = JSON.stringify({ advanced: { all: [{ field: 'stage', op: 'like', value: 'x' }] }, dimensions: { stage: 'Active' } });
+    const { drillPath, reportFilters } = decodeDashboardState(`drill=${encodeURIComponent(drill)}&filters=${encodeURIComponent(filters)}`);
+
+    expect(drillPath).toEqual([{ field: 'stage', op: 'eq', value: 'Active' }]);
+    expect(reportFilters).toEqual({});
+  });
+});
+
+test('a saved view\'s partial or hand-edited filters become a whole dashboard state', () => {
+  const filters = {
+    reportFilters: { advanced: { all: [{ field: 'stage', op: 'like', value: 'x' }, { field: 'stage', op: 'eq', value: 'Active' }] } },
+    globalFilters: { dateRange: { start: new Date(2025, 0, 5), end: null, preset: 'custom' }, quickFilters: 'arrears-only' },
+    filterMode: 'everything'
+  };
+
+  expect(sanitizeDashboardState(filters)).toEqual({
+    globalFilters: { dateRange: { start: '2025-01-05', end: null, preset: 'custom' }, search: '', quickFilters: [] },
+    reportFilters: { advanced: { all: [{ field: 'stage', op: 'eq', value: 'Active' }] } },
+    filterMode: 'individual',
+    drillPath: []
+  });
+  expect(sanitizeDashboardState(undefined)).toEqual(decodeDashboardState(''));
+});
+
+test('routes and other query parameters are left alone', () => {
+  expect(getRouteReport('/liquidations/')).toBe('liquidations');
+  expect(getRouteReport('/admin')).toBeNull();
+  expect(withStateQuery('?customer=C1&q=old', 'q=new')).toBe('?customer=C1&q=new');
+});
@@ -0,0 +1,163 @@
+// src/utils/viewStore.js
+import { DB_CONFIG } from './constants';
+import { getData, saveData, applyChanges } from './indexedDBHelper';
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { sanitizeDashboardState } from './urlState';
+
+// Named views of a dashboard, kept in the views store. A view is
+// { name, dashboard, filters, layout, pinned, isDefault }: filters is the
+// dashboard state shared in links (see urlState), layout the dashboard's
+// table and chart settings by key (see ViewContext). At most one view per
+// dashboard is the default, opened when the dashboard is.
+
+export const VIEW_EXPORT_TYPE = 'financial-reports-views';
+export const VIEW_EXPORT_VERSION = 1;
+
+const VIEWS_STORE = DB_CONFIG.STORES.VIEWS;
+
+const createViewId = () => `view_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+const byPinnedThenName = (a, b) =>
+  (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) || a.name.localeCompare(b.name);
+
+// Saved views, pinned first then by name
+export const getViews = async (dashboard = null) => {
+  const views = await getData(VIEWS_STORE, dashboard ? { dashboard } : {});
+  return views.sort(byPinnedThenName);
+};
+
+const getView = async (viewId) => {
+  const [view] = await getData(VIEWS_STORE, { _id: viewId });
+  if (!view) {
+    throw new Error('View not found');
+  }
+  return view;
+};
+
+const requireName = (name) => {
+  if (!name?.trim()) {
+    throw new Error('View name is required');
+  }
+  return name.trim();
+};
+
+// name, or name with a numbered suffix if a view of the dashboard has it
+const getUniqueName = (name, views) => {
+  const taken = new Set(views.map(view => view.name.toLowerCase()));
+  if (!taken.has(name.toLowerCase())) return name;
+
+  let suffix = 2;
+  while (taken.has(`${name} (${suffix})`.toLowerCase())) suffix += 1;
+  return `${name} (${suffix})`;
+};
+
+const assertNameFree = (name, views, viewId = null) => {
+  if (views.some(view => view._id !== viewId && view.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`A view named "${name}" already exists`);
+  }
+};
+
+const putView = async (view) => {
+  await saveData(VIEWS_STORE, [view]);
+  return view;
+};
+
+export const createView = async ({ name, dashboard, filters, layout = {} }) => {
+  const viewName = requireName(name);
+  assertNameFree(viewName, await getViews(dashboard));
+  const now = new Date().toISOString();
+
+  return putView({
+    _id: createViewId(),
+    name: viewName,
+    dashboard,
+    filters,
+    layout,
+    pinned: false,
+    isDefault: false,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+// Change a view's fields other than its id and dashboard
+export const updateView = async (viewId, changes) => {
+  const view = await getView(viewId);
+  const { _id, dashboard, createdAt, ...allowed } = changes;
+  if (allowed.name !== undefined) {
+    allowed.name = requireName(allowed.name);
+    assertNameFree(allowed.name, await getViews(view.dashboard), viewId);
+  }
+
+  return putView({ ...view, ...allowed, updatedAt: new Date().toISOString() });
+};
+
+export const renameView = (viewId, name) => updateView(viewId, { name });
+
+export const setViewPinned = (viewId, pinned) => updateView(viewId, { pinned });
+
+// A copy named "<name> copy", never the default
+export const duplicateView = async (viewId) => {
+  const view = await getView(viewId);
+  return createView({
+    ...view,
+    name: getUniqueName(`${view.name} copy`, await getViews(view.dashboard))
+  });
+};
+
+// Make viewId the dashboard's default view, or clear the default with null
+export const setDefaultView = async (dashboard, viewId) => {
+  const now = new Date().toISOString();
+  const puts = (await getViews(dashboard))
+    .filter(view => view.isDefault !== (view._id === viewId))
+    .map(view => ({ ...view, isDefault: view._id === viewId, updatedAt: now }));
+
+  if (puts.length > 0) await applyChanges(VIEWS_STORE, { puts });
+};
+
+export const deleteView = (viewId) => applyChanges(VIEWS_STORE, { deletes: [viewId] });
+
+// Views as a JSON document for exportToJSON, without ids or default flags
+export const serializeViews = (views) => ({
+  type: VIEW_EXPORT_TYPE,
+  version: VIEW_EXPORT_VERSION,
+  exported_at: new Date().toISOString(),
+  views: views.map(({ name, dashboard, filters, layout, pinned }) => ({
+    name, dashboard, filters, layout, pinned
+  }))
+});
+
+// Save the views in an exported document as new views. Names already used on
+// a dashboard get a numbered suffix, and filters are checked as a link's are.
+// Returns the saved views.
+export const importViews = async (document) => {
+  if (document?.type !== VIEW_EXPORT_TYPE || !Array.isArray(document.views)) {
+    throw new Error('Not a views export file');
+  }
+  if (document.version > VIEW_EXPORT_VERSION) {
+    throw new Error(`Views export version ${document.version} is newer than this app supports`);
+  }
+
+  const existing = await getViews();
+  const now = new Date().toISOString();
+  const imported = document.views
+    .filter(view => view?.name && REPORT_CONFIG[view.dashboard])
+    .map(view => {
+      const record = {
+        _id: createViewId(),
+        name: getUniqueName(String(view.name).trim(), existing.filter(other => other.dashboard === view.dashboard)),
+        dashboard: view.dashboard,
+        filters: sanitizeDashboardState(view.filters),
+        layout: view.layout || {},
+        pinned: Boolean(view.pinned),
+        isDefault: false,
+        createdAt: now,
+        updatedAt: now
+      };
+      existing.push(record);
+      return record;
+    });
+
+  if (imported.length > 0) await saveData(VIEWS_STORE, imported);
+  return imported;
+};
@@ -0,0 +1,89 @@
+// src/utils/vintageAnalysis.js
+import { REPORT_CONFIG } from '../config/reportConfig';
+import { REPORT_TYPES } from './constants';
+import { getNumericValue, getDateValue, getRecordDate } from './fieldUtils';
+
+// Each liquidations record is one funding cohort (funded_year/funded_month) as
+// at the date it was uploaded. Successive uploads add points further along the
+// cohort's curve; months on book is the gap between the funding month and the
+// upload month.
+
+const COHORT_DATE_FIELD = REPORT_CONFIG[REPORT_TYPES.LIQUIDATIONS].dateField;
+
+const monthsBetween = (start, end) =>
+  (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+
+const getCohortKey = (date) =>
+  `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+
+// Cumulative liquidation rate as reported, or collected over funded
+const getActualRate = (record) => {
+  const reported = getNumericValue(record, 'actual_liquidation_rate');
+  if (reported !== null) return reported;
+
+  const funded = getNumericValue(record, 'funded');
+  const collected = getNumericValue(record, 'all_together');
+  return funded && collected !== null ? (collected / funded) * 100 : null;
+};
+
+// Group liquidations records into cohorts with a point per months-on-book,
+// ordered oldest cohort first. Re-uploads for the same month replace earlier ones.
+export const buildVintageCohorts = (data = [], asOf = new Date()) => {
+  const cohorts = new Map();
+
+  (data || []).forEach(record => {
+    const fundedDate = getRecordDate(record, COHORT_DATE_FIELD);
+    if (!fundedDate) return;
+
+    const uploadedAt = getDateValue(record, '_processed_date') || asOf;
+    const monthsOnBook = Math.max(0, monthsBetween(fundedDate, uploadedAt));
+    const cohort = getCohortKey(fundedDate);
+
+    if (!cohorts.has(cohort)) {
+      cohorts.set(cohort, {
+        cohort,
+        label: fundedDate.toLocaleDateString('en-GB', { month: 'short', year: 'numeric' }),
+        points: new Map()
+      });
+    }
+
+    const points = cohorts.get(cohort).points;
+    const existing = points.get(monthsOnBook);
+    if (existing && existing.uploadedAt > uploadedAt) return;
+
+    points.set(monthsOnBook, {
+      monthsOnBook,
+      uploadedAt,
+      actual: getActualRate(record),
+      forecast: getNumericValue(record, 'forecast_liquidation_rate'),
+      funded: getNumericValue(record, 'funded'),
+      collected: getNumericValue(record, 'all_together'),
+      outstanding: getNumericValue(record, 'total_due_not_scheduled')
+    });
+  });
+
+  return Array.from(cohorts.values())
+    .sort((a, b) => a.cohort.localeCompare(b.cohort))
+    .map(({ cohort, label, points }) => {
+      const sortedPoints = Array.from(points.values()).sort((a, b) => a.monthsOnBook - b.monthsOnBook);
+      return {
+        cohort,
+        label,
+        points: sortedPoints,
+        latest: sortedPoints[sortedPoints.length - 1]
+      };
+    });
+};
+
+// One row per cohort at its latest months on book, for the cohort table
+export const getVintageTableRows = (cohorts = []) => cohorts.map(({ cohort, label, latest }) => ({
+  cohort,
+  label,
+  months_on_book: latest.monthsOnBook,
+  funded: latest.funded,
+  collected: latest.collected,
+  actual_liquidation_rate: latest.actual,
+  forecast_liquidation_rate: latest.forecast,
+  variance: latest.actual !== null && latest.forecast !== null ? latest.actual - latest.forecast : null,
+  total_due_not_scheduled: latest.outstanding
+}));
@@ -0,0 +1,405 @@
+// src/utils/xlsReader.js
+import ExcelJS from 'exceljs';
+
+// Reads Excel 97-2003 (.xls) workbooks into an ExcelJS workbook, so they go
+// through the same sheet picker, header detection and cell conversion as
+// .xlsx files. An .xls file is a compound file (a small FAT file system)
+// whose "Workbook" stream holds BIFF8 records. Only what the importer uses is
+// read: sheet names and visibility, cell values, number formats and merges.
+
+const CFB_SIGNATURE = [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1];
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FREE_SECTOR = 0xFFFFFFFF;
+const DIFAT_HEADER_ENTRIES = 109;
+const DIRECTORY_ENTRY_SIZE = 128;
+const STORAGE_TYPES = { STREAM: 2, ROOT: 5 };
+
+const RECORDS = {
+  FORMULA: 0x0006,
+  EOF: 0x000A,
+  DATEMODE: 0x0022,
+  FILEPASS: 0x002F,
+  CONTINUE: 0x003C,
+  BOUNDSHEET: 0x0085,
+  MULRK: 0x00BD,
+  XF: 0x00E0,
+  MERGECELLS: 0x00E5,
+  SST: 0x00FC,
+  LABELSST: 0x00FD,
+  NUMBER: 0x0203,
+  LABEL: 0x0204,
+  BOOLERR: 0x0205,
+  STRING: 0x0207,
+  RK: 0x027E,
+  FORMAT: 0x041E,
+  BOF: 0x0809
+};
+
+const BIFF8_VERSION = 0x0600;
+const WORKSHEET_SUBSTREAM = 0x0010;
+const SHEET_STATES = ['visible', 'hidden', 'veryHidden'];
+
+// Number formats Excel does not store in the file, by index
+const BUILT_IN_FORMATS = {
+  1: '0', 2: '0.00', 3: '#,##0', 4: '#,##0.00',
+  9: '0%', 10: '0.00%', 11: '0.00E+00', 12: '# ?/?', 13: '# ??/??',
+  14: 'mm-dd-yy', 15: 'd-mmm-yy', 16: 'd-mmm', 17: 'mmm-yy',
+  18: 'h:mm AM/PM', 19: 'h:mm:ss AM/PM', 20: 'h:mm', 21: 'h:mm:ss', 22: 'm/d/yy h:mm',
+  37: '#,##0 ;(#,##0)', 38: '#,##0 ;[Red](#,##0)', 39: '#,##0.00;(#,##0.00)', 40: '#,##0.00;[Red](#,##0.00)',
+  45: 'mm:ss', 46: '[h]:mm:ss', 47: 'mmss.0', 48: '##0.0E+0', 49: '@'
+};
+
+const ERROR_CODES = { 0x00: '#NULL!', 0x07: '#DIV/0!', 0x0F: '#VALUE!', 0x17: '#REF!', 0x1D: '#NAME?', 0x24: '#NUM!', 0x2A: '#N/A' };
+
+export const isXlsBuffer = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, CFB_SIGNATURE.length));
+  return bytes.length === CFB_SIGNATURE.length && CFB_SIGNATURE.every((byte, index) => bytes[index] === byte);
+};
+
+// Returns a reader for the compound file's streams by name
+const readCompoundFile = (buffer) => {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const sectorSize = 1 << view.getUint16(0x1E, true);
+  const miniSectorSize = 1 << view.getUint16(0x20, true);
+  const miniStreamCutoff = view.getUint32(0x38, true);
+  const sectorCount = Math.floor((bytes.length - sectorSize) / sectorSize);
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+  // Sectors holding the FAT: 109 listed in the header, the rest in a chain
+  const fatSectors = [];
+  for (let index = 0; index < DIFAT_HEADER_ENTRIES; index++) {
+    fatSectors.push(view.getUint32(0x4C + index * 4, true));
+  }
+  let difatSector = view.getUint32(0x44, true);
+  for (let count = view.getUint32(0x48, true); count > 0 && difatSector < sectorCount; count--) {
+    const offset = sectorOffset(difatSector);
+    for (let index = 0; index < sectorSize / 4 - 1; index++) {
+      fatSectors.push(view.getUint32(offset + index * 4, true));
+    }
+    difatSector = view.getUint32(offset + sectorSize - 4, true);
+  }
+
+  const fat = [];
+  fatSectors.filter(sector => sector !== FREE_SECTOR && sector < sectorCount).forEach(sector => {
+    const offset = sectorOffset(sector);
+    for (let index = 0; index < sectorSize / 4; index++) {
+      fat.push(view.getUint32(offset + index * 4, true));
+    }
+  });
+
+  // A chain of sectors, stopping at a loop or a sector outside the table
+  const readChain = (table, start, readSector, size) => {
+    const chunks = [];
+    const seen = new Set();
+    for (let sector = start; sector !== END_OF_CHAIN && sector < table.length && !seen.has(sector); sector = table[sector]) {
+      seen.add(sector);
+      chunks.push(readSector(sector));
+    }
+    const stream = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    chunks.reduce((offset, chunk) => {
+      stream.set(chunk, offset);
+      return offset + chunk.length;
+    }, 0);
+    return size === undefined ? stream : stream.subarray(0, size);
+  };
+
+  const readSector = (sector) => bytes.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+  const directory = readChain(fat, view.getUint32(0x30, true), readSector);
+  const directoryView = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+
+  const entries = [];
+  for (let offset = 0; offset + DIRECTORY_ENTRY_SIZE <= directory.length; offset += DIRECTORY_ENTRY_SIZE) {
+    const nameLength = Math.max(0, directoryView.getUint16(offset + 0x40, true) / 2 - 1);
+    entries.push({
+      name: String.fromCharCode(...Array.from({ length: Math.min(nameLength, 31) }, (_, index) =>
+        directoryView.getUint16(offset + index * 2, true)
+      )),
+      type: directory[offset + 0x42],
+      start: directoryView.getUint32(offset + 0x74, true),
+      size: directoryView.getUint32(offset + 0x78, true)
+    });
+  }
+
+  const root = entries.find(entry => entry.type === STORAGE_TYPES.ROOT);
+  const miniFatChain = readChain(fat, view.getUint32(0x3C, true), readSector);
+  const miniFatView = new DataView(miniFatChain.buffer, miniFatChain.byteOffset, miniFatChain.byteLength);
+  const miniFat = Array.from({ length: miniFatChain.length / 4 }, (_, index) => miniFatView.getUint32(index * 4, true));
+  let miniStream = null;
+
+  const readStream = (entry) => {
+    if (entry.size >= miniStreamCutoff) {
+      return readChain(fat, entry.start, readSector, entry.size);
+    }
+    // Small streams live in the root entry's stream, in 64 byte sectors
+    miniStream = miniStream || readChain(fat, root?.start ?? END_OF_CHAIN, readSector, root?.size);
+    return readChain(miniFat, entry.start, sector =>
+      miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize), entry.size);
+  };
+
+  return (name) => {
+    const entry = entries.find(candidate =>
+      candidate.type === STORAGE_TYPES.STREAM && candidate.name.toLowerCase() === name.toLowerCase()
+    );
+    return entry ? readStream(entry) : null;
+  };
+};
+
+// BIFF records from offset up to the substream's EOF
+const readSubstream = (stream, offset) => {
+  const view = new DataView(stream.buffer, stream.byteOffset, stream.byteLength);
+  const records = [];
+  while (offset + 4 <= stream.length) {
+    const type = view.getUint16(offset, true);
+    const length = view.getUint16(offset + 2, true);
+    const data = stream.subarray(offset + 4, offset + 4 + length);
+    records.push({ type, data, view: new DataView(data.buffer, data.byteOffset, data.byteLength) });
+    offset += 4 + length;
+    if (type === RECORDS.EOF) break;
+  }
+  return records;
+};
+
+// Characters stored as bytes (the low byte of each UTF-16 unit) or UTF-16LE
+const decodeChars = (data, offset, count, highByte) => {
+  const codes = [];
+  for (let index = 0; index < count && offset < data.length; index++) {
+    if (highByte) {
+      codes.push(data[offset] | (data[offset + 1] << 8));
+      offset += 2;
+    } else {
+      codes.push(data[offset]);
+      offset += 1;
+    }
+  }
+  return { text: String.fromCharCode(...codes), offset };
+};
+
+// A string with a 16-bit (XLUnicodeString) or 8-bit length before its flags
+const readString = (data, offset = 0, lengthBytes = 2) => {
+  const count = lengthBytes === 2 ? data[offset] | (data[offset + 1] << 8) : data[offset];
+  return decodeChars(data, offset + lengthBytes + 1, count, data[offset + lengthBytes] & 0x01).text;
+};
+
+// The shared string table, which runs on into CONTINUE records. A string
+// split across records starts again with a flags byte for its remaining
+// characters; everything else carries straight on.
+const readSharedStrings = (records, index) => {
+  const chunks = [records[index].data];
+  for (let next = index + 1; records[next]?.type === RECORDS.CONTINUE; next++) {
+    chunks.push(records[next].data);
+  }
+
+  let chunk = 0;
+  let offset = 8;
+  const skip = (count) => {
+    offset += count;
+    while (chunk < chunks.length - 1 && offset > chunks[chunk].length) {
+      offset -= chunks[chunk].length;
+      chunk += 1;
+    }
+  };
+  const readUint = (size) => {
+    let value = 0;
+    for (let byte = 0; byte < size; byte++) {
+      if (offset >= chunks[chunk].length && chunk < chunks.length - 1) {
+        chunk += 1;
+        offset = 0;
+      }
+      value += (chunks[chunk][offset] ?? 0) * 2 ** (8 * byte);
+      offset += 1;
+    }
+    return value;
+  };
+
+  const uniqueCount = new DataView(chunks[0].buffer, chunks[0].byteOffset + 4, 4).getUint32(0, true);
+  const strings = [];
+  while (strings.length < uniqueCount && !(chunk === chunks.length - 1 && offset >= chunks[chunk].length)) {
+    let remaining = readUint(2);
+    const flags = readUint(1);
+    const runs = flags & 0x08 ? readUint(2) : 0;
+    const extended = flags & 0x04 ? readUint(4) : 0;
+
+    let text = '';
+    let highByte = flags & 0x01;
+    while (remaining > 0) {
+      const data = chunks[chunk];
+      if (data.length - offset < (highByte ? 2 : 1)) {
+        if (chunk === chunks.length - 1) break;
+        chunk += 1;
+        highByte = chunks[chunk][0] & 0x01;
+        offset = 1;
+        continue;
+      }
+      const count = Math.min(remaining, Math.floor((data.length - offset) / (highByte ? 2 : 1)));
+      const part = decodeChars(data, offset, count, highByte);
+      text += part.text;
+      remaining -= count;
+      offset = part.offset;
+    }
+
+    skip(runs * 4 + extended);
+    strings.push(text);
+  }
+  return strings;
+};
+
+// RK numbers: a 30-bit integer or the top of a double, optionally times 100
+const decodeRk = (rk) => {
+  let value;
+  if (rk & 0x02) {
+    value = rk >> 2;
+  } else {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setUint32(4, rk & 0xFFFFFFFC, true);
+    value = view.getFloat64(0, true);
+  }
+  return rk & 0x01 ? value / 100 : value;
+};
+
+const readGlobals = (stream) => {
+  const records = readSubstream(stream, 0);
+  if (records[0]?.type !== RECORDS.BOF) {
+    throw new Error('Not an Excel workbook');
+  }
+  if (records[0].view.getUint16(0, true) !== BIFF8_VERSION) {
+    throw new Error('Only Excel 97-2003 .xls workbooks can be read. Save the file as .xlsx and upload that.');
+  }
+
+  const globals = { formats: { ...BUILT_IN_FORMATS }, xfFormats: [], sheets: [], strings: [], date1904: false };
+  records.forEach((record, index) => {
+    const { type, data, view } = record;
+    switch (type) {
+      case RECORDS.FILEPASS:
+        throw new Error('This workbook is password protected. Remove the password in Excel and upload it again.');
+      case RECORDS.FORMAT:
+        globals.formats[view.getUint16(0, true)] = readString(data, 2);
+        break;
+      case RECORDS.XF:
+        globals.xfFormats.push(view.getUint16(2, true));
+        break;
+      case RECORDS.DATEMODE:
+        globals.date1904 = view.getUint16(0, true) === 1;
+        break;
+      case RECORDS.BOUNDSHEET:
+        globals.sheets.push({
+          offset: view.getUint32(0, true),
+          state: SHEET_STATES[data[4] & 0x03] || 'visible',
+          kind: data[5],
+          name: readString(data, 6, 1)
+        });
+        break;
+      case RECORDS.SST:
+        globals.strings = readSharedStrings(records, index);
+        break;
+      default:
+    }
+  });
+  return globals;
+};
+
+const readWorksheet = (worksheet, records, globals) => {
+  const merges = [];
+  let pendingFormula = null;
+
+  const setCell = (row, column, xf, value) => {
+    if (value === null || value === undefined || value === '') return;
+    const cell = worksheet.getCell(row + 1, column + 1);
+    cell.value = value;
+    const numFmt = globals.formats[globals.xfFormats[xf]];
+    if (numFmt && typeof value === 'number') cell.numFmt = numFmt;
+  };
+
+  records.forEach(({ type, data, view }) => {
+    const row = data.length >= 6 ? view.getUint16(0, true) : 0;
+    const column = data.length >= 6 ? view.getUint16(2, true) : 0;
+    const xf = data.length >= 6 ? view.getUint16(4, true) : 0;
+
+    switch (type) {
+      case RECORDS.LABELSST:
+        setCell(row, column, xf, globals.strings[view.getUint32(6, true)]);
+        break;
+      case RECORDS.LABEL:
+        setCell(row, column, xf, readString(data, 6));
+        break;
+      case RECORDS.NUMBER:
+        setCell(row, column, xf, view.getFloat64(6, true));
+        break;
+      case RECORDS.RK:
+        setCell(row, column, xf, decodeRk(view.getUint32(6, true)));
+        break;
+      case RECORDS.MULRK:
+        for (let offset = 4, cell = column; offset + 6 <= data.length - 2; offset += 6, cell++) {
+          setCell(row, cell, view.getUint16(offset, true), decodeRk(view.getUint32(offset + 2, true)));
+        }
+        break;
+      case RECORDS.BOOLERR:
+        setCell(row, column, xf, data[7] ? { error: ERROR_CODES[data[6]] || '#N/A' } : Boolean(data[6]));
+        break;
+      case RECORDS.FORMULA:
+        // The last calculated result; string results follow in a STRING record
+        if (view.getUint16(12, true) !== 0xFFFF) {
+          setCell(row, column, xf, view.getFloat64(6, true));
+        } else if (data[6] === 0) {
+          pendingFormula = { row, column, xf };
+        } else if (data[6] === 1) {
+          setCell(row, column, xf, Boolean(data[8]));
+        } else if (data[6] === 2) {
+          setCell(row, column, xf, { error: ERROR_CODES[data[8]] || '#N/A' });
+        }
+        break;
+      case RECORDS.STRING:
+        if (pendingFormula) {
+          setCell(pendingFormula.row, pendingFormula.column, pendingFormula.xf, readString(data));
+          pendingFormula = null;
+        }
+        break;
+      case RECORDS.MERGECELLS:
+        for (let index = 0, offset = 2; index < view.getUint16(0, true); index++, offset += 8) {
+          merges.push([0, 4, 2, 6].map(part => view.getUint16(offset + part, true) + 1));
+        }
+        break;
+      default:
+    }
+  });
+
+  // [top, left, bottom, right]; single cells are not merges
+  merges
+    .filter(([top, left, bottom, right]) => bottom > top || right > left)
+    .forEach(([top, left, bottom, right]) => {
+      try {
+        worksheet.mergeCells(top, left, bottom, right);
+      } catch {
+        // Overlapping ranges in a damaged file; keep the cells unmerged
+      }
+    });
+};
+
+// Build an ExcelJS workbook from an .xls file's contents
+export const readXlsWorkbook = (buffer) => {
+  const getStream = readCompoundFile(buffer);
+  const stream = getStream('Workbook');
+  if (!stream) {
+    // Excel 5 and 95 saved a "Book" stream; encrypted .xlsx files are compound files too
+    if (getStream('Book')) {
+      throw new Error('Only Excel 97-2003 .xls workbooks can be read. Save the file as .xlsx and upload that.');
+    }
+    if (getStream('EncryptedPackage')) {
+      throw new Error('This workbook is password protected. Remove the password in Excel and upload it again.');
+    }
+    throw new Error('Not an Excel workbook');
+  }
+
+  const globals = readGlobals(stream);
+  const workbook = new ExcelJS.Workbook();
+  workbook.properties.date1904 = globals.date1904;
+
+  // Worksheets only; chart sheets and macro sheets have no rows to import
+  globals.sheets.filter(sheet => sheet.kind === 0).forEach(sheet => {
+    const records = readSubstream(stream, sheet.offset);
+    if (records[0]?.type !== RECORDS.BOF || records[0].view.getUint16(2, true) !== WORKSHEET_SUBSTREAM) return;
+    readWorksheet(workbook.addWorksheet(sheet.name, { state: sheet.state }), records, globals);
+  });
+
+  return workbook;
+};
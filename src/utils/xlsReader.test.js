@@ -0,0 +1,157 @@
+import { TextDecoder, TextEncoder } from 'util';
+import { parseWorkbookFile } from './excelImporter';
+import { isXlsBuffer, readXlsWorkbook } from './xlsReader';
+
+// jsdom has no TextEncoder, which ExcelJS uses to read and write workbooks
+global.TextEncoder = global.TextEncoder || TextEncoder;
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+const u16 = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+const u32 = (value) => [...u16(value & 0xFFFF), ...u16(value >>> 16)];
+const f64 = (value) => [...new Uint8Array(new Float64Array([value]).buffer)];
+const bytesOf = (text) => [...text].map(char => char.charCodeAt(0));
+const utf16Of = (text) => [...text].flatMap(char => u16(char.charCodeAt(0)));
+
+const record = (type, data) => [...u16(type), ...u16(data.length), ...data];
+const bof = (kind, version = 0x0600) => record(0x0809, [...u16(version), ...u16(kind), ...new Array(12).fill(0)]);
+const eof = () => record(0x000A, []);
+const xf = (format) => record(0x00E0, [...u16(0), ...u16(format), ...new Array(16).fill(0)]);
+const boundSheet = (offset, state, name) =>
+  record(0x0085, [...u32(offset), state === 'hidden' ? 1 : 0, 0, name.length, 0, ...bytesOf(name)]);
+const cell = (type, row, column, xfIndex, data) => record(type, [...u16(row), ...u16(column), ...u16(xfIndex), ...data]);
+
+// The shared strings: "Customer ID" and "Stage" in the SST record, then
+// "Arrears £" split so its last character carries on, as UTF-16, in a
+// CONTINUE record that also holds "Title"
+const sharedStrings = () => {
+  const header = [...u32(4), ...u32(4)];
+  const compressed = (text) => [...u16(text.length), 0, ...bytesOf(text)];
+  const first = [...header, ...compressed('Customer ID'), ...compressed('Stage'), ...u16(9), 0, ...bytesOf('Arrears ')];
+  return [...record(0x00FC, first), ...record(0x003C, [1, ...utf16Of('£'), ...compressed('Title')])];
+};
+
+const worksheetStream = () => [
+  ...bof(0x0010),
+  ...cell(0x00FD, 0, 0, 0, u32(3)),
+  ...cell(0x00FD, 2, 0, 0, u32(0)),
+  ...cell(0x00FD, 2, 1, 0, u32(1)),
+  ...cell(0x0204, 2, 2, 0, [...u16(10), 0, ...bytesOf('Stage Date')]),
+  ...cell(0x0204, 2, 3, 0, [...u16(4), 0, ...bytesOf('Rate')]),
+  ...cell(0x0204, 2, 4, 0, [...u16(4), 0, ...bytesOf('Paid')]),
+  ...cell(0x0204, 3, 0, 0, [...u16(2), 0, ...bytesOf('C1')]),
+  ...cell(0x00FD, 3, 1, 0, u32(2)),
+  ...cell(0x0203, 3, 2, 1, f64(45731)),
+  // RK: 46% stored as 46 / 100
+  ...cell(0x027E, 3, 3, 2, u32((46 << 2) | 0x03)),
+  ...cell(0x0205, 3, 4, 0, [1, 0]),
+  // A formula whose cached result is text, held in the STRING record after it
+  ...cell(0x0006, 4, 0, 0, [0, 0, 0, 0, 0, 0, 0xFF, 0xFF, ...new Array(6).fill(0)]),
+  ...record(0x0207, [...u16(2), 1, ...utf16Of('C2')]),
+  ...record(0x00BD, [...u16(4), ...u16(2), ...u16(1), ...u32((45732 << 2) | 0x02), ...u16(0), ...u32((12 << 2) | 0x02), ...u16(3)]),
+  ...record(0x00E5, [...u16(1), ...u16(0), ...u16(0), ...u16(0), ...u16(3)]),
+  ...eof()
+];
+
+const globalsStream = (sheetOffsets, { version, protect = false } = {}) => [
+  ...bof(0x0005, version),
+  ...(protect ? record(0x002F, [0, 0]) : []),
+  ...record(0x041E, [...u16(164), ...u16(10), 0, ...bytesOf('dd/mm/yyyy')]),
+  ...xf(0),
+  ...xf(164),
+  ...xf(10),
+  ...record(0x0022, u16(0)),
+  ...boundSheet(sheetOffsets[0], 'visible', 'Lending'),
+  ...boundSheet(sheetOffsets[1], 'hidden', 'Notes'),
+  ...sharedStrings(),
+  ...eof()
+];
+
+const workbookStream = (options) => {
+  const globalsLength = globalsStream([0, 0], options).length;
+  const sheet = worksheetStream();
+  const hidden = [...bof(0x0010), ...cell(0x00FD, 0, 0, 0, u32(0)), ...cell(0x00FD, 0, 1, 0, u32(1)), ...eof()];
+  return [...globalsStream([globalsLength, globalsLength + sheet.length], options), ...sheet, ...hidden];
+};
+
+// A compound file with one FAT sector, one directory sector and the stream,
+// padded to 4096 bytes as Excel does so it is not kept in the mini stream
+const compoundFile = (streamName, content) => {
+  const sectorSize = 512;
+  const stream = [...content, ...new Array(Math.max(0, 4096 - content.length)).fill(0)];
+  const streamSectors = Math.ceil(stream.length / sectorSize);
+  const endOfChain = 0xFFFFFFFE;
+
+  const header = new Array(sectorSize).fill(0);
+  const setHeader = (offset, values) => values.forEach((value, index) => { header[offset + index] = value; });
+  setHeader(0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+  setHeader(0x18, [...u16(0x3E), ...u16(3), ...u16(0xFFFE), ...u16(9), ...u16(6)]);
+  setHeader(0x2C, [...u32(1), ...u32(1), ...u32(0), ...u32(4096), ...u32(endOfChain), ...u32(0), ...u32(endOfChain), ...u32(0)]);
+  setHeader(0x4C, [...u32(0), ...new Array(108 * 4).fill(0xFF)]);
+
+  const fat = [0xFFFFFFFD, endOfChain, ...Array.from({ length: streamSectors }, (_, index) =>
+    index === streamSectors - 1 ? endOfChain : index + 3
+  )];
+  const fatSector = [...fat.flatMap(u32), ...new Array((128 - fat.length) * 4).fill(0xFF)];
+
+  const entry = (name, type, start, size) => {
+    const data = new Array(128).fill(0);
+    utf16Of(name).forEach((byte, index) => { data[index] = byte; });
+    [...u16((name.length + 1) * 2), type].forEach((byte, index) => { data[0x40 + index] = byte; });
+    [...u32(start), ...u32(size)].forEach((byte, index) => { data[0x74 + index] = byte; });
+    return data;
+  };
+  const directory = [
+    ...entry('Root Entry', 5, endOfChain, 0),
+    ...entry(streamName, 2, 2, stream.length),
+    ...new Array(256).fill(0)
+  ];
+
+  const padded = [...stream, ...new Array(streamSectors * sectorSize - stream.length).fill(0)];
+  return new Uint8Array([...header, ...fatSector, ...directory, ...padded]).buffer;
+};
+
+const xlsFile = (buffer, name = 'legacy.xls') => ({ name, arrayBuffer: async () => buffer });
+
+test('isXlsBuffer checks for the compound file signature', () => {
+  expect(isXlsBuffer(compoundFile('Workbook', workbookStream()))).toBe(true);
+  expect(isXlsBuffer(new TextEncoder().encode('Customer ID,Stage').buffer)).toBe(false);
+  expect(isXlsBuffer(new ArrayBuffer(0))).toBe(false);
+});
+
+test('readXlsWorkbook reads sheets, cells, number formats and merges', () => {
+  const workbook = readXlsWorkbook(compoundFile('Workbook', workbookStream()));
+  expect(workbook.worksheets.map(sheet => [sheet.name, sheet.state])).toEqual([['Lending', 'visible'], ['Notes', 'hidden']]);
+
+  const sheet = workbook.getWorksheet('Lending');
+  expect(sheet.getCell('A1').value).toBe('Title');
+  expect(sheet.getCell('D1').master.address).toBe('A1');
+  expect(sheet.getCell('B4').value).toBe('Arrears £');
+  expect(sheet.getCell('C4')).toEqual(expect.objectContaining({ value: 45731, numFmt: 'dd/mm/yyyy' }));
+  expect(sheet.getCell('D4')).toEqual(expect.objectContaining({ value: 0.46, numFmt: '0.00%' }));
+  expect(sheet.getCell('E4').value).toBe(true);
+  expect(sheet.getCell('A5').value).toBe('C2');
+  expect([sheet.getCell('C5').value, sheet.getCell('D5').value]).toEqual([45732, 12]);
+});
+
+test('.xls files go through the same import as .xlsx, whatever their extension', async () => {
+  const buffer = compoundFile('Workbook', workbookStream());
+  const result = await parseWorkbookFile(xlsFile(buffer, 'renamed.xlsx'), { reportType: 'arrears' });
+
+  expect(result.sheets.map(sheet => sheet.name)).toEqual(['Lending']);
+  expect(result.headerRow).toBe(3);
+  expect(result.rows).toEqual([
+    { 'Customer ID': 'C1', Stage: 'Arrears £', 'Stage Date': '15/03/2025', Rate: '46', Paid: 'TRUE' },
+    { 'Customer ID': 'C2', Stage: '', 'Stage Date': '16/03/2025', Rate: '12', Paid: '' }
+  ]);
+});
+
+test('older and password protected workbooks are reported', async () => {
+  await expect(parseWorkbookFile(xlsFile(compoundFile('Workbook', workbookStream({ version: 0x0500 })))))
+    .rejects.toThrow('Only Excel 97-2003 .xls workbooks can be read');
+  await expect(parseWorkbookFile(xlsFile(compoundFile('Book', workbookStream()))))
+    .rejects.toThrow('Only Excel 97-2003 .xls workbooks can be read');
+  await expect(parseWorkbookFile(xlsFile(compoundFile('Workbook', workbookStream({ protect: true })))))
+    .rejects.toThrow('password protected');
+  await expect(parseWorkbookFile(xlsFile(compoundFile('EncryptedPackage', [1, 2, 3]))))
+    .rejects.toThrow('password protected');
+});
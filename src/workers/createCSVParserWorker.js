@@ -0,0 +1,6 @@
+// src/workers/createCSVParserWorker.js
+
+// Kept in its own module and loaded with import() because Jest can't parse
+// import.meta, which webpack needs to bundle the worker
+export const createCSVParserWorker = () =>
+  new Worker(new URL('./csvParser.worker.js', import.meta.url));
@@ -0,0 +1,29 @@
+// src/workers/csvParser.worker.js
+/* eslint-disable no-restricted-globals */
+import { CSVProcessor } from '../utils/csvProcessor';
+import { validateUploadRows } from '../utils/uploadValidation';
+
+// Streams a CSV file through CSVProcessor off the main thread.
+// In:  { file, reportType, mode, mapping }   mode 'parse' (raw rows),
+//      'process', or 'validate' (rows mapped and checked with mapping)
+// Out: { type: 'progress', progress } while reading, then
+//      { type: 'complete', result } or { type: 'error', message }
+self.onmessage = async ({ data }) => {
+  const { file, reportType, mode, mapping } = data;
+  const processor = new CSVProcessor(reportType);
+  const onProgress = (progress) => self.postMessage({ type: 'progress', progress });
+
+  try {
+    let result;
+    if (mode === 'validate') {
+      result = validateUploadRows(await processor.streamFile(file, { onProgress }), { reportType, mapping });
+    } else {
+      result = mode === 'process'
+        ? await processor.processFileStreaming(file, { onProgress })
+        : await processor.streamFile(file, { onProgress });
+    }
+    self.postMessage({ type: 'complete', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};